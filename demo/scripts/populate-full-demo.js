@@ -7,7 +7,6 @@
  * in the Svelte UI, including employees, enrollments, documents, and tasks.
  */
 
-import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,6 +15,7 @@ import chalk from 'chalk';
 import { Command } from 'commander';
 import { config } from 'dotenv';
 import ora from 'ora';
+import { issueInvitationToken, loadInvitationKeys } from '../../src/invitations/index.js';
 
 // Load environment variables
 config();
@@ -496,16 +496,32 @@ async function createTasks(employees) {
   return createdTasks;
 }
 
+let invitationKeys;
+
+/**
+ * Invitation keyring from the environment, or throwaway keys for a demo
+ * environment without INVITATION_SIGNING_KEYS / INVITATION_ENCRYPTION_KEYS
+ */
+async function getInvitationKeys() {
+  if (!invitationKeys) {
+    invitationKeys = await loadInvitationKeys(process.env, { allowEphemeral: true });
+    if (invitationKeys.ephemeral) {
+      console.warn(
+        chalk.yellow('⚠️ No invitation keys configured; demo invitation tokens use throwaway keys')
+      );
+    }
+  }
+
+  return invitationKeys;
+}
+
 /**
- * Generate JWT hash for invitation
+ * Issue the signed, encrypted invitation token; api.invitations keeps its hash
  */
-function generateJWTHash(employee, appCode) {
-  const jwtPayload = {
-    iss: 'api.thepia.com',
-    aud: 'flows.thepia.net',
-    sub: `inv-${employee.person_code}-${Date.now()}`,
-    exp: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60, // 7 days
-    iat: Math.floor(Date.now() / 1000),
+async function issueEmployeeInvitationToken(employee, appCode, options = {}) {
+  return issueInvitationToken(await getInvitationKeys(), {
+    ...options,
+    subject: `inv-${employee.person_code}-${Date.now()}`,
     invitation: {
       invitee: {
         fullName: `${employee.first_name} ${employee.last_name}`,
@@ -516,9 +532,7 @@ function generateJWTHash(employee, appCode) {
       department: employee.department,
       type: appCode,
     },
-  };
-
-  return crypto.createHash('sha256').update(JSON.stringify(jwtPayload)).digest('hex');
+  });
 }
 
 /**
@@ -546,8 +560,10 @@ async function createMatchingInvitations(clientId, applications, employees) {
 
     if (!employee || !appId) continue;
 
-    const jwtHash = generateJWTHash(employee, invData.app_code);
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const { hash: jwtHash, expiresAt } = await issueEmployeeInvitationToken(
+      employee,
+      invData.app_code
+    );
 
     const invitation = await apiCall('invitations', 'POST', {
       client_id: clientId,
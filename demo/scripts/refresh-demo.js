@@ -7,7 +7,6 @@
  * and generates fresh invitations to keep the demo realistic and current.
  */
 
-import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,6 +15,7 @@ import chalk from 'chalk';
 import { Command } from 'commander';
 import { config } from 'dotenv';
 import ora from 'ora';
+import { issueInvitationToken, loadInvitationKeys } from '../../src/invitations/index.js';
 
 // Load environment variables
 config();
@@ -204,6 +204,25 @@ function evolveEmployeeScenarios(employees) {
   return updates;
 }
 
+let invitationKeys;
+
+/**
+ * Invitation keyring from the environment, or throwaway keys for a demo
+ * environment without INVITATION_SIGNING_KEYS / INVITATION_ENCRYPTION_KEYS
+ */
+async function getInvitationKeys() {
+  if (!invitationKeys) {
+    invitationKeys = await loadInvitationKeys(process.env, { allowEphemeral: true });
+    if (invitationKeys.ephemeral) {
+      console.warn(
+        chalk.yellow('⚠️ No invitation keys configured; demo invitation tokens use throwaway keys')
+      );
+    }
+  }
+
+  return invitationKeys;
+}
+
 /**
  * Generate demo invitations for new scenarios
  */
@@ -230,12 +249,8 @@ async function generateNewInvitations(clientId, applications, employees, updates
 
     if (!appId) continue;
 
-    const jwtPayload = {
-      iss: 'api.thepia.com',
-      aud: 'flows.thepia.net',
-      sub: `inv-${employee.id}-${Date.now()}`,
-      exp: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60, // 7 days
-      iat: Math.floor(Date.now() / 1000),
+    const { hash: jwtHash, expiresAt } = await issueInvitationToken(await getInvitationKeys(), {
+      subject: `inv-${employee.id}-${Date.now()}`,
       invitation: {
         invitee: {
           fullName: `${employee.firstName} ${employee.lastName}`,
@@ -244,12 +259,10 @@ async function generateNewInvitations(clientId, applications, employees, updates
         },
         position: employee.position,
         department: employee.department,
+        manager: employee.manager,
         type: invitationType,
       },
-    };
-
-    const jwtHash = crypto.createHash('sha256').update(JSON.stringify(jwtPayload)).digest('hex');
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    });
 
     const invitation = {
       client_id: clientId,
@@ -269,7 +282,6 @@ async function generateNewInvitations(clientId, applications, employees, updates
       client_data: {
         employee_id: employee.id,
         department: employee.department,
-        manager: employee.manager,
         demo_invitation: true,
         scenario: update.action,
       },
@@ -10,7 +10,6 @@
  * - Handles cleanup and reset automatically
  */
 
-import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -19,6 +18,7 @@ import chalk from 'chalk';
 import { Command } from 'commander';
 import { config } from 'dotenv';
 import ora from 'ora';
+import { issueInvitationToken, loadInvitationKeys } from '../../src/invitations/index.js';
 
 // Load environment variables
 config();
@@ -1202,6 +1202,25 @@ async function createTasks(employees) {
   return tasks;
 }
 
+let invitationKeys;
+
+/**
+ * Invitation keyring from the environment, or throwaway keys for a demo
+ * environment without INVITATION_SIGNING_KEYS / INVITATION_ENCRYPTION_KEYS
+ */
+async function getInvitationKeys() {
+  if (!invitationKeys) {
+    invitationKeys = await loadInvitationKeys(process.env, { allowEphemeral: true });
+    if (invitationKeys.ephemeral) {
+      console.warn(
+        chalk.yellow('⚠️ No invitation keys configured; demo invitation tokens use throwaway keys')
+      );
+    }
+  }
+
+  return invitationKeys;
+}
+
 async function createInvitations(clientId, applications, employees) {
   const appMap = {};
   applications.forEach((app) => {
@@ -1221,10 +1240,6 @@ async function createInvitations(clientId, applications, employees) {
 
     if (!employee || !appId) continue;
 
-    const jwtHash = crypto
-      .createHash('sha256')
-      .update(`${employee.id}-${Date.now()}`)
-      .digest('hex');
     let expiresAt, createdAt;
 
     if (invData.status === 'expired') {
@@ -1237,6 +1252,20 @@ async function createInvitations(clientId, applications, employees) {
       expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
     }
 
+    const { hash: jwtHash } = await issueInvitationToken(await getInvitationKeys(), {
+      subject: `inv-${employee.person_code}-${Date.now()}`,
+      expiresAt,
+      invitation: {
+        invitee: {
+          fullName: `${employee.first_name} ${employee.last_name}`,
+          companyEmail: employee.company_email,
+        },
+        position: employee.position,
+        department: employee.department,
+        type: invData.app_code,
+      },
+    });
+
     const invitation = await apiCall('invitations', 'POST', {
       client_id: clientId,
       app_id: appId,
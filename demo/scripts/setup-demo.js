@@ -7,7 +7,6 @@
  * Sets up realistic Nordic employee data with onboarding/offboarding workflows.
  */
 
-import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -16,6 +15,7 @@ import chalk from 'chalk';
 import { Command } from 'commander';
 import { config } from 'dotenv';
 import ora from 'ora';
+import { issueInvitationToken, loadInvitationKeys } from '../../src/invitations/index.js';
 
 // Load environment variables
 config();
@@ -104,10 +104,7 @@ async function createDemoClient(clientConfig) {
     industry: clientConfig.industry,
     company_size: clientConfig.company_size,
     country_code: clientConfig.country_code,
-    max_users: clientConfig.tier === 'pro' ? 1000 : 100,
-    max_storage_gb: clientConfig.tier === 'pro' ? 10 : 1,
     settings: clientConfig.settings,
-    features: clientConfig.features,
   };
 
   const response = await fetch(`${supabaseUrl}/rest/v1/clients`, {
@@ -175,16 +172,31 @@ async function createDemoApplications(clientId, applications) {
   return createdApps;
 }
 
+let invitationKeys;
+
 /**
- * Generate JWT hash for invitation
+ * Invitation keyring from the environment, or throwaway keys for a demo
+ * environment without INVITATION_SIGNING_KEYS / INVITATION_ENCRYPTION_KEYS
  */
-function generateJWTHash(invitationData) {
-  const jwtPayload = {
-    iss: 'api.thepia.com',
-    aud: 'flows.thepia.net',
-    sub: invitationData.id,
-    exp: Math.floor(Date.now() / 1000) + 7 * 24 * 60 * 60, // 7 days
-    iat: Math.floor(Date.now() / 1000),
+async function getInvitationKeys() {
+  if (!invitationKeys) {
+    invitationKeys = await loadInvitationKeys(process.env, { allowEphemeral: true });
+    if (invitationKeys.ephemeral) {
+      console.warn(
+        chalk.yellow('⚠️ No invitation keys configured; demo invitation tokens use throwaway keys')
+      );
+    }
+  }
+
+  return invitationKeys;
+}
+
+/**
+ * Issue the signed, encrypted invitation token; api.invitations keeps its hash
+ */
+async function issueDemoInvitationToken(invitationData) {
+  return issueInvitationToken(await getInvitationKeys(), {
+    subject: invitationData.id,
     invitation: {
       invitee: {
         fullName: `${invitationData.firstName} ${invitationData.lastName}`,
@@ -193,13 +205,10 @@ function generateJWTHash(invitationData) {
       },
       position: invitationData.position,
       department: invitationData.department,
+      manager: invitationData.manager,
       type: invitationData.invitationType,
     },
-  };
-
-  // Create a mock JWT (in real implementation, this would be properly signed)
-  const jwtString = JSON.stringify(jwtPayload);
-  return crypto.createHash('sha256').update(jwtString).digest('hex');
+  });
 }
 
 /**
@@ -240,11 +249,11 @@ async function createDemoInvitations(clientId, applications, employees) {
       privateEmail: employee.privateEmail,
       position: employee.position,
       department: employee.department,
+      manager: employee.manager,
       invitationType: invitationType,
     };
 
-    const jwtHash = generateJWTHash(invitationData);
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
+    const { hash: jwtHash, expiresAt } = await issueDemoInvitationToken(invitationData);
 
     const invitation = {
       client_id: clientId,
@@ -264,7 +273,6 @@ async function createDemoInvitations(clientId, applications, employees) {
       client_data: {
         employee_id: employee.id,
         department: employee.department,
-        manager: employee.manager,
         demo_invitation: true,
       },
     };
@@ -1,2 +1,3 @@
 export { default as InvitationActionsDropdown } from './InvitationActionsDropdown.svelte';
 export { default as InvitationStatusBadge } from './InvitationStatusBadge.svelte';
+export { default as InvitationStatusTimeline } from './InvitationStatusTimeline.svelte';
@@ -1,3 +1,4 @@
+import { goto } from '$app/navigation';
 import type { Invitation } from '$lib/types';
 
 /**
@@ -23,12 +24,10 @@ export function useInvitationActions() {
   }
 
   /**
-   * View detailed invitation information
-   * TODO: Open modal with full invitation details
+   * View detailed invitation information and its redemption history
    */
   function viewInvitationDetails(invitation: Invitation): void {
-    console.log('Viewing invitation details:', invitation);
-    // TODO: Implement modal or navigation to detail view
+    goto(`/invitations/${invitation.id}`);
   }
 
   /**
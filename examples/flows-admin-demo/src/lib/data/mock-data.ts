@@ -274,6 +274,8 @@ export const mockInvitations: Invitation[] = [
     createdBy: 'Anna Hansen',
     invitationCode: 'NETS-ONBOARD-A1B2C3',
     applicationId: 'app-onboarding-001',
+    maxUses: 1,
+    usedCount: 0,
   },
   {
     id: 'inv-002',
@@ -290,6 +292,8 @@ export const mockInvitations: Invitation[] = [
     createdBy: 'Erik Larsen',
     invitationCode: 'NETS-OFFBOARD-D4E5F6',
     applicationId: 'app-offboarding-001',
+    maxUses: 1,
+    usedCount: 0,
   },
   {
     id: 'inv-003',
@@ -307,6 +311,8 @@ export const mockInvitations: Invitation[] = [
     createdBy: 'Anna Hansen',
     invitationCode: 'NETS-ONBOARD-G7H8I9',
     applicationId: 'app-onboarding-001',
+    maxUses: 1,
+    usedCount: 0,
   },
 ];
 
@@ -0,0 +1,174 @@
+/**
+ * Bulk invitation import on the server
+ *
+ * Reads a CSV or XLSX sheet, sorts its rows with the shared rules from
+ * @thepia/flows-db/invitations/sheets (validation, duplicates by email_hash,
+ * seats under max_users) and creates the ready rows through
+ * api.import_invitations, which inserts all of them or none.
+ */
+
+import { supabase } from '$lib/supabase';
+import { hashInvitationEmail, invitationLink } from '@thepia/flows-db/invitations';
+import {
+  type ImportCapacity,
+  type ImportRow,
+  type Invitee,
+  classifyInvitees,
+  formatImportResults,
+  readInviteeSheet,
+  validateInvitees,
+} from '@thepia/flows-db/invitations/sheets';
+import { issueInvitation } from './invitations';
+
+export interface InvitationImportRequest {
+  clientId: string;
+  appId: string;
+  invitationType: 'onboarding' | 'offboarding';
+  allowDuplicates: boolean;
+  dryRun: boolean;
+  createdBy: string;
+}
+
+export interface InvitationImportResult {
+  capacity: ImportCapacity;
+  rows: ImportRow[];
+  /** The per-row result file, as CSV */
+  results: string;
+}
+
+/** A failure the admin can fix (bad sheet, seats taken meanwhile) */
+export class InvitationImportError extends Error {
+  constructor(
+    message: string,
+    readonly status: 400 | 409
+  ) {
+    super(message);
+    this.name = 'InvitationImportError';
+  }
+}
+
+/**
+ * Issue tokens for the ready rows and insert them in one call
+ */
+async function createReadyRows(rows: ImportRow[], request: InvitationImportRequest) {
+  const { data: client, error: clientError } = await supabase
+    .from('clients')
+    .select('domain')
+    .eq('id', request.clientId)
+    .single();
+  if (clientError) {
+    throw clientError;
+  }
+
+  const ready = rows.filter((row) => row.status === 'ready');
+  const prepared: { id: string; jwt_token: string; [column: string]: unknown }[] = [];
+  for (const row of ready) {
+    const invitee = row.invitee as Invitee;
+    const id = crypto.randomUUID();
+    const issued = await issueInvitation({
+      subject: id,
+      firstName: invitee.firstName,
+      lastName: invitee.lastName,
+      companyEmail: invitee.companyEmail,
+      privateEmail: invitee.privateEmail ?? '',
+      department: invitee.department ?? '',
+      position: invitee.position ?? '',
+      invitationType: request.invitationType,
+      associationStartDate: invitee.associationStartDate,
+      associationEndDate: invitee.associationEndDate,
+    });
+
+    prepared.push({
+      id,
+      jwt_token: issued.jwtToken,
+      jwt_token_hash: issued.jwtTokenHash,
+      email_hash: issued.emailHash,
+      email_domain: issued.emailDomain,
+      expires_at: issued.expiresAt,
+      client_data: {
+        ...(invitee.department ? { department: invitee.department } : {}),
+        ...(invitee.position ? { position: invitee.position } : {}),
+      },
+    });
+  }
+
+  const { data: created, error } = await supabase.rpc('import_invitations', {
+    p_client_id: request.clientId,
+    p_app_id: request.appId,
+    p_invitations: prepared,
+    p_created_by: request.createdBy,
+  });
+  if (error) {
+    // check_violation: someone took the seats since the preview
+    throw error.code === '23514' ? new InvitationImportError(error.message, 409) : error;
+  }
+
+  const codes = new Map(
+    (created as { id: string; invitation_code: string }[]).map((row, index) => [
+      ready[index],
+      { invitationCode: row.invitation_code, token: prepared[index].jwt_token },
+    ])
+  );
+
+  return rows.map((row): ImportRow => {
+    const issued = codes.get(row);
+    return issued
+      ? {
+          ...row,
+          status: 'created',
+          invitationCode: issued.invitationCode,
+          link: invitationLink(client.domain, issued.invitationCode, issued.token),
+        }
+      : row;
+  });
+}
+
+/**
+ * Preview (dryRun) or run an import of the invitees in `file`
+ */
+export async function importInvitationSheet(
+  file: File,
+  request: InvitationImportRequest
+): Promise<InvitationImportResult> {
+  let invitees: Awaited<ReturnType<typeof readInviteeSheet>>;
+  try {
+    invitees = await readInviteeSheet(new Uint8Array(await file.arrayBuffer()), file.name);
+  } catch (err) {
+    throw new InvitationImportError(err instanceof Error ? err.message : String(err), 400);
+  }
+  if (invitees.length === 0) {
+    throw new InvitationImportError(`${file.name} has no invitees`, 400);
+  }
+
+  const validated = validateInvitees(invitees);
+  const emails = await Promise.all(
+    validated.map(({ invitee, errors }) =>
+      errors.length === 0 && invitee.companyEmail ? hashInvitationEmail(invitee.companyEmail) : null
+    )
+  );
+
+  const [duplicates, capacity] = await Promise.all([
+    supabase.rpc('find_invitation_duplicates', {
+      p_client_id: request.clientId,
+      p_email_hashes: emails.flatMap((email) => (email ? [email.hash] : [])),
+    }),
+    supabase.rpc('invitation_import_capacity', { p_client_id: request.clientId }),
+  ]);
+  if (duplicates.error) {
+    throw duplicates.error;
+  }
+  if (capacity.error) {
+    throw capacity.error;
+  }
+
+  let rows = classifyInvitees(validated, emails, {
+    duplicates: duplicates.data ?? [],
+    capacity: capacity.data,
+    allowDuplicates: request.allowDuplicates,
+  });
+  if (!request.dryRun && rows.some((row) => row.status === 'ready')) {
+    rows = await createReadyRows(rows, request);
+  }
+
+  return { capacity: capacity.data, rows, results: formatImportResults(rows) };
+}
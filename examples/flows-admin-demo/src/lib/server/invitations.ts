@@ -0,0 +1,139 @@
+/**
+ * Invitation tokens on the server
+ *
+ * Invitee names and emails live only in the encrypted invitation token
+ * (api.invitations.jwt_token); client_data rejects them. The keys stay on the
+ * server, so the browser can neither mint tokens nor read invitee details
+ * except through the /api/invitations endpoints.
+ */
+
+import { dev } from '$app/environment';
+import { env } from '$env/dynamic/private';
+import { supabase } from '$lib/supabase';
+import {
+  hashInvitationEmail,
+  issueInvitationToken,
+  loadInvitationKeys,
+  verifyInvitationToken,
+} from '@thepia/flows-db/invitations';
+
+export interface InviteeDetails {
+  companyEmail: string;
+  privateEmail: string;
+  firstName: string;
+  lastName: string;
+}
+
+export interface InvitationTokenRequest extends InviteeDetails {
+  subject: string;
+  department: string;
+  position: string;
+  invitationType: 'onboarding' | 'offboarding';
+  associationStartDate?: string;
+  associationEndDate?: string;
+}
+
+// Loaded on first use. Throwaway keys are only allowed in development, where
+// they last as long as the dev server (tokens issued before a restart no
+// longer decrypt).
+let invitationKeys: ReturnType<typeof loadInvitationKeys> | null = null;
+
+function getInvitationKeys() {
+  invitationKeys ??= loadInvitationKeys(
+    {
+      INVITATION_SIGNING_KEYS: env.INVITATION_SIGNING_KEYS,
+      INVITATION_ENCRYPTION_KEYS: env.INVITATION_ENCRYPTION_KEYS,
+    },
+    { allowEphemeral: dev }
+  );
+  return invitationKeys;
+}
+
+/**
+ * Sign and encrypt an invitation; returns what api.invitations stores
+ */
+export async function issueInvitation(request: InvitationTokenRequest) {
+  const { token, hash, expiresAt } = await issueInvitationToken(await getInvitationKeys(), {
+    subject: request.subject,
+    invitation: {
+      invitee: {
+        fullName: `${request.firstName} ${request.lastName}`,
+        firstName: request.firstName,
+        lastName: request.lastName,
+        companyEmail: request.companyEmail,
+        privateEmail: request.privateEmail,
+      },
+      position: request.position,
+      department: request.department,
+      type: request.invitationType,
+      // Optional association dates
+      ...(request.associationStartDate || request.associationEndDate
+        ? {
+            association: {
+              ...(request.associationStartDate ? { startDate: request.associationStartDate } : {}),
+              ...(request.associationEndDate ? { endDate: request.associationEndDate } : {}),
+            },
+          }
+        : {}),
+    },
+  });
+  const email = await hashInvitationEmail(request.companyEmail);
+
+  return {
+    jwtToken: token,
+    jwtTokenHash: hash,
+    emailHash: email.hash,
+    emailDomain: email.domain,
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Decrypt the invitee out of a token, or null if it does not decrypt and
+ * verify. Expired invitations still show who was invited: the clock is set
+ * back so only the signature, issuer and audience are checked.
+ */
+async function readInvitee(token: string): Promise<InviteeDetails | null> {
+  try {
+    const { payload } = await verifyInvitationToken(await getInvitationKeys(), token, {
+      currentDate: new Date(0),
+    });
+    const invitee = (payload.invitation.invitee ?? {}) as Record<string, string | undefined>;
+    const [firstName = '', ...rest] = (invitee.fullName ?? '').split(' ');
+
+    return {
+      companyEmail: invitee.companyEmail ?? '',
+      privateEmail: invitee.privateEmail ?? '',
+      firstName: invitee.firstName ?? firstName,
+      lastName: invitee.lastName ?? rest.join(' '),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Invitee details for the given invitations, keyed by invitation id.
+ * Invitations without a readable token are left out.
+ */
+export async function readInvitees(invitationIds: string[]) {
+  const { data, error } = await supabase
+    .from('invitations')
+    .select('id, jwt_token')
+    .in('id', invitationIds)
+    .not('jwt_token', 'is', null);
+
+  if (error) {
+    throw error;
+  }
+
+  const invitees: Record<string, InviteeDetails> = {};
+  for (const row of data ?? []) {
+    const invitee = await readInvitee(row.jwt_token);
+    if (invitee) {
+      invitees[row.id] = invitee;
+    }
+  }
+
+  return invitees;
+}
@@ -1,22 +1,37 @@
+import { applications, client } from '$lib/stores/data';
 import { supabase } from '$lib/supabase';
 import type {
   NotificationService as INotificationService,
   Notification,
+  NotificationChannel,
   NotificationDemoConfig,
   NotificationEvent,
   NotificationFilter,
+  NotificationPreferences,
   NotificationPriority,
   NotificationStakeholder,
   NotificationStats,
   NotificationStatus,
   NotificationType,
 } from '$lib/types/notifications';
+import { get } from 'svelte/store';
+
+// Shown for rows written without a sender (the column default in
+// schemas/40_notifications_admin_model.sql)
+const SYSTEM_STAKEHOLDER: NotificationStakeholder = {
+  id: 'system',
+  type: 'system',
+  name: 'Flows System',
+  email: 'system@flows.thepia.net',
+};
 
 class NotificationService implements INotificationService {
   private notifications: Notification[] = [];
   private subscribers: ((notification: Notification) => void)[] = [];
   private statsSubscribers: ((stats: NotificationStats) => void)[] = [];
   private realtimeChannel: any = null;
+  // The signed-in user's preferences per client, once loaded
+  private preferences = new Map<string, NotificationPreferences | null>();
 
   constructor() {
     this.initializeRealtime();
@@ -45,9 +60,13 @@ class NotificationService implements INotificationService {
     console.log('Notification real-time event:', payload);
 
     switch (payload.eventType) {
-      case 'INSERT':
-        this.notifySubscribers(this.mapDbToNotification(payload.new));
+      case 'INSERT': {
+        const notification = this.mapDbToNotification(payload.new);
+        if (this.shouldInterrupt(notification)) {
+          this.notifySubscribers(notification);
+        }
         break;
+      }
       case 'UPDATE':
         this.updateLocalNotification(this.mapDbToNotification(payload.new));
         break;
@@ -60,7 +79,8 @@ class NotificationService implements INotificationService {
   }
 
   private mapDbToNotification(dbRecord: any): Notification {
-    // Map database record to Notification interface
+    // Map database record to Notification interface; the stakeholder, action
+    // and metadata columns are JSONB and arrive parsed
     return {
       id: dbRecord.id,
       type: dbRecord.type,
@@ -69,20 +89,182 @@ class NotificationService implements INotificationService {
       priority: dbRecord.priority,
       status: dbRecord.status,
       channels: dbRecord.channels || ['in_app'],
-      from: JSON.parse(dbRecord.from_stakeholder || '{}'),
-      to: JSON.parse(dbRecord.to_stakeholders || '[]'),
+      from: dbRecord.from_stakeholder || SYSTEM_STAKEHOLDER,
+      to: dbRecord.to_stakeholders || [],
       createdAt: dbRecord.created_at,
-      scheduledFor: dbRecord.scheduled_for,
-      readAt: dbRecord.read_at,
-      archivedAt: dbRecord.archived_at,
-      expiresAt: dbRecord.expires_at,
-      actions: JSON.parse(dbRecord.actions || '[]'),
-      metadata: JSON.parse(dbRecord.metadata || '{}'),
+      scheduledFor: dbRecord.scheduled_for ?? undefined,
+      readAt: dbRecord.read_at ?? undefined,
+      archivedAt: dbRecord.archived_at ?? undefined,
+      expiresAt: dbRecord.expires_at ?? undefined,
+      actions: dbRecord.actions || [],
+      metadata: dbRecord.metadata || {},
       clientId: dbRecord.client_id,
-      applicationId: dbRecord.application_id,
+      applicationId: dbRecord.application_id ?? '',
+      userId: dbRecord.user_id ?? undefined,
     };
   }
 
+  private mapDbToPreferences(dbRecord: any): NotificationPreferences {
+    return {
+      userId: dbRecord.user_id,
+      clientId: dbRecord.client_id,
+      typeChannels: dbRecord.type_channels || {},
+      priorityChannels: dbRecord.priority_channels || {},
+      quietHoursEnabled: dbRecord.quiet_hours_enabled,
+      quietHoursStart: dbRecord.quiet_hours_start?.slice(0, 5),
+      quietHoursEnd: dbRecord.quiet_hours_end?.slice(0, 5),
+      timezone: dbRecord.timezone,
+      digestMode: dbRecord.digest_mode,
+      digestTime: dbRecord.digest_time.slice(0, 5),
+      digestDay: dbRecord.digest_day,
+      enableUrgentOverride: dbRecord.urgent_override,
+    };
+  }
+
+  async getPreferences(clientId: string): Promise<NotificationPreferences | null> {
+    if (this.preferences.has(clientId)) {
+      return this.preferences.get(clientId) ?? null;
+    }
+
+    try {
+      // Row level security only returns the signed-in user's own
+      const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('client_id', clientId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching notification preferences:', error);
+        return null;
+      }
+
+      const preferences = data ? this.mapDbToPreferences(data) : null;
+      this.preferences.set(clientId, preferences);
+      return preferences;
+    } catch (error) {
+      console.error('Error in getPreferences:', error);
+      return null;
+    }
+  }
+
+  async updatePreferences(preferences: NotificationPreferences): Promise<void> {
+    try {
+      // user_id defaults to the signed-in user
+      const { data, error } = await supabase
+        .from('notification_preferences')
+        .upsert(
+          {
+            user_id: preferences.userId || undefined,
+            client_id: preferences.clientId,
+            type_channels: preferences.typeChannels,
+            priority_channels: preferences.priorityChannels,
+            quiet_hours_enabled: preferences.quietHoursEnabled,
+            quiet_hours_start: preferences.quietHoursStart ?? null,
+            quiet_hours_end: preferences.quietHoursEnd ?? null,
+            timezone: preferences.timezone,
+            digest_mode: preferences.digestMode,
+            digest_time: preferences.digestTime,
+            digest_day: preferences.digestDay,
+            urgent_override: preferences.enableUrgentOverride,
+          },
+          { onConflict: 'user_id,client_id' }
+        )
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error saving notification preferences:', error);
+        return;
+      }
+
+      this.preferences.set(preferences.clientId, this.mapDbToPreferences(data));
+    } catch (error) {
+      console.error('Error in updatePreferences:', error);
+    }
+  }
+
+  // The channels of a notification the user's preferences allow. Notifications
+  // for one user were routed when inserted; this covers those for the whole
+  // client too.
+  private routedChannels(
+    notification: Notification,
+    preferences: NotificationPreferences
+  ): NotificationChannel[] {
+    const byType = preferences.typeChannels[notification.type];
+    const byPriority = preferences.priorityChannels[notification.priority];
+
+    return notification.channels.filter(
+      (channel) =>
+        (!byType || byType.includes(channel)) && (!byPriority || byPriority.includes(channel))
+    );
+  }
+
+  private inQuietHours(preferences: NotificationPreferences, at = new Date()): boolean {
+    const { quietHoursEnabled, quietHoursStart, quietHoursEnd, timezone } = preferences;
+    if (!quietHoursEnabled || !quietHoursStart || !quietHoursEnd) {
+      return false;
+    }
+
+    const time = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).format(at);
+
+    // Quiet hours such as 22:00-07:00 run over midnight
+    return quietHoursStart < quietHoursEnd
+      ? time >= quietHoursStart && time < quietHoursEnd
+      : time >= quietHoursStart || time < quietHoursEnd;
+  }
+
+  // Whether the inbox shows a notification: it is due and the user gets it in the app
+  private isVisibleInApp(notification: Notification): boolean {
+    if (notification.scheduledFor && new Date(notification.scheduledFor) > new Date()) {
+      return false;
+    }
+
+    const preferences = this.preferences.get(notification.clientId);
+    return !preferences || this.routedChannels(notification, preferences).includes('in_app');
+  }
+
+  // Whether a new notification may pop up now. Low and medium priority ones
+  // wait for the digest; quiet hours hold everything but urgent compliance
+  // notifications, unless the user turned that off.
+  private shouldInterrupt(notification: Notification): boolean {
+    if (!this.isVisibleInApp(notification)) {
+      return false;
+    }
+
+    const preferences = this.preferences.get(notification.clientId);
+    if (!preferences) {
+      return true;
+    }
+    if (preferences.digestMode !== 'off' && ['low', 'medium'].includes(notification.priority)) {
+      return false;
+    }
+
+    const override =
+      notification.priority === 'urgent' &&
+      notification.metadata?.compliance === true &&
+      preferences.enableUrgentOverride;
+    return override || !this.inQuietHours(preferences);
+  }
+
+  // Change the status of notifications through the status functions, which
+  // only touch those the signed-in user can see
+  private async setStatus(ids: string[], status: NotificationStatus): Promise<void> {
+    const { error } = await supabase.rpc('set_notifications_status', {
+      notification_ids: ids,
+      new_status: status,
+    });
+
+    if (error) {
+      console.error(`Error marking notifications as ${status}:`, error);
+    }
+  }
+
   async getNotifications(filter?: NotificationFilter): Promise<Notification[]> {
     try {
       let query = supabase
@@ -121,7 +303,14 @@ class NotificationService implements INotificationService {
         return this.getFallbackNotifications(filter);
       }
 
-      const notifications = data?.map(this.mapDbToNotification) || [];
+      const clientId = filter?.clientId ?? get(client)?.id;
+      if (clientId) {
+        await this.getPreferences(clientId);
+      }
+
+      const notifications = (data?.map(this.mapDbToNotification) || []).filter((notification) =>
+        this.isVisibleInApp(notification)
+      );
       this.notifications = notifications;
       return notifications;
     } catch (error) {
@@ -167,98 +356,79 @@ class NotificationService implements INotificationService {
 
   async markAsRead(id: string): Promise<void> {
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .update({
-          status: 'read',
-          read_at: new Date().toISOString(),
-        })
-        .eq('id', id);
-
-      if (error) {
-        console.error('Error marking notification as read:', error);
-      }
-
-      // Update local state
-      this.updateLocalNotificationStatus(id, 'read');
+      await this.setStatus([id], 'read');
     } catch (error) {
       console.error('Error in markAsRead:', error);
-      this.updateLocalNotificationStatus(id, 'read');
     }
+
+    this.updateLocalNotificationStatus(id, 'read');
   }
 
   async markAsUnread(id: string): Promise<void> {
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .update({
-          status: 'unread',
-          read_at: null,
-        })
-        .eq('id', id);
-
-      if (error) {
-        console.error('Error marking notification as unread:', error);
-      }
-
-      this.updateLocalNotificationStatus(id, 'unread');
+      await this.setStatus([id], 'unread');
     } catch (error) {
       console.error('Error in markAsUnread:', error);
-      this.updateLocalNotificationStatus(id, 'unread');
     }
+
+    this.updateLocalNotificationStatus(id, 'unread');
   }
 
   async archiveNotification(id: string): Promise<void> {
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .update({
-          status: 'archived',
-          archived_at: new Date().toISOString(),
-        })
-        .eq('id', id);
-
-      if (error) {
-        console.error('Error archiving notification:', error);
-      }
-
-      this.updateLocalNotificationStatus(id, 'archived');
+      await this.setStatus([id], 'archived');
     } catch (error) {
       console.error('Error in archiveNotification:', error);
-      this.updateLocalNotificationStatus(id, 'archived');
     }
+
+    this.updateLocalNotificationStatus(id, 'archived');
   }
 
   async dismissNotification(id: string): Promise<void> {
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .update({ status: 'dismissed' })
-        .eq('id', id);
-
-      if (error) {
-        console.error('Error dismissing notification:', error);
-      }
-
-      this.updateLocalNotificationStatus(id, 'dismissed');
+      await this.setStatus([id], 'dismissed');
     } catch (error) {
       console.error('Error in dismissNotification:', error);
-      this.updateLocalNotificationStatus(id, 'dismissed');
     }
+
+    this.updateLocalNotificationStatus(id, 'dismissed');
   }
 
   async markAllAsRead(filter?: NotificationFilter): Promise<void> {
-    const notifications = await this.getNotifications(filter);
-    const unreadIds = notifications.filter((n) => n.status === 'unread').map((n) => n.id);
+    await this.setAllStatus('mark_all_notifications_read', filter);
 
-    await Promise.all(unreadIds.map((id) => this.markAsRead(id)));
+    this.getFallbackNotifications(filter)
+      .filter((n) => n.status === 'unread')
+      .forEach((n) => this.updateLocalNotificationStatus(n.id, 'read'));
   }
 
   async archiveAll(filter?: NotificationFilter): Promise<void> {
-    const notifications = await this.getNotifications(filter);
-    const activeIds = notifications.filter((n) => n.status !== 'archived').map((n) => n.id);
+    await this.setAllStatus('archive_all_notifications', filter);
+
+    this.getFallbackNotifications(filter)
+      .filter((n) => n.status === 'unread' || n.status === 'read')
+      .forEach((n) => this.updateLocalNotificationStatus(n.id, 'archived'));
+  }
+
+  // Run a bulk status function for every notification matching the filter
+  private async setAllStatus(
+    fn: 'mark_all_notifications_read' | 'archive_all_notifications',
+    filter?: NotificationFilter
+  ): Promise<void> {
+    try {
+      const { error } = await supabase.rpc(fn, {
+        client_id: filter?.clientId ?? null,
+        application_id: filter?.applicationId ?? null,
+        types: filter?.type ?? null,
+        priorities: filter?.priority ?? null,
+      });
 
-    await Promise.all(activeIds.map((id) => this.archiveNotification(id)));
+      if (error) {
+        console.error(`Error in ${fn}:`, error);
+      }
+    } catch (error) {
+      console.error(`Error in ${fn}:`, error);
+    }
   }
 
   async getStats(filter?: NotificationFilter): Promise<NotificationStats> {
@@ -303,10 +473,11 @@ class NotificationService implements INotificationService {
   }
 
   async generateDemoNotifications(count: number = 25): Promise<Notification[]> {
-    const demoNotifications = this.createDemoNotifications(count);
+    let demoNotifications = this.createDemoNotifications(count);
 
     try {
-      // Try to insert into database
+      // Persist for the loaded client, so they survive a reload and reach
+      // other sessions through realtime
       const dbRecords = demoNotifications.map((notification) => ({
         id: notification.id,
         type: notification.type,
@@ -315,27 +486,30 @@ class NotificationService implements INotificationService {
         priority: notification.priority,
         status: notification.status,
         channels: notification.channels,
-        from_stakeholder: JSON.stringify(notification.from),
-        to_stakeholders: JSON.stringify(notification.to),
+        from_stakeholder: notification.from,
+        to_stakeholders: notification.to,
         created_at: notification.createdAt,
-        scheduled_for: notification.scheduledFor,
-        expires_at: notification.expiresAt,
-        actions: JSON.stringify(notification.actions || []),
-        metadata: JSON.stringify(notification.metadata || {}),
+        scheduled_for: notification.scheduledFor ?? null,
+        read_at: notification.readAt ?? null,
+        expires_at: notification.expiresAt ?? null,
+        actions: notification.actions || [],
+        metadata: notification.metadata || {},
         client_id: notification.clientId,
-        application_id: notification.applicationId,
+        application_id: notification.applicationId || null,
       }));
 
-      const { error } = await supabase.from('notifications').upsert(dbRecords);
+      const { data, error } = await supabase.from('notifications').insert(dbRecords).select();
 
       if (error) {
         console.error('Error inserting demo notifications:', error);
+      } else if (data) {
+        demoNotifications = data.map(this.mapDbToNotification);
       }
     } catch (error) {
       console.error('Error in generateDemoNotifications:', error);
     }
 
-    // Always update local state
+    // Keep them locally too, in case the database is not available
     this.notifications = [...this.notifications, ...demoNotifications];
     this.notifyStatsSubscribers();
 
@@ -365,9 +539,18 @@ class NotificationService implements INotificationService {
     const notifications: Notification[] = [];
     const now = new Date();
 
+    // The loaded client and its onboarding application
+    const currentClient = get(client);
+    const apps = get(applications);
+    const application = apps.find((app) => app.type === 'onboarding') ?? apps[0];
+    const context = {
+      clientId: currentClient?.id ?? '',
+      applicationId: application?.id ?? '',
+    };
+
     for (let i = 0; i < count; i++) {
       const createdAt = new Date(now.getTime() - Math.random() * 7 * 24 * 60 * 60 * 1000); // Random within last week
-      const notification = this.generateRandomNotification(stakeholders, createdAt);
+      const notification = this.generateRandomNotification(stakeholders, createdAt, context);
       notifications.push(notification);
     }
 
@@ -411,7 +594,8 @@ class NotificationService implements INotificationService {
 
   private generateRandomNotification(
     stakeholders: NotificationStakeholder[],
-    createdAt: Date
+    createdAt: Date,
+    context: { clientId: string; applicationId: string }
   ): Notification {
     const scenarios = [
       {
@@ -484,7 +668,7 @@ class NotificationService implements INotificationService {
     const isRead = Math.random() > 0.6; // 40% chance of being read
 
     return {
-      id: `demo-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      id: crypto.randomUUID(),
       type: scenario.type,
       title: scenario.title,
       message: scenario.message,
@@ -511,8 +695,8 @@ class NotificationService implements INotificationService {
         processId: `process-${Math.floor(Math.random() * 1000)}`,
         personId: `person-${Math.floor(Math.random() * 100)}`,
       },
-      clientId: 'hygge-hvidlog',
-      applicationId: 'onboarding',
+      clientId: context.clientId,
+      applicationId: context.applicationId,
     };
   }
 
@@ -5,25 +5,18 @@ import { supabase } from '../supabase.js';
 import type {
   Application,
   Client,
+  DemoRequest,
   DocumentStatus,
   Employee,
   EmployeeEnrollment,
   Invitation,
+  InvitationRedemption,
+  InvitationStatusChange,
   Person,
   PersonEnrollment,
   TaskStatus,
 } from '../types.js';
 
-// Simple hash function for browser (demo purposes)
-async function generateSimpleHash(input: string): Promise<string> {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(input);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
-  return hashHex;
-}
-
 // Store state with progress tracking
 export const loading = writable(false);
 export const loadingProgress = writable({
@@ -153,16 +146,17 @@ function transformToEmployeeEnrollment(
   };
 }
 
-// Helper function to transform database invitation to UI format
+// Helper function to transform database invitation to UI format. Invitee
+// names and emails are not in the row; withInviteeDetails() fills them in.
 function transformInvitation(dbInvitation: any): Invitation {
   const clientData = dbInvitation.client_data || {};
 
   return {
     id: dbInvitation.id,
-    companyEmail: clientData.company_email || '',
-    privateEmail: clientData.private_email || '',
-    firstName: clientData.first_name || '',
-    lastName: clientData.last_name || '',
+    companyEmail: '',
+    privateEmail: '',
+    firstName: '',
+    lastName: '',
     department: clientData.department || '',
     position: clientData.position || '',
     invitationType: dbInvitation.app_code === 'onboarding' ? 'onboarding' : 'offboarding',
@@ -174,9 +168,70 @@ function transformInvitation(dbInvitation: any): Invitation {
     createdBy: dbInvitation.created_by,
     invitationCode: dbInvitation.invitation_code || '',
     applicationId: dbInvitation.app_id,
+    maxUses: dbInvitation.max_uses ?? 1,
+    usedCount: dbInvitation.used_count ?? 0,
+    cohort: clientData.cohort,
+  };
+}
+
+// Helper function to transform a demo_requests_admin row to UI format
+function transformDemoRequest(dbRequest: any): DemoRequest {
+  return {
+    id: dbRequest.id,
+    invitationCode: dbRequest.invitation_code,
+    status: dbRequest.status,
+    company: dbRequest.company ?? undefined,
+    emailDomain: dbRequest.email_domain ?? undefined,
+    role: dbRequest.role ?? undefined,
+    teamSize: dbRequest.team_size ?? undefined,
+    timeline: dbRequest.timeline ?? undefined,
+    demoDuration: dbRequest.demo_duration ?? undefined,
+    comment: dbRequest.comment ?? undefined,
+    source: dbRequest.source ?? undefined,
+    spamScore: dbRequest.spam_score ?? 0,
+    spamStatus: dbRequest.spam_status ?? undefined,
+    spamReasons: Object.values<any>(dbRequest.spam_breakdown?.rules ?? {})
+      .filter((rule) => rule.points > 0)
+      .map((rule) => `${rule.reason} (+${rule.points})`),
+    createdAt: dbRequest.created_at,
+    notification: dbRequest.message_template
+      ? {
+          template: dbRequest.message_template,
+          status: dbRequest.notification_status,
+          triggeredBy: dbRequest.notification_triggered_by ?? undefined,
+          triggeredAt: dbRequest.notification_triggered_at ?? undefined,
+        }
+      : undefined,
+    reviewedBy: dbRequest.reviewed_by ?? undefined,
+    reviewedAt: dbRequest.reviewed_at ?? undefined,
+    reviewReason: dbRequest.review_reason ?? undefined,
   };
 }
 
+type InviteeDetails = Pick<Invitation, 'companyEmail' | 'privateEmail' | 'firstName' | 'lastName'>;
+
+// Fill in invitee details, which the server decrypts from each invitation's token
+async function withInviteeDetails(list: Invitation[]): Promise<Invitation[]> {
+  if (list.length === 0) return list;
+
+  try {
+    const response = await fetch('/api/invitations/invitees', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: list.map((invitation) => invitation.id) }),
+    });
+    if (!response.ok) {
+      throw new Error(`Invitee lookup failed: ${response.status}`);
+    }
+
+    const { invitees } = (await response.json()) as { invitees: Record<string, InviteeDetails> };
+    return list.map((invitation) => ({ ...invitation, ...invitees[invitation.id] }));
+  } catch (err) {
+    console.warn('Could not load invitee details:', err);
+    return list;
+  }
+}
+
 // Load all clients from Supabase
 export async function loadAllClients() {
   try {
@@ -582,7 +637,7 @@ async function loadClientSpecificData(clientId: string) {
           }
           return transformed;
         });
-        invitations.set(transformedInvitations);
+        invitations.set(await withInviteeDetails(transformedInvitations));
       }
     }
   } catch (err) {
@@ -733,6 +788,119 @@ export function getEmployeeInvitations(employeeId: string) {
   return result;
 }
 
+// Load the redemption attempts of one invitation, newest first
+export async function loadInvitationRedemptions(
+  invitationId: string
+): Promise<InvitationRedemption[]> {
+  const { data, error: redemptionsError } = await supabase
+    .from('invitation_redemptions')
+    .select('id, user_id, attempted_at, outcome, denial_codes, ip_hash, use_number')
+    .eq('invitation_id', invitationId)
+    .order('attempted_at', { ascending: false })
+    .limit(100);
+
+  if (redemptionsError) {
+    await reportSupabaseError('invitation_redemptions', 'select', redemptionsError, {
+      invitationId,
+    });
+    throw redemptionsError;
+  }
+
+  return (data ?? []).map((row) => ({
+    id: row.id,
+    userId: row.user_id ?? undefined,
+    attemptedAt: row.attempted_at,
+    outcome: row.outcome,
+    denialCodes: row.denial_codes ?? [],
+    ipHash: row.ip_hash ?? undefined,
+    useNumber: row.use_number ?? undefined,
+  }));
+}
+
+// Load the status history of one invitation, oldest first
+export async function loadInvitationStatusHistory(
+  invitationId: string
+): Promise<InvitationStatusChange[]> {
+  const { data, error: historyError } = await supabase
+    .from('invitation_status_history')
+    .select('id, from_status, to_status, changed_by, reason, changed_at')
+    .eq('invitation_id', invitationId)
+    .order('changed_at', { ascending: true });
+
+  if (historyError) {
+    await reportSupabaseError('invitation_status_history', 'select', historyError, {
+      invitationId,
+    });
+    throw historyError;
+  }
+
+  return (data ?? []).map((row) => ({
+    id: row.id,
+    fromStatus: row.from_status ?? undefined,
+    toStatus: row.to_status,
+    changedBy: row.changed_by,
+    reason: row.reason ?? undefined,
+    changedAt: row.changed_at,
+  }));
+}
+
+// Load demo requests, least likely spam first and newest first within a score
+export async function loadDemoRequests(): Promise<DemoRequest[]> {
+  const { data, error: requestsError } = await supabase
+    .from('demo_requests_admin')
+    .select(
+      'id, invitation_code, status, company, email_domain, role, team_size, timeline, demo_duration, comment, source, spam_score, spam_status, spam_breakdown, created_at, message_template, notification_status, notification_triggered_by, notification_triggered_at, reviewed_by, reviewed_at, review_reason'
+    )
+    .order('spam_score', { ascending: true })
+    .order('created_at', { ascending: false })
+    .limit(500);
+
+  if (requestsError) {
+    await reportSupabaseError('demo_requests_admin', 'select', requestsError);
+    throw requestsError;
+  }
+
+  return (data ?? []).map(transformDemoRequest);
+}
+
+// Approve demo requests and queue their invitation_approved notifications;
+// all of them or none
+export async function approveDemoRequests(
+  ids: string[],
+  options: { note?: string; reviewedBy?: string } = {}
+): Promise<void> {
+  const { error: approveError } = await supabase.rpc('approve_demo_requests', {
+    invitation_ids: ids,
+    reviewed_by: options.reviewedBy ?? 'admin@thepia.com', // In production, the current user
+    note: options.note || null,
+  });
+
+  if (approveError) {
+    await reportSupabaseError('demo_requests_admin', 'approve', approveError, { ids });
+    throw approveError;
+  }
+}
+
+// Reject demo requests with a reason, optionally telling the requesters;
+// all of them or none
+export async function rejectDemoRequests(
+  ids: string[],
+  reason: string,
+  options: { notify?: boolean; reviewedBy?: string } = {}
+): Promise<void> {
+  const { error: rejectError } = await supabase.rpc('reject_demo_requests', {
+    invitation_ids: ids,
+    reason,
+    reviewed_by: options.reviewedBy ?? 'admin@thepia.com', // In production, the current user
+    notify: options.notify ?? false,
+  });
+
+  if (rejectError) {
+    await reportSupabaseError('demo_requests_admin', 'reject', rejectError, { ids });
+    throw rejectError;
+  }
+}
+
 // Helper function to get application by type
 export function getApplicationByType(type: 'onboarding' | 'offboarding') {
   let result: Application | undefined;
@@ -772,62 +940,38 @@ export async function createInvitation(invitationData: {
     // Generate invitation code (uppercase per database constraint)
     const invitationCode = `${currentClient.code.toUpperCase()}-${Date.now()}`;
 
-    // Generate JWT token with proper structure
-    const timestamp = Date.now();
-    const jwtPayload = {
-      iss: 'api.thepia.com',
-      aud: 'flows.thepia.net',
-      sub: `inv-${invitationCode}`,
-      exp: Math.floor((Date.now() + 7 * 24 * 60 * 60 * 1000) / 1000), // 7 days
-      iat: Math.floor(Date.now() / 1000),
-      invitation: {
-        invitee: {
-          fullName: `${invitationData.firstName} ${invitationData.lastName}`,
-          companyEmail: invitationData.companyEmail,
-          privateEmail: invitationData.privateEmail,
-        },
-        position: invitationData.position,
-        department: invitationData.department,
-        type: invitationData.invitationType,
-        // Optional association dates
-        ...(invitationData.associationStartDate || invitationData.associationEndDate
-          ? {
-              association: {
-                ...(invitationData.associationStartDate
-                  ? { startDate: invitationData.associationStartDate }
-                  : {}),
-                ...(invitationData.associationEndDate
-                  ? { endDate: invitationData.associationEndDate }
-                  : {}),
-              },
-            }
-          : {}),
-      },
-    };
-
-    // Generate JWT token hash
-    const jwtTokenHash = await generateSimpleHash(JSON.stringify(jwtPayload));
-
-    // Set expiration date (7 days from now)
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 7);
+    // The server signs and encrypts the token; invitee PII exists only inside it
+    const response = await fetch('/api/invitations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...invitationData, subject: `inv-${invitationCode}` }),
+    });
+    if (!response.ok) {
+      throw new Error(`Could not issue invitation token: ${await response.text()}`);
+    }
+    const issued: {
+      jwtToken: string;
+      jwtTokenHash: string;
+      emailHash: string;
+      emailDomain: string;
+      expiresAt: string;
+    } = await response.json();
 
     // Prepare invitation data for database
     const dbInvitationData = {
       client_id: currentClient.id,
       app_id: application.id,
       invitation_code: invitationCode,
-      jwt_token_hash: jwtTokenHash,
+      jwt_token: issued.jwtToken,
+      jwt_token_hash: issued.jwtTokenHash,
+      email_hash: issued.emailHash,
+      email_domain: issued.emailDomain,
       client_data: {
-        company_email: invitationData.companyEmail,
-        private_email: invitationData.privateEmail,
-        first_name: invitationData.firstName,
-        last_name: invitationData.lastName,
         department: invitationData.department,
         position: invitationData.position,
       },
       status: 'pending',
-      expires_at: expiresAt.toISOString(),
+      expires_at: issued.expiresAt,
       created_by: 'admin@thepia.com', // In production, this would be the current user
     };
 
@@ -851,8 +995,14 @@ export async function createInvitation(invitationData: {
       throw error;
     }
 
-    // Transform to UI format
-    const transformedInvitation = transformInvitation(newInvitation);
+    // Transform to UI format; the invitee details are the ones just entered
+    const transformedInvitation: Invitation = {
+      ...transformInvitation(newInvitation),
+      companyEmail: invitationData.companyEmail,
+      privateEmail: invitationData.privateEmail,
+      firstName: invitationData.firstName,
+      lastName: invitationData.lastName,
+    };
     if (newInvitation.client_applications?.app_code) {
       transformedInvitation.invitationType =
         newInvitation.client_applications.app_code === 'onboarding' ? 'onboarding' : 'offboarding';
@@ -4,7 +4,7 @@ export interface Client {
   legal_name: string;
   industry?: string;
   domain?: string;
-  tier: 'free' | 'pro' | 'enterprise';
+  tier: string; // tier_code in api.client_tiers
   status: 'active' | 'suspended' | 'inactive';
   created_at: string;
   updated_at: string;
@@ -0,0 +1,55 @@
+import { reportSupabaseError } from '$lib/config/errorReporting';
+import { supabase } from '$lib/supabase';
+import type { ClientTier } from './tier.types';
+
+export class TierService {
+  /**
+   * Load the tier catalogue, including retired tiers that clients may still be on
+   */
+  async loadTiers(): Promise<ClientTier[]> {
+    try {
+      const { data, error } = await supabase
+        .from('client_tiers')
+        .select('*')
+        .order('price_monthly', { ascending: true });
+
+      if (error) {
+        await reportSupabaseError('client_tiers', 'select', error, {
+          operation: 'loadTiers',
+        });
+        throw new Error(`Failed to load tiers: ${error.message}`);
+      }
+
+      // numeric columns arrive as strings from PostgREST
+      return (data || []).map((tier) => ({
+        ...tier,
+        price_monthly: Number(tier.price_monthly),
+        tfc_discount_percentage: Number(tier.tfc_discount_percentage),
+      }));
+    } catch (error) {
+      await reportSupabaseError('client_tiers', 'select', error, {
+        operation: 'loadTiers',
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Badge colour for a tier; custom tiers share one colour
+   */
+  getTierBadgeClass(tier: ClientTier | undefined): string {
+    if (!tier) return 'bg-gray-100 text-gray-800';
+    if (tier.is_custom) return 'bg-amber-100 text-amber-800';
+    if (tier.tier_code === 'enterprise') return 'bg-purple-100 text-purple-800';
+    if (tier.tier_code === 'pro') return 'bg-blue-100 text-blue-800';
+    return 'bg-gray-100 text-gray-800';
+  }
+
+  /**
+   * Monthly price as shown to customers, e.g. "USD 25/month"
+   */
+  formatPrice(tier: ClientTier): string {
+    if (tier.price_monthly === 0) return 'Free';
+    return `${tier.currency} ${tier.price_monthly.toLocaleString()}/month`;
+  }
+}
@@ -0,0 +1,76 @@
+import { derived, get, writable } from 'svelte/store';
+import { TierService } from './tier.service';
+import type { ClientTier, TierState } from './tier.types';
+
+// Service instance
+const tierService = new TierService();
+
+// Base state
+const state = writable<TierState>({
+  tiers: [],
+  loading: false,
+  error: null,
+});
+
+// Derived stores
+export const tiers = derived(state, ($state) => $state.tiers);
+export const loading = derived(state, ($state) => $state.loading);
+export const error = derived(state, ($state) => $state.error);
+
+export const tiersByCode = derived(
+  tiers,
+  ($tiers) =>
+    Object.fromEntries($tiers.map((tier) => [tier.tier_code, tier])) as Record<string, ClientTier>
+);
+
+export const activeTiers = derived(tiers, ($tiers) => $tiers.filter((tier) => tier.is_active));
+
+// Actions
+const actions = {
+  async loadTiers() {
+    state.update((s) => ({ ...s, loading: true, error: null }));
+
+    try {
+      const tiers = await tierService.loadTiers();
+      state.update((s) => ({ ...s, tiers, loading: false }));
+    } catch (error) {
+      state.update((s) => ({
+        ...s,
+        loading: false,
+        error: error instanceof Error ? error.message : 'Failed to load tiers',
+      }));
+    }
+  },
+
+  /**
+   * Load the catalogue once; tiers rarely change during a session
+   */
+  async ensureLoaded() {
+    const current = get(state);
+    if (current.tiers.length === 0 && !current.loading) {
+      await actions.loadTiers();
+    }
+  },
+};
+
+// Export the complete store interface
+export const tierStore = {
+  // State
+  subscribe: state.subscribe,
+
+  // Derived values
+  tiers,
+  tiersByCode,
+  activeTiers,
+  loading,
+  error,
+
+  // Actions
+  actions,
+};
+
+// Export individual actions for convenience
+export const { loadTiers, ensureLoaded } = actions;
+
+// Export service for advanced use cases
+export { tierService };
@@ -0,0 +1,26 @@
+/**
+ * A row of api.client_tiers: the limits, feature flags, pricing and TFC
+ * allowances every client on the tier gets
+ */
+export interface ClientTier {
+  tier_code: string;
+  name: string;
+  description: string | null;
+  max_users: number;
+  max_storage_gb: number;
+  features: string[];
+  price_monthly: number;
+  currency: 'EUR' | 'CHF' | 'USD';
+  tfc_monthly_allowance: number;
+  tfc_discount_percentage: number;
+  is_custom: boolean;
+  is_active: boolean;
+  version: number;
+  updated_at: string;
+}
+
+export interface TierState {
+  tiers: ClientTier[];
+  loading: boolean;
+  error: string | null;
+}
@@ -81,6 +81,64 @@ export interface Invitation {
   createdBy: string;
   invitationCode?: string;
   applicationId: string;
+  maxUses: number;
+  usedCount: number;
+  /** Set on a cohort link, one invitation shared by a group */
+  cohort?: string;
+}
+
+/** One status an invitation moved into, from api.invitation_status_history */
+export interface InvitationStatusChange {
+  id: string;
+  /** Unset for the status the invitation was created in */
+  fromStatus?: string;
+  toStatus: string;
+  changedBy: string;
+  reason?: string;
+  changedAt: string;
+}
+
+/** A demo request in the review queue, from api.demo_requests_admin */
+export interface DemoRequest {
+  id: string;
+  invitationCode: string;
+  status: string;
+  company?: string;
+  emailDomain?: string;
+  role?: string;
+  teamSize?: string;
+  timeline?: string;
+  demoDuration?: string;
+  /** The requester's message */
+  comment?: string;
+  source?: string;
+  spamScore: number;
+  spamStatus?: string;
+  /** Why the spam filter scored it: the reason of each rule that gave points */
+  spamReasons: string[];
+  createdAt: string;
+  /** The notification queued for the requester, once decided */
+  notification?: {
+    template: string;
+    status: string;
+    triggeredBy?: string;
+    triggeredAt?: string;
+  };
+  reviewedBy?: string;
+  reviewedAt?: string;
+  reviewReason?: string;
+}
+
+/** One attempt to redeem an invitation, from api.invitation_redemptions */
+export interface InvitationRedemption {
+  id: string;
+  userId?: string;
+  attemptedAt: string;
+  outcome: 'redeemed' | 'denied';
+  denialCodes: string[];
+  /** SHA-256 of the invitation id and the IP address */
+  ipHash?: string;
+  useNumber?: number;
 }
 
 export interface Client {
@@ -43,6 +43,8 @@ export interface NotificationMetadata {
   invitationId?: string;
   applicationId?: string;
   clientId?: string;
+  compliance?: boolean; // Urgent compliance notifications may override quiet hours
+  heldFor?: 'digest' | 'quiet_hours'; // Why scheduledFor was moved by the user's preferences
 }
 
 export interface Notification {
@@ -72,25 +74,32 @@ export interface Notification {
   // Client context
   clientId: string;
   applicationId: string;
+  userId?: string; // Set when the notification is for one user rather than the whole client
 }
 
+export type NotificationDigestMode = 'off' | 'daily' | 'weekly';
+
+// A user's preferences at a client (api.notification_preferences)
 export interface NotificationPreferences {
   userId: string;
   clientId: string;
 
-  // Channel preferences by notification type
-  channelPreferences: Record<NotificationType, NotificationChannel[]>;
+  // Channels each type and priority may use; without an entry, every channel
+  typeChannels: Partial<Record<NotificationType, NotificationChannel[]>>;
+  priorityChannels: Partial<Record<NotificationPriority, NotificationChannel[]>>;
 
-  // General settings
-  enableBatching: boolean;
-  batchingInterval: number; // minutes
+  // Quiet hours, in the user's timezone
   quietHoursEnabled: boolean;
   quietHoursStart?: string; // HH:MM format
   quietHoursEnd?: string; // HH:MM format
   timezone: string;
 
-  // Frequency limits
-  maxDailyNotifications: number;
+  // Low and medium priority notifications wait for the digest
+  digestMode: NotificationDigestMode;
+  digestTime: string; // HH:MM format
+  digestDay: number; // ISO day of the week for weekly digests, 1 = Monday
+
+  // Urgent compliance notifications come through quiet hours
   enableUrgentOverride: boolean;
 }
 
@@ -132,6 +141,10 @@ export interface NotificationService {
   // Statistics and analytics
   getStats(filter?: NotificationFilter): Promise<NotificationStats>;
 
+  // Preferences of the signed-in user
+  getPreferences(clientId: string): Promise<NotificationPreferences | null>;
+  updatePreferences(preferences: NotificationPreferences): Promise<void>;
+
   // Real-time subscriptions
   subscribe(callback: (notification: Notification) => void): () => void;
   subscribeToStats(callback: (stats: NotificationStats) => void): () => void;
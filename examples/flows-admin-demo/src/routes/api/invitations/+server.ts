@@ -0,0 +1,24 @@
+/**
+ * Issue an invitation token
+ *
+ * POST the invitee and invitation details; responds with the encrypted token,
+ * its hash, the invitee's email_hash / email_domain and the expiry, ready to
+ * insert into api.invitations.
+ */
+
+import { type InvitationTokenRequest, issueInvitation } from '$lib/server/invitations';
+import { error, json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+
+const REQUIRED_FIELDS = ['subject', 'firstName', 'lastName', 'companyEmail', 'invitationType'];
+
+export const POST: RequestHandler = async ({ request }) => {
+  const body = (await request.json()) as InvitationTokenRequest;
+
+  const missing = REQUIRED_FIELDS.filter((field) => !body[field as keyof InvitationTokenRequest]);
+  if (missing.length > 0) {
+    error(400, `Missing ${missing.join(', ')}`);
+  }
+
+  return json(await issueInvitation(body));
+};
@@ -0,0 +1,45 @@
+/**
+ * Bulk import invitations
+ *
+ * POST multipart form data: file (CSV or XLSX), clientId, appId,
+ * invitationType, allowDuplicates, dryRun and createdBy. Responds with the
+ * seats, one result per row and the result file as CSV. With dryRun=true
+ * nothing is created.
+ */
+
+import { InvitationImportError, importInvitationSheet } from '$lib/server/invitationImport';
+import { error, json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+
+const REQUIRED_FIELDS = ['clientId', 'appId', 'invitationType'];
+
+export const POST: RequestHandler = async ({ request }) => {
+  const form = await request.formData();
+  const file = form.get('file');
+
+  if (!(file instanceof File)) {
+    error(400, 'Missing file');
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => !form.get(field));
+  if (missing.length > 0) {
+    error(400, `Missing ${missing.join(', ')}`);
+  }
+
+  try {
+    return json(
+      await importInvitationSheet(file, {
+        clientId: String(form.get('clientId')),
+        appId: String(form.get('appId')),
+        invitationType: form.get('invitationType') === 'offboarding' ? 'offboarding' : 'onboarding',
+        allowDuplicates: form.get('allowDuplicates') === 'true',
+        dryRun: form.get('dryRun') === 'true',
+        createdBy: String(form.get('createdBy') || 'admin@thepia.com'),
+      })
+    );
+  } catch (err) {
+    if (err instanceof InvitationImportError) {
+      error(err.status, err.message);
+    }
+    throw err;
+  }
+};
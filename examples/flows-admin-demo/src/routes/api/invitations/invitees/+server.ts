@@ -0,0 +1,20 @@
+/**
+ * Read invitee details
+ *
+ * POST { ids } with invitation ids; responds with { invitees } keyed by id,
+ * decrypted from each invitation's token. The browser never sees the keys.
+ */
+
+import { readInvitees } from '$lib/server/invitations';
+import { error, json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+
+export const POST: RequestHandler = async ({ request }) => {
+  const { ids } = (await request.json()) as { ids?: unknown };
+
+  if (!Array.isArray(ids) || !ids.every((id) => typeof id === 'string')) {
+    error(400, 'Expected { ids: string[] }');
+  }
+
+  return json({ invitees: ids.length > 0 ? await readInvitees(ids) : {} });
+};
@@ -12,11 +12,11 @@ DROP POLICY IF EXISTS policy_invitations_staff_access ON api.invitations;
 CREATE POLICY policy_invitations_staff_access ON api.invitations
   FOR ALL 
   USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   )
   WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   );
 
@@ -31,11 +31,11 @@ DROP POLICY IF EXISTS policy_user_roles_staff_access ON api.user_roles;
 CREATE POLICY policy_user_roles_staff_access ON api.user_roles
   FOR ALL 
   USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   )
   WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   );
 
@@ -50,11 +50,11 @@ DROP POLICY IF EXISTS policy_clients_staff_access ON api.clients;
 CREATE POLICY policy_clients_staff_access ON api.clients
   FOR ALL 
   USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   )
   WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   );
 
@@ -69,11 +69,11 @@ DROP POLICY IF EXISTS policy_client_applications_staff_access ON api.client_appl
 CREATE POLICY policy_client_applications_staff_access ON api.client_applications
   FOR ALL 
   USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   )
   WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   );
 
@@ -82,7 +82,7 @@ CREATE POLICY policy_client_applications_staff_access ON api.client_applications
 -- ==============================================
 
 -- Test the JWT path (should return 'thepia_staff' for your user)
--- SELECT auth.jwt()->>'user_metadata'->>'role' AS detected_role;
+-- SELECT auth.jwt()->'user_metadata'->>'role' AS detected_role;
 
 COMMENT ON SCHEMA api IS 'Updated RLS policies to use correct JWT user_metadata.role path';
 
@@ -95,25 +95,30 @@ DROP POLICY IF EXISTS policy_people_staff_access ON api.people;
 CREATE POLICY policy_people_staff_access ON api.people
   FOR ALL 
   USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   )
   WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
     OR auth.jwt()->>'role' = 'service_role'
   );
 
--- Fix any employees table policies  
-DROP POLICY IF EXISTS policy_employees_staff_access ON api.employees;
-CREATE POLICY policy_employees_staff_access ON api.employees
-  FOR ALL 
-  USING (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
-    OR auth.jwt()->>'role' = 'service_role'
-  )
-  WITH CHECK (
-    auth.jwt()->>'user_metadata'->>'role' = 'thepia_staff'
-    OR auth.jwt()->>'role' = 'service_role'
-  );
+-- Fix any employees table policies (the table only exists before 13_employee_to_people_migration)
+DO $$
+BEGIN
+  IF to_regclass('api.employees') IS NOT NULL THEN
+    DROP POLICY IF EXISTS policy_employees_staff_access ON api.employees;
+    CREATE POLICY policy_employees_staff_access ON api.employees
+      FOR ALL 
+      USING (
+        auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+        OR auth.jwt()->>'role' = 'service_role'
+      )
+      WITH CHECK (
+        auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+        OR auth.jwt()->>'role' = 'service_role'
+      );
+  END IF;
+END $$;
 
 -- Note: Some policies may fail if tables don't exist - that's expected
\ No newline at end of file
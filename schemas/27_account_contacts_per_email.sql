@@ -0,0 +1,18 @@
+-- =====================================================
+-- ACCOUNT CONTACTS PER EMAIL
+-- =====================================================
+-- 
+-- Purpose: Allow more than one account contact per client
+-- Issue: unique_primary_contact_per_client was declared as UNIQUE (client_id),
+--        so a client could only ever have a single contact. The one-primary
+--        rule is already enforced by idx_one_primary_contact_per_client.
+-- Dependencies: 16_tfc_ledger_system.sql
+
+-- Set schema context
+SET search_path TO api, public;
+
+ALTER TABLE api.account_contacts DROP CONSTRAINT IF EXISTS unique_primary_contact_per_client;
+
+-- One contact per person per client; client specs upsert contacts by email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_contacts_client_email
+ON api.account_contacts (client_id, lower(email));
@@ -0,0 +1,325 @@
+-- =====================================================
+-- CLIENT TIERS - Versioned Tier Catalogue
+-- =====================================================
+--
+-- Purpose: Move tier limits, feature flags, pricing and TFC allowances out of
+--          code into api.client_tiers, so sales can add custom tiers without
+--          a release
+-- Issue: api.clients.tier was a fixed CHECK list and each client only held
+--        copies of its tier's limits; check_client_limits compared against
+--        those copies.
+-- Dependencies: 01_clients.sql
+--
+-- Every change to a tier bumps its version, is re-applied to every client on
+-- the tier and is recorded in api.client_tier_versions (what changed, who
+-- changed it, why, and which clients it reached). Tiers are retired with
+-- is_active = false rather than deleted.
+--
+-- Clients keep max_users, max_storage_gb and features as copies of their
+-- tier, maintained by the triggers below; this migration resets every
+-- existing client to its tier's values.
+
+-- Set schema context
+SET search_path TO api, public;
+
+CREATE TABLE IF NOT EXISTS api.client_tiers (
+  tier_code VARCHAR(20) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+
+  -- Limits and feature flags applied to every client on the tier
+  max_users INTEGER NOT NULL CHECK (max_users > 0),
+  max_storage_gb INTEGER NOT NULL CHECK (max_storage_gb > 0),
+  features JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(features) = 'array'),
+
+  -- Pricing
+  price_monthly DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (price_monthly >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR' CHECK (currency IN ('EUR', 'CHF', 'USD')),
+
+  -- TFC allowances: credits included each month and the discount on top-ups
+  tfc_monthly_allowance INTEGER NOT NULL DEFAULT 0 CHECK (tfc_monthly_allowance >= 0),
+  tfc_discount_percentage DECIMAL(5,2) NOT NULL DEFAULT 0
+    CHECK (tfc_discount_percentage BETWEEN 0 AND 100),
+
+  is_custom BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Versioning; updated_by and change_reason describe the current version
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_by VARCHAR(255),
+  change_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT valid_tier_code CHECK (tier_code ~ '^[a-z0-9-]+$')
+);
+
+CREATE TABLE IF NOT EXISTS api.client_tier_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tier_code VARCHAR(20) NOT NULL REFERENCES api.client_tiers(tier_code),
+  version INTEGER NOT NULL,
+
+  -- The tier as of this version, and { field: { from, to } } for what changed
+  -- (NULL for the version that created the tier)
+  definition JSONB NOT NULL,
+  changes JSONB,
+
+  -- client_code of every client the version was applied to
+  affected_clients VARCHAR(50)[] NOT NULL DEFAULT '{}',
+
+  changed_by VARCHAR(255),
+  change_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT unique_client_tier_version UNIQUE (tier_code, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_tiers_active ON api.client_tiers(is_active);
+CREATE INDEX IF NOT EXISTS idx_client_tier_versions_created_at
+  ON api.client_tier_versions(created_at DESC);
+
+-- =====================================================
+-- CLIENTS: TIER REFERENCE
+-- =====================================================
+
+-- Version of its tier a client's limits and features were copied from
+ALTER TABLE api.clients ADD COLUMN IF NOT EXISTS tier_version INTEGER;
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- A tier without its version and change bookkeeping
+CREATE OR REPLACE FUNCTION api.client_tier_definition(p_tier api.client_tiers)
+RETURNS JSONB AS $$
+  SELECT to_jsonb(p_tier) - ARRAY['version', 'updated_by', 'change_reason', 'created_at', 'updated_at'];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Bump the version whenever the definition changes; an update that changes
+-- nothing keeps the author and reason of the current version
+CREATE OR REPLACE FUNCTION api.bump_client_tier_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF api.client_tier_definition(NEW) IS DISTINCT FROM api.client_tier_definition(OLD) THEN
+    NEW.version = OLD.version + 1;
+    NEW.updated_at = NOW();
+  ELSE
+    NEW.version = OLD.version;
+    NEW.updated_by = OLD.updated_by;
+    NEW.change_reason = OLD.change_reason;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_bump_client_tier_version ON api.client_tiers;
+CREATE TRIGGER trigger_bump_client_tier_version
+  BEFORE UPDATE ON api.client_tiers
+  FOR EACH ROW
+  EXECUTE FUNCTION api.bump_client_tier_version();
+
+-- Re-apply a new version to every client on the tier and record it
+CREATE OR REPLACE FUNCTION api.record_client_tier_version()
+RETURNS TRIGGER AS $$
+DECLARE
+  old_definition JSONB;
+  new_definition JSONB := api.client_tier_definition(NEW);
+  field_changes JSONB;
+  affected VARCHAR(50)[];
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.version = OLD.version THEN
+      RETURN NULL;
+    END IF;
+
+    old_definition := api.client_tier_definition(OLD);
+    SELECT jsonb_object_agg(n.key, jsonb_build_object('from', old_definition->n.key, 'to', n.value))
+    INTO field_changes
+    FROM jsonb_each(new_definition) n
+    WHERE n.value IS DISTINCT FROM old_definition->n.key;
+  END IF;
+
+  WITH updated AS (
+    UPDATE api.clients
+    SET max_users = NEW.max_users,
+        max_storage_gb = NEW.max_storage_gb,
+        features = NEW.features,
+        tier_version = NEW.version
+    WHERE tier = NEW.tier_code
+    RETURNING client_code
+  )
+  SELECT COALESCE(array_agg(client_code ORDER BY client_code), '{}') INTO affected FROM updated;
+
+  INSERT INTO api.client_tier_versions (
+    tier_code, version, definition, changes, affected_clients, changed_by, change_reason
+  ) VALUES (
+    NEW.tier_code, NEW.version, new_definition, field_changes, affected,
+    COALESCE(NEW.updated_by, auth.jwt()->>'email', session_user), NEW.change_reason
+  );
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_record_client_tier_version ON api.client_tiers;
+CREATE TRIGGER trigger_record_client_tier_version
+  AFTER INSERT OR UPDATE ON api.client_tiers
+  FOR EACH ROW
+  EXECUTE FUNCTION api.record_client_tier_version();
+
+-- Copy the tier's limits and features onto a client that joins it
+CREATE OR REPLACE FUNCTION api.apply_client_tier()
+RETURNS TRIGGER AS $$
+DECLARE
+  tier_record api.client_tiers;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.tier IS NOT DISTINCT FROM OLD.tier THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO tier_record FROM api.client_tiers WHERE tier_code = NEW.tier;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Unknown client tier "%"', NEW.tier
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  IF NOT tier_record.is_active THEN
+    RAISE EXCEPTION 'Client tier "%" is retired', NEW.tier
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  NEW.max_users = tier_record.max_users;
+  NEW.max_storage_gb = tier_record.max_storage_gb;
+  NEW.features = tier_record.features;
+  NEW.tier_version = tier_record.version;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_apply_client_tier ON api.clients;
+CREATE TRIGGER trigger_apply_client_tier
+  BEFORE INSERT OR UPDATE OF tier ON api.clients
+  FOR EACH ROW
+  EXECUTE FUNCTION api.apply_client_tier();
+
+-- =====================================================
+-- SEED TIERS
+-- =====================================================
+
+-- The tiers previously hard-coded in scripts/setup-client.js. Inserting them
+-- records version 1 and resets existing clients to their tier.
+INSERT INTO api.client_tiers (
+  tier_code, name, description, max_users, max_storage_gb, features, price_monthly, currency,
+  updated_by, change_reason
+) VALUES
+(
+  'free', 'Free', 'Core invitations and authentication',
+  100, 1, '["basic-auth", "invitations"]', 0, 'USD',
+  'migration', 'Seeded from the tier constants in setup-client.js'
+),
+(
+  'pro', 'Pro', 'Adds analytics and single sign-on',
+  1000, 10, '["basic-auth", "invitations", "analytics", "sso"]', 25, 'USD',
+  'migration', 'Seeded from the tier constants in setup-client.js'
+),
+(
+  'enterprise', 'Enterprise', 'Custom domains and priority support',
+  10000, 100,
+  '["basic-auth", "invitations", "analytics", "sso", "custom-domains", "priority-support"]',
+  250, 'USD',
+  'migration', 'Seeded from the tier constants in setup-client.js'
+)
+ON CONFLICT (tier_code) DO NOTHING;
+
+ALTER TABLE api.clients DROP CONSTRAINT IF EXISTS clients_tier_check;
+ALTER TABLE api.clients DROP CONSTRAINT IF EXISTS fk_clients_tier;
+ALTER TABLE api.clients
+  ADD CONSTRAINT fk_clients_tier FOREIGN KEY (tier) REFERENCES api.client_tiers(tier_code);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE api.client_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api.client_tier_versions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Thepia staff manage tiers
+CREATE POLICY policy_client_tiers_staff_access ON api.client_tiers
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+-- Policy: Signed-in users can read the catalogue (their own tier's limits)
+CREATE POLICY policy_client_tiers_authenticated_read ON api.client_tiers
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Policy: Only Thepia staff can read the change history
+CREATE POLICY policy_client_tier_versions_staff_access ON api.client_tier_versions
+  FOR SELECT
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Function to check tier limits, now read from the client's tier
+CREATE OR REPLACE FUNCTION api.check_client_limits(
+  p_client_id UUID,
+  p_check_users BOOLEAN DEFAULT FALSE,
+  p_check_storage BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  client_record api.clients;
+  tier_record api.client_tiers;
+  result JSONB;
+BEGIN
+  SELECT * INTO client_record FROM api.clients WHERE id = p_client_id;
+
+  IF NOT FOUND THEN
+    RETURN '{"error": "Client not found"}'::JSONB;
+  END IF;
+
+  SELECT * INTO tier_record FROM api.client_tiers WHERE tier_code = client_record.tier;
+
+  result := jsonb_build_object(
+    'within_limits', true,
+    'warnings', '[]'::JSONB,
+    'tier', tier_record.tier_code,
+    'tier_version', tier_record.version,
+    'max_users', tier_record.max_users,
+    'max_storage_gb', tier_record.max_storage_gb
+  );
+
+  -- Check user limits
+  IF p_check_users AND client_record.current_users >= tier_record.max_users THEN
+    result := jsonb_set(result, '{within_limits}', 'false'::JSONB);
+    result := jsonb_set(result, '{warnings}',
+      result->'warnings' || jsonb_build_array('User limit exceeded'));
+  END IF;
+
+  -- Check storage limits (convert GB to MB for comparison)
+  IF p_check_storage AND client_record.current_storage_mb >= (tier_record.max_storage_gb * 1024) THEN
+    result := jsonb_set(result, '{within_limits}', 'false'::JSONB);
+    result := jsonb_set(result, '{warnings}',
+      result->'warnings' || jsonb_build_array('Storage limit exceeded'));
+  END IF;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON TABLE api.client_tiers IS 'Versioned tier catalogue: limits, feature flags, pricing and TFC allowances';
+COMMENT ON TABLE api.client_tier_versions IS 'Every version of every tier, with the change and the clients it was applied to';
@@ -0,0 +1,142 @@
+-- =====================================================
+-- INVITATION SIGNING KEYS - JWKS Key Registry
+-- =====================================================
+--
+-- Purpose: Record which keys sign invitation tokens, so keys can be rotated
+--          without breaking invitation links already in people's inboxes
+-- Issue: Invitation tokens carry a `kid`, but nothing said which kids were
+--        trusted or how to retire one.
+-- Dependencies: 03_invitations.sql
+--
+-- Only public JWKs are stored here; the private keys stay in
+-- INVITATION_SIGNING_KEYS. A key's life cycle:
+--
+--   pending   registered and published in the JWKS, not yet signing
+--   active    signs new invitations (at most one key at a time)
+--   retiring  replaced by a newer key; still verifies until not_after
+--   retired   no longer verifies anything (terminal)
+--
+-- Verification trusts any key that is not retired and whose
+-- not_before / not_after window contains the current time.
+
+-- Set schema context
+SET search_path TO api, public;
+
+CREATE TABLE IF NOT EXISTS api.invitation_signing_keys (
+  kid VARCHAR(100) PRIMARY KEY,
+  algorithm VARCHAR(10) NOT NULL
+    CHECK (algorithm IN ('ES256', 'ES384', 'ES512', 'EdDSA', 'RS256', 'PS256')),
+  public_jwk JSONB NOT NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'retiring', 'retired')),
+  not_before TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  not_after TIMESTAMP WITH TIME ZONE,
+
+  created_by VARCHAR(255),
+  activated_at TIMESTAMP WITH TIME ZONE,
+  retired_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Private (d, p, q, ...) and symmetric (k) members must never be stored
+  CONSTRAINT public_jwk_only CHECK (
+    jsonb_typeof(public_jwk) = 'object'
+    AND NOT public_jwk ?| ARRAY['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k']
+  ),
+  CONSTRAINT public_jwk_matches_key CHECK (
+    public_jwk->>'kid' = kid AND public_jwk->>'alg' = algorithm
+  ),
+  CONSTRAINT valid_key_window CHECK (not_after IS NULL OR not_after > not_before)
+);
+
+-- At most one key signs new invitations
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invitation_signing_keys_single_active
+  ON api.invitation_signing_keys ((true))
+  WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_invitation_signing_keys_status
+  ON api.invitation_signing_keys(status);
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Keep retired keys retired and stamp activation / retirement times
+CREATE OR REPLACE FUNCTION api.track_invitation_signing_key_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status THEN
+    IF OLD.status = 'retired' THEN
+      RAISE EXCEPTION 'Invitation signing key "%" is retired', OLD.kid
+        USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NEW.status = 'active' THEN
+      NEW.activated_at = COALESCE(NEW.activated_at, NOW());
+    ELSIF NEW.status = 'retired' THEN
+      NEW.retired_at = NOW();
+      NEW.not_after = LEAST(COALESCE(NEW.not_after, NOW()), NOW());
+    END IF;
+  END IF;
+
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_track_invitation_signing_key_status ON api.invitation_signing_keys;
+CREATE TRIGGER trigger_track_invitation_signing_key_status
+  BEFORE UPDATE ON api.invitation_signing_keys
+  FOR EACH ROW
+  EXECUTE FUNCTION api.track_invitation_signing_key_status();
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+ALTER TABLE api.invitation_signing_keys ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Thepia staff manage the registry
+CREATE POLICY policy_invitation_signing_keys_staff_access ON api.invitation_signing_keys
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+-- Policy: Public keys that still verify are public, so any app can build the JWKS
+CREATE POLICY policy_invitation_signing_keys_public_read ON api.invitation_signing_keys
+  FOR SELECT
+  TO anon, authenticated
+  USING (status <> 'retired');
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- JWKS of every key that verifies invitation tokens right now
+CREATE OR REPLACE FUNCTION api.invitation_jwks()
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'keys',
+    COALESCE(
+      jsonb_agg(public_jwk ORDER BY status = 'active' DESC, not_before DESC),
+      '[]'::JSONB
+    )
+  )
+  FROM api.invitation_signing_keys
+  WHERE status <> 'retired'
+    AND not_before <= NOW()
+    AND (not_after IS NULL OR not_after > NOW());
+$$ LANGUAGE sql STABLE SET search_path = api, public;
+
+GRANT EXECUTE ON FUNCTION api.invitation_jwks() TO anon, authenticated, service_role;
+
+COMMENT ON TABLE api.invitation_signing_keys IS
+  'Public JWKs of the keys that sign invitation tokens, with their rotation status';
+COMMENT ON FUNCTION api.invitation_jwks() IS
+  'JWKS of the invitation signing keys that currently verify tokens';
@@ -0,0 +1,334 @@
+-- =====================================================
+-- INVITATION PII GUARD - Keep PII out of invitation metadata
+-- =====================================================
+--
+-- Purpose: Guarantee that api.invitations.client_data and usage_metadata
+--          never hold invitee PII; it belongs in the encrypted jwt_token
+-- Issue: 03_invitations.sql promises "all PII in encrypted JWT", but the
+--        admin app and the n8n intake wrote names and emails into
+--        client_data in plaintext.
+-- Dependencies: 03_invitations.sql, 11_extend_invitations_for_demos.sql,
+--               20_n8n_invitation_function.sql, 21_n8n_invitation_view.sql
+--
+-- Keys are matched case-insensitively with separators ignored, at any depth,
+-- so company_email, companyEmail and {"invitee": {"Email": ...}} are all
+-- rejected. Lookups use email_hash (SHA-256 of the trimmed, lowercased
+-- address) and email_domain instead.
+--
+-- Existing rows are scrubbed once: the first email found becomes email_hash
+-- and email_domain (unless those are already set) and every PII key is
+-- removed. Names cannot be recovered from the database afterwards; rows with
+-- a jwt_token still carry them encrypted.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Whether a JSON key names personal data
+CREATE OR REPLACE FUNCTION api.is_invitation_pii_key(key TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT regexp_replace(lower(key), '[^a-z0-9]', '', 'g') = ANY (ARRAY[
+    -- Names
+    'name', 'fullname', 'firstname', 'lastname', 'middlename', 'givenname',
+    'familyname', 'surname', 'manager', 'managername',
+    -- Email addresses
+    'email', 'emailaddress', 'companyemail', 'privateemail', 'personalemail',
+    'workemail', 'manageremail',
+    -- Contact details
+    'phone', 'phonenumber', 'mobile', 'mobilephone', 'address', 'streetaddress',
+    'homeaddress',
+    -- Identity
+    'dateofbirth', 'birthdate', 'birthday', 'nationalid', 'ssn', 'cpr',
+    'personnummer'
+  ]);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The PII keys in a JSON document, at any depth, sorted and without duplicates
+CREATE OR REPLACE FUNCTION api.invitation_pii_keys(doc JSONB)
+RETURNS TEXT[] AS $$
+  SELECT COALESCE(array_agg(DISTINCT key ORDER BY key), '{}')
+  FROM jsonb_path_query(COALESCE(doc, '{}'), 'strict $.**') AS node,
+    jsonb_object_keys(CASE WHEN jsonb_typeof(node) = 'object' THEN node ELSE '{}' END) AS key
+  WHERE api.is_invitation_pii_key(key);
+$$ LANGUAGE sql IMMUTABLE SET search_path = api, public;
+
+-- SHA-256 of a normalized email address, matching email_hash
+CREATE OR REPLACE FUNCTION api.invitation_email_hash(email TEXT)
+RETURNS VARCHAR(64) AS $$
+  SELECT encode(sha256(convert_to(lower(btrim(email)), 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE STRICT;
+
+GRANT EXECUTE ON FUNCTION api.is_invitation_pii_key(TEXT) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION api.invitation_pii_keys(JSONB) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION api.invitation_email_hash(TEXT) TO anon, authenticated, service_role;
+
+-- =====================================================
+-- ONE-OFF SCRUB OF EXISTING ROWS
+-- =====================================================
+
+-- Remove PII keys at any depth (session-local, only needed for the scrub)
+CREATE OR REPLACE FUNCTION pg_temp.strip_invitation_pii(doc JSONB)
+RETURNS JSONB AS $$
+BEGIN
+  CASE jsonb_typeof(doc)
+    WHEN 'object' THEN
+      RETURN COALESCE(
+        (SELECT jsonb_object_agg(key, pg_temp.strip_invitation_pii(value))
+         FROM jsonb_each(doc)
+         WHERE NOT api.is_invitation_pii_key(key)),
+        '{}'::JSONB
+      );
+    WHEN 'array' THEN
+      RETURN COALESCE(
+        (SELECT jsonb_agg(pg_temp.strip_invitation_pii(value) ORDER BY position)
+         FROM jsonb_array_elements(doc) WITH ORDINALITY AS element(value, position)),
+        '[]'::JSONB
+      );
+    ELSE
+      RETURN doc;
+  END CASE;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE api.invitations i
+SET
+  email_hash = COALESCE(i.email_hash, api.invitation_email_hash(found.email)),
+  email_domain = COALESCE(i.email_domain, NULLIF(split_part(lower(btrim(found.email)), '@', 2), '')),
+  client_data = pg_temp.strip_invitation_pii(i.client_data),
+  usage_metadata = pg_temp.strip_invitation_pii(i.usage_metadata)
+FROM (
+  SELECT
+    id,
+    (SELECT candidate
+     FROM unnest(ARRAY[
+       client_data->>'company_email',
+       client_data->>'companyEmail',
+       client_data->>'email',
+       client_data->>'private_email',
+       client_data->>'privateEmail',
+       usage_metadata->>'email'
+     ]) WITH ORDINALITY AS emails(candidate, position)
+     WHERE candidate LIKE '%_@_%'
+     ORDER BY position
+     LIMIT 1) AS email
+  FROM api.invitations
+) found
+WHERE found.id = i.id
+  AND (
+    cardinality(api.invitation_pii_keys(i.client_data)) > 0
+    OR cardinality(api.invitation_pii_keys(i.usage_metadata)) > 0
+  );
+
+-- =====================================================
+-- CONSTRAINTS
+-- =====================================================
+
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS client_data_without_pii;
+ALTER TABLE api.invitations
+  ADD CONSTRAINT client_data_without_pii
+  CHECK (cardinality(api.invitation_pii_keys(client_data)) = 0);
+
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS usage_metadata_without_pii;
+ALTER TABLE api.invitations
+  ADD CONSTRAINT usage_metadata_without_pii
+  CHECK (cardinality(api.invitation_pii_keys(usage_metadata)) = 0);
+
+-- =====================================================
+-- N8N INTAKE WITHOUT PII
+-- =====================================================
+
+-- As in 20_n8n_invitation_function.sql, minus the requester's name in
+-- client_data; email_hash is derived from payload email when not given
+CREATE OR REPLACE FUNCTION api.create_invitation_from_n8n(
+  payload JSONB
+) RETURNS api.invitations AS $$
+DECLARE
+  new_invitation api.invitations;
+  client_uuid UUID;
+  app_uuid UUID;
+BEGIN
+  -- Log the request without its payload, which carries PII
+  RAISE LOG 'n8n invitation request received: %', payload->>'formId';
+
+  -- Resolve client_id from routing info or use default
+  client_uuid := COALESCE(
+    (payload->'routing'->>'client_id')::UUID,
+    (SELECT id FROM api.clients WHERE code = 'THEPIA' LIMIT 1)
+  );
+
+  -- Resolve app_id from routing info or use default
+  app_uuid := COALESCE(
+    (payload->'routing'->>'app_id')::UUID,
+    (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND code = 'FLOWS' LIMIT 1)
+  );
+
+  -- Create the invitation record
+  INSERT INTO api.invitations (
+    -- Core required fields
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+
+    -- Optional core fields
+    invitation_code,
+    permissions,
+    restrictions,
+    status,
+    max_uses,
+    client_data,
+
+    -- Extended demo fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    auto_delete_at,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment
+  ) VALUES (
+    -- Core required fields
+    client_uuid,
+    app_uuid,
+    COALESCE(payload->>'jwt_token_hash', 'MISSING_JWT_HASH_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    COALESCE(
+      (payload->>'token_expiration')::TIMESTAMPTZ,
+      NOW() + INTERVAL '14 days'
+    ),
+
+    -- Optional core fields
+    COALESCE(payload->>'invitation_code', api.generate_invitation_code(client_uuid, app_uuid)),
+    '[]'::JSONB,
+    '{}'::JSONB,
+    'requested',
+    1,
+    jsonb_build_object(
+      'company', payload->>'company',
+      'message', payload->>'message',
+      'source', payload->>'source',
+      'priority', payload->>'priority',
+      'internal', COALESCE((payload->>'internal')::BOOLEAN, FALSE),
+      'request_id', payload->>'formId'
+    ),
+
+    -- Extended demo fields
+    payload->>'jwt_token',
+    COALESCE(payload->>'email_hash', api.invitation_email_hash(payload->>'email')),
+    COALESCE(payload->>'email_domain', NULLIF(split_part(lower(payload->>'email'), '@', 2), '')),
+    'demo_invitation',
+    NOW() + INTERVAL '90 days',
+    payload->>'demo_duration',
+    payload->>'team_size',
+    payload->>'timeline',
+    payload->>'role',
+    COALESCE(payload->>'type', 'demo'),
+    COALESCE((payload->>'spamScore')::INTEGER, 0),
+    COALESCE(payload->>'spamStatus', 'clean'),
+    payload->>'use_case',
+    payload->>'message'
+  )
+  RETURNING * INTO new_invitation;
+
+  -- Log success
+  RAISE LOG 'Created invitation with ID: %', new_invitation.id;
+
+  RETURN new_invitation;
+EXCEPTION
+  WHEN OTHERS THEN
+    -- Log the error with full details
+    RAISE LOG 'Error creating invitation from n8n: % - %', SQLERRM, SQLSTATE;
+    RAISE EXCEPTION 'Failed to create invitation: %', SQLERRM;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- As in 21_n8n_invitation_view.sql, minus name and email in client_data
+CREATE OR REPLACE FUNCTION api.process_n8n_invitation_request()
+RETURNS TRIGGER AS $$
+DECLARE
+  client_uuid UUID;
+  app_uuid UUID;
+  new_invitation_id UUID;
+BEGIN
+  -- Skip if already processed
+  IF NEW.processed = TRUE THEN
+    RETURN NEW;
+  END IF;
+
+  -- Get default client and app
+  client_uuid := (SELECT id FROM api.clients WHERE code = 'THEPIA' LIMIT 1);
+  app_uuid := (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND code = 'FLOWS' LIMIT 1);
+
+  -- Create the invitation
+  INSERT INTO api.invitations (
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+    status,
+    client_data,
+
+    -- Extended fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment
+  ) VALUES (
+    client_uuid,
+    app_uuid,
+    COALESCE(NEW.jwt_token_hash, 'PENDING_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    NOW() + INTERVAL '14 days',
+    'requested',
+    jsonb_build_object(
+      'company', NEW.company,
+      'request_id', NEW.request_id
+    ),
+
+    NEW.jwt_token,
+    COALESCE(NEW.email_hash, api.invitation_email_hash(NEW.email)),
+    NULLIF(split_part(lower(NEW.email), '@', 2), ''),
+    'demo_invitation',
+    NEW.demo_duration,
+    NEW.team_size,
+    NEW.timeline,
+    NEW.role,
+    NEW.type,
+    NEW.spam_score,
+    NEW.spam_status,
+    NEW.use_case,
+    NEW.message
+  )
+  RETURNING id INTO new_invitation_id;
+
+  -- Update the request as processed
+  NEW.processed := TRUE;
+  NEW.invitation_id := new_invitation_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+COMMENT ON FUNCTION api.invitation_pii_keys(JSONB) IS
+  'PII keys found in an invitation client_data or usage_metadata document; must be empty';
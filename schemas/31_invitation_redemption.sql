@@ -0,0 +1,259 @@
+-- =====================================================
+-- INVITATION REDEMPTION - Enforce restrictions when an invitation is used
+-- =====================================================
+--
+-- Purpose: Redeem an invitation only when every restriction on it holds,
+--          rate-limit attempts per invitation and record each outcome
+-- Issue: use_invitation() checked status, expiry and use count but ignored
+--        restrictions, ip_restrictions, device_fingerprint_hash and
+--        require_mfa.
+-- Dependencies: 03_invitations.sql, 25_extend_invitations_notification_queue.sql
+--
+-- api.redeem_invitation(jwt_hash, user_id, context) is called by the
+-- application after it has decrypted and verified the token (see
+-- redeemInvitation() in @thepia/flows-db/invitations). The context carries
+-- what the request proved:
+--
+--   ip                        client IP address
+--   device_fingerprint_hash   SHA-256 hex of the device fingerprint
+--   mfa                       true when the user passed multi-factor auth
+--   at                        time of the request (defaults to NOW())
+--   token_error               why the token did not verify, if it did not
+--
+-- restrictions understands:
+--
+--   not_before, not_after     ISO timestamps bounding when it can be redeemed
+--   business_hours_only       08:00-18:00, Monday to Friday, in `timezone`
+--   timezone                  IANA zone for business hours (default UTC)
+--   rate_limit                {"max_attempts": 10, "window_seconds": 900}
+--
+-- Other restrictions keys (max_sessions, allowed_locations, ...) apply to
+-- sessions after redemption and are ignored here.
+--
+-- Every failing check is reported, not just the first, as
+-- {"code": ..., "message": ...}. usage_metadata.redemption keeps counters and
+-- the last outcome, never the IP or fingerprint.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- REDEMPTION
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.redeem_invitation(
+  p_jwt_hash TEXT,
+  p_user_id TEXT DEFAULT NULL,
+  p_context JSONB DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+  inv api.invitations;
+  attempted_at TIMESTAMPTZ := COALESCE((p_context->>'at')::TIMESTAMPTZ, NOW());
+  redemption JSONB;
+  max_attempts INTEGER;
+  window_seconds INTEGER;
+  window_started_at TIMESTAMPTZ;
+  window_attempts INTEGER;
+  retry_after INTEGER;
+  client_ip INET;
+  local_time TIMESTAMP;
+  denials JSONB := '[]'::JSONB;
+  redeemed BOOLEAN;
+BEGIN
+  -- Find and lock the invitation, whatever its status, so the outcome is recorded
+  SELECT * INTO inv
+  FROM api.invitations
+  WHERE jwt_token_hash = p_jwt_hash
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'No invitation matches this token',
+      'denials', jsonb_build_array(
+        jsonb_build_object('code', 'not_found', 'message', 'No invitation matches this token')
+      )
+    );
+  END IF;
+
+  -- Fixed-window rate limit per invitation
+  redemption := COALESCE(inv.usage_metadata->'redemption', '{}'::JSONB);
+  max_attempts := COALESCE((inv.restrictions->'rate_limit'->>'max_attempts')::INTEGER, 10);
+  window_seconds := COALESCE((inv.restrictions->'rate_limit'->>'window_seconds')::INTEGER, 900);
+  window_started_at := (redemption->>'window_started_at')::TIMESTAMPTZ;
+  window_attempts := COALESCE((redemption->>'window_attempts')::INTEGER, 0);
+
+  IF window_started_at IS NULL
+    OR attempted_at >= window_started_at + make_interval(secs => window_seconds) THEN
+    window_started_at := attempted_at;
+    window_attempts := 0;
+  END IF;
+
+  IF window_attempts >= max_attempts THEN
+    retry_after := CEIL(EXTRACT(EPOCH FROM
+      window_started_at + make_interval(secs => window_seconds) - attempted_at
+    ));
+    denials := denials || jsonb_build_object(
+      'code', 'rate_limited',
+      'message', format('Too many attempts; try again in %s seconds', retry_after)
+    );
+  ELSE
+    window_attempts := window_attempts + 1;
+
+    -- Token
+    IF p_context->>'token_error' IS NOT NULL THEN
+      denials := denials || jsonb_build_object(
+        'code', p_context->>'token_error',
+        'message', 'The invitation token did not verify'
+      );
+    END IF;
+
+    -- Status, expiry and uses
+    IF inv.status = 'revoked' THEN
+      denials := denials || jsonb_build_object('code', 'revoked', 'message', 'The invitation was revoked');
+    ELSIF inv.status = 'used' OR inv.used_count >= inv.max_uses THEN
+      denials := denials || jsonb_build_object(
+        'code', 'max_uses_reached',
+        'message', format('The invitation has been used %s of %s times', inv.used_count, inv.max_uses)
+      );
+    ELSIF inv.status = 'expired' OR inv.expires_at <= attempted_at THEN
+      denials := denials || jsonb_build_object('code', 'expired', 'message', 'The invitation has expired');
+    ELSIF inv.status NOT IN ('pending', 'approved', 'sent') THEN
+      denials := denials || jsonb_build_object(
+        'code', 'not_redeemable',
+        'message', format('An invitation that is %s cannot be redeemed', inv.status)
+      );
+    END IF;
+
+    -- IP ranges
+    IF jsonb_typeof(inv.ip_restrictions) = 'array' AND jsonb_array_length(inv.ip_restrictions) > 0 THEN
+      BEGIN
+        client_ip := (p_context->>'ip')::INET;
+      EXCEPTION WHEN invalid_text_representation THEN
+        client_ip := NULL;
+      END;
+
+      IF client_ip IS NULL THEN
+        denials := denials || jsonb_build_object(
+          'code', 'ip_required', 'message', 'The invitation is limited to certain networks'
+        );
+      ELSIF NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(inv.ip_restrictions) AS allowed(range)
+        WHERE client_ip <<= allowed.range::INET
+      ) THEN
+        denials := denials || jsonb_build_object(
+          'code', 'ip_not_allowed', 'message', 'The invitation cannot be used from this network'
+        );
+      END IF;
+    END IF;
+
+    -- Device
+    IF inv.device_fingerprint_hash IS NOT NULL
+      AND inv.device_fingerprint_hash IS DISTINCT FROM p_context->>'device_fingerprint_hash' THEN
+      denials := denials || jsonb_build_object(
+        'code', 'device_mismatch', 'message', 'The invitation is bound to another device'
+      );
+    END IF;
+
+    -- Multi-factor authentication
+    IF inv.require_mfa AND NOT COALESCE((p_context->>'mfa')::BOOLEAN, FALSE) THEN
+      denials := denials || jsonb_build_object(
+        'code', 'mfa_required', 'message', 'Multi-factor authentication is required'
+      );
+    END IF;
+
+    -- Time window
+    IF attempted_at < (inv.restrictions->>'not_before')::TIMESTAMPTZ THEN
+      denials := denials || jsonb_build_object(
+        'code', 'not_yet_valid',
+        'message', format('The invitation can be used from %s', inv.restrictions->>'not_before')
+      );
+    END IF;
+    IF attempted_at >= (inv.restrictions->>'not_after')::TIMESTAMPTZ THEN
+      denials := denials || jsonb_build_object(
+        'code', 'no_longer_valid',
+        'message', format('The invitation could be used until %s', inv.restrictions->>'not_after')
+      );
+    END IF;
+
+    IF COALESCE((inv.restrictions->>'business_hours_only')::BOOLEAN, FALSE) THEN
+      local_time := attempted_at AT TIME ZONE COALESCE(inv.restrictions->>'timezone', 'UTC');
+      IF EXTRACT(ISODOW FROM local_time) > 5
+        OR local_time::TIME < TIME '08:00'
+        OR local_time::TIME >= TIME '18:00' THEN
+        denials := denials || jsonb_build_object(
+          'code', 'outside_business_hours',
+          'message', 'The invitation can only be used during business hours'
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  redeemed := jsonb_array_length(denials) = 0;
+
+  UPDATE api.invitations
+  SET
+    used_count = used_count + CASE WHEN redeemed THEN 1 ELSE 0 END,
+    used_by_user_id = CASE WHEN redeemed THEN COALESCE(p_user_id, used_by_user_id) ELSE used_by_user_id END,
+    status = CASE
+      WHEN redeemed AND used_count + 1 >= max_uses THEN 'used'
+      ELSE status
+    END,
+    usage_metadata = COALESCE(usage_metadata, '{}'::JSONB) || jsonb_build_object(
+      'redemption', jsonb_build_object(
+        'attempts', COALESCE((redemption->>'attempts')::INTEGER, 0) + 1,
+        'redeemed', COALESCE((redemption->>'redeemed')::INTEGER, 0) + CASE WHEN redeemed THEN 1 ELSE 0 END,
+        'denied', COALESCE((redemption->>'denied')::INTEGER, 0) + CASE WHEN redeemed THEN 0 ELSE 1 END,
+        'last_attempt_at', attempted_at,
+        'last_outcome', CASE WHEN redeemed THEN 'redeemed' ELSE 'denied' END,
+        'last_denials', (SELECT COALESCE(jsonb_agg(d->'code'), '[]'::JSONB) FROM jsonb_array_elements(denials) AS d),
+        'window_started_at', window_started_at,
+        'window_attempts', window_attempts
+      )
+    )
+  WHERE id = inv.id;
+
+  IF NOT redeemed THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'invitation_id', inv.id,
+      'error', denials->0->>'message',
+      'denials', denials
+    ) || CASE WHEN retry_after IS NULL THEN '{}'::JSONB
+              ELSE jsonb_build_object('retry_after', retry_after) END;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'invitation_id', inv.id,
+    'invitation_code', inv.invitation_code,
+    'remaining_uses', inv.max_uses - inv.used_count - 1,
+    'expires_at', inv.expires_at,
+    'denials', '[]'::JSONB
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+-- The context is trusted (it says whether the token verified), so only the
+-- service role that verifies tokens may call this directly
+REVOKE EXECUTE ON FUNCTION api.redeem_invitation(TEXT, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.redeem_invitation(TEXT, TEXT, JSONB) TO service_role;
+
+-- use_invitation keeps its signature but now goes through the same checks.
+-- Without request context, invitations restricted by IP, device or MFA are denied.
+CREATE OR REPLACE FUNCTION api.use_invitation(
+  p_jwt_hash TEXT,
+  p_user_id TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+  SELECT api.redeem_invitation(p_jwt_hash, p_user_id, '{}'::JSONB);
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = api, public;
+
+-- Its empty context claims nothing about the token, so it is as trusted as
+-- redeem_invitation
+REVOKE EXECUTE ON FUNCTION api.use_invitation(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION api.use_invitation(TEXT, TEXT) TO service_role;
+
+COMMENT ON FUNCTION api.redeem_invitation(TEXT, TEXT, JSONB) IS
+  'Redeem an invitation if every restriction holds; returns success or structured denials';
@@ -0,0 +1,175 @@
+-- =====================================================
+-- INVITATION BULK IMPORT - Duplicate preview, seat capacity and atomic insert
+-- =====================================================
+--
+-- Purpose: Let staff tools import hundreds of invitations from a spreadsheet:
+--          find invitees who are already invited or already people, check
+--          the client's max_users and insert every invitation or none
+-- Issue: Invitations could only be created one at a time, with no check
+--        against max_users or existing invitations
+-- Dependencies: 03_invitations.sql, 13_employee_to_people_migration.sql,
+--               30_invitation_pii_guard.sql
+--
+-- Invitees are matched by email_hash (api.invitation_email_hash), so no email
+-- address is passed in. Tokens are issued by the caller, which holds the
+-- keys; api.import_invitations only stores them.
+--
+-- Seats: max_users - current_users - open invitations (pending, requested,
+-- approved or sent). An invitation that is used becomes a user, so it stops
+-- counting as open.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- CAPACITY
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.invitation_import_capacity(p_client_id UUID)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'max_users', c.max_users,
+    'current_users', c.current_users,
+    'open_invitations', open_invitations.count,
+    'available', GREATEST(c.max_users - c.current_users - open_invitations.count, 0)
+  )
+  FROM api.clients c
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*)::INTEGER AS count
+    FROM api.invitations i
+    WHERE i.client_id = c.id
+      AND i.status IN ('pending', 'requested', 'approved', 'sent')
+  ) open_invitations
+  WHERE c.id = p_client_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = api, public;
+
+-- =====================================================
+-- DUPLICATES
+-- =====================================================
+
+-- Invitations that are open or used, and people, with one of the email hashes
+CREATE OR REPLACE FUNCTION api.find_invitation_duplicates(
+  p_client_id UUID,
+  p_email_hashes TEXT[]
+)
+RETURNS TABLE (email_hash TEXT, source TEXT, reference TEXT, status TEXT) AS $$
+  SELECT i.email_hash::TEXT, 'invitation', i.invitation_code::TEXT, i.status::TEXT
+  FROM api.invitations i
+  WHERE i.client_id = p_client_id
+    AND i.email_hash = ANY(p_email_hashes)
+    AND i.status IN ('pending', 'requested', 'approved', 'sent', 'used')
+  UNION ALL
+  SELECT api.invitation_email_hash(p.company_email), 'person', p.person_code::TEXT,
+         COALESCE(p.employment_status, p.associate_status)::TEXT
+  FROM api.people p
+  WHERE p.client_id = p_client_id
+    AND api.invitation_email_hash(p.company_email) = ANY(p_email_hashes)
+  ORDER BY 1, 2, 3;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = api, public;
+
+-- =====================================================
+-- IMPORT
+-- =====================================================
+
+-- Insert prepared invitations in one statement: all of them or, if the client
+-- or application is not active or the seats run out, none. Each element of
+-- p_invitations has id, jwt_token, jwt_token_hash, email_hash, email_domain,
+-- expires_at and optionally max_uses, require_mfa and client_data. Returns
+-- [{"id": ..., "invitation_code": ...}] in the order given.
+CREATE OR REPLACE FUNCTION api.import_invitations(
+  p_client_id UUID,
+  p_app_id UUID,
+  p_invitations JSONB,
+  p_created_by TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  client_record api.clients;
+  app_status TEXT;
+  capacity JSONB;
+  requested INTEGER := jsonb_array_length(p_invitations);
+  created JSONB;
+BEGIN
+  IF p_created_by IS NULL OR btrim(p_created_by) = '' THEN
+    RAISE EXCEPTION 'Importing invitations requires the acting user';
+  END IF;
+
+  -- Lock the client so concurrent imports cannot both take the last seats
+  SELECT * INTO client_record FROM api.clients WHERE id = p_client_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Client % not found', p_client_id;
+  END IF;
+  IF client_record.status <> 'active' THEN
+    RAISE EXCEPTION 'Client "%" is %', client_record.client_code, client_record.status;
+  END IF;
+
+  SELECT status INTO app_status
+  FROM api.client_applications
+  WHERE id = p_app_id AND client_id = p_client_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Application % does not belong to client "%"', p_app_id, client_record.client_code;
+  END IF;
+  IF app_status <> 'active' THEN
+    RAISE EXCEPTION 'Application % is %', p_app_id, app_status;
+  END IF;
+
+  capacity := api.invitation_import_capacity(p_client_id);
+  IF requested > (capacity->>'available')::INTEGER THEN
+    RAISE EXCEPTION 'Importing % invitation(s) would exceed max_users of % for "%" (% seat(s) available)',
+      requested, capacity->>'max_users', client_record.client_code, capacity->>'available'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  WITH prepared AS (
+    SELECT doc, ordinal
+    FROM jsonb_array_elements(p_invitations) WITH ORDINALITY AS e(doc, ordinal)
+  ),
+  inserted AS (
+    INSERT INTO api.invitations
+      (id, client_id, app_id, jwt_token, jwt_token_hash, email_hash, email_domain,
+       expires_at, created_by, max_uses, require_mfa, client_data)
+    SELECT
+      (doc->>'id')::UUID,
+      p_client_id,
+      p_app_id,
+      doc->>'jwt_token',
+      doc->>'jwt_token_hash',
+      doc->>'email_hash',
+      doc->>'email_domain',
+      (doc->>'expires_at')::TIMESTAMPTZ,
+      p_created_by,
+      COALESCE((doc->>'max_uses')::INTEGER, 1),
+      COALESCE((doc->>'require_mfa')::BOOLEAN, FALSE),
+      COALESCE(doc->'client_data', '{}'::JSONB)
+    FROM prepared
+    RETURNING id, invitation_code
+  )
+  SELECT COALESCE(
+    jsonb_agg(
+      jsonb_build_object('id', inserted.id, 'invitation_code', inserted.invitation_code)
+      ORDER BY prepared.ordinal
+    ),
+    '[]'::JSONB
+  ) INTO created
+  FROM inserted
+  JOIN prepared ON (prepared.doc->>'id')::UUID = inserted.id;
+
+  RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+-- Staff tools run these with the service role; the duplicate lookup reveals
+-- who is invited, so it is not granted to clients
+REVOKE EXECUTE ON FUNCTION api.invitation_import_capacity(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION api.find_invitation_duplicates(UUID, TEXT[]) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION api.import_invitations(UUID, UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.invitation_import_capacity(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION api.find_invitation_duplicates(UUID, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION api.import_invitations(UUID, UUID, JSONB, TEXT) TO service_role;
+
+COMMENT ON FUNCTION api.invitation_import_capacity(UUID) IS
+  'Seats a client has left for new invitations: max_users - current_users - open invitations';
+COMMENT ON FUNCTION api.find_invitation_duplicates(UUID, TEXT[]) IS
+  'Open or used invitations and people of a client matching any of the email hashes';
+COMMENT ON FUNCTION api.import_invitations(UUID, UUID, JSONB, TEXT) IS
+  'Insert prepared invitations atomically, enforcing client and application status and max_users';
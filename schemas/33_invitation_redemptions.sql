@@ -0,0 +1,441 @@
+-- =====================================================
+-- INVITATION REDEMPTIONS - One record per attempt to use an invitation
+-- =====================================================
+--
+-- Purpose: Record who used an invitation, when, from where (hashed) and with
+--          what outcome, so multi-use and cohort links have a history
+-- Issue: Redemptions only bumped used_count and overwrote first_used_at,
+--        last_used_at and used_by_user_id, so nothing said who used a
+--        multi-use link
+-- Dependencies: 03_invitations.sql, 31_invitation_redemption.sql,
+--               32_invitation_bulk_import.sql
+--
+-- api.redeem_invitation (and so api.use_invitation) now inserts a row into
+-- api.invitation_redemptions for every attempt on an existing invitation:
+-- outcome 'redeemed' with use_number 1..max_uses, or 'denied' with the denial
+-- codes. The IP address is kept only as ip_hash, SHA-256 of the invitation id
+-- and the address: repeat addresses can be spotted within one invitation but
+-- not joined across invitations. It is not a secret; the IPv4 space is small.
+--
+-- Cohort links: one invitation shared by a group (an event, a training
+-- class), marked by client_data.cohort and sized by max_uses. The token
+-- carries the cohort instead of an invitee. Each person can redeem a
+-- multi-use link once (denial code already_redeemed), and a cohort link takes
+-- a seat under max_users for every use it has left.
+
+-- Set schema context
+SET search_path TO api, public;
+
+CREATE TABLE IF NOT EXISTS api.invitation_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invitation_id UUID NOT NULL REFERENCES api.invitations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES api.clients(id) ON DELETE CASCADE,
+
+  user_id VARCHAR(255), -- Auth0 user ID, when the request had one
+  attempted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('redeemed', 'denied')),
+  denial_codes TEXT[] NOT NULL DEFAULT '{}',
+  ip_hash VARCHAR(64),
+  use_number INTEGER, -- Which use of the invitation a redemption took
+
+  CONSTRAINT valid_ip_hash CHECK (ip_hash IS NULL OR length(ip_hash) = 64),
+  CONSTRAINT valid_redemption_outcome CHECK (
+    (outcome = 'redeemed' AND cardinality(denial_codes) = 0 AND use_number >= 1)
+    OR (outcome = 'denied' AND cardinality(denial_codes) > 0 AND use_number IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_redemptions_invitation
+  ON api.invitation_redemptions(invitation_id, attempted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_invitation_redemptions_client
+  ON api.invitation_redemptions(client_id, attempted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_invitation_redemptions_user
+  ON api.invitation_redemptions(invitation_id, user_id)
+  WHERE outcome = 'redeemed';
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+-- Records are written by api.redeem_invitation only; staff and clients read them
+ALTER TABLE api.invitation_redemptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY policy_invitation_redemptions_staff_read ON api.invitation_redemptions
+  FOR SELECT
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+CREATE POLICY policy_invitation_redemptions_client_read ON api.invitation_redemptions
+  FOR SELECT
+  USING (
+    client_id::text = auth.jwt()->>'client_id'
+    OR EXISTS (
+      SELECT 1 FROM api.clients
+      WHERE clients.id = invitation_redemptions.client_id
+        AND clients.client_code = auth.jwt()->>'client_code'
+    )
+  );
+
+-- =====================================================
+-- SEATS
+-- =====================================================
+
+-- Seats an open invitation holds under max_users: one per invitee, or every
+-- use a cohort link has left
+CREATE OR REPLACE FUNCTION api.invitation_seats(
+  p_max_uses INTEGER,
+  p_used_count INTEGER,
+  p_client_data JSONB
+)
+RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN COALESCE(p_client_data, '{}'::JSONB) ? 'cohort'
+      THEN GREATEST(COALESCE(p_max_uses, 1) - COALESCE(p_used_count, 0), 0)
+    ELSE 1
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION api.invitation_import_capacity(p_client_id UUID)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'max_users', c.max_users,
+    'current_users', c.current_users,
+    'open_invitations', open_invitations.count,
+    'open_seats', open_invitations.seats,
+    'available', GREATEST(c.max_users - c.current_users - open_invitations.seats, 0)
+  )
+  FROM api.clients c
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*)::INTEGER AS count,
+      COALESCE(SUM(api.invitation_seats(i.max_uses, i.used_count, i.client_data)), 0)::INTEGER AS seats
+    FROM api.invitations i
+    WHERE i.client_id = c.id
+      AND i.status IN ('pending', 'requested', 'approved', 'sent')
+  ) open_invitations
+  WHERE c.id = p_client_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = api, public;
+
+CREATE OR REPLACE FUNCTION api.import_invitations(
+  p_client_id UUID,
+  p_app_id UUID,
+  p_invitations JSONB,
+  p_created_by TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+  client_record api.clients;
+  app_status TEXT;
+  capacity JSONB;
+  requested INTEGER := jsonb_array_length(p_invitations);
+  seats INTEGER;
+  created JSONB;
+BEGIN
+  IF p_created_by IS NULL OR btrim(p_created_by) = '' THEN
+    RAISE EXCEPTION 'Importing invitations requires the acting user';
+  END IF;
+
+  -- Lock the client so concurrent imports cannot both take the last seats
+  SELECT * INTO client_record FROM api.clients WHERE id = p_client_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Client % not found', p_client_id;
+  END IF;
+  IF client_record.status <> 'active' THEN
+    RAISE EXCEPTION 'Client "%" is %', client_record.client_code, client_record.status;
+  END IF;
+
+  SELECT status INTO app_status
+  FROM api.client_applications
+  WHERE id = p_app_id AND client_id = p_client_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Application % does not belong to client "%"', p_app_id, client_record.client_code;
+  END IF;
+  IF app_status <> 'active' THEN
+    RAISE EXCEPTION 'Application % is %', p_app_id, app_status;
+  END IF;
+
+  SELECT COALESCE(SUM(api.invitation_seats(
+    COALESCE((doc->>'max_uses')::INTEGER, 1), 0, COALESCE(doc->'client_data', '{}'::JSONB)
+  )), 0)::INTEGER INTO seats
+  FROM jsonb_array_elements(p_invitations) AS doc;
+
+  capacity := api.invitation_import_capacity(p_client_id);
+  IF seats > (capacity->>'available')::INTEGER THEN
+    RAISE EXCEPTION 'Importing % invitation(s) for % seat(s) would exceed max_users of % for "%" (% seat(s) available)',
+      requested, seats, capacity->>'max_users', client_record.client_code, capacity->>'available'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  WITH prepared AS (
+    SELECT doc, ordinal
+    FROM jsonb_array_elements(p_invitations) WITH ORDINALITY AS e(doc, ordinal)
+  ),
+  inserted AS (
+    INSERT INTO api.invitations
+      (id, client_id, app_id, jwt_token, jwt_token_hash, email_hash, email_domain,
+       expires_at, created_by, max_uses, require_mfa, client_data)
+    SELECT
+      (doc->>'id')::UUID,
+      p_client_id,
+      p_app_id,
+      doc->>'jwt_token',
+      doc->>'jwt_token_hash',
+      doc->>'email_hash',
+      doc->>'email_domain',
+      (doc->>'expires_at')::TIMESTAMPTZ,
+      p_created_by,
+      COALESCE((doc->>'max_uses')::INTEGER, 1),
+      COALESCE((doc->>'require_mfa')::BOOLEAN, FALSE),
+      COALESCE(doc->'client_data', '{}'::JSONB)
+    FROM prepared
+    RETURNING id, invitation_code
+  )
+  SELECT COALESCE(
+    jsonb_agg(
+      jsonb_build_object('id', inserted.id, 'invitation_code', inserted.invitation_code)
+      ORDER BY prepared.ordinal
+    ),
+    '[]'::JSONB
+  ) INTO created
+  FROM inserted
+  JOIN prepared ON (prepared.doc->>'id')::UUID = inserted.id;
+
+  RETURN created;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+-- =====================================================
+-- REDEMPTION
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.redeem_invitation(
+  p_jwt_hash TEXT,
+  p_user_id TEXT DEFAULT NULL,
+  p_context JSONB DEFAULT '{}'
+)
+RETURNS JSONB AS $$
+DECLARE
+  inv api.invitations;
+  attempted_at TIMESTAMPTZ := COALESCE((p_context->>'at')::TIMESTAMPTZ, NOW());
+  redemption JSONB;
+  max_attempts INTEGER;
+  window_seconds INTEGER;
+  window_started_at TIMESTAMPTZ;
+  window_attempts INTEGER;
+  retry_after INTEGER;
+  request_ip INET;
+  ip_hash TEXT;
+  redemption_id UUID;
+  local_time TIMESTAMP;
+  denials JSONB := '[]'::JSONB;
+  redeemed BOOLEAN;
+BEGIN
+  -- Find and lock the invitation, whatever its status, so the outcome is recorded
+  SELECT * INTO inv
+  FROM api.invitations
+  WHERE jwt_token_hash = p_jwt_hash
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'error', 'No invitation matches this token',
+      'denials', jsonb_build_array(
+        jsonb_build_object('code', 'not_found', 'message', 'No invitation matches this token')
+      )
+    );
+  END IF;
+
+  BEGIN
+    request_ip := (p_context->>'ip')::INET;
+  EXCEPTION WHEN invalid_text_representation THEN
+    request_ip := NULL;
+  END;
+  IF request_ip IS NOT NULL THEN
+    ip_hash := encode(sha256(convert_to(inv.id::TEXT || '/' || host(request_ip), 'UTF8')), 'hex');
+  END IF;
+
+  -- Fixed-window rate limit per invitation
+  redemption := COALESCE(inv.usage_metadata->'redemption', '{}'::JSONB);
+  max_attempts := COALESCE((inv.restrictions->'rate_limit'->>'max_attempts')::INTEGER, 10);
+  window_seconds := COALESCE((inv.restrictions->'rate_limit'->>'window_seconds')::INTEGER, 900);
+  window_started_at := (redemption->>'window_started_at')::TIMESTAMPTZ;
+  window_attempts := COALESCE((redemption->>'window_attempts')::INTEGER, 0);
+
+  IF window_started_at IS NULL
+    OR attempted_at >= window_started_at + make_interval(secs => window_seconds) THEN
+    window_started_at := attempted_at;
+    window_attempts := 0;
+  END IF;
+
+  IF window_attempts >= max_attempts THEN
+    retry_after := CEIL(EXTRACT(EPOCH FROM
+      window_started_at + make_interval(secs => window_seconds) - attempted_at
+    ));
+    denials := denials || jsonb_build_object(
+      'code', 'rate_limited',
+      'message', format('Too many attempts; try again in %s seconds', retry_after)
+    );
+  ELSE
+    window_attempts := window_attempts + 1;
+
+    -- Token
+    IF p_context->>'token_error' IS NOT NULL THEN
+      denials := denials || jsonb_build_object(
+        'code', p_context->>'token_error',
+        'message', 'The invitation token did not verify'
+      );
+    END IF;
+
+    -- Status, expiry and uses
+    IF inv.status = 'revoked' THEN
+      denials := denials || jsonb_build_object('code', 'revoked', 'message', 'The invitation was revoked');
+    ELSIF inv.status = 'used' OR inv.used_count >= inv.max_uses THEN
+      denials := denials || jsonb_build_object(
+        'code', 'max_uses_reached',
+        'message', format('The invitation has been used %s of %s times', inv.used_count, inv.max_uses)
+      );
+    ELSIF inv.status = 'expired' OR inv.expires_at <= attempted_at THEN
+      denials := denials || jsonb_build_object('code', 'expired', 'message', 'The invitation has expired');
+    ELSIF inv.status NOT IN ('pending', 'approved', 'sent') THEN
+      denials := denials || jsonb_build_object(
+        'code', 'not_redeemable',
+        'message', format('An invitation that is %s cannot be redeemed', inv.status)
+      );
+    END IF;
+
+    -- A person redeems a multi-use link once; coming back does not take another use
+    IF p_user_id IS NOT NULL AND inv.max_uses > 1 AND EXISTS (
+      SELECT 1 FROM api.invitation_redemptions r
+      WHERE r.invitation_id = inv.id AND r.user_id = p_user_id AND r.outcome = 'redeemed'
+    ) THEN
+      denials := denials || jsonb_build_object(
+        'code', 'already_redeemed', 'message', 'This user has already redeemed the invitation'
+      );
+    END IF;
+
+    -- IP ranges
+    IF jsonb_typeof(inv.ip_restrictions) = 'array' AND jsonb_array_length(inv.ip_restrictions) > 0 THEN
+      IF request_ip IS NULL THEN
+        denials := denials || jsonb_build_object(
+          'code', 'ip_required', 'message', 'The invitation is limited to certain networks'
+        );
+      ELSIF NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(inv.ip_restrictions) AS allowed(range)
+        WHERE request_ip <<= allowed.range::INET
+      ) THEN
+        denials := denials || jsonb_build_object(
+          'code', 'ip_not_allowed', 'message', 'The invitation cannot be used from this network'
+        );
+      END IF;
+    END IF;
+
+    -- Device
+    IF inv.device_fingerprint_hash IS NOT NULL
+      AND inv.device_fingerprint_hash IS DISTINCT FROM p_context->>'device_fingerprint_hash' THEN
+      denials := denials || jsonb_build_object(
+        'code', 'device_mismatch', 'message', 'The invitation is bound to another device'
+      );
+    END IF;
+
+    -- Multi-factor authentication
+    IF inv.require_mfa AND NOT COALESCE((p_context->>'mfa')::BOOLEAN, FALSE) THEN
+      denials := denials || jsonb_build_object(
+        'code', 'mfa_required', 'message', 'Multi-factor authentication is required'
+      );
+    END IF;
+
+    -- Time window
+    IF attempted_at < (inv.restrictions->>'not_before')::TIMESTAMPTZ THEN
+      denials := denials || jsonb_build_object(
+        'code', 'not_yet_valid',
+        'message', format('The invitation can be used from %s', inv.restrictions->>'not_before')
+      );
+    END IF;
+    IF attempted_at >= (inv.restrictions->>'not_after')::TIMESTAMPTZ THEN
+      denials := denials || jsonb_build_object(
+        'code', 'no_longer_valid',
+        'message', format('The invitation could be used until %s', inv.restrictions->>'not_after')
+      );
+    END IF;
+
+    IF COALESCE((inv.restrictions->>'business_hours_only')::BOOLEAN, FALSE) THEN
+      local_time := attempted_at AT TIME ZONE COALESCE(inv.restrictions->>'timezone', 'UTC');
+      IF EXTRACT(ISODOW FROM local_time) > 5
+        OR local_time::TIME < TIME '08:00'
+        OR local_time::TIME >= TIME '18:00' THEN
+        denials := denials || jsonb_build_object(
+          'code', 'outside_business_hours',
+          'message', 'The invitation can only be used during business hours'
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  redeemed := jsonb_array_length(denials) = 0;
+
+  UPDATE api.invitations
+  SET
+    used_count = used_count + CASE WHEN redeemed THEN 1 ELSE 0 END,
+    used_by_user_id = CASE WHEN redeemed THEN COALESCE(p_user_id, used_by_user_id) ELSE used_by_user_id END,
+    status = CASE
+      WHEN redeemed AND used_count + 1 >= max_uses THEN 'used'
+      ELSE status
+    END,
+    usage_metadata = COALESCE(usage_metadata, '{}'::JSONB) || jsonb_build_object(
+      'redemption', jsonb_build_object(
+        'attempts', COALESCE((redemption->>'attempts')::INTEGER, 0) + 1,
+        'redeemed', COALESCE((redemption->>'redeemed')::INTEGER, 0) + CASE WHEN redeemed THEN 1 ELSE 0 END,
+        'denied', COALESCE((redemption->>'denied')::INTEGER, 0) + CASE WHEN redeemed THEN 0 ELSE 1 END,
+        'last_attempt_at', attempted_at,
+        'last_outcome', CASE WHEN redeemed THEN 'redeemed' ELSE 'denied' END,
+        'last_denials', (SELECT COALESCE(jsonb_agg(d->'code'), '[]'::JSONB) FROM jsonb_array_elements(denials) AS d),
+        'window_started_at', window_started_at,
+        'window_attempts', window_attempts
+      )
+    )
+  WHERE id = inv.id;
+
+  INSERT INTO api.invitation_redemptions
+    (invitation_id, client_id, user_id, attempted_at, outcome, denial_codes, ip_hash, use_number)
+  VALUES (
+    inv.id,
+    inv.client_id,
+    p_user_id,
+    attempted_at,
+    CASE WHEN redeemed THEN 'redeemed' ELSE 'denied' END,
+    ARRAY(SELECT d->>'code' FROM jsonb_array_elements(denials) AS d),
+    ip_hash,
+    CASE WHEN redeemed THEN inv.used_count + 1 END
+  )
+  RETURNING id INTO redemption_id;
+
+  IF NOT redeemed THEN
+    RETURN jsonb_build_object(
+      'success', false,
+      'invitation_id', inv.id,
+      'redemption_id', redemption_id,
+      'error', denials->0->>'message',
+      'denials', denials
+    ) || CASE WHEN retry_after IS NULL THEN '{}'::JSONB
+              ELSE jsonb_build_object('retry_after', retry_after) END;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'invitation_id', inv.id,
+    'invitation_code', inv.invitation_code,
+    'redemption_id', redemption_id,
+    'remaining_uses', inv.max_uses - inv.used_count - 1,
+    'expires_at', inv.expires_at,
+    'denials', '[]'::JSONB
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+COMMENT ON TABLE api.invitation_redemptions IS
+  'Every attempt to redeem an invitation: who, when, hashed IP and outcome';
+COMMENT ON FUNCTION api.invitation_seats(INTEGER, INTEGER, JSONB) IS
+  'Seats an open invitation holds under max_users: 1, or the uses a cohort link has left';
@@ -0,0 +1,223 @@
+-- =====================================================
+-- INVITATION STATUS HISTORY - Enforced lifecycle with an audit trail
+-- =====================================================
+--
+-- Purpose: Declare which status changes an invitation may make, refuse the
+--          rest, and record every change with who made it and why
+-- Issue: invitations_status_check (25) lists the statuses but nothing stopped
+--        moves such as used -> pending or revoked -> approved, and status
+--        changes left no trace beyond revoked_at
+-- Dependencies: 03_invitations.sql, 11_extend_invitations_for_demos.sql,
+--               25_extend_invitations_notification_queue.sql,
+--               26_fix_invitation_status_workflow.sql
+--
+-- api.invitation_status_transitions is the graph. A status change that is not
+-- an edge of it fails with check_violation. Inserts may start in any status,
+-- so backups can be restored.
+--
+-- Every insert and status change is recorded in api.invitation_status_history;
+-- an insert is attributed to created_by. To name the actor and the reason of
+-- a change, set status_changed_by and status_change_reason in the UPDATE that
+-- changes the status. They are instructions to the trigger and are never
+-- stored. Without them a revocation falls back to revoked_by and
+-- revocation_reason, and anything else to the caller's email or the database
+-- user.
+
+-- Set schema context
+SET search_path TO api, public;
+
+CREATE TABLE IF NOT EXISTS api.invitation_status_transitions (
+  from_status VARCHAR(50) NOT NULL,
+  to_status VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+
+  PRIMARY KEY (from_status, to_status),
+  CONSTRAINT no_self_transition CHECK (from_status <> to_status)
+);
+
+INSERT INTO api.invitation_status_transitions (from_status, to_status, description) VALUES
+  ('requested', 'pending', 'Demo request approved (approve_demo_request)'),
+  ('requested', 'approved', 'Demo request approved, notification queued'),
+  ('requested', 'rejected', 'Demo request rejected'),
+  ('requested', 'expired', 'Request not handled before it expired'),
+  ('requested', 'revoked', 'Request withdrawn'),
+  ('pending', 'sent', 'Invitation delivered'),
+  ('pending', 'used', 'Last use redeemed'),
+  ('pending', 'expired', 'Expiry passed'),
+  ('pending', 'revoked', 'Revoked'),
+  ('approved', 'sent', 'Notification delivered (mark_notification_sent)'),
+  ('approved', 'used', 'Last use redeemed'),
+  ('approved', 'expired', 'Expiry passed'),
+  ('approved', 'revoked', 'Revoked'),
+  ('sent', 'used', 'Last use redeemed'),
+  ('sent', 'expired', 'Expiry passed'),
+  ('sent', 'revoked', 'Revoked'),
+  ('used', 'revoked', 'Access withdrawn after use')
+ON CONFLICT (from_status, to_status) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS api.invitation_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invitation_id UUID NOT NULL REFERENCES api.invitations(id) ON DELETE CASCADE,
+  client_id UUID NOT NULL REFERENCES api.clients(id) ON DELETE CASCADE,
+
+  from_status VARCHAR(50), -- NULL for the status an invitation was created in
+  to_status VARCHAR(50) NOT NULL,
+  changed_by VARCHAR(255) NOT NULL,
+  reason TEXT,
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_status_history_invitation
+  ON api.invitation_status_history(invitation_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_invitation_status_history_client
+  ON api.invitation_status_history(client_id, changed_at DESC);
+
+-- Write-only: read by the triggers below, then cleared
+ALTER TABLE api.invitations ADD COLUMN IF NOT EXISTS status_changed_by VARCHAR(255);
+ALTER TABLE api.invitations ADD COLUMN IF NOT EXISTS status_change_reason TEXT;
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+-- Signed-in users can read the graph; it changes through migrations only
+ALTER TABLE api.invitation_status_transitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY policy_invitation_status_transitions_read ON api.invitation_status_transitions
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- History is written by the triggers only; staff and clients read it
+ALTER TABLE api.invitation_status_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY policy_invitation_status_history_staff_read ON api.invitation_status_history
+  FOR SELECT
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+CREATE POLICY policy_invitation_status_history_client_read ON api.invitation_status_history
+  FOR SELECT
+  USING (
+    client_id::text = auth.jwt()->>'client_id'
+    OR EXISTS (
+      SELECT 1 FROM api.clients
+      WHERE clients.id = invitation_status_history.client_id
+        AND clients.client_code = auth.jwt()->>'client_code'
+    )
+  );
+
+-- =====================================================
+-- TRIGGERS
+-- =====================================================
+
+-- Refuse a status change outside the graph, record an allowed one and clear
+-- the actor and reason. Named to run after trigger_update_invitation_status,
+-- which moves invitations to expired and used.
+CREATE OR REPLACE FUNCTION api.enforce_invitation_status_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  allowed TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS DISTINCT FROM OLD.status THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM api.invitation_status_transitions
+      WHERE from_status = OLD.status AND to_status = NEW.status
+    ) THEN
+      SELECT string_agg(to_status, ', ' ORDER BY to_status) INTO allowed
+      FROM api.invitation_status_transitions
+      WHERE from_status = OLD.status;
+
+      RAISE EXCEPTION 'Invitation % cannot move from % to %', OLD.invitation_code, OLD.status, NEW.status
+        USING ERRCODE = 'check_violation',
+              HINT = COALESCE('Allowed from ' || OLD.status || ': ' || allowed, OLD.status || ' is final');
+    END IF;
+
+    INSERT INTO api.invitation_status_history
+      (invitation_id, client_id, from_status, to_status, changed_by, reason)
+    VALUES (
+      NEW.id,
+      NEW.client_id,
+      OLD.status,
+      NEW.status,
+      COALESCE(
+        NEW.status_changed_by,
+        CASE WHEN NEW.status = 'revoked' THEN NEW.revoked_by END,
+        auth.jwt()->>'email',
+        session_user
+      ),
+      COALESCE(
+        NEW.status_change_reason,
+        CASE WHEN NEW.status = 'revoked' THEN NEW.revocation_reason END
+      )
+    );
+  END IF;
+
+  NEW.status_changed_by = NULL;
+  NEW.status_change_reason = NULL;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_validate_invitation_status ON api.invitations;
+CREATE TRIGGER trigger_validate_invitation_status
+  BEFORE INSERT OR UPDATE ON api.invitations
+  FOR EACH ROW
+  EXECUTE FUNCTION api.enforce_invitation_status_transition();
+
+-- Record the status an invitation starts in
+CREATE OR REPLACE FUNCTION api.record_initial_invitation_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO api.invitation_status_history
+    (invitation_id, client_id, from_status, to_status, changed_by, reason)
+  VALUES (NEW.id, NEW.client_id, NULL, NEW.status, NEW.created_by, NULL);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_record_initial_invitation_status ON api.invitations;
+CREATE TRIGGER trigger_record_initial_invitation_status
+  AFTER INSERT ON api.invitations
+  FOR EACH ROW
+  EXECUTE FUNCTION api.record_initial_invitation_status();
+
+-- =====================================================
+-- EXISTING INVITATIONS
+-- =====================================================
+
+-- One entry for the status each invitation is in, dated when it got there
+-- where a column says so
+INSERT INTO api.invitation_status_history
+  (invitation_id, client_id, from_status, to_status, changed_by, reason, changed_at)
+SELECT
+  i.id,
+  i.client_id,
+  NULL,
+  i.status,
+  CASE WHEN i.status = 'revoked' THEN COALESCE(i.revoked_by, i.created_by) ELSE i.created_by END,
+  CASE WHEN i.status = 'revoked' THEN i.revocation_reason END,
+  COALESCE(
+    CASE i.status
+      WHEN 'revoked' THEN i.revoked_at
+      WHEN 'used' THEN i.last_used_at
+      WHEN 'sent' THEN i.email_sent_at
+    END,
+    i.created_at,
+    NOW()
+  )
+FROM api.invitations i
+WHERE NOT EXISTS (
+  SELECT 1 FROM api.invitation_status_history h WHERE h.invitation_id = i.id
+);
+
+COMMENT ON TABLE api.invitation_status_transitions IS
+  'The invitation lifecycle: every status change an invitation may make';
+COMMENT ON TABLE api.invitation_status_history IS
+  'Every status an invitation has been in, with who changed it and why';
+COMMENT ON COLUMN api.invitations.status_changed_by IS
+  'Set with a status change to name its actor in invitation_status_history; never stored';
+COMMENT ON COLUMN api.invitations.status_change_reason IS
+  'Set with a status change to give its reason in invitation_status_history; never stored';
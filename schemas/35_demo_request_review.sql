@@ -0,0 +1,290 @@
+-- =====================================================
+-- DEMO REQUEST REVIEW - Approve and reject demo requests from the admin app
+-- =====================================================
+--
+-- Purpose: Let staff review demo requests one at a time or in bulk, record
+--          who decided and why, and queue the notification that tells the
+--          requester
+-- Issue: approve_demo_request and reject_demo_request (11) only matched
+--        request_type 'demo_request' while n8n stores 'demo', set the
+--        missing updated_at column, queued nothing and were granted to
+--        every signed-in user; demo_requests_admin showed no demo requests
+--        for the same reason
+-- Dependencies: 11_extend_invitations_for_demos.sql,
+--               25_extend_invitations_notification_queue.sql,
+--               30_invitation_pii_guard.sql,
+--               34_invitation_status_history.sql
+--
+-- Approving moves a request to approved and queues invitation_approved;
+-- mark_notification_sent (26) then moves it to sent. Rejecting requires a
+-- reason and queues demo_request_rejected only when asked to. The reviewer
+-- and the reason are recorded in api.invitation_status_history; the
+-- requester's message in comment is left alone.
+--
+-- The bulk variants change every request or none, so a request someone else
+-- has already handled fails the whole batch.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- Demo requests from n8n ('demo') and from the original demo form ('demo_request')
+CREATE OR REPLACE FUNCTION api.is_demo_request_type(request_type TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT request_type IN ('demo', 'demo_request');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- SINGLE REQUESTS
+-- =====================================================
+
+-- The signatures change, so the versions from 11 are dropped first
+DROP FUNCTION IF EXISTS api.approve_demo_request(UUID);
+DROP FUNCTION IF EXISTS api.reject_demo_request(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION api.approve_demo_request(
+  invitation_id UUID,
+  reviewed_by TEXT,
+  note TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  result api.invitations;
+BEGIN
+  IF reviewed_by IS NULL OR btrim(reviewed_by) = '' THEN
+    RAISE EXCEPTION 'Reviewing a demo request requires the acting user';
+  END IF;
+
+  UPDATE api.invitations
+  SET
+    status = 'approved',
+    status_changed_by = reviewed_by,
+    status_change_reason = NULLIF(btrim(note), '')
+  WHERE id = invitation_id
+    AND api.is_demo_request_type(request_type)
+    AND status = 'requested'
+  RETURNING * INTO result;
+
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Demo request % not found or not in requested status', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  RETURN api.queue_notification(
+    result.id,
+    'invitation_approved',
+    ARRAY['email'],
+    jsonb_build_object(
+      'invitation_code', result.invitation_code,
+      'demo_duration', result.demo_duration,
+      'expires_at', result.expires_at
+    ),
+    interval '0',
+    'admin_approval'
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION api.reject_demo_request(
+  invitation_id UUID,
+  reason TEXT,
+  reviewed_by TEXT,
+  notify BOOLEAN DEFAULT FALSE
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  result api.invitations;
+BEGIN
+  IF reviewed_by IS NULL OR btrim(reviewed_by) = '' THEN
+    RAISE EXCEPTION 'Reviewing a demo request requires the acting user';
+  END IF;
+  IF reason IS NULL OR btrim(reason) = '' THEN
+    RAISE EXCEPTION 'Rejecting a demo request requires a reason';
+  END IF;
+
+  UPDATE api.invitations
+  SET
+    status = 'rejected',
+    status_changed_by = reviewed_by,
+    status_change_reason = btrim(reason)
+  WHERE id = invitation_id
+    AND api.is_demo_request_type(request_type)
+    AND status = 'requested'
+  RETURNING * INTO result;
+
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Demo request % not found or not in requested status', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF NOT notify THEN
+    RETURN result;
+  END IF;
+
+  RETURN api.queue_notification(
+    result.id,
+    'demo_request_rejected',
+    ARRAY['email'],
+    jsonb_build_object('reason', btrim(reason)),
+    interval '0',
+    'admin_rejection'
+  );
+END;
+$$;
+
+-- =====================================================
+-- BULK REVIEW
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.approve_demo_requests(
+  invitation_ids UUID[],
+  reviewed_by TEXT,
+  note TEXT DEFAULT NULL
+)
+RETURNS SETOF api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  request_id UUID;
+BEGIN
+  FOREACH request_id IN ARRAY invitation_ids LOOP
+    RETURN NEXT api.approve_demo_request(request_id, reviewed_by, note);
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION api.reject_demo_requests(
+  invitation_ids UUID[],
+  reason TEXT,
+  reviewed_by TEXT,
+  notify BOOLEAN DEFAULT FALSE
+)
+RETURNS SETOF api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  request_id UUID;
+BEGIN
+  FOREACH request_id IN ARRAY invitation_ids LOOP
+    RETURN NEXT api.reject_demo_request(request_id, reason, reviewed_by, notify);
+  END LOOP;
+END;
+$$;
+
+-- =====================================================
+-- REVIEW QUEUE VIEW
+-- =====================================================
+
+-- As in 25, for both request types and with the company, the request type
+-- and the latest review decision
+DROP VIEW IF EXISTS api.demo_requests_admin;
+
+CREATE VIEW api.demo_requests_admin AS
+SELECT
+  i.id,
+  i.invitation_code,
+  i.request_type,
+  i.email_hash,
+  i.email_domain,
+  i.jwt_token,
+  i.status,
+  i.demo_duration,
+  i.team_size,
+  i.timeline,
+  i.role,
+  i.comment,
+  i.client_data->>'company' AS company,
+  i.client_data->>'source' AS source,
+  i.spam_score,
+  i.spam_status,
+  i.workflow_type,
+  i.client_ip,
+  i.user_agent,
+  i.referrer,
+
+  -- Legacy email fields (maintained for compatibility)
+  i.email_sent,
+  i.email_sent_at,
+  i.follow_up_sent,
+  i.follow_up_sent_at,
+  i.email_attempts,
+  i.last_email_error,
+
+  -- Notification queue fields
+  i.notification_status,
+  i.delivery_methods,
+  i.delivery_status,
+  i.message_template,
+  i.template_data,
+  i.notification_attempts,
+  i.max_notification_attempts,
+  i.next_notification_attempt,
+  i.last_notification_error,
+  i.send_after,
+  i.reminder_schedule,
+  i.reminder_count,
+  i.last_reminder_sent,
+  i.notification_triggered_by,
+  i.notification_triggered_at,
+  i.notification_completed_at,
+
+  -- Latest review decision
+  review.changed_by AS reviewed_by,
+  review.changed_at AS reviewed_at,
+  review.reason AS review_reason,
+
+  -- Metadata and audit
+  i.retention_purpose,
+  i.auto_delete_at,
+  i.created_at,
+  i.expires_at
+FROM api.invitations i
+LEFT JOIN LATERAL (
+  SELECT h.changed_by, h.changed_at, h.reason
+  FROM api.invitation_status_history h
+  WHERE h.invitation_id = i.id
+    AND h.from_status = 'requested'
+  ORDER BY h.changed_at DESC
+  LIMIT 1
+) review ON true
+WHERE api.is_demo_request_type(i.request_type);
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+-- Requests come from anyone and show their email domain and IP, so review is
+-- for staff tools running with the service role
+REVOKE SELECT ON api.demo_requests_admin FROM authenticated;
+GRANT SELECT ON api.demo_requests_admin TO service_role;
+
+REVOKE EXECUTE ON FUNCTION api.approve_demo_request(UUID, TEXT, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION api.reject_demo_request(UUID, TEXT, TEXT, BOOLEAN) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION api.approve_demo_requests(UUID[], TEXT, TEXT) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION api.reject_demo_requests(UUID[], TEXT, TEXT, BOOLEAN) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.approve_demo_request(UUID, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION api.reject_demo_request(UUID, TEXT, TEXT, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION api.approve_demo_requests(UUID[], TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION api.reject_demo_requests(UUID[], TEXT, TEXT, BOOLEAN) TO service_role;
+
+COMMENT ON FUNCTION api.approve_demo_request(UUID, TEXT, TEXT) IS
+  'Approve a requested demo and queue the invitation_approved notification';
+COMMENT ON FUNCTION api.reject_demo_request(UUID, TEXT, TEXT, BOOLEAN) IS
+  'Reject a requested demo with a reason, optionally queueing demo_request_rejected';
+COMMENT ON FUNCTION api.approve_demo_requests(UUID[], TEXT, TEXT) IS
+  'Approve several demo requests; all of them or none';
+COMMENT ON FUNCTION api.reject_demo_requests(UUID[], TEXT, TEXT, BOOLEAN) IS
+  'Reject several demo requests with one reason; all of them or none';
+COMMENT ON VIEW api.demo_requests_admin IS
+  'Demo requests with their notification and latest review decision, for staff review';
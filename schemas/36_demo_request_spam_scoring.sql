@@ -0,0 +1,672 @@
+-- =====================================================
+-- DEMO REQUEST SPAM SCORING - Weighted rules scored on insert
+-- =====================================================
+--
+-- Purpose: Score every demo request as it is inserted, from rules with
+--          configurable weights, keep the breakdown and reject obvious spam
+--          before anyone has to review it
+-- Issue: spam_score and spam_status (11) held whatever n8n sent, nothing
+--        computed them, and the n8n intake dropped the client IP, user agent
+--        and referrer the score needs. Both intake paths also looked up the
+--        default client and application by a code column that does not exist,
+--        and create_invitation_from_n8n called a generate_invitation_code
+--        (UUID, UUID) that does not exist either
+-- Dependencies: 11_extend_invitations_for_demos.sql,
+--               21_n8n_invitation_view.sql,
+--               30_invitation_pii_guard.sql,
+--               34_invitation_status_history.sql,
+--               35_demo_request_review.sql
+--
+-- A rule is a row of api.spam_scoring_rules plus a function
+-- api.spam_rule_<rule>(api.invitations, JSONB) returning
+-- {"signal": 0..1, "reason": TEXT}; the JSONB is the rule's settings. A rule
+-- adds weight * signal points and the score is capped at 100. Adding a rule
+-- is creating its function and inserting its row.
+--
+-- api.spam_scoring_thresholds turns the score into spam_status: the highest
+-- threshold reached, or 'clean'. A request that reaches a threshold with
+-- auto_reject is rejected by 'spam-filter' right after the insert, so the
+-- status history shows why.
+--
+-- The breakdown goes to usage_metadata.spam, with the score n8n reported
+-- under "reported". Restores run with triggers off and keep their scores.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- CONFIGURATION
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS api.spam_scoring_rules (
+  rule VARCHAR(50) PRIMARY KEY,
+  weight INTEGER NOT NULL CHECK (weight BETWEEN 0 AND 100),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  settings JSONB NOT NULL DEFAULT '{}',
+  description TEXT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT valid_spam_rule_name CHECK (rule ~ '^[a-z][a-z0-9_]*$')
+);
+
+CREATE TABLE IF NOT EXISTS api.spam_scoring_thresholds (
+  spam_status VARCHAR(50) PRIMARY KEY,
+  min_score INTEGER NOT NULL UNIQUE CHECK (min_score BETWEEN 1 AND 100),
+  auto_reject BOOLEAN NOT NULL DEFAULT FALSE,
+  description TEXT NOT NULL,
+
+  CONSTRAINT clean_is_below_every_threshold CHECK (spam_status <> 'clean')
+);
+
+-- A rule without its function would fail every demo request insert
+CREATE OR REPLACE FUNCTION api.validate_spam_scoring_rule()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF to_regprocedure(format('api.spam_rule_%s(api.invitations, jsonb)', NEW.rule)) IS NULL THEN
+    RAISE EXCEPTION 'Spam rule "%" has no function api.spam_rule_%(api.invitations, JSONB)', NEW.rule, NEW.rule
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_validate_spam_scoring_rule ON api.spam_scoring_rules;
+CREATE TRIGGER trigger_validate_spam_scoring_rule
+  BEFORE INSERT OR UPDATE ON api.spam_scoring_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION api.validate_spam_scoring_rule();
+
+-- =====================================================
+-- RULES
+-- =====================================================
+
+-- Email domain of a throwaway mailbox provider, or no domain at all
+CREATE OR REPLACE FUNCTION api.spam_rule_disposable_domain(request api.invitations, settings JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE
+    WHEN request.email_domain IS NULL THEN
+      jsonb_build_object('signal', 1, 'reason', 'no email domain')
+    WHEN EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(COALESCE(settings->'domains', '[]')) AS domain
+      WHERE lower(request.email_domain) = domain OR lower(request.email_domain) LIKE '%.' || domain
+    ) THEN
+      jsonb_build_object('signal', 1, 'reason', 'disposable domain ' || lower(request.email_domain))
+    ELSE jsonb_build_object('signal', 0)
+  END;
+$$ LANGUAGE sql STABLE;
+
+-- Earlier demo requests from the same IP address within the window; the
+-- signal is full at `limit` of them
+CREATE OR REPLACE FUNCTION api.spam_rule_velocity(request api.invitations, settings JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  window_minutes INTEGER := COALESCE((settings->>'window_minutes')::INTEGER, 60);
+  request_limit INTEGER := GREATEST(COALESCE((settings->>'limit')::INTEGER, 3), 1);
+  earlier INTEGER;
+BEGIN
+  IF request.client_ip IS NULL THEN
+    RETURN jsonb_build_object('signal', 0);
+  END IF;
+
+  SELECT COUNT(*) INTO earlier
+  FROM api.invitations
+  WHERE client_ip = request.client_ip
+    AND id IS DISTINCT FROM request.id
+    AND api.is_demo_request_type(request_type)
+    AND created_at > COALESCE(request.created_at, NOW()) - make_interval(mins => window_minutes);
+
+  IF earlier = 0 THEN
+    RETURN jsonb_build_object('signal', 0);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'signal', LEAST(1, round(earlier::NUMERIC / request_limit, 2)),
+    'reason', format('%s earlier request(s) from the same IP in %s minutes', earlier, window_minutes)
+  );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Missing, scripted or truncated user agents
+CREATE OR REPLACE FUNCTION api.spam_rule_user_agent(request api.invitations, settings JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE
+    WHEN NULLIF(btrim(request.user_agent), '') IS NULL THEN
+      jsonb_build_object('signal', 1, 'reason', 'no user agent')
+    WHEN request.user_agent ~* COALESCE(settings->>'pattern', '(bot|crawl|spider|curl|wget|python|headless)') THEN
+      jsonb_build_object('signal', 1, 'reason', 'automated client')
+    WHEN length(request.user_agent) < COALESCE((settings->>'min_length')::INTEGER, 20) THEN
+      jsonb_build_object('signal', 0.5, 'reason', 'unusually short user agent')
+    ELSE jsonb_build_object('signal', 0)
+  END;
+$$ LANGUAGE sql STABLE;
+
+-- An empty message, the same message as other recent requests, or one that
+-- matches a spam pattern
+CREATE OR REPLACE FUNCTION api.spam_rule_comment(request api.invitations, settings JSONB)
+RETURNS JSONB AS $$
+DECLARE
+  message TEXT := lower(regexp_replace(btrim(COALESCE(request.comment, '')), '\s+', ' ', 'g'));
+  repeat_days INTEGER := COALESCE((settings->>'repeat_days')::INTEGER, 7);
+  repeats INTEGER;
+BEGIN
+  IF length(message) < COALESCE((settings->>'min_length')::INTEGER, 15) THEN
+    RETURN jsonb_build_object('signal', 1, 'reason', 'empty or very short message');
+  END IF;
+
+  SELECT COUNT(*) INTO repeats
+  FROM api.invitations
+  WHERE id IS DISTINCT FROM request.id
+    AND api.is_demo_request_type(request_type)
+    AND created_at > COALESCE(request.created_at, NOW()) - make_interval(days => repeat_days)
+    AND lower(regexp_replace(btrim(comment), '\s+', ' ', 'g')) = message;
+
+  IF repeats > 0 THEN
+    RETURN jsonb_build_object(
+      'signal', 1,
+      'reason', format('same message as %s other request(s)', repeats)
+    );
+  END IF;
+
+  IF message ~* COALESCE(settings->>'pattern', '(https?://|backlink|\mseo\M|casino|crypto)') THEN
+    RETURN jsonb_build_object('signal', 0.75, 'reason', 'message matches a spam pattern');
+  END IF;
+
+  RETURN jsonb_build_object('signal', 0);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- No referrer, or one from a blocked site
+CREATE OR REPLACE FUNCTION api.spam_rule_referrer(request api.invitations, settings JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE
+    WHEN NULLIF(btrim(request.referrer), '') IS NULL THEN
+      jsonb_build_object('signal', COALESCE((settings->>'missing_signal')::NUMERIC, 0.5), 'reason', 'no referrer')
+    WHEN settings->>'blocked_pattern' IS NOT NULL AND request.referrer ~* (settings->>'blocked_pattern') THEN
+      jsonb_build_object('signal', 1, 'reason', 'blocked referrer')
+    ELSE jsonb_build_object('signal', 0)
+  END;
+$$ LANGUAGE sql STABLE;
+
+INSERT INTO api.spam_scoring_rules (rule, weight, settings, description) VALUES
+  (
+    'disposable_domain',
+    40,
+    '{"domains": ["mailinator.com", "guerrillamail.com", "sharklasers.com", "10minutemail.com", "temp-mail.org", "tempmail.com", "yopmail.com", "trashmail.com", "getnada.com", "maildrop.cc", "dispostable.com", "throwawaymail.com", "fakeinbox.com", "mailnesia.com"]}',
+    'Email domain of a throwaway mailbox provider'
+  ),
+  (
+    'velocity',
+    30,
+    '{"window_minutes": 60, "limit": 3}',
+    'Several requests from one IP address in a short time'
+  ),
+  (
+    'user_agent',
+    20,
+    '{"pattern": "(bot|crawl|spider|curl|wget|python|headless)", "min_length": 20}',
+    'Missing, scripted or truncated user agent'
+  ),
+  (
+    'comment',
+    25,
+    '{"min_length": 15, "repeat_days": 7, "pattern": "(https?://|backlink|\\mseo\\M|casino|crypto)"}',
+    'Empty, repeated or spammy message'
+  ),
+  (
+    'referrer',
+    10,
+    '{"missing_signal": 0.5}',
+    'Missing or blocked referrer'
+  )
+ON CONFLICT (rule) DO NOTHING;
+
+INSERT INTO api.spam_scoring_thresholds (spam_status, min_score, auto_reject, description) VALUES
+  ('suspicious', 40, FALSE, 'Review with care'),
+  ('spam', 70, TRUE, 'Rejected automatically')
+ON CONFLICT (spam_status) DO NOTHING;
+
+-- =====================================================
+-- SCORING
+-- =====================================================
+
+-- Score a demo request with every enabled rule. Also useful to preview the
+-- effect of new weights: SELECT api.score_demo_request(i) FROM api.invitations i
+CREATE OR REPLACE FUNCTION api.score_demo_request(request api.invitations)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  rule_record api.spam_scoring_rules;
+  result JSONB;
+  signal NUMERIC;
+  points INTEGER;
+  total INTEGER := 0;
+  rules JSONB := '{}';
+  threshold api.spam_scoring_thresholds;
+BEGIN
+  FOR rule_record IN SELECT * FROM api.spam_scoring_rules WHERE enabled ORDER BY rule LOOP
+    EXECUTE format('SELECT api.%I($1, $2)', 'spam_rule_' || rule_record.rule)
+      INTO result
+      USING request, rule_record.settings;
+
+    signal := LEAST(1, GREATEST(0, COALESCE((result->>'signal')::NUMERIC, 0)));
+    points := round(rule_record.weight * signal);
+    total := total + points;
+    rules := rules || jsonb_build_object(rule_record.rule, jsonb_strip_nulls(jsonb_build_object(
+      'weight', rule_record.weight,
+      'signal', signal,
+      'points', points,
+      'reason', result->>'reason'
+    )));
+  END LOOP;
+
+  total := LEAST(total, 100);
+
+  SELECT * INTO threshold
+  FROM api.spam_scoring_thresholds
+  WHERE min_score <= total
+  ORDER BY min_score DESC
+  LIMIT 1;
+
+  RETURN jsonb_strip_nulls(jsonb_build_object(
+    'score', total,
+    'status', COALESCE(threshold.spam_status, 'clean'),
+    'threshold', threshold.min_score,
+    'auto_reject', COALESCE(threshold.auto_reject, FALSE),
+    'rules', rules,
+    'scored_at', NOW()
+  ));
+END;
+$$;
+
+-- Replace the reported score with our own and keep the breakdown
+CREATE OR REPLACE FUNCTION api.score_demo_request_on_insert()
+RETURNS TRIGGER AS $$
+DECLARE
+  breakdown JSONB;
+BEGIN
+  IF NOT api.is_demo_request_type(NEW.request_type) THEN
+    RETURN NEW;
+  END IF;
+
+  breakdown := api.score_demo_request(NEW);
+  IF NEW.spam_score IS DISTINCT FROM 0 OR NEW.spam_status IS DISTINCT FROM 'clean' THEN
+    breakdown := breakdown || jsonb_build_object(
+      'reported', jsonb_strip_nulls(jsonb_build_object('score', NEW.spam_score, 'status', NEW.spam_status))
+    );
+  END IF;
+
+  NEW.spam_score := (breakdown->>'score')::INTEGER;
+  NEW.spam_status := breakdown->>'status';
+  NEW.usage_metadata := COALESCE(NEW.usage_metadata, '{}') || jsonb_build_object('spam', breakdown);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_score_demo_request ON api.invitations;
+CREATE TRIGGER trigger_score_demo_request
+  BEFORE INSERT ON api.invitations
+  FOR EACH ROW
+  EXECUTE FUNCTION api.score_demo_request_on_insert();
+
+-- Reject a request over an auto_reject threshold. Named to run after
+-- trigger_record_initial_invitation_status, so the history reads
+-- requested, then rejected.
+CREATE OR REPLACE FUNCTION api.reject_spam_demo_request()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE api.invitations
+  SET
+    status = 'rejected',
+    status_changed_by = 'spam-filter',
+    status_change_reason = format(
+      'Spam score %s reached the %s threshold of %s',
+      NEW.spam_score,
+      NEW.spam_status,
+      NEW.usage_metadata->'spam'->>'threshold'
+    )
+  WHERE id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = api, public;
+
+DROP TRIGGER IF EXISTS trigger_reject_spam_demo_request ON api.invitations;
+CREATE TRIGGER trigger_reject_spam_demo_request
+  AFTER INSERT ON api.invitations
+  FOR EACH ROW
+  WHEN (NEW.status = 'requested' AND (NEW.usage_metadata->'spam'->>'auto_reject')::BOOLEAN)
+  EXECUTE FUNCTION api.reject_spam_demo_request();
+
+-- =====================================================
+-- N8N INTAKE
+-- =====================================================
+
+ALTER TABLE api.n8n_invitation_requests ADD COLUMN IF NOT EXISTS client_ip INET;
+ALTER TABLE api.n8n_invitation_requests ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE api.n8n_invitation_requests ADD COLUMN IF NOT EXISTS referrer TEXT;
+
+-- As in 30_invitation_pii_guard.sql, with the client IP, user agent and
+-- referrer, and the default client and application found by their codes
+CREATE OR REPLACE FUNCTION api.create_invitation_from_n8n(
+  payload JSONB
+) RETURNS api.invitations AS $$
+DECLARE
+  new_invitation api.invitations;
+  client_uuid UUID;
+  app_uuid UUID;
+BEGIN
+  -- Log the request without its payload, which carries PII
+  RAISE LOG 'n8n invitation request received: %', payload->>'formId';
+
+  -- Resolve client_id from routing info or use default
+  client_uuid := COALESCE(
+    (payload->'routing'->>'client_id')::UUID,
+    (SELECT id FROM api.clients WHERE client_code = 'thepia')
+  );
+
+  -- Resolve app_id from routing info or use default
+  app_uuid := COALESCE(
+    (payload->'routing'->>'app_id')::UUID,
+    (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND app_code = 'flows')
+  );
+
+  -- Create the invitation record
+  INSERT INTO api.invitations (
+    -- Core required fields
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+
+    -- Optional core fields
+    invitation_code,
+    permissions,
+    restrictions,
+    status,
+    max_uses,
+    client_data,
+
+    -- Extended demo fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    auto_delete_at,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment,
+    client_ip,
+    user_agent,
+    referrer
+  ) VALUES (
+    -- Core required fields
+    client_uuid,
+    app_uuid,
+    COALESCE(payload->>'jwt_token_hash', 'MISSING_JWT_HASH_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    COALESCE(
+      (payload->>'token_expiration')::TIMESTAMPTZ,
+      NOW() + INTERVAL '14 days'
+    ),
+
+    -- Optional core fields; trigger_generate_invitation_code (03) fills in a missing code
+    payload->>'invitation_code',
+    '[]'::JSONB,
+    '{}'::JSONB,
+    'requested',
+    1,
+    jsonb_build_object(
+      'company', payload->>'company',
+      'message', payload->>'message',
+      'source', payload->>'source',
+      'priority', payload->>'priority',
+      'internal', COALESCE((payload->>'internal')::BOOLEAN, FALSE),
+      'request_id', payload->>'formId'
+    ),
+
+    -- Extended demo fields
+    payload->>'jwt_token',
+    COALESCE(payload->>'email_hash', api.invitation_email_hash(payload->>'email')),
+    COALESCE(payload->>'email_domain', NULLIF(split_part(lower(payload->>'email'), '@', 2), '')),
+    'demo_invitation',
+    NOW() + INTERVAL '90 days',
+    payload->>'demo_duration',
+    payload->>'team_size',
+    payload->>'timeline',
+    payload->>'role',
+    COALESCE(payload->>'type', 'demo'),
+    COALESCE((payload->>'spamScore')::INTEGER, 0),
+    COALESCE(payload->>'spamStatus', 'clean'),
+    payload->>'use_case',
+    payload->>'message',
+    NULLIF(payload->>'client_ip', '')::INET,
+    payload->>'user_agent',
+    payload->>'referrer'
+  )
+  RETURNING * INTO new_invitation;
+
+  -- Log success
+  RAISE LOG 'Created invitation with ID: %', new_invitation.id;
+
+  RETURN new_invitation;
+EXCEPTION
+  WHEN OTHERS THEN
+    -- Log the error with full details
+    RAISE LOG 'Error creating invitation from n8n: % - %', SQLERRM, SQLSTATE;
+    RAISE EXCEPTION 'Failed to create invitation: %', SQLERRM;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- As in 30_invitation_pii_guard.sql, with the client IP, user agent and
+-- referrer, and the default client and application found by their codes
+CREATE OR REPLACE FUNCTION api.process_n8n_invitation_request()
+RETURNS TRIGGER AS $$
+DECLARE
+  client_uuid UUID;
+  app_uuid UUID;
+  new_invitation_id UUID;
+BEGIN
+  -- Skip if already processed
+  IF NEW.processed = TRUE THEN
+    RETURN NEW;
+  END IF;
+
+  -- Get default client and app
+  client_uuid := (SELECT id FROM api.clients WHERE client_code = 'thepia');
+  app_uuid := (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND app_code = 'flows');
+
+  -- Create the invitation
+  INSERT INTO api.invitations (
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+    status,
+    client_data,
+
+    -- Extended fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment,
+    client_ip,
+    user_agent,
+    referrer
+  ) VALUES (
+    client_uuid,
+    app_uuid,
+    COALESCE(NEW.jwt_token_hash, 'PENDING_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    NOW() + INTERVAL '14 days',
+    'requested',
+    jsonb_build_object(
+      'company', NEW.company,
+      'request_id', NEW.request_id
+    ),
+
+    NEW.jwt_token,
+    COALESCE(NEW.email_hash, api.invitation_email_hash(NEW.email)),
+    NULLIF(split_part(lower(NEW.email), '@', 2), ''),
+    'demo_invitation',
+    NEW.demo_duration,
+    NEW.team_size,
+    NEW.timeline,
+    NEW.role,
+    NEW.type,
+    NEW.spam_score,
+    NEW.spam_status,
+    NEW.use_case,
+    NEW.message,
+    NEW.client_ip,
+    NEW.user_agent,
+    NEW.referrer
+  )
+  RETURNING id INTO new_invitation_id;
+
+  -- Update the request as processed
+  NEW.processed := TRUE;
+  NEW.invitation_id := new_invitation_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- REVIEW QUEUE VIEW
+-- =====================================================
+
+-- As in 35, with the score breakdown
+CREATE OR REPLACE VIEW api.demo_requests_admin AS
+SELECT
+  i.id,
+  i.invitation_code,
+  i.request_type,
+  i.email_hash,
+  i.email_domain,
+  i.jwt_token,
+  i.status,
+  i.demo_duration,
+  i.team_size,
+  i.timeline,
+  i.role,
+  i.comment,
+  i.client_data->>'company' AS company,
+  i.client_data->>'source' AS source,
+  i.spam_score,
+  i.spam_status,
+  i.workflow_type,
+  i.client_ip,
+  i.user_agent,
+  i.referrer,
+
+  -- Legacy email fields (maintained for compatibility)
+  i.email_sent,
+  i.email_sent_at,
+  i.follow_up_sent,
+  i.follow_up_sent_at,
+  i.email_attempts,
+  i.last_email_error,
+
+  -- Notification queue fields
+  i.notification_status,
+  i.delivery_methods,
+  i.delivery_status,
+  i.message_template,
+  i.template_data,
+  i.notification_attempts,
+  i.max_notification_attempts,
+  i.next_notification_attempt,
+  i.last_notification_error,
+  i.send_after,
+  i.reminder_schedule,
+  i.reminder_count,
+  i.last_reminder_sent,
+  i.notification_triggered_by,
+  i.notification_triggered_at,
+  i.notification_completed_at,
+
+  -- Latest review decision
+  review.changed_by AS reviewed_by,
+  review.changed_at AS reviewed_at,
+  review.reason AS review_reason,
+
+  -- Metadata and audit
+  i.retention_purpose,
+  i.auto_delete_at,
+  i.created_at,
+  i.expires_at,
+
+  -- Points per spam rule
+  i.usage_metadata->'spam' AS spam_breakdown
+FROM api.invitations i
+LEFT JOIN LATERAL (
+  SELECT h.changed_by, h.changed_at, h.reason
+  FROM api.invitation_status_history h
+  WHERE h.invitation_id = i.id
+    AND h.from_status = 'requested'
+  ORDER BY h.changed_at DESC
+  LIMIT 1
+) review ON true
+WHERE api.is_demo_request_type(i.request_type);
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+-- The rules say how spam is caught, so only staff read and tune them
+ALTER TABLE api.spam_scoring_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api.spam_scoring_thresholds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY policy_spam_scoring_rules_staff_access ON api.spam_scoring_rules
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+CREATE POLICY policy_spam_scoring_thresholds_staff_access ON api.spam_scoring_thresholds
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+REVOKE EXECUTE ON FUNCTION api.score_demo_request(api.invitations) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.score_demo_request(api.invitations) TO service_role;
+
+COMMENT ON TABLE api.spam_scoring_rules IS
+  'Spam rules for demo requests: each adds weight * signal points from api.spam_rule_<rule>()';
+COMMENT ON TABLE api.spam_scoring_thresholds IS
+  'Spam score thresholds; the highest one reached is the spam_status, and auto_reject rejects';
+COMMENT ON FUNCTION api.score_demo_request(api.invitations) IS
+  'Score a demo request with every enabled spam rule and return the breakdown';
@@ -0,0 +1,245 @@
+-- =====================================================
+-- NOTIFICATION DISPATCHER - Queue support for the self-hosted worker
+-- =====================================================
+--
+-- Purpose: Let the Node dispatcher (src/notifications) drain the notification
+--          queue instead of an n8n workflow: wake it when a notification is
+--          queued and record what each channel did in one call
+-- Issue: mark_notification_sent and mark_notification_failed (25, 26) each
+--        settle the whole notification for one channel, so a notification
+--        sent by email but not by SMS ended up sent or failed depending on
+--        which call came last, and every call counted another attempt.
+--        get_pending_notifications returned retries before their backoff
+--        was over
+-- Dependencies: 25_extend_invitations_notification_queue.sql,
+--               26_fix_invitation_status_workflow.sql,
+--               34_invitation_status_history.sql
+--
+-- record_notification_delivery takes the outcome of every channel tried in
+-- one attempt, e.g. {"email": {"status": "sent", "message_id": "<id>"},
+-- "sms": {"status": "failed", "error": "..."}}. The notification is sent once
+-- every delivery method has been sent; otherwise it is retried with the
+-- backoff of mark_notification_failed, and the dispatcher only retries the
+-- channels that have not been sent.
+--
+-- Queueing or rescheduling a notification sends NOTIFY notification_queue
+-- with the invitation id, which the dispatcher LISTENs for.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- PENDING NOTIFICATIONS
+-- =====================================================
+
+-- As in 25, leaving out retries whose backoff is not over
+CREATE OR REPLACE FUNCTION api.get_pending_notifications()
+RETURNS TABLE (
+  id UUID,
+  client_id UUID,
+  app_id UUID,
+  jwt_token TEXT,
+  notification_status VARCHAR(50),
+  delivery_methods JSONB,
+  delivery_status JSONB,
+  message_template VARCHAR(100),
+  template_data JSONB,
+  custom_message TEXT,
+  notification_metadata JSONB,
+  notification_attempts INTEGER,
+  max_notification_attempts INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  send_after TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    i.id,
+    i.client_id,
+    i.app_id,
+    i.jwt_token,
+    i.notification_status,
+    i.delivery_methods,
+    i.delivery_status,
+    i.message_template,
+    i.template_data,
+    i.custom_message,
+    i.notification_metadata,
+    i.notification_attempts,
+    i.max_notification_attempts,
+    i.created_at,
+    i.send_after,
+    i.expires_at
+  FROM api.invitations i
+  WHERE i.notification_status IN ('pending', 'retry_scheduled', 'reminder_due')
+    AND i.send_after <= NOW()
+    AND (i.next_notification_attempt IS NULL OR i.next_notification_attempt <= NOW())
+    AND (i.expires_at IS NULL OR i.expires_at > NOW())
+    AND (i.auto_delete_at IS NULL OR i.auto_delete_at > NOW())
+    AND i.notification_attempts < i.max_notification_attempts
+  ORDER BY
+    CASE i.notification_status
+      WHEN 'retry_scheduled' THEN 1
+      WHEN 'reminder_due' THEN 2
+      WHEN 'pending' THEN 3
+      ELSE 4
+    END,
+    i.send_after ASC,
+    i.created_at ASC;
+END;
+$$;
+
+-- =====================================================
+-- DELIVERY WRITE-BACK
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.record_notification_delivery(
+  invitation_id UUID,
+  results JSONB
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  current api.invitations;
+  result api.invitations;
+  channel TEXT;
+  outcome JSONB;
+  merged JSONB;
+  errors TEXT[] := ARRAY[]::TEXT[];
+  delivered BOOLEAN;
+  email_message_id TEXT;
+  should_retry BOOLEAN;
+BEGIN
+  SELECT * INTO current
+  FROM api.invitations
+  WHERE id = invitation_id
+    AND notification_status = 'processing'
+  FOR UPDATE;
+
+  IF current.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation % not found or not processing a notification', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  merged := COALESCE(current.delivery_status, '{}'::JSONB);
+
+  FOR channel, outcome IN SELECT key, value FROM jsonb_each(COALESCE(results, '{}'::JSONB)) LOOP
+    IF outcome->>'status' = 'sent' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'sent',
+        'sent_at', NOW(),
+        'message_id', outcome->>'message_id'
+      ));
+      IF channel = 'email' THEN
+        email_message_id := outcome->>'message_id';
+      END IF;
+    ELSIF outcome->>'status' = 'failed' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'failed',
+        'failed_at', NOW(),
+        'error', outcome->>'error'
+      ));
+      errors := errors || (channel || ': ' || COALESCE(outcome->>'error', 'failed'));
+    ELSE
+      RAISE EXCEPTION 'Delivery result for % must have status sent or failed', channel;
+    END IF;
+  END LOOP;
+
+  -- Sent once every delivery method has been sent, in this attempt or an earlier one
+  SELECT bool_and(merged->method->>'status' = 'sent')
+  INTO delivered
+  FROM jsonb_array_elements_text(COALESCE(current.delivery_methods, '["email"]'::JSONB)) AS method;
+
+  should_retry := current.notification_attempts + 1 < current.max_notification_attempts;
+
+  UPDATE api.invitations
+  SET
+    delivery_status = merged,
+    notification_attempts = notification_attempts + 1,
+    notification_status = CASE
+      WHEN delivered THEN 'sent'
+      WHEN should_retry THEN 'retry_scheduled'
+      ELSE 'failed'
+    END,
+    notification_completed_at = CASE WHEN delivered THEN NOW() ELSE notification_completed_at END,
+    -- Backoff as in mark_notification_failed: 5 minutes, 30 minutes, 2 hours, 6 hours
+    next_notification_attempt = CASE
+      WHEN delivered OR NOT should_retry THEN NULL
+      ELSE NOW() + CASE current.notification_attempts
+        WHEN 0 THEN interval '5 minutes'
+        WHEN 1 THEN interval '30 minutes'
+        WHEN 2 THEN interval '2 hours'
+        ELSE interval '6 hours'
+      END
+    END,
+    last_notification_error = CASE
+      WHEN delivered THEN NULL
+      ELSE array_to_string(errors, '; ')
+    END,
+
+    -- An approved invitation is sent once its email is delivered, as in 26
+    status = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'sent'
+      ELSE status
+    END,
+    status_changed_by = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'notification-dispatcher'
+      ELSE status_changed_by
+    END,
+
+    -- Legacy email fields for backward compatibility. email_sent waits for the
+    -- other channels: trigger_sync_legacy_email_fields (25) takes it to mean
+    -- the whole notification was sent.
+    email_sent = CASE WHEN delivered AND merged ? 'email' THEN true ELSE email_sent END,
+    email_sent_at = CASE WHEN email_message_id IS NOT NULL THEN NOW() ELSE email_sent_at END,
+    email_id = COALESCE(email_message_id, email_id),
+    email_attempts = CASE WHEN results ? 'email' THEN notification_attempts + 1 ELSE email_attempts END,
+    last_email_error = CASE
+      WHEN results->'email'->>'status' = 'failed' THEN results->'email'->>'error'
+      ELSE last_email_error
+    END
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+-- =====================================================
+-- QUEUE WAKE-UP
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.notify_notification_queue()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM pg_notify('notification_queue', NEW.id::TEXT);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_notify_notification_queue ON api.invitations;
+CREATE TRIGGER trigger_notify_notification_queue
+  AFTER INSERT OR UPDATE OF notification_status, send_after ON api.invitations
+  FOR EACH ROW
+  WHEN (NEW.notification_status IN ('pending', 'retry_scheduled', 'reminder_due')
+        AND NEW.message_template IS NOT NULL)
+  EXECUTE FUNCTION api.notify_notification_queue();
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+REVOKE EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB) TO service_role;
+
+COMMENT ON FUNCTION api.record_notification_delivery(UUID, JSONB) IS
+  'Record the outcome of each channel of a notification attempt: sent once every delivery method is sent, otherwise retried';
+COMMENT ON FUNCTION api.get_pending_notifications() IS
+  'Notifications due for delivery, retries first, leaving out retries still backing off';
@@ -0,0 +1,277 @@
+-- =====================================================
+-- NOTIFICATION CLAIM LEASES - Concurrency-safe queue claiming
+-- =====================================================
+--
+-- Purpose: Let any number of dispatcher workers drain the notification queue
+--          without sending a notification twice, and recover notifications
+--          whose worker died while sending them
+-- Issue: Workers listed due notifications with get_pending_notifications and
+--        claimed them one by one with mark_notification_processing, so
+--        parallel workers raced for the same rows. A worker that died after
+--        claiming left its notifications in 'processing' for good
+-- Dependencies: 25_extend_invitations_notification_queue.sql,
+--               37_notification_dispatcher.sql
+--
+-- claim_notifications(worker_id, batch_size, lease_seconds) locks a batch of
+-- due notifications with FOR UPDATE SKIP LOCKED, so concurrent workers get
+-- disjoint batches, and leases them to the worker until
+-- notification_lease_expires_at. A notification still 'processing' after its
+-- lease expired is due again and goes to the next worker that claims. Every
+-- claim, reclaims included, counts an attempt, so a notification whose worker
+-- keeps dying still runs out of attempts: once its last lease expires it is
+-- dead-lettered as 'failed'. The worker records the outcome with
+-- record_notification_delivery(id, results, worker_id), which refuses a worker
+-- whose notification was reclaimed in the meantime and releases the lease.
+--
+-- Claims made with mark_notification_processing carry no lease and are never
+-- reclaimed.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- LEASE COLUMNS
+-- =====================================================
+
+ALTER TABLE api.invitations
+  ADD COLUMN IF NOT EXISTS notification_lease_owner VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS notification_lease_expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_invitations_notification_lease
+  ON api.invitations(notification_lease_expires_at)
+  WHERE notification_status = 'processing';
+
+-- =====================================================
+-- CLAIMING
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.claim_notifications(
+  worker_id TEXT,
+  batch_size INTEGER DEFAULT 25,
+  lease_seconds INTEGER DEFAULT 300
+)
+RETURNS SETOF api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+BEGIN
+  IF worker_id IS NULL OR btrim(worker_id) = '' THEN
+    RAISE EXCEPTION 'A worker id is required to claim notifications'
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+  IF batch_size IS NULL OR batch_size < 1 OR lease_seconds IS NULL OR lease_seconds < 1 THEN
+    RAISE EXCEPTION 'batch_size and lease_seconds must be positive'
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  -- Dead-letter notifications whose worker died on their last attempt
+  UPDATE api.invitations i
+  SET
+    notification_status = 'failed',
+    notification_lease_owner = NULL,
+    notification_lease_expires_at = NULL,
+    next_notification_attempt = NULL,
+    last_notification_error = 'Lease expired on the last attempt'
+  WHERE i.id IN (
+    SELECT dead.id
+    FROM api.invitations dead
+    WHERE dead.notification_status = 'processing'
+      AND dead.notification_lease_expires_at <= NOW()
+      AND dead.notification_attempts >= dead.max_notification_attempts
+    FOR UPDATE SKIP LOCKED
+  );
+
+  RETURN QUERY
+  WITH due AS (
+    -- Due as in get_pending_notifications (37), plus expired leases
+    SELECT i.id
+    FROM api.invitations i
+    WHERE (
+        (i.notification_status IN ('pending', 'retry_scheduled', 'reminder_due')
+         AND i.send_after <= NOW()
+         AND (i.next_notification_attempt IS NULL OR i.next_notification_attempt <= NOW()))
+        OR (i.notification_status = 'processing'
+            AND i.notification_lease_expires_at <= NOW())
+      )
+      AND (i.expires_at IS NULL OR i.expires_at > NOW())
+      AND (i.auto_delete_at IS NULL OR i.auto_delete_at > NOW())
+      AND i.notification_attempts < i.max_notification_attempts
+    ORDER BY
+      CASE i.notification_status
+        WHEN 'processing' THEN 0
+        WHEN 'retry_scheduled' THEN 1
+        WHEN 'reminder_due' THEN 2
+        WHEN 'pending' THEN 3
+        ELSE 4
+      END,
+      i.send_after ASC,
+      i.created_at ASC
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE api.invitations i
+  SET
+    notification_status = 'processing',
+    notification_attempts = i.notification_attempts + 1,
+    notification_lease_owner = worker_id,
+    notification_lease_expires_at = NOW() + make_interval(secs => lease_seconds)
+  FROM due
+  WHERE i.id = due.id
+  RETURNING i.*;
+END;
+$$;
+
+-- =====================================================
+-- DELIVERY WRITE-BACK
+-- =====================================================
+
+-- As in 37, checking and releasing the lease
+DROP FUNCTION IF EXISTS api.record_notification_delivery(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION api.record_notification_delivery(
+  invitation_id UUID,
+  results JSONB,
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  current api.invitations;
+  result api.invitations;
+  channel TEXT;
+  outcome JSONB;
+  merged JSONB;
+  errors TEXT[] := ARRAY[]::TEXT[];
+  delivered BOOLEAN;
+  email_message_id TEXT;
+  attempt INTEGER;
+  should_retry BOOLEAN;
+BEGIN
+  SELECT * INTO current
+  FROM api.invitations
+  WHERE id = invitation_id
+    AND notification_status = 'processing'
+  FOR UPDATE;
+
+  IF current.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation % not found or not processing a notification', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- Another worker reclaimed the notification after this worker's lease expired
+  IF worker_id IS NOT NULL AND current.notification_lease_owner IS DISTINCT FROM worker_id THEN
+    RAISE EXCEPTION 'Invitation % is not leased to %', invitation_id, worker_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  merged := COALESCE(current.delivery_status, '{}'::JSONB);
+
+  FOR channel, outcome IN SELECT key, value FROM jsonb_each(COALESCE(results, '{}'::JSONB)) LOOP
+    IF outcome->>'status' = 'sent' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'sent',
+        'sent_at', NOW(),
+        'message_id', outcome->>'message_id'
+      ));
+      IF channel = 'email' THEN
+        email_message_id := outcome->>'message_id';
+      END IF;
+    ELSIF outcome->>'status' = 'failed' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'failed',
+        'failed_at', NOW(),
+        'error', outcome->>'error'
+      ));
+      errors := errors || (channel || ': ' || COALESCE(outcome->>'error', 'failed'));
+    ELSE
+      RAISE EXCEPTION 'Delivery result for % must have status sent or failed', channel;
+    END IF;
+  END LOOP;
+
+  -- Sent once every delivery method has been sent, in this attempt or an earlier one
+  SELECT bool_and(merged->method->>'status' = 'sent')
+  INTO delivered
+  FROM jsonb_array_elements_text(COALESCE(current.delivery_methods, '["email"]'::JSONB)) AS method;
+
+  -- claim_notifications counted the attempt when it leased the notification;
+  -- mark_notification_processing does not
+  attempt := current.notification_attempts
+    + CASE WHEN current.notification_lease_owner IS NULL THEN 1 ELSE 0 END;
+  should_retry := attempt < current.max_notification_attempts;
+
+  UPDATE api.invitations
+  SET
+    delivery_status = merged,
+    notification_attempts = attempt,
+    notification_status = CASE
+      WHEN delivered THEN 'sent'
+      WHEN should_retry THEN 'retry_scheduled'
+      ELSE 'failed'
+    END,
+    notification_completed_at = CASE WHEN delivered THEN NOW() ELSE notification_completed_at END,
+    notification_lease_owner = NULL,
+    notification_lease_expires_at = NULL,
+    -- Backoff as in mark_notification_failed: 5 minutes, 30 minutes, 2 hours, 6 hours
+    next_notification_attempt = CASE
+      WHEN delivered OR NOT should_retry THEN NULL
+      ELSE NOW() + CASE attempt
+        WHEN 1 THEN interval '5 minutes'
+        WHEN 2 THEN interval '30 minutes'
+        WHEN 3 THEN interval '2 hours'
+        ELSE interval '6 hours'
+      END
+    END,
+    last_notification_error = CASE
+      WHEN delivered THEN NULL
+      ELSE array_to_string(errors, '; ')
+    END,
+
+    -- An approved invitation is sent once its email is delivered, as in 26
+    status = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'sent'
+      ELSE status
+    END,
+    status_changed_by = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'notification-dispatcher'
+      ELSE status_changed_by
+    END,
+
+    -- Legacy email fields for backward compatibility. email_sent waits for the
+    -- other channels: trigger_sync_legacy_email_fields (25) takes it to mean
+    -- the whole notification was sent.
+    email_sent = CASE WHEN delivered AND merged ? 'email' THEN true ELSE email_sent END,
+    email_sent_at = CASE WHEN email_message_id IS NOT NULL THEN NOW() ELSE email_sent_at END,
+    email_id = COALESCE(email_message_id, email_id),
+    email_attempts = CASE WHEN results ? 'email' THEN attempt ELSE email_attempts END,
+    last_email_error = CASE
+      WHEN results->'email'->>'status' = 'failed' THEN results->'email'->>'error'
+      ELSE last_email_error
+    END
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+REVOKE EXECUTE ON FUNCTION api.claim_notifications(TEXT, INTEGER, INTEGER) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.claim_notifications(TEXT, INTEGER, INTEGER) TO service_role;
+REVOKE EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) TO service_role;
+
+COMMENT ON COLUMN api.invitations.notification_lease_owner IS
+  'Worker that claimed the notification with api.claim_notifications';
+COMMENT ON COLUMN api.invitations.notification_lease_expires_at IS
+  'When another worker may reclaim a notification still processing';
+COMMENT ON FUNCTION api.claim_notifications(TEXT, INTEGER, INTEGER) IS
+  'Lease up to batch_size due notifications to a worker, counting an attempt each, skipping rows other workers hold, reclaiming expired leases and dead-lettering those out of attempts';
+COMMENT ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) IS
+  'Record the outcome of each channel of a notification attempt: sent once every delivery method is sent, otherwise retried';
@@ -0,0 +1,647 @@
+-- =====================================================
+-- NOTIFICATION TEMPLATES - Versioned, localised template registry
+-- =====================================================
+--
+-- Purpose: Keep the messages behind api.invitations.message_template in the
+--          database, versioned per client, locale and channel, with the
+--          variables each one needs described as a JSON schema
+-- Issue: message_template was free text and template_data untyped JSONB; the
+--        templates themselves lived in the dispatcher's code, in English only,
+--        and a typo in a template name was only noticed when sending failed
+-- Dependencies: 16_tfc_ledger_system.sql (account_contacts),
+--               10_shadow_offboarding_workflows.sql,
+--               25_extend_invitations_notification_queue.sql,
+--               30_invitation_pii_guard.sql (invitation_email_hash)
+--
+-- Templates are plain text with {{variable_name}} placeholders and nothing
+-- else: no conditionals, loops or markup are evaluated, and values are
+-- inserted as they are, never rendered again. Every placeholder must be
+-- declared in `variables`, a JSON schema object whose properties have type
+-- string, number, integer or boolean and may carry `examples` for previews.
+--
+-- A published version never changes; publish_notification_template adds the
+-- next one, and the highest active version is used. A template is resolved
+-- for a key, client, locale and channel by preferring, in this order:
+--   1. the client's own template, then the global one (client_id NULL), so a
+--      client's wording is kept even where only its English version exists
+--   2. the requested locale, then its language (de-CH -> de), then en
+-- The channel must match: an email body is never sent to SMS, push or a team
+-- channel, whose delivery fails instead until a template is published for it.
+--
+-- notification_locale picks the locale for a notification: the
+-- documentation_language of the offboarding workflow it belongs to, else the
+-- preferred_language of the account contact it goes to, else en.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- TEMPLATES TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS api.notification_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- NULL for the global template every client falls back to
+  client_id UUID REFERENCES api.clients(id) ON DELETE CASCADE,
+  template_key VARCHAR(100) NOT NULL CHECK (template_key ~ '^[a-z][a-z0-9_]*$'),
+  locale VARCHAR(10) NOT NULL DEFAULT 'en' CHECK (locale ~ '^[a-z]{2}(-[A-Z]{2})?$'),
+  channel VARCHAR(20) NOT NULL DEFAULT 'email'
+    CHECK (channel IN ('email', 'sms', 'push', 'discord', 'slack')),
+  version INTEGER NOT NULL DEFAULT 1 CHECK (version > 0),
+
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  variables JSONB NOT NULL DEFAULT '{"type": "object", "properties": {}}'::JSONB,
+
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  description TEXT,
+  created_by VARCHAR(100) NOT NULL DEFAULT 'system',
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT notification_template_variables_schema CHECK (
+    variables->>'type' = 'object'
+    AND jsonb_typeof(variables->'properties') = 'object'
+    AND (NOT variables ? 'required' OR jsonb_typeof(variables->'required') = 'array')
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_templates_version
+  ON api.notification_templates (client_id, template_key, locale, channel, version)
+  NULLS NOT DISTINCT;
+
+CREATE INDEX IF NOT EXISTS idx_notification_templates_lookup
+  ON api.notification_templates (template_key, locale, channel)
+  WHERE is_active;
+
+-- =====================================================
+-- TEMPLATE SYNTAX
+-- =====================================================
+
+-- Variable names in order of first use
+CREATE OR REPLACE FUNCTION api.notification_template_placeholders(template TEXT)
+RETURNS TEXT[] AS $$
+  SELECT COALESCE(array_agg(name ORDER BY first_use), ARRAY[]::TEXT[])
+  FROM (
+    SELECT match[1] AS name, min(ordinal) AS first_use
+    FROM regexp_matches(
+      COALESCE(template, ''), '\{\{\s*([a-z][a-z0-9_]*)\s*\}\}', 'g'
+    ) WITH ORDINALITY AS matches(match, ordinal)
+    GROUP BY match[1]
+  ) names;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Replace each placeholder with its value in one pass; placeholders without
+-- a value are left in place
+CREATE OR REPLACE FUNCTION api.fill_notification_template(template TEXT, variables JSONB)
+RETURNS TEXT AS $$
+DECLARE
+  pattern CONSTANT TEXT := '\{\{\s*([a-z][a-z0-9_]*)\s*\}\}';
+  pieces TEXT[];
+  names TEXT[];
+  filled TEXT;
+BEGIN
+  pieces := regexp_split_to_array(template, pattern);
+  SELECT array_agg(match[1] ORDER BY ordinal)
+  INTO names
+  FROM regexp_matches(template, pattern, 'g') WITH ORDINALITY AS matches(match, ordinal);
+
+  filled := pieces[1];
+  FOR i IN 1..COALESCE(array_length(names, 1), 0) LOOP
+    filled := filled
+      || COALESCE(NULLIF(variables->>names[i], ''), '{{' || names[i] || '}}')
+      || pieces[i + 1];
+  END LOOP;
+
+  RETURN filled;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Check the syntax and declared variables, and keep published versions as they are
+CREATE OR REPLACE FUNCTION api.validate_notification_template()
+RETURNS TRIGGER AS $$
+DECLARE
+  property RECORD;
+  undeclared TEXT[];
+BEGIN
+  IF TG_OP = 'UPDATE' AND (
+    NEW.client_id, NEW.template_key, NEW.locale, NEW.channel, NEW.version,
+    NEW.subject, NEW.body, NEW.variables
+  ) IS DISTINCT FROM (
+    OLD.client_id, OLD.template_key, OLD.locale, OLD.channel, OLD.version,
+    OLD.subject, OLD.body, OLD.variables
+  ) THEN
+    RAISE EXCEPTION 'Notification template % version % is published; publish a new version instead',
+      OLD.template_key, OLD.version
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF regexp_replace(NEW.subject || E'\n' || NEW.body, '\{\{\s*([a-z][a-z0-9_]*)\s*\}\}', '', 'g')
+     ~ '\{\{|\}\}' THEN
+    RAISE EXCEPTION 'Template % has a malformed placeholder; use {{variable_name}}',
+      NEW.template_key
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  FOR property IN SELECT key, value FROM jsonb_each(NEW.variables->'properties') LOOP
+    IF property.key !~ '^[a-z][a-z0-9_]*$'
+       OR COALESCE(property.value->>'type', '') NOT IN ('string', 'number', 'integer', 'boolean') THEN
+      RAISE EXCEPTION 'Template variable % must be named like variable_name and have type string, number, integer or boolean',
+        property.key
+        USING ERRCODE = 'check_violation';
+    END IF;
+  END LOOP;
+
+  SELECT array_agg(name)
+  INTO undeclared
+  FROM (
+    SELECT unnest(api.notification_template_placeholders(NEW.subject || E'\n' || NEW.body)) AS name
+    UNION
+    SELECT jsonb_array_elements_text(COALESCE(NEW.variables->'required', '[]'::JSONB))
+  ) used
+  WHERE NOT (NEW.variables->'properties') ? name;
+
+  IF undeclared IS NOT NULL THEN
+    RAISE EXCEPTION 'Template % uses undeclared variable(s): %',
+      NEW.template_key, array_to_string(undeclared, ', ')
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_validate_notification_template ON api.notification_templates;
+CREATE TRIGGER trigger_validate_notification_template
+  BEFORE INSERT OR UPDATE ON api.notification_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION api.validate_notification_template();
+
+-- =====================================================
+-- RESOLVING AND RENDERING
+-- =====================================================
+
+-- The template to use, or NULL when there is none for the key
+CREATE OR REPLACE FUNCTION api.resolve_notification_template(
+  template_key TEXT,
+  client_id UUID DEFAULT NULL,
+  locale TEXT DEFAULT 'en',
+  channel TEXT DEFAULT 'email'
+)
+RETURNS api.notification_templates AS $$
+  SELECT t.*
+  FROM api.notification_templates t
+  WHERE t.template_key = resolve_notification_template.template_key
+    AND t.is_active
+    AND (t.client_id IS NULL OR t.client_id = resolve_notification_template.client_id)
+    AND t.locale IN (
+      COALESCE(resolve_notification_template.locale, 'en'),
+      split_part(COALESCE(resolve_notification_template.locale, 'en'), '-', 1),
+      'en'
+    )
+    AND t.channel = COALESCE(resolve_notification_template.channel, 'email')
+  ORDER BY
+    t.client_id IS NULL,
+    CASE t.locale
+      WHEN COALESCE(resolve_notification_template.locale, 'en') THEN 0
+      WHEN split_part(COALESCE(resolve_notification_template.locale, 'en'), '-', 1) THEN 1
+      ELSE 2
+    END,
+    t.version DESC
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Render a template, refusing missing variables and values of the wrong type.
+-- A custom message replaces the body, which then needs none of its variables.
+CREATE OR REPLACE FUNCTION api.render_notification_template(
+  template_id UUID,
+  variables JSONB DEFAULT '{}'::JSONB,
+  custom_message TEXT DEFAULT NULL
+)
+RETURNS TABLE (subject TEXT, body TEXT)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  template api.notification_templates;
+  values_given JSONB := COALESCE(variables, '{}'::JSONB);
+  property RECORD;
+  expected TEXT;
+  mistyped BOOLEAN;
+  missing TEXT[];
+BEGIN
+  SELECT * INTO template FROM api.notification_templates t WHERE t.id = template_id;
+
+  IF template.id IS NULL THEN
+    RAISE EXCEPTION 'Notification template % not found', template_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  SELECT array_agg(name ORDER BY ordinal)
+  INTO missing
+  FROM (
+    SELECT name, min(ordinal) AS ordinal
+    FROM (
+      SELECT name, ordinal
+      FROM unnest(api.notification_template_placeholders(
+        template.subject || CASE WHEN custom_message IS NULL THEN E'\n' || template.body ELSE '' END
+      )) WITH ORDINALITY AS used(name, ordinal)
+      UNION ALL
+      SELECT name, 1000000 + ordinal
+      FROM jsonb_array_elements_text(
+        CASE WHEN custom_message IS NULL THEN COALESCE(template.variables->'required', '[]'::JSONB)
+          ELSE '[]'::JSONB END
+      ) WITH ORDINALITY AS required(name, ordinal)
+    ) needed
+    GROUP BY name
+  ) names
+  WHERE NULLIF(values_given->>name, '') IS NULL;
+
+  IF missing IS NOT NULL THEN
+    RAISE EXCEPTION 'Missing template variable(s): %', array_to_string(missing, ', ')
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  FOR property IN SELECT key, value FROM jsonb_each(template.variables->'properties') LOOP
+    CONTINUE WHEN NOT values_given ? property.key OR values_given->property.key = 'null'::JSONB;
+    expected := property.value->>'type';
+    mistyped := jsonb_typeof(values_given->property.key)
+      <> CASE expected WHEN 'integer' THEN 'number' ELSE expected END;
+    IF NOT mistyped AND expected = 'integer' THEN
+      mistyped := (values_given->>property.key)::NUMERIC % 1 <> 0;
+    END IF;
+
+    IF mistyped THEN
+      RAISE EXCEPTION 'Template variable % must have type %', property.key, expected
+        USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+  END LOOP;
+
+  subject := api.fill_notification_template(template.subject, values_given);
+  body := COALESCE(custom_message, api.fill_notification_template(template.body, values_given));
+  RETURN NEXT;
+END;
+$$;
+
+-- Resolve and render in one call. Without a template, a custom message is
+-- still sent under a generic subject.
+CREATE OR REPLACE FUNCTION api.render_notification(
+  template_key TEXT,
+  client_id UUID,
+  locale TEXT,
+  channel TEXT,
+  variables JSONB DEFAULT '{}'::JSONB,
+  custom_message TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  template_id UUID,
+  template_version INTEGER,
+  template_locale VARCHAR(10),
+  subject TEXT,
+  body TEXT
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  template api.notification_templates;
+  rendered RECORD;
+BEGIN
+  template := api.resolve_notification_template(template_key, client_id, locale, channel);
+
+  IF template.id IS NULL THEN
+    IF custom_message IS NULL THEN
+      RAISE EXCEPTION 'Unknown notification template "%"', template_key
+        USING ERRCODE = 'no_data_found';
+    END IF;
+
+    subject := 'A message from Thepia Flows';
+    body := custom_message;
+    RETURN NEXT;
+    RETURN;
+  END IF;
+
+  SELECT r.subject, r.body
+  INTO rendered
+  FROM api.render_notification_template(template.id, variables, custom_message) r;
+
+  template_id := template.id;
+  template_version := template.version;
+  template_locale := template.locale;
+  subject := rendered.subject;
+  body := rendered.body;
+  RETURN NEXT;
+END;
+$$;
+
+-- Render with each variable's first example where no value is given, and
+-- report the variables that have neither instead of failing
+CREATE OR REPLACE FUNCTION api.preview_notification_template(
+  template_id UUID,
+  variables JSONB DEFAULT '{}'::JSONB
+)
+RETURNS TABLE (subject TEXT, body TEXT, missing TEXT[])
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  template api.notification_templates;
+  sample JSONB;
+BEGIN
+  SELECT * INTO template FROM api.notification_templates t WHERE t.id = template_id;
+
+  IF template.id IS NULL THEN
+    RAISE EXCEPTION 'Notification template % not found', template_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  SELECT COALESCE(jsonb_object_agg(key, value->'examples'->0), '{}'::JSONB)
+  INTO sample
+  FROM jsonb_each(template.variables->'properties')
+  WHERE value->'examples'->0 IS NOT NULL;
+  sample := sample || jsonb_strip_nulls(COALESCE(variables, '{}'::JSONB));
+
+  subject := api.fill_notification_template(template.subject, sample);
+  body := api.fill_notification_template(template.body, sample);
+  SELECT COALESCE(array_agg(name), ARRAY[]::TEXT[])
+  INTO missing
+  FROM (
+    SELECT unnest(api.notification_template_placeholders(template.subject || E'\n' || template.body)) AS name
+    UNION
+    SELECT jsonb_array_elements_text(COALESCE(template.variables->'required', '[]'::JSONB))
+  ) needed
+  WHERE NULLIF(sample->>name, '') IS NULL;
+  RETURN NEXT;
+END;
+$$;
+
+-- =====================================================
+-- PUBLISHING
+-- =====================================================
+
+-- Add the next version of a template; the new version is used from now on
+CREATE OR REPLACE FUNCTION api.publish_notification_template(
+  template_key TEXT,
+  subject TEXT,
+  body TEXT,
+  variables JSONB DEFAULT '{"type": "object", "properties": {}}'::JSONB,
+  client_id UUID DEFAULT NULL,
+  locale TEXT DEFAULT 'en',
+  channel TEXT DEFAULT 'email',
+  created_by TEXT DEFAULT 'system',
+  description TEXT DEFAULT NULL
+)
+RETURNS api.notification_templates
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  next_version INTEGER;
+  result api.notification_templates;
+BEGIN
+  -- Publishing the same template twice at once would race for the version
+  PERFORM pg_advisory_xact_lock(hashtext(concat_ws('/',
+    'notification_template', publish_notification_template.client_id,
+    publish_notification_template.template_key, publish_notification_template.locale,
+    publish_notification_template.channel
+  )));
+
+  SELECT COALESCE(max(t.version), 0) + 1
+  INTO next_version
+  FROM api.notification_templates t
+  WHERE t.client_id IS NOT DISTINCT FROM publish_notification_template.client_id
+    AND t.template_key = publish_notification_template.template_key
+    AND t.locale = publish_notification_template.locale
+    AND t.channel = publish_notification_template.channel;
+
+  INSERT INTO api.notification_templates
+    (client_id, template_key, locale, channel, version, subject, body, variables,
+     description, created_by)
+  VALUES
+    (publish_notification_template.client_id, publish_notification_template.template_key,
+     publish_notification_template.locale, publish_notification_template.channel, next_version,
+     publish_notification_template.subject, publish_notification_template.body,
+     publish_notification_template.variables, publish_notification_template.description,
+     publish_notification_template.created_by)
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+-- =====================================================
+-- LOCALE SELECTION
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION api.notification_locale(
+  client_id UUID,
+  email_hash TEXT DEFAULT NULL,
+  offboarding_workflow_id UUID DEFAULT NULL
+)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+  SELECT COALESCE(
+    (SELECT w.documentation_language
+     FROM api.offboarding_workflows w
+     WHERE w.id = notification_locale.offboarding_workflow_id
+       AND w.client_id = notification_locale.client_id),
+    (SELECT c.preferred_language
+     FROM api.account_contacts c
+     WHERE c.client_id = notification_locale.client_id
+       AND c.status = 'active'
+       AND api.invitation_email_hash(c.email) = notification_locale.email_hash
+     ORDER BY c.is_primary_contact DESC
+     LIMIT 1),
+    'en'
+  );
+$$;
+
+-- =====================================================
+-- QUEUED TEMPLATE KEYS
+-- =====================================================
+
+-- A notification can only be queued for a template that exists
+CREATE OR REPLACE FUNCTION api.check_notification_template_key()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM api.notification_templates t
+    WHERE t.template_key = NEW.message_template
+      AND t.is_active
+      AND (t.client_id IS NULL OR t.client_id = NEW.client_id)
+  ) THEN
+    RAISE EXCEPTION 'Unknown notification template "%"', NEW.message_template
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_check_notification_template_key ON api.invitations;
+CREATE TRIGGER trigger_check_notification_template_key
+  BEFORE INSERT OR UPDATE OF message_template ON api.invitations
+  FOR EACH ROW
+  WHEN (NEW.message_template IS NOT NULL)
+  EXECUTE FUNCTION api.check_notification_template_key();
+
+-- =====================================================
+-- GLOBAL TEMPLATES
+-- =====================================================
+
+-- The templates the dispatcher shipped with (src/notifications, 37)
+INSERT INTO api.notification_templates
+  (template_key, locale, channel, version, subject, body, variables, description)
+VALUES
+  (
+    'invitation_approved', 'en', 'email', 1,
+    'Your Thepia Flows demo is ready',
+    $body$Hi {{first_name}},
+
+Your {{demo_duration}} demo of Thepia Flows has been approved. Start here:
+{{invitation_link}}
+
+Your invitation code is {{invitation_code}} and the link works until {{expires_on}}.
+
+The Thepia team$body$,
+    '{
+      "type": "object",
+      "properties": {
+        "first_name": {"type": "string", "examples": ["Sofia"]},
+        "demo_duration": {"type": "string", "examples": ["14 days"]},
+        "invitation_link": {"type": "string", "examples": ["https://acme.thepia.net/invitation/ACME-FLOWS-1A2B3C?token=..."]},
+        "invitation_code": {"type": "string", "examples": ["ACME-FLOWS-1A2B3C"]},
+        "expires_on": {"type": "string", "examples": ["2025-02-01"]}
+      },
+      "required": ["first_name", "demo_duration", "invitation_link", "invitation_code", "expires_on"]
+    }',
+    'Sent when a demo request is approved'
+  ),
+  (
+    'demo_request_rejected', 'en', 'email', 1,
+    'Your Thepia Flows demo request',
+    $body$Hi {{first_name}},
+
+Thank you for your interest in Thepia Flows. We cannot offer you a demo at this time:
+{{reason}}
+
+The Thepia team$body$,
+    '{
+      "type": "object",
+      "properties": {
+        "first_name": {"type": "string", "examples": ["Sofia"]},
+        "reason": {"type": "string", "examples": ["We only offer demos to companies in the EU for now."]}
+      },
+      "required": ["first_name", "reason"]
+    }',
+    'Sent when a demo request is rejected with notify'
+  ),
+  (
+    'invitation_reminder', 'en', 'email', 1,
+    'Your Thepia Flows invitation is waiting',
+    $body$Hi {{first_name}},
+
+You have not opened your invitation {{invitation_code}} yet. Start here:
+{{invitation_link}}
+
+The link works until {{expires_on}}.
+
+The Thepia team$body$,
+    '{
+      "type": "object",
+      "properties": {
+        "first_name": {"type": "string", "examples": ["Sofia"]},
+        "invitation_code": {"type": "string", "examples": ["ACME-FLOWS-1A2B3C"]},
+        "invitation_link": {"type": "string", "examples": ["https://acme.thepia.net/invitation/ACME-FLOWS-1A2B3C?token=..."]},
+        "expires_on": {"type": "string", "examples": ["2025-02-01"]}
+      },
+      "required": ["first_name", "invitation_code", "invitation_link", "expires_on"]
+    }',
+    'Reminder for an invitation that has not been opened'
+  ),
+  (
+    'invitation_reminder', 'en', 'sms', 1,
+    'Your Thepia Flows invitation is waiting',
+    $body$Your Thepia Flows invitation {{invitation_code}} is waiting until {{expires_on}}: {{invitation_link}}$body$,
+    '{
+      "type": "object",
+      "properties": {
+        "invitation_code": {"type": "string", "examples": ["ACME-FLOWS-1A2B3C"]},
+        "invitation_link": {"type": "string", "examples": ["https://acme.thepia.net/invitation/ACME-FLOWS-1A2B3C?token=..."]},
+        "expires_on": {"type": "string", "examples": ["2025-02-01"]}
+      },
+      "required": ["invitation_code", "invitation_link", "expires_on"]
+    }',
+    'Text message reminder for an invitation that has not been opened'
+  )
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+-- Staff manage templates; clients read their own and the global ones
+ALTER TABLE api.notification_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY policy_notification_templates_staff_access ON api.notification_templates
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+CREATE POLICY policy_notification_templates_client_read ON api.notification_templates
+  FOR SELECT
+  USING (
+    client_id IS NULL
+    OR client_id::text = auth.jwt()->>'client_id'
+    OR EXISTS (
+      SELECT 1 FROM api.clients
+      WHERE clients.id = notification_templates.client_id
+        AND clients.client_code = auth.jwt()->>'client_code'
+    )
+  );
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+-- Resolving, rendering and publishing run as the caller, under the policies above
+REVOKE EXECUTE ON FUNCTION api.resolve_notification_template(TEXT, UUID, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.resolve_notification_template(TEXT, UUID, TEXT, TEXT) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.render_notification_template(UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.render_notification_template(UUID, JSONB, TEXT) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.render_notification(TEXT, UUID, TEXT, TEXT, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.render_notification(TEXT, UUID, TEXT, TEXT, JSONB, TEXT) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.preview_notification_template(UUID, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.preview_notification_template(UUID, JSONB) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.publish_notification_template(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.publish_notification_template(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, TEXT, TEXT) TO authenticated, service_role;
+
+-- Reads account contacts and workflows across clients
+REVOKE EXECUTE ON FUNCTION api.notification_locale(UUID, TEXT, UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.notification_locale(UUID, TEXT, UUID) TO service_role;
+
+COMMENT ON TABLE api.notification_templates IS
+  'Versioned notification templates per client (NULL: global), locale and channel, with {{variable}} placeholders declared in a JSON schema';
+COMMENT ON FUNCTION api.resolve_notification_template(TEXT, UUID, TEXT, TEXT) IS
+  'The active template for a key and channel: client before global; requested locale, then its language, then en';
+COMMENT ON FUNCTION api.render_notification(TEXT, UUID, TEXT, TEXT, JSONB, TEXT) IS
+  'Resolve and render a notification template, refusing missing or mistyped variables';
+COMMENT ON FUNCTION api.preview_notification_template(UUID, JSONB) IS
+  'Render a template with example values where none are given, listing what is still missing';
+COMMENT ON FUNCTION api.publish_notification_template(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, TEXT, TEXT) IS
+  'Add the next version of a notification template';
+COMMENT ON FUNCTION api.notification_locale(UUID, TEXT, UUID) IS
+  'Locale for a notification: the offboarding workflow documentation_language, else the account contact preferred_language, else en';
@@ -0,0 +1,321 @@
+-- =====================================================
+-- NOTIFICATIONS - The admin app's Notification model
+-- =====================================================
+--
+-- Purpose: Give api.notifications the columns the admin app's Notification
+--          model reads (priority, status, channels, stakeholders, schedule,
+--          actions, metadata, application), policies that use the JWT, and
+--          functions to mark read, archive and act on many at once
+-- Issue: 17 only defined title/message/type/read, and its policy read an
+--        app.current_client_id setting nothing sets, so every query from the
+--        admin app failed and NotificationService fell back to local state
+-- Dependencies: 17_notifications_table.sql
+--
+-- A notification goes to everyone at its client, or to one user when user_id
+-- is set (the JWT `sub`). Status moves between unread, read, archived and
+-- dismissed; read_at and archived_at follow it. `read` is kept as a
+-- generated column for existing readers.
+--
+-- The info/warning/error/success types of 17 become system alerts, with a
+-- priority from their severity and the old type in metadata.legacyType.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- COLUMNS
+-- =====================================================
+
+ALTER TABLE api.notifications
+  ADD COLUMN IF NOT EXISTS application_id UUID REFERENCES api.client_applications(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'medium'
+    CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'unread'
+    CHECK (status IN ('unread', 'read', 'archived', 'dismissed')),
+  ADD COLUMN IF NOT EXISTS channels TEXT[] NOT NULL DEFAULT ARRAY['in_app']
+    CONSTRAINT notification_channels_known CHECK (
+      cardinality(channels) > 0
+      AND channels <@ ARRAY['in_app', 'email', 'sms', 'push', 'slack']
+    ),
+  ADD COLUMN IF NOT EXISTS from_stakeholder JSONB NOT NULL
+    DEFAULT '{"id": "system", "type": "system", "name": "Flows System", "email": "system@flows.thepia.net"}'::JSONB
+    CHECK (jsonb_typeof(from_stakeholder) = 'object'),
+  ADD COLUMN IF NOT EXISTS to_stakeholders JSONB NOT NULL DEFAULT '[]'::JSONB
+    CHECK (jsonb_typeof(to_stakeholders) = 'array'),
+  ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS actions JSONB NOT NULL DEFAULT '[]'::JSONB
+    CHECK (jsonb_typeof(actions) = 'array'),
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::JSONB
+    CHECK (jsonb_typeof(metadata) = 'object');
+
+-- `read` follows status
+UPDATE api.notifications
+SET status = 'read', read_at = updated_at
+WHERE read;
+
+DROP INDEX IF EXISTS api.idx_notifications_read;
+ALTER TABLE api.notifications DROP COLUMN IF EXISTS read;
+ALTER TABLE api.notifications
+  ADD COLUMN read BOOLEAN GENERATED ALWAYS AS (status <> 'unread') STORED;
+
+-- The legacy types become system alerts
+ALTER TABLE api.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+
+UPDATE api.notifications
+SET
+  priority = CASE type WHEN 'error' THEN 'high' WHEN 'warning' THEN 'medium' ELSE 'low' END,
+  metadata = metadata || jsonb_build_object('legacyType', COALESCE(type, 'info')),
+  type = 'system_alert'
+WHERE type IN ('info', 'warning', 'error', 'success') OR type IS NULL;
+
+ALTER TABLE api.notifications
+  ALTER COLUMN type SET DEFAULT 'system_alert',
+  ALTER COLUMN type SET NOT NULL,
+  ADD CONSTRAINT notifications_type_check CHECK (type IN (
+    'onboarding_reminder', 'document_review', 'task_assignment', 'process_update',
+    'deadline_reminder', 'system_alert', 'invitation_sent', 'completion_milestone',
+    'manager_action_required', 'hr_review_needed'
+  ));
+
+-- =====================================================
+-- INDEXES
+-- =====================================================
+
+-- The inbox: a client's or user's notifications that are not put away, newest first
+CREATE INDEX IF NOT EXISTS idx_notifications_inbox
+  ON api.notifications (client_id, user_id, created_at DESC)
+  WHERE status IN ('unread', 'read');
+CREATE INDEX IF NOT EXISTS idx_notifications_unread
+  ON api.notifications (client_id, user_id)
+  WHERE status = 'unread';
+CREATE INDEX IF NOT EXISTS idx_notifications_application_id
+  ON api.notifications (application_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_scheduled_for
+  ON api.notifications (scheduled_for)
+  WHERE scheduled_for IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_expires_at
+  ON api.notifications (expires_at)
+  WHERE expires_at IS NOT NULL;
+
+-- =====================================================
+-- STATUS TIMESTAMPS
+-- =====================================================
+
+-- Stamp read_at and archived_at when the status changes, however it is changed
+CREATE OR REPLACE FUNCTION api.stamp_notification_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status = OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  CASE NEW.status
+    WHEN 'unread' THEN
+      NEW.read_at := NULL;
+      NEW.archived_at := NULL;
+    WHEN 'read' THEN
+      NEW.read_at := COALESCE(NEW.read_at, NOW());
+      NEW.archived_at := NULL;
+    WHEN 'archived' THEN
+      NEW.archived_at := COALESCE(NEW.archived_at, NOW());
+    ELSE
+      NULL;
+  END CASE;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_stamp_notification_status ON api.notifications;
+CREATE TRIGGER trigger_stamp_notification_status
+  BEFORE INSERT OR UPDATE OF status ON api.notifications
+  FOR EACH ROW
+  EXECUTE FUNCTION api.stamp_notification_status();
+
+-- =====================================================
+-- ROW LEVEL SECURITY (RLS)
+-- =====================================================
+
+-- Whether the caller may see a notification: staff and the service role see
+-- all of them, a client's users those for the whole client and their own
+CREATE OR REPLACE FUNCTION api.can_access_notification(client_id UUID, user_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+  SELECT COALESCE(
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+    OR (
+      (can_access_notification.user_id IS NULL
+        OR can_access_notification.user_id = auth.jwt()->>'sub')
+      AND (
+        can_access_notification.client_id::text = auth.jwt()->>'client_id'
+        OR EXISTS (
+          SELECT 1 FROM api.clients c
+          WHERE c.id = can_access_notification.client_id
+            AND c.client_code = auth.jwt()->>'client_code'
+        )
+      )
+    ),
+    false
+  );
+$$;
+
+DROP POLICY IF EXISTS "notifications_client_isolation" ON api.notifications;
+
+-- Staff manage notifications; a client's users read theirs and change their
+-- status through the functions below
+CREATE POLICY policy_notifications_staff_access ON api.notifications
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+CREATE POLICY policy_notifications_recipient_read ON api.notifications
+  FOR SELECT
+  USING (api.can_access_notification(client_id, user_id));
+
+-- =====================================================
+-- STATUS CHANGES
+-- =====================================================
+
+-- Set the status of the given notifications the caller can see, returning
+-- the ones that changed
+CREATE OR REPLACE FUNCTION api.set_notifications_status(notification_ids UUID[], new_status TEXT)
+RETURNS SETOF api.notifications
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+BEGIN
+  IF new_status IS NULL OR new_status NOT IN ('unread', 'read', 'archived', 'dismissed') THEN
+    RAISE EXCEPTION 'Unknown notification status "%"', new_status
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  RETURN QUERY
+  UPDATE api.notifications n
+  SET status = new_status
+  WHERE n.id = ANY(notification_ids)
+    AND n.status <> new_status
+    AND api.can_access_notification(n.client_id, n.user_id)
+  RETURNING n.*;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION api.mark_notifications_read(notification_ids UUID[])
+RETURNS SETOF api.notifications AS $$
+  SELECT * FROM api.set_notifications_status(notification_ids, 'read');
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION api.archive_notifications(notification_ids UUID[])
+RETURNS SETOF api.notifications AS $$
+  SELECT * FROM api.set_notifications_status(notification_ids, 'archived');
+$$ LANGUAGE sql;
+
+-- Set the status of every notification the caller can see that matches the
+-- filter and is in one of `from_statuses`; NULL filters match everything.
+-- Returns how many changed.
+CREATE OR REPLACE FUNCTION api.set_all_notifications_status(
+  new_status TEXT,
+  from_statuses TEXT[],
+  client_id UUID DEFAULT NULL,
+  application_id UUID DEFAULT NULL,
+  types TEXT[] DEFAULT NULL,
+  priorities TEXT[] DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  changed INTEGER;
+BEGIN
+  IF new_status IS NULL OR new_status NOT IN ('unread', 'read', 'archived', 'dismissed') THEN
+    RAISE EXCEPTION 'Unknown notification status "%"', new_status
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  UPDATE api.notifications n
+  SET status = new_status
+  WHERE n.status = ANY(from_statuses)
+    AND n.status <> new_status
+    AND (set_all_notifications_status.client_id IS NULL
+      OR n.client_id = set_all_notifications_status.client_id)
+    AND (set_all_notifications_status.application_id IS NULL
+      OR n.application_id = set_all_notifications_status.application_id)
+    AND (types IS NULL OR n.type = ANY(types))
+    AND (priorities IS NULL OR n.priority = ANY(priorities))
+    AND api.can_access_notification(n.client_id, n.user_id);
+
+  GET DIAGNOSTICS changed = ROW_COUNT;
+  RETURN changed;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION api.mark_all_notifications_read(
+  client_id UUID DEFAULT NULL,
+  application_id UUID DEFAULT NULL,
+  types TEXT[] DEFAULT NULL,
+  priorities TEXT[] DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+  SELECT api.set_all_notifications_status('read', ARRAY['unread'], client_id, application_id, types, priorities);
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION api.archive_all_notifications(
+  client_id UUID DEFAULT NULL,
+  application_id UUID DEFAULT NULL,
+  types TEXT[] DEFAULT NULL,
+  priorities TEXT[] DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+  SELECT api.set_all_notifications_status('archived', ARRAY['unread', 'read'], client_id, application_id, types, priorities);
+$$ LANGUAGE sql;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+-- Signed-in users change the status of the notifications they can see
+REVOKE EXECUTE ON FUNCTION api.set_notifications_status(UUID[], TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.set_notifications_status(UUID[], TEXT) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.mark_notifications_read(UUID[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.mark_notifications_read(UUID[]) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.archive_notifications(UUID[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.archive_notifications(UUID[]) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.set_all_notifications_status(TEXT, TEXT[], UUID, UUID, TEXT[], TEXT[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.set_all_notifications_status(TEXT, TEXT[], UUID, UUID, TEXT[], TEXT[]) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.mark_all_notifications_read(UUID, UUID, TEXT[], TEXT[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.mark_all_notifications_read(UUID, UUID, TEXT[], TEXT[]) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION api.archive_all_notifications(UUID, UUID, TEXT[], TEXT[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.archive_all_notifications(UUID, UUID, TEXT[], TEXT[]) TO authenticated, service_role;
+
+COMMENT ON COLUMN api.notifications.user_id IS
+  'The user (JWT sub) the notification is for; NULL for everyone at the client';
+COMMENT ON COLUMN api.notifications.read IS
+  'Kept for readers of 17; follows status';
+COMMENT ON FUNCTION api.can_access_notification(UUID, TEXT) IS
+  'Whether the caller sees a notification: staff, the service role, or a user of its client it is for';
+COMMENT ON FUNCTION api.set_notifications_status(UUID[], TEXT) IS
+  'Set the status of notifications the caller can see, returning those that changed';
+COMMENT ON FUNCTION api.mark_notifications_read(UUID[]) IS
+  'Mark notifications the caller can see as read';
+COMMENT ON FUNCTION api.archive_notifications(UUID[]) IS
+  'Archive notifications the caller can see';
+COMMENT ON FUNCTION api.mark_all_notifications_read(UUID, UUID, TEXT[], TEXT[]) IS
+  'Mark every unread notification the caller can see that matches the filter as read';
+COMMENT ON FUNCTION api.archive_all_notifications(UUID, UUID, TEXT[], TEXT[]) IS
+  'Archive every unread or read notification the caller can see that matches the filter';
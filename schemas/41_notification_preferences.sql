@@ -0,0 +1,554 @@
+-- =====================================================
+-- NOTIFICATION PREFERENCES - Routing, quiet hours and digests per user
+-- =====================================================
+--
+-- Purpose: Let each user of a client choose which notification types and
+--          priorities reach them on which channels, set quiet hours in their
+--          own timezone and collect everything that is not pressing into a
+--          daily or weekly digest
+-- Issue: The admin app declared NotificationPreferences, but nothing stored
+--        them and neither the dispatcher nor the inbox respected them
+-- Dependencies: 38_notification_claim_leases.sql,
+--               40_notifications_admin_model.sql
+--
+-- One row per user (the JWT `sub`) and client. type_channels and
+-- priority_channels map a notification type or priority to the channels it
+-- may use; a type or priority without an entry may use every channel, and a
+-- notification only goes out on channels both its type and its priority
+-- allow. Invitations carry no user id, so preferences also record the hash
+-- of the user's email, which matches api.invitations.email_hash.
+--
+-- plan_notification_delivery() applies a user's preferences to one
+-- notification: the channels left, and when to deliver. Low and medium
+-- priority notifications wait for the next digest when the user has one;
+-- everything else waits for the end of quiet hours. An urgent notification
+-- marked as compliance goes out during quiet hours unless the user turned
+-- urgent_override off.
+--
+-- Notifications for one user in api.notifications are planned when inserted.
+-- The dispatcher plans invitation notifications when it claims them, puts
+-- held ones back with defer_notification() and records channels the user
+-- turned off as skipped.
+
+-- Set schema context
+SET search_path TO api, public;
+
+-- =====================================================
+-- PREFERENCES TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS api.notification_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES api.clients(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL DEFAULT (auth.jwt()->>'sub'),
+  email_hash VARCHAR(64),
+
+  -- {"task_assignment": ["in_app", "email"], ...}
+  type_channels JSONB NOT NULL DEFAULT '{}'::jsonb
+    CHECK (jsonb_typeof(type_channels) = 'object'),
+  -- {"low": ["in_app"], ...}
+  priority_channels JSONB NOT NULL DEFAULT '{}'::jsonb
+    CHECK (jsonb_typeof(priority_channels) = 'object'),
+
+  quiet_hours_enabled BOOLEAN NOT NULL DEFAULT false,
+  quiet_hours_start TIME,
+  quiet_hours_end TIME,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+
+  digest_mode TEXT NOT NULL DEFAULT 'off' CHECK (digest_mode IN ('off', 'daily', 'weekly')),
+  digest_time TIME NOT NULL DEFAULT '08:00',
+  -- ISO day of the week for weekly digests, 1 = Monday
+  digest_day SMALLINT NOT NULL DEFAULT 1 CHECK (digest_day BETWEEN 1 AND 7),
+
+  urgent_override BOOLEAN NOT NULL DEFAULT true,
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT notification_preferences_user_client_key UNIQUE (user_id, client_id),
+  CONSTRAINT notification_preferences_quiet_hours CHECK (
+    NOT quiet_hours_enabled
+    OR (quiet_hours_start IS NOT NULL
+        AND quiet_hours_end IS NOT NULL
+        AND quiet_hours_start <> quiet_hours_end)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_email_hash
+  ON api.notification_preferences(client_id, email_hash)
+  WHERE email_hash IS NOT NULL;
+
+-- Check what the column types cannot, and keep email_hash and updated_at current
+CREATE OR REPLACE FUNCTION api.validate_notification_preferences()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = api, public
+AS $$
+DECLARE
+  rules JSONB;
+  rule RECORD;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = NEW.timezone) THEN
+    RAISE EXCEPTION 'Unknown timezone "%"', NEW.timezone
+      USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  FOREACH rules IN ARRAY ARRAY[NEW.type_channels, NEW.priority_channels] LOOP
+    FOR rule IN SELECT key, value FROM jsonb_each(rules) LOOP
+      IF rule.key !~ '^[a-z][a-z0-9_]*$' THEN
+        RAISE EXCEPTION 'Notification preference key "%" must be lower snake case', rule.key
+          USING ERRCODE = 'invalid_parameter_value';
+      END IF;
+      IF jsonb_typeof(rule.value) <> 'array'
+        OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements(rule.value) AS channel
+          WHERE jsonb_typeof(channel) <> 'string'
+            OR channel #>> '{}' NOT IN ('in_app', 'email', 'sms', 'push', 'slack', 'discord')
+        ) THEN
+        RAISE EXCEPTION 'Channels for "%" must be a list of in_app, email, sms, push, slack or discord', rule.key
+          USING ERRCODE = 'invalid_parameter_value';
+      END IF;
+    END LOOP;
+  END LOOP;
+
+  -- Users saving their own preferences bring the email invitations are sent to
+  IF NEW.email_hash IS NULL
+    AND NEW.user_id = auth.jwt()->>'sub'
+    AND auth.jwt()->>'email' IS NOT NULL THEN
+    NEW.email_hash := api.invitation_email_hash(auth.jwt()->>'email');
+  END IF;
+
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_validate_notification_preferences ON api.notification_preferences;
+CREATE TRIGGER trigger_validate_notification_preferences
+  BEFORE INSERT OR UPDATE ON api.notification_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION api.validate_notification_preferences();
+
+-- =====================================================
+-- RLS
+-- =====================================================
+
+ALTER TABLE api.notification_preferences ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own preferences at their client; staff manage everyone's
+CREATE POLICY policy_notification_preferences_own ON api.notification_preferences
+  FOR ALL
+  USING (
+    user_id = auth.jwt()->>'sub'
+    AND (
+      client_id::text = auth.jwt()->>'client_id'
+      OR EXISTS (
+        SELECT 1 FROM api.clients c
+        WHERE c.id = notification_preferences.client_id
+          AND c.client_code = auth.jwt()->>'client_code'
+      )
+    )
+  )
+  WITH CHECK (
+    user_id = auth.jwt()->>'sub'
+    AND (
+      client_id::text = auth.jwt()->>'client_id'
+      OR EXISTS (
+        SELECT 1 FROM api.clients c
+        WHERE c.id = notification_preferences.client_id
+          AND c.client_code = auth.jwt()->>'client_code'
+      )
+    )
+  );
+
+CREATE POLICY policy_notification_preferences_staff_access ON api.notification_preferences
+  FOR ALL
+  USING (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->'user_metadata'->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+-- =====================================================
+-- DELIVERY PLANNING
+-- =====================================================
+
+-- The channels a notification may use and when to deliver it, by the
+-- preferences of the user (or, without a user id, the email hash) at its
+-- client. Without preferences it goes out on every channel at planned_at.
+-- held_for says why deliver_at is later than planned_at: digest or quiet_hours.
+CREATE OR REPLACE FUNCTION api.plan_notification_delivery(
+  client_id UUID,
+  user_id TEXT,
+  email_hash TEXT,
+  notification_type TEXT,
+  priority TEXT,
+  requested_channels TEXT[],
+  compliance BOOLEAN DEFAULT false,
+  planned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)
+RETURNS TABLE(channels TEXT[], deliver_at TIMESTAMP WITH TIME ZONE, held_for TEXT)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  prefs api.notification_preferences;
+  local_at TIMESTAMP;
+  next_digest TIMESTAMP;
+  quiet_end TIMESTAMP;
+BEGIN
+  SELECT p.* INTO prefs
+  FROM api.notification_preferences p
+  WHERE p.client_id = plan_notification_delivery.client_id
+    AND CASE
+      WHEN plan_notification_delivery.user_id IS NOT NULL
+        THEN p.user_id = plan_notification_delivery.user_id
+      ELSE p.email_hash = plan_notification_delivery.email_hash
+    END
+  ORDER BY p.updated_at DESC
+  LIMIT 1;
+
+  channels := requested_channels;
+  deliver_at := planned_at;
+  held_for := NULL;
+
+  IF prefs.id IS NULL THEN
+    RETURN NEXT;
+    RETURN;
+  END IF;
+
+  -- Only the channels both the type and the priority allow, in the order requested
+  SELECT COALESCE(array_agg(requested.channel ORDER BY requested.position), ARRAY[]::TEXT[])
+  INTO channels
+  FROM unnest(requested_channels) WITH ORDINALITY AS requested(channel, position)
+  WHERE (NOT COALESCE(prefs.type_channels ? notification_type, false)
+         OR prefs.type_channels->notification_type ? requested.channel)
+    AND (NOT COALESCE(prefs.priority_channels ? priority, false)
+         OR prefs.priority_channels->priority ? requested.channel);
+
+  IF cardinality(channels) = 0 THEN
+    RETURN NEXT;
+    RETURN;
+  END IF;
+
+  local_at := planned_at AT TIME ZONE prefs.timezone;
+
+  IF prefs.digest_mode <> 'off' AND priority IN ('low', 'medium') THEN
+    next_digest := date_trunc('day', local_at) + prefs.digest_time;
+    IF prefs.digest_mode = 'weekly' THEN
+      next_digest := next_digest
+        + make_interval(days => (prefs.digest_day - EXTRACT(ISODOW FROM local_at)::INTEGER + 7) % 7);
+      IF next_digest < local_at THEN
+        next_digest := next_digest + interval '7 days';
+      END IF;
+    ELSIF next_digest < local_at THEN
+      next_digest := next_digest + interval '1 day';
+    END IF;
+
+    deliver_at := next_digest AT TIME ZONE prefs.timezone;
+    held_for := CASE WHEN deliver_at > planned_at THEN 'digest' END;
+    RETURN NEXT;
+    RETURN;
+  END IF;
+
+  IF prefs.quiet_hours_enabled
+    AND NOT (priority = 'urgent' AND COALESCE(compliance, false) AND prefs.urgent_override) THEN
+    IF prefs.quiet_hours_start < prefs.quiet_hours_end THEN
+      -- Quiet within the day, e.g. 12:00-13:00
+      IF local_at::TIME >= prefs.quiet_hours_start AND local_at::TIME < prefs.quiet_hours_end THEN
+        quiet_end := date_trunc('day', local_at) + prefs.quiet_hours_end;
+      END IF;
+    ELSIF local_at::TIME >= prefs.quiet_hours_start THEN
+      -- Quiet over midnight, e.g. 22:00-07:00, before midnight
+      quiet_end := date_trunc('day', local_at) + interval '1 day' + prefs.quiet_hours_end;
+    ELSIF local_at::TIME < prefs.quiet_hours_end THEN
+      quiet_end := date_trunc('day', local_at) + prefs.quiet_hours_end;
+    END IF;
+
+    IF quiet_end IS NOT NULL THEN
+      deliver_at := quiet_end AT TIME ZONE prefs.timezone;
+      held_for := 'quiet_hours';
+    END IF;
+  END IF;
+
+  RETURN NEXT;
+END;
+$$;
+
+-- =====================================================
+-- IN-APP NOTIFICATIONS
+-- =====================================================
+
+-- Plan a notification for one user as it is inserted: drop the channels they
+-- turned off, dismiss it when none are left, and schedule it for the end of
+-- quiet hours or the next digest
+CREATE OR REPLACE FUNCTION api.apply_notification_preferences()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = api, public
+AS $$
+DECLARE
+  plan RECORD;
+BEGIN
+  SELECT * INTO plan
+  FROM api.plan_notification_delivery(
+    NEW.client_id,
+    NEW.user_id,
+    NULL,
+    NEW.type,
+    NEW.priority,
+    NEW.channels,
+    COALESCE((NEW.metadata->>'compliance')::BOOLEAN, false),
+    COALESCE(NEW.scheduled_for, NOW())
+  );
+
+  IF cardinality(plan.channels) = 0 THEN
+    NEW.status := 'dismissed';
+    NEW.metadata := NEW.metadata || jsonb_build_object('dismissedBy', 'preferences');
+    RETURN NEW;
+  END IF;
+
+  NEW.channels := plan.channels;
+  IF plan.held_for IS NOT NULL THEN
+    NEW.scheduled_for := plan.deliver_at;
+    NEW.metadata := NEW.metadata || jsonb_build_object('heldFor', plan.held_for);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_apply_notification_preferences ON api.notifications;
+CREATE TRIGGER trigger_apply_notification_preferences
+  BEFORE INSERT ON api.notifications
+  FOR EACH ROW
+  WHEN (NEW.user_id IS NOT NULL)
+  EXECUTE FUNCTION api.apply_notification_preferences();
+
+-- =====================================================
+-- INVITATION NOTIFICATIONS
+-- =====================================================
+
+-- Put a claimed notification back in the queue until `until`, releasing the
+-- lease and giving back the attempt claim_notifications counted
+CREATE OR REPLACE FUNCTION api.defer_notification(
+  invitation_id UUID,
+  until TIMESTAMP WITH TIME ZONE,
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  current api.invitations;
+  result api.invitations;
+  attempts INTEGER;
+BEGIN
+  SELECT * INTO current
+  FROM api.invitations
+  WHERE id = invitation_id
+    AND notification_status = 'processing'
+  FOR UPDATE;
+
+  IF current.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation % not found or not processing a notification', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF worker_id IS NOT NULL AND current.notification_lease_owner IS DISTINCT FROM worker_id THEN
+    RAISE EXCEPTION 'Invitation % is not leased to %', invitation_id, worker_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  attempts := current.notification_attempts
+    - CASE WHEN current.notification_lease_owner IS NULL THEN 0 ELSE 1 END;
+
+  UPDATE api.invitations
+  SET
+    notification_status = CASE WHEN attempts > 0 THEN 'retry_scheduled' ELSE 'pending' END,
+    notification_attempts = attempts,
+    send_after = until,
+    next_notification_attempt = NULL,
+    notification_lease_owner = NULL,
+    notification_lease_expires_at = NULL
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+-- As in 38, recording channels the recipient turned off as skipped. A
+-- notification with nothing left to send is done: sent when any channel was
+-- sent, cancelled when every one was skipped.
+CREATE OR REPLACE FUNCTION api.record_notification_delivery(
+  invitation_id UUID,
+  results JSONB,
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  current api.invitations;
+  result api.invitations;
+  channel TEXT;
+  outcome JSONB;
+  merged JSONB;
+  errors TEXT[] := ARRAY[]::TEXT[];
+  delivered BOOLEAN;
+  any_sent BOOLEAN;
+  email_message_id TEXT;
+  attempt INTEGER;
+  should_retry BOOLEAN;
+BEGIN
+  SELECT * INTO current
+  FROM api.invitations
+  WHERE id = invitation_id
+    AND notification_status = 'processing'
+  FOR UPDATE;
+
+  IF current.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation % not found or not processing a notification', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- Another worker reclaimed the notification after this worker's lease expired
+  IF worker_id IS NOT NULL AND current.notification_lease_owner IS DISTINCT FROM worker_id THEN
+    RAISE EXCEPTION 'Invitation % is not leased to %', invitation_id, worker_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  merged := COALESCE(current.delivery_status, '{}'::JSONB);
+
+  FOR channel, outcome IN SELECT key, value FROM jsonb_each(COALESCE(results, '{}'::JSONB)) LOOP
+    IF outcome->>'status' = 'sent' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'sent',
+        'sent_at', NOW(),
+        'message_id', outcome->>'message_id'
+      ));
+      IF channel = 'email' THEN
+        email_message_id := outcome->>'message_id';
+      END IF;
+    ELSIF outcome->>'status' = 'failed' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'failed',
+        'failed_at', NOW(),
+        'error', outcome->>'error'
+      ));
+      errors := errors || (channel || ': ' || COALESCE(outcome->>'error', 'failed'));
+    ELSIF outcome->>'status' = 'skipped' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'skipped',
+        'skipped_at', NOW()
+      ));
+    ELSE
+      RAISE EXCEPTION 'Delivery result for % must have status sent, failed or skipped', channel;
+    END IF;
+  END LOOP;
+
+  -- Done once every delivery method has been sent or skipped, in this attempt or an earlier one
+  SELECT
+    bool_and(merged->method->>'status' IN ('sent', 'skipped')),
+    bool_or(merged->method->>'status' = 'sent')
+  INTO delivered, any_sent
+  FROM jsonb_array_elements_text(COALESCE(current.delivery_methods, '["email"]'::JSONB)) AS method;
+
+  -- claim_notifications counted the attempt when it leased the notification;
+  -- mark_notification_processing does not
+  attempt := current.notification_attempts
+    + CASE WHEN current.notification_lease_owner IS NULL THEN 1 ELSE 0 END;
+  should_retry := attempt < current.max_notification_attempts;
+
+  UPDATE api.invitations
+  SET
+    delivery_status = merged,
+    notification_attempts = attempt,
+    notification_status = CASE
+      WHEN delivered AND any_sent THEN 'sent'
+      WHEN delivered THEN 'cancelled'
+      WHEN should_retry THEN 'retry_scheduled'
+      ELSE 'failed'
+    END,
+    notification_completed_at = CASE WHEN delivered THEN NOW() ELSE notification_completed_at END,
+    notification_lease_owner = NULL,
+    notification_lease_expires_at = NULL,
+    -- Backoff as in mark_notification_failed: 5 minutes, 30 minutes, 2 hours, 6 hours
+    next_notification_attempt = CASE
+      WHEN delivered OR NOT should_retry THEN NULL
+      ELSE NOW() + CASE attempt
+        WHEN 1 THEN interval '5 minutes'
+        WHEN 2 THEN interval '30 minutes'
+        WHEN 3 THEN interval '2 hours'
+        ELSE interval '6 hours'
+      END
+    END,
+    last_notification_error = CASE
+      WHEN delivered THEN NULL
+      ELSE array_to_string(errors, '; ')
+    END,
+    -- An approved invitation is sent once its email is delivered, as in 26
+    status = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'sent'
+      ELSE status
+    END,
+    status_changed_by = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'notification-dispatcher'
+      ELSE status_changed_by
+    END,
+
+    -- Legacy email fields for backward compatibility. email_sent waits for the
+    -- other channels: trigger_sync_legacy_email_fields (25) takes it to mean
+    -- the whole notification was sent.
+    email_sent = CASE
+      WHEN delivered AND merged->'email'->>'status' = 'sent' THEN true
+      ELSE email_sent
+    END,
+    email_sent_at = CASE WHEN email_message_id IS NOT NULL THEN NOW() ELSE email_sent_at END,
+    email_id = COALESCE(email_message_id, email_id),
+    email_attempts = CASE
+      WHEN results->'email'->>'status' IN ('sent', 'failed') THEN attempt
+      ELSE email_attempts
+    END,
+    last_email_error = CASE
+      WHEN results->'email'->>'status' = 'failed' THEN results->'email'->>'error'
+      ELSE last_email_error
+    END
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+-- =====================================================
+-- PERMISSIONS
+-- =====================================================
+
+REVOKE EXECUTE ON FUNCTION api.plan_notification_delivery(UUID, TEXT, TEXT, TEXT, TEXT, TEXT[], BOOLEAN, TIMESTAMP WITH TIME ZONE) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.plan_notification_delivery(UUID, TEXT, TEXT, TEXT, TEXT, TEXT[], BOOLEAN, TIMESTAMP WITH TIME ZONE) TO service_role;
+REVOKE EXECUTE ON FUNCTION api.defer_notification(UUID, TIMESTAMP WITH TIME ZONE, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.defer_notification(UUID, TIMESTAMP WITH TIME ZONE, TEXT) TO service_role;
+REVOKE EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) TO service_role;
+
+COMMENT ON TABLE api.notification_preferences IS
+  'Per user and client: the channels each notification type and priority may use, quiet hours and digests';
+COMMENT ON COLUMN api.notification_preferences.email_hash IS
+  'api.invitation_email_hash of the user''s email, to find the preferences for invitation notifications';
+COMMENT ON FUNCTION api.plan_notification_delivery(UUID, TEXT, TEXT, TEXT, TEXT, TEXT[], BOOLEAN, TIMESTAMP WITH TIME ZONE) IS
+  'The channels a notification may use and when to deliver it, by its recipient''s notification preferences';
+COMMENT ON FUNCTION api.defer_notification(UUID, TIMESTAMP WITH TIME ZONE, TEXT) IS
+  'Return a claimed notification to the queue until a later time, giving back the attempt its claim counted';
+COMMENT ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) IS
+  'Record the outcome of each channel of a notification attempt: done once every delivery method is sent or skipped, otherwise retried';
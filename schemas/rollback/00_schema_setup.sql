@@ -0,0 +1,16 @@
+-- =====================================================
+-- ROLLBACK: 00_schema_setup.sql
+-- =====================================================
+--
+-- Drops the api and audit schemas with everything in them.
+-- The internal schema is kept because it holds internal.schema_migrations;
+-- extensions and roles are left in place as other projects may rely on them.
+
+DROP FUNCTION IF EXISTS internal.move_table_to_schema(TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS internal.check_schema_setup();
+
+ALTER DEFAULT PRIVILEGES IN SCHEMA internal
+  REVOKE ALL ON TABLES FROM service_role;
+
+DROP SCHEMA IF EXISTS audit CASCADE;
+DROP SCHEMA IF EXISTS api CASCADE;
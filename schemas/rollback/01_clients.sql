@@ -0,0 +1,15 @@
+-- =====================================================
+-- ROLLBACK: 01_clients.sql
+-- =====================================================
+--
+-- Drops the client registry, its triggers and helper functions.
+-- Data loss: every client and all rows cascading from api.clients.
+
+DROP TABLE IF EXISTS api.clients CASCADE;
+
+DROP FUNCTION IF EXISTS api.check_client_limits(UUID, BOOLEAN, BOOLEAN);
+DROP FUNCTION IF EXISTS api.update_client_usage(UUID, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS api.get_client_by_code(TEXT);
+DROP FUNCTION IF EXISTS api.set_activation_timestamp();
+DROP FUNCTION IF EXISTS api.generate_setup_email();
+DROP FUNCTION IF EXISTS api.update_clients_updated_at();
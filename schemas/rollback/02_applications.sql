@@ -0,0 +1,17 @@
+-- =====================================================
+-- ROLLBACK: 02_applications.sql
+-- =====================================================
+--
+-- Drops client applications, the active applications view and helper functions.
+-- Data loss: all application configurations.
+
+DROP VIEW IF EXISTS api.active_client_applications;
+DROP TABLE IF EXISTS api.client_applications CASCADE;
+
+DROP FUNCTION IF EXISTS api.check_app_permission(UUID, TEXT, TEXT, JSONB);
+DROP FUNCTION IF EXISTS api.get_app_config(TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.get_client_application(TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.track_app_access(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.validate_app_configuration();
+DROP FUNCTION IF EXISTS api.generate_app_name();
+DROP FUNCTION IF EXISTS api.update_client_applications_updated_at();
@@ -0,0 +1,20 @@
+-- =====================================================
+-- ROLLBACK: 03_invitations.sql
+-- =====================================================
+--
+-- Drops the invitation system: table, views and functions.
+-- Data loss: all invitations.
+
+DROP VIEW IF EXISTS api.invitation_usage_summary;
+DROP VIEW IF EXISTS api.active_invitations;
+DROP TABLE IF EXISTS api.invitations CASCADE;
+
+DROP FUNCTION IF EXISTS api.get_invitation_stats(UUID, UUID, TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS api.invitation_maintenance();
+DROP FUNCTION IF EXISTS api.cleanup_expired_invitations();
+DROP FUNCTION IF EXISTS api.revoke_invitation(UUID, TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.use_invitation(TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.find_invitation_by_jwt_hash(TEXT);
+DROP FUNCTION IF EXISTS api.update_invitation_status();
+DROP FUNCTION IF EXISTS api.validate_jwt_hash();
+DROP FUNCTION IF EXISTS api.generate_invitation_code();
@@ -0,0 +1,17 @@
+-- =====================================================
+-- ROLLBACK: 04_employee_management.sql
+-- =====================================================
+--
+-- Drops employees, enrollments, documents, tasks, the dashboard view and
+-- their trigger functions. Data loss: all employee records and progress.
+
+DROP VIEW IF EXISTS api.employee_dashboard;
+
+DROP TABLE IF EXISTS api.tasks CASCADE;
+DROP TABLE IF EXISTS api.documents CASCADE;
+DROP TABLE IF EXISTS api.employee_enrollments CASCADE;
+DROP TABLE IF EXISTS api.employees CASCADE;
+
+DROP FUNCTION IF EXISTS api.get_employee_with_enrollment(UUID);
+DROP FUNCTION IF EXISTS api.update_completion_percentage();
+DROP FUNCTION IF EXISTS api.update_employee_updated_at();
@@ -0,0 +1,34 @@
+-- =====================================================
+-- ROLLBACK: 05_employee_status_refactor_fixed.sql
+-- =====================================================
+--
+-- Restores the process-based employee status constraint from
+-- 04_employee_management.sql and drops the enrollment process status columns.
+-- Data loss: lossy status mapping (previous -> offboarded, future -> invited,
+-- other -> pending) and the onboarding/offboarding status values.
+
+DROP VIEW IF EXISTS api.employee_with_status;
+
+DROP INDEX IF EXISTS api.idx_employees_active_with_process;
+DROP INDEX IF EXISTS api.idx_employee_enrollments_onboarding_status;
+DROP INDEX IF EXISTS api.idx_employee_enrollments_offboarding_status;
+
+ALTER TABLE api.employee_enrollments DROP COLUMN IF EXISTS onboarding_status;
+ALTER TABLE api.employee_enrollments DROP COLUMN IF EXISTS offboarding_status;
+
+ALTER TABLE api.employees DROP CONSTRAINT IF EXISTS employees_status_check;
+
+UPDATE api.employees
+SET status = CASE
+  WHEN status = 'previous' THEN 'offboarded'
+  WHEN status = 'future' THEN 'invited'
+  WHEN status = 'other' THEN 'pending'
+  ELSE status
+END
+WHERE status IN ('previous', 'future', 'other');
+
+ALTER TABLE api.employees
+ADD CONSTRAINT employees_status_check
+CHECK (status IN ('invited', 'pending', 'active', 'offboarding_initiated', 'offboarded'));
+
+COMMENT ON COLUMN api.employees.status IS NULL;
@@ -0,0 +1,27 @@
+-- =====================================================
+-- ROLLBACK: 06_app_specific_metrics.sql
+-- =====================================================
+--
+-- Drops per-application enrollments, the onboarding/offboarding views and
+-- helper functions, and removes app_id from api.tasks.
+-- Data loss: application enrollments and task-to-application links.
+
+DROP VIEW IF EXISTS api.active_onboarding;
+DROP VIEW IF EXISTS api.active_offboarding;
+
+DROP TRIGGER IF EXISTS trigger_update_enrollment_counts ON api.tasks;
+DROP TRIGGER IF EXISTS trigger_update_enrollment_counts_insert_update ON api.tasks;
+DROP TRIGGER IF EXISTS trigger_update_enrollment_counts_delete ON api.tasks;
+
+DROP TABLE IF EXISTS api.employee_app_enrollments CASCADE;
+
+DROP FUNCTION IF EXISTS api.update_enrollment_task_counts();
+DROP FUNCTION IF EXISTS api.get_client_onboarding_count(UUID);
+DROP FUNCTION IF EXISTS api.get_client_offboarding_count(UUID);
+DROP FUNCTION IF EXISTS api.validate_task_app_relationship(UUID, UUID);
+
+DROP INDEX IF EXISTS api.idx_tasks_app_id;
+DROP INDEX IF EXISTS api.idx_tasks_employee_app;
+
+ALTER TABLE api.tasks DROP CONSTRAINT IF EXISTS tasks_app_client_match;
+ALTER TABLE api.tasks DROP COLUMN IF EXISTS app_id;
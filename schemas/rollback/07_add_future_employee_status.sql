@@ -0,0 +1,8 @@
+-- =====================================================
+-- ROLLBACK: 07_add_future_employee_status.sql
+-- =====================================================
+--
+-- No-op: 05_employee_status_refactor_fixed.sql already allows 'future', so
+-- this file leaves the constraint as it found it. Rolling back 05 removes it.
+
+SELECT 1;
@@ -0,0 +1,10 @@
+-- =====================================================
+-- ROLLBACK: 08_add_demo_clients.sql
+-- =====================================================
+--
+-- Removes the settings-testing demo clients. Their applications, invitations
+-- and employees are removed by ON DELETE CASCADE.
+-- Data loss: everything recorded for these demo tenants.
+
+DELETE FROM api.clients
+WHERE client_code IN ('demo-tech', 'test-solutions', 'sample-industries', 'demo-healthcare', 'test-mfg');
@@ -0,0 +1,11 @@
+-- =====================================================
+-- ROLLBACK: 09_add_detailed_demo_companies.sql
+-- =====================================================
+--
+-- Removes Hygge & Hvidløg and Meridian Brands with their applications.
+-- Data loss: everything recorded for these demo tenants.
+
+DELETE FROM api.clients
+WHERE client_code IN ('hygge-hvidlog', 'meridian-brands');
+
+COMMENT ON TABLE api.clients IS 'Master registry of all client installations with configuration and usage tracking';
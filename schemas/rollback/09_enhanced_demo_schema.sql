@@ -0,0 +1,120 @@
+-- =====================================================
+-- ROLLBACK: 09_enhanced_demo_schema.sql
+-- =====================================================
+--
+-- Drops offices, process history, templates and analytics tables, their
+-- views and updated_at triggers, and the columns this file added to clients,
+-- employees, documents and tasks. Columns that already existed before the
+-- file ran (created_at, updated_at, skills, industry) are kept.
+-- Data loss: offices, templates, process history, analytics and the values
+-- of the dropped columns.
+
+DROP VIEW IF EXISTS api.employee_summary;
+DROP VIEW IF EXISTS api.process_dashboard;
+
+DROP TRIGGER IF EXISTS update_clients_updated_at ON api.clients;
+DROP TRIGGER IF EXISTS update_employees_updated_at ON api.employees;
+DROP TRIGGER IF EXISTS update_documents_updated_at ON api.documents;
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON api.tasks;
+
+ALTER TABLE api.clients
+  DROP COLUMN IF EXISTS founded_year,
+  DROP COLUMN IF EXISTS headquarters_city,
+  DROP COLUMN IF EXISTS headquarters_country,
+  DROP COLUMN IF EXISTS headquarters_timezone,
+  DROP COLUMN IF EXISTS employee_count,
+  DROP COLUMN IF EXISTS description,
+  DROP COLUMN IF EXISTS culture_keywords,
+  DROP COLUMN IF EXISTS business_model,
+  DROP COLUMN IF EXISTS demo_type,
+  DROP COLUMN IF EXISTS demo_complexity;
+
+ALTER TABLE api.employees
+  DROP COLUMN IF EXISTS office_id,
+  DROP COLUMN IF EXISTS employee_number,
+  DROP COLUMN IF EXISTS title,
+  DROP COLUMN IF EXISTS middle_name,
+  DROP COLUMN IF EXISTS preferred_name,
+  DROP COLUMN IF EXISTS date_of_birth,
+  DROP COLUMN IF EXISTS nationality,
+  DROP COLUMN IF EXISTS languages_spoken,
+  DROP COLUMN IF EXISTS gender,
+  DROP COLUMN IF EXISTS ethnicity,
+  DROP COLUMN IF EXISTS education_level,
+  DROP COLUMN IF EXISTS university,
+  DROP COLUMN IF EXISTS degree_field,
+  DROP COLUMN IF EXISTS years_of_experience,
+  DROP COLUMN IF EXISTS previous_company,
+  DROP COLUMN IF EXISTS emergency_contact_name,
+  DROP COLUMN IF EXISTS emergency_contact_phone,
+  DROP COLUMN IF EXISTS emergency_contact_relationship,
+  DROP COLUMN IF EXISTS work_authorization_status,
+  DROP COLUMN IF EXISTS visa_type,
+  DROP COLUMN IF EXISTS visa_expiry_date,
+  DROP COLUMN IF EXISTS linkedin_profile,
+  DROP COLUMN IF EXISTS certifications,
+  DROP COLUMN IF EXISTS security_clearance_level,
+  DROP COLUMN IF EXISTS is_remote_eligible,
+  DROP COLUMN IF EXISTS remote_work_percentage,
+  DROP COLUMN IF EXISTS cost_center,
+  DROP COLUMN IF EXISTS reporting_manager_id,
+  DROP COLUMN IF EXISTS hire_date,
+  DROP COLUMN IF EXISTS probation_end_date,
+  DROP COLUMN IF EXISTS contract_type,
+  DROP COLUMN IF EXISTS contract_end_date,
+  DROP COLUMN IF EXISTS salary_currency,
+  DROP COLUMN IF EXISTS salary_amount,
+  DROP COLUMN IF EXISTS salary_frequency,
+  DROP COLUMN IF EXISTS benefits_eligible,
+  DROP COLUMN IF EXISTS stock_options_eligible,
+  DROP COLUMN IF EXISTS notice_period_days;
+
+ALTER TABLE api.documents
+  DROP COLUMN IF EXISTS template_id,
+  DROP COLUMN IF EXISTS process_history_id,
+  DROP COLUMN IF EXISTS document_category,
+  DROP COLUMN IF EXISTS document_subcategory,
+  DROP COLUMN IF EXISTS priority_level,
+  DROP COLUMN IF EXISTS due_date,
+  DROP COLUMN IF EXISTS assigned_to_id,
+  DROP COLUMN IF EXISTS completed_by_id,
+  DROP COLUMN IF EXISTS completion_date,
+  DROP COLUMN IF EXISTS requires_review,
+  DROP COLUMN IF EXISTS reviewed_by_id,
+  DROP COLUMN IF EXISTS review_date,
+  DROP COLUMN IF EXISTS review_notes,
+  DROP COLUMN IF EXISTS file_path,
+  DROP COLUMN IF EXISTS file_size_bytes,
+  DROP COLUMN IF EXISTS file_type,
+  DROP COLUMN IF EXISTS digital_signature_hash,
+  DROP COLUMN IF EXISTS is_confidential,
+  DROP COLUMN IF EXISTS retention_period_years;
+
+ALTER TABLE api.tasks
+  DROP COLUMN IF EXISTS template_id,
+  DROP COLUMN IF EXISTS process_history_id,
+  DROP COLUMN IF EXISTS workflow_template_id,
+  DROP COLUMN IF EXISTS parent_task_id,
+  DROP COLUMN IF EXISTS sequence_order,
+  DROP COLUMN IF EXISTS estimated_hours,
+  DROP COLUMN IF EXISTS actual_hours,
+  DROP COLUMN IF EXISTS depends_on_task_ids,
+  DROP COLUMN IF EXISTS blocking_task_ids,
+  DROP COLUMN IF EXISTS milestone_name,
+  DROP COLUMN IF EXISTS automation_status,
+  DROP COLUMN IF EXISTS escalation_level,
+  DROP COLUMN IF EXISTS escalated_to_id,
+  DROP COLUMN IF EXISTS escalation_date,
+  DROP COLUMN IF EXISTS resources_needed,
+  DROP COLUMN IF EXISTS completion_notes,
+  DROP COLUMN IF EXISTS quality_score;
+
+DROP TABLE IF EXISTS api.system_analytics;
+DROP TABLE IF EXISTS api.process_metrics;
+DROP TABLE IF EXISTS api.workflow_templates;
+DROP TABLE IF EXISTS api.task_templates;
+DROP TABLE IF EXISTS api.document_templates;
+DROP TABLE IF EXISTS api.employee_process_history;
+DROP TABLE IF EXISTS api.client_offices;
+
+DROP FUNCTION IF EXISTS public.update_updated_at_column();
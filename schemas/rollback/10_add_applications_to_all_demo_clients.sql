@@ -0,0 +1,24 @@
+-- =====================================================
+-- ROLLBACK: 10_add_applications_to_all_demo_clients.sql
+-- =====================================================
+--
+-- Removes the Nets Demo client and the applications this file added to the
+-- 08_add_demo_clients.sql tenants.
+-- Data loss: invitations and enrollments tied to these applications.
+
+DELETE FROM api.client_applications ca
+USING api.clients c
+WHERE ca.client_id = c.id
+  AND (c.client_code, ca.app_code) IN (
+    ('demo-tech', 'tech-onboarding'),
+    ('demo-tech', 'tech-offboarding'),
+    ('test-solutions', 'enterprise-onboarding'),
+    ('test-solutions', 'enterprise-offboarding'),
+    ('sample-industries', 'basic-onboarding'),
+    ('demo-healthcare', 'healthcare-onboarding'),
+    ('demo-healthcare', 'healthcare-offboarding'),
+    ('test-mfg', 'factory-onboarding'),
+    ('test-mfg', 'factory-offboarding')
+  );
+
+DELETE FROM api.clients WHERE client_code = 'nets-demo';
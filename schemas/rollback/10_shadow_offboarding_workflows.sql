@@ -0,0 +1,19 @@
+-- =====================================================
+-- ROLLBACK: 10_shadow_offboarding_workflows.sql
+-- =====================================================
+--
+-- Drops offboarding workflows, knowledge transfer, compliance checks and
+-- communications with their functions and triggers.
+-- Data loss: all shadow offboarding workflow data.
+
+DROP TABLE IF EXISTS api.offboarding_communications CASCADE;
+DROP TABLE IF EXISTS api.offboarding_compliance_checks CASCADE;
+DROP TABLE IF EXISTS api.knowledge_transfer_items CASCADE;
+DROP TABLE IF EXISTS api.offboarding_workflows CASCADE;
+
+DROP FUNCTION IF EXISTS api.initiate_offboarding_workflow(UUID, VARCHAR, DATE, VARCHAR, VARCHAR, VARCHAR);
+DROP FUNCTION IF EXISTS api.get_offboarding_workflow_summary(UUID);
+DROP FUNCTION IF EXISTS api.create_default_compliance_checks(UUID, VARCHAR);
+DROP FUNCTION IF EXISTS api.consume_offboarding_credit();
+DROP FUNCTION IF EXISTS api.update_workflow_completion_status();
+DROP FUNCTION IF EXISTS api.update_offboarding_updated_at();
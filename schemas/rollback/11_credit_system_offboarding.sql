@@ -0,0 +1,18 @@
+-- =====================================================
+-- ROLLBACK: 11_credit_system_offboarding.sql
+-- =====================================================
+--
+-- Drops credit balances, credit transactions and workflow credit usage with
+-- their functions and triggers.
+-- Data loss: all offboarding credit balances and transaction history.
+
+DROP TABLE IF EXISTS api.workflow_credit_usage CASCADE;
+DROP TABLE IF EXISTS api.credit_transactions CASCADE;
+DROP TABLE IF EXISTS api.client_credit_balances CASCADE;
+
+DROP FUNCTION IF EXISTS api.purchase_credits(UUID, INTEGER, VARCHAR, VARCHAR, BOOLEAN);
+DROP FUNCTION IF EXISTS api.get_credit_usage_analytics(UUID, DATE, DATE);
+DROP FUNCTION IF EXISTS api.check_credit_balance_alerts(UUID);
+DROP FUNCTION IF EXISTS api.reserve_credits_for_workflow();
+DROP FUNCTION IF EXISTS api.update_credit_balance_on_transaction();
+DROP FUNCTION IF EXISTS api.update_credit_updated_at();
@@ -0,0 +1,9 @@
+-- =====================================================
+-- ROLLBACK: 11_ensure_demo_clients_and_apps.sql
+-- =====================================================
+--
+-- No-op: this file only fills in rows that 08_add_demo_clients.sql and
+-- 10_add_applications_to_all_demo_clients.sql create, and the demo bundle
+-- always applies those first. Their rollbacks remove the rows.
+
+SELECT 1;
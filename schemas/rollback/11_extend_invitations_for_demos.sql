@@ -0,0 +1,107 @@
+-- =====================================================
+-- ROLLBACK: 11_extend_invitations_for_demos.sql
+-- =====================================================
+--
+-- Drops the demo request, email tracking and GDPR retention columns and
+-- functions, restores the invitation status constraint and recreates the
+-- invitation views as defined in 03_invitations.sql.
+-- Data loss: demo request details, email tracking, spam scores and retention
+-- metadata. Invitations in 'requested' or 'rejected' status become 'revoked'.
+
+DROP VIEW IF EXISTS api.demo_requests_admin;
+DROP VIEW IF EXISTS api.active_invitations;
+DROP VIEW IF EXISTS api.invitation_usage_summary;
+
+DROP FUNCTION IF EXISTS api.approve_demo_request(UUID);
+DROP FUNCTION IF EXISTS api.reject_demo_request(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.mark_invitation_email_sent(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.mark_invitation_email_failed(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.mark_invitation_followup_sent(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.get_invitations_needing_email();
+DROP FUNCTION IF EXISTS api.get_invitations_needing_followup();
+DROP FUNCTION IF EXISTS api.set_invitation_retention(UUID, TEXT);
+DROP FUNCTION IF EXISTS api.gdpr_compliant_cleanup();
+DROP FUNCTION IF EXISTS api.find_invitation_by_email_hash(VARCHAR);
+DROP FUNCTION IF EXISTS api.get_retention_stats();
+
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS invitations_status_check;
+
+UPDATE api.invitations
+SET status = 'revoked'
+WHERE status IN ('requested', 'rejected');
+
+ALTER TABLE api.invitations
+ADD CONSTRAINT invitations_status_check
+CHECK (status IN ('pending', 'used', 'expired', 'revoked'));
+
+ALTER TABLE api.invitations
+  DROP COLUMN IF EXISTS jwt_token,
+  DROP COLUMN IF EXISTS email_hash,
+  DROP COLUMN IF EXISTS email_domain,
+  DROP COLUMN IF EXISTS retention_purpose,
+  DROP COLUMN IF EXISTS auto_delete_at,
+  DROP COLUMN IF EXISTS demo_duration,
+  DROP COLUMN IF EXISTS team_size,
+  DROP COLUMN IF EXISTS timeline,
+  DROP COLUMN IF EXISTS role,
+  DROP COLUMN IF EXISTS request_type,
+  DROP COLUMN IF EXISTS spam_score,
+  DROP COLUMN IF EXISTS spam_status,
+  DROP COLUMN IF EXISTS workflow_type,
+  DROP COLUMN IF EXISTS client_ip,
+  DROP COLUMN IF EXISTS user_agent,
+  DROP COLUMN IF EXISTS referrer,
+  DROP COLUMN IF EXISTS comment,
+  DROP COLUMN IF EXISTS email_sent,
+  DROP COLUMN IF EXISTS email_sent_at,
+  DROP COLUMN IF EXISTS email_id,
+  DROP COLUMN IF EXISTS follow_up_sent,
+  DROP COLUMN IF EXISTS follow_up_sent_at,
+  DROP COLUMN IF EXISTS email_attempts,
+  DROP COLUMN IF EXISTS last_email_error;
+
+CREATE VIEW api.active_invitations AS
+SELECT
+  i.id,
+  i.invitation_code,
+  i.status,
+  i.created_at,
+  i.expires_at,
+  i.used_count,
+  i.max_uses,
+  c.client_code,
+  c.legal_name as client_name,
+  ca.app_code,
+  ca.app_name,
+  i.created_by,
+  i.permissions,
+  i.restrictions
+FROM api.invitations i
+JOIN api.clients c ON c.id = i.client_id
+JOIN api.client_applications ca ON ca.id = i.app_id
+WHERE i.status = 'pending'
+  AND i.expires_at > NOW()
+  AND c.status = 'active'
+  AND ca.status = 'active';
+
+CREATE VIEW api.invitation_usage_summary AS
+SELECT
+  c.client_code,
+  c.legal_name as client_name,
+  ca.app_code,
+  ca.app_name,
+  COUNT(*) as total_invitations,
+  COUNT(*) FILTER (WHERE i.status = 'pending') as pending_invitations,
+  COUNT(*) FILTER (WHERE i.status = 'used') as used_invitations,
+  COUNT(*) FILTER (WHERE i.status = 'expired') as expired_invitations,
+  COUNT(*) FILTER (WHERE i.status = 'revoked') as revoked_invitations,
+  ROUND(
+    CASE WHEN COUNT(*) > 0
+    THEN (COUNT(*) FILTER (WHERE i.status = 'used')::DECIMAL / COUNT(*)) * 100
+    ELSE 0 END, 2
+  ) as usage_rate_percent
+FROM api.invitations i
+JOIN api.clients c ON c.id = i.client_id
+JOIN api.client_applications ca ON ca.id = i.app_id
+GROUP BY c.id, c.client_code, c.legal_name, ca.id, ca.app_code, ca.app_name
+ORDER BY c.client_code, ca.app_code;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- ROLLBACK: 12_cleanup_and_recreate.sql
+-- =====================================================
+--
+-- irreversible
+--
+-- This manual repair script drops the task-oriented offboarding tables and
+-- update_updated_at_column() with CASCADE, taking every trigger that used it
+-- with it. The dropped data cannot be recovered; restore from a backup and
+-- re-run 12_task_oriented_offboarding.sql instead.
+
+SELECT 1;
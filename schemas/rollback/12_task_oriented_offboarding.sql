@@ -0,0 +1,28 @@
+-- =====================================================
+-- ROLLBACK: 12_task_oriented_offboarding.sql
+-- =====================================================
+--
+-- Drops the task-oriented offboarding tables, summary view and audit trigger
+-- function, and restores update_updated_at_column() as defined in
+-- 09_enhanced_demo_schema.sql (this file redefined it).
+-- Data loss: offboarding templates, processes, tasks, documents and audit log.
+
+DROP VIEW IF EXISTS api.offboarding_process_summary;
+
+DROP TABLE IF EXISTS api.offboarding_audit_log CASCADE;
+DROP TABLE IF EXISTS api.offboarding_documents CASCADE;
+DROP TABLE IF EXISTS api.offboarding_tasks CASCADE;
+DROP TABLE IF EXISTS api.offboarding_processes CASCADE;
+DROP TABLE IF EXISTS api.offboarding_document_templates CASCADE;
+DROP TABLE IF EXISTS api.offboarding_task_templates CASCADE;
+DROP TABLE IF EXISTS api.offboarding_templates CASCADE;
+
+DROP FUNCTION IF EXISTS public.create_audit_log();
+
+CREATE OR REPLACE FUNCTION public.update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ language 'plpgsql';
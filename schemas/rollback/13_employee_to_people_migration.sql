@@ -0,0 +1,114 @@
+-- =====================================================
+-- ROLLBACK: 13_employee_to_people_migration.sql
+-- =====================================================
+--
+-- Drops api.people, api.people_enrollments and their views and functions,
+-- renames the pre-migration backup tables back to api.employees and
+-- api.employee_enrollments, and recreates the views and completion trigger
+-- function this file replaced (from 04_employee_management.sql and
+-- 05_employee_status_refactor_fixed.sql).
+-- Data loss: people, associates and enrollments created or edited after the
+-- migration. The backup tables hold the data as it was when 13 ran.
+
+DROP VIEW IF EXISTS api.people_dashboard;
+DROP VIEW IF EXISTS api.people_with_status;
+
+DROP TABLE IF EXISTS api.people_enrollments CASCADE;
+DROP TABLE IF EXISTS api.people CASCADE;
+
+DROP FUNCTION IF EXISTS api.get_person_with_enrollment(UUID);
+DROP FUNCTION IF EXISTS api.update_person_updated_at();
+
+ALTER TABLE IF EXISTS api.employees_backup_pre_people_migration RENAME TO employees;
+ALTER TABLE IF EXISTS api.employee_enrollments_backup_pre_people_migration RENAME TO employee_enrollments;
+
+-- Body copied verbatim from 04; it relies on search_path for unqualified names
+SET search_path TO api, public;
+
+CREATE OR REPLACE FUNCTION update_completion_percentage()
+RETURNS TRIGGER AS $$
+DECLARE
+  total_tasks INTEGER;
+  completed_tasks INTEGER;
+  new_percentage INTEGER;
+BEGIN
+  -- Count total and completed tasks for the employee
+  SELECT COUNT(*) INTO total_tasks
+  FROM tasks
+  WHERE employee_id = COALESCE(NEW.employee_id, OLD.employee_id);
+  
+  SELECT COUNT(*) INTO completed_tasks
+  FROM tasks
+  WHERE employee_id = COALESCE(NEW.employee_id, OLD.employee_id)
+    AND status = 'completed';
+  
+  -- Calculate percentage
+  IF total_tasks > 0 THEN
+    new_percentage := ROUND((completed_tasks::DECIMAL / total_tasks) * 100);
+  ELSE
+    new_percentage := 0;
+  END IF;
+  
+  -- Update enrollment record
+  UPDATE employee_enrollments
+  SET 
+    completion_percentage = new_percentage,
+    onboarding_completed = (new_percentage >= 95),
+    completion_date = CASE 
+      WHEN new_percentage >= 95 AND onboarding_completed = FALSE THEN NOW()
+      ELSE completion_date
+    END,
+    last_activity = NOW(),
+    updated_at = NOW()
+  WHERE employee_id = COALESCE(NEW.employee_id, OLD.employee_id);
+  
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE VIEW api.employee_dashboard AS
+SELECT
+  e.id,
+  e.employee_code,
+  e.first_name,
+  e.last_name,
+  e.company_email,
+  e.department,
+  e.position,
+  e.location,
+  e.status,
+  e.start_date,
+  en.onboarding_completed,
+  en.completion_percentage,
+  en.last_activity,
+  c.client_code,
+  c.legal_name as client_name
+FROM api.employees e
+LEFT JOIN api.employee_enrollments en ON en.employee_id = e.id
+JOIN api.clients c ON c.id = e.client_id
+WHERE e.status != 'offboarded' OR e.updated_at > NOW() - INTERVAL '30 days'
+ORDER BY e.created_at DESC;
+
+-- Columns listed explicitly: e.* would also pick up the 09_enhanced_demo_schema.sql columns
+CREATE VIEW api.employee_with_status AS
+SELECT
+  e.id, e.client_id, e.employee_code, e.first_name, e.last_name, e.company_email,
+  e.department, e.position, e.location, e.manager, e.start_date, e.end_date,
+  e.employment_type, e.work_location, e.status, e.security_clearance, e.skills,
+  e.languages, e.created_at, e.updated_at, e.last_activity,
+  en.onboarding_status,
+  en.offboarding_status,
+  en.onboarding_completed,
+  en.offboarding_completed,
+  en.completion_percentage,
+  CASE
+    WHEN e.status = 'active' AND (en.onboarding_status IS NULL OR en.onboarding_status IN ('not_started', 'invited')) THEN 'New Hire (Pending Onboarding)'
+    WHEN e.status = 'active' AND en.onboarding_status = 'in_progress' THEN 'Active (Onboarding)'
+    WHEN e.status = 'active' AND en.onboarding_status = 'completed' THEN 'Active'
+    WHEN e.status = 'active' AND en.offboarding_status IN ('initiated', 'in_progress') THEN 'Active (Offboarding)'
+    WHEN e.status = 'previous' THEN 'Previous Employee'
+    WHEN e.status = 'other' THEN 'Other Status'
+    ELSE 'Unknown'
+  END as display_status
+FROM api.employees e
+LEFT JOIN api.employee_enrollments en ON e.id = en.employee_id;
@@ -0,0 +1,9 @@
+-- =====================================================
+-- ROLLBACK: 13_fix_offboarding_audit_trigger.sql
+-- =====================================================
+--
+-- Drops api.create_audit_log(). The offboarding audit triggers still use
+-- public.create_audit_log() from 12_task_oriented_offboarding.sql.
+-- Data loss: none.
+
+DROP FUNCTION IF EXISTS api.create_audit_log();
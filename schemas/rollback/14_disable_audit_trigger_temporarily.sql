@@ -0,0 +1,12 @@
+-- =====================================================
+-- ROLLBACK: 14_disable_audit_trigger_temporarily.sql
+-- =====================================================
+--
+-- Recreates the offboarding_processes audit trigger as defined in
+-- 12_task_oriented_offboarding.sql.
+-- Data loss: none. Process changes made while the trigger was dropped stay
+-- unaudited.
+
+DROP TRIGGER IF EXISTS offboarding_processes_audit ON api.offboarding_processes;
+CREATE TRIGGER offboarding_processes_audit AFTER INSERT OR UPDATE OR DELETE
+    ON api.offboarding_processes FOR EACH ROW EXECUTE FUNCTION public.create_audit_log();
@@ -0,0 +1,39 @@
+-- =====================================================
+-- ROLLBACK: 14_fix_people_rls_policies.sql
+-- =====================================================
+--
+-- Removes the anonymous demo access policies and restores the people and
+-- people_enrollments policies from 13_employee_to_people_migration.sql.
+-- Data loss: none.
+
+DROP POLICY IF EXISTS policy_people_anon_access ON api.people;
+DROP POLICY IF EXISTS policy_people_enrollments_anon_access ON api.people_enrollments;
+DROP POLICY IF EXISTS policy_people_enrollments_client_access ON api.people_enrollments;
+
+DROP POLICY IF EXISTS policy_people_staff_access ON api.people;
+CREATE POLICY policy_people_staff_access ON api.people
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_people_enrollments_staff_access ON api.people_enrollments;
+CREATE POLICY policy_people_enrollments_staff_access ON api.people_enrollments
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_people_client_access ON api.people;
+CREATE POLICY policy_people_client_access ON api.people
+  FOR ALL
+  USING (
+    client_id::text = auth.jwt()->>'client_id'
+    OR EXISTS (
+      SELECT 1 FROM api.clients
+      WHERE clients.id = people.client_id
+        AND clients.client_code = auth.jwt()->>'client_code'
+    )
+  );
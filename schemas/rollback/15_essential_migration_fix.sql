@@ -0,0 +1,147 @@
+-- =====================================================
+-- ROLLBACK: 15_essential_migration_fix.sql
+-- =====================================================
+--
+-- Renames documents.person_id and tasks.person_id back to employee_id with
+-- their foreign keys to the pre-migration employees table, restores the staff
+-- policies and updated_at triggers from 04_employee_management.sql, and
+-- restores the functions as defined in 13_employee_to_people_migration.sql.
+-- This file is a subset of 15_complete_employee_to_people_migration_fix.sql,
+-- so the statements below match that rollback; those for objects this file
+-- never touched are no-ops.
+-- Data loss: documents and tasks that belong to people missing from
+-- api.employees_backup_pre_people_migration are deleted.
+
+DROP POLICY IF EXISTS policy_documents_anon_access ON api.documents;
+DROP POLICY IF EXISTS policy_documents_client_access ON api.documents;
+DROP POLICY IF EXISTS policy_tasks_anon_access ON api.tasks;
+DROP POLICY IF EXISTS policy_tasks_client_access ON api.tasks;
+
+DROP POLICY IF EXISTS policy_documents_staff_access ON api.documents;
+CREATE POLICY policy_documents_staff_access ON api.documents
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_tasks_staff_access ON api.tasks;
+CREATE POLICY policy_tasks_staff_access ON api.tasks
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP TRIGGER IF EXISTS trigger_documents_updated_at ON api.documents;
+CREATE TRIGGER trigger_documents_updated_at
+  BEFORE UPDATE ON api.documents
+  FOR EACH ROW
+  EXECUTE FUNCTION api.update_employee_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_tasks_updated_at ON api.tasks;
+CREATE TRIGGER trigger_tasks_updated_at
+  BEFORE UPDATE ON api.tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION api.update_employee_updated_at();
+
+DROP FUNCTION IF EXISTS api.update_updated_at_timestamp();
+
+-- documents.employee_id
+ALTER TABLE api.documents DROP CONSTRAINT IF EXISTS documents_person_id_fkey;
+DELETE FROM api.documents d
+WHERE NOT EXISTS (SELECT 1 FROM api.employees_backup_pre_people_migration e WHERE e.id = d.person_id);
+ALTER TABLE api.documents RENAME COLUMN person_id TO employee_id;
+ALTER TABLE api.documents
+ADD CONSTRAINT documents_employee_id_fkey
+FOREIGN KEY (employee_id) REFERENCES api.employees_backup_pre_people_migration(id) ON DELETE CASCADE;
+DROP INDEX IF EXISTS api.idx_documents_person_id;
+CREATE INDEX IF NOT EXISTS idx_documents_employee_id ON api.documents(employee_id);
+
+-- tasks.employee_id
+ALTER TABLE api.tasks DROP CONSTRAINT IF EXISTS tasks_person_id_fkey;
+DELETE FROM api.tasks t
+WHERE NOT EXISTS (SELECT 1 FROM api.employees_backup_pre_people_migration e WHERE e.id = t.person_id);
+ALTER TABLE api.tasks RENAME COLUMN person_id TO employee_id;
+ALTER TABLE api.tasks
+ADD CONSTRAINT tasks_employee_id_fkey
+FOREIGN KEY (employee_id) REFERENCES api.employees_backup_pre_people_migration(id) ON DELETE CASCADE;
+DROP INDEX IF EXISTS api.idx_tasks_person_id;
+CREATE INDEX IF NOT EXISTS idx_tasks_employee_id ON api.tasks(employee_id);
+
+-- Bodies copied verbatim from 13; they rely on search_path for unqualified names
+SET search_path TO api, public;
+
+CREATE OR REPLACE FUNCTION update_completion_percentage()
+RETURNS TRIGGER AS $$
+DECLARE
+  total_tasks INTEGER;
+  completed_tasks INTEGER;
+  new_percentage INTEGER;
+BEGIN
+  -- Count total and completed tasks for the person
+  SELECT COUNT(*) INTO total_tasks
+  FROM api.tasks
+  WHERE employee_id = COALESCE(NEW.employee_id, OLD.employee_id);
+  
+  SELECT COUNT(*) INTO completed_tasks
+  FROM api.tasks
+  WHERE employee_id = COALESCE(NEW.employee_id, OLD.employee_id)
+    AND status = 'completed';
+  
+  -- Calculate percentage
+  IF total_tasks > 0 THEN
+    new_percentage := ROUND((completed_tasks::DECIMAL / total_tasks) * 100);
+  ELSE
+    new_percentage := 0;
+  END IF;
+  
+  -- Update enrollment record
+  UPDATE api.people_enrollments
+  SET 
+    completion_percentage = new_percentage,
+    onboarding_completed = (new_percentage >= 95),
+    completion_date = CASE 
+      WHEN new_percentage >= 95 AND onboarding_completed = FALSE THEN NOW()
+      ELSE completion_date
+    END,
+    last_activity = NOW(),
+    updated_at = NOW()
+  WHERE person_id = COALESCE(NEW.employee_id, OLD.employee_id);
+  
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION get_person_with_enrollment(p_person_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  SELECT jsonb_build_object(
+    'person', to_jsonb(p.*),
+    'enrollment', to_jsonb(en.*),
+    'documents', COALESCE(docs.documents, '[]'::jsonb),
+    'tasks', COALESCE(tasks.tasks, '[]'::jsonb)
+  ) INTO result
+  FROM api.people p
+  LEFT JOIN api.people_enrollments en ON en.person_id = p.id
+  LEFT JOIN (
+    SELECT 
+      employee_id as person_id,
+      jsonb_agg(to_jsonb(d.*)) as documents
+    FROM api.documents d
+    GROUP BY employee_id
+  ) docs ON docs.person_id = p.id
+  LEFT JOIN (
+    SELECT 
+      employee_id as person_id,
+      jsonb_agg(to_jsonb(t.*)) as tasks
+    FROM api.tasks t
+    GROUP BY employee_id
+  ) tasks ON tasks.person_id = p.id
+  WHERE p.id = p_person_id;
+  
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
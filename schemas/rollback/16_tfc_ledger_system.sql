@@ -0,0 +1,22 @@
+-- =====================================================
+-- ROLLBACK: 16_tfc_ledger_system.sql
+-- =====================================================
+--
+-- Drops the Thepia Flow Credits ledger: balances, transactions, workflow
+-- usage, payments, invoices, account contacts and admin access, with their
+-- functions and triggers.
+-- Data loss: the entire TFC ledger and payment history.
+
+DROP TABLE IF EXISTS api.tfc_workflow_usage CASCADE;
+DROP TABLE IF EXISTS api.tfc_invoices CASCADE;
+DROP TABLE IF EXISTS api.tfc_payments CASCADE;
+DROP TABLE IF EXISTS api.tfc_credit_transactions CASCADE;
+DROP TABLE IF EXISTS api.tfc_client_balances CASCADE;
+DROP TABLE IF EXISTS api.admin_access CASCADE;
+DROP TABLE IF EXISTS api.account_contacts CASCADE;
+
+DROP FUNCTION IF EXISTS api.purchase_tfc_credits(UUID, INTEGER, VARCHAR, VARCHAR, VARCHAR, UUID);
+DROP FUNCTION IF EXISTS api.get_tfc_usage_analytics(UUID, DATE, DATE);
+DROP FUNCTION IF EXISTS api.check_tfc_balance_alerts(UUID);
+DROP FUNCTION IF EXISTS api.update_tfc_balance_on_transaction();
+DROP FUNCTION IF EXISTS api.update_tfc_updated_at();
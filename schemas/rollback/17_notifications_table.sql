@@ -0,0 +1,9 @@
+-- =====================================================
+-- ROLLBACK: 17_notifications_table.sql
+-- =====================================================
+--
+-- Drops api.notifications and its updated_at trigger function.
+-- Data loss: all admin notifications.
+
+DROP TABLE IF EXISTS api.notifications CASCADE;
+DROP FUNCTION IF EXISTS api.update_updated_at_column();
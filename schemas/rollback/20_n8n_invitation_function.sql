@@ -0,0 +1,8 @@
+-- =====================================================
+-- ROLLBACK: 20_n8n_invitation_function.sql
+-- =====================================================
+--
+-- Drops the n8n invitation RPC.
+-- Data loss: none.
+
+DROP FUNCTION IF EXISTS api.create_invitation_from_n8n(JSONB);
@@ -0,0 +1,13 @@
+-- =====================================================
+-- ROLLBACK: 21_n8n_invitation_view.sql
+-- =====================================================
+--
+-- Drops the n8n insert view, the n8n request table and their triggers.
+-- Data loss: queued n8n invitation requests. Invitations already created
+-- from them stay in api.invitations.
+
+DROP VIEW IF EXISTS api.n8n_invitations;
+DROP TABLE IF EXISTS api.n8n_invitation_requests CASCADE;
+
+DROP FUNCTION IF EXISTS api.n8n_invitations_insert_trigger();
+DROP FUNCTION IF EXISTS api.process_n8n_invitation_request();
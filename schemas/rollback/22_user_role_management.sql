@@ -0,0 +1,14 @@
+-- =====================================================
+-- ROLLBACK: 22_user_role_management.sql
+-- =====================================================
+--
+-- Drops api.user_roles and the role management functions.
+-- Data loss: the thepia_staff role audit trail. Roles already written to
+-- auth.users metadata are left untouched.
+
+DROP TABLE IF EXISTS api.user_roles CASCADE;
+
+DROP FUNCTION IF EXISTS public.assign_thepia_staff_role(TEXT, TEXT);
+DROP FUNCTION IF EXISTS public.remove_user_role(TEXT);
+DROP FUNCTION IF EXISTS public.list_user_roles();
+DROP FUNCTION IF EXISTS public.get_user_role(TEXT);
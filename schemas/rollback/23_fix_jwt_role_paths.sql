@@ -0,0 +1,67 @@
+-- =====================================================
+-- ROLLBACK: 23_fix_jwt_role_paths.sql
+-- =====================================================
+--
+-- Restores the staff policies that check the top-level JWT role, as defined
+-- in 01-03, 14_fix_people_rls_policies.sql and 22_user_role_management.sql,
+-- and the api schema comment from 00_schema_setup.sql.
+-- Data loss: none, but thepia_staff users lose admin access.
+
+DROP POLICY IF EXISTS policy_invitations_staff_access ON api.invitations;
+CREATE POLICY policy_invitations_staff_access ON api.invitations
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_user_roles_staff_access ON api.user_roles;
+CREATE POLICY policy_user_roles_staff_access ON api.user_roles
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_clients_staff_access ON api.clients;
+CREATE POLICY policy_clients_staff_access ON api.clients
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_client_applications_staff_access ON api.client_applications;
+CREATE POLICY policy_client_applications_staff_access ON api.client_applications
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
+
+DROP POLICY IF EXISTS policy_people_staff_access ON api.people;
+CREATE POLICY policy_people_staff_access ON api.people
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+    OR auth.jwt()->>'role' = 'anon'
+  );
+
+COMMENT ON SCHEMA api IS 'exposed';
@@ -0,0 +1,19 @@
+-- =====================================================
+-- ROLLBACK: 24_immediate_admin_fix.sql
+-- =====================================================
+--
+-- Restores the invitations staff policy from 03_invitations.sql, which checks
+-- the top-level JWT role.
+-- Data loss: none, but thepia_staff users lose admin access to invitations.
+
+DROP POLICY IF EXISTS policy_invitations_staff_access ON api.invitations;
+CREATE POLICY policy_invitations_staff_access ON api.invitations
+  FOR ALL
+  USING (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  )
+  WITH CHECK (
+    auth.jwt()->>'role' = 'thepia_staff'
+    OR auth.jwt()->>'role' = 'service_role'
+  );
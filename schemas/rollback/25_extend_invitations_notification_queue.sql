@@ -0,0 +1,86 @@
+-- =====================================================
+-- ROLLBACK: 25_extend_invitations_notification_queue.sql
+-- =====================================================
+--
+-- Drops the notification queue columns, functions and legacy email sync
+-- trigger from api.invitations, restores the invitation status constraint and
+-- recreates api.demo_requests_admin as defined in
+-- 11_extend_invitations_for_demos.sql.
+-- Data loss: notification queue state, delivery status and templates.
+-- Invitations in 'approved' or 'sent' status become 'pending'.
+
+DROP VIEW IF EXISTS api.demo_requests_admin;
+
+DROP TRIGGER IF EXISTS trigger_sync_legacy_email_fields ON api.invitations;
+DROP FUNCTION IF EXISTS api.sync_legacy_email_fields();
+
+DROP FUNCTION IF EXISTS api.get_pending_notifications();
+DROP FUNCTION IF EXISTS api.mark_notification_processing(UUID);
+DROP FUNCTION IF EXISTS api.mark_notification_sent(UUID, VARCHAR, TEXT);
+DROP FUNCTION IF EXISTS api.mark_notification_failed(UUID, VARCHAR, TEXT);
+DROP FUNCTION IF EXISTS api.queue_notification(UUID, VARCHAR, TEXT[], JSONB, INTERVAL, VARCHAR);
+DROP FUNCTION IF EXISTS api.schedule_reminder_notifications(UUID, VARCHAR, INTEGER[]);
+DROP FUNCTION IF EXISTS api.get_notification_stats();
+DROP FUNCTION IF EXISTS api.trigger_notification_processing(UUID, BOOLEAN);
+DROP FUNCTION IF EXISTS api.cancel_notification(UUID, TEXT);
+
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS invitations_status_check;
+
+UPDATE api.invitations
+SET status = 'pending'
+WHERE status IN ('approved', 'sent');
+
+ALTER TABLE api.invitations
+ADD CONSTRAINT invitations_status_check
+CHECK (status IN ('pending', 'used', 'expired', 'revoked', 'requested', 'rejected'));
+
+ALTER TABLE api.invitations
+  DROP COLUMN IF EXISTS notification_status,
+  DROP COLUMN IF EXISTS delivery_methods,
+  DROP COLUMN IF EXISTS delivery_status,
+  DROP COLUMN IF EXISTS notification_attempts,
+  DROP COLUMN IF EXISTS max_notification_attempts,
+  DROP COLUMN IF EXISTS next_notification_attempt,
+  DROP COLUMN IF EXISTS last_notification_error,
+  DROP COLUMN IF EXISTS message_template,
+  DROP COLUMN IF EXISTS template_data,
+  DROP COLUMN IF EXISTS custom_message,
+  DROP COLUMN IF EXISTS send_after,
+  DROP COLUMN IF EXISTS reminder_schedule,
+  DROP COLUMN IF EXISTS reminder_count,
+  DROP COLUMN IF EXISTS last_reminder_sent,
+  DROP COLUMN IF EXISTS notification_metadata,
+  DROP COLUMN IF EXISTS notification_triggered_by,
+  DROP COLUMN IF EXISTS notification_triggered_at,
+  DROP COLUMN IF EXISTS notification_completed_at;
+
+CREATE VIEW api.demo_requests_admin AS
+SELECT
+  id,
+  email_hash,
+  email_domain,
+  jwt_token,
+  status,
+  demo_duration,
+  team_size,
+  timeline,
+  role,
+  comment,
+  spam_score,
+  spam_status,
+  workflow_type,
+  client_ip,
+  user_agent,
+  referrer,
+  email_sent,
+  email_sent_at,
+  follow_up_sent,
+  follow_up_sent_at,
+  email_attempts,
+  last_email_error,
+  retention_purpose,
+  auto_delete_at,
+  created_at,
+  expires_at
+FROM api.invitations
+WHERE request_type = 'demo_request';
@@ -0,0 +1,57 @@
+-- =====================================================
+-- ROLLBACK: 26_fix_invitation_status_workflow.sql
+-- =====================================================
+--
+-- Restores api.mark_notification_sent() as defined in
+-- 25_extend_invitations_notification_queue.sql.
+-- Data loss: none. Invitations already moved to 'sent' keep that status.
+
+CREATE OR REPLACE FUNCTION api.mark_notification_sent(
+  invitation_id UUID,
+  delivery_method VARCHAR(20),
+  service_message_id TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  result api.invitations;
+  updated_delivery_status JSONB;
+BEGIN
+  -- Update delivery status for specific method
+  SELECT 
+    COALESCE(delivery_status, '{}'::jsonb) || 
+    jsonb_build_object(delivery_method, jsonb_build_object(
+      'status', 'sent',
+      'sent_at', NOW(),
+      'message_id', service_message_id
+    ))
+  INTO updated_delivery_status
+  FROM api.invitations 
+  WHERE id = invitation_id;
+  
+  UPDATE api.invitations
+  SET 
+    notification_status = 'sent',
+    delivery_status = updated_delivery_status,
+    notification_attempts = notification_attempts + 1,
+    notification_completed_at = NOW(),
+    last_notification_error = NULL,
+    
+    -- Legacy email fields for backward compatibility
+    email_sent = CASE WHEN delivery_method = 'email' THEN true ELSE email_sent END,
+    email_sent_at = CASE WHEN delivery_method = 'email' THEN NOW() ELSE email_sent_at END,
+    email_id = CASE WHEN delivery_method = 'email' THEN service_message_id ELSE email_id END
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+  
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation not found';
+  END IF;
+  
+  RETURN result;
+END;
+$$;
+
+COMMENT ON FUNCTION api.mark_notification_sent IS NULL;
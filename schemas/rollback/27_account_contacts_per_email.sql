@@ -0,0 +1,13 @@
+-- =====================================================
+-- ROLLBACK: 27_account_contacts_per_email.sql
+-- =====================================================
+--
+-- Restores the one-contact-per-client constraint from
+-- 16_tfc_ledger_system.sql. Fails while any client has more than one contact;
+-- remove the extra contacts first.
+-- Data loss: none.
+
+DROP INDEX IF EXISTS api.idx_account_contacts_client_email;
+
+ALTER TABLE api.account_contacts
+  ADD CONSTRAINT unique_primary_contact_per_client UNIQUE (client_id) DEFERRABLE INITIALLY DEFERRED;
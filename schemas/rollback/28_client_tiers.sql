@@ -0,0 +1,62 @@
+-- =====================================================
+-- ROLLBACK: 28_client_tiers.sql
+-- =====================================================
+--
+-- Restores the fixed tier CHECK on api.clients and check_client_limits as
+-- defined in 01_clients.sql. Fails while any client is on a custom tier;
+-- move those clients to free, pro or enterprise first.
+-- Data loss: custom tiers, tier pricing and TFC allowances, and the tier
+-- change history. Clients keep the limits and features last copied to them.
+
+DROP TRIGGER IF EXISTS trigger_apply_client_tier ON api.clients;
+DROP FUNCTION IF EXISTS api.apply_client_tier();
+
+ALTER TABLE api.clients DROP CONSTRAINT IF EXISTS fk_clients_tier;
+ALTER TABLE api.clients
+  ADD CONSTRAINT clients_tier_check CHECK (tier IN ('free', 'pro', 'enterprise'));
+ALTER TABLE api.clients DROP COLUMN IF EXISTS tier_version;
+
+DROP TABLE IF EXISTS api.client_tier_versions;
+DROP TRIGGER IF EXISTS trigger_record_client_tier_version ON api.client_tiers;
+DROP TRIGGER IF EXISTS trigger_bump_client_tier_version ON api.client_tiers;
+DROP FUNCTION IF EXISTS api.record_client_tier_version();
+DROP FUNCTION IF EXISTS api.bump_client_tier_version();
+DROP FUNCTION IF EXISTS api.client_tier_definition(api.client_tiers);
+DROP TABLE IF EXISTS api.client_tiers;
+
+-- Same body as 01_clients.sql, which resolves clients through search_path
+SET search_path TO api, public;
+
+CREATE OR REPLACE FUNCTION check_client_limits(
+  p_client_id UUID,
+  p_check_users BOOLEAN DEFAULT FALSE,
+  p_check_storage BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+  client_record clients;
+  result JSONB := '{"within_limits": true, "warnings": []}'::JSONB;
+BEGIN
+  SELECT * INTO client_record FROM clients WHERE id = p_client_id;
+  
+  IF NOT FOUND THEN
+    RETURN '{"error": "Client not found"}'::JSONB;
+  END IF;
+  
+  -- Check user limits
+  IF p_check_users AND client_record.current_users >= client_record.max_users THEN
+    result := jsonb_set(result, '{within_limits}', 'false'::JSONB);
+    result := jsonb_set(result, '{warnings}', 
+      result->'warnings' || jsonb_build_array('User limit exceeded'));
+  END IF;
+  
+  -- Check storage limits (convert GB to MB for comparison)
+  IF p_check_storage AND client_record.current_storage_mb >= (client_record.max_storage_gb * 1024) THEN
+    result := jsonb_set(result, '{within_limits}', 'false'::JSONB);
+    result := jsonb_set(result, '{warnings}', 
+      result->'warnings' || jsonb_build_array('Storage limit exceeded'));
+  END IF;
+  
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
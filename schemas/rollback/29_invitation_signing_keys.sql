@@ -0,0 +1,13 @@
+-- =====================================================
+-- ROLLBACK: 29_invitation_signing_keys.sql
+-- =====================================================
+--
+-- Drops the invitation signing key registry. Tokens keep their kid headers,
+-- but nothing records which kids are trusted any more.
+-- Data loss: registered public keys and their rotation status and history.
+-- The private keys live in INVITATION_SIGNING_KEYS and are unaffected.
+
+DROP FUNCTION IF EXISTS api.invitation_jwks();
+DROP TRIGGER IF EXISTS trigger_track_invitation_signing_key_status ON api.invitation_signing_keys;
+DROP FUNCTION IF EXISTS api.track_invitation_signing_key_status();
+DROP TABLE IF EXISTS api.invitation_signing_keys;
@@ -0,0 +1,17 @@
+-- =====================================================
+-- ROLLBACK: 30_invitation_pii_guard.sql
+-- =====================================================
+--
+-- Drops the PII constraints on api.invitations client_data and
+-- usage_metadata and the functions that detect PII keys. The n8n intake
+-- functions keep their PII-free client_data, and api.invitation_email_hash
+-- stays because they use it; re-apply 20_n8n_invitation_function.sql and
+-- 21_n8n_invitation_view.sql for the old behaviour.
+-- Data loss: none from the rollback itself. The names and emails scrubbed by
+-- the migration are not restored; email_hash and email_domain remain.
+
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS client_data_without_pii;
+ALTER TABLE api.invitations DROP CONSTRAINT IF EXISTS usage_metadata_without_pii;
+
+DROP FUNCTION IF EXISTS api.invitation_pii_keys(JSONB);
+DROP FUNCTION IF EXISTS api.is_invitation_pii_key(TEXT);
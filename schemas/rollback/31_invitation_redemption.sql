@@ -0,0 +1,67 @@
+-- =====================================================
+-- ROLLBACK: 31_invitation_redemption.sql
+-- =====================================================
+--
+-- Drops api.redeem_invitation and restores use_invitation from
+-- 03_invitations.sql, which checks status, expiry and use count only, with
+-- its default execute grant.
+-- Data loss: none. usage_metadata.redemption counters stay on the rows but
+-- are no longer updated.
+
+SET search_path TO api, public;
+
+DROP FUNCTION IF EXISTS api.redeem_invitation(TEXT, TEXT, JSONB);
+
+-- Function to use an invitation
+CREATE OR REPLACE FUNCTION use_invitation(
+  p_jwt_hash TEXT,
+  p_user_id TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  invitation_record invitations;
+  result JSONB;
+BEGIN
+  -- Find and lock the invitation
+  SELECT * INTO invitation_record
+  FROM invitations
+  WHERE jwt_token_hash = p_jwt_hash
+    AND status = 'pending'
+    AND expires_at > NOW()
+  FOR UPDATE;
+  
+  IF NOT FOUND THEN
+    RETURN '{"success": false, "error": "Invitation not found, already used, or expired"}'::JSONB;
+  END IF;
+  
+  -- Check if invitation can still be used
+  IF invitation_record.used_count >= invitation_record.max_uses THEN
+    RETURN '{"success": false, "error": "Invitation has reached maximum usage limit"}'::JSONB;
+  END IF;
+  
+  -- Update invitation usage
+  UPDATE invitations
+  SET 
+    used_count = used_count + 1,
+    last_used_at = NOW(),
+    used_by_user_id = COALESCE(p_user_id, used_by_user_id),
+    status = CASE 
+      WHEN used_count + 1 >= max_uses THEN 'used'
+      ELSE 'pending'
+    END
+  WHERE id = invitation_record.id;
+  
+  -- Return success result
+  result := jsonb_build_object(
+    'success', true,
+    'invitation_id', invitation_record.id,
+    'invitation_code', invitation_record.invitation_code,
+    'remaining_uses', invitation_record.max_uses - invitation_record.used_count - 1,
+    'expires_at', invitation_record.expires_at
+  );
+  
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION api.use_invitation(TEXT, TEXT) TO PUBLIC;
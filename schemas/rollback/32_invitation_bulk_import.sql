@@ -0,0 +1,12 @@
+-- =====================================================
+-- ROLLBACK: 32_invitation_bulk_import.sql
+-- =====================================================
+--
+-- Drops the bulk import functions.
+-- Data loss: none. Imported invitations stay.
+
+SET search_path TO api, public;
+
+DROP FUNCTION IF EXISTS api.import_invitations(UUID, UUID, JSONB, TEXT);
+DROP FUNCTION IF EXISTS api.find_invitation_duplicates(UUID, TEXT[]);
+DROP FUNCTION IF EXISTS api.invitation_import_capacity(UUID);
@@ -0,0 +1,21 @@
+-- =====================================================
+-- ROLLBACK: 34_invitation_status_history.sql
+-- =====================================================
+--
+-- Drops the status triggers, the history and the transition graph, and the
+-- status_changed_by and status_change_reason columns of api.invitations.
+-- Status changes are no longer checked.
+-- Data loss: the status history of every invitation.
+
+SET search_path TO api, public;
+
+DROP TRIGGER IF EXISTS trigger_record_initial_invitation_status ON api.invitations;
+DROP TRIGGER IF EXISTS trigger_validate_invitation_status ON api.invitations;
+DROP FUNCTION IF EXISTS api.record_initial_invitation_status();
+DROP FUNCTION IF EXISTS api.enforce_invitation_status_transition();
+
+DROP TABLE IF EXISTS api.invitation_status_history;
+DROP TABLE IF EXISTS api.invitation_status_transitions;
+
+ALTER TABLE api.invitations DROP COLUMN IF EXISTS status_change_reason;
+ALTER TABLE api.invitations DROP COLUMN IF EXISTS status_changed_by;
@@ -0,0 +1,133 @@
+-- =====================================================
+-- ROLLBACK: 35_demo_request_review.sql
+-- =====================================================
+--
+-- Drops the bulk review functions, restores api.approve_demo_request and
+-- api.reject_demo_request from 11_extend_invitations_for_demos.sql and
+-- api.demo_requests_admin from 25_extend_invitations_notification_queue.sql,
+-- with their grants to authenticated.
+-- Data loss: none. Requests reviewed since stay approved or rejected, and
+-- their decisions stay in api.invitation_status_history.
+
+SET search_path TO api, public;
+
+DROP VIEW IF EXISTS api.demo_requests_admin;
+
+DROP FUNCTION IF EXISTS api.approve_demo_requests(UUID[], TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.reject_demo_requests(UUID[], TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS api.approve_demo_request(UUID, TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.reject_demo_request(UUID, TEXT, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS api.is_demo_request_type(TEXT);
+
+-- Function to approve a demo request
+CREATE OR REPLACE FUNCTION api.approve_demo_request(invitation_id UUID)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  result api.invitations;
+BEGIN
+  UPDATE api.invitations
+  SET 
+    status = 'pending',
+    updated_at = now()
+  WHERE id = invitation_id
+    AND request_type = 'demo_request'
+    AND status = 'requested'
+  RETURNING * INTO result;
+  
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Demo request not found or not in requested status';
+  END IF;
+  
+  RETURN result;
+END;
+$$;
+
+-- Function to reject a demo request
+CREATE OR REPLACE FUNCTION api.reject_demo_request(invitation_id UUID, reason TEXT DEFAULT NULL)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  result api.invitations;
+BEGIN
+  UPDATE api.invitations
+  SET 
+    status = 'rejected',
+    comment = COALESCE(comment || E'\n\nRejection reason: ' || reason, 'Rejection reason: ' || reason),
+    updated_at = now()
+  WHERE id = invitation_id
+    AND request_type = 'demo_request'
+    AND status = 'requested'
+  RETURNING * INTO result;
+  
+  IF result.id IS NULL THEN
+    RAISE EXCEPTION 'Demo request not found or not in requested status';
+  END IF;
+  
+  RETURN result;
+END;
+$$;
+
+-- Create updated demo_requests_admin view to include notification fields
+CREATE VIEW api.demo_requests_admin AS
+SELECT 
+  id,
+  email_hash,
+  email_domain,
+  jwt_token,
+  status,
+  demo_duration,
+  team_size,
+  timeline,
+  role,
+  comment,
+  spam_score,
+  spam_status,
+  workflow_type,
+  client_ip,
+  user_agent,
+  referrer,
+  
+  -- Legacy email fields (maintained for compatibility)
+  email_sent,
+  email_sent_at,
+  follow_up_sent,
+  follow_up_sent_at,
+  email_attempts,
+  last_email_error,
+  
+  -- New notification queue fields
+  notification_status,
+  delivery_methods,
+  delivery_status,
+  message_template,
+  template_data,
+  notification_attempts,
+  max_notification_attempts,
+  next_notification_attempt,
+  last_notification_error,
+  send_after,
+  reminder_schedule,
+  reminder_count,
+  last_reminder_sent,
+  notification_triggered_by,
+  notification_triggered_at,
+  notification_completed_at,
+  
+  -- Metadata and audit
+  retention_purpose,
+  auto_delete_at,
+  created_at,
+  expires_at
+FROM api.invitations
+WHERE request_type = 'demo_request';
+
+-- Grant permissions on updated view
+GRANT SELECT ON api.demo_requests_admin TO authenticated;
+
+GRANT EXECUTE ON FUNCTION api.approve_demo_request(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION api.reject_demo_request(UUID, TEXT) TO authenticated;
@@ -0,0 +1,299 @@
+-- =====================================================
+-- ROLLBACK: 36_demo_request_spam_scoring.sql
+-- =====================================================
+--
+-- Drops the scoring triggers, rules and thresholds, restores
+-- api.demo_requests_admin from 35_demo_request_review.sql and the n8n intake
+-- functions from 30_invitation_pii_guard.sql, and drops the client_ip,
+-- user_agent and referrer columns of api.n8n_invitation_requests.
+-- Data loss: rule weights, settings and thresholds, and the client IP, user
+-- agent and referrer of n8n requests. Scores and breakdowns stay on the
+-- invitations.
+
+SET search_path TO api, public;
+
+DROP TRIGGER IF EXISTS trigger_reject_spam_demo_request ON api.invitations;
+DROP TRIGGER IF EXISTS trigger_score_demo_request ON api.invitations;
+DROP FUNCTION IF EXISTS api.reject_spam_demo_request();
+DROP FUNCTION IF EXISTS api.score_demo_request_on_insert();
+DROP FUNCTION IF EXISTS api.score_demo_request(api.invitations);
+
+DROP VIEW IF EXISTS api.demo_requests_admin;
+
+CREATE VIEW api.demo_requests_admin AS
+SELECT
+  i.id,
+  i.invitation_code,
+  i.request_type,
+  i.email_hash,
+  i.email_domain,
+  i.jwt_token,
+  i.status,
+  i.demo_duration,
+  i.team_size,
+  i.timeline,
+  i.role,
+  i.comment,
+  i.client_data->>'company' AS company,
+  i.client_data->>'source' AS source,
+  i.spam_score,
+  i.spam_status,
+  i.workflow_type,
+  i.client_ip,
+  i.user_agent,
+  i.referrer,
+
+  -- Legacy email fields (maintained for compatibility)
+  i.email_sent,
+  i.email_sent_at,
+  i.follow_up_sent,
+  i.follow_up_sent_at,
+  i.email_attempts,
+  i.last_email_error,
+
+  -- Notification queue fields
+  i.notification_status,
+  i.delivery_methods,
+  i.delivery_status,
+  i.message_template,
+  i.template_data,
+  i.notification_attempts,
+  i.max_notification_attempts,
+  i.next_notification_attempt,
+  i.last_notification_error,
+  i.send_after,
+  i.reminder_schedule,
+  i.reminder_count,
+  i.last_reminder_sent,
+  i.notification_triggered_by,
+  i.notification_triggered_at,
+  i.notification_completed_at,
+
+  -- Latest review decision
+  review.changed_by AS reviewed_by,
+  review.changed_at AS reviewed_at,
+  review.reason AS review_reason,
+
+  -- Metadata and audit
+  i.retention_purpose,
+  i.auto_delete_at,
+  i.created_at,
+  i.expires_at
+FROM api.invitations i
+LEFT JOIN LATERAL (
+  SELECT h.changed_by, h.changed_at, h.reason
+  FROM api.invitation_status_history h
+  WHERE h.invitation_id = i.id
+    AND h.from_status = 'requested'
+  ORDER BY h.changed_at DESC
+  LIMIT 1
+) review ON true
+WHERE api.is_demo_request_type(i.request_type);
+
+REVOKE SELECT ON api.demo_requests_admin FROM authenticated;
+GRANT SELECT ON api.demo_requests_admin TO service_role;
+
+COMMENT ON VIEW api.demo_requests_admin IS
+  'Demo requests with their notification and latest review decision, for staff review';
+
+-- As defined in 30_invitation_pii_guard.sql
+CREATE OR REPLACE FUNCTION api.create_invitation_from_n8n(
+  payload JSONB
+) RETURNS api.invitations AS $$
+DECLARE
+  new_invitation api.invitations;
+  client_uuid UUID;
+  app_uuid UUID;
+BEGIN
+  -- Log the request without its payload, which carries PII
+  RAISE LOG 'n8n invitation request received: %', payload->>'formId';
+
+  -- Resolve client_id from routing info or use default
+  client_uuid := COALESCE(
+    (payload->'routing'->>'client_id')::UUID,
+    (SELECT id FROM api.clients WHERE code = 'THEPIA' LIMIT 1)
+  );
+
+  -- Resolve app_id from routing info or use default
+  app_uuid := COALESCE(
+    (payload->'routing'->>'app_id')::UUID,
+    (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND code = 'FLOWS' LIMIT 1)
+  );
+
+  -- Create the invitation record
+  INSERT INTO api.invitations (
+    -- Core required fields
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+
+    -- Optional core fields
+    invitation_code,
+    permissions,
+    restrictions,
+    status,
+    max_uses,
+    client_data,
+
+    -- Extended demo fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    auto_delete_at,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment
+  ) VALUES (
+    -- Core required fields
+    client_uuid,
+    app_uuid,
+    COALESCE(payload->>'jwt_token_hash', 'MISSING_JWT_HASH_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    COALESCE(
+      (payload->>'token_expiration')::TIMESTAMPTZ,
+      NOW() + INTERVAL '14 days'
+    ),
+
+    -- Optional core fields
+    COALESCE(payload->>'invitation_code', api.generate_invitation_code(client_uuid, app_uuid)),
+    '[]'::JSONB,
+    '{}'::JSONB,
+    'requested',
+    1,
+    jsonb_build_object(
+      'company', payload->>'company',
+      'message', payload->>'message',
+      'source', payload->>'source',
+      'priority', payload->>'priority',
+      'internal', COALESCE((payload->>'internal')::BOOLEAN, FALSE),
+      'request_id', payload->>'formId'
+    ),
+
+    -- Extended demo fields
+    payload->>'jwt_token',
+    COALESCE(payload->>'email_hash', api.invitation_email_hash(payload->>'email')),
+    COALESCE(payload->>'email_domain', NULLIF(split_part(lower(payload->>'email'), '@', 2), '')),
+    'demo_invitation',
+    NOW() + INTERVAL '90 days',
+    payload->>'demo_duration',
+    payload->>'team_size',
+    payload->>'timeline',
+    payload->>'role',
+    COALESCE(payload->>'type', 'demo'),
+    COALESCE((payload->>'spamScore')::INTEGER, 0),
+    COALESCE(payload->>'spamStatus', 'clean'),
+    payload->>'use_case',
+    payload->>'message'
+  )
+  RETURNING * INTO new_invitation;
+
+  -- Log success
+  RAISE LOG 'Created invitation with ID: %', new_invitation.id;
+
+  RETURN new_invitation;
+EXCEPTION
+  WHEN OTHERS THEN
+    -- Log the error with full details
+    RAISE LOG 'Error creating invitation from n8n: % - %', SQLERRM, SQLSTATE;
+    RAISE EXCEPTION 'Failed to create invitation: %', SQLERRM;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- As defined in 30_invitation_pii_guard.sql
+CREATE OR REPLACE FUNCTION api.process_n8n_invitation_request()
+RETURNS TRIGGER AS $$
+DECLARE
+  client_uuid UUID;
+  app_uuid UUID;
+  new_invitation_id UUID;
+BEGIN
+  -- Skip if already processed
+  IF NEW.processed = TRUE THEN
+    RETURN NEW;
+  END IF;
+
+  -- Get default client and app
+  client_uuid := (SELECT id FROM api.clients WHERE code = 'THEPIA' LIMIT 1);
+  app_uuid := (SELECT id FROM api.client_applications WHERE client_id = client_uuid AND code = 'FLOWS' LIMIT 1);
+
+  -- Create the invitation
+  INSERT INTO api.invitations (
+    client_id,
+    app_id,
+    jwt_token_hash,
+    created_by,
+    expires_at,
+    status,
+    client_data,
+
+    -- Extended fields
+    jwt_token,
+    email_hash,
+    email_domain,
+    retention_purpose,
+    demo_duration,
+    team_size,
+    timeline,
+    role,
+    request_type,
+    spam_score,
+    spam_status,
+    workflow_type,
+    comment
+  ) VALUES (
+    client_uuid,
+    app_uuid,
+    COALESCE(NEW.jwt_token_hash, 'PENDING_' || gen_random_uuid()::TEXT),
+    'n8n-automation',
+    NOW() + INTERVAL '14 days',
+    'requested',
+    jsonb_build_object(
+      'company', NEW.company,
+      'request_id', NEW.request_id
+    ),
+
+    NEW.jwt_token,
+    COALESCE(NEW.email_hash, api.invitation_email_hash(NEW.email)),
+    NULLIF(split_part(lower(NEW.email), '@', 2), ''),
+    'demo_invitation',
+    NEW.demo_duration,
+    NEW.team_size,
+    NEW.timeline,
+    NEW.role,
+    NEW.type,
+    NEW.spam_score,
+    NEW.spam_status,
+    NEW.use_case,
+    NEW.message
+  )
+  RETURNING id INTO new_invitation_id;
+
+  -- Update the request as processed
+  NEW.processed := TRUE;
+  NEW.invitation_id := new_invitation_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE api.n8n_invitation_requests DROP COLUMN IF EXISTS referrer;
+ALTER TABLE api.n8n_invitation_requests DROP COLUMN IF EXISTS user_agent;
+ALTER TABLE api.n8n_invitation_requests DROP COLUMN IF EXISTS client_ip;
+
+DROP TABLE IF EXISTS api.spam_scoring_thresholds;
+DROP TABLE IF EXISTS api.spam_scoring_rules;
+DROP FUNCTION IF EXISTS api.validate_spam_scoring_rule();
+DROP FUNCTION IF EXISTS api.spam_rule_disposable_domain(api.invitations, JSONB);
+DROP FUNCTION IF EXISTS api.spam_rule_velocity(api.invitations, JSONB);
+DROP FUNCTION IF EXISTS api.spam_rule_user_agent(api.invitations, JSONB);
+DROP FUNCTION IF EXISTS api.spam_rule_comment(api.invitations, JSONB);
+DROP FUNCTION IF EXISTS api.spam_rule_referrer(api.invitations, JSONB);
@@ -0,0 +1,76 @@
+-- =====================================================
+-- ROLLBACK: 37_notification_dispatcher.sql
+-- =====================================================
+--
+-- Drops the queue wake-up trigger and api.record_notification_delivery, and
+-- restores api.get_pending_notifications from
+-- 25_extend_invitations_notification_queue.sql.
+-- Data loss: none. delivery_status keeps what each channel did.
+
+SET search_path TO api, public;
+
+DROP TRIGGER IF EXISTS trigger_notify_notification_queue ON api.invitations;
+DROP FUNCTION IF EXISTS api.notify_notification_queue();
+DROP FUNCTION IF EXISTS api.record_notification_delivery(UUID, JSONB);
+
+-- As defined in 25_extend_invitations_notification_queue.sql
+CREATE OR REPLACE FUNCTION api.get_pending_notifications()
+RETURNS TABLE (
+  id UUID,
+  client_id UUID,
+  app_id UUID,
+  jwt_token TEXT,
+  notification_status VARCHAR(50),
+  delivery_methods JSONB,
+  delivery_status JSONB,
+  message_template VARCHAR(100),
+  template_data JSONB,
+  custom_message TEXT,
+  notification_metadata JSONB,
+  notification_attempts INTEGER,
+  max_notification_attempts INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE,
+  send_after TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    i.id,
+    i.client_id,
+    i.app_id,
+    i.jwt_token,
+    i.notification_status,
+    i.delivery_methods,
+    i.delivery_status,
+    i.message_template,
+    i.template_data,
+    i.custom_message,
+    i.notification_metadata,
+    i.notification_attempts,
+    i.max_notification_attempts,
+    i.created_at,
+    i.send_after,
+    i.expires_at
+  FROM api.invitations i
+  WHERE i.notification_status IN ('pending', 'retry_scheduled', 'reminder_due')
+    AND i.send_after <= NOW()
+    AND (i.expires_at IS NULL OR i.expires_at > NOW())
+    AND (i.auto_delete_at IS NULL OR i.auto_delete_at > NOW())
+    AND i.notification_attempts < i.max_notification_attempts
+  ORDER BY 
+    CASE i.notification_status 
+      WHEN 'retry_scheduled' THEN 1
+      WHEN 'reminder_due' THEN 2 
+      WHEN 'pending' THEN 3
+      ELSE 4
+    END,
+    i.send_after ASC,
+    i.created_at ASC;
+END;
+$$;
+
+COMMENT ON FUNCTION api.get_pending_notifications() IS NULL;
@@ -0,0 +1,26 @@
+-- =====================================================
+-- ROLLBACK: 39_notification_templates.sql
+-- =====================================================
+--
+-- Drops the notification template registry, its rendering and locale
+-- functions, and the check on api.invitations.message_template.
+-- Data loss: every template version, including client-specific and
+-- translated ones. Queued notifications keep their message_template.
+
+SET search_path TO api, public;
+
+DROP TRIGGER IF EXISTS trigger_check_notification_template_key ON api.invitations;
+DROP FUNCTION IF EXISTS api.check_notification_template_key();
+
+DROP FUNCTION IF EXISTS api.notification_locale(UUID, TEXT, UUID);
+DROP FUNCTION IF EXISTS api.publish_notification_template(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS api.preview_notification_template(UUID, JSONB);
+DROP FUNCTION IF EXISTS api.render_notification(TEXT, UUID, TEXT, TEXT, JSONB, TEXT);
+DROP FUNCTION IF EXISTS api.render_notification_template(UUID, JSONB, TEXT);
+DROP FUNCTION IF EXISTS api.resolve_notification_template(TEXT, UUID, TEXT, TEXT);
+
+DROP TABLE IF EXISTS api.notification_templates;
+
+DROP FUNCTION IF EXISTS api.validate_notification_template();
+DROP FUNCTION IF EXISTS api.fill_notification_template(TEXT, JSONB);
+DROP FUNCTION IF EXISTS api.notification_template_placeholders(TEXT);
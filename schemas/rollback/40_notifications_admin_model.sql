@@ -0,0 +1,71 @@
+-- =====================================================
+-- ROLLBACK: 40_notifications_admin_model.sql
+-- =====================================================
+--
+-- Drops the status functions, policies and trigger, turns `read` back into
+-- a plain column and restores the types, policy and index of
+-- 17_notifications_table.sql.
+-- Data loss: priority, channels, stakeholders, schedule, actions, metadata and
+-- application of every notification. Archived and dismissed notifications
+-- become read. Types other than the legacy ones in metadata.legacyType
+-- become info.
+
+SET search_path TO api, public;
+
+DROP FUNCTION IF EXISTS api.archive_all_notifications(UUID, UUID, TEXT[], TEXT[]);
+DROP FUNCTION IF EXISTS api.mark_all_notifications_read(UUID, UUID, TEXT[], TEXT[]);
+DROP FUNCTION IF EXISTS api.set_all_notifications_status(TEXT, TEXT[], UUID, UUID, TEXT[], TEXT[]);
+DROP FUNCTION IF EXISTS api.archive_notifications(UUID[]);
+DROP FUNCTION IF EXISTS api.mark_notifications_read(UUID[]);
+DROP FUNCTION IF EXISTS api.set_notifications_status(UUID[], TEXT);
+
+DROP POLICY IF EXISTS policy_notifications_recipient_read ON api.notifications;
+DROP POLICY IF EXISTS policy_notifications_staff_access ON api.notifications;
+DROP FUNCTION IF EXISTS api.can_access_notification(UUID, TEXT);
+
+DROP TRIGGER IF EXISTS trigger_stamp_notification_status ON api.notifications;
+DROP FUNCTION IF EXISTS api.stamp_notification_status();
+
+DROP INDEX IF EXISTS api.idx_notifications_inbox;
+DROP INDEX IF EXISTS api.idx_notifications_unread;
+DROP INDEX IF EXISTS api.idx_notifications_application_id;
+DROP INDEX IF EXISTS api.idx_notifications_scheduled_for;
+DROP INDEX IF EXISTS api.idx_notifications_expires_at;
+
+-- As defined in 17_notifications_table.sql
+ALTER TABLE api.notifications DROP COLUMN IF EXISTS read;
+ALTER TABLE api.notifications ADD COLUMN read BOOLEAN DEFAULT FALSE;
+UPDATE api.notifications SET read = status <> 'unread';
+
+ALTER TABLE api.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+UPDATE api.notifications
+SET type = CASE
+  WHEN metadata->>'legacyType' IN ('info', 'warning', 'error', 'success') THEN metadata->>'legacyType'
+  ELSE 'info'
+END;
+ALTER TABLE api.notifications
+  ALTER COLUMN type DROP NOT NULL,
+  ALTER COLUMN type SET DEFAULT 'info',
+  ADD CONSTRAINT notifications_type_check CHECK (type IN ('info', 'warning', 'error', 'success'));
+
+ALTER TABLE api.notifications
+  DROP COLUMN IF EXISTS application_id,
+  DROP COLUMN IF EXISTS priority,
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS channels,
+  DROP COLUMN IF EXISTS from_stakeholder,
+  DROP COLUMN IF EXISTS to_stakeholders,
+  DROP COLUMN IF EXISTS scheduled_for,
+  DROP COLUMN IF EXISTS read_at,
+  DROP COLUMN IF EXISTS archived_at,
+  DROP COLUMN IF EXISTS expires_at,
+  DROP COLUMN IF EXISTS actions,
+  DROP COLUMN IF EXISTS metadata;
+
+COMMENT ON COLUMN api.notifications.user_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_read ON api.notifications(read) WHERE read = FALSE;
+
+CREATE POLICY "notifications_client_isolation" ON api.notifications
+  FOR ALL
+  USING (client_id = current_setting('app.current_client_id')::UUID);
@@ -0,0 +1,155 @@
+-- =====================================================
+-- ROLLBACK: 41_notification_preferences.sql
+-- =====================================================
+--
+-- Drops api.notification_preferences with its planning, trigger and deferral
+-- functions, and restores api.record_notification_delivery from
+-- 38_notification_claim_leases.sql.
+-- Data loss: every user's notification preferences. Skipped channels stay in
+-- delivery_status; a notification with a skipped method is retried until it
+-- fails.
+
+SET search_path TO api, public;
+
+DROP TRIGGER IF EXISTS trigger_apply_notification_preferences ON api.notifications;
+DROP FUNCTION IF EXISTS api.apply_notification_preferences();
+DROP FUNCTION IF EXISTS api.defer_notification(UUID, TIMESTAMP WITH TIME ZONE, TEXT);
+DROP FUNCTION IF EXISTS api.plan_notification_delivery(UUID, TEXT, TEXT, TEXT, TEXT, TEXT[], BOOLEAN, TIMESTAMP WITH TIME ZONE);
+DROP TABLE IF EXISTS api.notification_preferences;
+DROP FUNCTION IF EXISTS api.validate_notification_preferences();
+
+-- As defined in 38_notification_claim_leases.sql
+CREATE OR REPLACE FUNCTION api.record_notification_delivery(
+  invitation_id UUID,
+  results JSONB,
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS api.invitations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = api, public
+AS $$
+DECLARE
+  current api.invitations;
+  result api.invitations;
+  channel TEXT;
+  outcome JSONB;
+  merged JSONB;
+  errors TEXT[] := ARRAY[]::TEXT[];
+  delivered BOOLEAN;
+  email_message_id TEXT;
+  attempt INTEGER;
+  should_retry BOOLEAN;
+BEGIN
+  SELECT * INTO current
+  FROM api.invitations
+  WHERE id = invitation_id
+    AND notification_status = 'processing'
+  FOR UPDATE;
+
+  IF current.id IS NULL THEN
+    RAISE EXCEPTION 'Invitation % not found or not processing a notification', invitation_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  -- Another worker reclaimed the notification after this worker's lease expired
+  IF worker_id IS NOT NULL AND current.notification_lease_owner IS DISTINCT FROM worker_id THEN
+    RAISE EXCEPTION 'Invitation % is not leased to %', invitation_id, worker_id
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  merged := COALESCE(current.delivery_status, '{}'::JSONB);
+
+  FOR channel, outcome IN SELECT key, value FROM jsonb_each(COALESCE(results, '{}'::JSONB)) LOOP
+    IF outcome->>'status' = 'sent' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'sent',
+        'sent_at', NOW(),
+        'message_id', outcome->>'message_id'
+      ));
+      IF channel = 'email' THEN
+        email_message_id := outcome->>'message_id';
+      END IF;
+    ELSIF outcome->>'status' = 'failed' THEN
+      merged := merged || jsonb_build_object(channel, jsonb_build_object(
+        'status', 'failed',
+        'failed_at', NOW(),
+        'error', outcome->>'error'
+      ));
+      errors := errors || (channel || ': ' || COALESCE(outcome->>'error', 'failed'));
+    ELSE
+      RAISE EXCEPTION 'Delivery result for % must have status sent or failed', channel;
+    END IF;
+  END LOOP;
+
+  -- Sent once every delivery method has been sent, in this attempt or an earlier one
+  SELECT bool_and(merged->method->>'status' = 'sent')
+  INTO delivered
+  FROM jsonb_array_elements_text(COALESCE(current.delivery_methods, '["email"]'::JSONB)) AS method;
+
+  -- claim_notifications counted the attempt when it leased the notification;
+  -- mark_notification_processing does not
+  attempt := current.notification_attempts
+    + CASE WHEN current.notification_lease_owner IS NULL THEN 1 ELSE 0 END;
+  should_retry := attempt < current.max_notification_attempts;
+
+  UPDATE api.invitations
+  SET
+    delivery_status = merged,
+    notification_attempts = attempt,
+    notification_status = CASE
+      WHEN delivered THEN 'sent'
+      WHEN should_retry THEN 'retry_scheduled'
+      ELSE 'failed'
+    END,
+    notification_completed_at = CASE WHEN delivered THEN NOW() ELSE notification_completed_at END,
+    notification_lease_owner = NULL,
+    notification_lease_expires_at = NULL,
+    -- Backoff as in mark_notification_failed: 5 minutes, 30 minutes, 2 hours, 6 hours
+    next_notification_attempt = CASE
+      WHEN delivered OR NOT should_retry THEN NULL
+      ELSE NOW() + CASE attempt
+        WHEN 1 THEN interval '5 minutes'
+        WHEN 2 THEN interval '30 minutes'
+        WHEN 3 THEN interval '2 hours'
+        ELSE interval '6 hours'
+      END
+    END,
+    last_notification_error = CASE
+      WHEN delivered THEN NULL
+      ELSE array_to_string(errors, '; ')
+    END,
+
+    -- An approved invitation is sent once its email is delivered, as in 26
+    status = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'sent'
+      ELSE status
+    END,
+    status_changed_by = CASE
+      WHEN email_message_id IS NOT NULL AND status = 'approved' THEN 'notification-dispatcher'
+      ELSE status_changed_by
+    END,
+
+    -- Legacy email fields for backward compatibility. email_sent waits for the
+    -- other channels: trigger_sync_legacy_email_fields (25) takes it to mean
+    -- the whole notification was sent.
+    email_sent = CASE WHEN delivered AND merged ? 'email' THEN true ELSE email_sent END,
+    email_sent_at = CASE WHEN email_message_id IS NOT NULL THEN NOW() ELSE email_sent_at END,
+    email_id = COALESCE(email_message_id, email_id),
+    email_attempts = CASE WHEN results ? 'email' THEN attempt ELSE email_attempts END,
+    last_email_error = CASE
+      WHEN results->'email'->>'status' = 'failed' THEN results->'email'->>'error'
+      ELSE last_email_error
+    END
+  WHERE id = invitation_id
+  RETURNING * INTO result;
+
+  RETURN result;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) TO service_role;
+
+COMMENT ON FUNCTION api.record_notification_delivery(UUID, JSONB, TEXT) IS
+  'Record the outcome of each channel of a notification attempt: sent once every delivery method is sent, otherwise retried';
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Tenant Backup Script
+ *
+ * Exports every api.* row belonging to one client into a versioned NDJSON
+ * bundle (manifest.json + one file per table) that scripts/restore.js can load
+ * into another project.
+ *
+ * Usage:
+ *   node scripts/backup.js acme                       # writes backups/acme-<timestamp>/
+ *   node scripts/backup.js acme --out ./acme-eu-move
+ */
+
+import { join } from 'node:path';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { describeDatabaseUrl } from '../src/db/reset-guard.js';
+import { defaultBundleName, exportTenant } from '../src/tenants/bundle.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Export one client to a bundle directory
+ */
+async function backupClient(clientCode, options = {}) {
+  const spinner = ora('Connecting to database...').start();
+  let client;
+
+  try {
+    const connectionString = getDatabaseUrl();
+    const dir = options.out ?? join('backups', defaultBundleName(clientCode));
+    client = await connectDatabase(connectionString);
+
+    spinner.text = `Exporting ${clientCode}...`;
+    const manifest = await exportTenant(client, clientCode, dir, {
+      source: describeDatabaseUrl(connectionString),
+    });
+    spinner.succeed(`Exported ${clientCode} to ${chalk.white(dir)}`);
+
+    manifest.tables.forEach((table) => {
+      console.log(`   • ${table.name.padEnd(32)} ${chalk.gray(`${table.rows} row(s)`)}`);
+    });
+
+    const total = manifest.tables.reduce((sum, table) => sum + table.rows, 0);
+    console.log(
+      chalk.cyan(`\n📊 ${total} row(s) from ${manifest.tables.length} table(s)`),
+      chalk.gray(`schema ${manifest.schemaVersion ?? 'untracked'}`)
+    );
+  } catch (error) {
+    spinner.fail(`Backup failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('backup')
+  .description('Export a client and all its rows as an NDJSON tenant bundle')
+  .version('1.0.0')
+  .argument('<client-code>', 'Client to export')
+  .option('-o, --out <dir>', 'Bundle directory (default: backups/<client-code>-<timestamp>)')
+  .action(async (clientCode, options) => {
+    await backupClient(clientCode, options);
+  });
+
+program.parse();
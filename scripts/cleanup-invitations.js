@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Cleanup Invitations Script
+ *
+ * Runs the invitation housekeeping: invitation_maintenance() expires pending
+ * invitations past expires_at and deletes expired and revoked ones older
+ * than 90 days; api.gdpr_compliant_cleanup() deletes invitations past
+ * auto_delete_at and sets retention dates on the rest. --dry-run runs both
+ * and rolls back, reporting what would change.
+ *
+ * Usage:
+ *   node scripts/cleanup-invitations.js --dry-run
+ *   node scripts/cleanup-invitations.js --yes
+ *   node scripts/cleanup-invitations.js --dry-run --json
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { cleanupInvitations } from '../src/invitations/admin.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Print the counts by status before and after the cleanup
+ */
+function printStatusCounts(before, after) {
+  const statuses = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  console.log('\nStatus      | Before | After');
+  console.log('------------|--------|------');
+  statuses.forEach((status) => {
+    const was = before[status] ?? 0;
+    const now = after[status] ?? 0;
+    const line = `${status.padEnd(11)} | ${String(was).padStart(6)} | ${String(now).padStart(5)}`;
+    console.log(was === now ? line : chalk.yellow(line));
+  });
+}
+
+/**
+ * Run (or rehearse) the cleanup and report
+ */
+async function cleanupCommand(options) {
+  if (!options.dryRun && !options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Expire and permanently delete invitations now? Run --dry-run first to preview.',
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('Cleanup cancelled'));
+      return;
+    }
+  }
+
+  const spinner = ora(
+    options.dryRun ? 'Rehearsing cleanup...' : 'Cleaning up invitations...'
+  ).start();
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    const report = await cleanupInvitations(client, { dryRun: options.dryRun === true });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    const { maintenance, gdpr } = report;
+    console.log(
+      report.dryRun
+        ? chalk.cyan('🔍 Dry run, nothing was changed. A cleanup now would:')
+        : chalk.green('✅ Cleanup complete:')
+    );
+    console.log(`   • Expire ${maintenance.expired_invitations} pending invitation(s)`);
+    console.log(
+      `   • Delete ${maintenance.deleted_old_invitations} expired or revoked invitation(s) older than 90 days`
+    );
+    console.log(`   • Delete ${gdpr.deleted_records} invitation(s) past their retention date`);
+    console.log(`   • Set retention dates on ${gdpr.updated_retention_policies} invitation(s)`);
+
+    printStatusCounts(report.before, report.after);
+  } catch (error) {
+    spinner.fail(`Cleanup failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('cleanup-invitations')
+  .description('Expire, delete and apply retention to invitations')
+  .option('--dry-run', 'Report what would change without changing anything')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--json', 'Print the report as JSON')
+  .action(async (options) => {
+    await cleanupCommand(options);
+  });
+
+program.parse();
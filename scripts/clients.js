@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+
+/**
+ * Clients Script
+ *
+ * Lists, inspects, updates and deactivates clients, and manages the tier
+ * catalogue in api.client_tiers. Client creation stays in
+ * scripts/setup-client.js.
+ *
+ * Usage:
+ *   node scripts/clients.js list --tier pro --region EU --status active
+ *   node scripts/clients.js list --json
+ *   node scripts/clients.js status acme
+ *   node scripts/clients.js update acme --tier enterprise
+ *   node scripts/clients.js update acme --billing-contact billing@acme.com
+ *   node scripts/clients.js deactivate acme --reason "Contract ended"
+ *   node scripts/clients.js deactivate acme --reactivate
+ *   node scripts/clients.js tiers list
+ *   node scripts/clients.js tiers show pro
+ *   node scripts/clients.js tiers create acme-plus --based-on enterprise --max-users 25000
+ *   node scripts/clients.js tiers update pro --max-users 1500 --reason "2025 price list"
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import {
+  createTier,
+  deactivateClient,
+  getClientStatus,
+  getTierHistory,
+  listClients,
+  reactivateClient,
+  updateClient,
+  updateTier,
+} from '../src/clients/admin.js';
+import { getTier, listTiers } from '../src/clients/tiers.js';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const STATUS_COLORS = {
+  active: chalk.green,
+  suspended: chalk.yellow,
+  deactivated: chalk.red,
+  inactive: chalk.red,
+  maintenance: chalk.yellow,
+  deprecated: chalk.gray,
+};
+
+/**
+ * Color a client or application status
+ */
+function formatStatus(status) {
+  return (STATUS_COLORS[status] ?? chalk.white)(status);
+}
+
+/**
+ * Format a timestamp as a date, or a placeholder when unset
+ */
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : 'never';
+}
+
+/**
+ * Format usage against a limit, highlighting anything at or over it
+ */
+function formatUsage(current, max, unit = '') {
+  const text = `${current}${unit} / ${max}${unit}`;
+  const ratio = max > 0 ? current / max : 1;
+
+  if (ratio >= 1) return chalk.red(text);
+  if (ratio >= 0.8) return chalk.yellow(text);
+  return chalk.white(text);
+}
+
+/**
+ * Connect, run `fn` with the database client and report failures
+ */
+async function withDatabase(spinner, label, fn) {
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    await fn(client);
+  } catch (error) {
+    spinner.fail(`${label} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * Print clients as a table or JSON
+ */
+async function listCommand(options) {
+  const spinner = ora('Loading clients...').start();
+
+  await withDatabase(spinner, 'List', async (client) => {
+    const clients = await listClients(client, {
+      tier: options.tier,
+      region: options.region,
+      status: options.status,
+    });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(clients, null, 2));
+      return;
+    }
+
+    if (clients.length === 0) {
+      console.log('📝 No clients found');
+      return;
+    }
+
+    console.log(
+      'Client Code          | Legal Name                   | Region | Tier       | Status      | Users         | Apps | Last Active'
+    );
+    console.log(
+      '---------------------|------------------------------|--------|------------|-------------|---------------|------|------------'
+    );
+
+    clients.forEach((row) => {
+      const code = row.client_code.padEnd(20);
+      const name = row.legal_name.slice(0, 28).padEnd(28);
+      const region = row.region.padEnd(6);
+      const tier = row.tier.padEnd(10);
+      const status = formatStatus(row.status.padEnd(11));
+      const users = `${row.current_users}/${row.max_users}`.padEnd(13);
+      const apps = String(row.apps).padEnd(4);
+
+      console.log(
+        `${code} | ${name} | ${region} | ${tier} | ${status} | ${users} | ${apps} | ${formatDate(row.last_active)}`
+      );
+    });
+
+    console.log(`\n📊 Total: ${clients.length} client(s)`);
+  });
+}
+
+/**
+ * Print one client's applications, usage and balance
+ */
+async function statusCommand(clientCode, options) {
+  const spinner = ora(`Loading ${clientCode}...`).start();
+
+  await withDatabase(spinner, 'Status', async (client) => {
+    const status = await getClientStatus(client, clientCode);
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue.bold(`📋 ${status.legalName} (${status.clientCode})\n`));
+    console.log(`   Status:      ${formatStatus(status.status)}`);
+    console.log(`   Domain:      ${chalk.white(status.domain)}`);
+    console.log(`   Region:      ${chalk.white(status.region)}`);
+    console.log(`   Tier:        ${chalk.white(`${status.tier} (v${status.tierVersion})`)}`);
+    console.log(`   Users:       ${formatUsage(status.users.current, status.users.max)}`);
+    console.log(
+      `   Storage:     ${formatUsage(status.storage.currentMb, status.storage.maxMb, ' MB')}`
+    );
+    console.log(
+      `   TFC Balance: ${
+        status.tfc
+          ? chalk.white(`${status.tfc.currentBalance} (${status.tfc.availableCredits} available)`)
+          : chalk.gray('none')
+      }`
+    );
+    console.log(`   Last Active: ${chalk.white(formatDate(status.lastActive))}`);
+
+    if (status.deactivation) {
+      const { at, by, reason } = status.deactivation;
+      console.log(
+        chalk.red(`   Deactivated: ${formatDate(at)} by ${by}${reason ? ` (${reason})` : ''}`)
+      );
+    }
+
+    console.log(chalk.cyan('\n📱 Applications:'));
+    if (status.apps.length === 0) {
+      console.log(chalk.gray('   none'));
+    }
+    status.apps.forEach((app) => {
+      console.log(
+        `   • ${app.appCode} - ${app.appName} v${app.version} ${formatStatus(app.status)}`
+      );
+    });
+
+    const invitations = Object.entries(status.invitations);
+    if (invitations.length > 0) {
+      console.log(chalk.cyan('\n✉️  Invitations:'));
+      invitations.forEach(([state, count]) => {
+        console.log(`   • ${state}: ${count}`);
+      });
+    }
+  });
+}
+
+/**
+ * Change a client's tier or business details
+ */
+async function updateCommand(clientCode, options) {
+  const spinner = ora(`Updating ${clientCode}...`).start();
+
+  await withDatabase(spinner, 'Update', async (client) => {
+    const changes = Object.fromEntries(
+      Object.entries({
+        tier: options.tier,
+        legalName: options.legalName,
+        billingContact: options.billingContact,
+        technicalContact: options.technicalContact,
+        industry: options.industry,
+        companySize: options.companySize,
+        countryCode: options.countryCode,
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    const updated = await updateClient(client, clientCode, changes, { force: options.force });
+    spinner.succeed(`Client "${clientCode}" updated`);
+
+    if (changes.tier) {
+      console.log(
+        `   Tier:     ${chalk.white(updated.tier)} (${updated.max_users} users, ${updated.max_storage_gb}GB)`
+      );
+      console.log(`   Features: ${chalk.white(updated.features.join(', '))}`);
+    }
+  });
+}
+
+/**
+ * Deactivate a client, or reactivate it with --reactivate
+ */
+async function deactivateCommand(clientCode, options) {
+  const action = options.reactivate ? 'Reactivate' : 'Deactivate';
+
+  if (!options.reactivate && !options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Deactivate ${clientCode}, revoke its open invitations and take its apps offline?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('Deactivation cancelled'));
+      return;
+    }
+  }
+
+  const spinner = ora(`${action.slice(0, -1)}ing ${clientCode}...`).start();
+
+  await withDatabase(spinner, action, async (client) => {
+    if (options.reactivate) {
+      const { restoredApps } = await reactivateClient(client, clientCode);
+      spinner.succeed(`Client "${clientCode}" reactivated`);
+      console.log(`   Applications restored: ${chalk.white(restoredApps)}`);
+      console.log(chalk.yellow('   Revoked invitations stay revoked; send new ones if needed'));
+      return;
+    }
+
+    const { revokedInvitations, suspendedApps } = await deactivateClient(client, clientCode, {
+      by: options.by,
+      reason: options.reason,
+    });
+    spinner.succeed(`Client "${clientCode}" deactivated`);
+    console.log(`   Invitations revoked:    ${chalk.white(revokedInvitations)}`);
+    console.log(`   Applications suspended: ${chalk.white(suspendedApps)}`);
+    console.log(
+      `\n   Use: ${chalk.green(`npm run client:deactivate ${clientCode} -- --reactivate`)} to undo\n`
+    );
+  });
+}
+
+/**
+ * Tier changes given on the command line, in the shape createTier and
+ * updateTier take
+ */
+function tierOptions(options) {
+  return Object.fromEntries(
+    Object.entries({
+      name: options.name,
+      description: options.description,
+      maxUsers: options.maxUsers && Number(options.maxUsers),
+      maxStorageGB: options.maxStorageGb && Number(options.maxStorageGb),
+      features: options.features?.split(',').map((feature) => feature.trim()),
+      priceMonthly: options.price && Number(options.price),
+      currency: options.currency,
+      tfcMonthlyAllowance: options.tfcAllowance && Number(options.tfcAllowance),
+      tfcDiscountPercentage: options.tfcDiscount && Number(options.tfcDiscount),
+      active: options.retire ? false : options.restore ? true : undefined,
+    }).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Print one tier's limits, pricing and TFC allowance
+ */
+function printTier(tier) {
+  console.log(
+    `   Name:        ${chalk.white(tier.name)}${tier.is_custom ? chalk.gray(' (custom)') : ''}`
+  );
+  if (!tier.is_active) {
+    console.log(chalk.red('   Retired:     no new clients can join this tier'));
+  }
+  console.log(`   Users:       ${chalk.white(tier.max_users)}`);
+  console.log(`   Storage:     ${chalk.white(`${tier.max_storage_gb}GB`)}`);
+  console.log(`   Features:    ${chalk.white(tier.features.join(', '))}`);
+  console.log(`   Price:       ${chalk.white(`${tier.price_monthly} ${tier.currency}/month`)}`);
+  console.log(
+    `   TFC:         ${chalk.white(`${tier.tfc_monthly_allowance}/month included, ${tier.tfc_discount_percentage}% off top-ups`)}`
+  );
+  console.log(`   Version:     ${chalk.white(tier.version)}`);
+}
+
+/**
+ * List the tier catalogue
+ */
+async function tiersListCommand(options) {
+  const spinner = ora('Loading tiers...').start();
+
+  await withDatabase(spinner, 'List', async (client) => {
+    const tiers = await listTiers(client, { includeRetired: options.all });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(tiers, null, 2));
+      return;
+    }
+
+    console.log(
+      'Tier                 | Name                 | Users  | Storage | Price            | TFC/mo | Version | Clients'
+    );
+    console.log(
+      '---------------------|----------------------|--------|---------|------------------|--------|---------|--------'
+    );
+
+    tiers.forEach((tier) => {
+      const code = (tier.is_active ? chalk.white : chalk.gray)(tier.tier_code.padEnd(20));
+      const name = tier.name.slice(0, 20).padEnd(20);
+      const users = String(tier.max_users).padEnd(6);
+      const storage = `${tier.max_storage_gb}GB`.padEnd(7);
+      const price = `${tier.price_monthly} ${tier.currency}`.padEnd(16);
+      const tfc = String(tier.tfc_monthly_allowance).padEnd(6);
+      const version = `v${tier.version}`.padEnd(7);
+
+      console.log(
+        `${code} | ${name} | ${users} | ${storage} | ${price} | ${tfc} | ${version} | ${tier.client_count}`
+      );
+    });
+  });
+}
+
+/**
+ * Print one tier and its change history
+ */
+async function tiersShowCommand(tierCode, options) {
+  const spinner = ora(`Loading ${tierCode}...`).start();
+
+  await withDatabase(spinner, 'Show', async (client) => {
+    const tier = await getTier(client, tierCode);
+    const history = await getTierHistory(client, tierCode);
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify({ tier, history }, null, 2));
+      return;
+    }
+
+    console.log(chalk.blue.bold(`🏷️  ${tier.tier_code}\n`));
+    printTier(tier);
+
+    console.log(chalk.cyan('\n📜 History:'));
+    history.forEach((version) => {
+      const changed = version.changes
+        ? Object.entries(version.changes)
+            .map(
+              ([field, { from, to }]) => `${field} ${JSON.stringify(from)} → ${JSON.stringify(to)}`
+            )
+            .join(', ')
+        : 'created';
+      console.log(
+        `   v${version.version} ${formatDate(version.created_at)} by ${version.changed_by}: ${changed}`
+      );
+      if (version.change_reason) {
+        console.log(chalk.gray(`      ${version.change_reason}`));
+      }
+      console.log(chalk.gray(`      applied to ${version.affected_clients.length} client(s)`));
+    });
+  });
+}
+
+/**
+ * Create a custom tier
+ */
+async function tiersCreateCommand(tierCode, options) {
+  const spinner = ora(`Creating tier ${tierCode}...`).start();
+
+  await withDatabase(spinner, 'Create', async (client) => {
+    const tier = await createTier(client, tierCode, tierOptions(options), {
+      basedOn: options.basedOn,
+      by: options.by,
+      reason: options.reason,
+    });
+    spinner.succeed(`Tier "${tier.tier_code}" created`);
+    printTier(tier);
+  });
+}
+
+/**
+ * Change a tier and re-apply it to every client on it
+ */
+async function tiersUpdateCommand(tierCode, options) {
+  const spinner = ora(`Updating tier ${tierCode}...`).start();
+
+  await withDatabase(spinner, 'Update', async (client) => {
+    const { tier, version } = await updateTier(client, tierCode, tierOptions(options), {
+      by: options.by,
+      reason: options.reason,
+      force: options.force,
+    });
+
+    if (!version) {
+      spinner.info(`Tier "${tierCode}" already matches; nothing changed`);
+      return;
+    }
+
+    spinner.succeed(`Tier "${tierCode}" is now version ${tier.version}`);
+    printTier(tier);
+    console.log(
+      `\n   Applied to ${chalk.white(version.affected_clients.length)} client(s)${
+        version.affected_clients.length > 0 ? `: ${version.affected_clients.join(', ')}` : ''
+      }`
+    );
+  });
+}
+
+/**
+ * Options shared by `tiers create` and `tiers update`
+ */
+function withTierOptions(command) {
+  return command
+    .option('--name <name>', 'Display name')
+    .option('--description <text>', 'Description')
+    .option('--max-users <n>', 'User limit')
+    .option('--max-storage-gb <n>', 'Storage limit in GB')
+    .option('--features <list>', 'Comma-separated feature flags (replaces the list)')
+    .option('--price <amount>', 'Monthly price')
+    .option('--currency <code>', 'Price currency (EUR, CHF, USD)')
+    .option('--tfc-allowance <n>', 'TFC credits included per month')
+    .option('--tfc-discount <percent>', 'Discount on TFC top-ups')
+    .option('--reason <reason>', 'Why, recorded in the tier history')
+    .option(
+      '--by <user>',
+      'Who is making the change (recorded in the tier history)',
+      process.env.USER || 'cli'
+    );
+}
+
+// CLI configuration
+program
+  .name('clients')
+  .description('List, inspect, update and deactivate clients')
+  .version('1.0.0');
+
+program
+  .command('list')
+  .description('List clients')
+  .option('--tier <tier>', 'Only clients on this tier')
+  .option('--region <region>', 'Only clients in this region (EU, US, APAC)')
+  .option('--status <status>', 'Only clients with this status (active, suspended, deactivated)')
+  .option('--json', 'Print the clients as JSON')
+  .action(async (options) => {
+    await listCommand(options);
+  });
+
+program
+  .command('status <client-code>')
+  .description('Show applications, usage, TFC balance and last activity for a client')
+  .option('--json', 'Print the status as JSON')
+  .action(async (clientCode, options) => {
+    await statusCommand(clientCode, options);
+  });
+
+program
+  .command('update <client-code>')
+  .description('Change tier (applying its limits and features) or business details')
+  .option('--tier <tier>', 'New tier (see `tiers list`)')
+  .option('--legal-name <name>', 'Legal company name')
+  .option('--billing-contact <email>', 'Billing contact email')
+  .option('--technical-contact <email>', 'Technical contact email')
+  .option('--industry <industry>', 'Industry')
+  .option('--company-size <size>', 'Company size (startup, small, medium, large, enterprise)')
+  .option('--country-code <code>', 'Country code (ISO 3166-1 alpha-2)')
+  .option('--force', 'Downgrade even when current usage exceeds the new tier')
+  .action(async (clientCode, options) => {
+    await updateCommand(clientCode, options);
+  });
+
+program
+  .command('deactivate <client-code>')
+  .description('Deactivate a client: revoke open invitations and suspend its applications')
+  .option('--reactivate', 'Undo a deactivation and restore suspended applications')
+  .option('--reason <reason>', 'Reason recorded on the client and revoked invitations')
+  .option('--by <user>', 'Who is deactivating (recorded as revoked_by)', process.env.USER || 'cli')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (clientCode, options) => {
+    await deactivateCommand(clientCode, options);
+  });
+
+const tiers = program
+  .command('tiers')
+  .description('Manage tiers: limits, features, pricing and TFC allowances');
+
+tiers
+  .command('list')
+  .description('List tiers with their limits, price and number of clients')
+  .option('--all', 'Include retired tiers')
+  .option('--json', 'Print the tiers as JSON')
+  .action(async (options) => {
+    await tiersListCommand(options);
+  });
+
+tiers
+  .command('show <tier>')
+  .description('Show a tier and every version of it')
+  .option('--json', 'Print the tier and its history as JSON')
+  .action(async (tierCode, options) => {
+    await tiersShowCommand(tierCode, options);
+  });
+
+withTierOptions(
+  tiers
+    .command('create <tier>')
+    .description('Create a custom tier')
+    .option('--based-on <tier>', 'Copy anything not given from this tier')
+).action(async (tierCode, options) => {
+  await tiersCreateCommand(tierCode, options);
+});
+
+withTierOptions(
+  tiers
+    .command('update <tier>')
+    .description('Change a tier and re-apply it to every client on it')
+    .option('--retire', 'Stop new clients from joining the tier')
+    .option('--restore', 'Open a retired tier to new clients again')
+    .option('--force', 'Apply even when clients on the tier exceed the new limits')
+).action(async (tierCode, options) => {
+  await tiersUpdateCommand(tierCode, options);
+});
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Create Invitation Script
+ *
+ * Issues invitations for a client application and prints each invitee's
+ * link. Invitees come from flags (one invitation) or a CSV or XLSX sheet with
+ * a header row (first_name, last_name, company_email, private_email,
+ * department, position, start_date, end_date). --cohort issues one link
+ * shared by a group instead, redeemable once per person up to --max-uses.
+ * Tokens are signed with the active key in
+ * api.invitation_signing_keys; INVITATION_SIGNING_KEYS and
+ * INVITATION_ENCRYPTION_KEYS must hold the private keys.
+ *
+ * Usage:
+ *   node scripts/create-invitation.js --client acme --app onboarding \
+ *     --first-name Sofia --last-name Berg --email sofia.berg@acme.com
+ *   node scripts/create-invitation.js --client acme --app offboarding --type offboarding \
+ *     --csv leavers.csv --expires-in-days 14
+ *   node scripts/create-invitation.js --client acme --app onboarding --csv hires.csv --json
+ *   node scripts/create-invitation.js --client acme --app onboarding \
+ *     --cohort "Security training, March" --max-uses 40 --expires-in-days 30
+ */
+
+import { readFileSync } from 'node:fs';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import {
+  INVITATION_TYPES,
+  createCohortInvitation,
+  createInvitations,
+} from '../src/invitations/admin.js';
+import { loadRegisteredInvitationKeys } from '../src/invitations/index.js';
+import { readInviteeSheet } from '../src/invitations/sheets.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Invitees from --csv (CSV or XLSX), or the single invitee given by flags
+ */
+async function readInvitees(options) {
+  if (options.csv) {
+    return readInviteeSheet(readFileSync(options.csv), options.csv);
+  }
+
+  const invitee = {
+    firstName: options.firstName,
+    lastName: options.lastName,
+    companyEmail: options.email,
+    privateEmail: options.privateEmail,
+    department: options.department,
+    position: options.position,
+    associationStartDate: options.startDate,
+    associationEndDate: options.endDate,
+  };
+
+  return [Object.fromEntries(Object.entries(invitee).filter(([, value]) => value !== undefined))];
+}
+
+/**
+ * Issue one link for a cohort and print it
+ */
+async function createCohort(client, keyring, options) {
+  const invitation = await createCohortInvitation(client, keyring, {
+    clientCode: options.client,
+    appCode: options.app,
+    cohort: options.cohort,
+    type: options.type,
+    expiresInDays: options.expiresInDays,
+    maxUses: options.maxUses,
+    requireMfa: options.requireMfa === true,
+    by: options.by,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(invitation, null, 2));
+    return;
+  }
+
+  console.log(chalk.green(`✅ Cohort link created for ${options.client}/${options.app}\n`));
+  console.log(`${chalk.white(invitation.invitationCode)}  ${options.cohort}`);
+  console.log(`   ${chalk.cyan(invitation.link)}`);
+  console.log(
+    chalk.gray(
+      `\n   Up to ${options.maxUses} people, once each; expires ${invitation.expiresAt.toISOString().slice(0, 10)}`
+    )
+  );
+}
+
+/**
+ * Issue the invitations and print their links
+ */
+async function createCommand(options) {
+  const spinner = ora('Issuing invitations...').start();
+  let client;
+
+  try {
+    if (options.cohort) {
+      client = await connectDatabase(getDatabaseUrl());
+      const keyring = await loadRegisteredInvitationKeys(client);
+      spinner.stop();
+      await createCohort(client, keyring, options);
+      return;
+    }
+
+    const invitees = await readInvitees(options);
+    client = await connectDatabase(getDatabaseUrl());
+    const keyring = await loadRegisteredInvitationKeys(client);
+
+    const created = await createInvitations(client, keyring, {
+      clientCode: options.client,
+      appCode: options.app,
+      type: options.type,
+      invitees,
+      expiresInDays: options.expiresInDays,
+      maxUses: options.maxUses,
+      requireMfa: options.requireMfa === true,
+      by: options.by,
+    });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(created, null, 2));
+      return;
+    }
+
+    console.log(
+      chalk.green(
+        `✅ ${created.length} invitation(s) created for ${options.client}/${options.app}\n`
+      )
+    );
+    created.forEach((invitation) => {
+      console.log(`${chalk.white(invitation.invitationCode)}  ${invitation.companyEmail}`);
+      console.log(`   ${chalk.cyan(invitation.link)}`);
+    });
+    console.log(chalk.gray(`\n   Links expire ${created[0].expiresAt.toISOString().slice(0, 10)}`));
+  } catch (error) {
+    spinner.fail(`Create failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('create-invitation')
+  .description('Issue invitations for a client application and print their links')
+  .requiredOption('--client <code>', 'Client code')
+  .requiredOption('--app <code>', 'Application code')
+  .option('--type <type>', `Invitation type (${INVITATION_TYPES.join(', ')})`, 'onboarding')
+  .option('--csv <file>', 'Read invitees from a CSV or XLSX file with a header row')
+  .option('--cohort <name>', 'Issue one shared link for a cohort instead of per-invitee links')
+  .option('--first-name <name>', 'Invitee first name')
+  .option('--last-name <name>', 'Invitee last name')
+  .option('--email <email>', 'Invitee company email')
+  .option('--private-email <email>', 'Invitee private email')
+  .option('--department <department>', 'Department')
+  .option('--position <position>', 'Position')
+  .option('--start-date <date>', 'Association start date (YYYY-MM-DD)')
+  .option('--end-date <date>', 'Association end date (YYYY-MM-DD)')
+  .option('--expires-in-days <days>', 'Days until the invitation expires', '7')
+  .option(
+    '--max-uses <count>',
+    'How many times the link can be redeemed (the cohort size with --cohort)',
+    '1'
+  )
+  .option('--require-mfa', 'Require multi-factor authentication to redeem')
+  .option('--by <user>', 'Who is issuing the invitations', process.env.USER || 'cli')
+  .option('--json', 'Print the created invitations as JSON')
+  .action(async (options) => {
+    await createCommand(options);
+  });
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Drift Script
+ *
+ * Applies the schema files to a throwaway local Postgres, introspects it and
+ * the database behind DATABASE_URL, and reports every column, type, constraint,
+ * index, trigger, function, grant and RLS policy that differs. Exits with 1
+ * when the live database has drifted, so it can gate deployments.
+ *
+ * Usage:
+ *   node scripts/diff-database.js
+ *   node scripts/diff-database.js --bundles core,offboarding,tfc,demo
+ *   node scripts/diff-database.js --type function,policy
+ *   node scripts/diff-database.js --json > drift.json
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { startLocalDatabase } from '../src/db/local-postgres.js';
+import { describeDatabaseUrl } from '../src/db/reset-guard.js';
+import {
+  OBJECT_TYPES,
+  attributeDifferences,
+  diffSnapshots,
+  introspectDatabase,
+} from '../src/migrations/drift.js';
+import { loadManifest, resolveBundles } from '../src/migrations/manifest.js';
+import { SCHEMAS_DIR, loadMigrations, planMigrations } from '../src/migrations/runner.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const CHANGE_LABELS = {
+  missing: chalk.red('- missing   '),
+  unexpected: chalk.yellow('+ unexpected'),
+  changed: chalk.magenta('~ changed   '),
+};
+
+/**
+ * Parse a comma-separated option, rejecting values outside `allowed`
+ */
+function parseList(option, allowed, label) {
+  const values = option.split(',').map((value) => value.trim());
+  const unknown = values.filter((value) => !allowed.includes(value));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${label}: ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+
+  return values;
+}
+
+/**
+ * Introspect the schema files as applied to a fresh local database
+ */
+async function introspectReference(bundles) {
+  const reference = await startLocalDatabase({ bundles });
+  let client;
+
+  try {
+    client = await connectDatabase(reference.url);
+    return await introspectDatabase(client);
+  } finally {
+    await client?.end();
+    await reference.stop();
+  }
+}
+
+/**
+ * Print differences grouped by object type
+ */
+function printDifferences(differences) {
+  for (const type of OBJECT_TYPES) {
+    const group = differences.filter((difference) => difference.type === type);
+    if (group.length === 0) continue;
+
+    console.log(chalk.blue.bold(`\n${type}s (${group.length})`));
+
+    for (const difference of group) {
+      const source = difference.source ? chalk.gray(` ← ${difference.source}`) : '';
+      console.log(`   ${CHANGE_LABELS[difference.change]}  ${difference.name}${source}`);
+
+      if (difference.change === 'changed') {
+        console.log(chalk.gray(`        expected: ${difference.expected}`));
+        console.log(chalk.gray(`        actual:   ${difference.actual}`));
+      }
+    }
+  }
+}
+
+/**
+ * Compare DATABASE_URL with the schema files and report drift
+ */
+async function diffDatabase(options = {}) {
+  const spinner = ora('Loading schema files...').start();
+  let client;
+
+  try {
+    const connectionString = getDatabaseUrl();
+    const { host, projectRef } = describeDatabaseUrl(connectionString);
+    const label = projectRef ? `${host} (project ${projectRef})` : host;
+
+    const requested = options.bundles ? options.bundles.split(',').map((name) => name.trim()) : [];
+    const bundles = resolveBundles(loadManifest(SCHEMAS_DIR), requested);
+    const types = options.type ? parseList(options.type, OBJECT_TYPES, 'type') : OBJECT_TYPES;
+    const { pending } = planMigrations(loadMigrations(), new Map(), { bundles });
+
+    spinner.text = `Applying ${pending.length} schema file(s) to a local reference database...`;
+    const expected = await introspectReference(bundles);
+
+    spinner.text = `Introspecting ${label}...`;
+    client = await connectDatabase(connectionString);
+    const actual = await introspectDatabase(client);
+
+    const differences = attributeDifferences(diffSnapshots(expected, actual), pending).filter(
+      (difference) => types.includes(difference.type)
+    );
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify({ target: label, bundles, differences }, null, 2));
+    } else if (differences.length === 0) {
+      console.log(chalk.green.bold(`✅ ${label} matches schemas/ (${bundles.join(', ')})`));
+    } else {
+      console.log(
+        chalk.blue.bold(`🔍 Schema drift on ${chalk.white(label)} (${bundles.join(', ')})`)
+      );
+      printDifferences(differences);
+
+      const counts = ['missing', 'unexpected', 'changed'].map(
+        (change) => `${differences.filter((d) => d.change === change).length} ${change}`
+      );
+      console.log(chalk.cyan(`\n📊 ${differences.length} difference(s): ${counts.join(', ')}`));
+      console.log(
+        chalk.gray('   ← marks the last schema file that defines the object; check it was applied')
+      );
+    }
+
+    if (differences.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    spinner.fail(`Diff failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('diff-database')
+  .description('Report differences between the live database and schemas/')
+  .version('1.0.0')
+  .option('--bundles <bundles>', 'Comma-separated bundles to compare (default: manifest defaults)')
+  .option('--type <types>', `Only report these object types (${OBJECT_TYPES.join(', ')})`)
+  .option('--json', 'Print the differences as JSON')
+  .action(async (options) => {
+    await diffDatabase(options);
+  });
+
+program.parse();
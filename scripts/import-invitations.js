@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Import Invitations Script
+ *
+ * Bulk-issues invitations from a CSV or XLSX sheet with a header row (the
+ * columns create-invitation.js reads). Every row is validated on its own,
+ * checked for duplicates by email hash against the rows above it, the
+ * client's open and used invitations and its people, and counted against the
+ * seats left under max_users. The rows that pass are created in one
+ * transaction; the rest are skipped. A result file with one line per row
+ * (status, invitation code, link or the reason it was skipped) is written
+ * next to the sheet. Links carry the invitation token, so treat the result
+ * file like the invitations themselves.
+ *
+ * Usage:
+ *   node scripts/import-invitations.js --client acme --app onboarding --file hires.xlsx --dry-run
+ *   node scripts/import-invitations.js --client acme --app onboarding --file hires.csv --yes
+ *   node scripts/import-invitations.js --client acme --app offboarding --type offboarding \
+ *     --file leavers.csv --allow-duplicates --out leavers-results.csv
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import {
+  INVITATION_TYPES,
+  importInvitations,
+  previewInvitationImport,
+} from '../src/invitations/admin.js';
+import { loadRegisteredInvitationKeys } from '../src/invitations/index.js';
+import { formatImportResults, readInviteeSheet } from '../src/invitations/sheets.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const STATUS_COLORS = {
+  ready: chalk.green,
+  created: chalk.green,
+  invalid: chalk.red,
+  duplicate: chalk.yellow,
+  over_capacity: chalk.yellow,
+};
+
+/**
+ * The result file for `file`: hires.xlsx → hires.results.csv
+ */
+function resultsPath(file) {
+  return `${file.replace(/\.(csv|xlsx)$/i, '')}.results.csv`;
+}
+
+/**
+ * Print the seats, the count per status and every row that will not be created
+ */
+function printSummary({ capacity, rows }) {
+  console.log(
+    chalk.gray(
+      `Seats: ${capacity.available} available (max_users ${capacity.max_users}, ` +
+        `${capacity.current_users} users, ${capacity.open_seats} held by open invitations)\n`
+    )
+  );
+
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.status] = (counts[row.status] ?? 0) + 1;
+  });
+  Object.entries(counts).forEach(([status, count]) => {
+    console.log(`   ${STATUS_COLORS[status](status.padEnd(13))} ${count}`);
+  });
+
+  const skipped = rows.filter((row) => !['ready', 'created'].includes(row.status));
+  if (skipped.length > 0) {
+    console.log('\nRow  | Status        | Email                          | Reason');
+    console.log('-----|---------------|--------------------------------|-------');
+    skipped.forEach((row) => {
+      console.log(
+        `${String(row.row).padEnd(4)} | ${STATUS_COLORS[row.status](row.status.padEnd(13))} | ` +
+          `${(row.companyEmail ?? '').padEnd(30)} | ${row.message}`
+      );
+    });
+  }
+}
+
+/**
+ * Preview the sheet, confirm, import the valid rows and write the result file
+ */
+async function importCommand(options) {
+  const spinner = ora(`Checking ${options.file}...`).start();
+  const out = options.out ?? resultsPath(options.file);
+  const settings = {
+    clientCode: options.client,
+    appCode: options.app,
+    allowDuplicates: options.allowDuplicates === true,
+  };
+  let client;
+
+  try {
+    settings.invitees = await readInviteeSheet(readFileSync(options.file), options.file);
+    client = await connectDatabase(getDatabaseUrl());
+    const preview = await previewInvitationImport(client, settings);
+    spinner.stop();
+
+    const ready = preview.rows.filter((row) => row.status === 'ready').length;
+    if (options.dryRun || ready === 0) {
+      writeFileSync(out, formatImportResults(preview.rows));
+
+      if (options.json) {
+        console.log(JSON.stringify(preview, null, 2));
+        return;
+      }
+
+      printSummary(preview);
+      console.log(
+        options.dryRun
+          ? chalk.cyan(`\n🔍 Dry run, nothing was created. ${ready} row(s) would be imported.`)
+          : chalk.yellow('\nNo rows can be imported.')
+      );
+      console.log(chalk.gray(`   Results written to ${out}`));
+      return;
+    }
+
+    if (!options.yes) {
+      printSummary(preview);
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Create ${ready} invitation(s) for ${options.client}/${options.app}?`,
+          default: false,
+        },
+      ]);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('Import cancelled'));
+        return;
+      }
+    }
+
+    spinner.start(`Creating ${ready} invitation(s)...`);
+    const keyring = await loadRegisteredInvitationKeys(client);
+    const result = await importInvitations(client, keyring, {
+      ...settings,
+      type: options.type,
+      expiresInDays: options.expiresInDays,
+      maxUses: options.maxUses,
+      requireMfa: options.requireMfa === true,
+      by: options.by,
+    });
+    spinner.stop();
+    writeFileSync(out, formatImportResults(result.rows));
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    const created = result.rows.filter((row) => row.status === 'created').length;
+    console.log(
+      chalk.green(
+        `✅ ${created} of ${result.rows.length} row(s) imported for ${options.client}/${options.app}\n`
+      )
+    );
+    printSummary(result);
+    console.log(chalk.gray(`\n   Results and links written to ${out}`));
+  } catch (error) {
+    spinner.fail(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('import-invitations')
+  .description('Bulk-issue invitations from a CSV or XLSX sheet and write a per-row result file')
+  .requiredOption('--client <code>', 'Client code')
+  .requiredOption('--app <code>', 'Application code')
+  .requiredOption('--file <file>', 'CSV or XLSX sheet with a header row')
+  .option('--type <type>', `Invitation type (${INVITATION_TYPES.join(', ')})`, 'onboarding')
+  .option('--expires-in-days <days>', 'Days until the invitations expire', '7')
+  .option('--max-uses <count>', 'How many times each link can be redeemed', '1')
+  .option('--require-mfa', 'Require multi-factor authentication to redeem')
+  .option('--by <user>', 'Who is issuing the invitations', process.env.USER || 'cli')
+  .option('--allow-duplicates', 'Invite people who already have an invitation or a record')
+  .option('--dry-run', 'Validate and write the result file without creating anything')
+  .option('--out <file>', 'Result file (default: <file>.results.csv)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--json', 'Print the per-row results as JSON')
+  .action(async (options) => {
+    await importCommand(options);
+  });
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
@@ -14,6 +14,7 @@ import { createClient } from '@supabase/supabase-js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import ora from 'ora';
+import { getDefaultBundles, isApplicable, loadManifest } from '../src/migrations/manifest.js';
 
 // Load environment variables
 dotenv.config();
@@ -45,16 +46,12 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
   },
 });
 
-// SQL files to execute in order
-const sqlFiles = [
-  '00_schema_setup.sql',
-  '01_clients.sql',
-  '02_applications.sql',
-  '03_invitations.sql',
-  '10_shadow_offboarding_workflows.sql',
-  '11_credit_system_offboarding.sql',
-  '12_task_oriented_offboarding.sql',
-];
+// SQL files to execute in order, as declared by schemas/manifest.json
+const manifest = loadManifest(join(projectRoot, 'schemas'));
+const defaultBundles = getDefaultBundles(manifest);
+const sqlFiles = manifest.migrations
+  .filter((entry) => isApplicable(entry, defaultBundles))
+  .map((entry) => entry.file);
 
 /**
  * Read and display SQL file content
@@ -90,7 +87,9 @@ function displaySetupInstructions() {
   console.log(chalk.white('   → Go to your project dashboard'));
   console.log(chalk.white('   → Navigate to the "SQL Editor" tab\n'));
 
-  console.log(chalk.yellow('2. Execute the schema files in order:'));
+  console.log(
+    chalk.yellow(`2. Execute the schema files in order (bundles: ${defaultBundles.join(', ')}):`)
+  );
   sqlFiles.forEach((file, index) => {
     console.log(chalk.white(`   ${index + 1}. Copy and paste the contents of schemas/${file}`));
   });
@@ -100,7 +99,8 @@ function displaySetupInstructions() {
   console.log(chalk.white('   → Confirm "Exposed schemas" is set to "api" (Settings → Data API)'));
   console.log(chalk.white('   → Run: npm run health-check'));
 
-  console.log(chalk.green.bold('\n✨ Alternative: Copy SQL files to clipboard\n'));
+  console.log(chalk.green.bold('\n✨ Alternative: Apply and track them automatically\n'));
+  console.log(chalk.white('   → Set DATABASE_URL and run: npm run db:migrate'));
 }
 
 /**
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * Invitation Keys Script
+ *
+ * Generates, activates, retires and publishes the keys that sign invitation
+ * tokens. Public keys and their rotation status live in
+ * api.invitation_signing_keys; private keys are printed (or written with
+ * --out) for INVITATION_SIGNING_KEYS and never reach the database.
+ *
+ * Usage:
+ *   node scripts/invitation-keys.js list
+ *   node scripts/invitation-keys.js generate --out .keys/invitation-signing.json
+ *   node scripts/invitation-keys.js activate <kid>
+ *   node scripts/invitation-keys.js retire <kid>
+ *   node scripts/invitation-keys.js retire --expired
+ *   node scripts/invitation-keys.js jwks > jwks.json
+ */
+
+import { writeFileSync } from 'node:fs';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import {
+  DEFAULT_SIGNING_ALG,
+  INVITATION_EXPIRATION_SECONDS,
+  activateSigningKey,
+  generateInvitationKey,
+  getInvitationJwks,
+  getSigningKey,
+  listSigningKeys,
+  parseInvitationKeySet,
+  registerSigningKey,
+  retireExpiredSigningKeys,
+  retireSigningKey,
+} from '../src/invitations/index.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const STATUS_COLORS = {
+  pending: chalk.cyan,
+  active: chalk.green,
+  retiring: chalk.yellow,
+  retired: chalk.gray,
+};
+
+/**
+ * Color a key status
+ */
+function formatStatus(status) {
+  return (STATUS_COLORS[status] ?? chalk.white)(status);
+}
+
+/**
+ * Format a timestamp, or a placeholder when unset
+ */
+function formatDate(value, placeholder = 'never') {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : placeholder;
+}
+
+/**
+ * Connect, run `fn` with the database client and report failures
+ */
+async function withDatabase(spinner, label, fn) {
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    await fn(client);
+  } catch (error) {
+    spinner.fail(`${label} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * Print the registered keys
+ */
+async function listCommand(options) {
+  const spinner = ora('Loading signing keys...').start();
+
+  await withDatabase(spinner, 'List', async (client) => {
+    const keys = await listSigningKeys(client, { includeRetired: options.all });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(keys, null, 2));
+      return;
+    }
+
+    if (keys.length === 0) {
+      console.log('📝 No signing keys registered; run `generate` to create one');
+      return;
+    }
+
+    const configured = new Set(
+      (parseInvitationKeySet(process.env.INVITATION_SIGNING_KEYS, 'INVITATION_SIGNING_KEYS') ?? [])
+        .filter((jwk) => 'd' in jwk)
+        .map((jwk) => jwk.kid)
+    );
+
+    console.log(
+      'Kid                                         | Alg    | Status   | Not Before       | Not After        | Private'
+    );
+    console.log(
+      '--------------------------------------------|--------|----------|------------------|------------------|--------'
+    );
+
+    keys.forEach((key) => {
+      const kid = key.kid.padEnd(43);
+      const alg = key.algorithm.padEnd(6);
+      const status = formatStatus(key.status.padEnd(8));
+      const notBefore = formatDate(key.not_before).padEnd(16);
+      const notAfter = formatDate(key.not_after, '-').padEnd(16);
+      const hasPrivate = configured.has(key.kid) ? chalk.green('yes') : chalk.gray('no');
+
+      console.log(`${kid} | ${alg} | ${status} | ${notBefore} | ${notAfter} | ${hasPrivate}`);
+    });
+  });
+}
+
+/**
+ * Generate a key pair, register its public half and hand out the private one
+ */
+async function generateCommand(options) {
+  const spinner = ora('Generating signing key...').start();
+
+  await withDatabase(spinner, 'Generate', async (client) => {
+    const jwk = await generateInvitationKey(options.alg, 'sig');
+    const key = await registerSigningKey(client, jwk, {
+      by: options.by,
+      notBefore: options.notBefore ? new Date(options.notBefore) : null,
+    });
+    spinner.succeed(`Signing key "${key.kid}" registered (${key.algorithm}, ${key.status})`);
+
+    const current =
+      parseInvitationKeySet(process.env.INVITATION_SIGNING_KEYS, 'INVITATION_SIGNING_KEYS') ?? [];
+    const keySet = JSON.stringify({ keys: [jwk, ...current] });
+
+    if (options.out) {
+      writeFileSync(options.out, `${keySet}\n`, { mode: 0o600 });
+      console.log(`   Private key set written to ${chalk.white(options.out)}`);
+    } else {
+      console.log(chalk.yellow('\n   Keep this secret. Set it before activating the key:\n'));
+      console.log(`INVITATION_SIGNING_KEYS=${keySet}\n`);
+    }
+
+    if (options.activate) {
+      const { replaced } = await activateSigningKey(client, key.kid, {
+        graceSeconds: Number(options.grace),
+      });
+      console.log(chalk.green(`   Activated; new invitations are signed with "${key.kid}"`));
+      if (replaced) {
+        console.log(
+          `   "${replaced.kid}" is retiring and verifies until ${formatDate(replaced.not_after)}`
+        );
+      }
+    } else {
+      console.log(`   Use: ${chalk.green(`npm run invitation:keys -- activate ${key.kid}`)}`);
+    }
+  });
+}
+
+/**
+ * Make a key the one that signs new invitations
+ */
+async function activateCommand(kid, options) {
+  const spinner = ora(`Activating ${kid}...`).start();
+
+  await withDatabase(spinner, 'Activate', async (client) => {
+    const { replaced, changed } = await activateSigningKey(client, kid, {
+      graceSeconds: Number(options.grace),
+    });
+
+    if (!changed) {
+      spinner.info(`Signing key "${kid}" is already active`);
+      return;
+    }
+
+    spinner.succeed(`New invitations are signed with "${kid}"`);
+    if (replaced) {
+      console.log(
+        `   "${replaced.kid}" is retiring and verifies until ${chalk.white(formatDate(replaced.not_after))}`
+      );
+    }
+  });
+}
+
+/**
+ * Retire one key, or every key past its not_after with --expired
+ */
+async function retireCommand(kid, options) {
+  if (!kid && !options.expired) {
+    console.error(chalk.red('Give a kid to retire, or --expired'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const spinner = ora(options.expired ? 'Retiring expired keys...' : `Retiring ${kid}...`).start();
+
+  await withDatabase(spinner, 'Retire', async (client) => {
+    if (options.expired) {
+      const retired = await retireExpiredSigningKeys(client);
+      spinner.succeed(`Retired ${retired.length} expired key(s)`);
+      retired.forEach((key) => console.log(`   • ${key.kid}`));
+      return;
+    }
+
+    const key = await getSigningKey(client, kid);
+    const stillTrusted = key.status !== 'pending' && (!key.not_after || key.not_after > new Date());
+
+    if (stillTrusted && !options.yes) {
+      spinner.stop();
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Retire ${key.status} key ${kid} now? Invitations it signed stop working immediately.`,
+          default: false,
+        },
+      ]);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('Retirement cancelled'));
+        return;
+      }
+      spinner.start();
+    }
+
+    await retireSigningKey(client, kid);
+    spinner.succeed(`Signing key "${kid}" retired`);
+    if (key.status === 'active') {
+      console.log(
+        chalk.yellow('   No key is active now; activate another before issuing invitations')
+      );
+    }
+  });
+}
+
+/**
+ * Print or write the JWKS of every key that currently verifies tokens
+ */
+async function jwksCommand(options) {
+  const spinner = ora('Loading JWKS...').start();
+
+  await withDatabase(spinner, 'Export', async (client) => {
+    const jwks = await getInvitationJwks(client);
+    spinner.stop();
+
+    if (options.out) {
+      writeFileSync(options.out, `${JSON.stringify(jwks, null, 2)}\n`);
+      console.log(`✅ ${jwks.keys.length} key(s) written to ${options.out}`);
+      return;
+    }
+
+    console.log(JSON.stringify(jwks, null, 2));
+  });
+}
+
+// CLI configuration
+program
+  .name('invitation-keys')
+  .description('Generate, rotate and publish invitation signing keys')
+  .version('1.0.0');
+
+program
+  .command('list')
+  .description('List signing keys with their status and validity window')
+  .option('--all', 'Include retired keys')
+  .option('--json', 'Print the keys as JSON')
+  .action(async (options) => {
+    await listCommand(options);
+  });
+
+program
+  .command('generate')
+  .description('Generate a key pair and register its public key as pending')
+  .option(
+    '--alg <alg>',
+    'Signing algorithm (ES256, ES384, ES512, EdDSA, RS256, PS256)',
+    DEFAULT_SIGNING_ALG
+  )
+  .option('--out <file>', 'Write the private key set here instead of printing it')
+  .option('--not-before <date>', 'Do not trust the key before this date')
+  .option('--activate', 'Activate the key straight away')
+  .option(
+    '--grace <seconds>',
+    'Minimum time the replaced key keeps verifying (with --activate)',
+    String(INVITATION_EXPIRATION_SECONDS)
+  )
+  .option('--by <user>', 'Who is generating the key', process.env.USER || 'cli')
+  .action(async (options) => {
+    await generateCommand(options);
+  });
+
+program
+  .command('activate <kid>')
+  .description('Sign new invitations with this key; the current key starts retiring')
+  .option(
+    '--grace <seconds>',
+    'Minimum time the replaced key keeps verifying',
+    String(INVITATION_EXPIRATION_SECONDS)
+  )
+  .action(async (kid, options) => {
+    await activateCommand(kid, options);
+  });
+
+program
+  .command('retire [kid]')
+  .description('Stop trusting a key; invitations it signed no longer verify')
+  .option('--expired', 'Retire every key whose grace period has ended')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (kid, options) => {
+    await retireCommand(kid, options);
+  });
+
+program
+  .command('jwks')
+  .description('Export the public keys that currently verify invitations as a JWKS')
+  .option('--out <file>', 'Write the JWKS to a file')
+  .action(async (options) => {
+    await jwksCommand(options);
+  });
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
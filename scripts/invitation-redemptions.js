@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Invitation Redemptions Script
+ *
+ * Shows every redemption attempt of one invitation, newest first: who, when,
+ * whether it was redeemed or denied and why. A cohort link shows the people
+ * who joined through it. IP addresses are only kept as a salted hash.
+ *
+ * Usage:
+ *   node scripts/invitation-redemptions.js ACME-ONBOARDING-1A2B3C
+ *   node scripts/invitation-redemptions.js 0b6c2f9e-... --limit 20
+ *   node scripts/invitation-redemptions.js ACME-ONBOARDING-1A2B3C --json
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { listInvitationRedemptions } from '../src/invitations/admin.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Format a timestamp
+ */
+function formatDate(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Print the redemption history of an invitation
+ */
+async function redemptionsCommand(invitationRef, options) {
+  const spinner = ora('Loading redemptions...').start();
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    const history = await listInvitationRedemptions(client, invitationRef, {
+      limit: options.limit,
+    });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(history, null, 2));
+      return;
+    }
+
+    const { invitation, redemptions } = history;
+    const cohort = invitation.cohort ? `, cohort "${invitation.cohort}"` : '';
+    console.log(chalk.white(`${invitation.invitation_code}  ${invitation.status}`));
+    console.log(
+      chalk.gray(
+        `   ${invitation.client_code}/${invitation.app_code}, used ${invitation.used_count}/${invitation.max_uses}${cohort}`
+      )
+    );
+    console.log('');
+
+    if (redemptions.length === 0) {
+      console.log('📝 No redemption attempts yet');
+      return;
+    }
+
+    console.log(
+      'Attempted            | Outcome  | Use | User                           | Denied because'
+    );
+    console.log(
+      '---------------------|----------|-----|--------------------------------|---------------'
+    );
+
+    redemptions.forEach((redemption) => {
+      const outcome =
+        redemption.outcome === 'redeemed'
+          ? chalk.green(redemption.outcome.padEnd(8))
+          : chalk.red(redemption.outcome.padEnd(8));
+      const use = String(redemption.use_number ?? '-').padEnd(3);
+      const user = (redemption.user_id ?? '-').padEnd(30);
+
+      console.log(
+        `${formatDate(redemption.attempted_at)} | ${outcome} | ${use} | ${user} | ${redemption.denial_codes.join(', ')}`
+      );
+    });
+
+    console.log(`\n${redemptions.length} attempt(s)`);
+  } catch (error) {
+    spinner.fail(`Loading redemptions failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('invitation-redemptions')
+  .description('Show the redemption history of an invitation')
+  .argument('<invitation>', 'Invitation code or id')
+  .option('--limit <count>', 'Show at most this many attempts', '100')
+  .option('--json', 'Print the invitation and its redemptions as JSON')
+  .action(async (invitation, options) => {
+    await redemptionsCommand(invitation, options);
+  });
+
+program.parse();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * List Invitations Script
+ *
+ * Lists invitations, newest first, filtered by status, client, application
+ * and dates. Only the email domain is shown; invitee details stay in the
+ * encrypted tokens.
+ *
+ * Usage:
+ *   node scripts/list-invitations.js
+ *   node scripts/list-invitations.js --status pending --client acme --app onboarding
+ *   node scripts/list-invitations.js --since 2025-01-01 --until 2025-02-01
+ *   node scripts/list-invitations.js --status pending --expires-before 2025-03-01 --json
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { INVITATION_STATUSES, listInvitations } from '../src/invitations/admin.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const STATUS_COLORS = {
+  pending: chalk.cyan,
+  sent: chalk.cyan,
+  requested: chalk.yellow,
+  approved: chalk.yellow,
+  used: chalk.green,
+  expired: chalk.gray,
+  revoked: chalk.red,
+  rejected: chalk.red,
+};
+
+/**
+ * Color an invitation status
+ */
+function formatStatus(status) {
+  return (STATUS_COLORS[status] ?? chalk.white)(status);
+}
+
+/**
+ * Format a timestamp, or a placeholder when unset
+ */
+function formatDate(value, placeholder = '-') {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : placeholder;
+}
+
+/**
+ * Print the matching invitations
+ */
+async function listCommand(options) {
+  const spinner = ora('Loading invitations...').start();
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    const invitations = await listInvitations(client, {
+      status: options.status,
+      clientCode: options.client,
+      appCode: options.app,
+      createdAfter: options.since,
+      createdBefore: options.until,
+      expiresBefore: options.expiresBefore,
+      limit: options.limit,
+    });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(invitations, null, 2));
+      return;
+    }
+
+    if (invitations.length === 0) {
+      console.log('📝 No invitations match');
+      return;
+    }
+
+    console.log(
+      'Code                           | Client/App                | Status    | Uses  | Domain               | Created          | Expires'
+    );
+    console.log(
+      '-------------------------------|---------------------------|-----------|-------|----------------------|------------------|-----------------'
+    );
+
+    invitations.forEach((invitation) => {
+      const code = invitation.invitation_code.padEnd(30);
+      const app = `${invitation.client_code}/${invitation.app_code}`.padEnd(25);
+      const status = formatStatus(invitation.status.padEnd(9));
+      const uses = `${invitation.used_count}/${invitation.max_uses}`.padEnd(5);
+      const domain = (invitation.email_domain ?? '-').padEnd(20);
+      const created = formatDate(invitation.created_at).padEnd(16);
+
+      console.log(
+        `${code} | ${app} | ${status} | ${uses} | ${domain} | ${created} | ${formatDate(invitation.expires_at)}`
+      );
+    });
+
+    console.log(`\n${invitations.length} invitation(s)`);
+  } catch (error) {
+    spinner.fail(`List failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('list-invitations')
+  .description('List invitations by status, client, application and date')
+  .option('--status <status>', `Filter by status (${INVITATION_STATUSES.join(', ')})`)
+  .option('--client <code>', 'Filter by client code')
+  .option('--app <code>', 'Filter by application code')
+  .option('--since <date>', 'Created on or after this date')
+  .option('--until <date>', 'Created before this date')
+  .option('--expires-before <date>', 'Expiring before this date')
+  .option('--limit <count>', 'Show at most this many', '100')
+  .option('--json', 'Print the invitations as JSON')
+  .action(async (options) => {
+    await listCommand(options);
+  });
+
+program.parse();
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ *
+ * Applies pending schema files in the order declared by schemas/manifest.json
+ * and tracks them in internal.schema_migrations so every environment's state
+ * is known.
+ *
+ * Usage:
+ *   node scripts/migrate.js                      # apply all pending migrations
+ *   node scripts/migrate.js --dry-run            # show what would be applied
+ *   node scripts/migrate.js --to 16_tfc_ledger_system
+ *   node scripts/migrate.js run --bundles core,offboarding,tfc,demo
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js baseline 26_fix_invitation_status_workflow
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase } from '../src/db/connection.js';
+import { loadManifest, resolveBundles } from '../src/migrations/manifest.js';
+import {
+  SCHEMAS_DIR,
+  applyMigration,
+  ensureMigrationsTable,
+  getAppliedMigrations,
+  loadMigrations,
+  planMigrations,
+  recordMigration,
+  withMigrationLock,
+} from '../src/migrations/runner.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Parse the --bundles option against the manifest
+ */
+function selectBundles(option) {
+  const requested = option ? option.split(',').map((name) => name.trim()) : [];
+  return resolveBundles(loadManifest(SCHEMAS_DIR), requested);
+}
+
+/**
+ * Connect, make sure the tracking table exists and build the migration plan
+ */
+async function preparePlan(client, options = {}) {
+  await ensureMigrationsTable(client);
+
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(client);
+  const plan = planMigrations(migrations, applied, options);
+
+  return { migrations, applied, ...plan };
+}
+
+/**
+ * Short label for manifest flags shown next to a file
+ */
+function describeFlags(migration) {
+  const flags = [migration.bundle];
+  if (migration.demoOnly) flags.push('demo-only');
+  if (migration.manual) flags.push('manual');
+  if (migration.supersededBy) flags.push(`superseded by ${migration.supersededBy}`);
+  return chalk.gray(`[${flags.join(', ')}]`);
+}
+
+/**
+ * Print files that were edited after being applied
+ */
+function reportModified(modified) {
+  console.error(chalk.red.bold('\n❌ Applied migrations have been modified on disk:\n'));
+  modified.forEach((migration) => {
+    console.error(chalk.red(`   • ${migration.filename}`));
+    console.error(chalk.gray(`     applied:  ${migration.appliedChecksum}`));
+    console.error(chalk.gray(`     on disk:  ${migration.checksum}`));
+  });
+  console.error(
+    chalk.yellow('\nAdd a new numbered schema file instead of editing one that has been applied.')
+  );
+}
+
+/**
+ * Apply pending migrations
+ */
+async function runMigrations(options = {}) {
+  const spinner = ora('Connecting to database...').start();
+  let client;
+
+  try {
+    const bundles = selectBundles(options.bundles);
+    client = await connectDatabase();
+
+    await withMigrationLock(client, async () => {
+      spinner.text = 'Building migration plan...';
+      const { pending, modified } = await preparePlan(client, { to: options.to, bundles });
+
+      if (modified.length > 0) {
+        spinner.fail('Migration plan rejected');
+        reportModified(modified);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (pending.length === 0) {
+        spinner.succeed(`Database is up to date (${bundles.join(', ')})`);
+        return;
+      }
+
+      const demoFiles = pending.filter((migration) => migration.demoOnly);
+      if (demoFiles.length > 0 && process.env.NODE_ENV === 'production') {
+        spinner.fail('Refusing to apply demo-only files with NODE_ENV=production');
+        demoFiles.forEach((migration) => {
+          console.error(chalk.red(`   • ${migration.filename}`));
+        });
+        process.exitCode = 1;
+        return;
+      }
+
+      if (options.dryRun) {
+        spinner.info(`${pending.length} migration(s) would be applied (dry run):`);
+        pending.forEach((migration) => {
+          console.log(`   • ${chalk.white(migration.filename)} ${describeFlags(migration)}`);
+        });
+        return;
+      }
+
+      spinner.succeed(`${pending.length} migration(s) pending`);
+
+      for (const migration of pending) {
+        spinner.start(`Applying ${migration.filename}`);
+        const duration = await applyMigration(client, migration);
+        spinner.succeed(`${migration.filename} ${chalk.gray(`(${duration}ms)`)}`);
+      }
+
+      console.log(chalk.green.bold('\n✅ Migrations applied successfully'));
+    });
+  } catch (error) {
+    spinner.fail(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * Show applied, pending and modified migrations
+ */
+async function showStatus() {
+  const spinner = ora('Connecting to database...').start();
+  let client;
+
+  try {
+    client = await connectDatabase();
+    const { migrations, applied, modified, missing } = await preparePlan(client);
+    spinner.stop();
+
+    const modifiedVersions = new Set(modified.map((migration) => migration.version));
+
+    console.log(chalk.blue.bold('📋 Migration Status\n'));
+
+    migrations.forEach((migration) => {
+      const record = applied.get(migration.version);
+
+      if (modifiedVersions.has(migration.version)) {
+        console.log(
+          `   ${chalk.red('✗ modified')}  ${migration.filename} ${describeFlags(migration)}`
+        );
+      } else if (record) {
+        const appliedAt = new Date(record.applied_at).toISOString().slice(0, 19).replace('T', ' ');
+        const label = record.baseline ? 'baseline' : 'applied ';
+        console.log(
+          `   ${chalk.green(`✓ ${label}`)}  ${migration.filename} ${chalk.gray(appliedAt)}`
+        );
+      } else if (migration.supersededBy || migration.manual) {
+        console.log(
+          `   ${chalk.gray('- skipped ')}  ${migration.filename} ${describeFlags(migration)}`
+        );
+      } else {
+        console.log(
+          `   ${chalk.yellow('• pending ')}  ${migration.filename} ${describeFlags(migration)}`
+        );
+      }
+    });
+
+    missing.forEach((record) => {
+      console.log(
+        `   ${chalk.magenta('? missing ')}  ${record.filename} ${chalk.gray('(not on disk)')}`
+      );
+    });
+
+    const pendingCount = migrations.filter(
+      (migration) => !applied.has(migration.version) && !migration.supersededBy && !migration.manual
+    ).length;
+    console.log(
+      chalk.cyan(
+        `\n📊 ${applied.size} applied, ${pendingCount} pending, ${modified.length} modified, ${missing.length} missing`
+      )
+    );
+
+    if (modified.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    spinner.fail(`Status check failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * Mark migrations up to a version as applied without executing them
+ *
+ * Used once per environment that was set up by pasting files into the SQL Editor.
+ */
+async function baselineMigrations(version, options = {}) {
+  const spinner = ora('Connecting to database...').start();
+  let client;
+
+  try {
+    const bundles = selectBundles(options.bundles);
+    client = await connectDatabase();
+
+    await withMigrationLock(client, async () => {
+      const { pending } = await preparePlan(client, { to: version, bundles });
+
+      for (const migration of pending) {
+        await recordMigration(client, migration, { baseline: true });
+      }
+
+      spinner.succeed(`Recorded ${pending.length} migration(s) as baseline up to ${version}`);
+    });
+  } catch (error) {
+    spinner.fail(`Baseline failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('migrate')
+  .description('Apply schema migrations and track them in internal.schema_migrations')
+  .version('1.0.0');
+
+program
+  .command('run', { isDefault: true })
+  .description('Apply pending migrations in order (the default command)')
+  .option('--dry-run', 'Show pending migrations without applying them')
+  .option('--to <version>', 'Stop after applying this version (e.g. 16_tfc_ledger_system)')
+  .option('--bundles <bundles>', 'Comma-separated bundles to apply (default: manifest defaults)')
+  .action(async (options) => {
+    await runMigrations(options);
+  });
+
+program
+  .command('status')
+  .description('Show applied, pending and modified migrations')
+  .action(async () => {
+    await showStatus();
+  });
+
+program
+  .command('baseline <version>')
+  .description('Record migrations up to <version> as applied without running them')
+  .option('--bundles <bundles>', 'Comma-separated bundles to record (default: manifest defaults)')
+  .action(async (version, options) => {
+    await baselineMigrations(version, options);
+  });
+
+program.parse();
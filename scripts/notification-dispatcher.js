@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Dispatcher Script
+ *
+ * Runs the worker that sends queued notifications (approved demo requests,
+ * reminders, rejections) through the channels configured in the
+ * environment, replacing the n8n notification workflow. `sink` starts a local
+ * SMTP server that prints what the dispatcher sends.
+ *
+ * Usage:
+ *   node scripts/notification-dispatcher.js run
+ *   node scripts/notification-dispatcher.js run --once
+ *   node scripts/notification-dispatcher.js run --worker-id worker-2 --lease 120
+ *   node scripts/notification-dispatcher.js sink --port 1025
+ *
+ * Locally, run the sink and the dispatcher side by side with
+ * NOTIFICATION_SMTP_URL=smtp://127.0.0.1:1025.
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { loadRegisteredInvitationKeys } from '../src/invitations/index.js';
+import { createChannels } from '../src/notifications/channels.js';
+import {
+  DEFAULT_LEASE_SECONDS,
+  defaultWorkerId,
+  dispatchNotifications,
+  startDispatcher,
+} from '../src/notifications/dispatcher.js';
+import { startSmtpSink } from '../src/notifications/smtp-sink.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+const STATUS_COLORS = {
+  sent: chalk.green,
+  retry_scheduled: chalk.yellow,
+  deferred: chalk.cyan,
+  cancelled: chalk.gray,
+  failed: chalk.red,
+  lease_lost: chalk.red,
+};
+
+/**
+ * Current time for log lines
+ */
+function formatTime() {
+  return chalk.gray(new Date().toISOString().replace('T', ' ').slice(0, 19));
+}
+
+/**
+ * How a channel fared, coloured by its status
+ */
+function formatResult(method, result) {
+  if (result.status === 'sent') {
+    return chalk.green(method);
+  }
+  if (result.status === 'skipped') {
+    return chalk.gray(`${method}: skipped`);
+  }
+  return chalk.red(`${method}: ${result.error}`);
+}
+
+/**
+ * Print one line per delivered notification
+ */
+function printDispatched(dispatched) {
+  for (const { id, status, results, deliverAt, heldFor } of dispatched) {
+    const channels =
+      status === 'deferred'
+        ? chalk.gray(`${heldFor.replace('_', ' ')} until ${deliverAt.toISOString()}`)
+        : Object.entries(results)
+            .map(([method, result]) => formatResult(method, result))
+            .join(', ');
+    console.log(
+      `${formatTime()} ${id} ${(STATUS_COLORS[status] ?? chalk.white)(status)}  ${channels}`
+    );
+  }
+}
+
+/**
+ * Close the channels that hold connections
+ */
+function closeChannels(channels) {
+  for (const channel of Object.values(channels)) {
+    channel.close?.();
+  }
+}
+
+/**
+ * Deliver due notifications, once or until interrupted
+ */
+async function runCommand(options) {
+  const spinner = ora('Starting notification dispatcher...').start();
+  const channels = createChannels();
+  let client;
+
+  try {
+    if (Object.keys(channels).length === 0) {
+      throw new Error('No channels configured (set NOTIFICATION_SMTP_URL or a webhook URL)');
+    }
+
+    client = await connectDatabase(getDatabaseUrl());
+    const keyring = await loadRegisteredInvitationKeys(client);
+    const settings = {
+      channels,
+      keyring,
+      limit: Number(options.batchSize),
+      workerId: options.workerId,
+      leaseSeconds: Number(options.lease),
+    };
+
+    if (options.once) {
+      spinner.text = 'Delivering due notifications...';
+      const dispatched = await dispatchNotifications(client, settings);
+      spinner.succeed(`Delivered ${dispatched.length} notification(s)`);
+      printDispatched(dispatched);
+      return;
+    }
+
+    spinner.succeed(
+      `Dispatching as ${options.workerId} through ${Object.keys(channels).join(', ')}${options.listen ? ', listening for new notifications' : ''}`
+    );
+    const dispatcher = await startDispatcher(client, {
+      ...settings,
+      intervalMs: Number(options.interval) * 1000,
+      listen: options.listen,
+      onDispatched: printDispatched,
+      onError: (error) => console.error(`${formatTime()} ${chalk.red(error.message)}`),
+    });
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    console.log(chalk.gray('\nStopping after the current batch...'));
+    await dispatcher.stop();
+  } catch (error) {
+    spinner.fail(`Notification dispatcher failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    closeChannels(channels);
+    await client?.end();
+  }
+}
+
+/**
+ * Run a local SMTP server that prints every message it receives
+ */
+async function sinkCommand(options) {
+  const spinner = ora('Starting SMTP sink...').start();
+
+  try {
+    const sink = await startSmtpSink({
+      port: Number(options.port),
+      onMessage: (message) => {
+        console.log(`\n${formatTime()} ${chalk.cyan(message.to.join(', '))}`);
+        console.log(chalk.white(message.subject));
+        console.log(chalk.gray(message.text.trimEnd()));
+      },
+    });
+    spinner.succeed(`SMTP sink listening on smtp://127.0.0.1:${sink.port}`);
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await sink.close();
+    console.log(chalk.gray(`\nReceived ${sink.messages.length} message(s)`));
+  } catch (error) {
+    spinner.fail(`SMTP sink failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// CLI configuration
+program.name('notification-dispatcher').description('Send queued notifications without n8n');
+
+program
+  .command('run')
+  .description('Deliver due notifications, then keep listening for new ones')
+  .option('--once', 'Deliver what is due and exit')
+  .option('--interval <seconds>', 'Check for delayed sends and retries this often', '30')
+  .option('--batch-size <count>', 'Notifications to deliver per pass', '25')
+  .option('--worker-id <id>', 'Name of this worker in the lease', defaultWorkerId())
+  .option(
+    '--lease <seconds>',
+    'How long a claimed batch is ours before other workers may reclaim it',
+    String(DEFAULT_LEASE_SECONDS)
+  )
+  .option('--no-listen', 'Only check on the interval, without LISTEN')
+  .action(async (options) => {
+    await runCommand(options);
+  });
+
+program
+  .command('sink')
+  .description('Run a local SMTP server that prints every message')
+  .option('--port <port>', 'Port to listen on', '1025')
+  .action(async (options) => {
+    await sinkCommand(options);
+  });
+
+program.parse();
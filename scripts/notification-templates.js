@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Templates Script
+ *
+ * Lists, previews and publishes the templates in api.notification_templates.
+ * A published version never changes: `publish` adds the next version, which
+ * the dispatcher uses from then on. Without --client a template is global,
+ * the fallback for every client without its own.
+ *
+ * Usage:
+ *   node scripts/notification-templates.js list
+ *   node scripts/notification-templates.js list invitation_approved --client acme
+ *   node scripts/notification-templates.js preview invitation_approved --locale de --var first_name=Lena
+ *   node scripts/notification-templates.js publish invitation_approved --locale de \
+ *     --subject "Ihre Thepia Flows Demo ist bereit" --body-file approved.de.txt \
+ *     --variables-file approved.schema.json
+ */
+
+import { readFileSync } from 'node:fs';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import {
+  listNotificationTemplates,
+  previewNotificationTemplate,
+  publishNotificationTemplate,
+  resolveNotificationTemplate,
+} from '../src/notifications/templates.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Connect, run `fn` with the database client and report failures
+ */
+async function withDatabase(spinner, label, fn) {
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    await fn(client);
+  } catch (error) {
+    spinner.fail(`${label} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * The id of the client with `clientCode`, or null without one
+ */
+async function findClientId(client, clientCode) {
+  if (!clientCode) {
+    return null;
+  }
+
+  const { rows } = await client.query('SELECT id FROM api.clients WHERE client_code = $1', [
+    clientCode,
+  ]);
+  if (rows.length === 0) {
+    throw new Error(`Client "${clientCode}" not found`);
+  }
+  return rows[0].id;
+}
+
+/**
+ * Collect repeated --var name=value options
+ */
+function collectVariable(value, variables) {
+  const separator = value.indexOf('=');
+  if (separator < 1) {
+    throw new Error(`--var expects name=value, got "${value}"`);
+  }
+  return { ...variables, [value.slice(0, separator)]: value.slice(separator + 1) };
+}
+
+/**
+ * Print template versions, newest first
+ */
+async function listCommand(templateKey, options) {
+  const spinner = ora('Loading notification templates...').start();
+
+  await withDatabase(spinner, 'List', async (client) => {
+    const templates = await listNotificationTemplates(client, {
+      templateKey: templateKey ?? null,
+      clientId: await findClientId(client, options.client),
+    });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(templates, null, 2));
+      return;
+    }
+
+    if (templates.length === 0) {
+      console.log('📝 No notification templates found');
+      return;
+    }
+
+    console.log(
+      'Template                       | Client       | Locale | Channel | Version | Subject'
+    );
+    console.log(
+      '-------------------------------|--------------|--------|---------|---------|--------------------------------'
+    );
+
+    templates.forEach((template) => {
+      const key = template.template_key.padEnd(30);
+      const owner = (template.client_code ?? 'global').padEnd(12);
+      const locale = template.locale.padEnd(6);
+      const channel = template.channel.padEnd(7);
+      const version = String(template.version).padEnd(7);
+      const line = `${key} | ${owner} | ${locale} | ${channel} | ${version} | ${template.subject}`;
+
+      console.log(template.is_active ? line : chalk.gray(`${line} (inactive)`));
+    });
+  });
+}
+
+/**
+ * Render the template a client, locale and channel would get, with example
+ * values for the variables not given
+ */
+async function previewCommand(templateKey, options) {
+  const spinner = ora(`Rendering ${templateKey}...`).start();
+
+  await withDatabase(spinner, 'Preview', async (client) => {
+    const template = await resolveNotificationTemplate(client, {
+      templateKey,
+      clientId: await findClientId(client, options.client),
+      locale: options.locale,
+      channel: options.channel,
+    });
+    if (!template) {
+      throw new Error(`Unknown notification template "${templateKey}"`);
+    }
+
+    const preview = await previewNotificationTemplate(client, template.id, options.var);
+    spinner.succeed(
+      `${templateKey} v${template.version} (${template.locale}, ${template.channel}${template.client_id ? '' : ', global'})`
+    );
+
+    console.log(`\n${chalk.white(preview.subject)}\n`);
+    console.log(preview.text);
+    if (preview.missing.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  No value or example for: ${preview.missing.join(', ')}`));
+    }
+  });
+}
+
+/**
+ * Publish the next version of a template
+ */
+async function publishCommand(templateKey, options) {
+  const spinner = ora(`Publishing ${templateKey}...`).start();
+
+  await withDatabase(spinner, 'Publish', async (client) => {
+    const template = await publishNotificationTemplate(client, {
+      templateKey,
+      subject: options.subject,
+      body: readFileSync(options.bodyFile, 'utf8'),
+      variables: options.variablesFile
+        ? JSON.parse(readFileSync(options.variablesFile, 'utf8'))
+        : undefined,
+      clientId: await findClientId(client, options.client),
+      locale: options.locale,
+      channel: options.channel,
+      createdBy: options.by,
+      description: options.description ?? null,
+    });
+
+    spinner.succeed(
+      `Published ${templateKey} v${template.version} (${template.locale}, ${template.channel}${options.client ? `, ${options.client}` : ', global'})`
+    );
+  });
+}
+
+// CLI configuration
+program
+  .name('notification-templates')
+  .description('Manage the versioned templates notifications are rendered from');
+
+program
+  .command('list [templateKey]')
+  .description('List template versions, the global ones and a client’s own')
+  .option('--client <code>', 'Include this client’s templates')
+  .option('--json', 'Print JSON')
+  .action(async (templateKey, options) => {
+    await listCommand(templateKey, options);
+  });
+
+program
+  .command('preview <templateKey>')
+  .description('Render the template a client, locale and channel would get')
+  .option('--client <code>', 'Client to resolve the template for')
+  .option('--locale <locale>', 'Locale, e.g. de or de-CH', 'en')
+  .option('--channel <channel>', 'email, sms, push, discord or slack', 'email')
+  .option('--var <name=value>', 'A variable value (repeatable)', collectVariable, {})
+  .action(async (templateKey, options) => {
+    await previewCommand(templateKey, options);
+  });
+
+program
+  .command('publish <templateKey>')
+  .description('Publish the next version of a template')
+  .requiredOption('--subject <subject>', 'Subject, with {{variable}} placeholders')
+  .requiredOption('--body-file <path>', 'File with the body, with {{variable}} placeholders')
+  .option('--variables-file <path>', 'JSON schema of the variables')
+  .option('--client <code>', 'Publish for this client only')
+  .option('--locale <locale>', 'Locale, e.g. de or de-CH', 'en')
+  .option('--channel <channel>', 'email, sms, push, discord or slack', 'email')
+  .option('--description <text>', 'What the template is for')
+  .option('--by <user>', 'Who is publishing the template', process.env.USER || 'cli')
+  .action(async (templateKey, options) => {
+    await publishCommand(templateKey, options);
+  });
+
+program.parse();
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Database Reset Script
+ *
+ * Rolls a non-production database back to a named schema version using the
+ * scripts in schemas/rollback/, or drops the api and internal schemas and
+ * re-applies every migration from scratch.
+ *
+ * Only runs against local Postgres or hosts / Supabase project refs listed in
+ * DB_RESET_ALLOWLIST, and never with NODE_ENV=production.
+ *
+ * Usage:
+ *   node scripts/reset-database.js to 16_tfc_ledger_system
+ *   node scripts/reset-database.js to 16_tfc_ledger_system --dry-run
+ *   node scripts/reset-database.js rebuild
+ *   node scripts/reset-database.js rebuild --bundles core,offboarding,tfc,demo --yes
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { assertResetAllowed } from '../src/db/reset-guard.js';
+import { loadManifest, resolveBundles } from '../src/migrations/manifest.js';
+import {
+  SCHEMAS_DIR,
+  applyMigration,
+  ensureMigrationsTable,
+  getAppliedMigrations,
+  loadMigrations,
+  planMigrations,
+  planRollback,
+  rollbackMigration,
+  withMigrationLock,
+} from '../src/migrations/runner.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Check the allowlist and return the connection string to reset
+ */
+function resolveTarget() {
+  const connectionString = getDatabaseUrl();
+  const { host, projectRef } = assertResetAllowed(connectionString);
+  const label = projectRef ? `${host} (project ${projectRef})` : host;
+
+  return { connectionString, label };
+}
+
+/**
+ * Ask before destroying data unless --yes was given
+ */
+async function confirmReset(message, options) {
+  if (options.yes) {
+    return true;
+  }
+
+  const { confirmed } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirmed', message, default: false },
+  ]);
+
+  return confirmed;
+}
+
+/**
+ * Roll back every applied migration after `version`
+ */
+async function resetToVersion(version, options = {}) {
+  const spinner = ora('Checking reset target...').start();
+  let client;
+
+  try {
+    const { connectionString, label } = resolveTarget();
+    client = await connectDatabase(connectionString);
+
+    await withMigrationLock(client, async () => {
+      spinner.text = 'Building rollback plan...';
+      await ensureMigrationsTable(client);
+
+      const migrations = loadMigrations();
+      const applied = await getAppliedMigrations(client);
+      const { rollback, irreversible } = planRollback(migrations, applied, version);
+
+      if (irreversible.length > 0) {
+        spinner.fail('Rollback plan rejected');
+        console.error(chalk.red.bold('\n❌ These migrations cannot be rolled back:\n'));
+        irreversible.forEach((migration) => {
+          console.error(chalk.red(`   • ${migration.filename}`));
+        });
+        console.error(chalk.yellow('\nUse `rebuild` or restore from a backup instead.'));
+        process.exitCode = 1;
+        return;
+      }
+
+      if (rollback.length === 0) {
+        spinner.succeed(`${label} is already at ${version}`);
+        return;
+      }
+
+      spinner.info(`${rollback.length} migration(s) to roll back on ${chalk.white(label)}:`);
+      rollback.forEach((migration) => {
+        console.log(`   • ${chalk.white(migration.filename)}`);
+      });
+
+      if (options.dryRun) {
+        return;
+      }
+
+      if (!(await confirmReset(`Roll back ${label} to ${version}?`, options))) {
+        console.log(chalk.yellow('Reset cancelled'));
+        return;
+      }
+
+      for (const migration of rollback) {
+        spinner.start(`Rolling back ${migration.filename}`);
+        const duration = await rollbackMigration(client, migration);
+        spinner.succeed(`${migration.filename} ${chalk.gray(`(${duration}ms)`)}`);
+      }
+
+      console.log(chalk.green.bold(`\n✅ Database rolled back to ${version}`));
+    });
+  } catch (error) {
+    spinner.fail(`Reset failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+/**
+ * Drop the api and internal schemas and re-apply every migration
+ */
+async function rebuildDatabase(options = {}) {
+  const spinner = ora('Checking reset target...').start();
+  let client;
+
+  try {
+    const { connectionString, label } = resolveTarget();
+    const requested = options.bundles ? options.bundles.split(',').map((name) => name.trim()) : [];
+    const bundles = resolveBundles(loadManifest(SCHEMAS_DIR), requested);
+    const migrations = loadMigrations();
+    const { pending } = planMigrations(migrations, new Map(), { bundles });
+
+    spinner.info(
+      `Rebuild drops the api and internal schemas on ${chalk.white(label)} and re-applies ${pending.length} migration(s) (${bundles.join(', ')})`
+    );
+
+    if (options.dryRun) {
+      pending.forEach((migration) => {
+        console.log(`   • ${chalk.white(migration.filename)}`);
+      });
+      return;
+    }
+
+    if (
+      !(await confirmReset(`Drop all data in the api and internal schemas on ${label}?`, options))
+    ) {
+      console.log(chalk.yellow('Reset cancelled'));
+      return;
+    }
+
+    spinner.start('Connecting to database...');
+    client = await connectDatabase(connectionString);
+
+    await withMigrationLock(client, async () => {
+      spinner.text = 'Dropping api and internal schemas...';
+      await client.query(
+        'DROP SCHEMA IF EXISTS api CASCADE; DROP SCHEMA IF EXISTS internal CASCADE;'
+      );
+      await ensureMigrationsTable(client);
+      spinner.succeed('Dropped api and internal schemas');
+
+      for (const migration of pending) {
+        spinner.start(`Applying ${migration.filename}`);
+        const duration = await applyMigration(client, migration);
+        spinner.succeed(`${migration.filename} ${chalk.gray(`(${duration}ms)`)}`);
+      }
+
+      console.log(chalk.green.bold('\n✅ Database rebuilt successfully'));
+    });
+  } catch (error) {
+    spinner.fail(`Rebuild failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('reset-database')
+  .description('Roll back or rebuild a non-production database')
+  .version('1.0.0');
+
+program
+  .command('to <version>')
+  .description('Roll back applied migrations after <version> using schemas/rollback/')
+  .option('--dry-run', 'Show the rollback plan without running it')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (version, options) => {
+    await resetToVersion(version, options);
+  });
+
+program
+  .command('rebuild')
+  .description('Drop the api and internal schemas and re-apply all migrations')
+  .option('--bundles <bundles>', 'Comma-separated bundles to apply (default: manifest defaults)')
+  .option('--dry-run', 'Show what would be re-applied without touching the database')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (options) => {
+    await rebuildDatabase(options);
+  });
+
+// Resetting is destructive, so require an explicit command
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
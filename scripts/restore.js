@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Tenant Restore Script
+ *
+ * Loads a bundle written by scripts/backup.js into the database behind
+ * DATABASE_URL, optionally under a new client_code with fresh ids. The
+ * restore runs in a single transaction and refuses to overwrite a client that
+ * already exists.
+ *
+ * Usage:
+ *   node scripts/restore.js backups/acme-20250101T120000Z
+ *   node scripts/restore.js backups/acme-20250101T120000Z --client-code acme-eu
+ *   node scripts/restore.js backups/acme-20250101T120000Z --dry-run
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { describeDatabaseUrl } from '../src/db/reset-guard.js';
+import { readBundle, restoreTenant } from '../src/tenants/bundle.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Restore a bundle directory
+ */
+async function restoreBundle(dir, options = {}) {
+  const spinner = ora('Reading bundle...').start();
+  let client;
+
+  try {
+    const bundle = readBundle(dir);
+    const { manifest } = bundle;
+    const targetCode = options.clientCode ?? manifest.client.clientCode;
+    const connectionString = getDatabaseUrl();
+    const { host } = describeDatabaseUrl(connectionString);
+
+    const details = `${manifest.createdAt}, schema ${manifest.schemaVersion ?? 'untracked'}`;
+    spinner.info(
+      `Bundle: ${chalk.white(manifest.client.clientCode)} from ${manifest.source.host} ${chalk.gray(`(${details})`)}`
+    );
+    manifest.tables.forEach((table) => {
+      console.log(`   • ${table.name.padEnd(32)} ${chalk.gray(`${table.rows} row(s)`)}`);
+    });
+
+    if (options.dryRun) {
+      console.log(chalk.yellow(`\nDry run: would restore as ${targetCode} on ${host}`));
+      return;
+    }
+
+    if (!options.yes) {
+      const { confirmed } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: `Restore ${manifest.client.clientCode} as ${targetCode} on ${host}?`,
+          default: false,
+        },
+      ]);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('Restore cancelled'));
+        return;
+      }
+    }
+
+    spinner.start('Connecting to database...');
+    client = await connectDatabase(connectionString);
+
+    spinner.text = `Restoring ${targetCode}...`;
+    const result = await restoreTenant(client, bundle, { clientCode: targetCode });
+    const total = result.tables.reduce((sum, table) => sum + table.rows, 0);
+
+    spinner.succeed(`Restored ${chalk.white(result.clientCode)} (${total} row(s))`);
+  } catch (error) {
+    spinner.fail(`Restore failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('restore')
+  .description('Load a tenant bundle written by db:backup')
+  .version('1.0.0')
+  .argument('<bundle-dir>', 'Bundle directory containing manifest.json')
+  .option('--client-code <code>', 'Restore under a different client_code')
+  .option('--dry-run', 'Validate the bundle and show what would be restored')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (dir, options) => {
+    await restoreBundle(dir, options);
+  });
+
+program.parse();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Revoke Invitation Script
+ *
+ * Revokes an invitation by id or invitation code. Open and used invitations
+ * can be revoked; the reason and who revoked it are kept on the invitation.
+ *
+ * Usage:
+ *   node scripts/revoke-invitation.js ACME-ONBOARDING-1A2B3C --reason "Offer withdrawn"
+ *   node scripts/revoke-invitation.js 3f0c...-uuid --reason "Sent to the wrong address" --yes
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { revokeInvitation } from '../src/invitations/admin.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * Confirm and revoke the invitation
+ */
+async function revokeCommand(invitation, options) {
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Revoke invitation ${invitation}? Its link stops working immediately.`,
+        default: false,
+      },
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('Revocation cancelled'));
+      return;
+    }
+  }
+
+  const spinner = ora(`Revoking ${invitation}...`).start();
+  let client;
+
+  try {
+    client = await connectDatabase(getDatabaseUrl());
+    const revoked = await revokeInvitation(client, invitation, {
+      by: options.by,
+      reason: options.reason,
+    });
+
+    spinner.succeed(`Invitation "${revoked.invitation_code}" revoked`);
+    console.log(`   Reason: ${revoked.revocation_reason}`);
+  } catch (error) {
+    spinner.fail(`Revoke failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('revoke-invitation')
+  .description('Revoke an invitation so its link can no longer be redeemed')
+  .argument('<invitation>', 'Invitation id or code')
+  .requiredOption('--reason <reason>', 'Why the invitation is revoked')
+  .option('--by <user>', 'Who is revoking the invitation', process.env.USER || 'cli')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (invitation, options) => {
+    await revokeCommand(invitation, options);
+  });
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
@@ -5,6 +5,12 @@
  *
  * Provisions a new client in the multi-tenant database system.
  * Creates client record, applications, storage buckets, and RLS policies.
+ *
+ * Usage:
+ *   node scripts/setup-client.js                                  # interactive wizard
+ *   node scripts/setup-client.js create --client-code acme --legal-name "Acme Corp"
+ *   node scripts/setup-client.js --from clients/acme.yaml         # declarative, for CI
+ *   node scripts/setup-client.js --from clients/acme.yaml --dry-run
  */
 
 import crypto from 'crypto';
@@ -14,6 +20,9 @@ import { Command } from 'commander';
 import { config } from 'dotenv';
 import inquirer from 'inquirer';
 import ora from 'ora';
+import { DEFAULT_APPS } from '../src/clients/apps.js';
+import { loadClientSpec, provisionClient } from '../src/clients/spec.js';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
 
 // Load environment variables
 config();
@@ -24,80 +33,28 @@ const program = new Command();
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-  console.error(
-    chalk.red('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables')
-  );
-  process.exit(1);
-}
-
-const supabase = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false,
-  },
-});
-
-// Client tier configurations
-const CLIENT_TIERS = {
-  free: {
-    maxUsers: 100,
-    maxStorageGB: 1,
-    features: ['basic-auth', 'invitations'],
-    price: 0,
-  },
-  pro: {
-    maxUsers: 1000,
-    maxStorageGB: 10,
-    features: ['basic-auth', 'invitations', 'analytics', 'sso'],
-    price: 25,
-  },
-  enterprise: {
-    maxUsers: 10000,
-    maxStorageGB: 100,
-    features: [
-      'basic-auth',
-      'invitations',
-      'analytics',
-      'sso',
-      'custom-domains',
-      'priority-support',
-    ],
-    price: 250,
-  },
-};
+// Only the prompt/flag-driven setup talks to Supabase; --from uses DATABASE_URL
+const supabase =
+  supabaseUrl && supabaseServiceKey
+    ? createClient(supabaseUrl, supabaseServiceKey, {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false,
+        },
+      })
+    : null;
 
-// Default application configurations
-const DEFAULT_APPS = {
-  offboarding: {
-    name: 'Employee Offboarding',
-    description: 'Streamlined employee offboarding process with digital workflows',
-    version: '1.0.0',
-    configuration: {
-      theme: 'corporate',
-      locale: 'en-US',
-      branding: {
-        primary_color: '#2563eb',
-        secondary_color: '#64748b',
-      },
-    },
-    features: ['document-capture', 'task-management', 'notifications'],
-  },
-  onboarding: {
-    name: 'Employee Onboarding',
-    description: 'Digital employee onboarding and orientation workflows',
-    version: '1.0.0',
-    configuration: {
-      theme: 'welcoming',
-      locale: 'en-US',
-      branding: {
-        primary_color: '#059669',
-        secondary_color: '#64748b',
-      },
-    },
-    features: ['document-collection', 'training-modules', 'progress-tracking'],
-  },
-};
+/**
+ * Exit unless the Supabase service credentials are configured
+ */
+function requireSupabase() {
+  if (!supabase) {
+    console.error(
+      chalk.red('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables')
+    );
+    process.exit(1);
+  }
+}
 
 /**
  * Validate client code format
@@ -265,12 +222,38 @@ async function createClientApplications(clientId, clientCode, apps) {
   return applicationRecords;
 }
 
+/**
+ * Active tiers from api.client_tiers, cheapest first
+ */
+async function loadTiers() {
+  // Use direct fetch as workaround for schema configuration issues
+  const response = await fetch(
+    `${supabaseUrl}/rest/v1/client_tiers?select=tier_code,name,max_users,max_storage_gb,price_monthly,currency&is_active=eq.true&order=price_monthly`,
+    {
+      headers: {
+        apikey: supabaseServiceKey,
+        Authorization: `Bearer ${supabaseServiceKey}`,
+        'Content-Type': 'application/json',
+      },
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to load tiers: HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
 /**
  * Interactive client setup
  */
 async function interactiveSetup() {
   console.log(chalk.blue.bold('🚀 Thepia Flows - Client Setup Wizard\n'));
 
+  requireSupabase();
+  const tiers = await loadTiers();
+
   const answers = await inquirer.prompt([
     {
       type: 'input',
@@ -303,9 +286,9 @@ async function interactiveSetup() {
       type: 'list',
       name: 'tier',
       message: 'Client tier:',
-      choices: Object.keys(CLIENT_TIERS).map((tier) => ({
-        name: `${tier} (${CLIENT_TIERS[tier].maxUsers} users, ${CLIENT_TIERS[tier].maxStorageGB}GB storage, $${CLIENT_TIERS[tier].price}/month)`,
-        value: tier,
+      choices: tiers.map((tier) => ({
+        name: `${tier.name} (${tier.max_users} users, ${tier.max_storage_gb}GB storage, ${tier.price_monthly} ${tier.currency}/month)`,
+        value: tier.tier_code,
       })),
       default: 'free',
     },
@@ -355,6 +338,7 @@ async function interactiveSetup() {
  * Main setup function
  */
 async function setupClient(options) {
+  requireSupabase();
   const spinner = ora('Setting up client...').start();
 
   try {
@@ -375,10 +359,8 @@ async function setupClient(options) {
       return;
     }
 
-    // Create client record
+    // Create client record; the database applies the tier's limits and features
     spinner.text = 'Creating client record...';
-    const tierConfig = CLIENT_TIERS[options.tier];
-
     const clientData = {
       client_code: options.clientCode,
       legal_name: options.legalName,
@@ -388,10 +370,7 @@ async function setupClient(options) {
       industry: options.industry || null,
       company_size: options.companySize,
       country_code: options.countryCode.toUpperCase(),
-      max_users: tierConfig.maxUsers,
-      max_storage_gb: tierConfig.maxStorageGB,
       settings: {},
-      features: tierConfig.features,
     };
 
     // Use direct fetch as workaround for schema configuration issues
@@ -444,7 +423,7 @@ async function setupClient(options) {
     console.log(`   Legal Name:  ${chalk.white(client.legal_name)}`);
     console.log(`   Domain:      ${chalk.white(client.domain)}`);
     console.log(
-      `   Tier:        ${chalk.white(client.tier)} (${tierConfig.maxUsers} users, ${tierConfig.maxStorageGB}GB)`
+      `   Tier:        ${chalk.white(client.tier)} (${client.max_users} users, ${client.max_storage_gb}GB)`
     );
     console.log(`   Region:      ${chalk.white(client.region)}`);
     console.log(`   Setup Email: ${chalk.white(client.setup_email)}`);
@@ -472,6 +451,48 @@ async function setupClient(options) {
   }
 }
 
+const ACTION_LABELS = {
+  created: chalk.green('+ created  '),
+  updated: chalk.yellow('~ updated  '),
+  unchanged: chalk.gray('= unchanged'),
+};
+
+/**
+ * Converge a client to a spec file without prompts, e.g. from CI
+ */
+async function provisionFromSpec(path, options) {
+  const spinner = ora(`Loading ${path}...`).start();
+  let client;
+
+  try {
+    const spec = loadClientSpec(path);
+
+    spinner.text = `Provisioning ${spec.client.code}...`;
+    client = await connectDatabase(getDatabaseUrl());
+    const { changes } = await provisionClient(client, spec, {
+      dryRun: options.dryRun,
+      force: options.force,
+    });
+
+    const changed = changes.filter((change) => change.action !== 'unchanged').length;
+    const summary = changed === 0 ? 'already up to date' : `${changed} change(s)`;
+    spinner.succeed(
+      options.dryRun
+        ? `Dry run for "${spec.client.code}": ${summary}, nothing written`
+        : `Client "${spec.client.code}" provisioned: ${summary}`
+    );
+
+    changes.forEach((change) => {
+      console.log(`   ${ACTION_LABELS[change.action]}  ${change.type.padEnd(12)} ${change.name}`);
+    });
+  } catch (error) {
+    spinner.fail(`Provisioning failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
 // CLI configuration
 program
   .name('setup-client')
@@ -487,13 +508,16 @@ program
   });
 
 program
-  .command('create')
-  .description('Create client from command line arguments')
-  .requiredOption('--client-code <code>', 'Client code (lowercase, alphanumeric, hyphens)')
-  .requiredOption('--legal-name <name>', 'Legal company name')
+  .command('create', { isDefault: true })
+  .description('Create client from command line arguments or a spec file')
+  .option('--from <file>', 'Provision from a YAML/JSON client spec (idempotent, no prompts)')
+  .option('--dry-run', 'With --from: report what would change without writing')
+  .option('--force', 'With --from: allow a tier downgrade below current usage')
+  .option('--client-code <code>', 'Client code (lowercase, alphanumeric, hyphens)')
+  .option('--legal-name <name>', 'Legal company name')
   .option('--domain <domain>', 'Domain (defaults to client-code.thepia.net)')
   .option('--region <region>', 'Data region (EU, US, APAC)', 'EU')
-  .option('--tier <tier>', 'Client tier (free, pro, enterprise)', 'free')
+  .option('--tier <tier>', 'Client tier (see `pnpm client:tiers list`)', 'free')
   .option('--industry <industry>', 'Industry')
   .option(
     '--company-size <size>',
@@ -504,6 +528,16 @@ program
   .option('--apps <apps>', 'Comma-separated list of apps to create', 'offboarding')
   .option('--no-buckets', 'Skip creating storage buckets')
   .action(async (options) => {
+    if (options.from) {
+      await provisionFromSpec(options.from, options);
+      return;
+    }
+
+    if (!options.clientCode || !options.legalName) {
+      console.error(chalk.red('❌ --client-code and --legal-name are required without --from'));
+      process.exit(1);
+    }
+
     // Validate and transform options
     const clientCode = options.clientCode.toLowerCase();
     const domain = options.domain || `${clientCode}.thepia.net`;
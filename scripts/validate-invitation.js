@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Invitation Script
+ *
+ * Decrypts an invitation token, verifies it against the registered signing
+ * keys and checks the invitation it belongs to, without redeeming it. Takes
+ * the token or a full invitation link. Exits 1 when the invitation could not
+ * be redeemed.
+ *
+ * Usage:
+ *   node scripts/validate-invitation.js eyJhbGciOi...
+ *   node scripts/validate-invitation.js "https://acme.thepia.net/invitation/ACME-ONBOARDING-1A2B3C?token=eyJ..."
+ *   node scripts/validate-invitation.js eyJhbGciOi... --show-claims
+ */
+
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from 'dotenv';
+import ora from 'ora';
+import { connectDatabase, getDatabaseUrl } from '../src/db/connection.js';
+import { checkInvitationToken } from '../src/invitations/admin.js';
+import { loadRegisteredInvitationKeys } from '../src/invitations/index.js';
+
+// Load environment variables
+config();
+
+const program = new Command();
+
+/**
+ * The token in an invitation link, or the argument itself
+ */
+function extractToken(value) {
+  if (/^https?:\/\//.test(value)) {
+    const token = new URL(value).searchParams.get('token');
+    if (!token) {
+      throw new Error('The link has no token parameter');
+    }
+    return token;
+  }
+
+  return value.trim();
+}
+
+/**
+ * Format a timestamp, or a placeholder when unset
+ */
+function formatDate(value, placeholder = 'never') {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : placeholder;
+}
+
+/**
+ * Check the token and print what was found
+ */
+async function validateCommand(tokenOrLink, options) {
+  const spinner = ora('Checking invitation...').start();
+  let client;
+
+  try {
+    const token = extractToken(tokenOrLink);
+    client = await connectDatabase(getDatabaseUrl());
+    const keyring = await loadRegisteredInvitationKeys(client);
+    const result = await checkInvitationToken(client, keyring, token);
+    spinner.stop();
+
+    if (!result.valid) {
+      process.exitCode = 1;
+    }
+
+    if (options.json) {
+      console.log(
+        JSON.stringify(
+          { ...result, claims: options.showClaims ? result.claims : undefined },
+          null,
+          2
+        )
+      );
+      return;
+    }
+
+    if (result.valid) {
+      console.log(chalk.green('✅ Invitation can be redeemed'));
+    } else {
+      console.log(chalk.red('❌ Invitation cannot be redeemed'));
+      result.problems.forEach((problem) => {
+        console.log(chalk.red(`   • ${problem.message} (${problem.code})`));
+      });
+    }
+
+    const { invitation, claims } = result;
+    if (invitation) {
+      console.log(`\n🎫 ${chalk.white(invitation.invitation_code)}`);
+      console.log(`   Client/App:  ${invitation.client_code}/${invitation.app_code}`);
+      console.log(`   Status:      ${invitation.status}`);
+      console.log(`   Uses:        ${invitation.used_count}/${invitation.max_uses}`);
+      console.log(`   Expires:     ${formatDate(invitation.expires_at)}`);
+      console.log(
+        `   Created:     ${formatDate(invitation.created_at)} by ${invitation.created_by}`
+      );
+      if (invitation.revoked_at) {
+        console.log(
+          `   Revoked:     ${formatDate(invitation.revoked_at)} (${invitation.revocation_reason ?? 'no reason'})`
+        );
+      }
+
+      const requirements = [
+        invitation.require_mfa && 'multi-factor authentication',
+        invitation.ip_restrictions?.length > 0 &&
+          `network ${invitation.ip_restrictions.join(', ')}`,
+        invitation.device_fingerprint_hash && 'a bound device',
+        invitation.restrictions?.business_hours_only && 'business hours',
+      ].filter(Boolean);
+      if (requirements.length > 0) {
+        console.log(`   Redemption:  requires ${requirements.join(', ')}`);
+      }
+    }
+
+    if (claims) {
+      console.log(
+        `\n🔐 Token issued ${formatDate(claims.iat * 1000)}, expires ${formatDate(claims.exp * 1000)}`
+      );
+      console.log(`   Type: ${claims.invitation?.type ?? 'unknown'}`);
+      if (options.showClaims) {
+        console.log(JSON.stringify(claims, null, 2));
+      }
+    }
+  } catch (error) {
+    spinner.fail(`Validation failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+// CLI configuration
+program
+  .name('validate-invitation')
+  .description('Decrypt an invitation token and check it against the database')
+  .argument('<token>', 'Invitation token or link')
+  .option('--show-claims', 'Print the decrypted claims, including the invitee details')
+  .option('--json', 'Print the result as JSON')
+  .action(async (token, options) => {
+    await validateCommand(token, options);
+  });
+
+if (process.argv.length === 2) {
+  program.help();
+} else {
+  program.parse();
+}
@@ -0,0 +1,551 @@
+/**
+ * Client Administration
+ *
+ * Queries and lifecycle changes behind the clients CLI: listing, usage
+ * status, tier changes, deactivation and the tier catalogue. Every function
+ * takes a connected pg client; changes that touch more than one table run in
+ * a single transaction.
+ */
+
+import Joi from 'joi';
+import { getTier, getTierOverages } from './tiers.js';
+
+export const CLIENT_REGIONS = ['EU', 'US', 'APAC'];
+export const CLIENT_STATUSES = ['active', 'suspended', 'deactivated'];
+export const COMPANY_SIZES = ['startup', 'small', 'medium', 'large', 'enterprise'];
+
+// Invitations that can still be redeemed or sent, revoked on deactivation
+export const OPEN_INVITATION_STATUSES = ['pending', 'requested', 'approved', 'sent'];
+
+// Application statuses taken offline on deactivation
+const LIVE_APP_STATUSES = ['active', 'maintenance'];
+
+// Currencies accepted for tier pricing, as for TFC purchases
+export const TIER_CURRENCIES = ['EUR', 'CHF', 'USD'];
+
+const tier = Joi.string()
+  .lowercase()
+  .max(20)
+  .pattern(/^[a-z0-9-]+$/, 'tier code');
+
+const filtersSchema = Joi.object({
+  tier,
+  region: Joi.string()
+    .uppercase()
+    .valid(...CLIENT_REGIONS),
+  status: Joi.string().valid(...CLIENT_STATUSES),
+});
+
+const changesSchema = Joi.object({
+  tier,
+  legalName: Joi.string().trim().min(1).max(255),
+  billingContact: Joi.string()
+    .email({ tlds: { allow: false } })
+    .allow(null),
+  technicalContact: Joi.string()
+    .email({ tlds: { allow: false } })
+    .allow(null),
+  industry: Joi.string().max(100).allow(null),
+  companySize: Joi.string().valid(...COMPANY_SIZES),
+  countryCode: Joi.string()
+    .uppercase()
+    .pattern(/^[A-Z]{2}$/),
+})
+  .min(1)
+  .messages({ 'object.min': 'Nothing to update' });
+
+// changesSchema keys and the api.clients columns they set
+const CHANGE_COLUMNS = {
+  legalName: 'legal_name',
+  billingContact: 'billing_contact',
+  technicalContact: 'technical_contact',
+  industry: 'industry',
+  companySize: 'company_size',
+  countryCode: 'country_code',
+};
+
+const tierFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow(null, ''),
+  maxUsers: Joi.number().integer().min(1),
+  maxStorageGB: Joi.number().integer().min(1),
+  features: Joi.array()
+    .items(Joi.string().pattern(/^[a-z0-9-]+$/, 'feature flag'))
+    .unique(),
+  priceMonthly: Joi.number().min(0).precision(2),
+  currency: Joi.string()
+    .uppercase()
+    .valid(...TIER_CURRENCIES),
+  tfcMonthlyAllowance: Joi.number().integer().min(0),
+  tfcDiscountPercentage: Joi.number().min(0).max(100).precision(2),
+};
+
+const tierChangesSchema = Joi.object({ ...tierFields, active: Joi.boolean() })
+  .min(1)
+  .messages({ 'object.min': 'Nothing to update' });
+
+// tierFields keys and the api.client_tiers columns they set
+const TIER_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  maxUsers: 'max_users',
+  maxStorageGB: 'max_storage_gb',
+  features: 'features',
+  priceMonthly: 'price_monthly',
+  currency: 'currency',
+  tfcMonthlyAllowance: 'tfc_monthly_allowance',
+  tfcDiscountPercentage: 'tfc_discount_percentage',
+  active: 'is_active',
+};
+
+/**
+ * Validate `value` against `schema`, throwing with every problem listed
+ */
+function validate(schema, value) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+
+  if (error) {
+    throw new Error(error.details.map((detail) => detail.message).join('; '));
+  }
+
+  return validated;
+}
+
+/**
+ * Load a client row by code, optionally locking it for the current transaction
+ */
+async function findClient(client, clientCode, { lock = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM api.clients WHERE client_code = $1${lock ? ' FOR UPDATE' : ''}`,
+    [clientCode]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Client "${clientCode}" not found`);
+  }
+
+  return rows[0];
+}
+
+/**
+ * Run `fn` in a transaction, rolling back if it throws
+ */
+async function transaction(client, fn) {
+  await client.query('BEGIN');
+
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * List clients, optionally filtered by tier, region and status
+ */
+export async function listClients(client, filters = {}) {
+  const { tier, region, status } = validate(filtersSchema, filters);
+
+  if (tier) {
+    await getTier(client, tier);
+  }
+
+  const { rows } = await client.query(
+    `SELECT c.client_code, c.legal_name, c.domain, c.region, c.tier, c.status,
+            c.current_users, c.max_users, c.last_active, c.created_at,
+            (SELECT COUNT(*)::int FROM api.client_applications a WHERE a.client_id = c.id) AS apps
+     FROM api.clients c
+     WHERE ($1::text IS NULL OR c.tier = $1)
+       AND ($2::text IS NULL OR c.region = $2)
+       AND ($3::text IS NULL OR c.status = $3)
+     ORDER BY c.client_code`,
+    [tier ?? null, region ?? null, status ?? null]
+  );
+
+  return rows;
+}
+
+/**
+ * Usage and health of one client: applications, users against max_users,
+ * storage against max_storage_gb, TFC balance and last activity
+ *
+ * `tfc` is null when the tfc bundle is not applied or the client has never
+ * bought credits.
+ */
+export async function getClientStatus(client, clientCode) {
+  const record = await findClient(client, clientCode);
+
+  const { rows: apps } = await client.query(
+    `SELECT app_code, app_name, app_version, status
+     FROM api.client_applications
+     WHERE client_id = $1
+     ORDER BY app_code`,
+    [record.id]
+  );
+
+  const { rows: invitations } = await client.query(
+    `SELECT status, COUNT(*)::int AS count
+     FROM api.invitations
+     WHERE client_id = $1
+     GROUP BY status
+     ORDER BY status`,
+    [record.id]
+  );
+
+  let tfc = null;
+  const {
+    rows: [ledger],
+  } = await client.query("SELECT to_regclass('api.tfc_client_balances') IS NOT NULL AS present");
+
+  if (ledger.present) {
+    const { rows } = await client.query(
+      `SELECT current_balance, reserved_credits, available_credits, most_recent_activity
+       FROM api.tfc_client_balances
+       WHERE client_id = $1`,
+      [record.id]
+    );
+
+    if (rows.length > 0) {
+      tfc = {
+        currentBalance: rows[0].current_balance,
+        reservedCredits: rows[0].reserved_credits,
+        availableCredits: rows[0].available_credits,
+        lastActivity: rows[0].most_recent_activity,
+      };
+    }
+  }
+
+  return {
+    clientCode: record.client_code,
+    legalName: record.legal_name,
+    domain: record.domain,
+    region: record.region,
+    tier: record.tier,
+    tierVersion: record.tier_version,
+    status: record.status,
+    features: record.features,
+    apps: apps.map((app) => ({
+      appCode: app.app_code,
+      appName: app.app_name,
+      version: app.app_version,
+      status: app.status,
+    })),
+    users: { current: record.current_users, max: record.max_users },
+    storage: { currentMb: record.current_storage_mb, maxMb: record.max_storage_gb * 1024 },
+    invitations: Object.fromEntries(invitations.map((row) => [row.status, row.count])),
+    tfc,
+    lastActive: record.last_active,
+    activatedAt: record.activated_at,
+    deactivation: record.settings?.deactivation ?? null,
+  };
+}
+
+/**
+ * Update a client's tier and business details
+ *
+ * On a tier change the database copies the new tier's max_users,
+ * max_storage_gb and features onto the client. Moving to a retired tier is
+ * refused, and so is downgrading below current usage unless `force` is set.
+ * Returns the updated row.
+ */
+export async function updateClient(client, clientCode, changes, { force = false } = {}) {
+  const validated = validate(changesSchema, changes);
+
+  return transaction(client, async () => {
+    const record = await findClient(client, clientCode, { lock: true });
+    const columns = {};
+
+    for (const [key, column] of Object.entries(CHANGE_COLUMNS)) {
+      if (validated[key] !== undefined) {
+        columns[column] = validated[key];
+      }
+    }
+
+    if (validated.tier && validated.tier !== record.tier) {
+      const target = await getTier(client, validated.tier);
+      const overLimit = getTierOverages(record, target);
+
+      if (!target.is_active) {
+        throw new Error(`Tier "${validated.tier}" is retired`);
+      }
+      if (overLimit.length > 0 && !force) {
+        throw new Error(
+          `Client "${clientCode}" has ${overLimit.join(' and ')}, over the ${validated.tier} tier; use force to downgrade anyway`
+        );
+      }
+
+      columns.tier = validated.tier;
+    }
+
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+      return record;
+    }
+
+    const assignments = names.map((name, index) => `${name} = $${index + 2}`).join(', ');
+    const { rows } = await client.query(
+      `UPDATE api.clients SET ${assignments} WHERE id = $1 RETURNING *`,
+      [record.id, ...names.map((name) => columns[name])]
+    );
+
+    return rows[0];
+  });
+}
+
+/**
+ * Deactivate a client
+ *
+ * Sets status to 'deactivated', revokes every open invitation and takes live
+ * applications offline ('inactive'). The previous application statuses are
+ * kept in settings.deactivation so reactivateClient can restore them.
+ */
+export async function deactivateClient(client, clientCode, { by, reason = null } = {}) {
+  if (!by) {
+    throw new Error('Deactivation requires the acting user (by)');
+  }
+
+  return transaction(client, async () => {
+    const record = await findClient(client, clientCode, { lock: true });
+
+    if (record.status === 'deactivated') {
+      throw new Error(`Client "${clientCode}" is already deactivated`);
+    }
+
+    const { rowCount: revokedInvitations } = await client.query(
+      `UPDATE api.invitations
+       SET status = 'revoked', revoked_by = $2, revocation_reason = $3
+       WHERE client_id = $1 AND status = ANY($4)`,
+      [record.id, by, reason ?? 'Client deactivated', OPEN_INVITATION_STATUSES]
+    );
+
+    const { rows: apps } = await client.query(
+      `SELECT id, status FROM api.client_applications
+       WHERE client_id = $1 AND status = ANY($2)
+       FOR UPDATE`,
+      [record.id, LIVE_APP_STATUSES]
+    );
+    await client.query(
+      `UPDATE api.client_applications SET status = 'inactive' WHERE id = ANY($1::uuid[])`,
+      [apps.map((app) => app.id)]
+    );
+
+    const deactivation = {
+      at: new Date().toISOString(),
+      by,
+      reason,
+      previousStatus: record.status,
+      suspendedApps: Object.fromEntries(apps.map((app) => [app.id, app.status])),
+    };
+    await client.query(
+      `UPDATE api.clients
+       SET status = 'deactivated',
+           settings = jsonb_set(COALESCE(settings, '{}'), '{deactivation}', $2::jsonb)
+       WHERE id = $1`,
+      [record.id, JSON.stringify(deactivation)]
+    );
+
+    return { clientCode, revokedInvitations, suspendedApps: apps.length };
+  });
+}
+
+/**
+ * Reactivate a deactivated client
+ *
+ * Restores the client to its status before deactivation and brings back the
+ * applications deactivateClient took offline. Revoked invitations stay
+ * revoked; send new ones.
+ */
+export async function reactivateClient(client, clientCode) {
+  return transaction(client, async () => {
+    const record = await findClient(client, clientCode, { lock: true });
+
+    if (record.status !== 'deactivated') {
+      throw new Error(`Client "${clientCode}" is not deactivated (status: ${record.status})`);
+    }
+
+    const deactivation = record.settings?.deactivation ?? {};
+    let restoredApps = 0;
+
+    for (const [id, status] of Object.entries(deactivation.suspendedApps ?? {})) {
+      // Leave applications someone has changed since (e.g. deprecated) alone
+      const { rowCount } = await client.query(
+        `UPDATE api.client_applications SET status = $3
+         WHERE id = $1 AND client_id = $2 AND status = 'inactive'`,
+        [id, record.id, status]
+      );
+      restoredApps += rowCount;
+    }
+
+    await client.query(
+      `UPDATE api.clients
+       SET status = $2, settings = COALESCE(settings, '{}') - 'deactivation'
+       WHERE id = $1`,
+      [record.id, deactivation.previousStatus ?? 'active']
+    );
+
+    return { clientCode, restoredApps };
+  });
+}
+
+/**
+ * Create a custom tier
+ *
+ * Fields not given are copied from the `basedOn` tier, if any; name, limits
+ * and price are otherwise required. `by` is recorded as the author of
+ * version 1. Returns the new api.client_tiers row.
+ */
+export async function createTier(
+  client,
+  tierCode,
+  definition,
+  { basedOn = null, by, reason = null } = {}
+) {
+  if (!by) {
+    throw new Error('Creating a tier requires the acting user (by)');
+  }
+
+  const code = validate(tier.required().label('tier code'), tierCode);
+  const validated = validate(Joi.object(tierFields), definition);
+
+  return transaction(client, async () => {
+    const { rows: existing } = await client.query(
+      'SELECT 1 FROM api.client_tiers WHERE tier_code = $1',
+      [code]
+    );
+    if (existing.length > 0) {
+      throw new Error(`Tier "${code}" already exists`);
+    }
+
+    const base = basedOn ? await getTier(client, basedOn) : {};
+    const row = {};
+    for (const [key, column] of Object.entries(TIER_COLUMNS)) {
+      if (column !== 'is_active') {
+        row[column] = validated[key] !== undefined ? validated[key] : base[column];
+      }
+    }
+
+    const missing = ['name', 'max_users', 'max_storage_gb', 'price_monthly'].filter(
+      (column) => row[column] === undefined
+    );
+    if (missing.length > 0) {
+      throw new Error(`New tier "${code}" needs ${missing.join(', ')} (or basedOn)`);
+    }
+
+    for (const column of Object.keys(row)) {
+      if (row[column] === undefined) {
+        delete row[column];
+      }
+    }
+    if (row.features) {
+      row.features = JSON.stringify(row.features);
+    }
+
+    Object.assign(row, {
+      tier_code: code,
+      is_custom: true,
+      updated_by: by,
+      change_reason: reason ?? (basedOn ? `Custom tier based on ${basedOn}` : 'Custom tier'),
+    });
+    const names = Object.keys(row);
+    const { rows } = await client.query(
+      `INSERT INTO api.client_tiers (${names.join(', ')})
+       VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      names.map((name) => row[name])
+    );
+
+    return rows[0];
+  });
+}
+
+/**
+ * Change a tier's limits, features, pricing or TFC allowances, or retire it
+ *
+ * The database bumps the tier's version, re-applies it to every client on
+ * the tier and records the change in api.client_tier_versions with `by` and
+ * `reason`. Lowering a limit below a client's current usage is refused unless
+ * `force` is set. Returns the tier and the version row (null when nothing
+ * changed).
+ */
+export async function updateTier(
+  client,
+  tierCode,
+  changes,
+  { by, reason = null, force = false } = {}
+) {
+  if (!by) {
+    throw new Error('Changing a tier requires the acting user (by)');
+  }
+
+  const validated = validate(tierChangesSchema, changes);
+
+  return transaction(client, async () => {
+    const current = await getTier(client, tierCode, { lock: true });
+    const columns = {};
+
+    for (const [key, column] of Object.entries(TIER_COLUMNS)) {
+      if (validated[key] !== undefined) {
+        columns[column] = column === 'features' ? JSON.stringify(validated[key]) : validated[key];
+      }
+    }
+
+    const { rows: members } = await client.query(
+      'SELECT client_code, current_users, current_storage_mb FROM api.clients WHERE tier = $1',
+      [tierCode]
+    );
+    const limits = { ...current, ...columns };
+    const overLimit = members
+      .map((member) => [member.client_code, getTierOverages(member, limits)])
+      .filter(([, overages]) => overages.length > 0);
+
+    if (overLimit.length > 0 && !force) {
+      const described = overLimit
+        .map(([code, overages]) => `${code} (${overages.join(' and ')})`)
+        .join(', ');
+      throw new Error(
+        `Clients on tier "${tierCode}" would exceed the new limits: ${described}; use force to apply anyway`
+      );
+    }
+
+    const names = Object.keys(columns);
+    const assignments = names.map((name, index) => `${name} = $${index + 2}`).join(', ');
+    const { rows } = await client.query(
+      `UPDATE api.client_tiers
+       SET ${assignments}, updated_by = $${names.length + 2}, change_reason = $${names.length + 3}
+       WHERE tier_code = $1
+       RETURNING *`,
+      [tierCode, ...names.map((name) => columns[name]), by, reason]
+    );
+    const [updated] = rows;
+
+    if (updated.version === current.version) {
+      return { tier: updated, version: null };
+    }
+
+    const { rows: versions } = await client.query(
+      'SELECT * FROM api.client_tier_versions WHERE tier_code = $1 AND version = $2',
+      [tierCode, updated.version]
+    );
+
+    return { tier: updated, version: versions[0] };
+  });
+}
+
+/**
+ * Every version of a tier, newest first
+ */
+export async function getTierHistory(client, tierCode) {
+  await getTier(client, tierCode);
+
+  const { rows } = await client.query(
+    `SELECT * FROM api.client_tier_versions
+     WHERE tier_code = $1
+     ORDER BY version DESC`,
+    [tierCode]
+  );
+
+  return rows;
+}
@@ -0,0 +1,38 @@
+/**
+ * Default Client Applications
+ *
+ * Name, version, configuration and features for the applications a new
+ * client can be provisioned with. Client specs only need to name an app
+ * listed here; anything they declare overrides these defaults.
+ */
+
+export const DEFAULT_APPS = {
+  offboarding: {
+    name: 'Employee Offboarding',
+    description: 'Streamlined employee offboarding process with digital workflows',
+    version: '1.0.0',
+    configuration: {
+      theme: 'corporate',
+      locale: 'en-US',
+      branding: {
+        primary_color: '#2563eb',
+        secondary_color: '#64748b',
+      },
+    },
+    features: ['document-capture', 'task-management', 'notifications'],
+  },
+  onboarding: {
+    name: 'Employee Onboarding',
+    description: 'Digital employee onboarding and orientation workflows',
+    version: '1.0.0',
+    configuration: {
+      theme: 'welcoming',
+      locale: 'en-US',
+      branding: {
+        primary_color: '#059669',
+        secondary_color: '#64748b',
+      },
+    },
+    features: ['document-collection', 'training-modules', 'progress-tracking'],
+  },
+};
@@ -0,0 +1,482 @@
+/**
+ * Client Specs
+ *
+ * A client spec is a YAML (or JSON) file declaring everything needed to
+ * provision a customer: the client record, its applications with
+ * configuration and branding, account contacts, admin access and an initial
+ * TFC grant. provisionClient() converges the database to the spec in one
+ * transaction, so applying the same spec twice changes nothing the second
+ * time.
+ *
+ * Entities the spec declares are fully described by it: an optional field
+ * left out is reset to its default. Entities it does not mention (other
+ * apps, contacts or admin access rows) are left alone.
+ */
+
+import { readFileSync } from 'node:fs';
+import Joi from 'joi';
+import { parse } from 'yaml';
+import { DEFAULT_APPS } from './apps.js';
+import { getTier, getTierOverages } from './tiers.js';
+
+// Description of the one-off bonus transaction an initial TFC grant creates
+export const INITIAL_GRANT_DESCRIPTION = 'Initial TFC grant (client spec)';
+
+// admin_access can_* columns, by the name used in specs
+export const ADMIN_PERMISSIONS = [
+  'purchase_credits',
+  'view_billing',
+  'view_usage_analytics',
+  'manage_account_settings',
+  'manage_users',
+  'initiate_workflows',
+  'cancel_workflows',
+  'download_reports',
+  'manage_integrations',
+  'set_auto_replenish',
+  'modify_credit_thresholds',
+  'request_refunds',
+  'view_credit_transactions',
+];
+
+// Permissions granted by each access level when a spec does not list them
+export const ACCESS_LEVEL_PERMISSIONS = {
+  owner: ADMIN_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS.filter(
+    (permission) =>
+      !['purchase_credits', 'set_auto_replenish', 'request_refunds'].includes(permission)
+  ),
+  manager: [
+    'view_usage_analytics',
+    'manage_users',
+    'initiate_workflows',
+    'cancel_workflows',
+    'download_reports',
+  ],
+  viewer: ['view_usage_analytics', 'download_reports'],
+  billing_only: [
+    'purchase_credits',
+    'view_billing',
+    'view_credit_transactions',
+    'download_reports',
+  ],
+};
+
+const slug = Joi.string().pattern(
+  /^[a-z0-9]+(-[a-z0-9]+)*$/,
+  'lowercase letters, digits and single hyphens'
+);
+const email = Joi.string().email({ tlds: { allow: false } });
+const color = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/, 'hex color');
+const isDefaultApp = Joi.valid(...Object.keys(DEFAULT_APPS));
+
+const appSchema = Joi.object({
+  code: slug.max(50).required(),
+  name: Joi.string().max(255).when('code', { is: isDefaultApp, otherwise: Joi.required() }),
+  description: Joi.string(),
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+(-[a-zA-Z0-9-]+)?$/, 'semantic version'),
+  configuration: Joi.object({
+    theme: Joi.string().required(),
+    locale: Joi.string().required(),
+  })
+    .unknown()
+    .when('code', { is: isDefaultApp, otherwise: Joi.required() }),
+  branding: Joi.object({
+    primaryColor: color,
+    secondaryColor: color,
+    logoUrl: Joi.string().uri(),
+  }),
+  features: Joi.array().items(Joi.string()).max(20),
+  allowedDomains: Joi.array().items(Joi.string()),
+  corsOrigins: Joi.array().items(Joi.string().uri()),
+});
+
+const contactSchema = Joi.object({
+  email: email.required(),
+  firstName: Joi.string().max(100).required(),
+  lastName: Joi.string().max(100).required(),
+  type: Joi.string().valid('primary', 'billing', 'technical', 'admin', 'emergency').required(),
+  primary: Joi.boolean().default(false),
+  phone: Joi.string().max(50).allow(null).default(null),
+  jobTitle: Joi.string().max(150).allow(null).default(null),
+  department: Joi.string().max(100).allow(null).default(null),
+  preferredLanguage: Joi.string().valid('en', 'de', 'fr', 'it').default('en'),
+  preferredCurrency: Joi.string().valid('EUR', 'CHF').default('EUR'),
+  lowBalanceAlerts: Joi.boolean().default(true),
+  usageReports: Joi.boolean().default(false),
+});
+
+const adminAccessSchema = Joi.object({
+  contact: email.required(),
+  level: Joi.string()
+    .valid(...Object.keys(ACCESS_LEVEL_PERMISSIONS))
+    .required(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...ADMIN_PERMISSIONS))
+    .unique(),
+  require2fa: Joi.boolean().default(false),
+  sessionTimeoutMinutes: Joi.number().integer().min(5).default(480),
+  expiresAt: Joi.date().iso().allow(null).default(null),
+});
+
+export const clientSpecSchema = Joi.object({
+  client: Joi.object({
+    code: slug.min(2).max(50).required(),
+    legalName: Joi.string().trim().min(1).max(255).required(),
+    domain: Joi.string()
+      .lowercase()
+      .pattern(/^[a-z0-9.-]+\.(thepia\.net|thepia\.com)$/, 'thepia.net or thepia.com subdomain')
+      .default((parent) => `${parent.code}.thepia.net`),
+    region: Joi.string().uppercase().valid('EU', 'US', 'APAC').default('EU'),
+    tier: Joi.string()
+      .max(20)
+      .pattern(/^[a-z0-9-]+$/, 'tier code')
+      .default('free'),
+    industry: Joi.string().max(100).allow(null).default(null),
+    companySize: Joi.string()
+      .valid('startup', 'small', 'medium', 'large', 'enterprise')
+      .default('small'),
+    countryCode: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{2}$/, 'ISO 3166-1 alpha-2 code')
+      .allow(null)
+      .default(null),
+    billingContact: email.allow(null).default(null),
+    technicalContact: email.allow(null).default(null),
+    settings: Joi.object().unknown().default({}),
+  }).required(),
+  apps: Joi.array().items(appSchema).unique('code').default([]),
+  contacts: Joi.array()
+    .items(contactSchema)
+    .unique((a, b) => a.email.toLowerCase() === b.email.toLowerCase())
+    .default([]),
+  adminAccess: Joi.array()
+    .items(adminAccessSchema)
+    .unique((a, b) => a.contact.toLowerCase() === b.contact.toLowerCase())
+    .default([]),
+  tfc: Joi.object({
+    initialGrant: Joi.number().integer().min(1).required(),
+    currency: Joi.string().valid('EUR', 'CHF').default('EUR'),
+  }),
+}).custom((spec, helpers) => {
+  const emails = spec.contacts.map((contact) => contact.email.toLowerCase());
+  const unknown = spec.adminAccess.filter(
+    (access) => !emails.includes(access.contact.toLowerCase())
+  );
+
+  if (unknown.length > 0) {
+    return helpers.message({
+      custom: `adminAccess refers to contacts not declared in contacts: ${unknown.map((access) => access.contact).join(', ')}`,
+    });
+  }
+  if (spec.contacts.filter((contact) => contact.primary).length > 1) {
+    return helpers.message({ custom: 'Only one contact can be primary' });
+  }
+
+  return spec;
+});
+
+/**
+ * Validate a parsed spec, applying defaults; throws listing every problem
+ */
+export function validateClientSpec(spec) {
+  const { error, value } = clientSpecSchema.validate(spec, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid client spec: ${error.details.map((d) => d.message).join('; ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Read and validate a client spec file (YAML or JSON)
+ */
+export function loadClientSpec(path) {
+  let parsed;
+
+  try {
+    parsed = parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read client spec ${path}: ${error.message}`);
+  }
+
+  return validateClientSpec(parsed);
+}
+
+/**
+ * Full application row for a spec entry, filling gaps from DEFAULT_APPS
+ */
+export function resolveApp(app, domain) {
+  const defaults = DEFAULT_APPS[app.code] ?? {};
+  const configuration = { ...defaults.configuration, ...app.configuration };
+
+  if (app.branding) {
+    const { primaryColor, secondaryColor, logoUrl } = app.branding;
+    configuration.branding = {
+      ...configuration.branding,
+      ...(primaryColor && { primary_color: primaryColor }),
+      ...(secondaryColor && { secondary_color: secondaryColor }),
+      ...(logoUrl && { logo_url: logoUrl }),
+    };
+  }
+
+  return {
+    app_code: app.code,
+    app_name: app.name ?? defaults.name,
+    app_version: app.version ?? defaults.version ?? '1.0.0',
+    app_description: app.description ?? defaults.description ?? null,
+    configuration,
+    features: app.features ?? defaults.features ?? [],
+    allowed_domains: app.allowedDomains ?? [domain],
+    cors_origins: app.corsOrigins ?? [`https://${domain}`, `https://app.${domain}`],
+  };
+}
+
+/**
+ * Insert `row` into api.<table>, or update the row matching `conflict` when
+ * any column differs. jsonb arrays must be passed as JSON strings; pg would
+ * send JS arrays as Postgres arrays.
+ *
+ * Returns 'created', 'updated' or 'unchanged'.
+ */
+async function upsert(client, table, row, conflict, keyColumns) {
+  const names = Object.keys(row);
+  const updated = names.filter((name) => !keyColumns.includes(name));
+
+  const { rows } = await client.query(
+    `INSERT INTO api.${table} (${names.join(', ')})
+     VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')})
+     ON CONFLICT (${conflict}) DO UPDATE
+     SET ${updated.map((name) => `${name} = EXCLUDED.${name}`).join(', ')}
+     WHERE (${updated.map((name) => `${table}.${name}`).join(', ')})
+       IS DISTINCT FROM (${updated.map((name) => `EXCLUDED.${name}`).join(', ')})
+     RETURNING id, (xmax = 0) AS inserted`,
+    names.map((name) => row[name])
+  );
+
+  if (rows.length === 0) return 'unchanged';
+  return rows[0].inserted ? 'created' : 'updated';
+}
+
+/**
+ * Create or converge the api.clients row; returns [row, action]
+ */
+async function provisionClientRow(client, spec, { force }) {
+  const columns = {
+    legal_name: spec.legalName,
+    domain: spec.domain,
+    region: spec.region,
+    industry: spec.industry,
+    company_size: spec.companySize,
+    country_code: spec.countryCode,
+    billing_contact: spec.billingContact,
+    technical_contact: spec.technicalContact,
+  };
+
+  const { rows: existing } = await client.query(
+    'SELECT * FROM api.clients WHERE client_code = $1 FOR UPDATE',
+    [spec.code]
+  );
+  const { rows: sameDomain } = await client.query(
+    'SELECT client_code FROM api.clients WHERE domain = $1 AND client_code <> $2',
+    [spec.domain, spec.code]
+  );
+
+  if (sameDomain.length > 0) {
+    throw new Error(`Domain "${spec.domain}" belongs to client "${sameDomain[0].client_code}"`);
+  }
+
+  const [record] = existing;
+
+  // The database copies limits and features from api.client_tiers whenever
+  // the tier is set or changes; a customer who needs other limits gets a
+  // custom tier
+  if (record?.tier !== spec.tier) {
+    const tier = await getTier(client, spec.tier);
+    const overages = record ? getTierOverages(record, tier) : [];
+
+    if (!tier.is_active) {
+      throw new Error(`Tier "${spec.tier}" is retired`);
+    }
+    if (overages.length > 0 && !force) {
+      throw new Error(
+        `Client "${spec.code}" has ${overages.join(' and ')}, over the ${spec.tier} tier; use force to downgrade anyway`
+      );
+    }
+    columns.tier = spec.tier;
+  }
+
+  if (!record) {
+    const row = { client_code: spec.code, ...columns, settings: spec.settings };
+    const names = Object.keys(row);
+    const { rows } = await client.query(
+      `INSERT INTO api.clients (${names.join(', ')})
+       VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      names.map((name) => row[name])
+    );
+    return [rows[0], 'created'];
+  }
+
+  const names = Object.keys(columns);
+  const settings = `$${names.length + 2}::jsonb`;
+  const { rows } = await client.query(
+    `UPDATE api.clients
+     SET ${names.map((name, index) => `${name} = $${index + 2}`).join(', ')},
+         settings = COALESCE(settings, '{}') || ${settings}
+     WHERE id = $1
+       AND (${names.join(', ')}, COALESCE(settings, '{}') || ${settings})
+         IS DISTINCT FROM (${names.map((_, index) => `$${index + 2}`).join(', ')}, settings)
+     RETURNING *`,
+    [record.id, ...names.map((name) => columns[name]), JSON.stringify(spec.settings)]
+  );
+
+  return rows.length > 0 ? [rows[0], 'updated'] : [record, 'unchanged'];
+}
+
+/**
+ * Converge the database to a validated client spec
+ *
+ * Runs in a single transaction; with `dryRun` everything is rolled back after
+ * working out what would change. Returns one entry per declared entity:
+ * { type, name, action: 'created' | 'updated' | 'unchanged' }.
+ */
+export async function provisionClient(client, spec, { dryRun = false, force = false } = {}) {
+  const changes = [];
+  const record = (type, name, action) => changes.push({ type, name, action });
+
+  await client.query('BEGIN');
+
+  try {
+    const [row, clientAction] = await provisionClientRow(client, spec.client, { force });
+    record('client', spec.client.code, clientAction);
+
+    for (const app of spec.apps) {
+      const resolved = resolveApp(app, row.domain);
+      const action = await upsert(
+        client,
+        'client_applications',
+        {
+          client_id: row.id,
+          ...resolved,
+          features: JSON.stringify(resolved.features),
+        },
+        'client_id, app_code',
+        ['client_id', 'app_code']
+      );
+      record('app', app.code, action);
+    }
+
+    const needsLedger = spec.contacts.length > 0 || spec.adminAccess.length > 0 || spec.tfc;
+    if (needsLedger) {
+      const {
+        rows: [ledger],
+      } = await client.query("SELECT to_regclass('api.account_contacts') IS NOT NULL AS present");
+      if (!ledger.present) {
+        throw new Error('contacts, adminAccess and tfc require the tfc schema bundle');
+      }
+    }
+
+    // Upsert the primary contact last: the others give up the flag first, or
+    // the one-primary-per-client index rejects it
+    const contactActions = new Map();
+    const ordered = [...spec.contacts].sort((a, b) => Number(a.primary) - Number(b.primary));
+
+    for (const contact of ordered) {
+      if (contact.primary) {
+        await client.query(
+          `UPDATE api.account_contacts SET is_primary_contact = FALSE
+           WHERE client_id = $1 AND is_primary_contact AND lower(email) <> lower($2)`,
+          [row.id, contact.email]
+        );
+      }
+
+      const action = await upsert(
+        client,
+        'account_contacts',
+        {
+          client_id: row.id,
+          email: contact.email,
+          first_name: contact.firstName,
+          last_name: contact.lastName,
+          contact_type: contact.type,
+          is_primary_contact: contact.primary,
+          phone: contact.phone,
+          job_title: contact.jobTitle,
+          department: contact.department,
+          preferred_language: contact.preferredLanguage,
+          preferred_currency: contact.preferredCurrency,
+          receive_low_balance_alerts: contact.lowBalanceAlerts,
+          receive_usage_reports: contact.usageReports,
+        },
+        'client_id, lower(email)',
+        ['client_id', 'email']
+      );
+      contactActions.set(contact, action);
+    }
+
+    for (const contact of spec.contacts) {
+      record('contact', contact.email, contactActions.get(contact));
+    }
+
+    for (const access of spec.adminAccess) {
+      const {
+        rows: [contact],
+      } = await client.query(
+        'SELECT id FROM api.account_contacts WHERE client_id = $1 AND lower(email) = lower($2)',
+        [row.id, access.contact]
+      );
+      const granted = access.permissions ?? ACCESS_LEVEL_PERMISSIONS[access.level];
+      const action = await upsert(
+        client,
+        'admin_access',
+        {
+          client_id: row.id,
+          contact_id: contact.id,
+          access_level: access.level,
+          ...Object.fromEntries(
+            ADMIN_PERMISSIONS.map((permission) => [
+              `can_${permission}`,
+              granted.includes(permission),
+            ])
+          ),
+          require_2fa: access.require2fa,
+          session_timeout_minutes: access.sessionTimeoutMinutes,
+          access_expires_at: access.expiresAt,
+          status: 'active',
+        },
+        'client_id, contact_id',
+        ['client_id', 'contact_id']
+      );
+      record('admin_access', access.contact, action);
+    }
+
+    if (spec.tfc) {
+      // An initial grant is made once; later changes go through the ledger
+      const { rows: granted } = await client.query(
+        `SELECT id FROM api.tfc_credit_transactions
+         WHERE client_id = $1 AND transaction_type = 'bonus' AND description = $2`,
+        [row.id, INITIAL_GRANT_DESCRIPTION]
+      );
+
+      if (granted.length === 0) {
+        await client.query(
+          `INSERT INTO api.tfc_credit_transactions
+             (client_id, transaction_type, credit_amount, price_per_credit, total_amount,
+              currency, description, created_by)
+           VALUES ($1, 'bonus', $2, 0, 0, $3, $4, 'client-spec')`,
+          [row.id, spec.tfc.initialGrant, spec.tfc.currency, INITIAL_GRANT_DESCRIPTION]
+        );
+      }
+      record('tfc_grant', `${spec.tfc.initialGrant} TFC`, granted.length ? 'unchanged' : 'created');
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return { clientCode: spec.client.code, dryRun, changes };
+}
@@ -0,0 +1,62 @@
+/**
+ * Client Tiers
+ *
+ * Tiers live in api.client_tiers (schemas/28_client_tiers.sql): limits,
+ * feature flags, pricing and TFC allowances, versioned on every change. The
+ * database copies a tier's limits and features onto a client when it joins
+ * the tier and re-applies them to every client on it when the tier changes;
+ * these helpers only read the catalogue. Creating and changing tiers is in
+ * src/clients/admin.js.
+ */
+
+/**
+ * All tiers, ordered by price; retired tiers only with `includeRetired`
+ */
+export async function listTiers(client, { includeRetired = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT t.*, (SELECT COUNT(*)::int FROM api.clients c WHERE c.tier = t.tier_code) AS client_count
+     FROM api.client_tiers t
+     WHERE $1 OR t.is_active
+     ORDER BY t.price_monthly, t.max_users, t.tier_code`,
+    [includeRetired]
+  );
+
+  return rows;
+}
+
+/**
+ * One api.client_tiers row, throwing if the tier does not exist
+ */
+export async function getTier(client, tierCode, { lock = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM api.client_tiers WHERE tier_code = $1${lock ? ' FOR UPDATE' : ''}`,
+    [tierCode]
+  );
+
+  if (rows.length === 0) {
+    const tiers = await listTiers(client);
+    throw new Error(
+      `Unknown tier "${tierCode}" (expected ${tiers.map((tier) => tier.tier_code).join(', ')})`
+    );
+  }
+
+  return rows[0];
+}
+
+/**
+ * Current usage of an api.clients row that exceeds a tier's limits, as
+ * human-readable descriptions; empty when the client fits the tier
+ */
+export function getTierOverages(record, tier) {
+  const { max_users: maxUsers, max_storage_gb: maxStorageGB } = tier;
+  const overages = [];
+
+  if (record.current_users > maxUsers) {
+    overages.push(`${record.current_users} users (limit ${maxUsers})`);
+  }
+  if (record.current_storage_mb > maxStorageGB * 1024) {
+    overages.push(`${record.current_storage_mb} MB storage (limit ${maxStorageGB * 1024} MB)`);
+  }
+
+  return overages;
+}
@@ -0,0 +1,40 @@
+/**
+ * Direct Postgres Connection
+ *
+ * PostgREST cannot execute DDL, so schema tooling (migrations, resets, drift
+ * checks) connects straight to the database using the connection string from
+ * Supabase Dashboard > Settings > Database.
+ */
+
+import pg from 'pg';
+
+/**
+ * Resolve the database connection string from the environment
+ */
+export function getDatabaseUrl(env = process.env) {
+  const url = env.DATABASE_URL;
+
+  if (!url) {
+    throw new Error(
+      'Missing DATABASE_URL environment variable (Supabase Dashboard > Settings > Database > Connection string)'
+    );
+  }
+
+  return url;
+}
+
+/**
+ * Open a single connected client for schema operations
+ */
+export async function connectDatabase(connectionString = getDatabaseUrl()) {
+  const isLocal = /@(localhost|127\.0\.0\.1)(:\d+)?\//.test(connectionString);
+
+  const client = new pg.Client({
+    connectionString,
+    ssl: isLocal ? false : { rejectUnauthorized: false },
+    application_name: 'flows-db',
+  });
+
+  await client.connect();
+  return client;
+}
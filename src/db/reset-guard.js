@@ -0,0 +1,68 @@
+/**
+ * Destructive Operation Guard
+ *
+ * Resets and rollbacks may only run against databases that are explicitly
+ * known to be non-production: local Postgres, or hosts and Supabase project
+ * refs listed in DB_RESET_ALLOWLIST.
+ */
+
+export const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Parse the comma-separated DB_RESET_ALLOWLIST value
+ */
+export function parseAllowlist(value = '') {
+  return value
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Extract the host and Supabase project ref from a connection string
+ *
+ * Direct connections use db.<ref>.supabase.co; the pooler keeps the ref in the
+ * user name (postgres.<ref>).
+ */
+export function describeDatabaseUrl(connectionString) {
+  let url;
+
+  try {
+    url = new URL(connectionString);
+  } catch {
+    throw new Error('DATABASE_URL is not a valid connection string');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const projectRef =
+    host.match(/^db\.([a-z0-9]+)\.supabase\.co$/)?.[1] ??
+    decodeURIComponent(url.username).match(/^postgres\.([a-z0-9]+)$/)?.[1] ??
+    null;
+
+  return { host, projectRef };
+}
+
+/**
+ * Throw unless the database is local or on the non-production allowlist: its
+ * project ref when the URL names one, otherwise its host
+ */
+export function assertResetAllowed(connectionString, env = process.env) {
+  if (env.NODE_ENV === 'production') {
+    throw new Error('Refusing to reset a database with NODE_ENV=production');
+  }
+
+  const { host, projectRef } = describeDatabaseUrl(connectionString);
+  const allowlist = parseAllowlist(env.DB_RESET_ALLOWLIST);
+
+  // A Supabase host can be a pooler shared by many projects, so a known
+  // project must be allowlisted itself
+  const allowed = projectRef ? allowlist.includes(projectRef) : allowlist.includes(host);
+  if (LOCAL_HOSTS.includes(host) || allowed) {
+    return { host, projectRef };
+  }
+
+  const target = projectRef ? `${host} (project ${projectRef})` : host;
+  throw new Error(
+    `Refusing to reset ${target}: add it to DB_RESET_ALLOWLIST if it is a non-production database`
+  );
+}
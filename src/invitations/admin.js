@@ -0,0 +1,574 @@
+/**
+ * Invitation Administration
+ *
+ * Queries and lifecycle changes behind the invitation:* scripts: issuing
+ * invitations for a client application (one per invitee, in bulk, or one
+ * link per cohort), checking a token against api.invitations, listing,
+ * redemption history, revoking and the periodic cleanup. Every function takes
+ * a connected pg client. Invitee names and emails go into the encrypted token
+ * only; client_data keeps department, position and the cohort name.
+ */
+
+import Joi from 'joi';
+import { OPEN_INVITATION_STATUSES } from '../clients/admin.js';
+import { classifyInvitees, inviteeSchema, validateInvitees } from './sheets.js';
+import {
+  hashInvitationEmail,
+  hashInvitationToken,
+  invitationLink,
+  issueInvitationToken,
+  verifyInvitationToken,
+} from './tokens.js';
+
+export { invitationLink };
+
+export const INVITATION_TYPES = ['onboarding', 'offboarding'];
+export const INVITATION_STATUSES = [
+  'pending',
+  'used',
+  'expired',
+  'revoked',
+  'requested',
+  'rejected',
+  'approved',
+  'sent',
+];
+
+// Used invitations can be revoked too, ending access granted through them
+const REVOCABLE_STATUSES = [...OPEN_INVITATION_STATUSES, 'used'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const issueSettings = {
+  type: Joi.string()
+    .valid(...INVITATION_TYPES)
+    .default('onboarding'),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(7),
+  maxUses: Joi.number().integer().min(1).default(1),
+  requireMfa: Joi.boolean().default(false),
+  by: Joi.string().required(),
+};
+
+const createSchema = Joi.object({
+  clientCode: Joi.string().required(),
+  appCode: Joi.string().required(),
+  invitees: Joi.array()
+    .items(inviteeSchema.keys({ row: Joi.number().integer() }))
+    .min(1)
+    .required(),
+  ...issueSettings,
+});
+
+const cohortSchema = Joi.object({
+  clientCode: Joi.string().required(),
+  appCode: Joi.string().required(),
+  cohort: Joi.string().trim().min(1).max(100).required(),
+  ...issueSettings,
+  maxUses: Joi.number().integer().min(2).max(10_000).required(),
+});
+
+// Rows are validated one by one, so a bad row does not stop the import
+const importSchema = Joi.object({
+  clientCode: Joi.string().required(),
+  appCode: Joi.string().required(),
+  invitees: Joi.array().items(Joi.object().unknown()).min(1).required(),
+  allowDuplicates: Joi.boolean().default(false),
+  ...issueSettings,
+});
+
+const filtersSchema = Joi.object({
+  status: Joi.string().valid(...INVITATION_STATUSES),
+  clientCode: Joi.string(),
+  appCode: Joi.string(),
+  createdAfter: Joi.date(),
+  createdBefore: Joi.date(),
+  expiresBefore: Joi.date(),
+  limit: Joi.number().integer().min(1).max(10_000).default(100),
+});
+
+/**
+ * Validate `value` against `schema`, throwing with every problem listed
+ */
+function validate(schema, value) {
+  const { error, value: validated } = schema.validate(value, { abortEarly: false });
+
+  if (error) {
+    throw new Error(error.details.map((detail) => detail.message).join('; '));
+  }
+
+  return validated;
+}
+
+/**
+ * Run `fn` in a transaction with the api schema on the search path, rolling
+ * back if it throws or `rollback` is set. invitation_maintenance() and the
+ * helpers it calls use unqualified table names.
+ */
+async function transaction(client, fn, { rollback = false } = {}) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query('SET LOCAL search_path TO api, public');
+    const result = await fn();
+    await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * The claims encrypted into an invitation token, shaped as the admin app
+ * issues them
+ */
+function invitationClaims(invitee, type) {
+  const association = {
+    ...(invitee.associationStartDate ? { startDate: invitee.associationStartDate } : {}),
+    ...(invitee.associationEndDate ? { endDate: invitee.associationEndDate } : {}),
+  };
+
+  return {
+    invitee: {
+      fullName: `${invitee.firstName} ${invitee.lastName}`,
+      firstName: invitee.firstName,
+      lastName: invitee.lastName,
+      companyEmail: invitee.companyEmail,
+      ...(invitee.privateEmail ? { privateEmail: invitee.privateEmail } : {}),
+    },
+    ...(invitee.position ? { position: invitee.position } : {}),
+    ...(invitee.department ? { department: invitee.department } : {}),
+    type,
+    ...(Object.keys(association).length > 0 ? { association } : {}),
+  };
+}
+
+/**
+ * The client and application invitations are issued for, refusing clients
+ * and applications that are not active
+ */
+async function findApplication(client, clientCode, appCode) {
+  const { rows } = await client.query(
+    `SELECT c.id AS client_id, c.domain, c.status AS client_status,
+            a.id AS app_id, a.status AS app_status
+     FROM api.clients c
+     LEFT JOIN api.client_applications a ON a.client_id = c.id AND a.app_code = $2
+     WHERE c.client_code = $1`,
+    [clientCode, appCode]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Client "${clientCode}" not found`);
+  }
+
+  const [app] = rows;
+  if (!app.app_id) {
+    throw new Error(`Client "${clientCode}" has no application "${appCode}"`);
+  }
+  if (app.client_status !== 'active') {
+    throw new Error(`Client "${clientCode}" is ${app.client_status}`);
+  }
+  if (app.app_status !== 'active') {
+    throw new Error(`Application "${appCode}" of "${clientCode}" is ${app.app_status}`);
+  }
+
+  return app;
+}
+
+/**
+ * What an invitee's invitation stores: the token claims, the email hash and
+ * client_data
+ */
+async function inviteeEntry(invitee, type) {
+  return {
+    claims: invitationClaims(invitee, type),
+    companyEmail: invitee.companyEmail,
+    email: await hashInvitationEmail(invitee.companyEmail),
+    clientData: {
+      ...(invitee.department ? { department: invitee.department } : {}),
+      ...(invitee.position ? { position: invitee.position } : {}),
+    },
+  };
+}
+
+/**
+ * Issue a token for each entry and insert the invitations through
+ * api.import_invitations, which creates all of them or none
+ */
+async function insertInvitations(client, keyring, app, entries, settings) {
+  const expiresAt = new Date(Date.now() + settings.expiresInDays * 24 * 60 * 60 * 1000);
+  const prepared = [];
+
+  for (const entry of entries) {
+    const id = globalThis.crypto.randomUUID();
+    const { token, hash } = await issueInvitationToken(keyring, {
+      subject: id,
+      invitation: entry.claims,
+      expiresAt,
+    });
+
+    prepared.push({
+      id,
+      jwt_token: token,
+      jwt_token_hash: hash,
+      email_hash: entry.email?.hash ?? null,
+      email_domain: entry.email?.domain ?? null,
+      expires_at: expiresAt,
+      max_uses: settings.maxUses,
+      require_mfa: settings.requireMfa,
+      client_data: entry.clientData,
+    });
+  }
+
+  const { rows } = await client.query('SELECT api.import_invitations($1, $2, $3, $4) AS created', [
+    app.client_id,
+    app.app_id,
+    JSON.stringify(prepared),
+    settings.by,
+  ]);
+
+  return rows[0].created.map(({ id, invitation_code: invitationCode }, index) => ({
+    id,
+    invitationCode,
+    companyEmail: entries[index].companyEmail ?? null,
+    expiresAt,
+    token: prepared[index].jwt_token,
+    link: invitationLink(app.domain, invitationCode, prepared[index].jwt_token),
+  }));
+}
+
+/**
+ * Issue an invitation for each invitee, all or none
+ *
+ * Each token's subject is the invitation id. Resolves to one
+ * { id, invitationCode, companyEmail, expiresAt, token, link } per invitee,
+ * in order. The token is only returned here; api.invitations keeps its hash
+ * and the encrypted jwt_token.
+ */
+export async function createInvitations(client, keyring, options) {
+  const { clientCode, appCode, invitees, ...settings } = validate(createSchema, options);
+  const app = await findApplication(client, clientCode, appCode);
+  const entries = await Promise.all(
+    invitees.map((invitee) => inviteeEntry(invitee, settings.type))
+  );
+
+  return insertInvitations(client, keyring, app, entries, settings);
+}
+
+/**
+ * Issue one link for a whole cohort (an event, a training class)
+ *
+ * The token names the cohort instead of an invitee, client_data.cohort marks
+ * the invitation and `maxUses` is the cohort size; each person can redeem it
+ * once, and it holds a seat under max_users for every use left. Resolves to
+ * { id, invitationCode, companyEmail: null, expiresAt, token, link }.
+ */
+export async function createCohortInvitation(client, keyring, options) {
+  const { clientCode, appCode, cohort, ...settings } = validate(cohortSchema, options);
+  const app = await findApplication(client, clientCode, appCode);
+  const entry = {
+    claims: { cohort, type: settings.type },
+    clientData: { cohort },
+  };
+
+  const [created] = await insertInvitations(client, keyring, app, [entry], settings);
+  return created;
+}
+
+/**
+ * Validate invitees and match them against the file, the database and the
+ * seats left, in spreadsheet order
+ */
+async function previewRows(client, app, invitees, allowDuplicates) {
+  const validated = validateInvitees(invitees);
+  const emails = await Promise.all(
+    validated.map(({ invitee, errors }) =>
+      errors.length === 0 ? hashInvitationEmail(invitee.companyEmail) : null
+    )
+  );
+
+  const { rows: duplicates } = await client.query(
+    'SELECT * FROM api.find_invitation_duplicates($1, $2)',
+    [app.client_id, emails.filter(Boolean).map((email) => email.hash)]
+  );
+  const {
+    rows: [{ capacity }],
+  } = await client.query('SELECT api.invitation_import_capacity($1) AS capacity', [app.client_id]);
+
+  return {
+    capacity,
+    rows: classifyInvitees(validated, emails, { duplicates, capacity, allowDuplicates }),
+  };
+}
+
+/**
+ * Check invitees for a bulk import without creating anything
+ *
+ * Every invitee is validated on its own, matched by email_hash against the
+ * rows above it, the client's open and used invitations and api.people, and
+ * counted against the seats left under max_users. Resolves to
+ * { capacity, rows } with one { row, status, invitee, companyEmail, errors,
+ * duplicates, message } per invitee; status is ready, invalid, duplicate or
+ * over_capacity. Duplicates in the database only block a row without
+ * `allowDuplicates`; duplicates within the file always do.
+ */
+export async function previewInvitationImport(client, options) {
+  const { clientCode, appCode, invitees, allowDuplicates } = validate(importSchema, {
+    by: 'preview',
+    ...options,
+  });
+  const app = await findApplication(client, clientCode, appCode);
+
+  return previewRows(client, app, invitees, allowDuplicates);
+}
+
+/**
+ * Import invitees in bulk: preview them, then create an invitation for every
+ * ready row in one transaction
+ *
+ * Resolves to { capacity, rows } as previewInvitationImport, except that
+ * ready rows come back as `created` with id, invitationCode, token and link.
+ * If the seats run out between preview and insert, nothing is created.
+ */
+export async function importInvitations(client, keyring, options) {
+  const { clientCode, appCode, invitees, allowDuplicates, ...settings } = validate(
+    importSchema,
+    options
+  );
+  const app = await findApplication(client, clientCode, appCode);
+  const preview = await previewRows(client, app, invitees, allowDuplicates);
+
+  const ready = preview.rows.filter((row) => row.status === 'ready');
+  const created =
+    ready.length > 0
+      ? await insertInvitations(
+          client,
+          keyring,
+          app,
+          await Promise.all(ready.map((row) => inviteeEntry(row.invitee, settings.type))),
+          settings
+        )
+      : [];
+  const createdByRow = new Map(ready.map((row, index) => [row, created[index]]));
+
+  return {
+    capacity: preview.capacity,
+    rows: preview.rows.map((row) =>
+      createdByRow.has(row) ? { ...row, ...createdByRow.get(row), status: 'created' } : row
+    ),
+  };
+}
+
+/**
+ * Decrypt a token and check it against its invitation without redeeming it
+ *
+ * Resolves to { valid, problems, claims, invitation }. problems are
+ * { code, message } objects using the codes of redeemInvitation(); checks
+ * that depend on the request (IP, device, MFA, business hours) are left to
+ * redemption, but the invitation row shows which apply. Claims of an expired
+ * token are still decoded.
+ */
+export async function checkInvitationToken(client, keyring, token, { at = new Date() } = {}) {
+  const problems = [];
+  let claims = null;
+
+  try {
+    ({ payload: claims } = await verifyInvitationToken(keyring, token, { currentDate: at }));
+  } catch (error) {
+    if (error.code === 'ERR_JWT_EXPIRED') {
+      problems.push({ code: 'token_expired', message: 'The invitation token has expired' });
+      ({ payload: claims } = await verifyInvitationToken(keyring, token, {
+        currentDate: new Date(0),
+      }));
+    } else {
+      problems.push({
+        code: 'token_invalid',
+        message: `The invitation token did not verify: ${error.message}`,
+      });
+    }
+  }
+
+  const { rows } = await client.query(
+    `SELECT i.id, i.invitation_code, i.status, i.expires_at, i.used_count, i.max_uses,
+            i.require_mfa, i.ip_restrictions, i.device_fingerprint_hash, i.restrictions,
+            i.created_by, i.created_at, i.revoked_at, i.revocation_reason,
+            c.client_code, a.app_code
+     FROM api.invitations i
+     JOIN api.clients c ON c.id = i.client_id
+     JOIN api.client_applications a ON a.id = i.app_id
+     WHERE i.jwt_token_hash = $1`,
+    [await hashInvitationToken(token)]
+  );
+  const invitation = rows[0] ?? null;
+
+  if (!invitation) {
+    problems.push({ code: 'not_found', message: 'No invitation matches this token' });
+  } else if (invitation.status === 'revoked') {
+    problems.push({ code: 'revoked', message: 'The invitation was revoked' });
+  } else if (invitation.status === 'used' || invitation.used_count >= invitation.max_uses) {
+    problems.push({
+      code: 'max_uses_reached',
+      message: `The invitation has been used ${invitation.used_count} of ${invitation.max_uses} times`,
+    });
+  } else if (invitation.status === 'expired' || invitation.expires_at <= at) {
+    problems.push({ code: 'expired', message: 'The invitation has expired' });
+  } else if (!['pending', 'approved', 'sent'].includes(invitation.status)) {
+    problems.push({
+      code: 'not_redeemable',
+      message: `An invitation that is ${invitation.status} cannot be redeemed`,
+    });
+  }
+
+  return { valid: problems.length === 0, problems, claims, invitation };
+}
+
+/**
+ * List invitations, newest first, optionally filtered by status, client,
+ * application and creation or expiry date
+ */
+export async function listInvitations(client, filters = {}) {
+  const { status, clientCode, appCode, createdAfter, createdBefore, expiresBefore, limit } =
+    validate(filtersSchema, filters);
+
+  const { rows } = await client.query(
+    `SELECT i.id, i.invitation_code, i.status, c.client_code, a.app_code, i.email_domain,
+            i.used_count, i.max_uses, i.created_by, i.created_at, i.expires_at
+     FROM api.invitations i
+     JOIN api.clients c ON c.id = i.client_id
+     JOIN api.client_applications a ON a.id = i.app_id
+     WHERE ($1::text IS NULL OR i.status = $1)
+       AND ($2::text IS NULL OR c.client_code = $2)
+       AND ($3::text IS NULL OR a.app_code = $3)
+       AND ($4::timestamptz IS NULL OR i.created_at >= $4)
+       AND ($5::timestamptz IS NULL OR i.created_at < $5)
+       AND ($6::timestamptz IS NULL OR i.expires_at < $6)
+     ORDER BY i.created_at DESC
+     LIMIT $7`,
+    [
+      status ?? null,
+      clientCode ?? null,
+      appCode ?? null,
+      createdAfter ?? null,
+      createdBefore ?? null,
+      expiresBefore ?? null,
+      limit,
+    ]
+  );
+
+  return rows;
+}
+
+/**
+ * Revoke an invitation by id or invitation code
+ *
+ * Open and used invitations can be revoked; the reason and acting user are
+ * kept on the row. Resolves to the revoked invitation.
+ */
+export async function revokeInvitation(client, idOrCode, { by, reason } = {}) {
+  if (!by) {
+    throw new Error('Revocation requires the acting user (by)');
+  }
+  if (!reason?.trim()) {
+    throw new Error('Revocation requires a reason');
+  }
+
+  const column = UUID_PATTERN.test(idOrCode) ? 'id' : 'invitation_code';
+
+  return transaction(client, async () => {
+    const { rows } = await client.query(
+      `SELECT id, invitation_code, status FROM api.invitations WHERE ${column} = $1 FOR UPDATE`,
+      [idOrCode]
+    );
+
+    if (rows.length === 0) {
+      throw new Error(`Invitation "${idOrCode}" not found`);
+    }
+    if (!REVOCABLE_STATUSES.includes(rows[0].status)) {
+      throw new Error(`Invitation "${rows[0].invitation_code}" is ${rows[0].status}`);
+    }
+
+    const { rows: revoked } = await client.query(
+      `UPDATE api.invitations
+       SET status = 'revoked', revoked_by = $2, revocation_reason = $3
+       WHERE id = $1
+       RETURNING id, invitation_code, status, revoked_at, revoked_by, revocation_reason`,
+      [rows[0].id, by, reason.trim()]
+    );
+
+    return revoked[0];
+  });
+}
+
+/**
+ * An invitation and its redemption history, newest attempt first
+ *
+ * `idOrCode` is an invitation id or code. Resolves to { invitation,
+ * redemptions }; each redemption has user_id, attempted_at, outcome,
+ * denial_codes, ip_hash and use_number (redeemed attempts only).
+ */
+export async function listInvitationRedemptions(client, idOrCode, { limit = 100 } = {}) {
+  const column = UUID_PATTERN.test(idOrCode) ? 'id' : 'invitation_code';
+  const { rows } = await client.query(
+    `SELECT i.id, i.invitation_code, i.status, i.max_uses, i.used_count, i.expires_at,
+            i.client_data->>'cohort' AS cohort, c.client_code, a.app_code
+     FROM api.invitations i
+     JOIN api.clients c ON c.id = i.client_id
+     JOIN api.client_applications a ON a.id = i.app_id
+     WHERE i.${column} = $1`,
+    [idOrCode]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Invitation "${idOrCode}" not found`);
+  }
+
+  const { rows: redemptions } = await client.query(
+    `SELECT id, user_id, attempted_at, outcome, denial_codes, ip_hash, use_number
+     FROM api.invitation_redemptions
+     WHERE invitation_id = $1
+     ORDER BY attempted_at DESC, use_number DESC NULLS LAST
+     LIMIT $2`,
+    [rows[0].id, limit]
+  );
+
+  return { invitation: rows[0], redemptions };
+}
+
+/**
+ * Invitation counts by status
+ */
+async function countByStatus(client) {
+  const { rows } = await client.query(
+    'SELECT status, COUNT(*)::int AS count FROM api.invitations GROUP BY status ORDER BY status'
+  );
+
+  return Object.fromEntries(rows.map((row) => [row.status, row.count]));
+}
+
+/**
+ * Run invitation_maintenance() (expire pending invitations, delete expired
+ * and revoked ones older than 90 days) and api.gdpr_compliant_cleanup()
+ * (delete invitations past auto_delete_at, set retention on the rest)
+ *
+ * With `dryRun` both run and are rolled back, so the report shows exactly
+ * what a real run would do. Resolves to { dryRun, maintenance, gdpr, before,
+ * after } with the functions' summaries and counts by status.
+ */
+export async function cleanupInvitations(client, { dryRun = false } = {}) {
+  return transaction(
+    client,
+    async () => {
+      const before = await countByStatus(client);
+      const {
+        rows: [{ maintenance }],
+      } = await client.query('SELECT api.invitation_maintenance() AS maintenance');
+      const {
+        rows: [{ gdpr }],
+      } = await client.query('SELECT api.gdpr_compliant_cleanup() AS gdpr');
+      const after = await countByStatus(client);
+
+      return { dryRun, maintenance, gdpr, before, after };
+    },
+    { rollback: dryRun }
+  );
+}
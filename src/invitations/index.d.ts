@@ -0,0 +1,174 @@
+/**
+ * Types for @thepia/flows-db/invitations, so TypeScript consumers (the admin
+ * app) get them without type-checking the JavaScript sources.
+ */
+
+import type { JWK, JWTPayload, KeyLike } from 'jose';
+
+export const DEFAULT_SIGNING_ALG: string;
+export const DEFAULT_ENCRYPTION_ALG: string;
+export const INVITATION_ISSUER: string;
+export const INVITATION_AUDIENCE: string;
+export const INVITATION_EXPIRATION_SECONDS: number;
+export const INVITATION_CONTENT_ENCRYPTION: string;
+
+export interface InvitationJwk extends JWK {
+  kid: string;
+  alg: string;
+}
+
+export interface InvitationKeySets {
+  signingKeys: InvitationJwk[];
+  encryptionKeys: InvitationJwk[];
+}
+
+export interface InvitationKey {
+  kid: string;
+  alg: string;
+  privateKey: KeyLike | Uint8Array | null;
+  publicKey: KeyLike | Uint8Array;
+  publicJwk: JWK | null;
+  /** Registry status, on keyrings from loadRegisteredInvitationKeys */
+  status?: SigningKeyStatus;
+}
+
+export type SigningKeyStatus = 'pending' | 'active' | 'retiring' | 'retired';
+
+/** A row of api.invitation_signing_keys */
+export interface SigningKeyRow {
+  kid: string;
+  algorithm: string;
+  public_jwk: InvitationJwk;
+  status: SigningKeyStatus;
+  not_before: Date;
+  not_after: Date | null;
+  created_by: string | null;
+  activated_at: Date | null;
+  retired_at: Date | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+/** The subset of a pg client the registry functions use */
+export interface Queryable {
+  query(text: string, values?: unknown[]): Promise<{ rows: any[] }>;
+}
+
+export interface InvitationKeyring {
+  signingKeys: InvitationKey[];
+  encryptionKeys: InvitationKey[];
+  ephemeral?: boolean;
+}
+
+export interface InvitationClaims extends JWTPayload {
+  sub: string;
+  exp: number;
+  jti: string;
+  invitation: Record<string, unknown>;
+}
+
+export function toPublicJwk(jwk: JWK): JWK | null;
+export function generateInvitationKey(alg: string, use: 'sig' | 'enc'): Promise<InvitationJwk>;
+export function parseInvitationKeySet(value: string | undefined, name: string): InvitationJwk[] | null;
+export function generateInvitationKeys(options?: {
+  signingAlg?: string;
+  encryptionAlg?: string;
+}): Promise<InvitationKeySets>;
+export function createInvitationKeyring(keys: Partial<InvitationKeySets>): Promise<InvitationKeyring>;
+export function loadInvitationKeys(
+  env?: Record<string, string | undefined>,
+  options?: { allowEphemeral?: boolean }
+): Promise<InvitationKeyring>;
+export function findInvitationKey(keys: InvitationKey[], kid: string, use: string): InvitationKey;
+
+export function issueInvitationToken(
+  keyring: InvitationKeyring,
+  options: {
+    subject: string;
+    invitation: Record<string, unknown>;
+    expiresIn?: number;
+    expiresAt?: Date;
+    issuer?: string;
+    audience?: string;
+    jti?: string;
+  }
+): Promise<{ token: string; hash: string; jti: string; expiresAt: Date }>;
+export function verifyInvitationToken(
+  keyring: InvitationKeyring,
+  token: string,
+  options?: { issuer?: string; audience?: string; currentDate?: Date }
+): Promise<{ payload: InvitationClaims; signingKid: string; encryptionKid: string }>;
+export function hashInvitationToken(token: string): Promise<string>;
+export function hashInvitationEmail(email: string): Promise<{ hash: string; domain: string }>;
+/** The link an invitee opens; it carries the token, so it redeems */
+export function invitationLink(domain: string, invitationCode: string, token: string): string;
+
+export function listSigningKeys(
+  client: Queryable,
+  options?: { includeRetired?: boolean }
+): Promise<SigningKeyRow[]>;
+export function getSigningKey(
+  client: Queryable,
+  kid: string,
+  options?: { lock?: boolean }
+): Promise<SigningKeyRow>;
+export function registerSigningKey(
+  client: Queryable,
+  jwk: InvitationJwk,
+  options: { by: string; notBefore?: Date | null }
+): Promise<SigningKeyRow>;
+export function activateSigningKey(
+  client: Queryable,
+  kid: string,
+  options?: { graceSeconds?: number }
+): Promise<{ activated: SigningKeyRow; replaced: SigningKeyRow | null; changed: boolean }>;
+export function retireSigningKey(client: Queryable, kid: string): Promise<SigningKeyRow>;
+export function retireExpiredSigningKeys(client: Queryable): Promise<SigningKeyRow[]>;
+export function getInvitationJwks(client: Queryable): Promise<{ keys: InvitationJwk[] }>;
+export function loadRegisteredInvitationKeys(
+  client: Queryable,
+  env?: Record<string, string | undefined>
+): Promise<InvitationKeyring>;
+
+export type RedemptionDenialCode =
+  | 'not_found'
+  | 'rate_limited'
+  | 'token_expired'
+  | 'token_invalid'
+  | 'revoked'
+  | 'max_uses_reached'
+  | 'expired'
+  | 'not_redeemable'
+  | 'already_redeemed'
+  | 'ip_required'
+  | 'ip_not_allowed'
+  | 'device_mismatch'
+  | 'mfa_required'
+  | 'not_yet_valid'
+  | 'no_longer_valid'
+  | 'outside_business_hours';
+
+export interface RedemptionContext {
+  userId?: string | null;
+  ip?: string | null;
+  deviceFingerprintHash?: string | null;
+  mfa?: boolean;
+  time?: Date;
+}
+
+export interface RedemptionResult {
+  redeemed: boolean;
+  invitationId: string | null;
+  redemptionId: string | null;
+  denials: { code: RedemptionDenialCode; message: string }[];
+  retryAfter: number | null;
+  remainingUses: number | null;
+  claims: InvitationClaims | null;
+}
+
+export function redeemInvitation(
+  client: Queryable,
+  keyring: InvitationKeyring,
+  token: string,
+  context?: RedemptionContext
+): Promise<RedemptionResult>;
@@ -0,0 +1,42 @@
+/**
+ * @thepia/flows-db/invitations
+ *
+ * Issue, verify, hash and redeem invitation tokens, and manage the registry
+ * of signing keys. Uses only jose and Web Crypto (registry and redemption
+ * functions take a connected pg client), so the Node scripts and the admin
+ * app share it.
+ */
+
+export {
+  DEFAULT_ENCRYPTION_ALG,
+  DEFAULT_SIGNING_ALG,
+  createInvitationKeyring,
+  findInvitationKey,
+  generateInvitationKey,
+  generateInvitationKeys,
+  loadInvitationKeys,
+  parseInvitationKeySet,
+  toPublicJwk,
+} from './keys.js';
+export { redeemInvitation } from './redemption.js';
+export {
+  activateSigningKey,
+  getInvitationJwks,
+  getSigningKey,
+  listSigningKeys,
+  loadRegisteredInvitationKeys,
+  registerSigningKey,
+  retireExpiredSigningKeys,
+  retireSigningKey,
+} from './registry.js';
+export {
+  INVITATION_AUDIENCE,
+  INVITATION_CONTENT_ENCRYPTION,
+  INVITATION_EXPIRATION_SECONDS,
+  INVITATION_ISSUER,
+  hashInvitationEmail,
+  hashInvitationToken,
+  invitationLink,
+  issueInvitationToken,
+  verifyInvitationToken,
+} from './tokens.js';
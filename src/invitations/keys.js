@@ -0,0 +1,159 @@
+/**
+ * Invitation Keys
+ *
+ * A keyring holds the signing keys (JWS) and encryption keys (JWE) for
+ * invitation tokens as JWKs with a `kid` and `alg`. The first key of each
+ * kind issues new tokens; the rest only verify or decrypt tokens issued
+ * before a rotation. Keys come from INVITATION_SIGNING_KEYS and
+ * INVITATION_ENCRYPTION_KEYS, each a JWK set in JSON.
+ */
+
+import { calculateJwkThumbprint, exportJWK, generateKeyPair, importJWK } from 'jose';
+
+export const DEFAULT_SIGNING_ALG = 'ES256';
+export const DEFAULT_ENCRYPTION_ALG = 'ECDH-ES+A256KW';
+
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'];
+
+/**
+ * The public half of an asymmetric JWK; null for symmetric (`oct`) keys
+ */
+export function toPublicJwk(jwk) {
+  if (jwk.kty === 'oct') {
+    return null;
+  }
+
+  return Object.fromEntries(
+    Object.entries(jwk).filter(([member]) => !PRIVATE_JWK_MEMBERS.includes(member))
+  );
+}
+
+/**
+ * A new private JWK for `alg` and `use` ('sig' or 'enc'), identified by its
+ * RFC 7638 thumbprint
+ */
+export async function generateInvitationKey(alg, use) {
+  const { privateKey } = await generateKeyPair(alg, { extractable: true });
+  const jwk = await exportJWK(privateKey);
+
+  return { ...jwk, kid: await calculateJwkThumbprint(jwk), alg, use };
+}
+
+/**
+ * A fresh signing key and encryption key, as JWK sets ready for
+ * INVITATION_SIGNING_KEYS and INVITATION_ENCRYPTION_KEYS
+ */
+export async function generateInvitationKeys({
+  signingAlg = DEFAULT_SIGNING_ALG,
+  encryptionAlg = DEFAULT_ENCRYPTION_ALG,
+} = {}) {
+  return {
+    signingKeys: [await generateInvitationKey(signingAlg, 'sig')],
+    encryptionKeys: [await generateInvitationKey(encryptionAlg, 'enc')],
+  };
+}
+
+/**
+ * Import a list of JWKs; private keys also yield their public half
+ */
+async function importKeys(jwks, use) {
+  const keys = [];
+
+  for (const jwk of jwks) {
+    if (!jwk.kid || !jwk.alg) {
+      throw new Error(`Invitation ${use} keys need a kid and an alg`);
+    }
+    if (keys.some((key) => key.kid === jwk.kid)) {
+      throw new Error(`Duplicate invitation ${use} key "${jwk.kid}"`);
+    }
+
+    const publicJwk = toPublicJwk(jwk);
+    const isPrivate = publicJwk === null || 'd' in jwk;
+
+    keys.push({
+      kid: jwk.kid,
+      alg: jwk.alg,
+      privateKey: isPrivate ? await importJWK(jwk, jwk.alg) : null,
+      publicKey: await importJWK(publicJwk ?? jwk, jwk.alg),
+      publicJwk,
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * Build a keyring from JWK lists; both lists need at least one key
+ */
+export async function createInvitationKeyring({ signingKeys = [], encryptionKeys = [] }) {
+  if (signingKeys.length === 0 || encryptionKeys.length === 0) {
+    throw new Error('An invitation keyring needs at least one signing and one encryption key');
+  }
+
+  return {
+    signingKeys: await importKeys(signingKeys, 'signing'),
+    encryptionKeys: await importKeys(encryptionKeys, 'encryption'),
+  };
+}
+
+/**
+ * Parse a JWK set (`{"keys": [...]}` or a bare array) from an env variable;
+ * null when unset
+ */
+export function parseInvitationKeySet(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw new Error(`${name} is not valid JSON`);
+  }
+
+  const keys = Array.isArray(parsed) ? parsed : parsed?.keys;
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error(`${name} must be a JWK set with at least one key`);
+  }
+
+  return keys;
+}
+
+/**
+ * The keyring configured in `env`. With `allowEphemeral`, an environment
+ * without any invitation keys gets a throwaway keyring (`ephemeral: true`)
+ * whose tokens cannot be verified once the process exits.
+ */
+export async function loadInvitationKeys(
+  env = globalThis.process?.env ?? {},
+  { allowEphemeral = false } = {}
+) {
+  const signingKeys = parseInvitationKeySet(env.INVITATION_SIGNING_KEYS, 'INVITATION_SIGNING_KEYS');
+  const encryptionKeys = parseInvitationKeySet(
+    env.INVITATION_ENCRYPTION_KEYS,
+    'INVITATION_ENCRYPTION_KEYS'
+  );
+
+  if (!signingKeys && !encryptionKeys && allowEphemeral) {
+    const keyring = await createInvitationKeyring(await generateInvitationKeys());
+    return { ...keyring, ephemeral: true };
+  }
+  if (!signingKeys || !encryptionKeys) {
+    throw new Error('INVITATION_SIGNING_KEYS and INVITATION_ENCRYPTION_KEYS must both be set');
+  }
+
+  return { ...(await createInvitationKeyring({ signingKeys, encryptionKeys })), ephemeral: false };
+}
+
+/**
+ * The keyring entry for `kid`, throwing if the keyring does not hold it
+ */
+export function findInvitationKey(keys, kid, use) {
+  const key = keys.find((candidate) => candidate.kid === kid);
+  if (!key) {
+    throw new Error(`Unknown invitation ${use} key "${kid}"`);
+  }
+
+  return key;
+}
@@ -0,0 +1,65 @@
+/**
+ * Invitation Redemption
+ *
+ * Verifies an invitation token and redeems it through api.redeem_invitation
+ * (schemas/31_invitation_redemption.sql), which checks the invitation's
+ * status, use count, restrictions, IP ranges, device binding and MFA
+ * requirement, rate-limits attempts and records every attempt in
+ * api.invitation_redemptions (schemas/33_invitation_redemptions.sql). Tokens
+ * that do not verify are still passed on, so the failed attempt is counted.
+ */
+
+import { hashInvitationToken, verifyInvitationToken } from './tokens.js';
+
+/**
+ * Denial code for a token that failed verification
+ */
+function tokenErrorCode(error) {
+  return error.code === 'ERR_JWT_EXPIRED' ? 'token_expired' : 'token_invalid';
+}
+
+/**
+ * Redeem an invitation token for a request.
+ *
+ * `context` describes the request: { userId, ip, deviceFingerprintHash, mfa, time }.
+ * Resolves to { redeemed, invitationId, redemptionId, denials, retryAfter,
+ * remainingUses, claims }; denials are { code, message } objects and claims are
+ * only set when redeemed. redemptionId is the api.invitation_redemptions row,
+ * null when no invitation matched.
+ */
+export async function redeemInvitation(client, keyring, token, context = {}) {
+  const hash = await hashInvitationToken(token);
+
+  let claims = null;
+  let tokenError = null;
+  try {
+    ({ payload: claims } = await verifyInvitationToken(keyring, token, {
+      currentDate: context.time,
+    }));
+  } catch (error) {
+    tokenError = tokenErrorCode(error);
+  }
+
+  const { rows } = await client.query('SELECT api.redeem_invitation($1, $2, $3) AS result', [
+    hash,
+    context.userId ?? null,
+    JSON.stringify({
+      ip: context.ip ?? null,
+      device_fingerprint_hash: context.deviceFingerprintHash ?? null,
+      mfa: context.mfa === true,
+      at: context.time ?? null,
+      token_error: tokenError,
+    }),
+  ]);
+  const result = rows[0].result;
+
+  return {
+    redeemed: result.success,
+    invitationId: result.invitation_id ?? null,
+    redemptionId: result.redemption_id ?? null,
+    denials: result.denials,
+    retryAfter: result.retry_after ?? null,
+    remainingUses: result.remaining_uses ?? null,
+    claims: result.success ? claims : null,
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Invitation Signing Key Registry
+ *
+ * api.invitation_signing_keys (schemas/29_invitation_signing_keys.sql)
+ * holds the public half of every key that signs invitation tokens and where
+ * it is in its rotation: pending, active, retiring or retired. The private
+ * keys stay in INVITATION_SIGNING_KEYS. loadRegisteredInvitationKeys() pairs
+ * the two, so only registered keys that are not retired sign or verify.
+ */
+
+import { calculateJwkThumbprint } from 'jose';
+import { createInvitationKeyring, parseInvitationKeySet, toPublicJwk } from './keys.js';
+import { INVITATION_EXPIRATION_SECONDS } from './tokens.js';
+
+// Keys whose window contains the current time and that are not retired
+const TRUSTED_KEYS = `status <> 'retired'
+  AND not_before <= NOW()
+  AND (not_after IS NULL OR not_after > NOW())`;
+
+/**
+ * Run `fn` in a transaction, rolling back if it throws
+ */
+async function transaction(client, fn) {
+  await client.query('BEGIN');
+
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Registered keys, the active one first; retired keys only with `includeRetired`
+ */
+export async function listSigningKeys(client, { includeRetired = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM api.invitation_signing_keys
+     WHERE $1 OR status <> 'retired'
+     ORDER BY status = 'active' DESC, created_at DESC`,
+    [includeRetired]
+  );
+
+  return rows;
+}
+
+/**
+ * One api.invitation_signing_keys row, throwing if the kid is not registered
+ */
+export async function getSigningKey(client, kid, { lock = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM api.invitation_signing_keys WHERE kid = $1${lock ? ' FOR UPDATE' : ''}`,
+    [kid]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Unknown invitation signing key "${kid}"`);
+  }
+
+  return rows[0];
+}
+
+/**
+ * Register the public half of a signing JWK as a pending key. Private
+ * members are stripped; symmetric keys cannot be published and are refused.
+ */
+export async function registerSigningKey(client, jwk, { by, notBefore = null } = {}) {
+  if (!by) {
+    throw new Error('Registering a signing key requires the acting user (by)');
+  }
+
+  const publicJwk = toPublicJwk(jwk);
+  if (!publicJwk) {
+    throw new Error('Invitation signing keys must be asymmetric (EC, OKP or RSA)');
+  }
+  if (!publicJwk.kid || !publicJwk.alg) {
+    throw new Error('Invitation signing keys need a kid and an alg');
+  }
+
+  try {
+    const { rows } = await client.query(
+      `INSERT INTO api.invitation_signing_keys (kid, algorithm, public_jwk, not_before, created_by)
+       VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+       RETURNING *`,
+      [publicJwk.kid, publicJwk.alg, JSON.stringify(publicJwk), notBefore, by]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error(`Invitation signing key "${publicJwk.kid}" is already registered`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make `kid` the key that signs new invitations. The previously active key
+ * becomes retiring and keeps verifying until the last invitation created
+ * while it was active expires, and for at least `graceSeconds`, so links
+ * already sent keep working. Returns the activated key, the key it replaced
+ * (null if none) and whether anything changed.
+ */
+export async function activateSigningKey(
+  client,
+  kid,
+  { graceSeconds = INVITATION_EXPIRATION_SECONDS } = {}
+) {
+  return transaction(client, async () => {
+    const key = await getSigningKey(client, kid, { lock: true });
+
+    if (key.status === 'active') {
+      return { activated: key, replaced: null, changed: false };
+    }
+    if (key.status === 'retired') {
+      throw new Error(`Invitation signing key "${kid}" is retired`);
+    }
+    if (new Date(key.not_before) > new Date()) {
+      throw new Error(
+        `Invitation signing key "${kid}" is not valid before ${new Date(key.not_before).toISOString()}`
+      );
+    }
+    if (key.not_after && new Date(key.not_after) <= new Date()) {
+      throw new Error(`Invitation signing key "${kid}" expired at ${key.not_after.toISOString()}`);
+    }
+
+    // Invitations only keep their token's hash, so the ones created since the
+    // key was activated stand in for the ones it signed
+    const { rows: replaced } = await client.query(
+      `UPDATE api.invitation_signing_keys k
+       SET status = 'retiring',
+           not_after = LEAST(
+             COALESCE(not_after, 'infinity'),
+             GREATEST(
+               NOW() + make_interval(secs => $1),
+               (SELECT MAX(i.expires_at)
+                FROM api.invitations i
+                WHERE i.created_at >= COALESCE(k.activated_at, '-infinity'))
+             )
+           )
+       WHERE status = 'active'
+       RETURNING *`,
+      [graceSeconds]
+    );
+    const { rows } = await client.query(
+      `UPDATE api.invitation_signing_keys SET status = 'active' WHERE kid = $1 RETURNING *`,
+      [kid]
+    );
+
+    return { activated: rows[0], replaced: replaced[0] ?? null, changed: true };
+  });
+}
+
+/**
+ * Retire a key now: tokens it signed stop verifying immediately
+ */
+export async function retireSigningKey(client, kid) {
+  const key = await getSigningKey(client, kid);
+
+  if (key.status === 'retired') {
+    throw new Error(`Invitation signing key "${kid}" is already retired`);
+  }
+
+  const { rows } = await client.query(
+    `UPDATE api.invitation_signing_keys SET status = 'retired' WHERE kid = $1 RETURNING *`,
+    [kid]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Retire every key whose not_after has passed; returns the retired rows
+ */
+export async function retireExpiredSigningKeys(client) {
+  const { rows } = await client.query(
+    `UPDATE api.invitation_signing_keys
+     SET status = 'retired'
+     WHERE status <> 'retired' AND not_after <= NOW()
+     RETURNING *`
+  );
+
+  return rows;
+}
+
+/**
+ * The JWKS of every key that currently verifies invitation tokens
+ */
+export async function getInvitationJwks(client) {
+  const { rows } = await client.query('SELECT api.invitation_jwks() AS jwks');
+
+  return rows[0].jwks;
+}
+
+/**
+ * A keyring whose signing keys are the trusted registry keys, the active one
+ * first. Keys with a private JWK in INVITATION_SIGNING_KEYS can sign; the
+ * rest only verify. Each signing key carries its registry `status`, and
+ * issueInvitationToken refuses to sign with a key that is not active.
+ */
+export async function loadRegisteredInvitationKeys(client, env = globalThis.process?.env ?? {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM api.invitation_signing_keys
+     WHERE ${TRUSTED_KEYS}
+     ORDER BY status = 'active' DESC, not_before DESC`
+  );
+
+  if (rows.length === 0) {
+    throw new Error('No invitation signing keys are registered (see pnpm invitation:keys)');
+  }
+
+  const privateKeys =
+    parseInvitationKeySet(env.INVITATION_SIGNING_KEYS, 'INVITATION_SIGNING_KEYS') ?? [];
+  const encryptionKeys = parseInvitationKeySet(
+    env.INVITATION_ENCRYPTION_KEYS,
+    'INVITATION_ENCRYPTION_KEYS'
+  );
+  if (!encryptionKeys) {
+    throw new Error('INVITATION_ENCRYPTION_KEYS must be set');
+  }
+
+  const signingJwks = [];
+  for (const row of rows) {
+    const privateJwk = privateKeys.find((jwk) => jwk.kid === row.kid);
+    if (
+      privateJwk &&
+      (await calculateJwkThumbprint(privateJwk)) !== (await calculateJwkThumbprint(row.public_jwk))
+    ) {
+      throw new Error(
+        `INVITATION_SIGNING_KEYS key "${row.kid}" does not match the registered public key`
+      );
+    }
+    signingJwks.push(privateJwk ?? row.public_jwk);
+  }
+
+  const keyring = await createInvitationKeyring({ signingKeys: signingJwks, encryptionKeys });
+
+  return {
+    ...keyring,
+    signingKeys: keyring.signingKeys.map((key, index) => ({ ...key, status: rows[index].status })),
+    ephemeral: false,
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Types for @thepia/flows-db/invitations/sheets, the spreadsheet side of a
+ * bulk invitation import.
+ */
+
+import type { ObjectSchema } from 'joi';
+
+export interface Invitee {
+  firstName: string;
+  lastName: string;
+  companyEmail: string;
+  privateEmail?: string;
+  department?: string;
+  position?: string;
+  associationStartDate?: string;
+  associationEndDate?: string;
+}
+
+/** An invitee as read from a sheet, not yet validated */
+export type SheetInvitee = Partial<Invitee> & { row: number };
+
+export interface ValidatedInvitee {
+  row: number;
+  invitee: Partial<Invitee>;
+  errors: string[];
+}
+
+/** The result of api.invitation_import_capacity */
+export interface ImportCapacity {
+  max_users: number;
+  current_users: number;
+  open_invitations: number;
+  /** Seats the open invitations hold; a cohort link holds one per use left */
+  open_seats: number;
+  available: number;
+}
+
+/** A row of api.find_invitation_duplicates */
+export interface InvitationDuplicateRow {
+  email_hash: string;
+  source: 'invitation' | 'person';
+  reference: string;
+  status: string | null;
+}
+
+export type ImportRowStatus = 'ready' | 'created' | 'invalid' | 'duplicate' | 'over_capacity';
+
+export interface ImportRow {
+  row: number;
+  status: ImportRowStatus;
+  invitee: Partial<Invitee>;
+  companyEmail: string | null;
+  errors: string[];
+  duplicates: { source: 'file' | 'invitation' | 'person'; reference: string; status?: string | null }[];
+  message: string | null;
+  invitationCode?: string;
+  link?: string;
+}
+
+export const inviteeSchema: ObjectSchema<Invitee>;
+
+export function parseInviteeCsv(text: string): SheetInvitee[];
+export function parseInviteeXlsx(data: ArrayBuffer | Uint8Array): Promise<SheetInvitee[]>;
+export function readInviteeSheet(
+  data: ArrayBuffer | Uint8Array,
+  filename?: string
+): Promise<SheetInvitee[]>;
+export function validateInvitees(invitees: Partial<SheetInvitee>[]): ValidatedInvitee[];
+export function classifyInvitees(
+  validated: ValidatedInvitee[],
+  emails: ({ hash: string; domain: string } | null)[],
+  options: {
+    duplicates: InvitationDuplicateRow[];
+    capacity: ImportCapacity;
+    allowDuplicates?: boolean;
+  }
+): ImportRow[];
+export function formatImportResults(
+  results: Pick<ImportRow, 'row' | 'status' | 'companyEmail' | 'message' | 'invitationCode' | 'link'>[]
+): string;
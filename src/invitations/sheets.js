@@ -0,0 +1,309 @@
+/**
+ * Invitee Spreadsheets
+ *
+ * Reads invitees from the CSV and XLSX files HR teams send, validates each
+ * row, sorts rows into ready, invalid, duplicate and over capacity, and
+ * writes the per-row result file of an import. Nothing here touches the
+ * database, so the CLI and the admin app's server share it.
+ */
+
+import Joi from 'joi';
+import readXlsxFile from 'read-excel-file/node';
+
+// Invitee headers (lowercased, punctuation removed) and the fields they fill
+const INVITEE_COLUMNS = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'companyEmail',
+  companyemail: 'companyEmail',
+  workemail: 'companyEmail',
+  privateemail: 'privateEmail',
+  personalemail: 'privateEmail',
+  department: 'department',
+  position: 'position',
+  title: 'position',
+  startdate: 'associationStartDate',
+  associationstartdate: 'associationStartDate',
+  enddate: 'associationEndDate',
+  associationenddate: 'associationEndDate',
+};
+
+// Columns of the result file, in order
+const RESULT_COLUMNS = ['row', 'status', 'company_email', 'invitation_code', 'link', 'message'];
+
+const email = Joi.string()
+  .trim()
+  .email({ tlds: { allow: false } });
+const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD');
+
+export const inviteeSchema = Joi.object({
+  firstName: Joi.string().trim().min(1).max(100).required(),
+  lastName: Joi.string().trim().min(1).max(100).required(),
+  companyEmail: email.required(),
+  privateEmail: email,
+  department: Joi.string().trim().max(100),
+  position: Joi.string().trim().max(100),
+  associationStartDate: date,
+  associationEndDate: date,
+});
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Quote a CSV field when it needs it
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * A spreadsheet cell as text; dates become YYYY-MM-DD
+ */
+function cellText(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Invitees from a header row and data rows. Headers are matched loosely
+ * (`First Name`, `first_name` and `firstName` all work), unknown headers are
+ * refused rather than dropped, and empty cells are left out. Each invitee
+ * carries its spreadsheet `row` number; blank rows are skipped.
+ */
+function inviteesFromRows([header, ...rows], source) {
+  if (!header) {
+    throw new Error(`${source} is empty`);
+  }
+
+  const fields = header.map((name) => {
+    const field =
+      INVITEE_COLUMNS[
+        cellText(name)
+          .toLowerCase()
+          .replace(/[^a-z0-9]/g, '')
+      ];
+    if (!field) {
+      throw new Error(`Unknown ${source} column "${cellText(name)}"`);
+    }
+    return field;
+  });
+
+  const invitees = [];
+  rows.forEach((cells, index) => {
+    const values = cells.map(cellText);
+    if (values.every((value) => value === '')) {
+      return;
+    }
+    if (values.length > fields.length && values.slice(fields.length).some(Boolean)) {
+      throw new Error(`${source} row ${index + 2} has more fields than the header`);
+    }
+
+    const invitee = { row: index + 2 };
+    fields.forEach((field, column) => {
+      if (values[column]) {
+        invitee[field] = values[column];
+      }
+    });
+    invitees.push(invitee);
+  });
+
+  return invitees;
+}
+
+/**
+ * Read invitees from CSV text with a header row
+ */
+export function parseInviteeCsv(text) {
+  return inviteesFromRows(parseCsv(text.replace(/^\uFEFF/, '')), 'CSV');
+}
+
+/**
+ * Read invitees from the first sheet of an XLSX workbook
+ */
+export async function parseInviteeXlsx(data) {
+  return inviteesFromRows(await readXlsxFile(Buffer.from(data)), 'XLSX');
+}
+
+/**
+ * Read invitees from a CSV or XLSX file, told apart by name or content
+ */
+export async function readInviteeSheet(data, filename = '') {
+  const bytes = Buffer.from(data);
+  const isZip = bytes.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+  if (/\.xlsx$/i.test(filename) || isZip) {
+    return parseInviteeXlsx(bytes);
+  }
+  if (/\.xls$/i.test(filename)) {
+    throw new Error('Legacy .xls workbooks are not supported; save the sheet as .xlsx or .csv');
+  }
+
+  return parseInviteeCsv(bytes.toString('utf8'));
+}
+
+/**
+ * Validate each invitee on its own. Returns { row, invitee, errors } per
+ * invitee, in order; `invitee` holds the trimmed values and `errors` is empty
+ * for valid rows.
+ */
+export function validateInvitees(invitees) {
+  return invitees.map(({ row, ...fields }, index) => {
+    const { error, value } = inviteeSchema.validate(fields, { abortEarly: false });
+
+    return {
+      row: row ?? index + 1,
+      invitee: value,
+      errors: error ? error.details.map((detail) => detail.message) : [],
+    };
+  });
+}
+
+/**
+ * Why an invitee is a duplicate, for the result file
+ */
+function describeDuplicates(duplicates) {
+  return duplicates
+    .map(({ source, reference, status }) =>
+      source === 'file'
+        ? `same email as ${reference}`
+        : `${source} ${reference}${status ? ` (${status})` : ''}`
+    )
+    .join('; ');
+}
+
+/**
+ * Decide what an import does with each validated invitee
+ *
+ * `emails` holds each invitee's hashInvitationEmail() result, or null for
+ * invalid rows; `duplicates` are the rows of api.find_invitation_duplicates
+ * and `capacity` is api.invitation_import_capacity. Returns one
+ * { row, status, invitee, companyEmail, errors, duplicates, message } per
+ * invitee, in order, with status ready, invalid, duplicate or over_capacity.
+ * A repeat of an email above it in the file is always a duplicate; matches in
+ * the database only block the row without `allowDuplicates`. Ready rows take
+ * the available seats in file order.
+ */
+export function classifyInvitees(validated, emails, { duplicates, capacity, allowDuplicates }) {
+  let seats = capacity.available;
+  const firstRows = new Map();
+
+  return validated.map(({ row, invitee, errors }, index) => {
+    const result = {
+      row,
+      invitee,
+      companyEmail: invitee.companyEmail ?? null,
+      errors,
+      duplicates: [],
+    };
+    const email = emails[index];
+
+    if (!email) {
+      return { ...result, status: 'invalid', message: errors.join('; ') };
+    }
+
+    if (firstRows.has(email.hash)) {
+      result.duplicates.push({ source: 'file', reference: `row ${firstRows.get(email.hash)}` });
+    } else {
+      firstRows.set(email.hash, row);
+    }
+    result.duplicates.push(
+      ...duplicates
+        .filter((duplicate) => duplicate.email_hash === email.hash)
+        .map(({ source, reference, status }) => ({ source, reference, status }))
+    );
+
+    const blocking = allowDuplicates
+      ? result.duplicates.filter((duplicate) => duplicate.source === 'file')
+      : result.duplicates;
+    if (blocking.length > 0) {
+      return { ...result, status: 'duplicate', message: describeDuplicates(result.duplicates) };
+    }
+    if (seats <= 0) {
+      return {
+        ...result,
+        status: 'over_capacity',
+        message: `No seats left under max_users (${capacity.max_users})`,
+      };
+    }
+
+    seats--;
+    return {
+      ...result,
+      status: 'ready',
+      message: result.duplicates.length > 0 ? describeDuplicates(result.duplicates) : null,
+    };
+  });
+}
+
+/**
+ * The per-row result file of an import as CSV: row, status, company_email,
+ * invitation_code, link and message
+ */
+export function formatImportResults(results) {
+  const lines = results.map((result) =>
+    [
+      result.row,
+      result.status,
+      result.companyEmail,
+      result.invitationCode,
+      result.link,
+      result.message,
+    ]
+      .map(csvField)
+      .join(',')
+  );
+
+  return `${[RESULT_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Invitation Tokens
+ *
+ * An invitation token is a nested JWT: the claims, including the invitee's
+ * PII under `invitation`, are signed with the keyring's current signing key
+ * and the signed token is encrypted to its current encryption key. Both
+ * headers carry a `kid`. api.invitations stores the compact token in
+ * jwt_token, where its PII is unreadable without the encryption key, and
+ * hashInvitationToken() of it in jwt_token_hash, which redemption looks up.
+ */
+
+import { CompactEncrypt, SignJWT, compactDecrypt, jwtVerify } from 'jose';
+import { findInvitationKey } from './keys.js';
+
+export const INVITATION_ISSUER = 'api.thepia.com';
+export const INVITATION_AUDIENCE = 'flows.thepia.net';
+export const INVITATION_EXPIRATION_SECONDS = 7 * 24 * 60 * 60;
+export const INVITATION_CONTENT_ENCRYPTION = 'A256GCM';
+
+/**
+ * Sign and encrypt an invitation for `subject` (the invitation id). The
+ * token expires `expiresIn` seconds from now unless `expiresAt` is given.
+ * Returns the compact token with its hash, jti and expiry.
+ */
+export async function issueInvitationToken(
+  keyring,
+  {
+    subject,
+    invitation,
+    expiresIn = INVITATION_EXPIRATION_SECONDS,
+    expiresAt = new Date(Date.now() + expiresIn * 1000),
+    issuer = INVITATION_ISSUER,
+    audience = INVITATION_AUDIENCE,
+    jti = globalThis.crypto.randomUUID(),
+  }
+) {
+  const [signingKey] = keyring.signingKeys;
+  const [encryptionKey] = keyring.encryptionKeys;
+
+  if (signingKey.status && signingKey.status !== 'active') {
+    throw new Error(
+      `Invitation signing key "${signingKey.kid}" is ${signingKey.status}, not active`
+    );
+  }
+  if (!signingKey.privateKey) {
+    throw new Error(`Invitation signing key "${signingKey.kid}" has no private key`);
+  }
+
+  const signed = await new SignJWT({ invitation })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: 'JWT' })
+    .setIssuer(issuer)
+    .setAudience(audience)
+    .setSubject(subject)
+    .setJti(jti)
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(expiresAt.getTime() / 1000))
+    .sign(signingKey.privateKey);
+
+  const token = await new CompactEncrypt(new TextEncoder().encode(signed))
+    .setProtectedHeader({
+      alg: encryptionKey.alg,
+      enc: INVITATION_CONTENT_ENCRYPTION,
+      kid: encryptionKey.kid,
+      cty: 'JWT',
+    })
+    .encrypt(encryptionKey.publicKey);
+
+  return { token, hash: await hashInvitationToken(token), jti, expiresAt };
+}
+
+/**
+ * Decrypt and verify a token against any key in the keyring, checking
+ * issuer, audience and expiry. Returns the claims and the kids used.
+ */
+export async function verifyInvitationToken(
+  keyring,
+  token,
+  { issuer = INVITATION_ISSUER, audience = INVITATION_AUDIENCE, currentDate } = {}
+) {
+  let encryptionKid;
+  const { plaintext, protectedHeader } = await compactDecrypt(token.trim(), (header) => {
+    encryptionKid = header.kid;
+    const key = findInvitationKey(keyring.encryptionKeys, header.kid, 'encryption');
+    if (header.alg !== key.alg || !key.privateKey) {
+      throw new Error(`Invitation encryption key "${key.kid}" cannot decrypt ${header.alg}`);
+    }
+    return key.privateKey;
+  });
+
+  if (protectedHeader.cty !== 'JWT') {
+    throw new Error('Invitation token does not contain a signed JWT');
+  }
+
+  let signingKid;
+  const { payload } = await jwtVerify(
+    new TextDecoder().decode(plaintext),
+    (header) => {
+      signingKid = header.kid;
+      const key = findInvitationKey(keyring.signingKeys, header.kid, 'signing');
+      if (header.alg !== key.alg) {
+        throw new Error(`Invitation signing key "${key.kid}" is not an ${header.alg} key`);
+      }
+      return key.publicKey;
+    },
+    { issuer, audience, currentDate, requiredClaims: ['sub', 'exp', 'jti'] }
+  );
+
+  return { payload, signingKid, encryptionKid };
+}
+
+/**
+ * Lowercase hex SHA-256 of a string, via Web Crypto
+ */
+async function sha256Hex(value) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The link an invitee opens, on the client's domain as in the admin app
+ */
+export function invitationLink(domain, invitationCode, token) {
+  return `https://${domain}/invitation/${invitationCode}?token=${token}`;
+}
+
+/**
+ * The value stored in api.invitations.jwt_token_hash: lowercase hex SHA-256
+ * of the compact token
+ */
+export async function hashInvitationToken(token) {
+  return sha256Hex(token.trim());
+}
+
+/**
+ * The email_hash and email_domain stored for an invitee instead of their
+ * address; matches api.invitation_email_hash() in the database
+ */
+export async function hashInvitationEmail(email) {
+  const normalized = email.trim().toLowerCase();
+  const domain = normalized.split('@')[1];
+
+  if (!domain) {
+    throw new Error('Invitation email must contain a domain');
+  }
+
+  return { hash: await sha256Hex(normalized), domain };
+}
@@ -0,0 +1,276 @@
+/**
+ * Schema Drift Detection
+ *
+ * Introspects a database into a flat snapshot of every object the schema
+ * files manage (relations, columns, constraints, indexes, triggers,
+ * functions, RLS policies and grants) and compares two snapshots. db:diff
+ * builds the expected snapshot by applying schemas/ to a local embedded
+ * Postgres and compares it to the live project.
+ */
+
+import { createHash } from 'node:crypto';
+
+// Schemas created or populated by the files in schemas/
+export const DRIFT_SCHEMAS = ['api', 'internal', 'audit', 'public'];
+
+// Grants to anything else (postgres, supabase_admin, ...) are platform-managed
+export const DRIFT_GRANTEES = ['PUBLIC', 'anon', 'authenticated', 'service_role'];
+
+// Report order, and the object types differences are grouped by
+export const OBJECT_TYPES = [
+  'relation',
+  'column',
+  'constraint',
+  'index',
+  'trigger',
+  'function',
+  'policy',
+  'grant',
+];
+
+// Bookkeeping for db:migrate itself, not declared by any schema file
+const IGNORED_RELATIONS = ['internal.schema_migrations'];
+
+const RELATION_KINDS = { r: 'table', p: 'table', v: 'view', m: 'materialized view' };
+
+/**
+ * Whether an object (given by its qualified name or definition) belongs to an
+ * ignored relation
+ */
+function isIgnored(name, definition = '') {
+  return IGNORED_RELATIONS.some(
+    (relation) =>
+      name === relation ||
+      name.startsWith(`${relation}.`) ||
+      definition.includes(` ON ${relation} `)
+  );
+}
+
+/**
+ * Short, stable hash of a function body or view definition
+ */
+export function hashDefinition(text) {
+  return createHash('sha256').update(text.replace(/\r\n/g, '\n').trim()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Introspect `client` into a snapshot: { '<type> <name>': definition }
+ *
+ * Runs in a read-only transaction with search_path set to pg_catalog so every
+ * deparsed expression is schema-qualified the same way on both databases.
+ */
+export async function introspectDatabase(client, schemas = DRIFT_SCHEMAS) {
+  const snapshot = {};
+  const add = (type, name, definition) => {
+    snapshot[`${type} ${name}`] = definition;
+  };
+
+  await client.query('BEGIN READ ONLY');
+
+  try {
+    await client.query('SET LOCAL search_path TO pg_catalog');
+
+    const { rows: relations } = await client.query(
+      `SELECT n.nspname || '.' || c.relname AS name, c.relkind, c.relrowsecurity,
+              CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid) END AS viewdef
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm')
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = c.oid AND d.deptype = 'e')`,
+      [schemas]
+    );
+    for (const relation of relations) {
+      if (isIgnored(relation.name)) continue;
+      const kind = RELATION_KINDS[relation.relkind];
+      const details = relation.viewdef
+        ? `definition ${hashDefinition(relation.viewdef)}`
+        : `rls ${relation.relrowsecurity ? 'enabled' : 'disabled'}`;
+      add('relation', relation.name, `${kind}, ${details}`);
+    }
+
+    const { rows: columns } = await client.query(
+      `SELECT n.nspname || '.' || c.relname AS relation, a.attname,
+              format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull, a.attgenerated,
+              pg_get_expr(d.adbin, d.adrelid) AS expression
+       FROM pg_attribute a
+       JOIN pg_class c ON c.oid = a.attrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm')
+         AND a.attnum > 0 AND NOT a.attisdropped
+         AND NOT EXISTS (SELECT 1 FROM pg_depend e WHERE e.objid = c.oid AND e.deptype = 'e')`,
+      [schemas]
+    );
+    for (const column of columns) {
+      if (isIgnored(column.relation)) continue;
+      let definition = column.type;
+      if (column.attnotnull) definition += ' not null';
+      if (column.expression) {
+        definition += column.attgenerated
+          ? ` generated always as (${column.expression}) stored`
+          : ` default ${column.expression}`;
+      }
+      add('column', `${column.relation}.${column.attname}`, definition);
+    }
+
+    const { rows: constraints } = await client.query(
+      `SELECT n.nspname || '.' || c.relname || '.' || o.conname AS name,
+              pg_get_constraintdef(o.oid) AS definition
+       FROM pg_constraint o
+       JOIN pg_class c ON c.oid = o.conrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = ANY($1) AND o.contype IN ('c', 'f', 'p', 'u', 'x')`,
+      [schemas]
+    );
+    for (const constraint of constraints) {
+      if (isIgnored(constraint.name)) continue;
+      add('constraint', constraint.name, constraint.definition);
+    }
+
+    const { rows: indexes } = await client.query(
+      `SELECT n.nspname || '.' || i.relname AS name, pg_get_indexdef(i.oid) AS definition
+       FROM pg_index x
+       JOIN pg_class i ON i.oid = x.indexrelid
+       JOIN pg_namespace n ON n.oid = i.relnamespace
+       WHERE n.nspname = ANY($1)
+         AND NOT EXISTS (SELECT 1 FROM pg_depend e WHERE e.objid = x.indrelid AND e.deptype = 'e')`,
+      [schemas]
+    );
+    for (const index of indexes) {
+      if (isIgnored(index.name, index.definition)) continue;
+      add('index', index.name, index.definition);
+    }
+
+    const { rows: triggers } = await client.query(
+      `SELECT n.nspname || '.' || c.relname || '.' || t.tgname AS name,
+              pg_get_triggerdef(t.oid) AS definition
+       FROM pg_trigger t
+       JOIN pg_class c ON c.oid = t.tgrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = ANY($1) AND NOT t.tgisinternal`,
+      [schemas]
+    );
+    for (const trigger of triggers) {
+      if (isIgnored(trigger.name)) continue;
+      add('trigger', trigger.name, trigger.definition);
+    }
+
+    const { rows: functions } = await client.query(
+      `SELECT n.nspname || '.' || p.proname || '(' || pg_get_function_identity_arguments(p.oid) || ')' AS name,
+              pg_get_function_result(p.oid) AS result, l.lanname, p.prosecdef, p.proconfig, p.prosrc
+       FROM pg_proc p
+       JOIN pg_namespace n ON n.oid = p.pronamespace
+       JOIN pg_language l ON l.oid = p.prolang
+       WHERE n.nspname = ANY($1) AND p.prokind IN ('f', 'p')
+         AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = p.oid AND d.deptype = 'e')`,
+      [schemas]
+    );
+    for (const fn of functions) {
+      let definition = `returns ${fn.result ?? 'void'} language ${fn.lanname}`;
+      if (fn.prosecdef) definition += ' security definer';
+      if (fn.proconfig) definition += ` set ${fn.proconfig.join(', ')}`;
+      definition += `, body ${hashDefinition(fn.prosrc)}`;
+      add('function', fn.name, definition);
+    }
+
+    const { rows: policies } = await client.query(
+      `SELECT schemaname || '.' || tablename || '.' || policyname AS name,
+              permissive, cmd, roles::text[] AS roles, qual, with_check
+       FROM pg_policies
+       WHERE schemaname = ANY($1)`,
+      [schemas]
+    );
+    for (const policy of policies) {
+      let definition = `${policy.permissive.toLowerCase()} ${policy.cmd} to ${[...policy.roles].sort().join(', ')}`;
+      if (policy.qual) definition += ` using ${policy.qual}`;
+      if (policy.with_check) definition += ` with check ${policy.with_check}`;
+      add('policy', policy.name, definition);
+    }
+
+    const { rows: grants } = await client.query(
+      `SELECT n.nspname || '.' || c.relname AS relation,
+              CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE pg_get_userbyid(acl.grantee) END AS grantee,
+              string_agg(acl.privilege_type, ', ' ORDER BY acl.privilege_type) AS privileges
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       CROSS JOIN LATERAL aclexplode(c.relacl) acl
+       WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm')
+       GROUP BY 1, 2`,
+      [schemas]
+    );
+    for (const grant of grants) {
+      if (!DRIFT_GRANTEES.includes(grant.grantee)) continue;
+      if (isIgnored(grant.relation)) continue;
+      add('grant', `${grant.relation} to ${grant.grantee}`, grant.privileges);
+    }
+  } finally {
+    await client.query('ROLLBACK');
+  }
+
+  return snapshot;
+}
+
+/**
+ * Compare the expected snapshot with the actual one
+ *
+ * Returns one entry per object that differs, ordered by OBJECT_TYPES then
+ * name: `missing` objects are declared but absent, `unexpected` ones exist
+ * only in the actual database.
+ */
+export function diffSnapshots(expected, actual) {
+  const differences = [];
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+
+  for (const key of keys) {
+    const separator = key.indexOf(' ');
+    const type = key.slice(0, separator);
+    const name = key.slice(separator + 1);
+    const want = expected[key];
+    const have = actual[key];
+
+    if (want === have) continue;
+
+    if (have === undefined) {
+      differences.push({ type, name, change: 'missing', expected: want });
+    } else if (want === undefined) {
+      differences.push({ type, name, change: 'unexpected', actual: have });
+    } else {
+      differences.push({ type, name, change: 'changed', expected: want, actual: have });
+    }
+  }
+
+  return differences.sort(
+    (a, b) =>
+      OBJECT_TYPES.indexOf(a.type) - OBJECT_TYPES.indexOf(b.type) || a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * Identifier to look for in schema files for a difference, e.g. the function
+ * or policy name; null for columns and grants, whose names are too generic
+ */
+function searchTerm({ type, name }) {
+  if (type === 'column' || type === 'grant') return null;
+  return name
+    .replace(/\(.*\)$/, '')
+    .split('.')
+    .pop();
+}
+
+/**
+ * Add `source`, the last schema file that mentions each differing object
+ *
+ * Points at the migration that most likely was never applied (or was applied
+ * in an older version), e.g. 26_fix_invitation_status_workflow.sql.
+ */
+export function attributeDifferences(differences, migrations) {
+  return differences.map((difference) => {
+    const term = searchTerm(difference);
+    if (!term) return difference;
+
+    const pattern = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    const source = migrations.filter((migration) => pattern.test(migration.sql)).pop();
+
+    return source ? { ...difference, source: source.filename } : difference;
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Schema Migration Manifest
+ *
+ * schemas/manifest.json declares the canonical order of the schema files,
+ * which bundle each belongs to, and which files are superseded, demo-only or
+ * manual repair scripts that tooling must never apply on its own. Every listed
+ * file has a rollback script of the same name in schemas/rollback/.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import Joi from 'joi';
+
+export const MANIFEST_FILENAME = 'manifest.json';
+export const ROLLBACK_DIR = 'rollback';
+
+const manifestSchema = Joi.object({
+  $comment: Joi.string(),
+  version: Joi.number().valid(1).required(),
+  bundles: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.object({
+        description: Joi.string().required(),
+        default: Joi.boolean().default(false),
+      })
+    )
+    .min(1)
+    .required(),
+  migrations: Joi.array()
+    .items(
+      Joi.object({
+        file: Joi.string()
+          .pattern(/^\d+_.+\.sql$/)
+          .required(),
+        bundle: Joi.string().required(),
+        supersededBy: Joi.string(),
+        demoOnly: Joi.boolean().default(false),
+        manual: Joi.boolean().default(false),
+        note: Joi.string(),
+      })
+    )
+    .min(1)
+    .required(),
+});
+
+/**
+ * Load and validate the manifest against the files in the schemas directory
+ */
+export function loadManifest(schemasDir) {
+  const raw = JSON.parse(readFileSync(join(schemasDir, MANIFEST_FILENAME), 'utf8'));
+  const { value: manifest, error } = manifestSchema.validate(raw, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid ${MANIFEST_FILENAME}: ${error.message}`);
+  }
+
+  const problems = [];
+  const listed = new Set();
+
+  manifest.migrations.forEach((entry) => {
+    if (listed.has(entry.file)) {
+      problems.push(`${entry.file} is listed more than once`);
+    }
+    listed.add(entry.file);
+
+    if (!manifest.bundles[entry.bundle]) {
+      problems.push(`${entry.file} uses unknown bundle "${entry.bundle}"`);
+    }
+  });
+
+  manifest.migrations.forEach((entry) => {
+    if (entry.supersededBy && !listed.has(entry.supersededBy)) {
+      problems.push(`${entry.file} is superseded by unlisted file ${entry.supersededBy}`);
+    }
+  });
+
+  const onDisk = readdirSync(schemasDir).filter((filename) => /^\d+_.+\.sql$/.test(filename));
+  onDisk
+    .filter((filename) => !listed.has(filename))
+    .forEach((filename) => problems.push(`${filename} is not listed in ${MANIFEST_FILENAME}`));
+  [...listed]
+    .filter((filename) => !onDisk.includes(filename))
+    .forEach((filename) => problems.push(`${filename} is listed but missing from disk`));
+
+  const rollbackDir = join(schemasDir, ROLLBACK_DIR);
+  const rollbacks = existsSync(rollbackDir)
+    ? readdirSync(rollbackDir).filter((filename) => /^\d+_.+\.sql$/.test(filename))
+    : [];
+  [...listed]
+    .filter((filename) => !rollbacks.includes(filename))
+    .forEach((filename) => problems.push(`${filename} has no ${ROLLBACK_DIR}/${filename}`));
+  rollbacks
+    .filter((filename) => !listed.has(filename))
+    .forEach((filename) =>
+      problems.push(`${ROLLBACK_DIR}/${filename} does not match a listed schema file`)
+    );
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${MANIFEST_FILENAME}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Bundles applied when none are requested explicitly
+ */
+export function getDefaultBundles(manifest) {
+  return Object.entries(manifest.bundles)
+    .filter(([, bundle]) => bundle.default)
+    .map(([name]) => name);
+}
+
+/**
+ * Resolve requested bundle names, rejecting unknown ones
+ */
+export function resolveBundles(manifest, bundles) {
+  if (!bundles || bundles.length === 0) {
+    return getDefaultBundles(manifest);
+  }
+
+  const unknown = bundles.filter((name) => !manifest.bundles[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown bundle(s): ${unknown.join(', ')} (available: ${Object.keys(manifest.bundles).join(', ')})`
+    );
+  }
+
+  return bundles;
+}
+
+/**
+ * Whether tooling should apply an entry for the selected bundles
+ */
+export function isApplicable(entry, bundles) {
+  return bundles.includes(entry.bundle) && !entry.supersededBy && !entry.manual;
+}
@@ -0,0 +1,242 @@
+/**
+ * Schema Migration Runner
+ *
+ * Applies the SQL files in schemas/ in manifest order and records each applied
+ * version with its checksum in internal.schema_migrations. A file whose content
+ * changed after it was applied is reported as modified and blocks further runs.
+ * Rollbacks run the paired script from schemas/rollback/ and delete the record.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ROLLBACK_DIR, isApplicable, loadManifest } from './manifest.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SCHEMAS_DIR = join(__dirname, '..', '..', 'schemas');
+export const MIGRATIONS_TABLE = 'internal.schema_migrations';
+
+// A rollback script containing this line cannot undo its schema file
+const IRREVERSIBLE_MARKER = /^--\s*irreversible\s*$/m;
+
+// Arbitrary constant shared by every runner so only one can migrate at a time
+const MIGRATION_LOCK_ID = 7_202_501;
+
+/**
+ * Compute the checksum recorded for a migration file
+ */
+export function checksumSql(sql) {
+  return createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Load every schema file listed in the manifest, in manifest order
+ *
+ * Superseded, manual and demo-only entries are included with their flags so
+ * callers can report on them; planMigrations decides what actually runs.
+ */
+export function loadMigrations(schemasDir = SCHEMAS_DIR) {
+  const manifest = loadManifest(schemasDir);
+
+  return manifest.migrations.map((entry) => {
+    const path = join(schemasDir, entry.file);
+    const sql = readFileSync(path, 'utf8');
+    const rollbackPath = join(schemasDir, ROLLBACK_DIR, entry.file);
+    const rollbackSql = readFileSync(rollbackPath, 'utf8');
+
+    return {
+      ...entry,
+      version: entry.file.replace(/\.sql$/, ''),
+      filename: entry.file,
+      path,
+      sql,
+      checksum: checksumSql(sql),
+      rollbackPath,
+      rollbackSql,
+      irreversible: IRREVERSIBLE_MARKER.test(rollbackSql),
+    };
+  });
+}
+
+/**
+ * Create the migrations tracking table if it does not exist yet
+ */
+export async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE SCHEMA IF NOT EXISTS internal;
+
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version TEXT PRIMARY KEY,
+      filename TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      applied_by TEXT NOT NULL DEFAULT current_user,
+      execution_time_ms INTEGER,
+      baseline BOOLEAN NOT NULL DEFAULT FALSE
+    );
+
+    COMMENT ON TABLE ${MIGRATIONS_TABLE} IS 'Schema files applied by scripts/migrate.js';
+  `);
+}
+
+/**
+ * Fetch applied migrations keyed by version
+ */
+export async function getAppliedMigrations(client) {
+  const { rows } = await client.query(
+    `SELECT version, filename, checksum, applied_at, applied_by, execution_time_ms, baseline
+     FROM ${MIGRATIONS_TABLE}
+     ORDER BY version`
+  );
+
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Compare files on disk with applied migrations
+ *
+ * Returns the pending migrations for the selected bundles (optionally limited
+ * to `to`), applied files whose checksum no longer matches, and applied
+ * versions missing from the manifest.
+ */
+export function planMigrations(migrations, applied, { to, bundles } = {}) {
+  if (to && !migrations.some((migration) => migration.version === to)) {
+    throw new Error(`Unknown target version "${to}"`);
+  }
+
+  const selectedBundles = bundles ?? [...new Set(migrations.map((migration) => migration.bundle))];
+  const pending = [];
+  const modified = [];
+  let reachedTarget = false;
+
+  for (const migration of migrations) {
+    const record = applied.get(migration.version);
+
+    if (record) {
+      if (record.checksum !== migration.checksum) {
+        modified.push({ ...migration, appliedChecksum: record.checksum });
+      }
+    } else if (!reachedTarget && isApplicable(migration, selectedBundles)) {
+      pending.push(migration);
+    }
+
+    if (migration.version === to) {
+      reachedTarget = true;
+    }
+  }
+
+  const versionsOnDisk = new Set(migrations.map((migration) => migration.version));
+  const missing = [...applied.values()].filter((record) => !versionsOnDisk.has(record.version));
+
+  return { pending, modified, missing };
+}
+
+/**
+ * Applied migrations to undo to get back to version `to`, newest first
+ *
+ * Everything applied after `to` in manifest order is rolled back. Files whose
+ * rollback script is marked irreversible are returned separately so callers
+ * can refuse the whole plan.
+ */
+export function planRollback(migrations, applied, to) {
+  const targetIndex = migrations.findIndex((migration) => migration.version === to);
+
+  if (targetIndex === -1) {
+    throw new Error(`Unknown target version "${to}"`);
+  }
+
+  if (!applied.has(to)) {
+    throw new Error(`Target version "${to}" has not been applied`);
+  }
+
+  const rollback = migrations
+    .slice(targetIndex + 1)
+    .filter((migration) => applied.has(migration.version))
+    .reverse();
+
+  return {
+    rollback,
+    irreversible: rollback.filter((migration) => migration.irreversible),
+  };
+}
+
+/**
+ * Record a migration as applied
+ */
+export async function recordMigration(
+  client,
+  migration,
+  { executionTimeMs = null, baseline = false } = {}
+) {
+  await client.query(
+    `INSERT INTO ${MIGRATIONS_TABLE} (version, filename, checksum, execution_time_ms, baseline)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [migration.version, migration.filename, migration.checksum, executionTimeMs, baseline]
+  );
+}
+
+/**
+ * Apply a single migration file and its tracking record in one transaction
+ */
+export async function applyMigration(client, migration) {
+  const startedAt = Date.now();
+
+  await client.query('BEGIN');
+
+  try {
+    await client.query(migration.sql);
+    // Schema files set search_path for convenience; don't leak it into the next file
+    await client.query('RESET search_path');
+    await recordMigration(client, migration, { executionTimeMs: Date.now() - startedAt });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${migration.filename}: ${error.message}`;
+    throw error;
+  }
+
+  return Date.now() - startedAt;
+}
+
+/**
+ * Run a migration's rollback script and delete its record in one transaction
+ */
+export async function rollbackMigration(client, migration) {
+  const startedAt = Date.now();
+
+  await client.query('BEGIN');
+
+  try {
+    await client.query(migration.rollbackSql);
+    await client.query('RESET search_path');
+    await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${ROLLBACK_DIR}/${migration.filename}: ${error.message}`;
+    throw error;
+  }
+
+  return Date.now() - startedAt;
+}
+
+/**
+ * Run `fn` while holding the session-level migration lock
+ */
+export async function withMigrationLock(client, fn) {
+  const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [
+    MIGRATION_LOCK_ID,
+  ]);
+
+  if (!rows[0].locked) {
+    throw new Error('Another migration run holds the migration lock');
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
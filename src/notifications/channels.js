@@ -0,0 +1,134 @@
+/**
+ * Notification Channels
+ *
+ * One adapter per delivery method in api.invitations.delivery_methods. An
+ * adapter is { send(message, recipient, notification) } resolving to
+ * { messageId }; it throws when the message cannot be delivered, and the
+ * error becomes that channel's entry in delivery_status. `message` is the
+ * rendered { subject, text }, `recipient` what the invitation token says
+ * about the invitee ({ email, phone, firstName }) and `notification` the
+ * claimed api.invitations row.
+ */
+
+import nodemailer from 'nodemailer';
+
+export const DEFAULT_EMAIL_FROM = 'Thepia Flows <no-reply@thepia.com>';
+
+// Post to a channel the team reads rather than to the invitee, so they get
+// neither the invitee's details nor the invitation link with its token
+export const TEAM_CHANNELS = ['discord', 'slack'];
+
+/**
+ * Email over SMTP. `transport` is an SMTP URL or nodemailer transport
+ * options.
+ */
+export function createEmailChannel({ transport, from = DEFAULT_EMAIL_FROM }) {
+  const transporter = nodemailer.createTransport(transport);
+
+  return {
+    async send(message, recipient) {
+      if (!recipient.email) {
+        throw new Error('The invitation token has no email address');
+      }
+
+      const info = await transporter.sendMail({
+        from,
+        to: recipient.email,
+        subject: message.subject,
+        text: message.text,
+      });
+      return { messageId: info.messageId };
+    },
+    close() {
+      transporter.close();
+    },
+  };
+}
+
+/**
+ * Request bodies of the webhook channels
+ */
+export const WEBHOOK_PAYLOADS = {
+  // An SMS gateway that takes { to, body }
+  sms(message, recipient) {
+    if (!recipient.phone) {
+      throw new Error('The invitation token has no phone number');
+    }
+    return { to: recipient.phone, body: `${message.subject}\n\n${message.text}` };
+  },
+  // A push gateway that looks up the devices registered for the invitation
+  push(message, _recipient, notification) {
+    return { invitation_id: notification.id, title: message.subject, body: message.text };
+  },
+  discord(message) {
+    return { content: `**${message.subject}**\n${message.text}` };
+  },
+  slack(message) {
+    return { text: `*${message.subject}*\n${message.text}` };
+  },
+};
+
+/**
+ * A channel that POSTs WEBHOOK_PAYLOADS[kind] as JSON to `url`
+ */
+export function createWebhookChannel(kind, url, { token = null, fetch = globalThis.fetch } = {}) {
+  const payload = WEBHOOK_PAYLOADS[kind];
+  if (!payload) {
+    throw new Error(`Unknown webhook channel "${kind}"`);
+  }
+
+  return {
+    async send(message, recipient, notification) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify(payload(message, recipient, notification)),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${kind} webhook responded ${response.status} ${response.statusText}`);
+      }
+      return { messageId: response.headers.get('x-message-id') };
+    },
+  };
+}
+
+/**
+ * The channels configured in the environment:
+ *
+ *   NOTIFICATION_SMTP_URL             email, e.g. smtp://localhost:1025
+ *   NOTIFICATION_EMAIL_FROM           sender address
+ *   NOTIFICATION_SMS_WEBHOOK_URL      sms gateway
+ *   NOTIFICATION_PUSH_WEBHOOK_URL     push gateway
+ *   NOTIFICATION_WEBHOOK_TOKEN        bearer token for the sms and push gateways
+ *   NOTIFICATION_DISCORD_WEBHOOK_URL  discord
+ *   NOTIFICATION_SLACK_WEBHOOK_URL    slack
+ */
+export function createChannels(env = globalThis.process?.env ?? {}) {
+  const channels = {};
+  const token = env.NOTIFICATION_WEBHOOK_TOKEN || null;
+
+  if (env.NOTIFICATION_SMTP_URL) {
+    channels.email = createEmailChannel({
+      transport: env.NOTIFICATION_SMTP_URL,
+      from: env.NOTIFICATION_EMAIL_FROM || DEFAULT_EMAIL_FROM,
+    });
+  }
+  if (env.NOTIFICATION_SMS_WEBHOOK_URL) {
+    channels.sms = createWebhookChannel('sms', env.NOTIFICATION_SMS_WEBHOOK_URL, { token });
+  }
+  if (env.NOTIFICATION_PUSH_WEBHOOK_URL) {
+    channels.push = createWebhookChannel('push', env.NOTIFICATION_PUSH_WEBHOOK_URL, { token });
+  }
+  if (env.NOTIFICATION_DISCORD_WEBHOOK_URL) {
+    channels.discord = createWebhookChannel('discord', env.NOTIFICATION_DISCORD_WEBHOOK_URL);
+  }
+  if (env.NOTIFICATION_SLACK_WEBHOOK_URL) {
+    channels.slack = createWebhookChannel('slack', env.NOTIFICATION_SLACK_WEBHOOK_URL);
+  }
+
+  return channels;
+}
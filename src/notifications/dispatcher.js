@@ -0,0 +1,339 @@
+/**
+ * Notification Dispatcher
+ *
+ * Drains the notification queue on api.invitations (schemas/25, 37 and 38)
+ * without n8n: due notifications are leased to this worker in batches with
+ * api.claim_notifications, rendered per delivery method from the
+ * api.notification_templates version for their message_template, client and
+ * locale, sent through that method's channel adapter, and written back with
+ * api.record_notification_delivery. Workers can run
+ * side by side; a notification whose worker died is reclaimed once its lease
+ * expires. Channels already sent in an earlier attempt are not sent again.
+ *
+ * The invitee's notification preferences (schemas/41) decide the channels
+ * and the time: methods they turned off are recorded as skipped, and a
+ * notification due during their quiet hours or collected into their digest
+ * goes back to the queue until then.
+ *
+ * The invitee's address is only in the encrypted jwt_token, so the
+ * dispatcher needs the invitation keyring to reach them. Team channels
+ * (discord, slack) render without the invitee's name and the invitation
+ * link, so a template that needs them fails there instead of posting them.
+ */
+
+import { hostname } from 'node:os';
+import { invitationLink, verifyInvitationToken } from '../invitations/tokens.js';
+import { TEAM_CHANNELS } from './channels.js';
+import { planNotificationDelivery } from './preferences.js';
+import { notificationLocale, renderNotification } from './templates.js';
+
+export const NOTIFICATION_QUEUE_CHANNEL = 'notification_queue';
+
+// Long enough for a batch of sends; a dead worker's batch waits this long
+export const DEFAULT_LEASE_SECONDS = 300;
+
+/**
+ * A worker id that tells the running dispatchers apart
+ */
+export function defaultWorkerId() {
+  return `${hostname()}:${process.pid}`;
+}
+
+/**
+ * What the invitation token says about the invitee, or {} without a token
+ * that decrypts. Expired invitations still get their notifications: only the
+ * signature, issuer and audience are checked.
+ */
+export async function readRecipient(keyring, token) {
+  if (!token || !keyring) {
+    return {};
+  }
+
+  try {
+    const { payload } = await verifyInvitationToken(keyring, token, { currentDate: new Date(0) });
+    const invitee = payload.invitation?.invitee ?? {};
+
+    return {
+      email: invitee.companyEmail ?? invitee.privateEmail ?? invitee.email ?? null,
+      phone: invitee.phone ?? null,
+      firstName: invitee.firstName ?? invitee.fullName?.split(' ')[0] ?? null,
+    };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * The variables a template can use: the invitation's own, then template_data
+ */
+async function templateVariables(client, notification, recipient) {
+  const { rows } = await client.query('SELECT domain, legal_name FROM api.clients WHERE id = $1', [
+    notification.client_id,
+  ]);
+  const [tenant] = rows;
+
+  return {
+    first_name: recipient.firstName ?? 'there',
+    invitation_code: notification.invitation_code,
+    expires_on: notification.expires_at?.toISOString().slice(0, 10),
+    client_name: tenant?.legal_name,
+    invitation_link:
+      tenant && notification.jwt_token
+        ? invitationLink(tenant.domain, notification.invitation_code, notification.jwt_token)
+        : undefined,
+    ...notification.template_data,
+  };
+}
+
+/**
+ * The variables for `method`: a team channel does not get the invitee's name
+ * or the link that redeems the invitation
+ */
+function variablesFor(method, variables) {
+  if (!TEAM_CHANNELS.includes(method)) {
+    return variables;
+  }
+
+  const { first_name, invitation_link, ...shared } = variables;
+  return shared;
+}
+
+/**
+ * The delivery methods of a notification that are neither sent nor skipped
+ * yet
+ */
+function pendingMethods(notification) {
+  return (notification.delivery_methods ?? ['email']).filter(
+    (method) => !['sent', 'skipped'].includes(notification.delivery_status?.[method]?.status)
+  );
+}
+
+/**
+ * Plan a claimed notification by the invitee's preferences, as of when it
+ * became due. `template_data` may set its priority and mark it as compliance.
+ */
+function planDelivery(client, notification) {
+  const templateData = notification.template_data ?? {};
+
+  return planNotificationDelivery(client, {
+    clientId: notification.client_id,
+    emailHash: notification.email_hash ?? null,
+    type: notification.message_template,
+    priority: templateData.priority ?? 'medium',
+    channels: pendingMethods(notification),
+    compliance: templateData.compliance === true,
+    at: notification.send_after ?? new Date(),
+  });
+}
+
+/**
+ * Send a claimed notification through `methods`, rendering the template for
+ * each channel, and skip its other pending methods. Resolves to
+ * { [method]: { status, message_id | error } }.
+ */
+async function deliverNotification(client, notification, { methods, channels, keyring }) {
+  const results = {};
+  for (const method of pendingMethods(notification)) {
+    if (!methods.includes(method)) {
+      results[method] = { status: 'skipped' };
+    }
+  }
+
+  let recipient;
+  let variables;
+  let locale;
+  try {
+    recipient = await readRecipient(keyring, notification.jwt_token);
+    variables = await templateVariables(client, notification, recipient);
+    locale = await notificationLocale(client, notification);
+  } catch (error) {
+    for (const method of methods) {
+      results[method] = { status: 'failed', error: error.message };
+    }
+    return results;
+  }
+
+  for (const method of methods) {
+    const channel = channels[method];
+    if (!channel) {
+      results[method] = { status: 'failed', error: `No ${method} channel is configured` };
+      continue;
+    }
+
+    try {
+      const message = await renderNotification(client, {
+        templateKey: notification.message_template,
+        clientId: notification.client_id,
+        locale,
+        channel: method,
+        variables: variablesFor(method, variables),
+        customMessage: notification.custom_message,
+      });
+      const { messageId } = await channel.send(
+        message,
+        TEAM_CHANNELS.includes(method) ? {} : recipient,
+        notification
+      );
+      results[method] = { status: 'sent', message_id: messageId ?? null };
+    } catch (error) {
+      results[method] = { status: 'failed', error: error.message };
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Lease up to `limit` due notifications to `workerId` and deliver them, one
+ * at a time.
+ *
+ * Resolves to { id, status, results } per notification delivered, where
+ * status is the notification_status recorded: sent, retry_scheduled,
+ * cancelled (every method skipped) or failed. It is lease_lost when the lease
+ * expired during the batch and another worker reclaimed the notification, or
+ * already recorded it; that worker's outcome stands and the batch goes on. A
+ * notification held by the invitee's preferences is deferred, with
+ * { deliverAt, heldFor } and no results. When planning or delivering one
+ * notification throws, its pending methods are recorded as failed with the
+ * error and the batch goes on.
+ */
+export async function dispatchNotifications(
+  client,
+  {
+    channels,
+    keyring = null,
+    limit = 25,
+    workerId = defaultWorkerId(),
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+  }
+) {
+  const { rows: claimed } = await client.query(
+    'SELECT * FROM api.claim_notifications($1, $2, $3)',
+    [workerId, limit, leaseSeconds]
+  );
+  const dispatched = [];
+
+  for (const notification of claimed) {
+    const { id } = notification;
+    let plan;
+    let held = false;
+    let results = {};
+    try {
+      plan = await planDelivery(client, notification);
+      held = plan.heldFor !== null && plan.deliverAt > new Date();
+      if (!held) {
+        results = await deliverNotification(client, notification, {
+          methods: plan.channels,
+          channels,
+          keyring,
+        });
+      }
+    } catch (error) {
+      results = Object.fromEntries(
+        pendingMethods(notification).map((method) => [
+          method,
+          { status: 'failed', error: error.message },
+        ])
+      );
+    }
+
+    try {
+      if (held) {
+        await client.query('SELECT api.defer_notification($1, $2, $3)', [
+          id,
+          plan.deliverAt,
+          workerId,
+        ]);
+        dispatched.push({
+          id,
+          status: 'deferred',
+          results,
+          deliverAt: plan.deliverAt,
+          heldFor: plan.heldFor,
+        });
+        continue;
+      }
+
+      const { rows } = await client.query(
+        'SELECT notification_status FROM api.record_notification_delivery($1, $2, $3)',
+        [id, JSON.stringify(results), workerId]
+      );
+      dispatched.push({ id, status: rows[0].notification_status, results });
+    } catch (error) {
+      if (!/is not leased to|not found or not processing/.test(error.message)) {
+        throw error;
+      }
+      dispatched.push({ id, status: 'lease_lost', results });
+    }
+  }
+
+  return dispatched;
+}
+
+/**
+ * Keep dispatching: on start, whenever a notification is queued (LISTEN
+ * notification_queue) and every `intervalMs` for delayed sends and retries.
+ * Passes never overlap; a wake-up during a pass runs another one after it.
+ * `client` must stay dedicated to the dispatcher while it runs.
+ *
+ * Resolves to { run, stop }; stop waits for the current pass.
+ */
+export async function startDispatcher(
+  client,
+  { intervalMs = 30_000, listen = true, onDispatched = () => {}, onError = () => {}, ...options }
+) {
+  let running = null;
+  let again = false;
+  let stopped = false;
+
+  const pass = async () => {
+    do {
+      again = false;
+      try {
+        const dispatched = await dispatchNotifications(client, options);
+        if (dispatched.length > 0) {
+          onDispatched(dispatched);
+        }
+      } catch (error) {
+        onError(error);
+      }
+    } while (again && !stopped);
+  };
+
+  const run = () => {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = pass().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  const onNotification = (message) => {
+    if (message.channel === NOTIFICATION_QUEUE_CHANNEL && !stopped) {
+      run();
+    }
+  };
+
+  if (listen) {
+    client.on('notification', onNotification);
+    await client.query(`LISTEN ${NOTIFICATION_QUEUE_CHANNEL}`);
+  }
+  const timer = setInterval(run, intervalMs);
+  await run();
+
+  return {
+    run,
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      await running;
+      if (listen) {
+        client.off('notification', onNotification);
+        await client.query(`UNLISTEN ${NOTIFICATION_QUEUE_CHANNEL}`);
+      }
+    },
+  };
+}
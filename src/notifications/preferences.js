@@ -0,0 +1,44 @@
+/**
+ * Notification Preferences
+ *
+ * Each user of a client keeps their preferences in
+ * api.notification_preferences (schemas/41_notification_preferences.sql):
+ * the channels each notification type and priority may use, quiet hours in
+ * their timezone and a daily or weekly digest. Planning a delivery against
+ * them happens in the database, so the dispatcher and the notifications
+ * table apply them the same way.
+ */
+
+/**
+ * Plan a notification by its recipient's preferences, found by `userId` or,
+ * without one, by the hash of their email. Resolves to { channels, deliverAt,
+ * heldFor }: the channels left of `channels`, and when to deliver, which is
+ * later than `at` when heldFor is 'digest' or 'quiet_hours'. Urgent
+ * `compliance` notifications go out during quiet hours unless the user turned
+ * that off.
+ */
+export async function planNotificationDelivery(
+  client,
+  {
+    clientId,
+    userId = null,
+    emailHash = null,
+    type,
+    priority = 'medium',
+    channels,
+    compliance = false,
+    at = new Date(),
+  }
+) {
+  const { rows } = await client.query(
+    'SELECT * FROM api.plan_notification_delivery($1, $2, $3, $4, $5, $6, $7, $8)',
+    [clientId, userId, emailHash, type, priority, channels, compliance, at]
+  );
+  const [plan] = rows;
+
+  return {
+    channels: plan.channels,
+    deliverAt: plan.deliver_at,
+    heldFor: plan.held_for,
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Local SMTP Sink
+ *
+ * An SMTP server that accepts every message and keeps it in memory, so the
+ * dispatcher can be run end to end without a mail provider (and without
+ * n8n). Point NOTIFICATION_SMTP_URL at it: smtp://127.0.0.1:1025. Uses the
+ * dev dependencies smtp-server and mailparser.
+ */
+
+import { simpleParser } from 'mailparser';
+import smtpServer from 'smtp-server';
+
+/**
+ * Start the sink on `port` (0 picks a free one).
+ *
+ * Resolves to { port, messages, close }: messages fills with
+ * { from, to, subject, text, messageId, receivedAt } as mail arrives, and
+ * onMessage is called with each one.
+ */
+export async function startSmtpSink({ port = 1025, host = '127.0.0.1', onMessage } = {}) {
+  const messages = [];
+
+  const server = new smtpServer.SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      simpleParser(stream).then((parsed) => {
+        const message = {
+          from: session.envelope.mailFrom ? session.envelope.mailFrom.address : null,
+          to: session.envelope.rcptTo.map((recipient) => recipient.address),
+          subject: parsed.subject ?? '',
+          text: parsed.text ?? '',
+          messageId: parsed.messageId ?? null,
+          receivedAt: new Date(),
+        };
+        messages.push(message);
+        onMessage?.(message);
+        callback();
+      }, callback);
+    },
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    port: server.server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
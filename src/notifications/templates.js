@@ -0,0 +1,146 @@
+/**
+ * Notification Templates
+ *
+ * The messages behind api.invitations.message_template live in
+ * api.notification_templates (schemas/39_notification_templates.sql):
+ * versioned per client, locale and channel, with {{variable}} placeholders
+ * declared in a JSON schema. Resolving, rendering and previewing happen in
+ * the database, so the dispatcher, the CLI and the admin app render the same
+ * way.
+ */
+
+/**
+ * The locale for a notification: `template_data.locale` when it is set,
+ * otherwise api.notification_locale() from the offboarding workflow in
+ * `template_data.offboarding_workflow_id` or the account contact with the
+ * invitation's email_hash
+ */
+export async function notificationLocale(client, notification) {
+  const templateData = notification.template_data ?? {};
+  if (templateData.locale) {
+    return templateData.locale;
+  }
+
+  const { rows } = await client.query('SELECT api.notification_locale($1, $2, $3) AS locale', [
+    notification.client_id,
+    notification.email_hash ?? null,
+    templateData.offboarding_workflow_id ?? null,
+  ]);
+  return rows[0].locale;
+}
+
+/**
+ * Render template `templateKey` for a client, locale and channel to
+ * { subject, text, templateId, templateVersion, locale }. Throws when the
+ * template does not exist for the channel or a variable is missing or of the
+ * wrong type. A custom message replaces the body.
+ */
+export async function renderNotification(
+  client,
+  {
+    templateKey,
+    clientId = null,
+    locale = 'en',
+    channel = 'email',
+    variables = {},
+    customMessage = null,
+  }
+) {
+  const { rows } = await client.query(
+    'SELECT * FROM api.render_notification($1, $2, $3, $4, $5, $6)',
+    [templateKey, clientId, locale, channel, JSON.stringify(variables), customMessage]
+  );
+  const [rendered] = rows;
+
+  return {
+    subject: rendered.subject,
+    text: rendered.body,
+    templateId: rendered.template_id,
+    templateVersion: rendered.template_version,
+    locale: rendered.template_locale,
+  };
+}
+
+/**
+ * The template `templateKey` resolves to for a client, locale and channel,
+ * or null
+ */
+export async function resolveNotificationTemplate(
+  client,
+  { templateKey, clientId = null, locale = 'en', channel = 'email' }
+) {
+  const { rows } = await client.query(
+    'SELECT * FROM api.resolve_notification_template($1, $2, $3, $4) WHERE id IS NOT NULL',
+    [templateKey, clientId, locale, channel]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Render a template with its examples filling in for missing variables.
+ * Resolves to { subject, text, missing }, where `missing` lists the variables
+ * with neither a value nor an example.
+ */
+export async function previewNotificationTemplate(client, templateId, variables = {}) {
+  const { rows } = await client.query('SELECT * FROM api.preview_notification_template($1, $2)', [
+    templateId,
+    JSON.stringify(variables),
+  ]);
+  const [preview] = rows;
+  return { subject: preview.subject, text: preview.body, missing: preview.missing };
+}
+
+/**
+ * Publish the next version of a template, which is used from then on
+ */
+export async function publishNotificationTemplate(
+  client,
+  {
+    templateKey,
+    subject,
+    body,
+    variables = { type: 'object', properties: {} },
+    clientId = null,
+    locale = 'en',
+    channel = 'email',
+    createdBy = 'system',
+    description = null,
+  }
+) {
+  const { rows } = await client.query(
+    'SELECT * FROM api.publish_notification_template($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+    [
+      templateKey,
+      subject,
+      body,
+      JSON.stringify(variables),
+      clientId,
+      locale,
+      channel,
+      createdBy,
+      description,
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Template versions, newest first: the global ones and, with `clientId`, that
+ * client's own
+ */
+export async function listNotificationTemplates(
+  client,
+  { templateKey = null, clientId = null } = {}
+) {
+  const { rows } = await client.query(
+    `SELECT t.id, t.template_key, c.client_code, t.locale, t.channel, t.version, t.subject,
+            t.is_active, t.created_by, t.created_at
+     FROM api.notification_templates t
+     LEFT JOIN api.clients c ON c.id = t.client_id
+     WHERE ($1::TEXT IS NULL OR t.template_key = $1)
+       AND (t.client_id IS NULL OR t.client_id = $2)
+     ORDER BY t.template_key, c.client_code NULLS FIRST, t.locale, t.channel, t.version DESC`,
+    [templateKey, clientId]
+  );
+  return rows;
+}
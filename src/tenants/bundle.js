@@ -0,0 +1,548 @@
+/**
+ * Tenant Bundles
+ *
+ * A tenant bundle is a directory holding every api.* row that belongs to one
+ * client: a manifest.json describing the export plus one NDJSON file per
+ * table. Rows are exported with row_to_json so values round-trip exactly, and
+ * restored in a single transaction with user triggers disabled so timestamps,
+ * balances and audit rows are loaded as they were. Foreign keys stay enforced.
+ */
+
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import Joi from 'joi';
+import { getAppliedMigrations, loadMigrations } from '../migrations/runner.js';
+
+export const BUNDLE_FORMAT = 'flows-db-tenant-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_MANIFEST = 'manifest.json';
+
+const RESTORE_BATCH_SIZE = 500;
+const CLIENT_DOMAINS = ['.thepia.net', '.thepia.com'];
+
+/**
+ * Order tenant tables so every table follows the tables it references
+ *
+ * Ties keep alphabetical order, so clients (referenced by every other tenant
+ * table) comes first and exports are stable.
+ */
+function sortTenantTables(tables) {
+  const sorted = [];
+  const pending = new Map(tables.map((table) => [table.name, table]));
+
+  while (pending.size > 0) {
+    const ready = [...pending.values()].find((table) =>
+      table.references.every((ref) => ref.table === table.name || !pending.has(ref.table))
+    );
+
+    if (!ready) {
+      throw new Error(`Foreign key cycle between api.${[...pending.keys()].join(', api.')}`);
+    }
+
+    sorted.push(ready);
+    pending.delete(ready.name);
+  }
+
+  return sorted;
+}
+
+/**
+ * Work out the tenant tables from the api schema's foreign keys
+ *
+ * A table belongs to a tenant when it references api.clients through
+ * client_id, or when it references another tenant table (e.g.
+ * people_enrollments through people). `where` selects the tenant's rows given
+ * the client id as $1, and `key` is the uuid primary key a restore under a new
+ * client_code gives fresh values.
+ *
+ * @param {Array<{table: string, column: string, refTable: string, refColumn: string}>} foreignKeys
+ * @param {Array<{table: string, column: string, type: string}>} primaryKeys
+ */
+export function planTenantTables(foreignKeys, primaryKeys) {
+  const tenant = new Set(['clients']);
+  let grown = true;
+
+  while (grown) {
+    grown = false;
+    for (const fk of foreignKeys) {
+      const owned = fk.refTable === 'clients' ? fk.column === 'client_id' : tenant.has(fk.refTable);
+      if (owned && !tenant.has(fk.table)) {
+        tenant.add(fk.table);
+        grown = true;
+      }
+    }
+  }
+
+  const tables = sortTenantTables(
+    [...tenant].sort().map((name) => {
+      const primaryKey = primaryKeys.filter((pk) => pk.table === name);
+      const references = foreignKeys
+        .filter((fk) => fk.table === name && tenant.has(fk.refTable))
+        .map(({ column, refTable, refColumn }) => ({ column, table: refTable, refColumn }));
+      const [onlyKey] = primaryKey;
+      const key =
+        primaryKey.length === 1 &&
+        onlyKey.type === 'uuid' &&
+        !references.some((ref) => ref.column === onlyKey.column)
+          ? onlyKey.column
+          : null;
+
+      return {
+        name,
+        references,
+        key,
+        orderBy: primaryKey.map((pk) => `"${pk.column}"`).join(', ') || 'row',
+      };
+    })
+  );
+
+  const byName = new Map();
+  for (const table of tables) {
+    let where;
+
+    if (table.name === 'clients') {
+      where = 'id = $1';
+    } else if (
+      table.references.some((ref) => ref.table === 'clients' && ref.column === 'client_id')
+    ) {
+      where = 'client_id = $1';
+    } else {
+      where = table.references
+        .filter((ref) => ref.table !== table.name)
+        .map(
+          (ref) =>
+            `"${ref.column}" IN (SELECT "${ref.refColumn}" FROM api.${ref.table} WHERE ${byName.get(ref.table).where})`
+        )
+        .join(' OR ');
+    }
+
+    byName.set(table.name, { ...table, where });
+  }
+
+  return [...byName.values()];
+}
+
+/**
+ * Tenant tables of the connected database, in foreign key order
+ */
+export async function getTenantTables(client) {
+  const { rows: foreignKeys } = await client.query(
+    `SELECT child.relname AS "table", ca.attname AS "column",
+            parent.relname AS "refTable", pa.attname AS "refColumn"
+     FROM pg_constraint c
+     JOIN pg_class child ON child.oid = c.conrelid
+     JOIN pg_class parent ON parent.oid = c.confrelid
+     JOIN pg_attribute ca ON ca.attrelid = c.conrelid AND ca.attnum = c.conkey[1]
+     JOIN pg_attribute pa ON pa.attrelid = c.confrelid AND pa.attnum = c.confkey[1]
+     WHERE c.contype = 'f' AND cardinality(c.conkey) = 1
+       AND child.relnamespace = 'api'::regnamespace
+       AND parent.relnamespace = 'api'::regnamespace
+     ORDER BY 1, 2`
+  );
+  const { rows: primaryKeys } = await client.query(
+    `SELECT r.relname AS "table", a.attname AS "column", format_type(a.atttypid, NULL) AS type
+     FROM pg_constraint c
+     JOIN pg_class r ON r.oid = c.conrelid
+     JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+     WHERE c.contype = 'p' AND r.relnamespace = 'api'::regnamespace
+     ORDER BY 1, array_position(c.conkey, a.attnum)`
+  );
+
+  return planTenantTables(foreignKeys, primaryKeys);
+}
+
+/**
+ * Unique indexes of the api schema as { table, columns }, leaving out primary
+ * keys and partial or expression indexes
+ */
+async function getUniqueColumns(client) {
+  const { rows } = await client.query(
+    `SELECT r.relname AS "table", array_agg(a.attname::text ORDER BY k.ord) AS columns
+     FROM pg_index i
+     JOIN pg_class r ON r.oid = i.indrelid
+     CROSS JOIN LATERAL unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, ord)
+     JOIN pg_attribute a ON a.attrelid = r.oid AND a.attnum = k.attnum
+     WHERE i.indisunique AND NOT i.indisprimary
+       AND i.indpred IS NULL AND i.indexprs IS NULL
+       AND r.relnamespace = 'api'::regnamespace
+     GROUP BY i.indexrelid, r.relname
+     ORDER BY 1, 2`
+  );
+
+  return rows;
+}
+
+const manifestSchema = Joi.object({
+  format: Joi.string().valid(BUNDLE_FORMAT).required(),
+  version: Joi.number().valid(BUNDLE_VERSION).required(),
+  createdAt: Joi.string().isoDate().required(),
+  source: Joi.object({
+    host: Joi.string().required(),
+    projectRef: Joi.string().allow(null).required(),
+  }).required(),
+  schemaVersion: Joi.string().allow(null).required(),
+  client: Joi.object({
+    id: Joi.string().guid().required(),
+    clientCode: Joi.string().required(),
+    legalName: Joi.string().allow(null),
+  }).required(),
+  tables: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string()
+          .pattern(/^[a-z_][a-z0-9_]*$/)
+          .required(),
+        file: Joi.string().required(),
+        rows: Joi.number().integer().min(0).required(),
+        columns: Joi.array().items(Joi.string()).min(1).required(),
+        sha256: Joi.string().hex().length(64).required(),
+      })
+    )
+    .min(1)
+    .required(),
+});
+
+/**
+ * Hash a bundle file the same way on export and restore
+ */
+function sha256(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Default bundle directory name for a client, e.g. acme-20250101T120000Z
+ */
+export function defaultBundleName(clientCode, date = new Date()) {
+  const stamp = date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  return `${clientCode}-${stamp}`;
+}
+
+/**
+ * Columns that can be inserted, i.e. everything except generated columns
+ */
+async function getInsertableColumns(client, table) {
+  const { rows } = await client.query(
+    `SELECT attname
+     FROM pg_attribute
+     WHERE attrelid = to_regclass($1) AND attnum > 0 AND NOT attisdropped AND attgenerated = ''
+     ORDER BY attnum`,
+    [`api.${table}`]
+  );
+
+  return rows.map((row) => row.attname);
+}
+
+/**
+ * Latest manifest version applied to the database, or null if untracked
+ */
+async function getSchemaVersion(client) {
+  const { rows } = await client.query(
+    "SELECT to_regclass('internal.schema_migrations') IS NOT NULL AS tracked"
+  );
+
+  if (!rows[0].tracked) {
+    return null;
+  }
+
+  const applied = await getAppliedMigrations(client);
+  const latest = loadMigrations()
+    .filter((migration) => applied.has(migration.version))
+    .pop();
+
+  return latest?.version ?? null;
+}
+
+/**
+ * Export every row belonging to a client into a bundle directory
+ *
+ * The tables come from the source database's foreign keys, so bundles that
+ * were never applied there (e.g. tfc) are simply left out.
+ */
+export async function exportTenant(client, clientCode, dir, { source }) {
+  const { rows: clients } = await client.query(
+    'SELECT id, client_code, legal_name FROM api.clients WHERE client_code = $1',
+    [clientCode]
+  );
+
+  if (clients.length === 0) {
+    throw new Error(`Client "${clientCode}" not found`);
+  }
+
+  const [tenant] = clients;
+  const tables = [];
+
+  mkdirSync(dir, { recursive: true });
+
+  for (const table of await getTenantTables(client)) {
+    const columns = await getInsertableColumns(client, table.name);
+    const { rows } = await client.query(
+      `SELECT row_to_json(t)::text AS row
+       FROM api.${table.name} t
+       WHERE ${table.where}
+       ORDER BY ${table.orderBy}`,
+      [tenant.id]
+    );
+
+    const file = `${table.name}.ndjson`;
+    const content = rows.map((row) => `${row.row}\n`).join('');
+    writeFileSync(join(dir, file), content);
+
+    tables.push({ name: table.name, file, rows: rows.length, columns, sha256: sha256(content) });
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    source,
+    schemaVersion: await getSchemaVersion(client),
+    client: { id: tenant.id, clientCode: tenant.client_code, legalName: tenant.legal_name },
+    tables,
+  };
+
+  writeFileSync(join(dir, BUNDLE_MANIFEST), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/**
+ * Read a bundle, validating its manifest and the checksum of every table file
+ */
+export function readBundle(dir) {
+  const raw = JSON.parse(readFileSync(join(dir, BUNDLE_MANIFEST), 'utf8'));
+  const { value: manifest, error } = manifestSchema.validate(raw, { abortEarly: false });
+
+  if (error) {
+    throw new Error(`Invalid bundle ${BUNDLE_MANIFEST}: ${error.message}`);
+  }
+
+  const tables = manifest.tables.map((table) => {
+    const content = readFileSync(join(dir, table.file), 'utf8');
+
+    if (sha256(content) !== table.sha256) {
+      throw new Error(`${table.file} does not match its checksum in ${BUNDLE_MANIFEST}`);
+    }
+
+    const lines = content.split('\n').filter(Boolean);
+    if (lines.length !== table.rows) {
+      throw new Error(`${table.file} has ${lines.length} rows, manifest says ${table.rows}`);
+    }
+
+    return { ...table, lines };
+  });
+
+  return { manifest, tables };
+}
+
+/**
+ * Rewrite the client row for a restore under a different client_code
+ *
+ * The setup email and a thepia domain named after the client follow the new
+ * code, as both are unique per client.
+ */
+export function renameClientRow(line, fromCode, toCode) {
+  const row = JSON.parse(line);
+  row.client_code = toCode;
+
+  if (typeof row.setup_email === 'string') {
+    row.setup_email = row.setup_email.replace(`+${fromCode}@`, `+${toCode}@`);
+  }
+  if (CLIENT_DOMAINS.some((suffix) => row.domain === `${fromCode}${suffix}`)) {
+    row.domain = `${toCode}${row.domain.slice(fromCode.length)}`;
+  }
+
+  return JSON.stringify(row);
+}
+
+/**
+ * Rewrite an invitation for a restore under a different client_code
+ *
+ * The code takes the new client_code. The token names the original client and
+ * its hash is unique, so the copy keeps neither and cannot be redeemed.
+ */
+export function renameInvitationRow(line, fromCode, toCode) {
+  const row = JSON.parse(line);
+  const prefix = `${fromCode.toUpperCase()}-`;
+  const suffix = row.invitation_code.startsWith(prefix)
+    ? row.invitation_code.slice(prefix.length)
+    : row.invitation_code;
+
+  row.invitation_code = `${toCode.toUpperCase()}-${suffix}`;
+  row.jwt_token = null;
+  row.jwt_token_hash = randomBytes(32).toString('hex');
+
+  return JSON.stringify(row);
+}
+
+/**
+ * Give every bundled row a fresh primary key and point references at it
+ *
+ * `tables` must be in foreign key order. References to rows outside the bundle
+ * keep their value.
+ */
+function remapTenantIds(tables, tenantTables) {
+  const ids = new Map();
+
+  return tables.map((table) => {
+    const { key, references } = tenantTables.get(table.name);
+    const rows = table.lines.map((line) => JSON.parse(line));
+    const fresh = new Map(key ? rows.map((row) => [row[key], randomUUID()]) : []);
+    ids.set(table.name, { column: key, fresh });
+
+    const lines = rows.map((row) => {
+      if (key) {
+        row[key] = fresh.get(row[key]);
+      }
+      for (const ref of references) {
+        const target = ids.get(ref.table);
+        if (target?.column === ref.refColumn && target.fresh.has(row[ref.column])) {
+          row[ref.column] = target.fresh.get(row[ref.column]);
+        }
+      }
+      return JSON.stringify(row);
+    });
+
+    return { ...table, lines };
+  });
+}
+
+/**
+ * Load a bundle into the connected database in one transaction
+ *
+ * Refuses when the target has not applied the bundle's schema version, lacks a
+ * bundled table or column, already holds the client, or already holds a value
+ * of a bundled row that must be unique (e.g. a person's company_email). Under
+ * a new client_code every row gets a fresh id and the client's code, domain,
+ * setup email and invitation codes follow the new code, so a tenant without
+ * such values elsewhere (people, invoices) can be copied within one database.
+ * Copied invitations lose their token.
+ */
+export async function restoreTenant(client, bundle, { clientCode } = {}) {
+  const { manifest } = bundle;
+  const targetCode = clientCode ?? manifest.client.clientCode;
+  const renamed = targetCode !== manifest.client.clientCode;
+
+  if (manifest.schemaVersion) {
+    const applied = await getAppliedMigrations(client);
+    if (!applied.has(manifest.schemaVersion)) {
+      throw new Error(
+        `Target database has not applied ${manifest.schemaVersion}; run db:migrate first`
+      );
+    }
+  }
+
+  const tenantTables = new Map((await getTenantTables(client)).map((table) => [table.name, table]));
+  const order = [...tenantTables.keys()];
+
+  for (const table of bundle.tables) {
+    const available = new Set(await getInsertableColumns(client, table.name));
+    const missing = table.columns.filter((column) => !available.has(column));
+
+    if (available.size === 0) {
+      throw new Error(`Target database has no api.${table.name} table`);
+    }
+    if (!tenantTables.has(table.name)) {
+      throw new Error(`api.${table.name} does not belong to a client in the target database`);
+    }
+    if (missing.length > 0) {
+      throw new Error(`api.${table.name} is missing column(s): ${missing.join(', ')}`);
+    }
+  }
+
+  const { rows: existing } = await client.query(
+    'SELECT client_code FROM api.clients WHERE client_code = $2 OR (id = $1 AND NOT $3)',
+    [manifest.client.id, targetCode, renamed]
+  );
+
+  if (existing.length > 0) {
+    throw new Error(`Client "${existing[0].client_code}" already exists in the target database`);
+  }
+
+  const ordered = [...bundle.tables].sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+  const renameRow = { clients: renameClientRow, invitations: renameInvitationRow };
+  const tables = (renamed ? remapTenantIds(ordered, tenantTables) : ordered).map((table) =>
+    renamed && renameRow[table.name]
+      ? {
+          ...table,
+          lines: table.lines.map((line) =>
+            renameRow[table.name](line, manifest.client.clientCode, targetCode)
+          ),
+        }
+      : table
+  );
+
+  for (const { table: name, columns } of await getUniqueColumns(client)) {
+    const table = tables.find((bundled) => bundled.name === name);
+    if (!table || table.lines.length === 0) {
+      continue;
+    }
+
+    const quoted = columns.map((column) => `"${column}"`);
+    const { rows: taken } = await client.query(
+      `SELECT 1
+       FROM api.${name} existing
+       JOIN jsonb_populate_recordset(NULL::api.${name}, $1::jsonb) bundled
+         ON (${quoted.map((column) => `existing.${column}`).join(', ')})
+          = (${quoted.map((column) => `bundled.${column}`).join(', ')})
+       LIMIT 1`,
+      [`[${table.lines.join(',')}]`]
+    );
+
+    if (taken.length > 0) {
+      throw new Error(
+        `api.${name} already has a row with the ${columns.join(', ')} of a bundled one in the target database`
+      );
+    }
+  }
+
+  const restored = [];
+
+  await client.query('BEGIN');
+
+  try {
+    // Load rows as exported: no updated_at bumps, balance recalculation or audit
+    // entries. Only user triggers are off, so foreign keys are still checked.
+    for (const table of tables) {
+      await client.query(`ALTER TABLE api.${table.name} DISABLE TRIGGER USER`);
+    }
+
+    for (const table of tables) {
+      const { lines } = table;
+      const columns = table.columns.map((column) => `"${column}"`).join(', ');
+      // Foreign keys are checked per statement, so rows referencing their own
+      // table go in together
+      const selfReferencing = tenantTables
+        .get(table.name)
+        .references.some((ref) => ref.table === table.name);
+      const batchSize = selfReferencing ? lines.length : RESTORE_BATCH_SIZE;
+
+      for (let start = 0; start < lines.length; start += batchSize) {
+        const batch = lines.slice(start, start + batchSize);
+        await client.query(
+          `INSERT INTO api.${table.name} (${columns})
+           SELECT ${columns} FROM jsonb_populate_recordset(NULL::api.${table.name}, $1::jsonb)`,
+          [`[${batch.join(',')}]`]
+        );
+      }
+
+      restored.push({ name: table.name, rows: lines.length });
+    }
+
+    for (const table of tables) {
+      await client.query(`ALTER TABLE api.${table.name} ENABLE TRIGGER USER`);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  const clients = tables.find((table) => table.name === 'clients');
+  const clientId = clients ? JSON.parse(clients.lines[0]).id : manifest.client.id;
+
+  return { clientId, clientCode: targetCode, tables: restored };
+}
@@ -0,0 +1,96 @@
+/**
+ * Client Spec Tests
+ *
+ * Verifies spec parsing, defaults and validation without a database;
+ * provisioning is covered in tests/db/client-spec.spec.js.
+ */
+
+import { expect, test } from 'vitest';
+import { DEFAULT_APPS } from '../src/clients/apps.js';
+import { loadClientSpec, resolveApp, validateClientSpec } from '../src/clients/spec.js';
+
+test('the example spec is valid', () => {
+  const spec = loadClientSpec('config/client.example.yaml');
+
+  expect(spec.client.code).toBe('acme');
+  expect(spec.apps.map((app) => app.code)).toEqual(['offboarding', 'onboarding']);
+  expect(spec.adminAccess.map((access) => access.level)).toEqual(['owner', 'billing_only']);
+  expect(spec.tfc).toEqual({ initialGrant: 10, currency: 'EUR' });
+});
+
+test('fills client defaults', () => {
+  const spec = validateClientSpec({ client: { code: 'globex', legalName: 'Globex' } });
+
+  expect(spec.client).toMatchObject({
+    domain: 'globex.thepia.net',
+    region: 'EU',
+    tier: 'free',
+    companySize: 'small',
+    industry: null,
+    settings: {},
+  });
+  expect(spec.apps).toEqual([]);
+  expect(spec.contacts).toEqual([]);
+  expect(spec.tfc).toBeUndefined();
+});
+
+test('reports every problem at once', () => {
+  expect(() =>
+    validateClientSpec({
+      client: { code: 'Globex!', legalName: 'Globex', domain: 'globex.com', tier: 'Gold' },
+      apps: [{ code: 'payroll' }],
+    })
+  ).toThrow(
+    /"client.code".*"client.domain".*"client.tier".*"apps\[0\].name" is required.*"apps\[0\].configuration" is required/
+  );
+});
+
+test('admin access must refer to a declared contact, with one primary', () => {
+  const contact = (email, primary = false) => ({
+    email,
+    firstName: 'A',
+    lastName: 'B',
+    type: 'admin',
+    primary,
+  });
+  const client = { code: 'globex', legalName: 'Globex' };
+
+  expect(() =>
+    validateClientSpec({
+      client,
+      contacts: [contact('a@globex.com')],
+      adminAccess: [{ contact: 'b@globex.com', level: 'owner' }],
+    })
+  ).toThrow('adminAccess refers to contacts not declared in contacts: b@globex.com');
+
+  expect(() =>
+    validateClientSpec({
+      client,
+      contacts: [contact('a@globex.com', true), contact('b@globex.com', true)],
+    })
+  ).toThrow('Only one contact can be primary');
+
+  expect(() =>
+    validateClientSpec({ client, contacts: [contact('a@globex.com'), contact('A@globex.com')] })
+  ).toThrow('duplicate value');
+});
+
+test('resolves apps from DEFAULT_APPS with branding overrides', () => {
+  const app = resolveApp(
+    { code: 'offboarding', branding: { primaryColor: '#c2410c', logoUrl: 'https://x.test/l.svg' } },
+    'acme.thepia.net'
+  );
+
+  expect(app).toMatchObject({
+    app_name: DEFAULT_APPS.offboarding.name,
+    features: DEFAULT_APPS.offboarding.features,
+    allowed_domains: ['acme.thepia.net'],
+    cors_origins: ['https://acme.thepia.net', 'https://app.acme.thepia.net'],
+  });
+  expect(app.configuration.branding).toEqual({
+    primary_color: '#c2410c',
+    secondary_color: DEFAULT_APPS.offboarding.configuration.branding.secondary_color,
+    logo_url: 'https://x.test/l.svg',
+  });
+  expect(DEFAULT_APPS.offboarding.configuration.branding.primary_color).toBe('#2563eb');
+});
@@ -0,0 +1,207 @@
+/**
+ * Client Spec Provisioning Tests
+ *
+ * Applies client specs to the embedded Postgres and checks that re-applying
+ * converges instead of failing on the unique client_code or domain.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  INITIAL_GRANT_DESCRIPTION,
+  provisionClient,
+  validateClientSpec,
+} from '../../src/clients/spec.js';
+import { getTier } from '../../src/clients/tiers.js';
+
+let client;
+
+/**
+ * A full spec for the spec-acme tenant; `overrides` replaces top-level sections
+ */
+function acmeSpec(overrides = {}) {
+  return validateClientSpec({
+    client: { code: 'spec-acme', legalName: 'Acme A/S', tier: 'pro', countryCode: 'dk' },
+    apps: [
+      { code: 'offboarding', branding: { primaryColor: '#c2410c' } },
+      {
+        code: 'payroll',
+        name: 'Payroll Export',
+        configuration: { theme: 'corporate', locale: 'da-DK' },
+      },
+    ],
+    contacts: [
+      {
+        email: 'jane@acme.example',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        type: 'primary',
+        primary: true,
+      },
+      { email: 'lars@acme.example', firstName: 'Lars', lastName: 'Jensen', type: 'billing' },
+    ],
+    adminAccess: [
+      { contact: 'jane@acme.example', level: 'owner' },
+      { contact: 'lars@acme.example', level: 'billing_only' },
+    ],
+    tfc: { initialGrant: 10 },
+    ...overrides,
+  });
+}
+
+/**
+ * Actions from a provisioning result, keyed by "<type> <name>"
+ */
+function actions(result) {
+  return Object.fromEntries(
+    result.changes.map((change) => [`${change.type} ${change.name}`, change.action])
+  );
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+});
+
+afterAll(async () => {
+  await client?.query("DELETE FROM api.clients WHERE client_code LIKE 'spec-%'");
+  await client?.end();
+});
+
+test('creates the client, apps, contacts, admin access and TFC grant', async () => {
+  const result = await provisionClient(client, acmeSpec());
+
+  expect(actions(result)).toEqual({
+    'client spec-acme': 'created',
+    'app offboarding': 'created',
+    'app payroll': 'created',
+    'contact jane@acme.example': 'created',
+    'contact lars@acme.example': 'created',
+    'admin_access jane@acme.example': 'created',
+    'admin_access lars@acme.example': 'created',
+    'tfc_grant 10 TFC': 'created',
+  });
+
+  const {
+    rows: [acme],
+  } = await client.query(
+    `SELECT c.domain, c.max_users, c.features, c.country_code, b.current_balance,
+            a.configuration->'branding'->>'primary_color' AS primary_color
+     FROM api.clients c
+     JOIN api.tfc_client_balances b ON b.client_id = c.id
+     JOIN api.client_applications a ON a.client_id = c.id AND a.app_code = 'offboarding'
+     WHERE c.client_code = 'spec-acme'`
+  );
+  const pro = await getTier(client, 'pro');
+  expect(acme).toMatchObject({
+    domain: 'spec-acme.thepia.net',
+    max_users: pro.max_users,
+    features: pro.features,
+    country_code: 'DK',
+    current_balance: 10,
+    primary_color: '#c2410c',
+  });
+
+  const { rows: access } = await client.query(
+    `SELECT c.email, a.access_level, a.can_purchase_credits, a.can_manage_users
+     FROM api.admin_access a
+     JOIN api.account_contacts c ON c.id = a.contact_id
+     JOIN api.clients cl ON cl.id = a.client_id
+     WHERE cl.client_code = 'spec-acme'
+     ORDER BY c.email`
+  );
+  expect(access).toEqual([
+    {
+      email: 'jane@acme.example',
+      access_level: 'owner',
+      can_purchase_credits: true,
+      can_manage_users: true,
+    },
+    {
+      email: 'lars@acme.example',
+      access_level: 'billing_only',
+      can_purchase_credits: true,
+      can_manage_users: false,
+    },
+  ]);
+});
+
+test('re-applying the same spec changes nothing', async () => {
+  const result = await provisionClient(client, acmeSpec());
+
+  expect(new Set(result.changes.map((change) => change.action))).toEqual(new Set(['unchanged']));
+
+  const { rows } = await client.query(
+    `SELECT COUNT(*)::int AS grants FROM api.tfc_credit_transactions t
+     JOIN api.clients c ON c.id = t.client_id
+     WHERE c.client_code = 'spec-acme' AND t.description = $1`,
+    [INITIAL_GRANT_DESCRIPTION]
+  );
+  expect(rows[0].grants).toBe(1);
+});
+
+test('converges changed fields, tier and the primary contact', async () => {
+  const spec = acmeSpec({
+    contacts: [
+      { email: 'jane@acme.example', firstName: 'Jane', lastName: 'Doe', type: 'primary' },
+      {
+        email: 'LARS@acme.example',
+        firstName: 'Lars',
+        lastName: 'Jensen',
+        type: 'billing',
+        primary: true,
+      },
+    ],
+  });
+  spec.client.tier = 'enterprise';
+  spec.client.legalName = 'Acme Holding A/S';
+
+  const result = await provisionClient(client, spec);
+
+  expect(actions(result)).toMatchObject({
+    'client spec-acme': 'updated',
+    'app offboarding': 'unchanged',
+    'contact jane@acme.example': 'updated',
+    'contact LARS@acme.example': 'updated',
+    'admin_access jane@acme.example': 'unchanged',
+  });
+
+  const { rows } = await client.query(
+    `SELECT c.legal_name, c.max_users,
+            (SELECT email FROM api.account_contacts WHERE client_id = c.id AND is_primary_contact) AS primary
+     FROM api.clients c WHERE c.client_code = 'spec-acme'`
+  );
+  expect(rows[0]).toEqual({
+    legal_name: 'Acme Holding A/S',
+    max_users: (await getTier(client, 'enterprise')).max_users,
+    primary: 'lars@acme.example',
+  });
+});
+
+test('dry runs report changes without writing them', async () => {
+  const spec = acmeSpec();
+  spec.client.code = 'spec-globex';
+  spec.client.domain = 'spec-globex.thepia.net';
+
+  const result = await provisionClient(client, spec, { dryRun: true });
+
+  expect(result.dryRun).toBe(true);
+  expect(actions(result)['client spec-globex']).toBe('created');
+  const { rows } = await client.query(
+    "SELECT 1 FROM api.clients WHERE client_code = 'spec-globex'"
+  );
+  expect(rows).toHaveLength(0);
+});
+
+test('refuses a domain owned by another client and rolls back', async () => {
+  const spec = acmeSpec();
+  spec.client.code = 'spec-initech';
+
+  await expect(provisionClient(client, spec)).rejects.toThrow(
+    'Domain "spec-acme.thepia.net" belongs to client "spec-acme"'
+  );
+  const { rows } = await client.query(
+    "SELECT 1 FROM api.clients WHERE client_code = 'spec-initech'"
+  );
+  expect(rows).toHaveLength(0);
+});
@@ -0,0 +1,194 @@
+/**
+ * Client Tier Tests
+ *
+ * Checks that api.client_tiers is the source of client limits: tier changes
+ * are versioned, re-applied to every client on the tier and recorded, and
+ * check_client_limits reads the tier.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { createTier, getTierHistory, updateClient, updateTier } from '../../src/clients/admin.js';
+import { getTier, listTiers } from '../../src/clients/tiers.js';
+
+let client;
+
+/**
+ * Insert a client on `tier` with the given usage
+ */
+async function createClient(code, tier, currentUsers = 0) {
+  const { rows } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain, tier, current_users)
+     VALUES ($1, $1, $2, $3, $4)
+     RETURNING *`,
+    [code, `${code}.thepia.net`, tier, currentUsers]
+  );
+  return rows[0];
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+});
+
+afterAll(async () => {
+  await client?.query("DELETE FROM api.clients WHERE client_code LIKE 'tiers-%'");
+  await client?.query("DELETE FROM api.client_tier_versions WHERE tier_code LIKE 'tiers-%'");
+  await client?.query("DELETE FROM api.client_tiers WHERE tier_code LIKE 'tiers-%'");
+  await client?.end();
+});
+
+test('seeds free, pro and enterprise at version 1', async () => {
+  const tiers = await listTiers(client);
+
+  expect(tiers.slice(0, 3).map((tier) => [tier.tier_code, tier.max_users, tier.version])).toEqual([
+    ['free', 100, 1],
+    ['pro', 1000, 1],
+    ['enterprise', 10000, 1],
+  ]);
+  expect((await getTierHistory(client, 'pro')).map((version) => version.version)).toEqual([1]);
+  await expect(getTier(client, 'gold')).rejects.toThrow(
+    'Unknown tier "gold" (expected free, pro, enterprise'
+  );
+});
+
+test('custom tiers copy what they do not set and apply to new clients', async () => {
+  const tier = await createTier(
+    client,
+    'tiers-acme',
+    { name: 'Acme Plus', maxUsers: 25, tfcMonthlyAllowance: 20 },
+    { basedOn: 'pro', by: 'sales@thepia.com' }
+  );
+
+  expect(tier).toMatchObject({
+    tier_code: 'tiers-acme',
+    name: 'Acme Plus',
+    max_users: 25,
+    max_storage_gb: 10,
+    price_monthly: '25.00',
+    tfc_monthly_allowance: 20,
+    is_custom: true,
+    version: 1,
+  });
+
+  const acme = await createClient('tiers-acme', 'tiers-acme', 10);
+  expect(acme).toMatchObject({
+    max_users: 25,
+    max_storage_gb: 10,
+    features: tier.features,
+    tier_version: 1,
+  });
+
+  await expect(createTier(client, 'tiers-acme', {}, { by: 'sales@thepia.com' })).rejects.toThrow(
+    'Tier "tiers-acme" already exists'
+  );
+  await expect(createTier(client, 'tiers-bare', {}, { by: 'sales@thepia.com' })).rejects.toThrow(
+    'needs name, max_users, max_storage_gb, price_monthly'
+  );
+});
+
+test('changing a tier re-applies it to its clients and records the change', async () => {
+  await createClient('tiers-globex', 'tiers-acme', 5);
+
+  const { tier, version } = await updateTier(
+    client,
+    'tiers-acme',
+    { maxUsers: 40, features: ['basic-auth', 'invitations'] },
+    { by: 'sales@thepia.com', reason: 'Renegotiated contract' }
+  );
+
+  expect(tier.version).toBe(2);
+  expect(version).toMatchObject({
+    version: 2,
+    changes: {
+      max_users: { from: 25, to: 40 },
+      features: {
+        from: ['basic-auth', 'invitations', 'analytics', 'sso'],
+        to: ['basic-auth', 'invitations'],
+      },
+    },
+    affected_clients: ['tiers-acme', 'tiers-globex'],
+    changed_by: 'sales@thepia.com',
+    change_reason: 'Renegotiated contract',
+  });
+
+  const { rows } = await client.query(
+    `SELECT client_code, max_users, features, tier_version FROM api.clients
+     WHERE tier = 'tiers-acme' ORDER BY client_code`
+  );
+  expect(rows).toEqual([
+    {
+      client_code: 'tiers-acme',
+      max_users: 40,
+      features: ['basic-auth', 'invitations'],
+      tier_version: 2,
+    },
+    {
+      client_code: 'tiers-globex',
+      max_users: 40,
+      features: ['basic-auth', 'invitations'],
+      tier_version: 2,
+    },
+  ]);
+
+  const unchanged = await updateTier(client, 'tiers-acme', { maxUsers: 40 }, { by: 'someone' });
+  expect(unchanged.version).toBeNull();
+  expect(unchanged.tier).toMatchObject({ version: 2, updated_by: 'sales@thepia.com' });
+  expect((await getTierHistory(client, 'tiers-acme')).map((v) => v.version)).toEqual([2, 1]);
+});
+
+test('refuses to lower a limit below a client on the tier unless forced', async () => {
+  await expect(
+    updateTier(client, 'tiers-acme', { maxUsers: 8 }, { by: 'sales@thepia.com' })
+  ).rejects.toThrow('tiers-acme (10 users (limit 8))');
+  expect((await getTier(client, 'tiers-acme')).max_users).toBe(40);
+
+  const { tier } = await updateTier(
+    client,
+    'tiers-acme',
+    { maxUsers: 8 },
+    { by: 'sales@thepia.com', force: true }
+  );
+  expect(tier.max_users).toBe(8);
+});
+
+test('check_client_limits reads the limits from the tier', async () => {
+  const { rows: clients } = await client.query(
+    "SELECT id FROM api.clients WHERE client_code = 'tiers-acme'"
+  );
+  const check = async () => {
+    const { rows } = await client.query(
+      'SELECT api.check_client_limits($1, true, true) AS result',
+      [clients[0].id]
+    );
+    return rows[0].result;
+  };
+
+  expect(await check()).toMatchObject({
+    within_limits: false,
+    warnings: ['User limit exceeded'],
+    tier: 'tiers-acme',
+    max_users: 8,
+  });
+
+  await updateTier(client, 'tiers-acme', { maxUsers: 50 }, { by: 'sales@thepia.com' });
+  expect(await check()).toMatchObject({ within_limits: true, warnings: [], max_users: 50 });
+});
+
+test('retired tiers keep their clients but take no new ones', async () => {
+  await updateTier(client, 'tiers-acme', { active: false }, { by: 'sales@thepia.com' });
+
+  expect((await listTiers(client)).map((tier) => tier.tier_code)).not.toContain('tiers-acme');
+  await expect(createClient('tiers-initech', 'tiers-acme')).rejects.toThrow(
+    'Client tier "tiers-acme" is retired'
+  );
+  await createClient('tiers-initech', 'free');
+  await expect(updateClient(client, 'tiers-initech', { tier: 'tiers-acme' })).rejects.toThrow(
+    'Tier "tiers-acme" is retired'
+  );
+
+  const { rows } = await client.query(
+    "SELECT COUNT(*)::int AS clients FROM api.clients WHERE tier = 'tiers-acme'"
+  );
+  expect(rows[0].clients).toBe(2);
+});
@@ -0,0 +1,197 @@
+/**
+ * Client Administration Tests
+ *
+ * Exercises the queries and lifecycle changes behind scripts/clients.js
+ * against the embedded Postgres.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  deactivateClient,
+  getClientStatus,
+  listClients,
+  reactivateClient,
+  updateClient,
+} from '../../src/clients/admin.js';
+import { getTier } from '../../src/clients/tiers.js';
+
+let client;
+let tenant;
+
+/**
+ * Insert a client with one application per entry in `apps` ({ code: status })
+ */
+async function createClient(code, columns = {}, apps = {}) {
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain, region, tier, current_users, current_storage_mb)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [
+      code,
+      `${code} A/S`,
+      `${code}.thepia.net`,
+      columns.region ?? 'EU',
+      columns.tier ?? 'free',
+      columns.currentUsers ?? 0,
+      columns.currentStorageMb ?? 0,
+    ]
+  );
+
+  const appIds = {};
+  for (const [appCode, status] of Object.entries(apps)) {
+    const { rows } = await client.query(
+      `INSERT INTO api.client_applications (client_id, app_code, app_name, status, configuration)
+       VALUES ($1, $2, $2, $3, '{"theme": {}, "locale": "en"}')
+       RETURNING id`,
+      [created.id, appCode, status]
+    );
+    appIds[appCode] = rows[0].id;
+  }
+
+  return { id: created.id, appIds };
+}
+
+/**
+ * Insert an invitation with the given status
+ */
+async function createInvitation(clientId, appId, status) {
+  await client.query(
+    `INSERT INTO api.invitations (client_id, app_id, jwt_token_hash, expires_at, max_uses, created_by, status)
+     VALUES ($1, $2, encode(gen_random_bytes(32), 'hex'), NOW() + interval '7 days', 1, 'clients-spec', $3)`,
+    [clientId, appId, status]
+  );
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  tenant = await createClient(
+    'clients-acme',
+    { tier: 'pro', currentUsers: 250, currentStorageMb: 512 },
+    { offboarding: 'active', onboarding: 'maintenance', legacy: 'deprecated' }
+  );
+  await createClient('clients-globex', { region: 'US' });
+
+  await createInvitation(tenant.id, tenant.appIds.offboarding, 'pending');
+  await createInvitation(tenant.id, tenant.appIds.offboarding, 'requested');
+  await createInvitation(tenant.id, tenant.appIds.offboarding, 'used');
+});
+
+afterAll(async () => {
+  await client?.query("DELETE FROM api.clients WHERE client_code LIKE 'clients-%'");
+  await client?.end();
+});
+
+test('lists clients filtered by tier, region and status', async () => {
+  const codes = async (filters) =>
+    (await listClients(client, filters))
+      .map((row) => row.client_code)
+      .filter((code) => code.startsWith('clients-'));
+
+  expect(await codes({})).toEqual(['clients-acme', 'clients-globex']);
+  expect(await codes({ tier: 'pro' })).toEqual(['clients-acme']);
+  expect(await codes({ region: 'us' })).toEqual(['clients-globex']);
+  expect(await codes({ status: 'deactivated' })).toEqual([]);
+  await expect(listClients(client, { tier: 'platinum' })).rejects.toThrow(
+    'Unknown tier "platinum"'
+  );
+});
+
+test('reports applications, usage against limits and invitations', async () => {
+  const status = await getClientStatus(client, 'clients-acme');
+
+  expect(status.apps.map((app) => `${app.appCode}:${app.status}`)).toEqual([
+    'legacy:deprecated',
+    'offboarding:active',
+    'onboarding:maintenance',
+  ]);
+  expect(status.users).toEqual({ current: 250, max: 1000 });
+  expect(status.storage).toEqual({ currentMb: 512, maxMb: 10240 });
+  expect(status.invitations).toEqual({ pending: 1, requested: 1, used: 1 });
+  expect(status.tfc).toBeNull();
+  expect(status.deactivation).toBeNull();
+
+  await expect(getClientStatus(client, 'clients-missing')).rejects.toThrow('not found');
+});
+
+test('tier changes re-apply limits and features, refusing downgrades below usage', async () => {
+  const enterprise = await getTier(client, 'enterprise');
+  const pro = await getTier(client, 'pro');
+  const upgraded = await updateClient(client, 'clients-acme', { tier: 'enterprise' });
+
+  expect(upgraded.max_users).toBe(enterprise.max_users);
+  expect(upgraded.max_storage_gb).toBe(enterprise.max_storage_gb);
+  expect(upgraded.features).toEqual(enterprise.features);
+  expect(upgraded.tier_version).toBe(enterprise.version);
+
+  await expect(updateClient(client, 'clients-acme', { tier: 'free' })).rejects.toThrow(
+    '250 users (limit 100)'
+  );
+  expect((await getClientStatus(client, 'clients-acme')).tier).toBe('enterprise');
+
+  const downgraded = await updateClient(
+    client,
+    'clients-acme',
+    { tier: 'pro', billingContact: 'billing@acme.example', countryCode: 'dk' },
+    { force: true }
+  );
+  expect(downgraded).toMatchObject({
+    tier: 'pro',
+    max_users: pro.max_users,
+    features: pro.features,
+    billing_contact: 'billing@acme.example',
+    country_code: 'DK',
+  });
+
+  await expect(updateClient(client, 'clients-acme', {})).rejects.toThrow('Nothing to update');
+});
+
+test('deactivation revokes open invitations and suspends apps until reactivated', async () => {
+  const result = await deactivateClient(client, 'clients-acme', {
+    by: 'staff@thepia.com',
+    reason: 'Contract ended',
+  });
+  expect(result).toEqual({ clientCode: 'clients-acme', revokedInvitations: 2, suspendedApps: 2 });
+
+  const deactivated = await getClientStatus(client, 'clients-acme');
+  expect(deactivated.status).toBe('deactivated');
+  expect(deactivated.apps.map((app) => app.status)).toEqual(['deprecated', 'inactive', 'inactive']);
+  expect(deactivated.invitations).toEqual({ revoked: 2, used: 1 });
+  expect(deactivated.deactivation).toMatchObject({
+    by: 'staff@thepia.com',
+    reason: 'Contract ended',
+  });
+
+  const { rows } = await client.query(
+    `SELECT revoked_by, revocation_reason, revoked_at FROM api.invitations
+     WHERE client_id = $1 AND status = 'revoked'`,
+    [tenant.id]
+  );
+  expect(rows).toHaveLength(2);
+  expect(rows.every((row) => row.revoked_by === 'staff@thepia.com' && row.revoked_at)).toBe(true);
+
+  await expect(
+    deactivateClient(client, 'clients-acme', { by: 'staff@thepia.com' })
+  ).rejects.toThrow('already deactivated');
+
+  expect(await reactivateClient(client, 'clients-acme')).toEqual({
+    clientCode: 'clients-acme',
+    restoredApps: 2,
+  });
+
+  const reactivated = await getClientStatus(client, 'clients-acme');
+  expect(reactivated.status).toBe('active');
+  expect(reactivated.apps.map((app) => app.status)).toEqual([
+    'deprecated',
+    'active',
+    'maintenance',
+  ]);
+  expect(reactivated.invitations).toEqual({ revoked: 2, used: 1 });
+  expect(reactivated.deactivation).toBeNull();
+
+  await expect(reactivateClient(client, 'clients-acme')).rejects.toThrow('is not deactivated');
+});
@@ -0,0 +1,284 @@
+/**
+ * Demo Request Spam Scoring Tests
+ *
+ * Demo requests are scored on insert by the weighted rules in
+ * api.spam_scoring_rules (schemas/36_demo_request_spam_scoring.sql); the
+ * breakdown lands in usage_metadata.spam and obvious spam is rejected.
+ */
+
+import { randomBytes } from 'node:crypto';
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { withoutMigration } from './harness.js';
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0';
+
+let client;
+let tenant;
+
+/**
+ * Submit a demo request through the n8n intake function
+ */
+async function requestDemo(payload = {}) {
+  const { rows } = await client.query(
+    `SELECT id, status, spam_score, spam_status, usage_metadata->'spam' AS spam
+     FROM api.create_invitation_from_n8n($1)`,
+    [
+      {
+        routing: { client_id: tenant.clientId, app_id: tenant.appId },
+        jwt_token_hash: randomBytes(32).toString('hex'),
+        email: 'lead@prospect.dk',
+        company: 'Prospect ApS',
+        message: `Onboarding ${Math.random().toString(36).slice(2)} new hires each quarter`,
+        client_ip: '198.51.100.7',
+        user_agent: BROWSER,
+        referrer: 'https://thepia.com/flows',
+        ...payload,
+      },
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Points each rule gave, leaving out rules that gave none
+ */
+function pointsOf(spam) {
+  return Object.fromEntries(
+    Object.entries(spam.rules)
+      .filter(([, rule]) => rule.points > 0)
+      .map(([name, rule]) => [name, rule.points])
+  );
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('spamscore', 'Spam Score A/S', 'spamscore.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('scores a genuine request as clean and keeps what n8n reported', async () => {
+  const request = await requestDemo({ client_ip: '198.51.100.1', spamScore: 12 });
+
+  expect(request).toMatchObject({ status: 'requested', spam_score: 0, spam_status: 'clean' });
+  expect(request.spam).toMatchObject({
+    score: 0,
+    status: 'clean',
+    auto_reject: false,
+    reported: { score: 12, status: 'clean' },
+    rules: {
+      comment: { weight: 25, signal: 0, points: 0 },
+      disposable_domain: { weight: 40, signal: 0, points: 0 },
+      referrer: { weight: 10, signal: 0, points: 0 },
+      user_agent: { weight: 20, signal: 0, points: 0 },
+      velocity: { weight: 30, signal: 0, points: 0 },
+    },
+  });
+
+  // The table intake finds the default client by its code and passes the request context
+  await client.query('BEGIN');
+  try {
+    const {
+      rows: [thepia],
+    } = await client.query(
+      `INSERT INTO api.clients (client_code, legal_name, domain)
+       VALUES ('thepia', 'Thepia ApS', 'app.thepia.net')
+       RETURNING id`
+    );
+    await client.query(
+      `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+       VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')`,
+      [thepia.id]
+    );
+    const hash = randomBytes(32).toString('hex');
+    await client.query(
+      `INSERT INTO api.n8n_invitation_requests
+         (name, email, message, jwt_token_hash, client_ip, user_agent, referrer)
+       VALUES ('Lead', 'lead@mailinator.com', 'hi', $1, '198.51.100.2', $2, NULL)`,
+      [hash, BROWSER]
+    );
+
+    const { rows } = await client.query(
+      `SELECT client_id, spam_score, spam_status, host(client_ip) AS client_ip, user_agent
+       FROM api.invitations WHERE jwt_token_hash = $1`,
+      [hash]
+    );
+    expect(rows[0]).toEqual({
+      client_id: thepia.id,
+      spam_score: 70,
+      spam_status: 'spam',
+      client_ip: '198.51.100.2',
+      user_agent: BROWSER,
+    });
+  } finally {
+    await client.query('ROLLBACK');
+  }
+});
+
+test('rejects a request over the spam threshold, saying why', async () => {
+  const request = await requestDemo({
+    email: 'x@inbox.mailinator.com',
+    message: 'hi',
+    client_ip: '198.51.100.3',
+    user_agent: 'python-requests/2.31',
+    referrer: null,
+  });
+
+  expect(pointsOf(request.spam)).toEqual({
+    comment: 25,
+    disposable_domain: 40,
+    referrer: 5,
+    user_agent: 20,
+  });
+  expect(request.spam.rules.disposable_domain.reason).toBe(
+    'disposable domain inbox.mailinator.com'
+  );
+  expect(request).toMatchObject({ spam_score: 90, spam_status: 'spam' });
+
+  const { rows } = await client.query(
+    `SELECT h.from_status, h.to_status, h.changed_by, h.reason, i.status
+     FROM api.invitation_status_history h
+     JOIN api.invitations i ON i.id = h.invitation_id
+     WHERE h.invitation_id = $1
+     ORDER BY h.changed_at, h.from_status NULLS FIRST`,
+    [request.id]
+  );
+  expect(rows).toEqual([
+    {
+      from_status: null,
+      to_status: 'requested',
+      changed_by: 'n8n-automation',
+      reason: null,
+      status: 'rejected',
+    },
+    {
+      from_status: 'requested',
+      to_status: 'rejected',
+      changed_by: 'spam-filter',
+      reason: 'Spam score 90 reached the spam threshold of 70',
+      status: 'rejected',
+    },
+  ]);
+});
+
+test('counts earlier requests from the same IP and repeated messages', async () => {
+  const message = 'Please send me a demo of Flows for our HR team';
+  const first = await requestDemo({ client_ip: '203.0.113.9', message });
+  await requestDemo({ client_ip: '203.0.113.9', message });
+  const third = await requestDemo({
+    client_ip: '203.0.113.9',
+    message: ` ${message.toUpperCase()}`,
+  });
+
+  expect(first.spam_score).toBe(0);
+  expect(third.spam.rules.velocity).toEqual({
+    weight: 30,
+    signal: 0.67,
+    points: 20,
+    reason: '2 earlier request(s) from the same IP in 60 minutes',
+  });
+  expect(third.spam.rules.comment.reason).toBe('same message as 2 other request(s)');
+  expect(third).toMatchObject({ status: 'requested', spam_score: 45, spam_status: 'suspicious' });
+
+  const { rows } = await client.query(
+    'SELECT spam_breakdown->>$2 AS score FROM api.demo_requests_admin WHERE id = $1',
+    [third.id, 'score']
+  );
+  expect(rows[0].score).toBe('45');
+});
+
+test('rules, weights and thresholds are configurable', async () => {
+  await client.query('BEGIN');
+  try {
+    await client.query("UPDATE api.spam_scoring_rules SET weight = 60 WHERE rule = 'user_agent'");
+    await client.query("UPDATE api.spam_scoring_rules SET enabled = FALSE WHERE rule = 'referrer'");
+    await client.query(
+      "UPDATE api.spam_scoring_thresholds SET auto_reject = FALSE WHERE spam_status = 'spam'"
+    );
+
+    // A rule is a function named after it
+    await client.query('SAVEPOINT missing_rule');
+    await expect(
+      client.query(
+        "INSERT INTO api.spam_scoring_rules (rule, weight, description) VALUES ('company', 10, 'x')"
+      )
+    ).rejects.toMatchObject({
+      code: '23503',
+      message: 'Spam rule "company" has no function api.spam_rule_company(api.invitations, JSONB)',
+    });
+    await client.query('ROLLBACK TO SAVEPOINT missing_rule');
+
+    await client.query(`
+      CREATE FUNCTION api.spam_rule_company(request api.invitations, settings JSONB)
+      RETURNS JSONB AS $$
+        SELECT CASE WHEN request.client_data->>'company' IS NULL
+          THEN jsonb_build_object('signal', 1, 'reason', 'no company')
+          ELSE jsonb_build_object('signal', 0)
+        END;
+      $$ LANGUAGE sql STABLE
+    `);
+    await client.query(
+      "INSERT INTO api.spam_scoring_rules (rule, weight, description) VALUES ('company', 15, 'No company given')"
+    );
+
+    const request = await requestDemo({
+      company: null,
+      client_ip: '198.51.100.4',
+      user_agent: 'curl/8.4.0',
+      referrer: null,
+    });
+    expect(pointsOf(request.spam)).toEqual({ company: 15, user_agent: 60 });
+    expect(request.spam.rules.referrer).toBeUndefined();
+    expect(request).toMatchObject({ status: 'requested', spam_score: 75, spam_status: 'spam' });
+  } finally {
+    await client.query('ROLLBACK');
+  }
+});
+
+test('the migration rolls back to the reported score', async () => {
+  const reported = await withoutMigration(client, '36_demo_request_spam_scoring.sql', async () => {
+    const { rows } = await client.query(
+      `INSERT INTO api.invitations
+         (client_id, app_id, jwt_token_hash, expires_at, created_by, status, request_type,
+          email_domain, spam_score)
+       VALUES ($1, $2, $3, NOW() + interval '14 days', 'n8n-automation', 'requested', 'demo',
+               'mailinator.com', 3)
+       RETURNING spam_score, spam_status, status, usage_metadata`,
+      [tenant.clientId, tenant.appId, randomBytes(32).toString('hex')]
+    );
+    return rows[0];
+  });
+
+  expect(reported).toEqual({
+    spam_score: 3,
+    spam_status: null,
+    status: 'requested',
+    usage_metadata: {},
+  });
+  const { rows } = await client.query(
+    "SELECT to_regclass('api.spam_scoring_rules') IS NOT NULL AS rules"
+  );
+  expect(rows[0].rules).toBe(true);
+});
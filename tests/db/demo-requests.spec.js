@@ -0,0 +1,210 @@
+/**
+ * Demo Request Review Tests
+ *
+ * Requests arrive from the n8n form workflow and are approved or rejected by
+ * staff (schemas/35_demo_request_review.sql): the decision is
+ * recorded with its reviewer and reason, and approval queues a notification.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { asRole, withoutMigration } from './harness.js';
+
+let client;
+let tenant;
+
+let requests = 0;
+
+/**
+ * Insert a demo request with the columns the n8n form workflow fills in
+ */
+async function requestDemo(columns = {}) {
+  requests += 1;
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations
+       (client_id, app_id, jwt_token_hash, expires_at, created_by, status, max_uses,
+        client_data, email_domain, demo_duration, team_size, request_type, comment,
+        user_agent, referrer)
+     VALUES ($1, $2, encode(gen_random_bytes(32), 'hex'), NOW() + interval '14 days',
+             'n8n-automation', 'requested', 1, '{"company": "Prospect ApS"}', 'prospect.dk',
+             '14 days', '11-50', $3, $4,
+             'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) Firefox/128.0',
+             'https://thepia.com/flows')
+     RETURNING id`,
+    [
+      tenant.clientId,
+      tenant.appId,
+      columns.request_type ?? 'demo',
+      `We onboard ${requests * 10} people a month`,
+    ]
+  );
+  return rows[0].id;
+}
+
+/**
+ * The review queue row of a request
+ */
+async function reviewOf(id) {
+  const { rows } = await client.query(
+    `SELECT request_type, status, company, comment, spam_score, message_template,
+            notification_status, notification_triggered_by, reviewed_by, review_reason
+     FROM api.demo_requests_admin
+     WHERE id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('demoreview', 'Demo Review A/S', 'demoreview.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('approving a request queues the approval notification', async () => {
+  const id = await requestDemo();
+
+  expect(await reviewOf(id)).toMatchObject({
+    request_type: 'demo',
+    status: 'requested',
+    company: 'Prospect ApS',
+    spam_score: 0,
+    message_template: null,
+    reviewed_by: null,
+  });
+
+  const { rows } = await client.query(
+    "SELECT status, template_data FROM api.approve_demo_request($1, 'sales@thepia.com', 'Good fit')",
+    [id]
+  );
+  expect(rows[0].status).toBe('approved');
+  expect(rows[0].template_data).toMatchObject({ demo_duration: '14 days' });
+
+  expect(await reviewOf(id)).toMatchObject({
+    status: 'approved',
+    message_template: 'invitation_approved',
+    notification_status: 'pending',
+    notification_triggered_by: 'admin_approval',
+    reviewed_by: 'sales@thepia.com',
+    review_reason: 'Good fit',
+  });
+
+  // A request can only be decided once
+  await expect(
+    client.query("SELECT api.approve_demo_request($1, 'sales@thepia.com')", [id])
+  ).rejects.toMatchObject({
+    code: 'P0002',
+    message: `Demo request ${id} not found or not in requested status`,
+  });
+});
+
+test('rejecting a request requires a reason and keeps the message', async () => {
+  const quiet = await requestDemo();
+  const notified = await requestDemo({ request_type: 'demo_request' });
+
+  await expect(
+    client.query("SELECT api.reject_demo_request($1, ' ', 'sales@thepia.com')", [quiet])
+  ).rejects.toThrow('Rejecting a demo request requires a reason');
+  await expect(
+    client.query("SELECT api.reject_demo_request($1, 'Competitor', NULL)", [quiet])
+  ).rejects.toThrow('Reviewing a demo request requires the acting user');
+
+  await client.query("SELECT api.reject_demo_request($1, 'Competitor', 'sales@thepia.com')", [
+    quiet,
+  ]);
+  await client.query(
+    "SELECT api.reject_demo_request($1, 'Outside our market', 'sales@thepia.com', true)",
+    [notified]
+  );
+
+  expect(await reviewOf(quiet)).toMatchObject({
+    status: 'rejected',
+    comment: 'We onboard 20 people a month',
+    message_template: null,
+    reviewed_by: 'sales@thepia.com',
+    review_reason: 'Competitor',
+  });
+  expect(await reviewOf(notified)).toMatchObject({
+    request_type: 'demo_request',
+    status: 'rejected',
+    message_template: 'demo_request_rejected',
+    notification_triggered_by: 'admin_rejection',
+    review_reason: 'Outside our market',
+  });
+});
+
+test('bulk review changes every request or none', async () => {
+  const first = await requestDemo();
+  const second = await requestDemo();
+  const decided = await requestDemo();
+  await client.query("SELECT api.approve_demo_request($1, 'sales@thepia.com')", [decided]);
+
+  await expect(
+    client.query("SELECT api.reject_demo_requests($1, 'Spam', 'sales@thepia.com')", [
+      [first, second, decided],
+    ])
+  ).rejects.toThrow(`Demo request ${decided} not found or not in requested status`);
+  expect((await reviewOf(first)).status).toBe('requested');
+
+  const { rows } = await client.query(
+    "SELECT id, status FROM api.reject_demo_requests($1, 'Spam', 'sales@thepia.com')",
+    [[first, second]]
+  );
+  expect(rows).toEqual([
+    { id: first, status: 'rejected' },
+    { id: second, status: 'rejected' },
+  ]);
+});
+
+test('only staff tools can review, and the migration rolls back', async () => {
+  const id = await requestDemo();
+
+  const denied = (sql) =>
+    asRole(client, 'authenticated', { email: 'user@demoreview.dk' }, (db) =>
+      db.query(sql, [id]).then(
+        () => null,
+        (err) => err.code
+      )
+    );
+  expect(await denied("SELECT api.approve_demo_request($1, 'user@demoreview.dk')")).toBe('42501');
+  expect(await denied('SELECT * FROM api.demo_requests_admin WHERE id = $1')).toBe('42501');
+
+  const approved = await asRole(client, 'service_role', {}, async (db) => {
+    await db.query("SELECT api.approve_demo_request($1, 'sales@thepia.com')", [id]);
+    const { rows } = await db.query('SELECT status FROM api.demo_requests_admin WHERE id = $1', [
+      id,
+    ]);
+    return rows[0].status;
+  });
+  expect(approved).toBe('approved');
+
+  await withoutMigration(client, '35_demo_request_review.sql', async () => {
+    // The function from 11 is back, with the updated_at column it never had
+    await expect(client.query('SELECT api.approve_demo_request($1)', [id])).rejects.toThrow(
+      'column "updated_at" of relation "invitations" does not exist'
+    );
+  });
+  expect((await reviewOf(id)).status).toBe('requested');
+});
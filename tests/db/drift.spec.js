@@ -0,0 +1,87 @@
+/**
+ * Schema Drift Introspection Tests
+ *
+ * Copies the migrated embedded database, drifts the copy the way a hand-patched
+ * environment would and checks db:diff's snapshot comparison finds each change.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { diffSnapshots, introspectDatabase } from '../../src/migrations/drift.js';
+
+const COPY = 'flows_db_drift';
+
+let admin;
+let source;
+let copy;
+
+/**
+ * Connection string for another database on the embedded server
+ */
+function databaseUrl(name) {
+  const url = new URL(inject('databaseUrl'));
+  url.pathname = `/${name}`;
+  return url.toString();
+}
+
+beforeAll(async () => {
+  // CREATE DATABASE ... TEMPLATE needs the source to have no other connections
+  admin = new pg.Client({ connectionString: databaseUrl('template1') });
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${COPY} TEMPLATE postgres`);
+
+  source = new pg.Client({ connectionString: inject('databaseUrl') });
+  copy = new pg.Client({ connectionString: databaseUrl(COPY) });
+  await source.connect();
+  await copy.connect();
+});
+
+afterAll(async () => {
+  await source?.end();
+  await copy?.end();
+  await admin?.query(`DROP DATABASE IF EXISTS ${COPY}`);
+  await admin?.end();
+});
+
+test('an identical database has no drift', async () => {
+  const expected = await introspectDatabase(source);
+
+  expect(Object.keys(expected)).toContain('relation api.clients');
+  expect(Object.keys(expected)).toContain('function api.update_invitation_status()');
+  expect(Object.keys(expected).some((key) => key.startsWith('relation internal.'))).toBe(false);
+  expect(diffSnapshots(expected, await introspectDatabase(copy))).toEqual([]);
+});
+
+test('reports columns, constraints, indexes, triggers, functions, policies and grants', async () => {
+  await copy.query(`
+    ALTER TABLE api.clients ADD COLUMN legacy_notes text;
+    ALTER TABLE api.clients ALTER COLUMN legal_name DROP NOT NULL;
+    ALTER TABLE api.clients DROP CONSTRAINT clients_region_check;
+    CREATE INDEX idx_clients_legacy_notes ON api.clients (legacy_notes);
+    DROP TRIGGER trigger_update_invitation_status ON api.invitations;
+    CREATE OR REPLACE FUNCTION api.update_invitation_status() RETURNS trigger
+      LANGUAGE plpgsql AS $$ BEGIN RETURN NEW; END; $$;
+    DROP POLICY policy_clients_staff_access ON api.clients;
+    GRANT INSERT ON api.clients TO anon;
+  `);
+
+  const differences = diffSnapshots(
+    await introspectDatabase(source),
+    await introspectDatabase(copy)
+  );
+  const summary = differences.map(({ type, name, change }) => `${change} ${type} ${name}`);
+
+  expect(summary).toEqual(
+    expect.arrayContaining([
+      'unexpected column api.clients.legacy_notes',
+      'changed column api.clients.legal_name',
+      'missing constraint api.clients.clients_region_check',
+      'unexpected index api.idx_clients_legacy_notes',
+      'missing trigger api.invitations.trigger_update_invitation_status',
+      'changed function api.update_invitation_status()',
+      'missing policy api.clients.policy_clients_staff_access',
+      'changed grant api.clients to anon',
+    ])
+  );
+  expect(differences).toHaveLength(8);
+});
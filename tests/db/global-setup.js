@@ -0,0 +1,19 @@
+/**
+ * Vitest global setup for tests/db/
+ *
+ * Starts one embedded Postgres for the whole run and hands its connection
+ * string to the tests via inject('databaseUrl').
+ */
+
+import { startTestDatabase } from './harness.js';
+
+export default async function setup({ provide }) {
+  const database = await startTestDatabase();
+
+  provide('databaseUrl', database.url);
+  provide('appliedMigrations', database.applied);
+
+  return async () => {
+    await database.stop();
+  };
+}
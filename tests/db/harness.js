@@ -0,0 +1,62 @@
+/**
+ * Local Postgres Test Harness
+ *
+ * The tests in tests/db/ run against the embedded Postgres from
+ * src/db/local-postgres.js, started once by the vitest global setup. This
+ * module adds the helpers tests use to act as a Supabase request role and to
+ * run without a migration.
+ */
+
+import {
+  applyMigration,
+  getAppliedMigrations,
+  loadMigrations,
+  rollbackMigration,
+} from '../../src/migrations/runner.js';
+
+export { startLocalDatabase as startTestDatabase } from '../../src/db/local-postgres.js';
+
+/**
+ * Run `fn` as a Supabase request role with the given JWT claims, then roll back
+ *
+ * Everything `fn` writes is discarded, so tests can probe inserts, updates and
+ * deletes without cleaning up.
+ */
+export async function asRole(client, role, claims, fn) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query(`SET LOCAL ROLE ${role}`);
+    await client.query("SELECT set_config('request.jwt.claims', $1, true)", [
+      JSON.stringify({ role, ...claims }),
+    ]);
+    return await fn(client);
+  } finally {
+    await client.query('ROLLBACK');
+  }
+}
+
+/**
+ * Run `fn` with the migration `filename` rolled back, then apply it again
+ *
+ * Later migrations build on it, so the applied ones are rolled back first and
+ * applied again after it.
+ */
+export async function withoutMigration(client, filename, fn) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations(client);
+  const index = migrations.findIndex((migration) => migration.filename === filename);
+  const undone = migrations.slice(index).filter((migration) => applied.has(migration.version));
+
+  for (const migration of [...undone].reverse()) {
+    await rollbackMigration(client, migration);
+  }
+
+  try {
+    return await fn(client);
+  } finally {
+    for (const migration of undone) {
+      await applyMigration(client, migration);
+    }
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Invitation Administration Tests
+ *
+ * Exercises the queries and lifecycle changes behind the invitation:*
+ * scripts against the embedded Postgres.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  checkInvitationToken,
+  cleanupInvitations,
+  createInvitations,
+  listInvitations,
+  revokeInvitation,
+} from '../../src/invitations/admin.js';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  hashInvitationEmail,
+  verifyInvitationToken,
+} from '../../src/invitations/index.js';
+
+const sofia = {
+  firstName: 'Sofia',
+  lastName: 'Berg',
+  companyEmail: 'Sofia.Berg@invadmin.eu',
+  privateEmail: 'sofia@example.com',
+  department: 'Finance',
+  position: 'Analyst',
+};
+const jens = { firstName: 'Jens', lastName: 'Lund', companyEmail: 'jens.lund@invadmin.eu' };
+
+let client;
+let tenant;
+let keyring;
+
+/**
+ * Issue invitations for the test client's onboarding app
+ */
+function create(invitees, options = {}) {
+  return createInvitations(client, keyring, {
+    clientCode: 'invadmin',
+    appCode: 'onboarding',
+    invitees,
+    by: 'admin-spec',
+    ...options,
+  });
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('invadmin', 'Invitation Admin A/S', 'invadmin.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('creates invitations with the PII in the token only', async () => {
+  const [invitation, second] = await create([sofia, jens], { expiresInDays: 14, maxUses: 2 });
+
+  expect(invitation.invitationCode).toMatch(/^INVADMIN-ONBOARDING-[0-9A-F]{6}$/);
+  expect(invitation.link).toBe(
+    `https://invadmin.thepia.net/invitation/${invitation.invitationCode}?token=${invitation.token}`
+  );
+  expect(second.companyEmail).toBe(jens.companyEmail);
+
+  const { payload } = await verifyInvitationToken(keyring, invitation.token);
+  expect(payload.sub).toBe(invitation.id);
+  expect(payload.invitation).toEqual({
+    invitee: {
+      fullName: 'Sofia Berg',
+      firstName: 'Sofia',
+      lastName: 'Berg',
+      companyEmail: sofia.companyEmail,
+      privateEmail: sofia.privateEmail,
+    },
+    position: 'Analyst',
+    department: 'Finance',
+    type: 'onboarding',
+  });
+
+  const { rows } = await client.query('SELECT * FROM api.invitations WHERE id = $1', [
+    invitation.id,
+  ]);
+  const email = await hashInvitationEmail(sofia.companyEmail);
+  expect(rows[0]).toMatchObject({
+    jwt_token: invitation.token,
+    email_hash: email.hash,
+    email_domain: 'invadmin.eu',
+    client_data: { department: 'Finance', position: 'Analyst' },
+    max_uses: 2,
+    created_by: 'admin-spec',
+    status: 'pending',
+  });
+});
+
+test('validates every invitee before creating any', async () => {
+  const before = await listInvitations(client, { clientCode: 'invadmin' });
+
+  await expect(create([jens, { ...sofia, companyEmail: 'not-an-email' }])).rejects.toThrow(
+    '"invitees[1].companyEmail" must be a valid email'
+  );
+  await expect(create([jens], { appCode: 'offboarding' })).rejects.toThrow(
+    'Client "invadmin" has no application "offboarding"'
+  );
+  await expect(create([jens], { type: 'reminder' })).rejects.toThrow('"type" must be one of');
+
+  expect(await listInvitations(client, { clientCode: 'invadmin' })).toHaveLength(before.length);
+});
+
+test('checks tokens against their invitation without redeeming them', async () => {
+  const [invitation] = await create([jens]);
+
+  const check = await checkInvitationToken(client, keyring, invitation.token);
+  expect(check).toMatchObject({ valid: true, problems: [] });
+  expect(check.invitation).toMatchObject({
+    id: invitation.id,
+    client_code: 'invadmin',
+    app_code: 'onboarding',
+    used_count: 0,
+  });
+
+  const late = await checkInvitationToken(client, keyring, invitation.token, {
+    at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  });
+  expect(late.problems.map((problem) => problem.code)).toEqual(['token_expired', 'expired']);
+  expect(late.claims.sub).toBe(invitation.id);
+
+  const foreign = await createInvitationKeyring(await generateInvitationKeys());
+  const unknown = await checkInvitationToken(client, foreign, 'not.a.token');
+  expect(unknown.problems.map((problem) => problem.code)).toEqual(['token_invalid', 'not_found']);
+});
+
+test('lists invitations by status, application and date', async () => {
+  const [invitation] = await create([jens]);
+  await client.query(
+    "UPDATE api.invitations SET created_at = '2020-01-15', status = 'sent' WHERE id = $1",
+    [invitation.id]
+  );
+
+  const sent = await listInvitations(client, { clientCode: 'invadmin', status: 'sent' });
+  expect(sent.map((row) => row.id)).toEqual([invitation.id]);
+  expect(sent[0]).toMatchObject({ app_code: 'onboarding', email_domain: 'invadmin.eu' });
+
+  const january = await listInvitations(client, {
+    appCode: 'onboarding',
+    createdAfter: '2020-01-01',
+    createdBefore: '2020-02-01',
+  });
+  expect(january.map((row) => row.id)).toEqual([invitation.id]);
+
+  const recent = await listInvitations(client, {
+    clientCode: 'invadmin',
+    createdAfter: '2021-01-01',
+  });
+  expect(recent.length).toBeGreaterThan(0);
+  expect(recent.map((row) => row.id)).not.toContain(invitation.id);
+
+  await expect(listInvitations(client, { status: 'lost' })).rejects.toThrow(
+    '"status" must be one of'
+  );
+});
+
+test('revokes by code or id with a reason', async () => {
+  const [byCode, byId] = await create([sofia, jens]);
+
+  await expect(
+    revokeInvitation(client, byCode.invitationCode, { by: 'admin-spec' })
+  ).rejects.toThrow('Revocation requires a reason');
+
+  const revoked = await revokeInvitation(client, byCode.invitationCode, {
+    by: 'admin-spec',
+    reason: ' Offer withdrawn ',
+  });
+  expect(revoked).toMatchObject({
+    id: byCode.id,
+    status: 'revoked',
+    revoked_by: 'admin-spec',
+    revocation_reason: 'Offer withdrawn',
+  });
+  expect(revoked.revoked_at).toBeInstanceOf(Date);
+
+  await client.query("UPDATE api.invitations SET status = 'sent' WHERE id = $1", [byId.id]);
+  expect(
+    (await revokeInvitation(client, byId.id, { by: 'admin-spec', reason: 'Wrong address' })).status
+  ).toBe('revoked');
+
+  await expect(
+    revokeInvitation(client, byCode.invitationCode, { by: 'admin-spec', reason: 'Again' })
+  ).rejects.toThrow(`Invitation "${byCode.invitationCode}" is revoked`);
+  await expect(
+    revokeInvitation(client, 'INVADMIN-NOPE', { by: 'admin-spec', reason: 'Missing' })
+  ).rejects.toThrow('Invitation "INVADMIN-NOPE" not found');
+
+  const check = await checkInvitationToken(client, keyring, byCode.token);
+  expect(check.problems.map((problem) => problem.code)).toEqual(['revoked']);
+});
+
+test('cleanup reports a dry run without changing anything', async () => {
+  // Updates expire pending invitations on the spot, so insert one already past expires_at
+  const {
+    rows: [stale],
+  } = await client.query(
+    `INSERT INTO api.invitations (client_id, app_id, jwt_token_hash, created_at, expires_at, created_by)
+     VALUES ($1, $2, encode(sha256('invitation-admin-stale'), 'hex'), NOW() - INTERVAL '2 days',
+             NOW() - INTERVAL '1 day', 'admin-spec')
+     RETURNING id`,
+    [tenant.clientId, tenant.appId]
+  );
+  const [old] = await create([jens]);
+  await client.query(
+    `UPDATE api.invitations
+     SET status = 'revoked', created_at = NOW() - INTERVAL '200 days', expires_at = NOW() - INTERVAL '190 days'
+     WHERE id = $1`,
+    [old.id]
+  );
+  const statusOf = async (id) =>
+    (await client.query('SELECT status FROM api.invitations WHERE id = $1', [id])).rows[0]?.status;
+
+  const dryRun = await cleanupInvitations(client, { dryRun: true });
+  expect(dryRun.dryRun).toBe(true);
+  expect(dryRun.maintenance.expired_invitations).toBeGreaterThanOrEqual(1);
+  expect(dryRun.maintenance.deleted_old_invitations).toBeGreaterThanOrEqual(1);
+  expect(dryRun.after.revoked ?? 0).toBeLessThan(dryRun.before.revoked);
+  expect(await statusOf(stale.id)).toBe('pending');
+  expect(await statusOf(old.id)).toBe('revoked');
+
+  const run = await cleanupInvitations(client);
+  expect(run.maintenance).toMatchObject({
+    expired_invitations: dryRun.maintenance.expired_invitations,
+    deleted_old_invitations: dryRun.maintenance.deleted_old_invitations,
+  });
+  expect(run.after).toEqual(dryRun.after);
+  expect(await statusOf(stale.id)).toBe('expired');
+  expect(await statusOf(old.id)).toBeUndefined();
+});
@@ -0,0 +1,208 @@
+/**
+ * Invitation Bulk Import Tests
+ *
+ * Previews and runs bulk imports against the embedded Postgres: duplicates
+ * by email hash, seats under max_users and the all-or-nothing insert in
+ * api.import_invitations.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  createInvitations,
+  importInvitations,
+  previewInvitationImport,
+} from '../../src/invitations/admin.js';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  hashInvitationEmail,
+} from '../../src/invitations/index.js';
+import { formatImportResults, parseInviteeCsv } from '../../src/invitations/sheets.js';
+
+// Header plus rows 2-9: a new hire, an existing invitation, an existing
+// person, a repeat of row 2, an invalid row and three more new hires
+const sheet = [
+  'first_name,last_name,company_email,department',
+  'Sofia,Berg,sofia.berg@invimport.eu,Finance',
+  'Jens,Lund,jens.lund@invimport.eu,',
+  'Anne,Holm,ANNE.HOLM@invimport.eu,Sales',
+  'Sofie,Berg,Sofia.Berg@invimport.eu,',
+  'Mads,,mads@invimport,',
+  'Lena,Dahl,lena.dahl@invimport.eu,',
+  'Ole,Nyborg,ole.nyborg@invimport.eu,',
+  'Ida,Krog,ida.krog@invimport.eu,',
+].join('\n');
+
+let client;
+let tenant;
+let keyring;
+
+const settings = { clientCode: 'invimport', appCode: 'onboarding' };
+
+/**
+ * How many invitations the test client has
+ */
+async function invitationCount() {
+  const { rows } = await client.query(
+    'SELECT COUNT(*)::INTEGER AS count FROM api.invitations WHERE client_id = $1',
+    [tenant.clientId]
+  );
+  return rows[0].count;
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain, current_users)
+     VALUES ('invimport', 'Invitation Import A/S', 'invimport.thepia.net', 1)
+     RETURNING id`
+  );
+  // Inserting copies the tier's max_users; a smaller limit keeps the sheet short
+  await client.query('UPDATE api.clients SET max_users = 5 WHERE id = $1', [created.id]);
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+  await client.query(
+    `INSERT INTO api.people
+       (client_id, person_code, first_name, last_name, company_email, department, position,
+        location, employment_status)
+     VALUES ($1, 'invimport-anne-holm', 'Anne', 'Holm', 'anne.holm@invimport.eu', 'Sales',
+             'Account Manager', 'Copenhagen', 'active')`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+
+  // Jens already has an invitation: 5 max_users - 1 user - 1 open = 3 seats
+  await createInvitations(client, keyring, {
+    ...settings,
+    invitees: [{ firstName: 'Jens', lastName: 'Lund', companyEmail: 'jens.lund@invimport.eu' }],
+    by: 'import-spec',
+  });
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('previews an import without creating anything', async () => {
+  const preview = await previewInvitationImport(client, {
+    ...settings,
+    invitees: parseInviteeCsv(sheet),
+  });
+
+  expect(preview.capacity).toEqual({
+    max_users: 5,
+    current_users: 1,
+    open_invitations: 1,
+    open_seats: 1,
+    available: 3,
+  });
+  expect(preview.rows.map(({ row, status }) => [row, status])).toEqual([
+    [2, 'ready'],
+    [3, 'duplicate'],
+    [4, 'duplicate'],
+    [5, 'duplicate'],
+    [6, 'invalid'],
+    [7, 'ready'],
+    [8, 'ready'],
+    [9, 'over_capacity'],
+  ]);
+  expect(preview.rows[1].message).toMatch(
+    /^invitation INVIMPORT-ONBOARDING-[0-9A-F]{6} \(pending\)$/
+  );
+  expect(preview.rows[2].message).toBe('person invimport-anne-holm (active)');
+  expect(preview.rows[3].message).toBe('same email as row 2');
+  expect(preview.rows[4].errors).toEqual([
+    '"lastName" is required',
+    '"companyEmail" must be a valid email',
+  ]);
+  expect(await invitationCount()).toBe(1);
+});
+
+test('creates the ready rows and reports every row', async () => {
+  const result = await importInvitations(client, keyring, {
+    ...settings,
+    invitees: parseInviteeCsv(sheet),
+    allowDuplicates: true,
+    by: 'import-spec',
+  });
+
+  // With duplicates allowed, Jens and Anne take seats ahead of Lena and Ole
+  const created = result.rows.filter((row) => row.status === 'created');
+  expect(created.map((row) => row.row)).toEqual([2, 3, 4]);
+  expect(result.rows.map((row) => row.status).slice(3)).toEqual([
+    'duplicate',
+    'invalid',
+    'over_capacity',
+    'over_capacity',
+    'over_capacity',
+  ]);
+  expect(created[0].link).toBe(
+    `https://invimport.thepia.net/invitation/${created[0].invitationCode}?token=${created[0].token}`
+  );
+
+  const { rows } = await client.query(
+    'SELECT email_hash, created_by, client_data FROM api.invitations WHERE id = $1',
+    [created[0].id]
+  );
+  expect(rows[0]).toEqual({
+    email_hash: (await hashInvitationEmail('sofia.berg@invimport.eu')).hash,
+    created_by: 'import-spec',
+    client_data: { department: 'Finance' },
+  });
+  expect(await invitationCount()).toBe(4);
+
+  const [header, first] = formatImportResults(result.rows).split('\n');
+  expect(header).toBe('row,status,company_email,invitation_code,link,message');
+  expect(first).toBe(
+    `2,created,sofia.berg@invimport.eu,${created[0].invitationCode},${created[0].link},`
+  );
+});
+
+test('refuses an insert that would exceed max_users, creating nothing', async () => {
+  const invitee = { firstName: 'Ida', lastName: 'Krog', companyEmail: 'ida.krog@invimport.eu' };
+
+  const preview = await previewInvitationImport(client, { ...settings, invitees: [invitee] });
+  expect(preview.capacity.available).toBe(0);
+  expect(preview.rows[0].status).toBe('over_capacity');
+
+  // Seats are checked again under a lock when inserting
+  await expect(
+    createInvitations(client, keyring, { ...settings, invitees: [invitee], by: 'import-spec' })
+  ).rejects.toMatchObject({
+    code: '23514',
+    message: expect.stringContaining('would exceed max_users of 5 for "invimport"'),
+  });
+  expect(await invitationCount()).toBe(4);
+});
+
+test('requires an active application of the client', async () => {
+  await expect(
+    client.query('SELECT api.import_invitations($1, gen_random_uuid(), $2, $3)', [
+      tenant.clientId,
+      '[]',
+      'import-spec',
+    ])
+  ).rejects.toThrow('does not belong to client "invimport"');
+  await expect(
+    client.query('SELECT api.import_invitations($1, $2, $3, $4)', [
+      tenant.clientId,
+      tenant.appId,
+      '[]',
+      ' ',
+    ])
+  ).rejects.toThrow('Importing invitations requires the acting user');
+});
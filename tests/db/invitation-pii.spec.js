@@ -0,0 +1,139 @@
+/**
+ * Invitation PII Guard Tests
+ *
+ * api.invitations.client_data and usage_metadata must never hold invitee PII
+ * (schemas/30_invitation_pii_guard.sql). Covers the constraints and the
+ * one-off scrub of rows written before the guard existed.
+ */
+
+import { createHash } from 'node:crypto';
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { withoutMigration } from './harness.js';
+
+let client;
+let tenant;
+
+/**
+ * Insert an invitation with the given metadata columns
+ */
+async function insertInvitation(columns) {
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations (client_id, app_id, jwt_token_hash, expires_at, created_by, client_data, usage_metadata)
+     VALUES ($1, $2, encode(gen_random_bytes(32), 'hex'), NOW() + interval '7 days', 'pii-spec', $3, $4)
+     RETURNING *`,
+    [tenant.clientId, tenant.appId, columns.client_data ?? {}, columns.usage_metadata ?? {}]
+  );
+
+  return rows[0];
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('pii-guard', 'PII Guard A/S', 'pii-guard.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('finds PII keys at any depth, whatever their spelling', async () => {
+  const {
+    rows: [{ keys }],
+  } = await client.query('SELECT api.invitation_pii_keys($1) AS keys', [
+    {
+      department: 'Engineering',
+      companyEmail: 'sofia@acme.com',
+      invitee: { 'First-Name': 'Sofia', contacts: [{ PHONE: '+45 1234' }] },
+    },
+  ]);
+
+  expect(keys).toEqual(['First-Name', 'PHONE', 'companyEmail']);
+});
+
+test('rejects invitations with PII in client_data or usage_metadata', async () => {
+  const safe = await insertInvitation({
+    client_data: { department: 'Engineering', position: 'Developer', person_code: 'P-001' },
+    usage_metadata: { sessions: 2 },
+  });
+  expect(safe.client_data).toEqual({
+    department: 'Engineering',
+    position: 'Developer',
+    person_code: 'P-001',
+  });
+
+  await expect(
+    insertInvitation({ client_data: { company_email: 'sofia@acme.com' } })
+  ).rejects.toThrow('client_data_without_pii');
+  await expect(
+    insertInvitation({ usage_metadata: { redeemed_by: { fullName: 'Sofia Berg' } } })
+  ).rejects.toThrow('usage_metadata_without_pii');
+  await expect(
+    client.query(
+      `UPDATE api.invitations SET client_data = client_data || '{"lastName": "Berg"}' WHERE id = $1`,
+      [safe.id]
+    )
+  ).rejects.toThrow('client_data_without_pii');
+});
+
+test('the migration scrubs existing rows into email_hash and email_domain', async () => {
+  let legacy;
+  let hashed;
+  await withoutMigration(client, '30_invitation_pii_guard.sql', async () => {
+    legacy = await insertInvitation({
+      client_data: {
+        company_email: ' Sofia.Berg@Acme.com ',
+        private_email: 'sofia@example.com',
+        first_name: 'Sofia',
+        last_name: 'Berg',
+        department: 'Engineering',
+        history: [{ manager: 'Lars Nielsen', step: 'approved' }],
+      },
+      usage_metadata: { email: 'sofia@example.com', sessions: 1 },
+    });
+    hashed = await insertInvitation({ client_data: { email: 'other@acme.com', source: 'form' } });
+    await client.query(
+      `UPDATE api.invitations SET email_hash = repeat('a', 64), email_domain = 'kept.com' WHERE id = $1`,
+      [hashed.id]
+    );
+  });
+
+  const { rows } = await client.query(
+    `SELECT id, client_data, usage_metadata, email_hash, email_domain
+     FROM api.invitations WHERE id = ANY($1)`,
+    [[legacy.id, hashed.id]]
+  );
+  const byId = Object.fromEntries(rows.map((row) => [row.id, row]));
+
+  expect(byId[legacy.id]).toEqual({
+    id: legacy.id,
+    client_data: { department: 'Engineering', history: [{ step: 'approved' }] },
+    usage_metadata: { sessions: 1 },
+    email_hash: createHash('sha256').update('sofia.berg@acme.com').digest('hex'),
+    email_domain: 'acme.com',
+  });
+  expect(byId[hashed.id]).toMatchObject({
+    client_data: { source: 'form' },
+    email_hash: 'a'.repeat(64),
+    email_domain: 'kept.com',
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Invitation Redemption Tests
+ *
+ * Redeems real tokens through redeemInvitation() and api.redeem_invitation:
+ * every restriction is checked and reported, attempts are rate-limited per
+ * invitation and each outcome lands in usage_metadata.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  hashInvitationToken,
+  issueInvitationToken,
+  redeemInvitation,
+} from '../../src/invitations/index.js';
+import { asRole } from './harness.js';
+
+// A Saturday and a Monday morning in Copenhagen
+const SATURDAY = new Date('2030-06-01T10:00:00Z');
+const MONDAY = new Date('2030-06-03T07:30:00Z');
+
+let client;
+let tenant;
+let keyring;
+
+/**
+ * Issue a token and insert its invitation with the given columns
+ */
+async function createInvitation(columns = {}) {
+  const { token, hash, expiresAt } = await issueInvitationToken(keyring, {
+    subject: `inv-${Math.random().toString(36).slice(2)}`,
+    invitation: { invitee: { fullName: 'Sofia Berg' }, type: 'onboarding' },
+    expiresAt: columns.expires_at ?? new Date('2030-07-01T00:00:00Z'),
+  });
+
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations
+       (client_id, app_id, jwt_token_hash, expires_at, created_by, max_uses,
+        restrictions, ip_restrictions, device_fingerprint_hash, require_mfa)
+     VALUES ($1, $2, $3, $4, 'redemption-spec', $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      tenant.clientId,
+      tenant.appId,
+      hash,
+      expiresAt,
+      columns.max_uses ?? 1,
+      columns.restrictions ?? {},
+      columns.ip_restrictions ? JSON.stringify(columns.ip_restrictions) : null,
+      columns.device_fingerprint_hash ?? null,
+      columns.require_mfa ?? false,
+    ]
+  );
+
+  return { id: rows[0].id, token };
+}
+
+/**
+ * The invitation row as redemption left it
+ */
+async function getInvitation(id) {
+  const { rows } = await client.query(
+    'SELECT status, used_count, used_by_user_id, usage_metadata FROM api.invitations WHERE id = $1',
+    [id]
+  );
+  return rows[0];
+}
+
+const codes = (result) => result.denials.map((denial) => denial.code);
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('redemption', 'Redemption A/S', 'redemption.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('redeems an unrestricted invitation once and records the outcome', async () => {
+  const { id, token } = await createInvitation();
+
+  const result = await redeemInvitation(client, keyring, token, {
+    userId: 'auth0|sofia',
+    time: MONDAY,
+  });
+  expect(result).toMatchObject({ redeemed: true, invitationId: id, denials: [], remainingUses: 0 });
+  expect(result.claims.invitation.type).toBe('onboarding');
+
+  const again = await redeemInvitation(client, keyring, token, { time: MONDAY });
+  expect(again).toMatchObject({ redeemed: false, invitationId: id, claims: null });
+  expect(codes(again)).toEqual(['max_uses_reached']);
+
+  const invitation = await getInvitation(id);
+  expect(invitation).toMatchObject({
+    status: 'used',
+    used_count: 1,
+    used_by_user_id: 'auth0|sofia',
+  });
+  expect(invitation.usage_metadata.redemption).toMatchObject({
+    attempts: 2,
+    redeemed: 1,
+    denied: 1,
+    last_outcome: 'denied',
+    last_denials: ['max_uses_reached'],
+  });
+});
+
+test('reports every restriction the request fails', async () => {
+  const { id, token } = await createInvitation({
+    max_uses: 5,
+    ip_restrictions: ['10.0.0.0/8', '192.168.1.0/24'],
+    device_fingerprint_hash: 'a'.repeat(64),
+    require_mfa: true,
+    restrictions: { business_hours_only: true, timezone: 'Europe/Copenhagen', max_sessions: 5 },
+  });
+
+  const denied = await redeemInvitation(client, keyring, token, {
+    ip: '203.0.113.9',
+    deviceFingerprintHash: 'b'.repeat(64),
+    time: SATURDAY,
+  });
+  expect(codes(denied)).toEqual([
+    'ip_not_allowed',
+    'device_mismatch',
+    'mfa_required',
+    'outside_business_hours',
+  ]);
+  expect(denied.denials[0].message).toBe('The invitation cannot be used from this network');
+
+  const noIp = await redeemInvitation(client, keyring, token, {
+    ip: 'not-an-ip',
+    deviceFingerprintHash: 'a'.repeat(64),
+    mfa: true,
+    time: MONDAY,
+  });
+  expect(codes(noIp)).toEqual(['ip_required']);
+
+  const redeemed = await redeemInvitation(client, keyring, token, {
+    ip: '192.168.1.20',
+    deviceFingerprintHash: 'a'.repeat(64),
+    mfa: true,
+    time: MONDAY,
+  });
+  expect(redeemed).toMatchObject({ redeemed: true, remainingUses: 4 });
+  expect(await getInvitation(id)).toMatchObject({ status: 'pending', used_count: 1 });
+});
+
+test('denies unknown, foreign, expired and premature tokens', async () => {
+  const { token } = await createInvitation({
+    restrictions: { not_before: '2030-06-02T00:00:00Z' },
+  });
+
+  expect(codes(await redeemInvitation(client, keyring, 'not.a.token'))).toEqual(['not_found']);
+
+  const foreign = await createInvitationKeyring(await generateInvitationKeys());
+  expect(codes(await redeemInvitation(client, foreign, token, { time: MONDAY }))).toEqual([
+    'token_invalid',
+  ]);
+
+  expect(codes(await redeemInvitation(client, keyring, token, { time: SATURDAY }))).toEqual([
+    'not_yet_valid',
+  ]);
+
+  const late = new Date('2030-07-02T00:00:00Z');
+  expect(codes(await redeemInvitation(client, keyring, token, { time: late }))).toEqual([
+    'token_expired',
+    'expired',
+  ]);
+});
+
+test('rate-limits attempts per invitation', async () => {
+  const { id, token } = await createInvitation({
+    require_mfa: true,
+    restrictions: { rate_limit: { max_attempts: 2, window_seconds: 60 } },
+  });
+  const other = await createInvitation();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    expect(codes(await redeemInvitation(client, keyring, token, { time: MONDAY }))).toEqual([
+      'mfa_required',
+    ]);
+  }
+
+  const limited = await redeemInvitation(client, keyring, token, {
+    mfa: true,
+    time: new Date(MONDAY.getTime() + 15_000),
+  });
+  expect(codes(limited)).toEqual(['rate_limited']);
+  expect(limited.retryAfter).toBe(45);
+
+  // Other invitations are unaffected, and the window resets
+  expect((await redeemInvitation(client, keyring, other.token, { time: MONDAY })).redeemed).toBe(
+    true
+  );
+  const later = await redeemInvitation(client, keyring, token, {
+    mfa: true,
+    time: new Date(MONDAY.getTime() + 60_000),
+  });
+  expect(later.redeemed).toBe(true);
+
+  expect((await getInvitation(id)).usage_metadata.redemption).toMatchObject({
+    attempts: 4,
+    redeemed: 1,
+    denied: 3,
+    window_attempts: 1,
+  });
+});
+
+test('use_invitation applies the same checks, and only the service role may redeem', async () => {
+  const { token } = await createInvitation({ require_mfa: true });
+  const { rows } = await client.query('SELECT api.use_invitation($1) AS result', [
+    await hashInvitationToken(token),
+  ]);
+  expect(rows[0].result).toMatchObject({
+    success: false,
+    error: 'Multi-factor authentication is required',
+  });
+
+  for (const role of ['anon', 'authenticated']) {
+    await expect(
+      asRole(client, role, {}, (c) => c.query("SELECT api.redeem_invitation(repeat('a', 64))"))
+    ).rejects.toMatchObject({ code: '42501' });
+    await expect(
+      asRole(client, role, {}, (c) => c.query("SELECT api.use_invitation(repeat('a', 64))"))
+    ).rejects.toMatchObject({ code: '42501' });
+  }
+});
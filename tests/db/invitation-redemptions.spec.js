@@ -0,0 +1,235 @@
+/**
+ * Invitation Redemption History Tests
+ *
+ * Every attempt on an invitation lands in api.invitation_redemptions; cohort
+ * links are redeemed once per person and hold a seat per use left.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  createCohortInvitation,
+  createInvitations,
+  listInvitationRedemptions,
+} from '../../src/invitations/admin.js';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  redeemInvitation,
+} from '../../src/invitations/index.js';
+import { withoutMigration } from './harness.js';
+
+let client;
+let tenant;
+let keyring;
+
+const settings = { clientCode: 'cohorts', appCode: 'onboarding' };
+
+/**
+ * Seats of the test client as a bulk import sees them
+ */
+async function capacity() {
+  const { rows } = await client.query('SELECT api.invitation_import_capacity($1) AS capacity', [
+    tenant.clientId,
+  ]);
+  return rows[0].capacity;
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain, current_users)
+     VALUES ('cohorts', 'Cohorts A/S', 'cohorts.thepia.net', 2)
+     RETURNING id`
+  );
+  // Inserting copies the tier's max_users; a small limit makes seats countable
+  await client.query('UPDATE api.clients SET max_users = 10 WHERE id = $1', [created.id]);
+  await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id };
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('records every attempt with its outcome, hashed IP and use number', async () => {
+  const [invitation] = await createInvitations(client, keyring, {
+    ...settings,
+    invitees: [{ firstName: 'Sofia', lastName: 'Berg', companyEmail: 'sofia@cohorts.eu' }],
+    by: 'redemptions-spec',
+  });
+
+  const redeemed = await redeemInvitation(client, keyring, invitation.token, {
+    userId: 'auth0|sofia',
+    ip: '203.0.113.7',
+  });
+  const denied = await redeemInvitation(client, keyring, invitation.token, {
+    userId: 'auth0|other',
+    ip: 'not an address',
+  });
+  expect(redeemed.redeemed).toBe(true);
+  expect(denied.redeemed).toBe(false);
+
+  const history = await listInvitationRedemptions(client, invitation.invitationCode);
+  expect(history.invitation).toMatchObject({
+    id: invitation.id,
+    status: 'used',
+    max_uses: 1,
+    used_count: 1,
+    cohort: null,
+    client_code: 'cohorts',
+    app_code: 'onboarding',
+  });
+
+  const [second, first] = history.redemptions;
+  expect(first).toMatchObject({
+    id: redeemed.redemptionId,
+    user_id: 'auth0|sofia',
+    outcome: 'redeemed',
+    denial_codes: [],
+    use_number: 1,
+  });
+  expect(first.ip_hash).toMatch(/^[0-9a-f]{64}$/);
+  expect(second).toMatchObject({
+    id: denied.redemptionId,
+    user_id: 'auth0|other',
+    outcome: 'denied',
+    denial_codes: ['max_uses_reached'],
+    ip_hash: null,
+    use_number: null,
+  });
+
+  // The same address hashes differently on another invitation
+  const {
+    rows: [{ hash }],
+  } = await client.query(
+    `SELECT encode(sha256(convert_to($1 || '/203.0.113.7', 'UTF8')), 'hex') AS hash`,
+    [invitation.id]
+  );
+  expect(first.ip_hash).toBe(hash);
+
+  await expect(listInvitationRedemptions(client, 'COHORTS-ONBOARDING-000000')).rejects.toThrow(
+    'Invitation "COHORTS-ONBOARDING-000000" not found'
+  );
+});
+
+test('a cohort link is redeemed once per person, up to its size', async () => {
+  const cohort = await createCohortInvitation(client, keyring, {
+    ...settings,
+    cohort: ' Security training, March ',
+    maxUses: 3,
+    by: 'redemptions-spec',
+  });
+  expect(cohort.companyEmail).toBeNull();
+  expect(cohort.link).toBe(
+    `https://cohorts.thepia.net/invitation/${cohort.invitationCode}?token=${cohort.token}`
+  );
+
+  const redeem = (userId) => redeemInvitation(client, keyring, cohort.token, { userId });
+
+  const anne = await redeem('auth0|anne');
+  expect(anne).toMatchObject({ redeemed: true, remainingUses: 2 });
+  expect(anne.claims.invitation).toMatchObject({
+    cohort: 'Security training, March',
+    type: 'onboarding',
+  });
+  expect((await redeem('auth0|anne')).denials.map((denial) => denial.code)).toEqual([
+    'already_redeemed',
+  ]);
+  expect((await redeem('auth0|jens')).redeemed).toBe(true);
+  expect((await redeem('auth0|ole')).remainingUses).toBe(0);
+  expect((await redeem('auth0|ida')).denials.map((denial) => denial.code)).toEqual([
+    'max_uses_reached',
+  ]);
+
+  const { invitation, redemptions } = await listInvitationRedemptions(client, cohort.id, {
+    limit: 10,
+  });
+  expect(invitation).toMatchObject({
+    status: 'used',
+    used_count: 3,
+    cohort: 'Security training, March',
+  });
+  expect(
+    redemptions
+      .filter((redemption) => redemption.outcome === 'redeemed')
+      .map((redemption) => [redemption.user_id, redemption.use_number])
+      .sort(([, a], [, b]) => a - b)
+  ).toEqual([
+    ['auth0|anne', 1],
+    ['auth0|jens', 2],
+    ['auth0|ole', 3],
+  ]);
+
+  await expect(
+    createCohortInvitation(client, keyring, {
+      ...settings,
+      cohort: 'Solo',
+      maxUses: 1,
+      by: 'redemptions-spec',
+    })
+  ).rejects.toThrow('"maxUses" must be greater than or equal to 2');
+});
+
+test('an open cohort link holds a seat for every use it has left', async () => {
+  const before = await capacity();
+
+  const cohort = await createCohortInvitation(client, keyring, {
+    ...settings,
+    cohort: 'Summer interns',
+    maxUses: 4,
+    by: 'redemptions-spec',
+  });
+  await redeemInvitation(client, keyring, cohort.token, { userId: 'auth0|intern' });
+
+  const after = await capacity();
+  expect(after).toMatchObject({
+    open_invitations: before.open_invitations + 1,
+    open_seats: before.open_seats + 3,
+    available: before.available - 3,
+  });
+
+  // A cohort larger than the seats left is refused as a whole
+  await expect(
+    createCohortInvitation(client, keyring, {
+      ...settings,
+      cohort: 'Too big',
+      maxUses: after.available + 1,
+      by: 'redemptions-spec',
+    })
+  ).rejects.toMatchObject({ code: '23514' });
+});
+
+test('the migration rolls back to redemptions without history', async () => {
+  await withoutMigration(client, '33_invitation_redemptions.sql', async () => {
+    const { rows } = await client.query(
+      `SELECT to_regclass('api.invitation_redemptions') AS history,
+              to_regprocedure('api.invitation_seats(integer, integer, jsonb)') AS seats`
+    );
+    expect(rows[0]).toEqual({ history: null, seats: null });
+
+    const [invitation] = await createInvitations(client, keyring, {
+      ...settings,
+      invitees: [{ firstName: 'Lena', lastName: 'Dahl', companyEmail: 'lena@cohorts.eu' }],
+      by: 'redemptions-spec',
+    });
+    const result = await redeemInvitation(client, keyring, invitation.token);
+    expect(result).toMatchObject({ redeemed: true, redemptionId: null });
+  });
+
+  const { rows } = await client.query(
+    `SELECT to_regclass('api.invitation_redemptions') IS NOT NULL AS history`
+  );
+  expect(rows[0].history).toBe(true);
+});
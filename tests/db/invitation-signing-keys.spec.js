@@ -0,0 +1,225 @@
+/**
+ * Invitation Signing Key Tests
+ *
+ * Rotates generated keys through api.invitation_signing_keys: tokens signed
+ * by a retiring key keep verifying, retired keys stop verifying, and the
+ * JWKS only lists keys that are trusted right now.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, beforeEach, expect, inject, test } from 'vitest';
+import { createInvitations } from '../../src/invitations/admin.js';
+import {
+  activateSigningKey,
+  generateInvitationKey,
+  generateInvitationKeys,
+  getInvitationJwks,
+  issueInvitationToken,
+  listSigningKeys,
+  loadRegisteredInvitationKeys,
+  registerSigningKey,
+  retireExpiredSigningKeys,
+  retireSigningKey,
+  verifyInvitationToken,
+} from '../../src/invitations/index.js';
+
+const invitation = { invitee: { fullName: 'Sofia Berg' }, type: 'onboarding' };
+
+let client;
+let env;
+
+/**
+ * Generate and register a signing key, adding its private half to `env`
+ */
+async function addKey(options = {}) {
+  const jwk = await generateInvitationKey('ES256', 'sig');
+  await registerSigningKey(client, jwk, { by: 'ops@thepia.com', ...options });
+
+  const keys = JSON.parse(env.INVITATION_SIGNING_KEYS ?? '{"keys": []}').keys;
+  env.INVITATION_SIGNING_KEYS = JSON.stringify({ keys: [...keys, jwk] });
+  return jwk;
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+});
+
+beforeEach(async () => {
+  await client.query('DELETE FROM api.invitation_signing_keys');
+  const { encryptionKeys } = await generateInvitationKeys();
+  env = { INVITATION_ENCRYPTION_KEYS: JSON.stringify({ keys: encryptionKeys }) };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.invitation_signing_keys');
+  await client?.end();
+});
+
+test('stores only the public key, as pending', async () => {
+  const jwk = await addKey();
+  const [key] = await listSigningKeys(client);
+
+  expect(key).toMatchObject({ kid: jwk.kid, algorithm: 'ES256', status: 'pending' });
+  expect(key.public_jwk).not.toHaveProperty('d');
+  expect(key.public_jwk).toMatchObject({ x: jwk.x, y: jwk.y });
+
+  await expect(registerSigningKey(client, jwk, { by: 'ops@thepia.com' })).rejects.toThrow(
+    `Invitation signing key "${jwk.kid}" is already registered`
+  );
+  await expect(
+    client.query(
+      `INSERT INTO api.invitation_signing_keys (kid, algorithm, public_jwk)
+       VALUES ('leaky', 'ES256', $1)`,
+      [{ ...jwk, kid: 'leaky' }]
+    )
+  ).rejects.toThrow('public_jwk_only');
+});
+
+test('only the active key signs', async () => {
+  const jwk = await addKey();
+
+  await expect(
+    issueInvitationToken(await loadRegisteredInvitationKeys(client, env), {
+      subject: 'inv-1',
+      invitation,
+    })
+  ).rejects.toThrow(`Invitation signing key "${jwk.kid}" is pending, not active`);
+
+  await activateSigningKey(client, jwk.kid);
+  const keyring = await loadRegisteredInvitationKeys(client, env);
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-1', invitation });
+
+  expect((await verifyInvitationToken(keyring, token)).signingKid).toBe(jwk.kid);
+
+  const second = await addKey();
+  await expect(
+    client.query(`UPDATE api.invitation_signing_keys SET status = 'active' WHERE kid = $1`, [
+      second.kid,
+    ])
+  ).rejects.toThrow('idx_invitation_signing_keys_single_active');
+});
+
+test('rotation keeps tokens from the retiring key valid until it is retired', async () => {
+  const first = await addKey();
+  await activateSigningKey(client, first.kid);
+  const { token: oldToken } = await issueInvitationToken(
+    await loadRegisteredInvitationKeys(client, env),
+    { subject: 'inv-old', invitation }
+  );
+
+  const second = await addKey();
+  const { activated, replaced, changed } = await activateSigningKey(client, second.kid, {
+    graceSeconds: 3600,
+  });
+  expect(changed).toBe(true);
+  expect(activated.status).toBe('active');
+  expect(replaced).toMatchObject({ kid: first.kid, status: 'retiring' });
+  expect(replaced.not_after.getTime() - Date.now()).toBeGreaterThan(3500 * 1000);
+  expect((await activateSigningKey(client, second.kid)).changed).toBe(false);
+
+  const rotated = await loadRegisteredInvitationKeys(client, env);
+  const { token: newToken } = await issueInvitationToken(rotated, {
+    subject: 'inv-new',
+    invitation,
+  });
+  expect((await verifyInvitationToken(rotated, oldToken)).signingKid).toBe(first.kid);
+  expect((await verifyInvitationToken(rotated, newToken)).signingKid).toBe(second.kid);
+  expect((await getInvitationJwks(client)).keys.map((key) => key.kid)).toEqual([
+    second.kid,
+    first.kid,
+  ]);
+
+  await retireSigningKey(client, first.kid);
+  const retired = await loadRegisteredInvitationKeys(client, env);
+  await expect(verifyInvitationToken(retired, oldToken)).rejects.toThrow(
+    `Unknown invitation signing key "${first.kid}"`
+  );
+  expect((await verifyInvitationToken(retired, newToken)).signingKid).toBe(second.kid);
+  expect((await getInvitationJwks(client)).keys.map((key) => key.kid)).toEqual([second.kid]);
+
+  await expect(activateSigningKey(client, first.kid)).rejects.toThrow('is retired');
+  await expect(
+    client.query(`UPDATE api.invitation_signing_keys SET status = 'pending' WHERE kid = $1`, [
+      first.kid,
+    ])
+  ).rejects.toThrow(`Invitation signing key "${first.kid}" is retired`);
+});
+
+test('a retiring key verifies until the invitations it signed expire', async () => {
+  const {
+    rows: [tenant],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('keyrotation', 'Key Rotation A/S', 'keyrotation.thepia.net')
+     RETURNING id`
+  );
+
+  try {
+    await client.query(
+      `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+       VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')`,
+      [tenant.id]
+    );
+    const first = await addKey();
+    await activateSigningKey(client, first.kid);
+    const [sent] = await createInvitations(
+      client,
+      await loadRegisteredInvitationKeys(client, env),
+      {
+        clientCode: 'keyrotation',
+        appCode: 'onboarding',
+        invitees: [{ firstName: 'Sofia', lastName: 'Berg', companyEmail: 'sofia@keyrotation.eu' }],
+        expiresInDays: 30,
+        by: 'signing-keys-spec',
+      }
+    );
+
+    const second = await addKey();
+    const { replaced } = await activateSigningKey(client, second.kid, { graceSeconds: 3600 });
+
+    expect(replaced.not_after.getTime()).toBe(sent.expiresAt.getTime());
+    const rotated = await loadRegisteredInvitationKeys(client, env);
+    expect((await verifyInvitationToken(rotated, sent.token)).signingKid).toBe(first.kid);
+  } finally {
+    await client.query('DELETE FROM api.clients WHERE id = $1', [tenant.id]);
+  }
+});
+
+test('keys past their grace period stop verifying and can be swept', async () => {
+  const first = await addKey();
+  await activateSigningKey(client, first.kid);
+  const second = await addKey();
+  await activateSigningKey(client, second.kid, { graceSeconds: 0.001 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const keyring = await loadRegisteredInvitationKeys(client, env);
+  expect(keyring.signingKeys.map((key) => key.kid)).toEqual([second.kid]);
+
+  expect((await retireExpiredSigningKeys(client)).map((key) => key.kid)).toEqual([first.kid]);
+  expect((await listSigningKeys(client)).map((key) => key.kid)).toEqual([second.kid]);
+  expect(await listSigningKeys(client, { includeRetired: true })).toHaveLength(2);
+});
+
+test('refuses private keys that do not match the registry', async () => {
+  const jwk = await addKey();
+  await activateSigningKey(client, jwk.kid);
+  const impostor = await generateInvitationKey('ES256', 'sig');
+
+  await expect(
+    loadRegisteredInvitationKeys(client, {
+      ...env,
+      INVITATION_SIGNING_KEYS: JSON.stringify({ keys: [{ ...impostor, kid: jwk.kid }] }),
+    })
+  ).rejects.toThrow(
+    `INVITATION_SIGNING_KEYS key "${jwk.kid}" does not match the registered public key`
+  );
+
+  // Without the private key the registry keyring still verifies but cannot sign
+  const verifier = await loadRegisteredInvitationKeys(client, {
+    INVITATION_ENCRYPTION_KEYS: env.INVITATION_ENCRYPTION_KEYS,
+  });
+  await expect(issueInvitationToken(verifier, { subject: 'inv-1', invitation })).rejects.toThrow(
+    'has no private key'
+  );
+});
@@ -0,0 +1,222 @@
+/**
+ * Invitation Status Lifecycle Tests
+ *
+ * Status changes follow api.invitation_status_transitions; anything else is
+ * refused, and every change lands in api.invitation_status_history with its
+ * actor and reason.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { cleanupInvitations, revokeInvitation } from '../../src/invitations/admin.js';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  issueInvitationToken,
+  redeemInvitation,
+} from '../../src/invitations/index.js';
+import { asRole, withoutMigration } from './harness.js';
+
+let client;
+let tenant;
+let keyring;
+
+/**
+ * Issue a token and insert its invitation in `status`
+ */
+async function createInvitation(status = 'pending', columns = {}) {
+  const { token, hash } = await issueInvitationToken(keyring, {
+    subject: `inv-${Math.random().toString(36).slice(2)}`,
+    invitation: { type: 'onboarding' },
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+  });
+
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations
+       (client_id, app_id, jwt_token_hash, expires_at, created_by, status, request_type,
+        email_domain, comment, user_agent, referrer)
+     VALUES ($1, $2, $3, $4, 'status-spec', $5, $6, $7, $8, $9, $10)
+     RETURNING id, invitation_code`,
+    [
+      tenant.clientId,
+      tenant.appId,
+      hash,
+      columns.expires_at ?? new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      status,
+      columns.request_type ?? null,
+      columns.email_domain ?? null,
+      columns.comment ?? null,
+      columns.user_agent ?? null,
+      columns.referrer ?? null,
+    ]
+  );
+
+  return { ...rows[0], token };
+}
+
+/**
+ * The status history of an invitation, oldest first
+ */
+async function historyOf(id) {
+  const { rows } = await client.query(
+    `SELECT from_status, to_status, changed_by, reason
+     FROM api.invitation_status_history
+     WHERE invitation_id = $1
+     ORDER BY changed_at, id`,
+    [id]
+  );
+  return rows;
+}
+
+const setStatus = (id, status, extra = '') =>
+  client.query(`UPDATE api.invitations SET status = $2${extra} WHERE id = $1`, [id, status]);
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('invstatus', 'Invitation Status A/S', 'invstatus.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('records each status change with its actor and reason', async () => {
+  const invitation = await createInvitation();
+
+  await client.query(
+    `UPDATE api.invitations
+     SET status = 'sent', status_changed_by = 'admin@thepia.com', status_change_reason = 'Emailed'
+     WHERE id = $1`,
+    [invitation.id]
+  );
+  await revokeInvitation(client, invitation.invitation_code, {
+    by: 'admin@thepia.com',
+    reason: 'Offer withdrawn',
+  });
+
+  expect(await historyOf(invitation.id)).toEqual([
+    { from_status: null, to_status: 'pending', changed_by: 'status-spec', reason: null },
+    {
+      from_status: 'pending',
+      to_status: 'sent',
+      changed_by: 'admin@thepia.com',
+      reason: 'Emailed',
+    },
+    {
+      from_status: 'sent',
+      to_status: 'revoked',
+      changed_by: 'admin@thepia.com',
+      reason: 'Offer withdrawn',
+    },
+  ]);
+
+  // The actor and reason are instructions to the trigger, not stored
+  const { rows } = await client.query(
+    'SELECT status_changed_by, status_change_reason FROM api.invitations WHERE id = $1',
+    [invitation.id]
+  );
+  expect(rows[0]).toEqual({ status_changed_by: null, status_change_reason: null });
+});
+
+test('refuses status changes outside the lifecycle', async () => {
+  const used = await createInvitation('used');
+  const revoked = await createInvitation('revoked');
+  // A demo request the spam filter (36) leaves for review
+  const requested = await createInvitation('requested', {
+    request_type: 'demo_request',
+    email_domain: 'prospect.dk',
+    comment: 'We would like to see the onboarding flow',
+    user_agent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0',
+    referrer: 'https://thepia.com/flows',
+  });
+
+  await expect(setStatus(used.id, 'pending')).rejects.toMatchObject({
+    code: '23514',
+    message: `Invitation ${used.invitation_code} cannot move from used to pending`,
+    hint: 'Allowed from used: revoked',
+  });
+  await expect(setStatus(revoked.id, 'approved')).rejects.toMatchObject({
+    code: '23514',
+    hint: 'revoked is final',
+  });
+  await expect(setStatus(requested.id, 'sent')).rejects.toMatchObject({
+    hint: 'Allowed from requested: approved, expired, pending, rejected, revoked',
+  });
+
+  // A refused change leaves no trace; an update that keeps the status adds none
+  await client.query("UPDATE api.invitations SET comment = 'checked' WHERE id = $1", [used.id]);
+  expect(await historyOf(used.id)).toEqual([
+    { from_status: null, to_status: 'used', changed_by: 'status-spec', reason: null },
+  ]);
+});
+
+test('records changes made by redemption, expiry and request roles', async () => {
+  const redeemed = await createInvitation();
+  expect((await redeemInvitation(client, keyring, redeemed.token)).redeemed).toBe(true);
+
+  const stale = await createInvitation();
+  await client.query(
+    "UPDATE api.invitations SET created_at = NOW() - INTERVAL '8 days', expires_at = NOW() - INTERVAL '1 day' WHERE id = $1",
+    [stale.id]
+  );
+  await cleanupInvitations(client);
+
+  const { rows } = await client.query('SELECT session_user AS name');
+  expect((await historyOf(redeemed.id)).at(-1)).toEqual({
+    from_status: 'pending',
+    to_status: 'used',
+    changed_by: rows[0].name,
+    reason: null,
+  });
+  expect((await historyOf(stale.id)).at(-1)).toMatchObject({
+    from_status: 'pending',
+    to_status: 'expired',
+  });
+
+  // Through the API the actor is the signed-in user's email
+  const approved = await createInvitation('approved');
+  const history = await asRole(client, 'service_role', { email: 'n8n@thepia.com' }, async (db) => {
+    await db.query("SELECT api.mark_notification_sent($1, 'email', 'msg-1')", [approved.id]);
+    const { rows: entries } = await db.query(
+      'SELECT to_status, changed_by FROM api.invitation_status_history WHERE invitation_id = $1 ORDER BY changed_at, id',
+      [approved.id]
+    );
+    return entries;
+  });
+  expect(history.at(-1)).toEqual({ to_status: 'sent', changed_by: 'n8n@thepia.com' });
+});
+
+test('the migration rolls back and records the current status of every invitation', async () => {
+  let invitation;
+  await withoutMigration(client, '34_invitation_status_history.sql', async () => {
+    invitation = await createInvitation('used');
+    // Nothing is enforced without the migration
+    await setStatus(invitation.id, 'pending');
+    await setStatus(invitation.id, 'revoked', ", revoked_by = 'legacy-admin'");
+  });
+
+  expect(await historyOf(invitation.id)).toEqual([
+    { from_status: null, to_status: 'revoked', changed_by: 'legacy-admin', reason: null },
+  ]);
+  await expect(setStatus(invitation.id, 'pending')).rejects.toThrow('cannot move from revoked');
+});
@@ -0,0 +1,302 @@
+/**
+ * Notification Claim Tests
+ *
+ * api.claim_notifications (schemas/38_notification_claim_leases.sql) leases
+ * due notifications to one worker at a time: parallel dispatchers never send
+ * a notification twice, and a dead worker's notifications are reclaimed once
+ * its lease expires, until their attempts run out.
+ */
+
+import { randomBytes } from 'node:crypto';
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { dispatchNotifications } from '../../src/notifications/dispatcher.js';
+import { withoutMigration } from './harness.js';
+
+const WORKERS = 4;
+
+let client;
+let tenant;
+
+/**
+ * A pending invitation with an invitation_reminder queued
+ */
+async function queueReminder() {
+  const {
+    rows: [invitation],
+  } = await client.query(
+    `INSERT INTO api.invitations
+       (client_id, app_id, jwt_token, jwt_token_hash, expires_at, created_by, status)
+     VALUES ($1, $2, 'opaque-token', $3, NOW() + interval '7 days', 'claims-spec', 'pending')
+     RETURNING id`,
+    [tenant.clientId, tenant.appId, randomBytes(32).toString('hex')]
+  );
+  await client.query("SELECT api.queue_notification($1, 'invitation_reminder')", [invitation.id]);
+  return invitation.id;
+}
+
+/**
+ * Lease notifications to `worker`, returning their ids and lease columns
+ */
+async function claim(worker, batchSize = 100, leaseSeconds = 300) {
+  const { rows } = await client.query(
+    `SELECT id, notification_status, notification_lease_owner,
+            notification_lease_expires_at - NOW() AS lease
+     FROM api.claim_notifications($1, $2, $3)`,
+    [worker, batchSize, leaseSeconds]
+  );
+  return rows;
+}
+
+const leaseOf = async (id) => {
+  const { rows } = await client.query(
+    `SELECT notification_status, notification_lease_owner, notification_lease_expires_at
+     FROM api.invitations WHERE id = $1`,
+    [id]
+  );
+  return rows[0];
+};
+
+const SENT = JSON.stringify({ email: { status: 'sent', message_id: 'm-1' } });
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('claims', 'Claims A/S', 'claims.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+test('leases a batch to one worker and leaves it out of the next claim', async () => {
+  const ids = [await queueReminder(), await queueReminder(), await queueReminder()];
+
+  const first = await claim('worker-a', 2, 60);
+  const second = await claim('worker-b');
+
+  expect(first).toHaveLength(2);
+  for (const row of [...first, ...second]) {
+    expect(row.notification_status).toBe('processing');
+  }
+  expect(first.map((row) => row.notification_lease_owner)).toEqual(['worker-a', 'worker-a']);
+  expect(first[0].lease).toMatchObject({ minutes: 1 });
+  expect(second.every((row) => row.notification_lease_owner === 'worker-b')).toBe(true);
+
+  const claimed = [...first, ...second].map((row) => row.id);
+  expect(new Set(claimed).size).toBe(claimed.length);
+  expect(claimed).toEqual(expect.arrayContaining(ids));
+
+  // The lease is released with the outcome
+  const [mine] = second.filter((row) => ids.includes(row.id));
+  await client.query("SELECT api.record_notification_delivery($1, $2, 'worker-b')", [
+    mine.id,
+    SENT,
+  ]);
+  expect(await leaseOf(mine.id)).toEqual({
+    notification_status: 'sent',
+    notification_lease_owner: null,
+    notification_lease_expires_at: null,
+  });
+});
+
+test('reclaims a notification whose lease expired and refuses the late worker', async () => {
+  const stuck = await queueReminder();
+  const busy = await queueReminder();
+  await client.query(
+    `UPDATE api.invitations
+     SET notification_status = 'processing', notification_lease_owner = 'crashed',
+         notification_lease_expires_at = CASE WHEN id = $1
+           THEN NOW() - interval '1 second' ELSE NOW() + interval '5 minutes' END
+     WHERE id IN ($1, $2)`,
+    [stuck, busy]
+  );
+
+  const claimed = (await claim('worker-c')).map((row) => row.id);
+  expect(claimed).toContain(stuck);
+  expect(claimed).not.toContain(busy);
+  expect(await leaseOf(stuck)).toMatchObject({ notification_lease_owner: 'worker-c' });
+
+  await expect(
+    client.query("SELECT api.record_notification_delivery($1, $2, 'crashed')", [stuck, SENT])
+  ).rejects.toThrow('is not leased to crashed');
+  await client.query("SELECT api.record_notification_delivery($1, $2, 'worker-c')", [stuck, SENT]);
+  expect((await leaseOf(stuck)).notification_status).toBe('sent');
+});
+
+test('carries on with the batch when another worker records a reclaimed notification', async () => {
+  const ids = [await queueReminder(), await queueReminder()];
+  const worker = new pg.Client({ connectionString: inject('databaseUrl') });
+  await worker.connect();
+
+  const email = {
+    async send(_message, _recipient, notification) {
+      if (notification.id === ids[0]) {
+        // The lease runs out mid-send; another worker reclaims and records it
+        await client.query(
+          "UPDATE api.invitations SET notification_lease_expires_at = NOW() - interval '1 second' WHERE id = $1",
+          [ids[0]]
+        );
+        expect((await claim('worker-late')).map((row) => row.id)).toContain(ids[0]);
+        await client.query("SELECT api.record_notification_delivery($1, $2, 'worker-late')", [
+          ids[0],
+          SENT,
+        ]);
+      }
+      return { messageId: `m-${notification.id}` };
+    },
+  };
+
+  try {
+    const dispatched = await dispatchNotifications(worker, {
+      channels: { email },
+      workerId: 'worker-slow',
+      limit: 10,
+    });
+    const statusOf = (id) => dispatched.find((row) => row.id === id)?.status;
+
+    expect(statusOf(ids[0])).toBe('lease_lost');
+    expect(statusOf(ids[1])).toBe('sent');
+    expect(await leaseOf(ids[0])).toMatchObject({ notification_status: 'sent' });
+    expect(await leaseOf(ids[1])).toEqual({
+      notification_status: 'sent',
+      notification_lease_owner: null,
+      notification_lease_expires_at: null,
+    });
+  } finally {
+    await worker.end();
+  }
+});
+
+test('counts every claim as an attempt and dead-letters an expired last lease', async () => {
+  const id = await queueReminder();
+  await client.query('UPDATE api.invitations SET max_notification_attempts = 2 WHERE id = $1', [
+    id,
+  ]);
+  const expireLease = () =>
+    client.query(
+      "UPDATE api.invitations SET notification_lease_expires_at = NOW() - interval '1 second' WHERE id = $1",
+      [id]
+    );
+  const attempts = async () => {
+    const { rows } = await client.query(
+      'SELECT notification_attempts FROM api.invitations WHERE id = $1',
+      [id]
+    );
+    return rows[0].notification_attempts;
+  };
+
+  expect((await claim('worker-e')).map((row) => row.id)).toContain(id);
+  expect(await attempts()).toBe(1);
+
+  await expireLease();
+  expect((await claim('worker-f')).map((row) => row.id)).toContain(id);
+  expect(await attempts()).toBe(2);
+
+  await expireLease();
+  expect((await claim('worker-g')).map((row) => row.id)).not.toContain(id);
+  expect(await leaseOf(id)).toEqual({
+    notification_status: 'failed',
+    notification_lease_owner: null,
+    notification_lease_expires_at: null,
+  });
+  await expect(
+    client.query("SELECT api.record_notification_delivery($1, $2, 'worker-f')", [id, SENT])
+  ).rejects.toThrow('not found or not processing');
+});
+
+test('refuses a claim without a worker or a lease', async () => {
+  await expect(client.query("SELECT * FROM api.claim_notifications(' ', 1, 60)")).rejects.toThrow(
+    'A worker id is required to claim notifications'
+  );
+  await expect(
+    client.query("SELECT * FROM api.claim_notifications('worker-d', 1, 0)")
+  ).rejects.toThrow('batch_size and lease_seconds must be positive');
+});
+
+test('parallel dispatchers send every notification exactly once', async () => {
+  const ids = [];
+  for (let i = 0; i < 24; i += 1) {
+    ids.push(await queueReminder());
+  }
+
+  const sends = [];
+  const email = {
+    async send(_message, _recipient, notification) {
+      sends.push(notification.id);
+      // Give the other workers a chance to claim in between
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { messageId: `m-${notification.id}` };
+    },
+  };
+
+  const workers = [];
+  for (let i = 0; i < WORKERS; i += 1) {
+    const worker = new pg.Client({ connectionString: inject('databaseUrl') });
+    await worker.connect();
+    workers.push(worker);
+  }
+
+  try {
+    const passes = await Promise.all(
+      workers.map(async (worker, index) => {
+        const dispatched = [];
+        let batch;
+        do {
+          batch = await dispatchNotifications(worker, {
+            channels: { email },
+            workerId: `worker-${index}`,
+            limit: 3,
+          });
+          dispatched.push(...batch);
+        } while (batch.length > 0);
+        return dispatched;
+      })
+    );
+
+    const mine = sends.filter((id) => ids.includes(id));
+    expect(mine.toSorted()).toEqual(ids.toSorted());
+    expect(passes.filter((dispatched) => dispatched.length > 0).length).toBeGreaterThan(1);
+
+    const { rows } = await client.query(
+      'SELECT DISTINCT notification_status FROM api.invitations WHERE id = ANY($1)',
+      [ids]
+    );
+    expect(rows).toEqual([{ notification_status: 'sent' }]);
+  } finally {
+    await Promise.all(workers.map((worker) => worker.end()));
+  }
+});
+
+test('the migration rolls back', async () => {
+  const columns = async () => {
+    const { rows } = await client.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = 'api' AND table_name = 'invitations'
+         AND column_name LIKE 'notification_lease%'
+       ORDER BY column_name`
+    );
+    return rows.map((row) => row.column_name);
+  };
+
+  expect(await withoutMigration(client, '38_notification_claim_leases.sql', columns)).toEqual([]);
+  expect(await columns()).toEqual(['notification_lease_expires_at', 'notification_lease_owner']);
+});
@@ -0,0 +1,361 @@
+/**
+ * Notification Dispatcher Tests
+ *
+ * Runs the self-hosted dispatcher (src/notifications) against the queue on
+ * api.invitations and a local SMTP sink: claim, render, send and write back
+ * per channel (schemas/37_notification_dispatcher.sql), without n8n.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  issueInvitationToken,
+} from '../../src/invitations/index.js';
+import { createEmailChannel } from '../../src/notifications/channels.js';
+import { dispatchNotifications, startDispatcher } from '../../src/notifications/dispatcher.js';
+import { startSmtpSink } from '../../src/notifications/smtp-sink.js';
+import { publishNotificationTemplate } from '../../src/notifications/templates.js';
+import { withoutMigration } from './harness.js';
+
+let client;
+let tenant;
+let keyring;
+let sink;
+let email;
+let invitees = 0;
+
+/**
+ * Insert an invitation for a new invitee, whose token holds their address
+ */
+async function createInvitation(status, columns = {}) {
+  invitees += 1;
+  const invitee = {
+    firstName: 'Sofia',
+    lastName: 'Berg',
+    companyEmail: `sofia${invitees}@prospect.dk`,
+    phone: '+4512345678',
+  };
+  const { token, hash } = await issueInvitationToken(keyring, {
+    subject: `inv-${invitees}`,
+    invitation: { invitee, type: 'onboarding' },
+  });
+
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations
+       (client_id, app_id, jwt_token, jwt_token_hash, expires_at, created_by, status,
+        request_type, demo_duration, email_domain, comment, user_agent, referrer)
+     VALUES ($1, $2, $3, $4, NOW() + interval '14 days', 'dispatch-spec', $5, $6,
+             '14 days', 'prospect.dk', 'We would like to see the onboarding flow',
+             'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0', 'https://thepia.com/flows')
+     RETURNING id, invitation_code`,
+    [tenant.clientId, tenant.appId, token, hash, status, columns.request_type ?? null]
+  );
+
+  return { ...rows[0], token, email: invitee.companyEmail };
+}
+
+/**
+ * Dispatch what is due and return the outcome for `id`
+ */
+async function dispatch(id, channels = { email }) {
+  const dispatched = await dispatchNotifications(client, { channels, keyring });
+  return dispatched.find((notification) => notification.id === id);
+}
+
+/**
+ * The queue columns of an invitation
+ */
+async function queueOf(id) {
+  const { rows } = await client.query(
+    `SELECT status, notification_status, delivery_status, notification_attempts,
+            last_notification_error, next_notification_attempt > NOW() AS backing_off
+     FROM api.invitations WHERE id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+  keyring = await createInvitationKeyring(await generateInvitationKeys());
+  sink = await startSmtpSink({ port: 0 });
+  email = createEmailChannel({ transport: `smtp://127.0.0.1:${sink.port}` });
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('dispatch', 'Dispatch A/S', 'dispatch.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  email?.close();
+  await sink?.close();
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.query("DELETE FROM api.notification_templates WHERE template_key LIKE 'spec_%'");
+  await client?.end();
+});
+
+test('emails an approved demo request and marks the invitation sent', async () => {
+  const invitation = await createInvitation('requested', { request_type: 'demo' });
+  await client.query("SELECT api.approve_demo_request($1, 'sales@thepia.com')", [invitation.id]);
+
+  const outcome = await dispatch(invitation.id);
+  const [message] = sink.messages.filter((received) => received.to.includes(invitation.email));
+
+  expect(outcome).toEqual({
+    id: invitation.id,
+    status: 'sent',
+    results: { email: { status: 'sent', message_id: message.messageId } },
+  });
+  expect(message.subject).toBe('Your Thepia Flows demo is ready');
+  expect(message.text).toContain('Hi Sofia,');
+  expect(message.text).toContain('Your 14 days demo of Thepia Flows has been approved');
+  expect(message.text).toContain(
+    `https://dispatch.thepia.net/invitation/${invitation.invitation_code}?token=${invitation.token}`
+  );
+
+  expect(await queueOf(invitation.id)).toMatchObject({
+    status: 'sent',
+    notification_status: 'sent',
+    delivery_status: { email: { status: 'sent', message_id: message.messageId } },
+    notification_attempts: 1,
+    last_notification_error: null,
+  });
+  const { rows: history } = await client.query(
+    `SELECT changed_by FROM api.invitation_status_history
+     WHERE invitation_id = $1 AND to_status = 'sent'`,
+    [invitation.id]
+  );
+  expect(history).toEqual([{ changed_by: 'notification-dispatcher' }]);
+
+  // Sent is sent: the next pass leaves it alone
+  expect(await dispatch(invitation.id)).toBeUndefined();
+});
+
+test('retries only the channels that failed, after the backoff', async () => {
+  const invitation = await createInvitation('pending');
+  await client.query(
+    "SELECT api.queue_notification($1, 'invitation_reminder', ARRAY['email', 'sms'])",
+    [invitation.id]
+  );
+
+  const texts = [];
+  const down = { send: async () => Promise.reject(new Error('gateway down')) };
+  const up = {
+    send: async (message, recipient) => {
+      texts.push({ to: recipient.phone, subject: message.subject });
+      return { messageId: 'sms-1' };
+    },
+  };
+
+  expect((await dispatch(invitation.id, { email, sms: down })).results).toEqual({
+    email: { status: 'sent', message_id: expect.any(String) },
+    sms: { status: 'failed', error: 'gateway down' },
+  });
+  expect(await queueOf(invitation.id)).toMatchObject({
+    status: 'pending',
+    notification_status: 'retry_scheduled',
+    delivery_status: {
+      email: { status: 'sent' },
+      sms: { status: 'failed', error: 'gateway down' },
+    },
+    notification_attempts: 1,
+    last_notification_error: 'sms: gateway down',
+    backing_off: true,
+  });
+
+  // Not due until the backoff is over
+  expect(await dispatch(invitation.id, { email, sms: up })).toBeUndefined();
+  await client.query(
+    "UPDATE api.invitations SET next_notification_attempt = NOW() - interval '1 second' WHERE id = $1",
+    [invitation.id]
+  );
+
+  expect((await dispatch(invitation.id, { email, sms: up })).results).toEqual({
+    sms: { status: 'sent', message_id: 'sms-1' },
+  });
+  expect(texts).toEqual([
+    { to: '+4512345678', subject: 'Your Thepia Flows invitation is waiting' },
+  ]);
+  expect(sink.messages.filter((received) => received.to.includes(invitation.email))).toHaveLength(
+    1
+  );
+  expect(await queueOf(invitation.id)).toMatchObject({
+    status: 'pending',
+    notification_status: 'sent',
+    notification_attempts: 2,
+    last_notification_error: null,
+  });
+});
+
+test('gives up after the last attempt and says why', async () => {
+  const invitation = await createInvitation('pending');
+  await client.query(
+    "SELECT api.queue_notification($1, 'invitation_reminder', ARRAY['email', 'slack'])",
+    [invitation.id]
+  );
+  await client.query('UPDATE api.invitations SET max_notification_attempts = 1 WHERE id = $1', [
+    invitation.id,
+  ]);
+
+  expect(await dispatch(invitation.id)).toMatchObject({
+    status: 'failed',
+    results: {
+      email: { status: 'sent' },
+      slack: { status: 'failed', error: 'No slack channel is configured' },
+    },
+  });
+  expect(await queueOf(invitation.id)).toMatchObject({
+    notification_status: 'failed',
+    last_notification_error: 'slack: No slack channel is configured',
+    backing_off: null,
+  });
+});
+
+test('records a notification that cannot be planned as failed and goes on', async () => {
+  const first = await createInvitation('pending');
+  const second = await createInvitation('pending');
+  for (const { id } of [first, second]) {
+    await client.query("SELECT api.queue_notification($1, 'invitation_reminder')", [id]);
+  }
+
+  // The preferences lookup fails once, for whichever notification comes first
+  let failures = 1;
+  const flaky = {
+    query(text, values) {
+      if (text.includes('plan_notification_delivery') && failures > 0) {
+        failures -= 1;
+        return Promise.reject(new Error('preferences unavailable'));
+      }
+      return client.query(text, values);
+    },
+  };
+
+  const dispatched = await dispatchNotifications(flaky, { channels: { email }, keyring });
+  const outcomes = [first, second].map(({ id }) => dispatched.find((item) => item.id === id));
+
+  expect(outcomes).toEqual(
+    expect.arrayContaining([
+      {
+        id: expect.any(String),
+        status: 'retry_scheduled',
+        results: { email: { status: 'failed', error: 'preferences unavailable' } },
+      },
+      expect.objectContaining({ status: 'sent' }),
+    ])
+  );
+  for (const { id } of [first, second]) {
+    expect((await queueOf(id)).notification_status).not.toBe('processing');
+  }
+});
+
+test('keeps the invitee and the invitation link out of team channels', async () => {
+  const publishTeamPing = (body) =>
+    publishNotificationTemplate(client, {
+      templateKey: 'spec_team_ping',
+      channel: 'slack',
+      subject: 'Invitation sent',
+      body,
+      variables: {
+        type: 'object',
+        properties: {
+          first_name: { type: 'string' },
+          invitation_code: { type: 'string' },
+          invitation_link: { type: 'string' },
+        },
+      },
+      createdBy: 'dispatch-spec',
+    });
+  await publishTeamPing('{{first_name}} got {{invitation_link}}');
+
+  const invitation = await createInvitation('pending');
+  await client.query("SELECT api.queue_notification($1, 'spec_team_ping', ARRAY['slack'])", [
+    invitation.id,
+  ]);
+
+  const posted = [];
+  const slack = {
+    async send(message, recipient) {
+      posted.push({ message, recipient });
+      return { messageId: 'slack-1' };
+    },
+  };
+
+  expect((await dispatch(invitation.id, { email, slack })).results).toEqual({
+    slack: { status: 'failed', error: 'Missing template variable(s): first_name, invitation_link' },
+  });
+  expect(posted).toEqual([]);
+
+  await publishTeamPing('Invitation {{invitation_code}} went out');
+  await client.query(
+    "UPDATE api.invitations SET next_notification_attempt = NOW() - interval '1 second' WHERE id = $1",
+    [invitation.id]
+  );
+
+  expect((await dispatch(invitation.id, { email, slack })).status).toBe('sent');
+  expect(posted).toEqual([
+    {
+      message: expect.objectContaining({
+        text: `Invitation ${invitation.invitation_code} went out`,
+      }),
+      recipient: {},
+    },
+  ]);
+});
+
+test('wakes up when a notification is queued', async () => {
+  const listener = new pg.Client({ connectionString: inject('databaseUrl') });
+  await listener.connect();
+  const dispatcher = await startDispatcher(listener, {
+    channels: { email },
+    keyring,
+    intervalMs: 60_000,
+  });
+
+  try {
+    const invitation = await createInvitation('requested', { request_type: 'demo' });
+    await client.query("SELECT api.approve_demo_request($1, 'sales@thepia.com')", [invitation.id]);
+
+    const deadline = Date.now() + 10_000;
+    while (
+      !sink.messages.some((received) => received.to.includes(invitation.email)) &&
+      Date.now() < deadline
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    await dispatcher.stop();
+
+    expect((await queueOf(invitation.id)).notification_status).toBe('sent');
+  } finally {
+    await dispatcher.stop();
+    await listener.end();
+  }
+});
+
+test('the migration rolls back', async () => {
+  const procedure = async () => {
+    const { rows } = await client.query(
+      "SELECT to_regproc('api.record_notification_delivery') IS NOT NULL AS exists"
+    );
+    return rows[0].exists;
+  };
+
+  expect(await withoutMigration(client, '37_notification_dispatcher.sql', procedure)).toBe(false);
+  expect(await procedure()).toBe(true);
+});
@@ -0,0 +1,423 @@
+/**
+ * Notification Preference Tests
+ *
+ * Per-user notification preferences (schemas/41_notification_preferences.sql):
+ * channels by type and priority, quiet hours in the user's timezone, daily
+ * and weekly digests and the urgent compliance override, as planned for the
+ * notifications table and by the dispatcher.
+ */
+
+import { randomBytes } from 'node:crypto';
+import pg from 'pg';
+import { afterAll, beforeAll, describe, expect, inject, test } from 'vitest';
+import { dispatchNotifications } from '../../src/notifications/dispatcher.js';
+import { planNotificationDelivery } from '../../src/notifications/preferences.js';
+import { asRole, withoutMigration } from './harness.js';
+
+const USER = '00000000-0000-4000-8000-0000000000e1';
+const COLLEAGUE = '00000000-0000-4000-8000-0000000000e2';
+const EMAIL = 'mads.berg@preferences.example.com';
+
+// A Thursday; Copenhagen is an hour ahead of UTC in January
+const EVENING = new Date('2026-01-15T21:30:00Z');
+const EARLY_MORNING = new Date('2026-01-15T05:00:00Z');
+const NOON = new Date('2026-01-15T11:00:00Z');
+
+let client;
+let tenant;
+let emailHash;
+
+/**
+ * Replace USER's preferences at the tenant, kept with the hash of EMAIL
+ */
+async function prefer(fields = {}) {
+  await client.query('DELETE FROM api.notification_preferences WHERE client_id = $1', [
+    tenant.clientId,
+  ]);
+  const row = {
+    client_id: tenant.clientId,
+    user_id: USER,
+    email_hash: emailHash,
+    timezone: 'Europe/Copenhagen',
+    ...fields,
+  };
+  const columns = Object.keys(row);
+  await client.query(
+    `INSERT INTO api.notification_preferences (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})`,
+    Object.values(row)
+  );
+}
+
+const plan = (fields = {}) =>
+  planNotificationDelivery(client, {
+    clientId: tenant.clientId,
+    userId: USER,
+    type: 'deadline_reminder',
+    priority: 'medium',
+    channels: ['in_app', 'email', 'sms'],
+    ...fields,
+  });
+
+/**
+ * Run `fn` as USER, signed in to the tenant with their email
+ */
+const asUser = (fn) =>
+  asRole(client, 'authenticated', { sub: USER, email: EMAIL, client_id: tenant.clientId }, fn);
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('preferences', 'Preferences A/S', 'preferences.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+  tenant = { clientId: created.id, appId: app.id };
+
+  const { rows } = await client.query('SELECT api.invitation_email_hash($1) AS hash', [EMAIL]);
+  emailHash = rows[0].hash;
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+describe('preferences', () => {
+  test('are saved by users for themselves, with the hash of their email', async () => {
+    await client.query('DELETE FROM api.notification_preferences WHERE client_id = $1', [
+      tenant.clientId,
+    ]);
+
+    const { own, colleagues } = await asUser(async () => {
+      await client.query(
+        `INSERT INTO api.notification_preferences (client_id, digest_mode)
+         VALUES ($1, 'daily')`,
+        [tenant.clientId]
+      );
+      const { rows } = await client.query(
+        `SELECT user_id, email_hash = api.invitation_email_hash($1) AS hashed, digest_mode
+         FROM api.notification_preferences`,
+        [EMAIL]
+      );
+      const refused = await client
+        .query(
+          `INSERT INTO api.notification_preferences (client_id, user_id)
+           VALUES ($1, $2)`,
+          [tenant.clientId, COLLEAGUE]
+        )
+        .then(
+          () => false,
+          (error) => error.message
+        );
+      return { own: rows, colleagues: refused };
+    });
+
+    expect(own).toEqual([{ user_id: USER, hashed: true, digest_mode: 'daily' }]);
+    expect(colleagues).toContain('row-level security');
+  });
+
+  test('refuse what could not be applied', async () => {
+    await expect(prefer({ timezone: 'Europe/Atlantis' })).rejects.toThrow(
+      'Unknown timezone "Europe/Atlantis"'
+    );
+    await expect(prefer({ type_channels: { task_assignment: ['fax'] } })).rejects.toThrow(
+      'Channels for "task_assignment" must be a list of'
+    );
+    await expect(prefer({ priority_channels: { Urgent: ['email'] } })).rejects.toThrow(
+      'must be lower snake case'
+    );
+    await expect(prefer({ quiet_hours_enabled: true, quiet_hours_start: '22:00' })).rejects.toThrow(
+      'notification_preferences_quiet_hours'
+    );
+  });
+});
+
+describe('planning', () => {
+  test('sends everything at once without preferences', async () => {
+    await client.query('DELETE FROM api.notification_preferences WHERE client_id = $1', [
+      tenant.clientId,
+    ]);
+
+    expect(await plan({ at: EVENING })).toEqual({
+      channels: ['in_app', 'email', 'sms'],
+      deliverAt: EVENING,
+      heldFor: null,
+    });
+  });
+
+  test('keeps the channels both the type and the priority allow', async () => {
+    await prefer({
+      type_channels: { task_assignment: ['in_app'] },
+      priority_channels: { low: ['in_app', 'email'] },
+    });
+    const channelsFor = async (type, priority, channels) =>
+      (await plan({ type, priority, ...(channels && { channels }) })).channels;
+
+    expect(await channelsFor('task_assignment', 'high')).toEqual(['in_app']);
+    expect(await channelsFor('deadline_reminder', 'low')).toEqual(['in_app', 'email']);
+    expect(await channelsFor('deadline_reminder', 'high')).toEqual(['in_app', 'email', 'sms']);
+    expect(await channelsFor('task_assignment', 'low', ['sms'])).toEqual([]);
+  });
+
+  test('holds notifications until quiet hours end in the user’s timezone', async () => {
+    await prefer({
+      quiet_hours_enabled: true,
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+    });
+
+    expect(await plan({ at: EVENING })).toMatchObject({
+      deliverAt: new Date('2026-01-16T06:00:00Z'),
+      heldFor: 'quiet_hours',
+    });
+    expect(await plan({ at: EARLY_MORNING })).toMatchObject({
+      deliverAt: new Date('2026-01-15T06:00:00Z'),
+      heldFor: 'quiet_hours',
+    });
+    expect(await plan({ at: NOON })).toMatchObject({ deliverAt: NOON, heldFor: null });
+
+    await prefer({
+      quiet_hours_enabled: true,
+      quiet_hours_start: '12:00',
+      quiet_hours_end: '13:00',
+    });
+    expect(await plan({ at: NOON })).toMatchObject({
+      deliverAt: new Date('2026-01-15T12:00:00Z'),
+      heldFor: 'quiet_hours',
+    });
+  });
+
+  test('lets urgent compliance items through quiet hours unless the user opted out', async () => {
+    await prefer({
+      quiet_hours_enabled: true,
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+    });
+
+    expect(await plan({ at: EVENING, priority: 'urgent', compliance: true })).toMatchObject({
+      deliverAt: EVENING,
+      heldFor: null,
+    });
+    expect(await plan({ at: EVENING, priority: 'urgent' })).toMatchObject({
+      heldFor: 'quiet_hours',
+    });
+    expect(await plan({ at: EVENING, priority: 'high', compliance: true })).toMatchObject({
+      heldFor: 'quiet_hours',
+    });
+
+    await client.query(
+      'UPDATE api.notification_preferences SET urgent_override = false WHERE user_id = $1',
+      [USER]
+    );
+    expect(await plan({ at: EVENING, priority: 'urgent', compliance: true })).toMatchObject({
+      heldFor: 'quiet_hours',
+    });
+  });
+
+  test('collects low and medium priority into daily and weekly digests', async () => {
+    await prefer({ digest_mode: 'daily', digest_time: '08:00' });
+    const morning = new Date('2026-01-16T07:00:00Z');
+
+    expect(await plan({ at: NOON, priority: 'low' })).toMatchObject({
+      deliverAt: morning,
+      heldFor: 'digest',
+    });
+    expect(await plan({ at: morning })).toMatchObject({ deliverAt: morning, heldFor: null });
+    expect(await plan({ at: NOON, priority: 'high' })).toMatchObject({
+      deliverAt: NOON,
+      heldFor: null,
+    });
+
+    await prefer({ digest_mode: 'weekly', digest_time: '08:00', digest_day: 1 });
+    expect(await plan({ at: NOON })).toMatchObject({
+      deliverAt: new Date('2026-01-19T07:00:00Z'),
+      heldFor: 'digest',
+    });
+  });
+
+  test('finds the preferences of an invitee by their email', async () => {
+    await prefer({ type_channels: { invitation_approved: ['email'] } });
+
+    const planned = await plan({ userId: null, emailHash, type: 'invitation_approved' });
+    expect(planned.channels).toEqual(['email']);
+  });
+});
+
+describe('in-app notifications', () => {
+  const notify = async (fields) => {
+    const row = {
+      client_id: tenant.clientId,
+      user_id: USER,
+      title: 'Heads up',
+      message: 'Something happened',
+      ...fields,
+    };
+    const columns = Object.keys(row);
+    const { rows } = await client.query(
+      `INSERT INTO api.notifications (${columns.join(', ')})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING status, channels, scheduled_for, metadata`,
+      Object.values(row)
+    );
+    return rows[0];
+  };
+
+  test("follow the user's preferences when inserted", async () => {
+    await prefer({
+      type_channels: { task_assignment: ['in_app'] },
+      quiet_hours_enabled: true,
+      quiet_hours_start: '22:00',
+      quiet_hours_end: '07:00',
+    });
+
+    expect(
+      await notify({ type: 'task_assignment', channels: ['in_app', 'email'], scheduled_for: NOON })
+    ).toMatchObject({ status: 'unread', channels: ['in_app'], scheduled_for: NOON });
+    expect(await notify({ type: 'task_assignment', channels: ['email'] })).toMatchObject({
+      status: 'dismissed',
+      metadata: { dismissedBy: 'preferences' },
+    });
+    expect(await notify({ scheduled_for: EVENING })).toMatchObject({
+      scheduled_for: new Date('2026-01-16T06:00:00Z'),
+      metadata: { heldFor: 'quiet_hours' },
+    });
+    expect(
+      await notify({ scheduled_for: EVENING, priority: 'urgent', metadata: { compliance: true } })
+    ).toMatchObject({ scheduled_for: EVENING, metadata: { compliance: true } });
+  });
+
+  test('for the whole client are left as they are', async () => {
+    await prefer({ type_channels: { task_assignment: ['email'] } });
+
+    expect(await notify({ user_id: null, type: 'task_assignment' })).toMatchObject({
+      status: 'unread',
+      channels: ['in_app'],
+    });
+  });
+});
+
+describe('the dispatcher', () => {
+  /**
+   * Queue the approval of an invitation to EMAIL, returning the invitation id
+   */
+  const queue = async (methods, templateData = {}) => {
+    const {
+      rows: [invitation],
+    } = await client.query(
+      `INSERT INTO api.invitations
+         (client_id, app_id, jwt_token, jwt_token_hash, email_hash, expires_at, created_by, status)
+       VALUES ($1, $2, 'opaque-token', $3, api.invitation_email_hash($4),
+               NOW() + interval '7 days', 'preferences-spec', 'pending')
+       RETURNING id`,
+      [tenant.clientId, tenant.appId, randomBytes(32).toString('hex'), EMAIL]
+    );
+    await client.query("SELECT api.queue_notification($1, 'invitation_approved', $2, $3)", [
+      invitation.id,
+      methods,
+      JSON.stringify({ first_name: 'Mads', demo_duration: '14 days', ...templateData }),
+    ]);
+    return invitation.id;
+  };
+
+  const channel = (sent) => ({
+    async send(_message, _recipient, notification) {
+      sent.push(notification.id);
+      return { messageId: `m-${sent.length}` };
+    },
+  });
+
+  /**
+   * Dispatch, returning what happened to `id` and what was sent for it
+   */
+  const dispatch = async (id) => {
+    const sent = [];
+    const dispatched = await dispatchNotifications(client, {
+      channels: { email: channel(sent), sms: channel(sent) },
+    });
+    const { rows } = await client.query(
+      `SELECT notification_status, notification_attempts, send_after, delivery_status
+       FROM api.invitations WHERE id = $1`,
+      [id]
+    );
+    return {
+      dispatched: dispatched.find((entry) => entry.id === id),
+      sent: sent.filter((sentId) => sentId === id).length,
+      invitation: rows[0],
+    };
+  };
+
+  // Quiet from an hour ago to an hour from now, in UTC
+  const quietNow = () => {
+    const time = (offset) =>
+      new Date(Date.now() + offset * 60 * 60 * 1000).toISOString().slice(11, 16);
+    return {
+      timezone: 'UTC',
+      quiet_hours_enabled: true,
+      quiet_hours_start: time(-1),
+      quiet_hours_end: time(1),
+    };
+  };
+
+  test('records the channels the invitee turned off as skipped', async () => {
+    await prefer({ type_channels: { invitation_approved: ['email'] } });
+
+    const id = await queue(['email', 'sms']);
+    const { dispatched, sent, invitation } = await dispatch(id);
+
+    expect(dispatched).toMatchObject({ status: 'sent', results: { sms: { status: 'skipped' } } });
+    expect(sent).toBe(1);
+    expect(invitation.delivery_status).toMatchObject({
+      email: { status: 'sent' },
+      sms: { status: 'skipped' },
+    });
+
+    const cancelled = await queue(['sms']);
+    expect((await dispatch(cancelled)).invitation.notification_status).toBe('cancelled');
+  });
+
+  test('defers notifications due in quiet hours without counting an attempt', async () => {
+    await prefer(quietNow());
+
+    const id = await queue(['email']);
+    const { dispatched, sent, invitation } = await dispatch(id);
+
+    expect(dispatched).toMatchObject({ status: 'deferred', heldFor: 'quiet_hours' });
+    expect(dispatched.deliverAt.getTime()).toBeGreaterThan(Date.now());
+    expect(sent).toBe(0);
+    expect(invitation).toMatchObject({
+      notification_status: 'pending',
+      notification_attempts: 0,
+      send_after: dispatched.deliverAt,
+    });
+
+    const urgent = await queue(['email'], { priority: 'urgent', compliance: true });
+    const overridden = await dispatch(urgent);
+    expect(overridden.dispatched.status).toBe('sent');
+    expect(overridden.sent).toBe(1);
+  });
+});
+
+test('the migration rolls back', async () => {
+  const table = async () => {
+    const { rows } = await client.query(
+      "SELECT to_regclass('api.notification_preferences') IS NOT NULL AS exists"
+    );
+    return rows[0].exists;
+  };
+
+  expect(await withoutMigration(client, '41_notification_preferences.sql', table)).toBe(false);
+  expect(await table()).toBe(true);
+});
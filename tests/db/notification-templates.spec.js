@@ -0,0 +1,369 @@
+/**
+ * Notification Template Tests
+ *
+ * The versioned template registry (schemas/39_notification_templates.sql):
+ * the {{variable}} syntax and its JSON schema, versions, the client -> global
+ * and locale -> en fallbacks without crossing channels, previews, and the locale picked from account
+ * contacts and offboarding workflows, through to what the dispatcher sends.
+ */
+
+import { randomBytes } from 'node:crypto';
+import pg from 'pg';
+import { afterAll, beforeAll, describe, expect, inject, test } from 'vitest';
+import { dispatchNotifications } from '../../src/notifications/dispatcher.js';
+import {
+  listNotificationTemplates,
+  previewNotificationTemplate,
+  publishNotificationTemplate,
+  renderNotification,
+  resolveNotificationTemplate,
+} from '../../src/notifications/templates.js';
+import { asRole, withoutMigration } from './harness.js';
+
+const GREETING = {
+  type: 'object',
+  properties: {
+    first_name: { type: 'string', examples: ['Sofia'] },
+    seats: { type: 'integer' },
+  },
+  required: ['first_name'],
+};
+
+const APPROVED = {
+  first_name: 'Sofia',
+  demo_duration: '14 days',
+  invitation_code: 'ACME-FLOWS-1A2B3C',
+  invitation_link: 'https://acme.thepia.net/invitation/ACME-FLOWS-1A2B3C?token=t',
+  expires_on: '2025-02-01',
+};
+
+let client;
+let tenant;
+
+/**
+ * Publish a greeting template for the spec's client unless `clientId` is null
+ */
+function publishGreeting(overrides = {}) {
+  return publishNotificationTemplate(client, {
+    templateKey: 'spec_greeting',
+    subject: 'Hello',
+    body: 'Hello {{first_name}}',
+    variables: GREETING,
+    clientId: tenant.clientId,
+    createdBy: 'templates-spec',
+    ...overrides,
+  });
+}
+
+const render = (overrides) =>
+  renderNotification(client, {
+    templateKey: 'spec_greeting',
+    clientId: tenant.clientId,
+    variables: { first_name: 'Sofia' },
+    ...overrides,
+  });
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('templates', 'Templates A/S', 'templates.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'flows', 'Flows', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+  tenant = { clientId: created.id, appId: app.id };
+
+  // Global: en and de; the client: its own en version
+  await publishGreeting({ clientId: null, body: 'Hello {{first_name}} from Thepia' });
+  await publishGreeting({
+    clientId: null,
+    locale: 'de',
+    subject: 'Hallo',
+    body: 'Hallo {{first_name}}',
+  });
+  await publishGreeting();
+});
+
+afterAll(async () => {
+  await client?.query("DELETE FROM api.notification_templates WHERE template_key LIKE 'spec_%'");
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+describe('rendering', () => {
+  test('renders the shipped templates from what the dispatcher provides', async () => {
+    const message = await renderNotification(client, {
+      templateKey: 'invitation_approved',
+      variables: APPROVED,
+    });
+
+    expect(message).toMatchObject({
+      subject: 'Your Thepia Flows demo is ready',
+      templateVersion: 1,
+      locale: 'en',
+    });
+    expect(message.text).toContain('Your 14 days demo of Thepia Flows has been approved');
+    expect(message.text).toContain(APPROVED.invitation_link);
+  });
+
+  test('refuses missing and mistyped variables, and never renders a value', async () => {
+    await expect(
+      renderNotification(client, {
+        templateKey: 'invitation_reminder',
+        variables: { first_name: 'Sofia', invitation_code: '' },
+      })
+    ).rejects.toThrow('Missing template variable(s): invitation_code, invitation_link, expires_on');
+    await expect(render({ variables: { first_name: 'Sofia', seats: 2.5 } })).rejects.toThrow(
+      'Template variable seats must have type integer'
+    );
+    await expect(render({ variables: { first_name: 42 } })).rejects.toThrow(
+      'Template variable first_name must have type string'
+    );
+
+    expect((await render({ variables: { first_name: '{{seats}} \\1 $1' } })).text).toBe(
+      'Hello {{seats}} \\1 $1'
+    );
+  });
+
+  test('a custom message replaces the body and does without its variables', async () => {
+    expect(await render({ variables: {}, customMessage: 'See you Tuesday' })).toMatchObject({
+      subject: 'Hello',
+      text: 'See you Tuesday',
+    });
+    expect(
+      await renderNotification(client, {
+        templateKey: 'spec_unknown',
+        customMessage: 'See you Tuesday',
+      })
+    ).toMatchObject({ subject: 'A message from Thepia Flows', text: 'See you Tuesday' });
+    await expect(render({ templateKey: 'spec_unknown' })).rejects.toThrow(
+      'Unknown notification template "spec_unknown"'
+    );
+  });
+});
+
+describe('the registry', () => {
+  test('only takes {{variable}} placeholders declared in the schema', async () => {
+    await expect(publishGreeting({ body: 'Hello {{ first_name }' })).rejects.toThrow(
+      'Template spec_greeting has a malformed placeholder; use {{variable_name}}'
+    );
+    await expect(publishGreeting({ body: 'Hello {{#if vip}}friend{{/if}}' })).rejects.toThrow(
+      'malformed placeholder'
+    );
+    await expect(publishGreeting({ body: 'Hello {{first_name}}, {{company}}' })).rejects.toThrow(
+      'Template spec_greeting uses undeclared variable(s): company'
+    );
+    await expect(
+      publishGreeting({
+        variables: { type: 'object', properties: { first_name: { type: 'array' } } },
+      })
+    ).rejects.toThrow('Template variable first_name must be named like variable_name');
+  });
+
+  test('publishes versions that never change and uses the newest active one', async () => {
+    const next = await publishGreeting({ body: 'Welcome back, {{first_name}}' });
+    expect(next.version).toBe(2);
+    expect((await render()).text).toBe('Welcome back, Sofia');
+
+    await expect(
+      client.query("UPDATE api.notification_templates SET body = 'Hi' WHERE id = $1", [next.id])
+    ).rejects.toThrow('Notification template spec_greeting version 2 is published');
+
+    await client.query('UPDATE api.notification_templates SET is_active = false WHERE id = $1', [
+      next.id,
+    ]);
+    expect(await render()).toMatchObject({ text: 'Hello Sofia', templateVersion: 1 });
+
+    const versions = await listNotificationTemplates(client, {
+      templateKey: 'spec_greeting',
+      clientId: tenant.clientId,
+    });
+    expect(
+      versions.map(({ client_code, locale, version }) => [client_code, locale, version])
+    ).toEqual([
+      [null, 'de', 1],
+      [null, 'en', 1],
+      ['templates', 'en', 2],
+      ['templates', 'en', 1],
+    ]);
+  });
+
+  test('falls back from the client to global and the locale to en, never to another channel', async () => {
+    // The client's own English version wins over the global German one
+    expect(await render({ locale: 'de-CH' })).toMatchObject({ text: 'Hello Sofia', locale: 'en' });
+    expect(await render({ locale: 'fr' })).toMatchObject({ text: 'Hello Sofia', locale: 'en' });
+    expect(await render({ clientId: null, locale: 'de-CH' })).toMatchObject({
+      subject: 'Hallo',
+      locale: 'de',
+    });
+    expect((await render({ clientId: null })).text).toBe('Hello Sofia from Thepia');
+
+    await publishGreeting({ channel: 'sms', body: '{{first_name}}: hi' });
+    expect((await render({ channel: 'sms' })).text).toBe('Sofia: hi');
+    await expect(render({ channel: 'slack' })).rejects.toThrow(
+      'Unknown notification template "spec_greeting"'
+    );
+  });
+
+  test('previews with the schema examples and lists what has none', async () => {
+    const template = await resolveNotificationTemplate(client, {
+      templateKey: 'spec_greeting',
+      clientId: tenant.clientId,
+    });
+    expect(await previewNotificationTemplate(client, template.id)).toEqual({
+      subject: 'Hello',
+      text: 'Hello Sofia',
+      missing: [],
+    });
+
+    const reminder = await resolveNotificationTemplate(client, {
+      templateKey: 'invitation_reminder',
+    });
+    const preview = await previewNotificationTemplate(client, reminder.id, {
+      first_name: 'Jonas',
+    });
+    expect(preview.text).toContain('Hi Jonas,');
+    expect(preview.text).toContain('ACME-FLOWS-1A2B3C');
+
+    const bare = await publishGreeting({
+      variables: { type: 'object', properties: { first_name: { type: 'string' } } },
+      locale: 'it',
+    });
+    expect(await previewNotificationTemplate(client, bare.id)).toEqual({
+      subject: 'Hello',
+      text: 'Hello {{first_name}}',
+      missing: ['first_name'],
+    });
+  });
+
+  test('clients read their own templates and the global ones', async () => {
+    const keys = await asRole(
+      client,
+      'authenticated',
+      {
+        sub: '00000000-0000-4000-8000-0000000000c1',
+        client_id: 'a0000000-0000-4000-8000-000000000000',
+      },
+      async () => {
+        const { rows } = await client.query(
+          "SELECT DISTINCT client_id IS NULL AS global FROM api.notification_templates WHERE template_key = 'spec_greeting'"
+        );
+        return rows;
+      }
+    );
+    expect(keys).toEqual([{ global: true }]);
+  });
+
+  test('refuses to queue a template that does not exist', async () => {
+    const {
+      rows: [invitation],
+    } = await client.query(
+      `INSERT INTO api.invitations
+         (client_id, app_id, jwt_token, jwt_token_hash, expires_at, created_by, status)
+       VALUES ($1, $2, 'opaque-token', $3, NOW() + interval '7 days', 'templates-spec', 'pending')
+       RETURNING id`,
+      [tenant.clientId, tenant.appId, randomBytes(32).toString('hex')]
+    );
+
+    await expect(
+      client.query("SELECT api.queue_notification($1, 'welcome_pack')", [invitation.id])
+    ).rejects.toThrow('Unknown notification template "welcome_pack"');
+    await client.query("SELECT api.queue_notification($1, 'spec_greeting')", [invitation.id]);
+  });
+});
+
+describe('locale', () => {
+  let workflowId;
+
+  beforeAll(async () => {
+    await client.query(
+      `INSERT INTO api.account_contacts
+         (client_id, first_name, last_name, email, contact_type, preferred_language)
+       VALUES ($1, 'Lena', 'Huber', 'Lena.Huber@templates.example.com', 'technical', 'de')`,
+      [tenant.clientId]
+    );
+    const { rows } = await client.query(
+      `INSERT INTO api.offboarding_workflows (client_id, employee_uid, created_by, documentation_language)
+       VALUES ($1, 'templates-leaver', 'templates-spec', 'it')
+       RETURNING id`,
+      [tenant.clientId]
+    );
+    workflowId = rows[0].id;
+  });
+
+  const localeOf = async (emailHash, workflow = null) => {
+    const { rows } = await client.query('SELECT api.notification_locale($1, $2, $3) AS locale', [
+      tenant.clientId,
+      emailHash,
+      workflow,
+    ]);
+    return rows[0].locale;
+  };
+
+  test('comes from the offboarding workflow, then the account contact, then en', async () => {
+    const {
+      rows: [{ hash }],
+    } = await client.query(
+      "SELECT api.invitation_email_hash(' lena.huber@templates.example.com') AS hash"
+    );
+
+    expect(await localeOf(hash)).toBe('de');
+    expect(await localeOf(hash, workflowId)).toBe('it');
+    expect(await localeOf(null)).toBe('en');
+    expect(await localeOf(randomBytes(32).toString('hex'))).toBe('en');
+  });
+
+  test("the dispatcher sends the contact's language", async () => {
+    await publishGreeting({ locale: 'de', subject: 'Hallo', body: 'Hallo {{first_name}}' });
+    const {
+      rows: [invitation],
+    } = await client.query(
+      `INSERT INTO api.invitations
+         (client_id, app_id, jwt_token, jwt_token_hash, email_hash, expires_at, created_by, status)
+       VALUES ($1, $2, 'opaque-token', $3, api.invitation_email_hash('lena.huber@templates.example.com'),
+               NOW() + interval '7 days', 'templates-spec', 'pending')
+       RETURNING id`,
+      [tenant.clientId, tenant.appId, randomBytes(32).toString('hex')]
+    );
+    await client.query("SELECT api.queue_notification($1, 'spec_greeting', ARRAY['email'], $2)", [
+      invitation.id,
+      JSON.stringify({ first_name: 'Lena' }),
+    ]);
+
+    const sent = [];
+    const email = {
+      async send(message, _recipient, notification) {
+        if (notification.id === invitation.id) {
+          sent.push(message);
+        }
+        return { messageId: 'm-1' };
+      },
+    };
+    await dispatchNotifications(client, { channels: { email } });
+
+    expect(sent).toMatchObject([{ subject: 'Hallo', text: 'Hallo Lena', locale: 'de' }]);
+  });
+});
+
+test('the migration rolls back', async () => {
+  const registry = async () => {
+    const { rows } = await client.query(
+      "SELECT to_regclass('api.notification_templates') IS NOT NULL AS exists"
+    );
+    return rows[0].exists;
+  };
+
+  expect(await withoutMigration(client, '39_notification_templates.sql', registry)).toBe(false);
+  expect(await registry()).toBe(true);
+});
@@ -0,0 +1,264 @@
+/**
+ * Admin Notification Tests
+ *
+ * api.notifications as the admin app's Notification model
+ * (schemas/40_notifications_admin_model.sql): defaults and checks, the
+ * timestamps that follow status, and the status functions a client's users
+ * call for one notification or many.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, describe, expect, inject, test } from 'vitest';
+import { asRole, withoutMigration } from './harness.js';
+
+const USER = '00000000-0000-4000-8000-0000000000d1';
+const COLLEAGUE = '00000000-0000-4000-8000-0000000000d2';
+
+let client;
+let tenant;
+let other;
+
+/**
+ * Create a client with an application
+ */
+async function createClient(code) {
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [code, `${code} A/S`, `${code}.thepia.net`]
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+  return { clientId: created.id, appId: app.id };
+}
+
+/**
+ * Insert a notification for `owner`, returning its id
+ */
+async function notify(owner, fields = {}) {
+  const row = {
+    client_id: owner.clientId,
+    title: 'Heads up',
+    message: 'Something happened',
+    ...fields,
+  };
+  const columns = Object.keys(row);
+  const {
+    rows: [inserted],
+  } = await client.query(
+    `INSERT INTO api.notifications (${columns.join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING id`,
+    Object.values(row)
+  );
+  return inserted.id;
+}
+
+const statusOf = async (id) => {
+  const { rows } = await client.query(
+    'SELECT status, read, read_at, archived_at FROM api.notifications WHERE id = $1',
+    [id]
+  );
+  return rows[0];
+};
+
+/**
+ * Run `fn` as USER, signed in to the tenant
+ */
+const asUser = (fn) =>
+  asRole(client, 'authenticated', { sub: USER, client_id: tenant.clientId }, fn);
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  tenant = await createClient('inbox');
+  other = await createClient('inbox-other');
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = ANY($1)', [
+    [tenant?.clientId, other?.clientId],
+  ]);
+  await client?.end();
+});
+
+describe('the model', () => {
+  test('defaults to an unread in-app system alert from the system', async () => {
+    const id = await notify(tenant);
+    const { rows } = await client.query('SELECT * FROM api.notifications WHERE id = $1', [id]);
+
+    expect(rows[0]).toMatchObject({
+      type: 'system_alert',
+      priority: 'medium',
+      status: 'unread',
+      read: false,
+      channels: ['in_app'],
+      from_stakeholder: { id: 'system', type: 'system', name: 'Flows System' },
+      to_stakeholders: [],
+      actions: [],
+      metadata: {},
+      read_at: null,
+    });
+  });
+
+  test('refuses what the admin app could not show', async () => {
+    await expect(notify(tenant, { type: 'info' })).rejects.toThrow('notifications_type_check');
+    await expect(notify(tenant, { channels: ['in_app', 'fax'] })).rejects.toThrow(
+      'notification_channels_known'
+    );
+    await expect(notify(tenant, { channels: [] })).rejects.toThrow('notification_channels_known');
+    await expect(notify(tenant, { to_stakeholders: { id: 'hr' } })).rejects.toThrow(
+      'notifications_to_stakeholders_check'
+    );
+  });
+
+  test('stamps read_at and archived_at as the status changes', async () => {
+    const id = await notify(tenant);
+    const setStatus = (status) =>
+      client.query('UPDATE api.notifications SET status = $2 WHERE id = $1', [id, status]);
+
+    await setStatus('read');
+    const read = await statusOf(id);
+    expect(read).toMatchObject({ status: 'read', read: true, archived_at: null });
+    expect(read.read_at).toBeInstanceOf(Date);
+
+    await setStatus('archived');
+    const archived = await statusOf(id);
+    expect(archived.read_at).toEqual(read.read_at);
+    expect(archived.archived_at).toBeInstanceOf(Date);
+
+    await setStatus('unread');
+    expect(await statusOf(id)).toEqual({
+      status: 'unread',
+      read: false,
+      read_at: null,
+      archived_at: null,
+    });
+  });
+});
+
+describe('status functions', () => {
+  test("change a user's own and client-wide notifications, and nobody else's", async () => {
+    const forEveryone = await notify(tenant);
+    const forUser = await notify(tenant, { user_id: USER });
+    const forColleague = await notify(tenant, { user_id: COLLEAGUE });
+    const elsewhere = await notify(other);
+    const ids = [forEveryone, forUser, forColleague, elsewhere];
+
+    const marked = await asUser(async () => {
+      const { rows } = await client.query('SELECT id FROM api.mark_notifications_read($1)', [ids]);
+      return rows.map((row) => row.id);
+    });
+    expect(marked.toSorted()).toEqual([forEveryone, forUser].toSorted());
+
+    const archived = await asUser(async () => {
+      await client.query('SELECT api.mark_notifications_read($1)', [ids]);
+      const { rows } = await client.query('SELECT id, status FROM api.archive_notifications($1)', [
+        [forUser, forColleague],
+      ]);
+      return rows;
+    });
+    expect(archived).toEqual([{ id: forUser, status: 'archived' }]);
+  });
+
+  test('refuse an unknown status', async () => {
+    const id = await notify(tenant);
+    await expect(
+      asUser(() => client.query("SELECT api.set_notifications_status($1, 'deleted')", [[id]]))
+    ).rejects.toThrow('Unknown notification status "deleted"');
+  });
+
+  test('act on every notification matching the filter', async () => {
+    const bulk = await createClient('inbox-bulk');
+    const task = await notify(bulk, { type: 'task_assignment', application_id: bulk.appId });
+    const urgent = await notify(bulk, { type: 'deadline_reminder', priority: 'urgent' });
+    const dismissed = await notify(bulk, { type: 'task_assignment', status: 'dismissed' });
+
+    const claims = { sub: USER, client_id: bulk.clientId };
+    const counts = await asRole(client, 'authenticated', claims, async () => {
+      const read = await client.query(
+        "SELECT api.mark_all_notifications_read($1, $2, ARRAY['task_assignment']) AS count",
+        [bulk.clientId, bulk.appId]
+      );
+      const { rows } = await client.query(
+        'SELECT id, status FROM api.notifications WHERE client_id = $1 ORDER BY created_at',
+        [bulk.clientId]
+      );
+      const archived = await client.query(
+        "SELECT api.archive_all_notifications(priorities => ARRAY['urgent', 'medium']) AS count"
+      );
+      const after = await client.query(
+        'SELECT id, status FROM api.notifications WHERE client_id = $1',
+        [bulk.clientId]
+      );
+      return {
+        read: read.rows[0].count,
+        statuses: Object.fromEntries(rows.map((row) => [row.id, row.status])),
+        archived: archived.rows[0].count,
+        after: Object.fromEntries(after.rows.map((row) => [row.id, row.status])),
+      };
+    });
+
+    expect(counts.read).toBe(1);
+    expect(counts.statuses).toEqual({
+      [task]: 'read',
+      [urgent]: 'unread',
+      [dismissed]: 'dismissed',
+    });
+    // Only this client's notifications are visible, whatever the filter
+    expect(counts.archived).toBe(2);
+    expect(counts.after).toEqual({
+      [task]: 'archived',
+      [urgent]: 'archived',
+      [dismissed]: 'dismissed',
+    });
+
+    await client.query('DELETE FROM api.clients WHERE id = $1', [bulk.clientId]);
+  });
+});
+
+test('the migration moves legacy notifications over and rolls back', async () => {
+  const legacy = await withoutMigration(client, '40_notifications_admin_model.sql', async () => {
+    const { rows } = await client.query(
+      `INSERT INTO api.notifications (client_id, title, message, type, read)
+       VALUES ($1, 'Sync failed', 'Try again', 'error', true), ($1, 'Hi', 'Welcome', 'info', false)
+       RETURNING id`,
+      [tenant.clientId]
+    );
+    return rows.map((row) => row.id);
+  });
+
+  const { rows } = await client.query(
+    `SELECT type, priority, status, read, read_at IS NOT NULL AS stamped, metadata
+     FROM api.notifications WHERE id = ANY($1) ORDER BY title DESC`,
+    [legacy]
+  );
+  expect(rows).toEqual([
+    {
+      type: 'system_alert',
+      priority: 'high',
+      status: 'read',
+      read: true,
+      stamped: true,
+      metadata: { legacyType: 'error' },
+    },
+    {
+      type: 'system_alert',
+      priority: 'low',
+      status: 'unread',
+      read: false,
+      stamped: false,
+      metadata: { legacyType: 'info' },
+    },
+  ]);
+});
@@ -0,0 +1,589 @@
+/**
+ * RLS Fixtures
+ *
+ * Two tenants with one row in every api.* table, and the request personas the
+ * RLS suite impersonates. Rows are inserted as the database owner with
+ * triggers disabled, so seeding bypasses RLS and does not depend on trigger
+ * side effects (balances, audit entries, generated invitation codes).
+ */
+
+import { randomBytes } from 'node:crypto';
+
+const IN_A_WEEK = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+const TODAY = new Date().toISOString().slice(0, 10);
+
+/**
+ * Tenants seeded by seedTenants(); `label` is how results refer to them
+ */
+export const TENANTS = [
+  { label: 'A', code: 'rls-tenant-a' },
+  { label: 'B', code: 'rls-tenant-b' },
+];
+
+/**
+ * Label for rows that belong to no tenant (e.g. user_roles)
+ */
+export const SHARED = 'shared';
+
+/**
+ * Primary key of each table that is not keyed by `id`
+ */
+const KEY_COLUMNS = {
+  client_tiers: 'tier_code',
+  invitation_signing_keys: 'kid',
+  invitation_status_transitions: 'from_status',
+  spam_scoring_rules: 'rule',
+  spam_scoring_thresholds: 'spam_status',
+  client_credit_balances: 'client_id',
+  tfc_client_balances: 'client_id',
+  user_roles: 'user_id',
+};
+
+/**
+ * Column that identifies a row of `table`
+ */
+export function keyColumn(table) {
+  return KEY_COLUMNS[table] ?? 'id';
+}
+
+/**
+ * One row per tenant for every api.* table, in foreign key order
+ *
+ * `row({ code, label, ids })` builds the row from the tenant and the keys of
+ * the rows already seeded for it (ids.<table>). Tables without a client link are seeded
+ * once with `shared: true`.
+ */
+export const FIXTURES = [
+  {
+    table: 'clients',
+    row: ({ code, label }) => ({
+      client_code: code,
+      legal_name: `Tenant ${label} A/S`,
+      domain: `${code}.thepia.net`,
+    }),
+  },
+  {
+    table: 'client_applications',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      app_code: 'offboarding',
+      app_name: 'Offboarding',
+      configuration: { theme: {}, locale: 'en' },
+    }),
+  },
+  {
+    table: 'invitations',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      app_id: ids.client_applications,
+      invitation_code: `${code.toUpperCase()}-OFFBOARDING-000001`,
+      jwt_token_hash: randomBytes(32).toString('hex'),
+      expires_at: IN_A_WEEK,
+      created_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'invitation_redemptions',
+    row: ({ ids }) => ({
+      invitation_id: ids.invitations,
+      client_id: ids.clients,
+      outcome: 'denied',
+      denial_codes: ['token_invalid'],
+    }),
+  },
+  {
+    table: 'invitation_status_history',
+    row: ({ ids }) => ({
+      invitation_id: ids.invitations,
+      client_id: ids.clients,
+      from_status: 'pending',
+      to_status: 'sent',
+      changed_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'n8n_invitation_requests',
+    row: ({ code, label, ids }) => ({
+      name: `Requester ${label}`,
+      email: `requester@${code}.example.com`,
+      invitation_id: ids.invitations,
+    }),
+  },
+  {
+    table: 'people',
+    row: ({ code, label, ids }) => ({
+      client_id: ids.clients,
+      person_code: `${code}-person`,
+      first_name: 'Pat',
+      last_name: label,
+      company_email: `pat@${code}.example.com`,
+      department: 'Operations',
+      position: 'Analyst',
+      location: 'Copenhagen',
+    }),
+  },
+  { table: 'people_enrollments', row: ({ ids }) => ({ person_id: ids.people }) },
+  {
+    table: 'documents',
+    row: ({ ids }) => ({ person_id: ids.people, name: 'Contract', type: 'contract' }),
+  },
+  {
+    table: 'tasks',
+    row: ({ ids }) => ({
+      person_id: ids.people,
+      title: 'Sign contract',
+      category: 'onboarding',
+      assigned_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'account_contacts',
+    row: ({ code, label, ids }) => ({
+      client_id: ids.clients,
+      first_name: 'Alex',
+      last_name: label,
+      email: `alex@${code}.example.com`,
+      contact_type: 'primary',
+    }),
+  },
+  {
+    table: 'admin_access',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      contact_id: ids.account_contacts,
+      access_level: 'owner',
+    }),
+  },
+  {
+    table: 'client_offices',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      office_name: 'HQ',
+      city: 'Copenhagen',
+      country: 'Denmark',
+      timezone: 'Europe/Copenhagen',
+    }),
+  },
+  {
+    table: 'employees_backup_pre_people_migration',
+    row: ({ code, label, ids }) => ({
+      client_id: ids.clients,
+      employee_code: `${code}-employee`,
+      first_name: 'Sam',
+      last_name: label,
+      company_email: `sam@${code}.example.com`,
+      department: 'Operations',
+      position: 'Analyst',
+      location: 'Copenhagen',
+      // the column default ('invited') predates the status check constraint
+      status: 'active',
+    }),
+  },
+  {
+    table: 'employee_enrollments_backup_pre_people_migration',
+    row: ({ ids }) => ({ employee_id: ids.employees_backup_pre_people_migration }),
+  },
+  {
+    table: 'employee_app_enrollments',
+    row: ({ ids }) => ({
+      employee_id: ids.employees_backup_pre_people_migration,
+      app_id: ids.client_applications,
+    }),
+  },
+  {
+    table: 'employee_process_history',
+    row: ({ ids }) => ({
+      employee_id: ids.employees_backup_pre_people_migration,
+      process_type: 'onboarding',
+      process_status: 'active',
+      start_date: TODAY,
+    }),
+  },
+  {
+    table: 'document_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      template_name: 'Contract',
+      template_category: 'legal',
+      document_type: 'contract',
+    }),
+  },
+  {
+    table: 'task_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      template_name: 'Sign contract',
+      task_category: 'legal',
+      process_type: 'onboarding',
+    }),
+  },
+  {
+    table: 'workflow_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      workflow_name: 'Onboarding',
+      process_type: 'onboarding',
+    }),
+  },
+  {
+    table: 'process_metrics',
+    row: ({ ids }) => ({ client_id: ids.clients, metric_date: TODAY }),
+  },
+  {
+    table: 'system_analytics',
+    row: ({ ids }) => ({ client_id: ids.clients, analytics_date: TODAY }),
+  },
+  {
+    table: 'offboarding_templates',
+    row: ({ ids }) => ({ client_id: ids.clients, name: 'Standard', template_type: 'company_wide' }),
+  },
+  {
+    table: 'offboarding_task_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      template_id: ids.offboarding_templates,
+      name: 'Hand over laptop',
+      category: 'equipment_return',
+    }),
+  },
+  {
+    table: 'offboarding_document_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      template_id: ids.offboarding_templates,
+      name: 'Checklist',
+      document_type: 'checklist',
+    }),
+  },
+  {
+    table: 'offboarding_processes',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      template_id: ids.offboarding_templates,
+      employee_uid: `${code}-leaver`,
+      process_name: 'Leaver',
+    }),
+  },
+  {
+    table: 'offboarding_tasks',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      process_id: ids.offboarding_processes,
+      name: 'Hand over laptop',
+      category: 'equipment_return',
+    }),
+  },
+  {
+    table: 'offboarding_documents',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      process_id: ids.offboarding_processes,
+      name: 'Checklist',
+      document_type: 'checklist',
+    }),
+  },
+  {
+    table: 'offboarding_audit_log',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      action: 'created',
+      entity_type: 'process',
+      entity_id: ids.offboarding_processes,
+    }),
+  },
+  {
+    table: 'offboarding_workflows',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      employee_uid: `${code}-leaver`,
+      created_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'knowledge_transfer_items',
+    row: ({ ids }) => ({
+      offboarding_workflow_id: ids.offboarding_workflows,
+      knowledge_type: 'process_documentation',
+      title: 'Runbook',
+    }),
+  },
+  {
+    table: 'offboarding_communications',
+    row: ({ ids }) => ({
+      offboarding_workflow_id: ids.offboarding_workflows,
+      communication_type: 'exit_interview',
+    }),
+  },
+  {
+    table: 'offboarding_compliance_checks',
+    row: ({ ids }) => ({
+      offboarding_workflow_id: ids.offboarding_workflows,
+      compliance_type: 'exit_interview',
+    }),
+  },
+  { table: 'client_credit_balances', row: ({ ids }) => ({ client_id: ids.clients }) },
+  {
+    table: 'credit_transactions',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      transaction_type: 'bonus',
+      credit_amount: 5,
+      total_amount: 0,
+      created_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'workflow_credit_usage',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      workflow_id: ids.offboarding_workflows,
+      workflow_type: 'offboarding',
+      employee_uid: `${code}-leaver`,
+      credits_consumed: 1,
+      credit_rate: 175,
+      total_cost: 175,
+      credit_transaction_id: ids.credit_transactions,
+    }),
+  },
+  {
+    table: 'tfc_payments',
+    row: ({ ids }) => ({ client_id: ids.clients, payment_amount: 150, payment_method: 'invoice' }),
+  },
+  { table: 'tfc_client_balances', row: ({ ids }) => ({ client_id: ids.clients }) },
+  {
+    table: 'tfc_credit_transactions',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      transaction_type: 'bonus',
+      credit_amount: 5,
+      price_per_credit: 0,
+      total_amount: 0,
+      description: 'Welcome credits',
+      created_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'tfc_workflow_usage',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      workflow_id: ids.offboarding_workflows,
+      workflow_type: 'offboarding',
+      employee_uid: `${code}-leaver`,
+      credits_consumed: 1,
+      credit_rate: 150,
+      total_cost: 150,
+      credit_transaction_id: ids.tfc_credit_transactions,
+    }),
+  },
+  {
+    table: 'tfc_invoices',
+    row: ({ code, ids }) => ({
+      client_id: ids.clients,
+      invoice_number: `${code}-0001`,
+      subtotal_amount: 0,
+      total_amount: 0,
+      line_items: [],
+    }),
+  },
+  {
+    table: 'notifications',
+    row: ({ ids }) => ({ client_id: ids.clients, title: 'Welcome', message: 'Hello' }),
+  },
+  {
+    table: 'notification_templates',
+    row: ({ ids }) => ({
+      client_id: ids.clients,
+      template_key: 'rls_fixture',
+      subject: 'RLS fixture',
+      body: 'RLS fixture',
+    }),
+  },
+  {
+    table: 'notification_preferences',
+    row: ({ label, ids }) => ({
+      client_id: ids.clients,
+      user_id: PERSONAS[`tenant${label}`].claims.sub,
+    }),
+  },
+  {
+    table: 'client_tiers',
+    shared: true,
+    row: () => ({
+      tier_code: 'rls-custom',
+      name: 'RLS Custom',
+      max_users: 50,
+      max_storage_gb: 5,
+      price_monthly: 99,
+      is_custom: true,
+    }),
+  },
+  {
+    table: 'client_tier_versions',
+    shared: true,
+    row: () => ({
+      tier_code: 'rls-custom',
+      version: 1,
+      definition: { tier_code: 'rls-custom', max_users: 50 },
+      changed_by: 'rls-fixture',
+    }),
+  },
+  {
+    table: 'invitation_signing_keys',
+    shared: true,
+    row: () => ({
+      kid: 'rls-key',
+      algorithm: 'ES256',
+      public_jwk: {
+        kty: 'EC',
+        crv: 'P-256',
+        kid: 'rls-key',
+        alg: 'ES256',
+        x: 'f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU',
+        y: 'x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0',
+      },
+    }),
+  },
+  {
+    table: 'invitation_status_transitions',
+    shared: true,
+    row: () => ({ from_status: 'rls-from', to_status: 'rls-to', description: 'RLS fixture' }),
+  },
+  {
+    table: 'spam_scoring_rules',
+    shared: true,
+    row: () => ({ rule: 'rls_rule', weight: 1, description: 'RLS fixture' }),
+  },
+  {
+    table: 'spam_scoring_thresholds',
+    shared: true,
+    row: () => ({ spam_status: 'rls-status', min_score: 100, description: 'RLS fixture' }),
+  },
+  {
+    table: 'user_roles',
+    shared: true,
+    row: () => ({
+      user_id: PERSONAS.staff.claims.sub,
+      user_email: 'staff@thepia.com',
+      role: 'thepia_staff',
+    }),
+  },
+];
+
+/**
+ * Request personas: the Postgres role PostgREST would switch to and the JWT
+ * claims it would expose through auth.jwt()
+ *
+ * Client admins carry their tenant in `client_id` / `client_code` (filled in
+ * by personaClaims once the tenants exist); staff are marked in user_metadata
+ * as assigned by assign_thepia_staff_role.
+ */
+export const PERSONAS = {
+  tenantA: {
+    role: 'authenticated',
+    tenant: 'A',
+    claims: {
+      sub: '00000000-0000-4000-8000-00000000000a',
+      user_metadata: { client_role: 'superuser' },
+    },
+  },
+  tenantB: {
+    role: 'authenticated',
+    tenant: 'B',
+    claims: {
+      sub: '00000000-0000-4000-8000-00000000000b',
+      user_metadata: { client_role: 'superuser' },
+    },
+  },
+  anon: { role: 'anon', claims: {} },
+  staff: {
+    role: 'authenticated',
+    claims: {
+      sub: '00000000-0000-4000-8000-000000000005',
+      email: 'staff@thepia.com',
+      user_metadata: { role: 'thepia_staff' },
+    },
+  },
+  service: { role: 'service_role', claims: {} },
+};
+
+/**
+ * JWT claims for a persona, including its tenant's client_id and client_code
+ */
+export function personaClaims(persona, seeded) {
+  const tenant = persona.tenant && seeded.tenants[persona.tenant];
+  return tenant
+    ? { ...persona.claims, client_id: tenant.clientId, client_code: tenant.code }
+    : persona.claims;
+}
+
+/**
+ * Insert a row as JSON so jsonb columns and arrays need no per-type handling
+ */
+async function insertRow(client, table, row) {
+  const columns = Object.keys(row)
+    .map((column) => `"${column}"`)
+    .join(', ');
+  const key = keyColumn(table);
+
+  const { rows } = await client.query(
+    `INSERT INTO api.${table} (${columns})
+     SELECT ${columns} FROM jsonb_populate_record(NULL::api.${table}, $1::jsonb)
+     RETURNING ${key} AS key, to_jsonb(${table}.*) AS data`,
+    [JSON.stringify(row)]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Seed both tenants and the shared rows
+ *
+ * Returns the tenants (label → { clientId, code }) and every seeded row:
+ * rows[table] is a list of { key, owner, data } where owner is a tenant
+ * label or SHARED.
+ */
+export async function seedTenants(client) {
+  const tenants = {};
+  const rows = {};
+
+  await client.query('SET session_replication_role = replica');
+
+  for (const fixture of FIXTURES) {
+    rows[fixture.table] = [];
+  }
+
+  for (const tenant of TENANTS) {
+    const ids = {};
+
+    for (const fixture of FIXTURES.filter((f) => !f.shared)) {
+      const inserted = await insertRow(client, fixture.table, fixture.row({ ...tenant, ids }));
+      ids[fixture.table] = inserted.key;
+      rows[fixture.table].push({ key: inserted.key, owner: tenant.label, data: inserted.data });
+    }
+
+    tenants[tenant.label] = { clientId: ids.clients, code: tenant.code };
+  }
+
+  for (const fixture of FIXTURES.filter((f) => f.shared)) {
+    const inserted = await insertRow(client, fixture.table, fixture.row());
+    rows[fixture.table].push({ key: inserted.key, owner: SHARED, data: inserted.data });
+  }
+
+  await client.query('RESET session_replication_role');
+
+  return { tenants, rows };
+}
+
+/**
+ * Remove everything seedTenants() created, again with triggers disabled
+ */
+export async function removeTenants(client, seeded) {
+  await client.query('SET session_replication_role = replica');
+
+  for (const { table } of [...FIXTURES].reverse()) {
+    const keys = seeded.rows[table].map((row) => row.key);
+    await client.query(`DELETE FROM api.${table} WHERE ${keyColumn(table)} = ANY($1)`, [keys]);
+  }
+
+  await client.query('RESET session_replication_role');
+}
@@ -0,0 +1,408 @@
+/**
+ * RLS Regression Tests
+ *
+ * Seeds two tenants with a row in every api.* table, then impersonates each
+ * persona from rls-fixtures.js and records which tenants' rows it can select,
+ * insert, update and delete. The observed matrix must match ACCESS exactly,
+ * and no persona may touch another tenant's rows unless the table is listed in
+ * KNOWN_LEAKS.
+ *
+ * Writes run with triggers disabled, so the matrix reflects policies and
+ * grants only; trigger behaviour is covered in schema.spec.js.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, describe, expect, inject, test } from 'vitest';
+import {
+  FIXTURES,
+  PERSONAS,
+  SHARED,
+  keyColumn,
+  personaClaims,
+  removeTenants,
+  seedTenants,
+} from './rls-fixtures.js';
+
+const INSUFFICIENT_PRIVILEGE = '42501';
+const OPERATIONS = ['select', 'insert', 'update', 'delete'];
+
+// Access levels: rows of the persona's own tenant, every seeded row, or none
+const OWN = 'own';
+const ALL = 'all';
+const NONE = 'none';
+
+/**
+ * Expected access for select / insert / update / delete
+ */
+function access(select, insert = select, update = insert, remove = update) {
+  return { select, insert, update, delete: remove };
+}
+
+// Client policies match client_id / client_code, staff policies user_metadata.role
+const ISOLATED = {
+  tenant: access(OWN),
+  anon: access(NONE),
+  staff: access(ALL),
+  service: access(ALL),
+};
+
+// Staff policies still check the top-level `role` claim, which is always
+// 'authenticated' for signed-in users, so thepia_staff is locked out
+const STAFF_LOCKED_OUT = { ...ISOLATED, staff: access(NONE) };
+
+// Client policies compare client_id to auth.uid() (a user id), so only
+// service_role can reach these rows
+const SERVICE_ONLY = {
+  tenant: access(NONE),
+  anon: access(NONE),
+  staff: access(NONE),
+  service: access(ALL),
+};
+
+// RLS disabled, or a `FOR ALL USING (true)` policy: everyone with a grant sees
+// every tenant's rows, and anon can read them
+const OPEN = {
+  tenant: access(ALL),
+  anon: access(ALL, NONE),
+  staff: access(ALL),
+  service: access(ALL),
+};
+
+/**
+ * Access each persona has to every api.* table; `tenant` applies to both
+ * client admins
+ */
+const ACCESS = {
+  clients: { ...ISOLATED, tenant: access(OWN, NONE) },
+  client_applications: ISOLATED,
+  invitations: ISOLATED,
+  n8n_invitation_requests: OPEN,
+
+  people: OPEN,
+  people_enrollments: OPEN,
+  documents: OPEN,
+  tasks: OPEN,
+
+  account_contacts: STAFF_LOCKED_OUT,
+  admin_access: STAFF_LOCKED_OUT,
+
+  client_offices: OPEN,
+  employees_backup_pre_people_migration: STAFF_LOCKED_OUT,
+  employee_enrollments_backup_pre_people_migration: SERVICE_ONLY,
+  employee_app_enrollments: OPEN,
+  employee_process_history: OPEN,
+  document_templates: OPEN,
+  task_templates: OPEN,
+  workflow_templates: OPEN,
+  process_metrics: OPEN,
+  system_analytics: OPEN,
+
+  offboarding_templates: SERVICE_ONLY,
+  offboarding_task_templates: SERVICE_ONLY,
+  offboarding_document_templates: SERVICE_ONLY,
+  offboarding_processes: SERVICE_ONLY,
+  offboarding_tasks: SERVICE_ONLY,
+  offboarding_documents: SERVICE_ONLY,
+  offboarding_audit_log: SERVICE_ONLY,
+
+  offboarding_workflows: STAFF_LOCKED_OUT,
+  knowledge_transfer_items: STAFF_LOCKED_OUT,
+  offboarding_communications: STAFF_LOCKED_OUT,
+  offboarding_compliance_checks: STAFF_LOCKED_OUT,
+
+  client_credit_balances: STAFF_LOCKED_OUT,
+  credit_transactions: STAFF_LOCKED_OUT,
+  workflow_credit_usage: STAFF_LOCKED_OUT,
+  tfc_payments: STAFF_LOCKED_OUT,
+  tfc_client_balances: STAFF_LOCKED_OUT,
+  tfc_credit_transactions: STAFF_LOCKED_OUT,
+  tfc_workflow_usage: STAFF_LOCKED_OUT,
+  tfc_invoices: STAFF_LOCKED_OUT,
+
+  // A client's users read their notifications and change their status through functions
+  notifications: {
+    tenant: access(OWN, NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+  // Tenants read their own templates (and the global ones); staff publish them
+  notification_templates: {
+    tenant: access(OWN, NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+  // A client's users keep their own preferences
+  notification_preferences: ISOLATED,
+
+  // Signed-in users can read the tier catalogue; only staff manage it
+  client_tiers: {
+    tenant: access(ALL, NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+  client_tier_versions: {
+    tenant: access(NONE),
+    anon: access(NONE),
+    staff: access(ALL, NONE),
+    service: access(ALL),
+  },
+  // Public keys that still verify are readable by anyone, to build the JWKS
+  invitation_signing_keys: {
+    tenant: access(ALL, NONE),
+    anon: access(ALL, NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+  // A tenant reads the history of its own invitations; only triggers and redemption write it
+  invitation_redemptions: {
+    tenant: access(OWN, NONE),
+    anon: access(NONE),
+    staff: access(ALL, NONE),
+    service: access(ALL),
+  },
+  invitation_status_history: {
+    tenant: access(OWN, NONE),
+    anon: access(NONE),
+    staff: access(ALL, NONE),
+    service: access(ALL),
+  },
+  // The lifecycle graph is readable by signed-in users and changes by migration
+  invitation_status_transitions: {
+    tenant: access(ALL, NONE),
+    anon: access(NONE),
+    staff: access(ALL, NONE),
+    service: access(ALL),
+  },
+  // Spam scoring is tuned by staff and read by the scoring trigger
+  spam_scoring_rules: {
+    tenant: access(NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+  spam_scoring_thresholds: {
+    tenant: access(NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+
+  user_roles: {
+    tenant: access(NONE),
+    anon: access(NONE),
+    staff: access(ALL),
+    service: access(ALL),
+  },
+};
+
+/**
+ * Tables where a tenant or anon can currently reach another tenant's rows
+ *
+ * Their isolation test is expected to fail. Fixing a leak makes it pass, which
+ * fails the build until the table is removed from this list (and ACCESS is
+ * updated); a leak in any other table fails the build straight away.
+ */
+const KNOWN_LEAKS = [
+  // *_anon_access policies: FOR ALL USING (true)
+  'people',
+  'people_enrollments',
+  'documents',
+  'tasks',
+  // RLS not enabled
+  'client_offices',
+  'document_templates',
+  'employee_app_enrollments',
+  'employee_process_history',
+  'n8n_invitation_requests',
+  'process_metrics',
+  'system_analytics',
+  'task_templates',
+  'workflow_templates',
+];
+
+let client;
+let seeded;
+const observed = {};
+
+/**
+ * Run one statement as `persona` inside a transaction that is rolled back
+ *
+ * `prepare` runs first as the database owner. Returns the owners of the rows
+ * the statement returned; a permission error means no rows, any other error
+ * is reported as `error <sqlstate>`.
+ */
+async function probe(persona, prepare, statement, params) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query('SET LOCAL session_replication_role = replica');
+    if (prepare) {
+      await client.query(...prepare);
+    }
+    await client.query(`SET LOCAL ROLE ${persona.role}`);
+    await client.query("SELECT set_config('request.jwt.claims', $1, true)", [
+      JSON.stringify({ role: persona.role, ...personaClaims(persona, seeded) }),
+    ]);
+
+    const { rows } = await client.query(statement, params);
+    return rows.map((row) => String(row.key));
+  } catch (error) {
+    return error.code === INSUFFICIENT_PRIVILEGE ? [] : `error ${error.code}`;
+  } finally {
+    await client.query('ROLLBACK');
+  }
+}
+
+/**
+ * Columns that can be inserted, i.e. everything except generated columns
+ */
+async function getInsertableColumns(table) {
+  const { rows } = await client.query(
+    `SELECT attname
+     FROM pg_attribute
+     WHERE attrelid = to_regclass($1) AND attnum > 0 AND NOT attisdropped AND attgenerated = ''
+     ORDER BY attnum`,
+    [`api.${table}`]
+  );
+  return rows.map((row) => `"${row.attname}"`).join(', ');
+}
+
+/**
+ * Which seeded rows of `table` a persona can select, insert, update and delete
+ *
+ * Inserts delete a seeded row first and re-insert it as the persona, one row
+ * at a time so a rejected row does not hide an accepted one.
+ */
+async function observeTable(table, persona) {
+  const key = keyColumn(table);
+  const rows = seeded.rows[table];
+  const keys = rows.map((row) => row.key);
+  const owners = new Map(rows.map((row) => [String(row.key), row.owner]));
+  const columns = await getInsertableColumns(table);
+
+  const toOwners = (result) =>
+    Array.isArray(result) ? result.map((id) => owners.get(id)).sort() : result;
+
+  const select = await probe(
+    persona,
+    null,
+    `SELECT ${key} AS key FROM api.${table} WHERE ${key} = ANY($1)`,
+    [keys]
+  );
+  const update = await probe(
+    persona,
+    null,
+    `UPDATE api.${table} SET ${key} = ${key} WHERE ${key} = ANY($1) RETURNING ${key} AS key`,
+    [keys]
+  );
+  const remove = await probe(
+    persona,
+    null,
+    `DELETE FROM api.${table} WHERE ${key} = ANY($1) RETURNING ${key} AS key`,
+    [keys]
+  );
+
+  let insert = [];
+  for (const row of rows) {
+    const result = await probe(
+      persona,
+      [`DELETE FROM api.${table} WHERE ${key} = $1`, [row.key]],
+      `INSERT INTO api.${table} (${columns})
+       SELECT ${columns} FROM jsonb_populate_record(NULL::api.${table}, $1)
+       RETURNING ${key} AS key`,
+      [row.data]
+    );
+    insert = Array.isArray(result) && Array.isArray(insert) ? [...insert, ...result] : result;
+  }
+
+  return {
+    select: toOwners(select),
+    insert: toOwners(insert),
+    update: toOwners(update),
+    delete: toOwners(remove),
+  };
+}
+
+/**
+ * ACCESS for one table and persona, resolved to row owners
+ */
+function expectedAccess(table, personaName) {
+  const persona = PERSONAS[personaName];
+  const levels = ACCESS[table][persona.tenant ? 'tenant' : personaName];
+  const everyone = [...new Set(seeded.rows[table].map((row) => row.owner))].sort();
+
+  const resolve = (level) => {
+    if (level === OWN) return [persona.tenant];
+    if (level === ALL) return everyone;
+    if (level === NONE) return [];
+    return level;
+  };
+
+  return Object.fromEntries(OPERATIONS.map((operation) => [operation, resolve(levels[operation])]));
+}
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+  seeded = await seedTenants(client);
+
+  for (const { table } of FIXTURES) {
+    observed[table] = {};
+    for (const [name, persona] of Object.entries(PERSONAS)) {
+      observed[table][name] = await observeTable(table, persona);
+    }
+  }
+});
+
+afterAll(async () => {
+  if (seeded) {
+    await removeTenants(client, seeded);
+  }
+  await client?.end();
+});
+
+test('covers every api table', async () => {
+  const { rows } = await client.query(
+    "SELECT relname FROM pg_class WHERE relnamespace = 'api'::regnamespace AND relkind = 'r'"
+  );
+  const tables = rows.map((row) => row.relname).sort();
+
+  expect(FIXTURES.map((fixture) => fixture.table).sort()).toEqual(tables);
+  expect(Object.keys(ACCESS).sort()).toEqual(tables);
+});
+
+describe.each(FIXTURES.map((fixture) => fixture.table))('api.%s', (table) => {
+  test('matches the access matrix', () => {
+    const expected = Object.fromEntries(
+      Object.keys(PERSONAS).map((name) => [name, expectedAccess(table, name)])
+    );
+    expect(observed[table]).toEqual(expected);
+  });
+
+  const isolation = KNOWN_LEAKS.includes(table) ? test.fails : test;
+
+  isolation('keeps tenants and anon out of other tenants’ rows', () => {
+    const leaks = [];
+
+    for (const [name, persona] of Object.entries(PERSONAS)) {
+      if (persona.role !== 'anon' && !persona.tenant) {
+        continue;
+      }
+
+      for (const operation of OPERATIONS) {
+        const result = observed[table][name][operation];
+        const foreign = Array.isArray(result)
+          ? result.filter((owner) => owner !== persona.tenant && owner !== SHARED)
+          : [];
+        if (foreign.length > 0) {
+          leaks.push(`${name} can ${operation} rows of tenant ${foreign.join(', ')}`);
+        }
+      }
+    }
+
+    expect(leaks).toEqual([]);
+  });
+});
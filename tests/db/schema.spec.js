@@ -0,0 +1,131 @@
+/**
+ * Schema Harness Tests
+ *
+ * Runs against the embedded Postgres from tests/db/global-setup.js: checks the
+ * schema applied cleanly and exercises triggers and RLS that previously needed
+ * a live Supabase project.
+ */
+
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { asRole } from './harness.js';
+
+let client;
+let tenant;
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('harness', 'Harness A/S', 'harness.thepia.net')
+     RETURNING id`
+  );
+  const {
+    rows: [app],
+  } = await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'offboarding', 'Offboarding', '{"theme": {}, "locale": "en"}')
+     RETURNING id`,
+    [created.id]
+  );
+
+  tenant = { clientId: created.id, appId: app.id };
+});
+
+afterAll(async () => {
+  await client?.query('DELETE FROM api.clients WHERE id = $1', [tenant?.clientId]);
+  await client?.end();
+});
+
+/**
+ * Insert a pending invitation for the harness tenant
+ */
+async function createInvitation() {
+  const { rows } = await client.query(
+    `INSERT INTO api.invitations (client_id, app_id, jwt_token_hash, expires_at, max_uses, created_by)
+     VALUES ($1, $2, encode(gen_random_bytes(32), 'hex'), NOW() + interval '7 days', 1, 'harness')
+     RETURNING *`,
+    [tenant.clientId, tenant.appId]
+  );
+  return rows[0];
+}
+
+test('applies every default-bundle migration and records it', async () => {
+  const applied = inject('appliedMigrations');
+  const { rows } = await client.query('SELECT version FROM internal.schema_migrations');
+
+  expect(applied).toContain('00_schema_setup');
+  expect(applied).toContain('16_tfc_ledger_system');
+  expect(rows.map((row) => row.version).sort()).toEqual([...applied].sort());
+});
+
+test('update_invitation_status marks invitations used and expired', async () => {
+  const invitation = await createInvitation();
+  expect(invitation.invitation_code).toMatch(/^HARNESS-OFFBOARDING-[0-9A-F]{6}$/);
+
+  const {
+    rows: [used],
+  } = await client.query(
+    'UPDATE api.invitations SET used_count = 1 WHERE id = $1 RETURNING status, first_used_at',
+    [invitation.id]
+  );
+  expect(used.status).toBe('used');
+  expect(used.first_used_at).not.toBeNull();
+
+  const pending = await createInvitation();
+  const {
+    rows: [expired],
+  } = await client.query(
+    `UPDATE api.invitations
+     SET created_at = NOW() - interval '2 days', expires_at = NOW() - interval '1 day'
+     WHERE id = $1
+     RETURNING status`,
+    [pending.id]
+  );
+  expect(expired.status).toBe('expired');
+});
+
+test('update_tfc_balance_on_transaction keeps the client balance current', async () => {
+  await client.query(
+    `INSERT INTO api.tfc_credit_transactions
+       (client_id, transaction_type, credit_amount, price_per_credit, total_amount, currency,
+        workflow_type, workflow_id, description, created_by)
+     VALUES ($1, 'bonus', 5, 0, 0, 'EUR', NULL, NULL, 'Welcome credits', 'harness'),
+            ($1, 'usage', -2, 150, 300, 'EUR', 'offboarding', gen_random_uuid(), 'Offboarding workflow', 'harness')`,
+    [tenant.clientId]
+  );
+
+  const {
+    rows: [balance],
+  } = await client.query(
+    'SELECT total_purchased, total_used, current_balance FROM api.tfc_client_balances WHERE client_id = $1',
+    [tenant.clientId]
+  );
+
+  expect(balance).toEqual({ total_purchased: 5, total_used: 2, current_balance: 3 });
+});
+
+test('RLS hides clients from anon and shows them to thepia_staff', async () => {
+  const anonRows = await asRole(client, 'anon', {}, async (db) => {
+    const { rows } = await db.query('SELECT id FROM api.clients');
+    return rows;
+  });
+  const staffRows = await asRole(
+    client,
+    'authenticated',
+    { sub: '00000000-0000-4000-8000-000000000001', user_metadata: { role: 'thepia_staff' } },
+    async (db) => {
+      const { rows } = await db.query('SELECT id FROM api.clients WHERE id = $1', [
+        tenant.clientId,
+      ]);
+      return rows;
+    }
+  );
+
+  expect(anonRows).toEqual([]);
+  expect(staffRows).toEqual([{ id: tenant.clientId }]);
+});
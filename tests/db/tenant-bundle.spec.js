@@ -0,0 +1,205 @@
+/**
+ * Tenant Bundle Tests
+ *
+ * Exports a client and restores it into the same database under a new
+ * client_code, which needs fresh ids, foreign keys that hold and new values
+ * for what must be unique across clients.
+ */
+
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import pg from 'pg';
+import { afterAll, beforeAll, expect, inject, test } from 'vitest';
+import { createInvitations } from '../../src/invitations/admin.js';
+import { createInvitationKeyring, generateInvitationKeys } from '../../src/invitations/index.js';
+import {
+  exportTenant,
+  getTenantTables,
+  readBundle,
+  restoreTenant,
+} from '../../src/tenants/bundle.js';
+
+const source = { host: 'localhost', projectRef: null };
+
+let client;
+let tenant;
+let bundle;
+
+beforeAll(async () => {
+  client = new pg.Client({ connectionString: inject('databaseUrl') });
+  await client.connect();
+
+  const {
+    rows: [created],
+  } = await client.query(
+    `INSERT INTO api.clients (client_code, legal_name, domain)
+     VALUES ('bundled', 'Bundled A/S', 'bundled.thepia.net')
+     RETURNING id`
+  );
+  await client.query(
+    `INSERT INTO api.client_applications (client_id, app_code, app_name, configuration)
+     VALUES ($1, 'onboarding', 'Onboarding', '{"theme": {}, "locale": "en"}')`,
+    [created.id]
+  );
+  const {
+    rows: [template],
+  } = await client.query(
+    `INSERT INTO api.offboarding_templates (client_id, name, template_type)
+     VALUES ($1, 'Standard', 'company_wide')
+     RETURNING id`,
+    [created.id]
+  );
+  await client.query(
+    `INSERT INTO api.offboarding_task_templates (client_id, template_id, name, category)
+     VALUES ($1, $2, 'Return laptop', 'equipment_return')`,
+    [created.id, template.id]
+  );
+  const keyring = await createInvitationKeyring(await generateInvitationKeys());
+  await createInvitations(client, keyring, {
+    clientCode: 'bundled',
+    appCode: 'onboarding',
+    invitees: [{ firstName: 'Ida', lastName: 'Holm', companyEmail: 'ida.holm@bundled.dk' }],
+    by: 'bundle-spec',
+  });
+
+  tenant = { clientId: created.id, templateId: template.id };
+
+  const dir = mkdtempSync(join(tmpdir(), 'flows-db-bundle-'));
+  await exportTenant(client, 'bundled', dir, { source });
+  bundle = readBundle(dir);
+});
+
+afterAll(async () => {
+  await client?.query("DELETE FROM api.clients WHERE client_code LIKE 'bundled%'");
+  await client?.end();
+});
+
+test('finds every table keyed by a client, clients first', async () => {
+  const names = (await getTenantTables(client)).map((table) => table.name);
+
+  expect(names[0]).toBe('clients');
+  expect(names).toEqual(
+    expect.arrayContaining([
+      'client_applications',
+      'invitations',
+      'invitation_redemptions',
+      'invitation_status_history',
+      'n8n_invitation_requests',
+      'notification_preferences',
+      'notification_templates',
+      'people_enrollments',
+      'credit_transactions',
+      'client_credit_balances',
+      'workflow_credit_usage',
+      'client_offices',
+      'document_templates',
+      'task_templates',
+      'workflow_templates',
+      'process_metrics',
+      'system_analytics',
+      'knowledge_transfer_items',
+      'tfc_client_balances',
+    ])
+  );
+  expect(names).not.toContain('client_tiers');
+  expect(names).not.toContain('invitation_signing_keys');
+  expect(names.indexOf('offboarding_templates')).toBeLessThan(
+    names.indexOf('offboarding_task_templates')
+  );
+});
+
+test('copies a client within one database under fresh ids', async () => {
+  const restored = await restoreTenant(client, bundle, { clientCode: 'bundled-copy' });
+
+  expect(restored.clientId).not.toBe(tenant.clientId);
+
+  const {
+    rows: [copy],
+  } = await client.query('SELECT domain, setup_email FROM api.clients WHERE id = $1', [
+    restored.clientId,
+  ]);
+  expect(copy).toEqual({
+    domain: 'bundled-copy.thepia.net',
+    setup_email: 'installation+bundled-copy@thepia.net',
+  });
+
+  const { rows: tasks } = await client.query(
+    `SELECT t.template_id, o.client_id AS template_client_id
+     FROM api.offboarding_task_templates t
+     JOIN api.offboarding_templates o ON o.id = t.template_id
+     WHERE t.client_id = $1`,
+    [restored.clientId]
+  );
+  expect(tasks).toHaveLength(1);
+  expect(tasks[0].template_id).not.toBe(tenant.templateId);
+  expect(tasks[0].template_client_id).toBe(restored.clientId);
+
+  const { rows: original } = await client.query(
+    'SELECT count(*)::int AS count FROM api.offboarding_task_templates WHERE client_id = $1',
+    [tenant.clientId]
+  );
+  expect(original[0].count).toBe(1);
+
+  const { rows: invitations } = await client.query(
+    `SELECT client_id, invitation_code, jwt_token, jwt_token_hash
+     FROM api.invitations WHERE client_id = ANY($1) ORDER BY client_id = $2`,
+    [[tenant.clientId, restored.clientId], tenant.clientId]
+  );
+  expect(invitations).toHaveLength(2);
+  const [copied, invited] = invitations;
+  expect(copied.invitation_code).toBe(
+    invited.invitation_code.replace(/^BUNDLED-/, 'BUNDLED-COPY-')
+  );
+  expect(copied.jwt_token).toBeNull();
+  expect(copied.jwt_token_hash).toMatch(/^[0-9a-f]{64}$/);
+  expect(copied.jwt_token_hash).not.toBe(invited.jwt_token_hash);
+});
+
+test('refuses to copy a value that must be unique across clients', async () => {
+  await client.query(
+    `INSERT INTO api.people
+       (client_id, person_code, first_name, last_name, company_email, department, position,
+        location, employment_status)
+     VALUES ($1, 'ida-holm', 'Ida', 'Holm', 'ida.holm@bundled.dk', 'Sales', 'Seller',
+             'Aarhus', 'active')`,
+    [tenant.clientId]
+  );
+  const dir = mkdtempSync(join(tmpdir(), 'flows-db-bundle-'));
+  await exportTenant(client, 'bundled', dir, { source });
+
+  await expect(
+    restoreTenant(client, readBundle(dir), { clientCode: 'bundled-people' })
+  ).rejects.toThrow(
+    'api.people already has a row with the company_email of a bundled one in the target database'
+  );
+  await client.query('DELETE FROM api.people WHERE client_id = $1', [tenant.clientId]);
+});
+
+test('refuses a client that already exists', async () => {
+  await expect(restoreTenant(client, bundle)).rejects.toThrow(
+    'Client "bundled" already exists in the target database'
+  );
+});
+
+test('enforces foreign keys and loads nothing when one fails', async () => {
+  const tables = bundle.tables.map((table) =>
+    table.name === 'clients'
+      ? {
+          ...table,
+          lines: table.lines.map((line) =>
+            JSON.stringify({ ...JSON.parse(line), tier: 'platinum' })
+          ),
+        }
+      : table
+  );
+
+  await expect(
+    restoreTenant(client, { ...bundle, tables }, { clientCode: 'bundled-tierless' })
+  ).rejects.toThrow('fk_clients_tier');
+
+  const { rows } = await client.query(
+    "SELECT count(*)::int AS count FROM api.clients WHERE client_code = 'bundled-tierless'"
+  );
+  expect(rows[0].count).toBe(0);
+});
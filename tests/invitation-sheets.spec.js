@@ -0,0 +1,182 @@
+/**
+ * Invitee Spreadsheet Tests
+ *
+ * Reads invitees from CSV and XLSX, validates them row by row, sorts rows
+ * for an import and writes the result file.
+ */
+
+import { expect, test } from 'vitest';
+import writeXlsxFile from 'write-excel-file/node';
+import {
+  classifyInvitees,
+  formatImportResults,
+  parseInviteeCsv,
+  readInviteeSheet,
+  validateInvitees,
+} from '../src/invitations/sheets.js';
+
+const capacity = {
+  max_users: 10,
+  current_users: 5,
+  open_invitations: 3,
+  open_seats: 3,
+  available: 2,
+};
+
+test('reads invitees from CSV with loosely matched headers', () => {
+  const csv = [
+    '\uFEFFFirst Name,last_name,Company Email,privateEmail,Position',
+    'Sofia,Berg,sofia.berg@nets.eu,,Analyst',
+    '"Anne ""Annie""",Holm,anne.holm@nets.eu,anne@example.com,"Head of Sales, Nordics"',
+    '',
+    'Jens,Lund,jens.lund@nets.eu\r\n',
+  ].join('\n');
+
+  expect(parseInviteeCsv(csv)).toEqual([
+    {
+      row: 2,
+      firstName: 'Sofia',
+      lastName: 'Berg',
+      companyEmail: 'sofia.berg@nets.eu',
+      position: 'Analyst',
+    },
+    {
+      row: 3,
+      firstName: 'Anne "Annie"',
+      lastName: 'Holm',
+      companyEmail: 'anne.holm@nets.eu',
+      privateEmail: 'anne@example.com',
+      position: 'Head of Sales, Nordics',
+    },
+    { row: 5, firstName: 'Jens', lastName: 'Lund', companyEmail: 'jens.lund@nets.eu' },
+  ]);
+
+  expect(() => parseInviteeCsv('first_name,salary\nSofia,1')).toThrow(
+    'Unknown CSV column "salary"'
+  );
+  expect(() => parseInviteeCsv('first_name\nSofia,Berg')).toThrow(
+    'CSV row 2 has more fields than the header'
+  );
+  expect(() => parseInviteeCsv('first_name\n"Sofia')).toThrow('CSV ends inside a quoted field');
+});
+
+test('reads invitees from XLSX, turning date cells into YYYY-MM-DD', async () => {
+  const workbook = await writeXlsxFile(
+    [
+      [
+        { value: 'First Name' },
+        { value: 'Last Name' },
+        { value: 'Email' },
+        { value: 'Start Date' },
+      ],
+      [
+        { value: 'Sofia' },
+        { value: 'Berg' },
+        { value: 'sofia.berg@nets.eu' },
+        { value: new Date('2026-11-02T00:00:00Z'), type: Date, format: 'yyyy-mm-dd' },
+      ],
+      [null, null, null, null],
+      [{ value: 'Jens' }, { value: 'Lund' }, { value: 'jens.lund@nets.eu' }, null],
+    ],
+    { buffer: true }
+  );
+
+  // Told apart from CSV by content, so a missing extension still works
+  expect(await readInviteeSheet(workbook, 'upload')).toEqual([
+    {
+      row: 2,
+      firstName: 'Sofia',
+      lastName: 'Berg',
+      companyEmail: 'sofia.berg@nets.eu',
+      associationStartDate: '2026-11-02',
+    },
+    { row: 4, firstName: 'Jens', lastName: 'Lund', companyEmail: 'jens.lund@nets.eu' },
+  ]);
+  await expect(readInviteeSheet(Buffer.from('x'), 'hires.xls')).rejects.toThrow(
+    'Legacy .xls workbooks are not supported'
+  );
+});
+
+test('validates each invitee on its own', () => {
+  const validated = validateInvitees([
+    { row: 2, firstName: ' Sofia ', lastName: 'Berg', companyEmail: 'sofia.berg@nets.eu' },
+    { row: 3, firstName: 'Anne', companyEmail: 'not-an-email', associationStartDate: '02/11/2026' },
+  ]);
+
+  expect(validated[0]).toEqual({
+    row: 2,
+    invitee: { firstName: 'Sofia', lastName: 'Berg', companyEmail: 'sofia.berg@nets.eu' },
+    errors: [],
+  });
+  expect(validated[1].errors).toEqual([
+    '"lastName" is required',
+    '"companyEmail" must be a valid email',
+    '"associationStartDate" with value "02/11/2026" fails to match the YYYY-MM-DD pattern',
+  ]);
+});
+
+test('sorts rows into ready, invalid, duplicate and over capacity', () => {
+  const validated = [2, 3, 4, 5, 6, 7].map((row) => ({
+    row,
+    invitee: { companyEmail: `person${row}@nets.eu` },
+    errors: row === 3 ? ['"lastName" is required'] : [],
+  }));
+  const emails = [{ hash: 'a' }, null, { hash: 'a' }, { hash: 'b' }, { hash: 'c' }, { hash: 'd' }];
+  const duplicates = [
+    { email_hash: 'b', source: 'invitation', reference: 'NETS-ONBOARDING-1A2B3C', status: 'sent' },
+  ];
+
+  const rows = classifyInvitees(validated, emails, { duplicates, capacity });
+  expect(rows.map(({ row, status, message }) => [row, status, message])).toEqual([
+    [2, 'ready', null],
+    [3, 'invalid', '"lastName" is required'],
+    [4, 'duplicate', 'same email as row 2'],
+    [5, 'duplicate', 'invitation NETS-ONBOARDING-1A2B3C (sent)'],
+    [6, 'ready', null],
+    [7, 'over_capacity', 'No seats left under max_users (10)'],
+  ]);
+
+  // Matches in the database are reported but no longer block the row
+  const allowed = classifyInvitees(validated, emails, {
+    duplicates,
+    capacity: { ...capacity, available: 5 },
+    allowDuplicates: true,
+  });
+  expect(allowed.map(({ status }) => status)).toEqual([
+    'ready',
+    'invalid',
+    'duplicate',
+    'ready',
+    'ready',
+    'ready',
+  ]);
+  expect(allowed[3].message).toBe('invitation NETS-ONBOARDING-1A2B3C (sent)');
+});
+
+test('writes the result file as CSV', () => {
+  expect(
+    formatImportResults([
+      {
+        row: 2,
+        status: 'created',
+        companyEmail: 'sofia.berg@nets.eu',
+        invitationCode: 'NETS-ONBOARDING-1A2B3C',
+        link: 'https://nets.thepia.net/invitation/NETS-ONBOARDING-1A2B3C?token=abc',
+        message: null,
+      },
+      {
+        row: 3,
+        status: 'invalid',
+        companyEmail: 'anne',
+        message: '"companyEmail" must be a valid email; "lastName" is required',
+      },
+    ])
+  ).toBe(
+    [
+      'row,status,company_email,invitation_code,link,message',
+      '2,created,sofia.berg@nets.eu,NETS-ONBOARDING-1A2B3C,https://nets.thepia.net/invitation/NETS-ONBOARDING-1A2B3C?token=abc,',
+      '3,invalid,anne,,,"""companyEmail"" must be a valid email; ""lastName"" is required"',
+      '',
+    ].join('\n')
+  );
+});
@@ -0,0 +1,186 @@
+/**
+ * Invitation Token Tests
+ *
+ * Round-trips tokens through issue and verify, and checks key rotation,
+ * tampering, expiry and the canonical hash.
+ */
+
+import { createHash } from 'node:crypto';
+import { compactDecrypt, decodeProtectedHeader } from 'jose';
+import { beforeAll, expect, test } from 'vitest';
+import {
+  createInvitationKeyring,
+  generateInvitationKeys,
+  hashInvitationEmail,
+  hashInvitationToken,
+  invitationLink,
+  issueInvitationToken,
+  loadInvitationKeys,
+  verifyInvitationToken,
+} from '../src/invitations/index.js';
+
+const invitation = {
+  invitee: {
+    fullName: 'Sofia Berg',
+    companyEmail: 'sofia.berg@nets.eu',
+    privateEmail: 'sofia@example.com',
+  },
+  position: 'Analyst',
+  department: 'Finance',
+  type: 'onboarding',
+};
+
+let jwks;
+let keyring;
+
+beforeAll(async () => {
+  jwks = await generateInvitationKeys();
+  keyring = await createInvitationKeyring(jwks);
+});
+
+test('issues a signed, encrypted token that verifies', async () => {
+  const { token, hash, jti, expiresAt } = await issueInvitationToken(keyring, {
+    subject: 'inv-123',
+    invitation,
+  });
+
+  expect(token.split('.')).toHaveLength(5);
+  expect(decodeProtectedHeader(token)).toEqual({
+    alg: 'ECDH-ES+A256KW',
+    enc: 'A256GCM',
+    kid: jwks.encryptionKeys[0].kid,
+    cty: 'JWT',
+    epk: expect.any(Object),
+  });
+  expect(hash).toBe(await hashInvitationToken(token));
+
+  const { payload, signingKid, encryptionKid } = await verifyInvitationToken(keyring, token);
+  expect(payload).toMatchObject({
+    iss: 'api.thepia.com',
+    aud: 'flows.thepia.net',
+    sub: 'inv-123',
+    jti,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+    invitation,
+  });
+  expect(payload.exp - payload.iat).toBe(7 * 24 * 60 * 60);
+  expect(signingKid).toBe(jwks.signingKeys[0].kid);
+  expect(encryptionKid).toBe(jwks.encryptionKeys[0].kid);
+});
+
+test('the inner token is a JWS signed with the current signing key', async () => {
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-123', invitation });
+  const { plaintext } = await compactDecrypt(token, keyring.encryptionKeys[0].privateKey);
+
+  expect(decodeProtectedHeader(new TextDecoder().decode(plaintext))).toEqual({
+    alg: 'ES256',
+    kid: jwks.signingKeys[0].kid,
+    typ: 'JWT',
+  });
+});
+
+test('tokens from a retired key still verify after rotation', async () => {
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-123', invitation });
+  const next = await generateInvitationKeys();
+  const rotated = await createInvitationKeyring({
+    signingKeys: [...next.signingKeys, ...jwks.signingKeys],
+    encryptionKeys: [...next.encryptionKeys, ...jwks.encryptionKeys],
+  });
+
+  expect((await verifyInvitationToken(rotated, token)).signingKid).toBe(jwks.signingKeys[0].kid);
+
+  const fresh = await issueInvitationToken(rotated, { subject: 'inv-456', invitation });
+  expect(decodeProtectedHeader(fresh.token).kid).toBe(next.encryptionKeys[0].kid);
+  await expect(verifyInvitationToken(keyring, fresh.token)).rejects.toThrow(
+    `Unknown invitation encryption key "${next.encryptionKeys[0].kid}"`
+  );
+});
+
+test('rejects tampered, expired and foreign tokens', async () => {
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-123', invitation });
+  const parts = token.split('.');
+  parts[3] = `${parts[3][0] === 'A' ? 'B' : 'A'}${parts[3].slice(1)}`;
+  await expect(verifyInvitationToken(keyring, parts.join('.'))).rejects.toThrow();
+
+  const expired = await issueInvitationToken(keyring, {
+    subject: 'inv-123',
+    invitation,
+    expiresAt: new Date(Date.now() - 60_000),
+  });
+  await expect(verifyInvitationToken(keyring, expired.token)).rejects.toMatchObject({
+    code: 'ERR_JWT_EXPIRED',
+  });
+
+  await expect(
+    verifyInvitationToken(keyring, token, { audience: 'other.thepia.net' })
+  ).rejects.toMatchObject({ code: 'ERR_JWT_CLAIM_VALIDATION_FAILED' });
+
+  // Signed by another issuer's key but encrypted to ours
+  const other = await createInvitationKeyring({
+    signingKeys: (await generateInvitationKeys()).signingKeys.map((key) => ({
+      ...key,
+      kid: jwks.signingKeys[0].kid,
+    })),
+    encryptionKeys: jwks.encryptionKeys,
+  });
+  const forged = await issueInvitationToken(other, { subject: 'inv-123', invitation });
+  await expect(verifyInvitationToken(keyring, forged.token)).rejects.toMatchObject({
+    code: 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED',
+  });
+});
+
+test('verifies with public signing keys only', async () => {
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-123', invitation });
+  const { d, ...publicSigningKey } = jwks.signingKeys[0];
+  const verifier = await createInvitationKeyring({
+    signingKeys: [publicSigningKey],
+    encryptionKeys: jwks.encryptionKeys,
+  });
+
+  expect((await verifyInvitationToken(verifier, token)).payload.sub).toBe('inv-123');
+  await expect(issueInvitationToken(verifier, { subject: 'inv-1', invitation })).rejects.toThrow(
+    'has no private key'
+  );
+});
+
+test('hashes the compact token as lowercase SHA-256 hex', async () => {
+  expect(await hashInvitationToken('abc')).toBe(
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+  expect(await hashInvitationToken(' abc\n')).toBe(await hashInvitationToken('abc'));
+});
+
+test('links to the invitation on the client domain with its token', async () => {
+  const { token } = await issueInvitationToken(keyring, { subject: 'inv-1', invitation });
+
+  expect(invitationLink('nets.thepia.net', 'NETS-ONBOARDING-1A2B3C', token)).toBe(
+    `https://nets.thepia.net/invitation/NETS-ONBOARDING-1A2B3C?token=${token}`
+  );
+});
+
+test('hashes invitee emails the way the database does', async () => {
+  expect(await hashInvitationEmail(' Sofia.Berg@Nets.eu ')).toEqual({
+    hash: createHash('sha256').update('sofia.berg@nets.eu').digest('hex'),
+    domain: 'nets.eu',
+  });
+  await expect(hashInvitationEmail('sofia')).rejects.toThrow('must contain a domain');
+});
+
+test('loads keys from JWK sets in the environment', async () => {
+  const loaded = await loadInvitationKeys({
+    INVITATION_SIGNING_KEYS: JSON.stringify({ keys: jwks.signingKeys }),
+    INVITATION_ENCRYPTION_KEYS: JSON.stringify(jwks.encryptionKeys),
+  });
+  const { token } = await issueInvitationToken(loaded, { subject: 'inv-123', invitation });
+
+  expect(loaded.ephemeral).toBe(false);
+  expect((await verifyInvitationToken(keyring, token)).payload.sub).toBe('inv-123');
+
+  await expect(loadInvitationKeys({})).rejects.toThrow(
+    'INVITATION_SIGNING_KEYS and INVITATION_ENCRYPTION_KEYS must both be set'
+  );
+  await expect(loadInvitationKeys({ INVITATION_SIGNING_KEYS: '{"keys": []}' })).rejects.toThrow(
+    'INVITATION_SIGNING_KEYS must be a JWK set with at least one key'
+  );
+  expect((await loadInvitationKeys({}, { allowEphemeral: true })).ephemeral).toBe(true);
+});
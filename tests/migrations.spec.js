@@ -0,0 +1,205 @@
+/**
+ * Migration Runner Tests
+ *
+ * Verifies the migration manifest, checksums and plan building without a database.
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { expect, test } from 'vitest';
+import { loadManifest, resolveBundles } from '../src/migrations/manifest.js';
+import {
+  SCHEMAS_DIR,
+  checksumSql,
+  loadMigrations,
+  planMigrations,
+  planRollback,
+} from '../src/migrations/runner.js';
+
+const BUNDLES = {
+  core: { description: 'Core', default: true },
+  demo: { description: 'Demo', default: false },
+};
+
+/**
+ * Write SQL files, their rollbacks and a manifest; entries default to every file in the core bundle
+ */
+function createSchemasDir(
+  files,
+  entries = Object.keys(files).map((file) => ({ file, bundle: 'core' })),
+  rollbacks = {}
+) {
+  const dir = mkdtempSync(join(tmpdir(), 'flows-db-schemas-'));
+  mkdirSync(join(dir, 'rollback'));
+  Object.entries(files).forEach(([filename, sql]) => {
+    writeFileSync(join(dir, filename), sql);
+    writeFileSync(join(dir, 'rollback', filename), rollbacks[filename] ?? 'SELECT 1;');
+  });
+  writeFileSync(
+    join(dir, 'manifest.json'),
+    JSON.stringify({ version: 1, bundles: BUNDLES, migrations: entries })
+  );
+  return dir;
+}
+
+function appliedFrom(migrations) {
+  return new Map(migrations.map((m) => [m.version, { version: m.version, checksum: m.checksum }]));
+}
+
+test('repository manifest lists every schema file', () => {
+  const manifest = loadManifest(SCHEMAS_DIR);
+
+  expect(resolveBundles(manifest, [])).toEqual(['core', 'offboarding', 'tfc']);
+  expect(manifest.migrations[0].file).toBe('00_schema_setup.sql');
+});
+
+test('loads schema files in manifest order, not filename order', () => {
+  const dir = createSchemasDir({
+    '00_a.sql': 'SELECT 0;',
+    '09_b.sql': 'SELECT 9;',
+    '02_c.sql': 'SELECT 2;',
+  });
+
+  const migrations = loadMigrations(dir);
+
+  expect(migrations.map((m) => m.version)).toEqual(['00_a', '09_b', '02_c']);
+  expect(migrations[0].checksum).toBe(checksumSql('SELECT 0;'));
+});
+
+test('rejects schema files missing from the manifest', () => {
+  const dir = createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;' }, [
+    { file: '00_a.sql', bundle: 'core' },
+  ]);
+
+  expect(() => loadMigrations(dir)).toThrow('01_b.sql is not listed in manifest.json');
+});
+
+test('rejects unknown bundles and dangling supersededBy references', () => {
+  const dir = createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;' }, [
+    { file: '00_a.sql', bundle: 'nope' },
+    { file: '01_b.sql', bundle: 'core', supersededBy: '01_b_fixed.sql' },
+  ]);
+
+  expect(() => loadMigrations(dir)).toThrow(
+    /unknown bundle "nope"[\s\S]*unlisted file 01_b_fixed.sql/
+  );
+  expect(() => resolveBundles({ bundles: BUNDLES }, ['tfc'])).toThrow('Unknown bundle(s): tfc');
+});
+
+test('checksum ignores line ending differences', () => {
+  expect(checksumSql('SELECT 1;\r\nSELECT 2;\r\n')).toBe(checksumSql('SELECT 1;\nSELECT 2;\n'));
+});
+
+test('plan lists only unapplied migrations', () => {
+  const migrations = loadMigrations(
+    createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;', '02_c.sql': 'SELECT 2;' })
+  );
+
+  const { pending, modified, missing } = planMigrations(
+    migrations,
+    appliedFrom(migrations.slice(0, 1))
+  );
+
+  expect(pending.map((m) => m.version)).toEqual(['01_b', '02_c']);
+  expect(modified).toEqual([]);
+  expect(missing).toEqual([]);
+});
+
+test('plan skips superseded, manual and unselected bundle files', () => {
+  const migrations = loadMigrations(
+    createSchemasDir(
+      {
+        '00_a.sql': 'SELECT 0;',
+        '01_b.sql': 'SELECT 1;',
+        '01_b_fixed.sql': 'SELECT 1;',
+        '02_demo.sql': 'SELECT 2;',
+        '03_repair.sql': 'SELECT 3;',
+      },
+      [
+        { file: '00_a.sql', bundle: 'core' },
+        { file: '01_b.sql', bundle: 'core', supersededBy: '01_b_fixed.sql' },
+        { file: '01_b_fixed.sql', bundle: 'core' },
+        { file: '02_demo.sql', bundle: 'demo', demoOnly: true },
+        { file: '03_repair.sql', bundle: 'core', manual: true },
+      ]
+    )
+  );
+
+  const core = planMigrations(migrations, new Map(), { bundles: ['core'] });
+  const withDemo = planMigrations(migrations, new Map(), { bundles: ['core', 'demo'] });
+
+  expect(core.pending.map((m) => m.version)).toEqual(['00_a', '01_b_fixed']);
+  expect(withDemo.pending.map((m) => m.version)).toEqual(['00_a', '01_b_fixed', '02_demo']);
+});
+
+test('plan stops at the --to version', () => {
+  const migrations = loadMigrations(
+    createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;', '02_c.sql': 'SELECT 2;' })
+  );
+
+  const { pending } = planMigrations(migrations, new Map(), { to: '01_b' });
+
+  expect(pending.map((m) => m.version)).toEqual(['00_a', '01_b']);
+  expect(() => planMigrations(migrations, new Map(), { to: '99_nope' })).toThrow(
+    'Unknown target version'
+  );
+});
+
+test('plan reports applied files edited on disk and applied versions missing from disk', () => {
+  const migrations = loadMigrations(
+    createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;' })
+  );
+  const applied = appliedFrom(migrations);
+  applied.set('01_b', { version: '01_b', checksum: checksumSql('SELECT 42;') });
+  applied.set('05_gone', { version: '05_gone', filename: '05_gone.sql', checksum: 'x' });
+
+  const { pending, modified, missing } = planMigrations(migrations, applied);
+
+  expect(pending).toEqual([]);
+  expect(modified.map((m) => m.version)).toEqual(['01_b']);
+  expect(missing.map((m) => m.version)).toEqual(['05_gone']);
+});
+
+test('rejects schema files without a rollback and orphaned rollbacks', () => {
+  const dir = createSchemasDir({ '00_a.sql': 'SELECT 0;' });
+  rmSync(join(dir, 'rollback', '00_a.sql'));
+  writeFileSync(join(dir, 'rollback', '01_old.sql'), 'SELECT 1;');
+
+  expect(() => loadMigrations(dir)).toThrow(
+    /00_a.sql has no rollback\/00_a.sql[\s\S]*rollback\/01_old.sql does not match/
+  );
+});
+
+test('rollback plan undoes applied files after the target, newest first', () => {
+  const migrations = loadMigrations(
+    createSchemasDir({
+      '00_a.sql': 'SELECT 0;',
+      '01_b.sql': 'SELECT 1;',
+      '02_c.sql': 'SELECT 2;',
+      '03_d.sql': 'SELECT 3;',
+    })
+  );
+  const applied = appliedFrom([migrations[0], migrations[1], migrations[3]]);
+
+  const { rollback, irreversible } = planRollback(migrations, applied, '00_a');
+
+  expect(rollback.map((m) => m.version)).toEqual(['03_d', '01_b']);
+  expect(irreversible).toEqual([]);
+  expect(() => planRollback(migrations, applied, '02_c')).toThrow('has not been applied');
+  expect(() => planRollback(migrations, applied, '99_nope')).toThrow('Unknown target version');
+});
+
+test('rollback plan reports files marked irreversible', () => {
+  const migrations = loadMigrations(
+    createSchemasDir({ '00_a.sql': 'SELECT 0;', '01_b.sql': 'SELECT 1;' }, undefined, {
+      '01_b.sql': '-- Drops data for good\n--\n-- irreversible\n\nSELECT 1;\n',
+    })
+  );
+
+  const { rollback, irreversible } = planRollback(migrations, appliedFrom(migrations), '00_a');
+
+  expect(rollback.map((m) => m.version)).toEqual(['01_b']);
+  expect(irreversible.map((m) => m.version)).toEqual(['01_b']);
+  expect(migrations[0].irreversible).toBe(false);
+});
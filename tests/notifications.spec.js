@@ -0,0 +1,119 @@
+/**
+ * Notification Tests
+ *
+ * The channel adapters of the notification dispatcher, without a database.
+ * Email goes to the local SMTP sink; templates are rendered in the database
+ * and tested in tests/db/notification-templates.spec.js.
+ */
+
+import { expect, test } from 'vitest';
+import {
+  createChannels,
+  createEmailChannel,
+  createWebhookChannel,
+} from '../src/notifications/channels.js';
+import { startSmtpSink } from '../src/notifications/smtp-sink.js';
+
+const MESSAGE = { subject: 'Your demo is ready', text: 'Start here: https://flows.thepia.net' };
+
+/**
+ * A fetch that records its requests and answers with `status`
+ */
+function recordingFetch(status = 204) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return new Response(null, { status, headers: { 'x-message-id': 'gw-1' } });
+  };
+  return { fetch, requests };
+}
+
+test('sends email over SMTP', async () => {
+  const sink = await startSmtpSink({ port: 0 });
+  const email = createEmailChannel({
+    transport: `smtp://127.0.0.1:${sink.port}`,
+    from: 'Flows <flows@thepia.com>',
+  });
+
+  try {
+    const { messageId } = await email.send(MESSAGE, { email: 'sofia.berg@nets.eu' });
+
+    expect(sink.messages).toMatchObject([
+      {
+        from: 'flows@thepia.com',
+        to: ['sofia.berg@nets.eu'],
+        subject: MESSAGE.subject,
+        text: `${MESSAGE.text}\n`,
+        messageId,
+      },
+    ]);
+    await expect(email.send(MESSAGE, {})).rejects.toThrow(
+      'The invitation token has no email address'
+    );
+  } finally {
+    email.close();
+    await sink.close();
+  }
+});
+
+test('posts each webhook channel its own payload', async () => {
+  const { fetch, requests } = recordingFetch();
+  const notification = { id: '0b6c2f9e-0000-4000-8000-000000000001' };
+  const recipient = { phone: '+4512345678' };
+
+  const sms = createWebhookChannel('sms', 'https://sms.example/send', { token: 'secret', fetch });
+  expect(await sms.send(MESSAGE, recipient, notification)).toEqual({ messageId: 'gw-1' });
+  await createWebhookChannel('push', 'https://push.example', { fetch }).send(
+    MESSAGE,
+    recipient,
+    notification
+  );
+  await createWebhookChannel('discord', 'https://discord.example', { fetch }).send(MESSAGE, {});
+  await createWebhookChannel('slack', 'https://slack.example', { fetch }).send(MESSAGE, {});
+
+  expect(requests.map(({ url, body }) => ({ url, body }))).toEqual([
+    {
+      url: 'https://sms.example/send',
+      body: { to: '+4512345678', body: `${MESSAGE.subject}\n\n${MESSAGE.text}` },
+    },
+    {
+      url: 'https://push.example',
+      body: { invitation_id: notification.id, title: MESSAGE.subject, body: MESSAGE.text },
+    },
+    {
+      url: 'https://discord.example',
+      body: { content: `**${MESSAGE.subject}**\n${MESSAGE.text}` },
+    },
+    { url: 'https://slack.example', body: { text: `*${MESSAGE.subject}*\n${MESSAGE.text}` } },
+  ]);
+  expect(requests[0].headers.Authorization).toBe('Bearer secret');
+  expect(requests[1].headers.Authorization).toBeUndefined();
+});
+
+test('a webhook channel fails on an error response or a missing recipient', async () => {
+  const { fetch } = recordingFetch(503);
+
+  await expect(
+    createWebhookChannel('discord', 'https://discord.example', { fetch }).send(MESSAGE, {})
+  ).rejects.toThrow('discord webhook responded 503');
+  await expect(
+    createWebhookChannel('sms', 'https://sms.example', { fetch: recordingFetch().fetch }).send(
+      MESSAGE,
+      {}
+    )
+  ).rejects.toThrow('The invitation token has no phone number');
+  expect(() => createWebhookChannel('fax', 'https://fax.example')).toThrow(
+    'Unknown webhook channel "fax"'
+  );
+});
+
+test('configures the channels that have settings', () => {
+  const channels = createChannels({
+    NOTIFICATION_SMTP_URL: 'smtp://127.0.0.1:1025',
+    NOTIFICATION_SLACK_WEBHOOK_URL: 'https://hooks.slack.example/T000',
+  });
+
+  expect(Object.keys(channels)).toEqual(['email', 'slack']);
+  channels.email.close();
+  expect(createChannels({})).toEqual({});
+});
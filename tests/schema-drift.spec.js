@@ -0,0 +1,80 @@
+/**
+ * Schema Drift Tests
+ *
+ * Verifies snapshot comparison and attribution of differences to schema files
+ * without a database; introspection is covered in tests/db/drift.spec.js.
+ */
+
+import { expect, test } from 'vitest';
+import { attributeDifferences, diffSnapshots, hashDefinition } from '../src/migrations/drift.js';
+
+test('reports missing, unexpected and changed objects in type order', () => {
+  const expected = {
+    'policy api.clients.policy_clients_staff_access': 'permissive ALL to public using true',
+    'function api.update_invitation_status()': 'returns trigger language plpgsql, body aaaa',
+    'column api.clients.region': 'character varying(10) not null',
+    'relation api.clients': 'table, rls enabled',
+  };
+  const actual = {
+    'function api.update_invitation_status()': 'returns trigger language plpgsql, body bbbb',
+    'column api.clients.region': 'character varying(10) not null',
+    'relation api.clients': 'table, rls enabled',
+    'index api.idx_clients_legacy':
+      'CREATE INDEX idx_clients_legacy ON api.clients USING btree (domain)',
+  };
+
+  expect(diffSnapshots(expected, actual)).toEqual([
+    {
+      type: 'index',
+      name: 'api.idx_clients_legacy',
+      change: 'unexpected',
+      actual: 'CREATE INDEX idx_clients_legacy ON api.clients USING btree (domain)',
+    },
+    {
+      type: 'function',
+      name: 'api.update_invitation_status()',
+      change: 'changed',
+      expected: 'returns trigger language plpgsql, body aaaa',
+      actual: 'returns trigger language plpgsql, body bbbb',
+    },
+    {
+      type: 'policy',
+      name: 'api.clients.policy_clients_staff_access',
+      change: 'missing',
+      expected: 'permissive ALL to public using true',
+    },
+  ]);
+});
+
+test('identical snapshots have no differences', () => {
+  const snapshot = { 'relation api.clients': 'table, rls enabled' };
+  expect(diffSnapshots(snapshot, { ...snapshot })).toEqual([]);
+});
+
+test('attributes differences to the last schema file that mentions the object', () => {
+  const migrations = [
+    { filename: '03_invitations.sql', sql: 'CREATE FUNCTION update_invitation_status() ...' },
+    { filename: '14_fix.sql', sql: 'CREATE POLICY policy_people_anon_access ON api.people ...' },
+    { filename: '26_fix.sql', sql: 'CREATE OR REPLACE FUNCTION update_invitation_status() ...' },
+  ];
+
+  const [fn, policy, column] = attributeDifferences(
+    [
+      { type: 'function', name: 'api.update_invitation_status()', change: 'changed' },
+      { type: 'policy', name: 'api.people.policy_people_anon_access', change: 'unexpected' },
+      { type: 'column', name: 'api.people.status', change: 'missing' },
+    ],
+    migrations
+  );
+
+  expect(fn.source).toBe('26_fix.sql');
+  expect(policy.source).toBe('14_fix.sql');
+  expect(column.source).toBeUndefined();
+});
+
+test('hashDefinition ignores line endings and surrounding whitespace', () => {
+  expect(hashDefinition('\nBEGIN\r\n  RETURN NEW;\r\nEND;\n')).toBe(
+    hashDefinition('BEGIN\n  RETURN NEW;\nEND;')
+  );
+  expect(hashDefinition('RETURN NEW;')).not.toBe(hashDefinition('RETURN OLD;'));
+});
@@ -0,0 +1,211 @@
+/**
+ * Tenant Bundle Tests
+ *
+ * Verifies tenant table planning, bundle validation and client renaming
+ * without a database.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { expect, test } from 'vitest';
+import {
+  BUNDLE_FORMAT,
+  defaultBundleName,
+  planTenantTables,
+  readBundle,
+  renameClientRow,
+  renameInvitationRow,
+} from '../src/tenants/bundle.js';
+
+const CLIENT_ID = '6f1f2c1e-8d0a-4c55-9d2e-0c4b1a2f3e4d';
+const CLIENT_ROW = JSON.stringify({
+  id: CLIENT_ID,
+  client_code: 'acme',
+  setup_email: 'installation+acme@thepia.net',
+  domain: 'acme.thepia.net',
+});
+
+const FOREIGN_KEYS = [
+  { table: 'clients', column: 'tier', refTable: 'client_tiers', refColumn: 'tier_code' },
+  { table: 'people', column: 'client_id', refTable: 'clients', refColumn: 'id' },
+  { table: 'people_enrollments', column: 'person_id', refTable: 'people', refColumn: 'id' },
+  { table: 'tasks', column: 'parent_task_id', refTable: 'tasks', refColumn: 'id' },
+  { table: 'tasks', column: 'person_id', refTable: 'people', refColumn: 'id' },
+  { table: 'tfc_client_balances', column: 'client_id', refTable: 'clients', refColumn: 'id' },
+  { table: 'tfc_credit_transactions', column: 'client_id', refTable: 'clients', refColumn: 'id' },
+  {
+    table: 'tfc_credit_transactions',
+    column: 'payment_id',
+    refTable: 'tfc_payments',
+    refColumn: 'id',
+  },
+  { table: 'tfc_payments', column: 'client_id', refTable: 'clients', refColumn: 'id' },
+  {
+    table: 'client_tier_versions',
+    column: 'tier_code',
+    refTable: 'client_tiers',
+    refColumn: 'tier_code',
+  },
+];
+const PRIMARY_KEYS = [
+  ...[
+    'clients',
+    'people',
+    'people_enrollments',
+    'tasks',
+    'tfc_credit_transactions',
+    'tfc_payments',
+  ].map((table) => ({ table, column: 'id', type: 'uuid' })),
+  { table: 'tfc_client_balances', column: 'client_id', type: 'uuid' },
+  { table: 'client_tiers', column: 'tier_code', type: 'character varying' },
+];
+
+/**
+ * Write a bundle with a clients table; `tableOverrides` tweaks its manifest entry
+ */
+function createBundle(content = `${CLIENT_ROW}\n`, tableOverrides = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'flows-db-bundle-'));
+  writeFileSync(join(dir, 'clients.ndjson'), content);
+  writeFileSync(
+    join(dir, 'manifest.json'),
+    JSON.stringify({
+      format: BUNDLE_FORMAT,
+      version: 1,
+      createdAt: '2025-01-01T12:00:00.000Z',
+      source: { host: 'db.abcdefghij.supabase.co', projectRef: 'abcdefghij' },
+      schemaVersion: '26_fix_invitation_status_workflow',
+      client: { id: CLIENT_ID, clientCode: 'acme', legalName: 'Acme A/S' },
+      tables: [
+        {
+          name: 'clients',
+          file: 'clients.ndjson',
+          rows: 1,
+          columns: ['id', 'client_code', 'setup_email'],
+          sha256: createHash('sha256').update(content).digest('hex'),
+          ...tableOverrides,
+        },
+      ],
+    })
+  );
+  return dir;
+}
+
+test('finds tenant tables through foreign keys, referenced tables first', () => {
+  const tables = planTenantTables(FOREIGN_KEYS, PRIMARY_KEYS);
+  const names = tables.map((table) => table.name);
+
+  expect(names[0]).toBe('clients');
+  expect(names).not.toContain('client_tiers');
+  expect(names).not.toContain('client_tier_versions');
+  expect(names.indexOf('people')).toBeLessThan(names.indexOf('people_enrollments'));
+  expect(names.indexOf('people')).toBeLessThan(names.indexOf('tasks'));
+  expect(names.indexOf('tfc_payments')).toBeLessThan(names.indexOf('tfc_credit_transactions'));
+});
+
+test('selects rows by client_id or through the referenced tenant table', () => {
+  const tables = Object.fromEntries(
+    planTenantTables(FOREIGN_KEYS, PRIMARY_KEYS).map((table) => [table.name, table])
+  );
+
+  expect(tables.clients.where).toBe('id = $1');
+  expect(tables.people.where).toBe('client_id = $1');
+  expect(tables.people_enrollments.where).toBe(
+    '"person_id" IN (SELECT "id" FROM api.people WHERE client_id = $1)'
+  );
+  expect(tables.tasks.where).toBe(
+    '"person_id" IN (SELECT "id" FROM api.people WHERE client_id = $1)'
+  );
+});
+
+test('only gives fresh ids to uuid keys that are not references', () => {
+  const tables = Object.fromEntries(
+    planTenantTables(FOREIGN_KEYS, PRIMARY_KEYS).map((table) => [table.name, table])
+  );
+
+  expect(tables.people.key).toBe('id');
+  expect(tables.tfc_client_balances.key).toBeNull();
+  expect(tables.tfc_client_balances.orderBy).toBe('"client_id"');
+});
+
+test('refuses a foreign key cycle between tenant tables', () => {
+  expect(() =>
+    planTenantTables(
+      [
+        ...FOREIGN_KEYS,
+        {
+          table: 'people',
+          column: 'manager_enrollment_id',
+          refTable: 'people_enrollments',
+          refColumn: 'id',
+        },
+      ],
+      PRIMARY_KEYS
+    )
+  ).toThrow('Foreign key cycle between api.people, api.people_enrollments');
+});
+
+test('names bundles after the client and a UTC timestamp', () => {
+  expect(defaultBundleName('acme', new Date('2025-01-01T12:34:56.789Z'))).toBe(
+    'acme-20250101T123456Z'
+  );
+});
+
+test('reads a valid bundle', () => {
+  const { manifest, tables } = readBundle(createBundle());
+
+  expect(manifest.client.clientCode).toBe('acme');
+  expect(tables[0].lines).toEqual([CLIENT_ROW]);
+});
+
+test('rejects bundles whose files changed or whose manifest is invalid', () => {
+  expect(() => readBundle(createBundle(`${CLIENT_ROW}\n`, { sha256: '0'.repeat(64) }))).toThrow(
+    'clients.ndjson does not match its checksum'
+  );
+  expect(() => readBundle(createBundle(`${CLIENT_ROW}\n`, { rows: 2 }))).toThrow(
+    'clients.ndjson has 1 rows, manifest says 2'
+  );
+  expect(() => readBundle(createBundle(`${CLIENT_ROW}\n`, { name: 'auth.users' }))).toThrow(
+    'Invalid bundle manifest.json'
+  );
+});
+
+test('renames the client code, its setup email and its own domain', () => {
+  const row = JSON.parse(renameClientRow(CLIENT_ROW, 'acme', 'acme-eu'));
+
+  expect(row).toEqual({
+    id: CLIENT_ID,
+    client_code: 'acme-eu',
+    setup_email: 'installation+acme-eu@thepia.net',
+    domain: 'acme-eu.thepia.net',
+  });
+  expect(
+    JSON.parse(renameClientRow(JSON.stringify({ domain: 'acme.com' }), 'acme', 'acme-eu')).domain
+  ).toBe('acme.com');
+});
+
+test('gives a copied invitation a code under the new client and no token', () => {
+  const invitation = {
+    invitation_code: 'ACME-FLOWS-1A2B3C',
+    jwt_token: 'eyJ...',
+    jwt_token_hash: 'a'.repeat(64),
+  };
+  const row = JSON.parse(renameInvitationRow(JSON.stringify(invitation), 'acme', 'acme-eu'));
+
+  expect(row).toEqual({
+    invitation_code: 'ACME-EU-FLOWS-1A2B3C',
+    jwt_token: null,
+    jwt_token_hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+  });
+  expect(row.jwt_token_hash).not.toBe(invitation.jwt_token_hash);
+  expect(
+    JSON.parse(
+      renameInvitationRow(
+        JSON.stringify({ ...invitation, invitation_code: 'SPRING-2025' }),
+        'acme',
+        'acme-eu'
+      )
+    ).invitation_code
+  ).toBe('ACME-EU-SPRING-2025');
+});
@@ -0,0 +1,9 @@
+import { configDefaults, defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'node',
+    // tests/db/ needs the embedded Postgres from vitest.db.config.js (pnpm test:db)
+    exclude: [...configDefaults.exclude, 'tests/db/**'],
+  },
+});
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Schema tests against a local embedded Postgres (see src/db/local-postgres.js)
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['tests/db/**/*.spec.js'],
+    globalSetup: ['tests/db/global-setup.js'],
+    hookTimeout: 120_000,
+    testTimeout: 30_000,
+    fileParallelism: false,
+  },
+});